@@ -0,0 +1,90 @@
+/**
+ * Crea una campaña saliente a partir de una lista de contactos en CSV
+ *
+ * Uso:
+ *   node create-broadcast.js contactos.csv --name "Flota segura octubre" [--template broadcast.intro] [--at "2026-10-20 09:00"] [--preview]
+ *     [--whatsapp-template flota_intro --whatsapp-language es --whatsapp-params name,company]
+ *
+ * El CSV lleva encabezados (nombre, empresa, telefono, segmento y columnas extra
+ * para personalizar el mensaje). La fecha se interpreta en CALENDAR_TIMEZONE.
+ * La campaña queda en MongoDB y la envía el bot en marcha (ver broadcastService);
+ * con --preview solo se muestran los primeros mensajes, sin guardar nada.
+ * Con la WhatsApp Cloud API la campaña necesita la plantilla aprobada por Meta
+ * (--whatsapp-template) y los campos de sus variables en orden (--whatsapp-params).
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const moment = require('moment-timezone');
+const db = require('./src/database');
+const { normalizePhoneNumber, detectCountryAndTimezone } = require('./src/whatsappHandler');
+const {
+  parseContactsCsv,
+  createBroadcast,
+  renderBroadcastMessage
+} = require('./src/services/broadcastService');
+
+const PREVIEW_COUNT = 3;
+
+/**
+ * Lee el valor de una opción (--name valor)
+ * @param {string} option - Nombre de la opción
+ * @returns {string|null}
+ */
+function getOption(option) {
+  const index = process.argv.indexOf(option);
+  return index > -1 ? process.argv[index + 1] || null : null;
+}
+
+async function main() {
+  const file = process.argv[2];
+  const name = getOption('--name');
+  const template = getOption('--template') || 'broadcast.intro';
+  const at = getOption('--at');
+  const whatsappTemplate = getOption('--whatsapp-template')
+    ? {
+      name: getOption('--whatsapp-template'),
+      language: getOption('--whatsapp-language') || 'es',
+      parameters: (getOption('--whatsapp-params') || '').split(',').map(field => field.trim()).filter(Boolean)
+    }
+    : null;
+
+  if (!file || file.startsWith('--') || !name) {
+    console.error('Uso: node create-broadcast.js <contactos.csv> --name "<nombre>" [--template <clave>] [--at "AAAA-MM-DD HH:mm"] [--preview] [--whatsapp-template <nombre> --whatsapp-language <código> --whatsapp-params <campos>]');
+    process.exit(1);
+  }
+
+  const csv = fs.readFileSync(file, 'utf8');
+  const scheduledAt = at ? moment.tz(at, process.env.CALENDAR_TIMEZONE || 'America/Lima').toDate() : new Date();
+
+  if (process.argv.includes('--preview')) {
+    const { contacts, errors } = parseContactsCsv(csv);
+    console.log(`${contacts.length} contactos${errors.length ? `, ${errors.length} filas con errores` : ''}\n`);
+    contacts.slice(0, PREVIEW_COUNT).forEach(contact => {
+      // El idioma del mensaje depende del país del número
+      const { country } = detectCountryAndTimezone(normalizePhoneNumber(contact.phone));
+      const message = renderBroadcastMessage({ template, values: {} }, contact, { country });
+      console.log(`--- ${contact.phone}\n${message.text}\n`);
+    });
+    process.exit(0);
+  }
+
+  // Sin MongoDB la campaña solo existiría en la memoria de este proceso
+  if (!await db.connect()) {
+    console.error('No se pudo conectar a MongoDB (MONGODB_URI)');
+    process.exit(1);
+  }
+
+  const { broadcast, rejected } = await createBroadcast({ name, template, csv, scheduledAt, whatsappTemplate });
+  console.log(`Campaña ${broadcast.id} creada: ${broadcast.recipients.length} contactos, envío ${moment(scheduledAt).format()}`);
+  rejected.forEach(reason => console.log(`  Omitido: ${reason}`));
+
+  await db.close();
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Error al crear la campaña:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Elimina todos los datos de un prospecto (derecho de supresión)
+ *
+ * Uso:
+ *   node erase-prospect.js 51987654321
+ *
+ * Borra el prospecto y su historial de MongoDB, pide a Google Sheets y al CRM que
+ * eliminen su registro y deja el número en la lista de no contactar. Es lo mismo
+ * que DELETE /api/prospects/:phone, para cuando el bot no está corriendo.
+ */
+
+require('dotenv').config();
+
+const db = require('./src/database');
+const { normalizePhoneNumber, eraseProspect } = require('./src/whatsappHandler');
+
+async function main() {
+  const phone = process.argv[2];
+
+  if (!phone) {
+    console.error('Uso: node erase-prospect.js <teléfono>');
+    process.exit(1);
+  }
+
+  // Sin MongoDB no hay nada que eliminar (la memoria es la de este proceso)
+  if (!await db.connect()) {
+    console.error('No se pudo conectar a MongoDB (MONGODB_URI)');
+    process.exit(1);
+  }
+
+  const summary = await eraseProspect(normalizePhoneNumber(phone), { source: 'cli' });
+  console.log(JSON.stringify(summary, null, 2));
+
+  await db.close();
+  process.exit(summary.errors.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Error al eliminar los datos del prospecto:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+/**
+ * Reporte del embudo de ventas: cuántos prospectos llegan a cada etapa y dónde se quedan
+ *
+ * Uso:
+ *   node funnel-report.js [--from 2026-10-01] [--to 2026-10-31] [--campaign <campaña>] [--by campaign,week] [--json | --csv] [--out archivo]
+ *
+ * Las fechas son de ingreso del prospecto, en CALENDAR_TIMEZONE (--to incluye ese
+ * día). Las agrupaciones disponibles son campaign, prospectType, country y week.
+ * Sin --json ni --csv se muestra una tabla por agrupación.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const db = require('./src/database');
+const { parseReportOptions, getFunnelReport, reportToCsv } = require('./src/services/analyticsService');
+
+/**
+ * Lee el valor de una opción (--from valor)
+ * @param {string} option - Nombre de la opción
+ * @returns {string|null}
+ */
+function getOption(option) {
+  const index = process.argv.indexOf(option);
+  return index > -1 ? process.argv[index + 1] || null : null;
+}
+
+/**
+ * Tabla de texto con las etapas de cada grupo
+ * @param {Object} report - Reporte del embudo
+ * @returns {string}
+ */
+function formatTable(report) {
+  const columns = ['leads', ...report.stages.map(stage => stage.id)];
+  const formatRow = (key, row) => [
+    key.padEnd(24),
+    ...columns.map(column => {
+      const rate = column === 'leads' ? '' : ` (${row[`${column}Rate`]}%)`;
+      return `${row[column]}${rate}`.padStart(16);
+    }),
+    String(row.medianHoursToBooking === null ? '-' : `${row.medianHoursToBooking} h`).padStart(12)
+  ].join('');
+
+  const header = ['', ...columns, 'mediana'].map((title, index) => index === 0 ? ''.padEnd(24) : title.padStart(index > columns.length ? 12 : 16)).join('');
+  const sections = [`${header}\n${formatRow('total', report.totals)}`];
+
+  Object.entries(report.breakdowns).forEach(([dimension, groups]) => {
+    sections.push(`Por ${dimension}:\n${groups.map(group => formatRow(group.key, group)).join('\n')}`);
+  });
+
+  const dropOff = Object.entries(report.dropOff)
+    .sort((a, b) => b[1] - a[1])
+    .map(([state, count]) => `  ${state}: ${count}`)
+    .join('\n');
+  sections.push(`Sin demo agendada, por estado actual:\n${dropOff || '  (ninguno)'}`);
+
+  return sections.join('\n\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseReportOptions({
+      from: getOption('--from'),
+      to: getOption('--to'),
+      campaign: getOption('--campaign'),
+      by: getOption('--by')
+    });
+  } catch (error) {
+    console.error(error.message);
+    console.error('Uso: node funnel-report.js [--from AAAA-MM-DD] [--to AAAA-MM-DD] [--campaign <campaña>] [--by campaign,prospectType,country,week] [--json | --csv] [--out archivo]');
+    process.exit(1);
+  }
+
+  // Sin MongoDB no hay prospectos ni eventos (la memoria es la de este proceso)
+  if (!await db.connect()) {
+    console.error('No se pudo conectar a MongoDB (MONGODB_URI)');
+    process.exit(1);
+  }
+
+  const report = await getFunnelReport(options);
+  let output;
+  if (process.argv.includes('--csv')) {
+    output = reportToCsv(report);
+  } else if (process.argv.includes('--json')) {
+    output = `${JSON.stringify(report, null, 2)}\n`;
+  } else {
+    output = `${formatTable(report)}\n`;
+  }
+
+  const file = getOption('--out');
+  if (file) {
+    fs.writeFileSync(file, output);
+    console.log(`Reporte guardado en ${file} (${report.totals.leads} prospectos)`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  await db.close();
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Error al generar el reporte del embudo:', error.message);
+  process.exit(1);
+});
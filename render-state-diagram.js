@@ -0,0 +1,35 @@
+/**
+ * Genera el diagrama de estados de la conversación para el equipo comercial
+ *
+ * Uso:
+ *   node render-state-diagram.js            (Markdown con el diagrama y la tabla de estados)
+ *   node render-state-diagram.js --mermaid  (solo el diagrama Mermaid)
+ *
+ * El diagrama se puede pegar en GitHub, Notion o https://mermaid.live
+ */
+
+const { CONVERSATION_MACHINE } = require('./src/config/conversationStates');
+const { renderMermaid, formatHours } = require('./src/utils/stateMachine');
+
+const diagram = renderMermaid(CONVERSATION_MACHINE);
+
+if (process.argv.includes('--mermaid')) {
+  console.log(diagram);
+} else {
+  const rows = Object.entries(CONVERSATION_MACHINE.states).map(([name, state]) => {
+    const timeout = state.timeout
+      ? `${formatHours(state.timeout.hours)} → \`${state.timeout.to}\``
+      : '-';
+    return `| \`${name}\` | ${state.label} | ${state.description} | ${timeout} |`;
+  });
+
+  console.log([
+    '```mermaid',
+    diagram,
+    '```',
+    '',
+    '| Estado | Nombre | Descripción | Sin respuesta |',
+    '| --- | --- | --- | --- |',
+    ...rows
+  ].join('\n'));
+}
@@ -0,0 +1,47 @@
+/**
+ * Rutas de la API de administración para la analítica del embudo de ventas
+ */
+
+const analyticsService = require('../services/analyticsService');
+const { normalizePhoneNumber } = require('../whatsappHandler');
+const { HttpError } = require('./router');
+
+/**
+ * Registra las rutas de analítica en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerAnalyticsRoutes(router) {
+  // Embudo por campaña, tipo de prospecto, país y semana: ?from=2026-10-01&to=2026-10-31&campaign=&by=campaign,week&format=csv
+  router.get('/api/analytics/funnel', async (req, res, { query }) => {
+    let options;
+    try {
+      options = analyticsService.parseReportOptions(query);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const report = await analyticsService.getFunnelReport(options);
+
+    if (query.format === 'csv') {
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="embudo.csv"'
+      });
+      res.end(analyticsService.reportToCsv(report));
+      return;
+    }
+
+    return report;
+  });
+
+  // Cambios de estado de un prospecto
+  router.get('/api/analytics/events/:phone', async (req, res, { params }) => {
+    const phoneNumber = normalizePhoneNumber(params.phone);
+    const events = await analyticsService.getTransitionEvents({ phoneNumber });
+    return { phoneNumber, total: events.length, events };
+  });
+}
+
+module.exports = {
+  registerAnalyticsRoutes
+};
@@ -0,0 +1,75 @@
+/**
+ * Rutas de la API de administración para las campañas salientes (envíos masivos)
+ */
+
+const broadcastService = require('../services/broadcastService');
+const { HttpError } = require('./router');
+
+/**
+ * Obtiene una campaña existente o lanza un error 404
+ * @param {string} id - Identificador de la campaña
+ * @returns {Promise<Object>} - Campaña
+ */
+async function requireBroadcast(id) {
+  const broadcast = await broadcastService.getBroadcast(id);
+
+  if (!broadcast) {
+    throw new HttpError(404, `No existe la campaña ${id}`);
+  }
+
+  return broadcast;
+}
+
+/**
+ * Registra las rutas de campañas en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerBroadcastRoutes(router) {
+  // Listar las campañas con el avance de cada una
+  router.get('/api/broadcasts', async () => {
+    const broadcasts = await broadcastService.listBroadcasts();
+    return { total: broadcasts.length, broadcasts };
+  });
+
+  // Crear una campaña: { name, template, scheduledAt, csv } (o contacts en lugar de csv)
+  router.post('/api/broadcasts', async (req, res, { body }) => {
+    if (body.csv === undefined && !Array.isArray(body.contacts)) {
+      throw new HttpError(400, 'Falta la lista de contactos (csv o contacts)');
+    }
+
+    try {
+      const { broadcast, rejected } = await broadcastService.createBroadcast(body);
+      const { recipients, ...summary } = broadcast;
+      return { ...summary, recipients: recipients.length, rejected };
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+
+  // Resultados de una campaña: envíos, respuestas y etapa de quienes respondieron
+  router.get('/api/broadcasts/:id', async (req, res, { params }) => {
+    await requireBroadcast(params.id);
+    return broadcastService.getBroadcastReport(params.id);
+  });
+
+  // Destinatarios de una campaña con el estado de cada envío
+  router.get('/api/broadcasts/:id/recipients', async (req, res, { params, query }) => {
+    const broadcast = await requireBroadcast(params.id);
+    const recipients = query.status
+      ? broadcast.recipients.filter(recipient => recipient.status === query.status)
+      : broadcast.recipients;
+
+    return { id: broadcast.id, total: recipients.length, recipients };
+  });
+
+  // Cancelar los envíos pendientes
+  router.post('/api/broadcasts/:id/cancel', async (req, res, { params }) => {
+    await requireBroadcast(params.id);
+    const { recipients, ...broadcast } = await broadcastService.cancelBroadcast(params.id);
+    return broadcast;
+  });
+}
+
+module.exports = {
+  registerBroadcastRoutes
+};
@@ -0,0 +1,187 @@
+/**
+ * Panel web para el equipo de ventas y las rutas de la API que solo usa el panel
+ *
+ * Los archivos del panel (src/dashboard) se sirven sin clave; los datos se piden a
+ * la API de administración con la clave que el vendedor ingresa en el navegador.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const { listProspects } = require('../whatsappHandler');
+const { listEvents } = require('../services/calendarService');
+const { STATES, CONVERSATION_MACHINE } = require('../config/conversationStates');
+const { getAppointmentStart, getMeetingLink } = require('../utils/appointmentUtils');
+const { HttpError } = require('./router');
+
+const DASHBOARD_DIR = path.join(__dirname, '../dashboard');
+
+// Archivos del panel y su tipo de contenido (no se sirve ningún otro archivo)
+const DASHBOARD_FILES = {
+  'index.html': 'text/html; charset=utf-8',
+  'app.js': 'application/javascript; charset=utf-8',
+  'styles.css': 'text/css; charset=utf-8'
+};
+
+// Días hacia adelante de las próximas demos (por defecto y máximo)
+const DEFAULT_APPOINTMENT_DAYS = 7;
+const MAX_APPOINTMENT_DAYS = 60;
+
+/**
+ * Indica si el panel está habilitado (DASHBOARD_ENABLED, por defecto sí)
+ * @returns {boolean}
+ */
+function isDashboardEnabled() {
+  return process.env.DASHBOARD_ENABLED !== 'false';
+}
+
+/**
+ * Sirve los archivos del panel en /dashboard (la raíz redirige al panel)
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @returns {boolean} - True si la petición era del panel y fue atendida
+ */
+function serveDashboard(req, res) {
+  if (!isDashboardEnabled() || !['GET', 'HEAD'].includes(req.method)) {
+    return false;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/' || pathname === '/dashboard') {
+    res.writeHead(302, { Location: '/dashboard/' });
+    res.end();
+    return true;
+  }
+
+  const match = pathname.match(/^\/dashboard\/([\w.-]*)$/);
+  if (!match) {
+    return false;
+  }
+
+  const file = match[1] || 'index.html';
+  if (!DASHBOARD_FILES[file]) {
+    return false;
+  }
+
+  const content = fs.readFileSync(path.join(DASHBOARD_DIR, file));
+  res.writeHead(200, {
+    'Content-Type': DASHBOARD_FILES[file],
+    'Content-Length': content.length,
+    'Cache-Control': 'no-cache'
+  });
+  res.end(req.method === 'HEAD' ? undefined : content);
+  return true;
+}
+
+/**
+ * Datos de la cita para el panel
+ * @param {Object|null} prospect - Prospecto de la cita
+ * @param {Object|null} event - Evento del calendario, si se encontró
+ * @returns {Object}
+ */
+function formatAppointment(prospect, event) {
+  const details = (prospect && prospect.appointmentDetails) || {};
+  const start = event ? moment(event.start) : getAppointmentStart(prospect);
+
+  return {
+    phoneNumber: prospect ? prospect.phoneNumber : null,
+    name: prospect ? prospect.name || null : null,
+    company: prospect ? prospect.company || null : null,
+    leadScore: prospect ? prospect.leadScore ?? null : null,
+    leadTier: prospect ? prospect.leadTier || null : null,
+    conversationState: prospect ? prospect.conversationState || null : null,
+    startTime: start.toISOString(),
+    endTime: event ? event.end : null,
+    summary: event ? event.summary : null,
+    meetLink: (event && event.meetLink) || (prospect ? getMeetingLink(prospect) : null),
+    calendarId: event ? event.calendarId : details.calendarId || null,
+    eventId: event ? event.id : details.calendarEventId || null,
+    status: details.status || null,
+    attendanceConfirmed: Boolean(prospect && prospect.attendanceConfirmed),
+    attendees: event ? event.attendees : [],
+    source: event ? 'calendar' : 'prospect'
+  };
+}
+
+/**
+ * Próximas demos: los eventos del calendario que corresponden a un prospecto y las
+ * citas guardadas en los prospectos que no están en el calendario (por ejemplo,
+ * las simuladas cuando no hay credenciales de Google)
+ * @param {number} days - Días hacia adelante
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - { from, to, total, appointments, calendarError }
+ */
+async function getUpcomingAppointments(days, now = new Date()) {
+  const from = moment(now);
+  const to = from.clone().add(days, 'days');
+
+  const { prospects } = await listProspects({ state: STATES.APPOINTMENT_CONFIRMED, limit: 1000 });
+  const booked = prospects.filter(prospect => {
+    const start = getAppointmentStart(prospect);
+    return start && start.isBetween(from, to, null, '[]') && prospect.appointmentDetails?.status !== 'cancelada';
+  });
+
+  let events = [];
+  let calendarError = null;
+  try {
+    events = await listEvents(from.toISOString(), to.toISOString());
+  } catch (error) {
+    calendarError = error.message;
+  }
+
+  // Un evento es del prospecto si es el que creó el bot o si su descripción tiene el teléfono
+  const matched = new Set();
+  const appointments = [];
+  events.forEach(event => {
+    const prospect = prospects.find(candidate => candidate.appointmentDetails?.calendarEventId === event.id) ||
+      prospects.find(candidate => event.description && event.description.includes(candidate.phoneNumber));
+
+    if (prospect && !matched.has(prospect.phoneNumber)) {
+      matched.add(prospect.phoneNumber);
+      appointments.push(formatAppointment(prospect, event));
+    }
+  });
+
+  booked
+    .filter(prospect => !matched.has(prospect.phoneNumber))
+    .forEach(prospect => appointments.push(formatAppointment(prospect, null)));
+
+  appointments.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    total: appointments.length,
+    appointments,
+    calendarError
+  };
+}
+
+/**
+ * Registra las rutas del panel en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerDashboardRoutes(router) {
+  // Estados de la conversación con su nombre, para los filtros y las etiquetas
+  router.get('/api/dashboard/states', async () => ({
+    states: Object.entries(CONVERSATION_MACHINE.states).map(([id, state]) => ({ id, label: state.label || id }))
+  }));
+
+  // Próximas demos agendadas: ?days=7
+  router.get('/api/dashboard/appointments', async (req, res, { query }) => {
+    const days = query.days === undefined ? DEFAULT_APPOINTMENT_DAYS : parseInt(query.days, 10);
+
+    if (isNaN(days) || days < 1 || days > MAX_APPOINTMENT_DAYS) {
+      throw new HttpError(400, `days debe ser un número entre 1 y ${MAX_APPOINTMENT_DAYS}`);
+    }
+
+    return getUpcomingAppointments(days);
+  });
+}
+
+module.exports = {
+  registerDashboardRoutes,
+  serveDashboard,
+  isDashboardEnabled
+};
@@ -0,0 +1,294 @@
+/**
+ * Rutas de la API de administración para prospectos y control del bot
+ */
+
+const messageStore = require('../services/messageStore');
+const {
+  normalizePhoneNumber,
+  findProspect,
+  listProspects,
+  updateProspectState,
+  recordMessage,
+  eraseProspect
+} = require('../whatsappHandler');
+const campaignFlow = require('../flows/campaignFlow');
+const { getActiveTransport } = require('../whatsapp/transports');
+const handoffService = require('../services/handoffService');
+const consentService = require('../services/consentService');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../services/languageService');
+const { CONVERSATION_MACHINE } = require('../config/conversationStates');
+const { HttpError } = require('./router');
+const logger = require('../utils/logger');
+
+// Estados de conversación que se pueden forzar desde la API
+// (la atención humana se controla con /pause y /resume)
+const CONVERSATION_STATES = Object.keys(CONVERSATION_MACHINE.states)
+  .filter(state => !CONVERSATION_MACHINE.states[state].external);
+
+// Máximo de registros por consulta
+const MAX_LIMIT = 500;
+
+/**
+ * Lee el parámetro limit de la consulta y lo acota a MAX_LIMIT
+ * @param {string} value - Valor recibido
+ * @param {number} defaultLimit - Valor si falta o no es un número positivo
+ * @returns {number|undefined} - Límite a usar
+ */
+function parseLimit(value, defaultLimit) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_LIMIT) : defaultLimit;
+}
+
+/**
+ * Obtiene un prospecto existente o lanza un error 404
+ * @param {string} phone - Número de teléfono
+ * @returns {Promise<Object>} - Prospecto
+ */
+async function requireProspect(phone) {
+  const phoneNumber = normalizePhoneNumber(phone);
+  const prospect = await findProspect(phoneNumber);
+
+  if (!prospect) {
+    throw new HttpError(404, `No existe el prospecto ${phoneNumber}`);
+  }
+
+  return prospect;
+}
+
+/**
+ * Marca la baja o el alta en el estado del prospecto, si existe
+ * (el registro de no contactar también admite números que nunca escribieron)
+ * @param {string} phoneNumber - Número normalizado
+ * @param {boolean} optedOut - True si no se lo debe contactar
+ * @returns {Promise<Object|null>} - Nuevo estado del prospecto
+ */
+async function setOptedOut(phoneNumber, optedOut) {
+  const prospect = await findProspect(phoneNumber);
+  if (!prospect) {
+    return null;
+  }
+
+  const newState = {
+    ...prospect,
+    optedOut,
+    optedOutAt: optedOut ? new Date() : null
+  };
+  await updateProspectState(phoneNumber, newState);
+  return newState;
+}
+
+/**
+ * Registra las rutas de prospectos en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerProspectRoutes(router) {
+  // Listar y buscar prospectos
+  router.get('/api/prospects', async (req, res, { query }) => {
+    const limit = parseLimit(query.limit, 50);
+    const skip = Math.max(parseInt(query.skip || '0', 10) || 0, 0);
+
+    const { prospects, total } = await listProspects({
+      search: query.q,
+      state: query.state,
+      limit,
+      skip
+    });
+
+    return { total, limit, skip, prospects };
+  });
+
+  // Ver el estado de un prospecto
+  router.get('/api/prospects/:phone', async (req, res, { params }) => {
+    return requireProspect(params.phone);
+  });
+
+  // Ver el historial de mensajes de un prospecto
+  router.get('/api/prospects/:phone/messages', async (req, res, { params, query }) => {
+    const prospect = await requireProspect(params.phone);
+    const messages = await messageStore.getTranscript(prospect.phoneNumber, {
+      limit: parseLimit(query.limit, undefined),
+      since: query.since
+    });
+
+    return {
+      phoneNumber: prospect.phoneNumber,
+      total: messages.length,
+      messages
+    };
+  });
+
+  // Transcripción completa para exportar al CRM (JSON, texto plano o contexto para LLM)
+  router.get('/api/prospects/:phone/transcript', async (req, res, { params, query }) => {
+    const prospect = await requireProspect(params.phone);
+
+    if (query.format === 'llm') {
+      return {
+        phoneNumber: prospect.phoneNumber,
+        messages: await messageStore.getConversationContext(prospect.phoneNumber, parseLimit(query.limit, 20))
+      };
+    }
+
+    const messages = await messageStore.getTranscript(prospect.phoneNumber);
+
+    if (query.format === 'text') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(messageStore.formatTranscript(messages));
+      return;
+    }
+
+    return {
+      phoneNumber: prospect.phoneNumber,
+      name: prospect.name || null,
+      company: prospect.company || null,
+      conversationState: prospect.conversationState || null,
+      messages
+    };
+  });
+
+  // Forzar el estado de la conversación
+  router.post('/api/prospects/:phone/state', async (req, res, { params, body }) => {
+    const prospect = await requireProspect(params.phone);
+    const { conversationState } = body;
+
+    if (!CONVERSATION_STATES.includes(conversationState)) {
+      throw new HttpError(400, `Estado inválido. Valores permitidos: ${CONVERSATION_STATES.join(', ')}`);
+    }
+
+    // Por la máquina de estados, para que el cambio llegue al embudo y al CRM
+    const newState = {
+      ...(await campaignFlow.transitionTo(prospect, conversationState, 'admin')),
+      stateForcedAt: new Date()
+    };
+    await updateProspectState(prospect.phoneNumber, newState);
+
+    logger.info(`Estado de ${prospect.phoneNumber} forzado de ${prospect.conversationState || 'nuevo'} a ${conversationState}`);
+    return newState;
+  });
+
+  // Fijar el idioma de la conversación (deja de detectarse por los mensajes);
+  // con { "language": null } se vuelve a la detección automática
+  router.post('/api/prospects/:phone/language', async (req, res, { params, body }) => {
+    const prospect = await requireProspect(params.phone);
+    const language = body.language === null ? null : normalizeLanguage(body.language);
+
+    if (body.language !== null && !language) {
+      throw new HttpError(400, `Idioma inválido. Valores permitidos: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    const newState = {
+      ...prospect,
+      language,
+      languageSource: language ? 'manual' : null
+    };
+    await updateProspectState(prospect.phoneNumber, newState);
+
+    logger.info(`Idioma de ${prospect.phoneNumber} ${language ? `fijado en ${language}` : 'en detección automática'}`);
+    return newState;
+  });
+
+  // Pausar el bot para un número (un vendedor atiende la conversación)
+  router.post('/api/prospects/:phone/pause', async (req, res, { params, body }) => {
+    const prospect = await requireProspect(params.phone);
+
+    const newState = {
+      ...(await handoffService.startHandoff(prospect, 'manual')),
+      botPausedNote: body.reason || null
+    };
+    await updateProspectState(prospect.phoneNumber, newState);
+
+    logger.info(`Bot pausado para ${prospect.phoneNumber}`);
+    return newState;
+  });
+
+  // Reanudar el bot para un número
+  router.post('/api/prospects/:phone/resume', async (req, res, { params }) => {
+    const prospect = await requireProspect(params.phone);
+
+    const newState = {
+      ...(await handoffService.endHandoff(prospect)),
+      botPausedNote: null
+    };
+    await updateProspectState(prospect.phoneNumber, newState);
+
+    logger.info(`Bot reanudado para ${prospect.phoneNumber}`);
+    return newState;
+  });
+
+  // Historial de consentimiento y si el número está en la lista de no contactar
+  router.get('/api/prospects/:phone/consent', async (req, res, { params }) => {
+    const phoneNumber = normalizePhoneNumber(params.phone);
+
+    return {
+      phoneNumber,
+      doNotContact: await consentService.isDoNotContact(phoneNumber),
+      records: await consentService.getConsentRecords(phoneNumber)
+    };
+  });
+
+  // Dar de baja un número (por ejemplo, si lo pidió por otro canal)
+  router.post('/api/prospects/:phone/opt-out', async (req, res, { params, body }) => {
+    const phoneNumber = normalizePhoneNumber(params.phone);
+
+    await consentService.optOut(phoneNumber, { source: 'admin', message: body.reason || null });
+    const prospect = await setOptedOut(phoneNumber, true);
+
+    return { success: true, phoneNumber, doNotContact: true, prospect };
+  });
+
+  // Volver a permitir mensajes a un número
+  router.post('/api/prospects/:phone/opt-in', async (req, res, { params, body }) => {
+    const phoneNumber = normalizePhoneNumber(params.phone);
+
+    await consentService.optIn(phoneNumber, { source: 'admin', message: body.reason || null });
+    const prospect = await setOptedOut(phoneNumber, false);
+
+    return { success: true, phoneNumber, doNotContact: false, prospect };
+  });
+
+  // Eliminar todos los datos de un prospecto (derecho de supresión)
+  router.delete('/api/prospects/:phone', async (req, res, { params }) => {
+    return eraseProspect(normalizePhoneNumber(params.phone), { source: 'admin' });
+  });
+
+  // Lista de números que no se deben contactar
+  router.get('/api/consent/do-not-contact', async () => {
+    const entries = await consentService.listDoNotContact();
+    return { total: entries.length, entries };
+  });
+
+  // Reenviar la última respuesta del bot (o un texto indicado)
+  router.post('/api/prospects/:phone/resend', async (req, res, { params, body }) => {
+    const prospect = await requireProspect(params.phone);
+    const text = body.text || prospect.lastResponse;
+
+    if (await consentService.isDoNotContact(prospect.phoneNumber)) {
+      throw new HttpError(409, `${prospect.phoneNumber} está en la lista de no contactar`);
+    }
+
+    if (!text) {
+      throw new HttpError(400, 'No hay ninguna respuesta previa para reenviar');
+    }
+
+    const transport = getActiveTransport();
+    if (!transport || !transport.isReady) {
+      throw new HttpError(503, 'El transporte de WhatsApp no está conectado');
+    }
+
+    await transport.sendText(prospect.phoneNumber, text);
+    await recordMessage(prospect.phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      content: text,
+      conversationState: prospect.conversationState,
+      metadata: { resent: true }
+    });
+    logger.logWhatsAppMessage('outgoing', prospect.phoneNumber, text);
+
+    return { success: true, phoneNumber: prospect.phoneNumber, text };
+  });
+}
+
+module.exports = {
+  registerProspectRoutes,
+  CONVERSATION_STATES
+};
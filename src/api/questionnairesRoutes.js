@@ -0,0 +1,66 @@
+/**
+ * Rutas de la API de administración para los cuestionarios de calificación
+ */
+
+const questionnaireService = require('../services/questionnaireService');
+const { HttpError } = require('./router');
+
+/**
+ * Resumen de un cuestionario para el listado
+ * @param {Object} questionnaire - Cuestionario
+ * @returns {Object}
+ */
+function summarize(questionnaire) {
+  return {
+    id: questionnaire.id,
+    name: questionnaire.name || questionnaire.id,
+    campaigns: questionnaire.campaigns,
+    questions: questionnaire.questions.map(question => question.id),
+    source: questionnaire.source
+  };
+}
+
+/**
+ * Registra las rutas de cuestionarios en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerQuestionnaireRoutes(router) {
+  // Listar los cuestionarios disponibles
+  router.get('/api/questionnaires', async () => {
+    const questionnaires = await questionnaireService.loadQuestionnaires();
+    return { total: questionnaires.length, questionnaires: questionnaires.map(summarize) };
+  });
+
+  // Recargar los archivos y la base de datos sin esperar al intervalo
+  router.post('/api/questionnaires/reload', async () => {
+    const questionnaires = await questionnaireService.reloadQuestionnaires();
+    return { total: questionnaires.length, questionnaires: questionnaires.map(summarize) };
+  });
+
+  // Ver un cuestionario completo
+  router.get('/api/questionnaires/:id', async (req, res, { params }) => {
+    const questionnaire = await questionnaireService.getQuestionnaire(params.id);
+
+    if (!questionnaire) {
+      throw new HttpError(404, `No existe el cuestionario ${params.id}`);
+    }
+
+    return questionnaire;
+  });
+
+  // Crear o reemplazar un cuestionario (se guarda en MongoDB)
+  router.post('/api/questionnaires', async (req, res, { body }) => {
+    try {
+      return await questionnaireService.saveQuestionnaire(body);
+    } catch (error) {
+      if (error.validationErrors) {
+        throw new HttpError(400, error.message);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  registerQuestionnaireRoutes
+};
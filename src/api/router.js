@@ -0,0 +1,184 @@
+/**
+ * Enrutador HTTP mínimo para la API de administración
+ *
+ * Soporta parámetros en la ruta (/api/prospects/:phone), lectura del cuerpo JSON
+ * y respuestas JSON, sin depender de frameworks externos.
+ */
+
+const logger = require('../utils/logger');
+
+// Tamaño máximo del cuerpo de una petición (1 MB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - Código de estado HTTP
+   * @param {string} message - Mensaje de error
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Registra una ruta
+   * @param {string} method - Método HTTP
+   * @param {string} pattern - Ruta con parámetros (ej. /api/prospects/:phone)
+   * @param {Function} handler - Función (req, res, context) que devuelve el cuerpo de la respuesta
+   */
+  add(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+
+    this.routes.push({ method, regex, keys, handler });
+    return this;
+  }
+
+  get(pattern, handler) {
+    return this.add('GET', pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.add('POST', pattern, handler);
+  }
+
+  delete(pattern, handler) {
+    return this.add('DELETE', pattern, handler);
+  }
+
+  /**
+   * Atiende una petición si alguna ruta coincide
+   * @param {http.IncomingMessage} req - Petición
+   * @param {http.ServerResponse} res - Respuesta
+   * @returns {Promise<boolean>} - True si la petición fue atendida
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = url.pathname.match(route.regex);
+      if (!match) continue;
+
+      pathMatched = true;
+      if (route.method !== req.method) continue;
+
+      try {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = decodeParam(match[index + 1]);
+        });
+
+        const body = req.method === 'GET' ? {} : await readJsonBody(req);
+        const result = await route.handler(req, res, {
+          params,
+          query: Object.fromEntries(url.searchParams),
+          body
+        });
+
+        // El handler puede haber respondido por su cuenta (ej. HTML o archivos)
+        if (!res.writableEnded) {
+          sendJson(res, 200, result === undefined ? { success: true } : result);
+        }
+      } catch (error) {
+        const statusCode = error.statusCode || 500;
+        if (statusCode >= 500) {
+          logger.error(`Error en ${req.method} ${url.pathname}:`, error);
+        }
+        sendJson(res, statusCode, { error: error.message });
+      }
+
+      return true;
+    }
+
+    if (pathMatched) {
+      sendJson(res, 405, { error: 'Método no permitido' });
+      return true;
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Decodifica un parámetro de la ruta
+ * @param {string} value - Valor tal como viene en la URL
+ * @returns {string} - Valor decodificado
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, `Parámetro inválido en la ruta: ${value}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lee y parsea el cuerpo JSON de una petición
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {Promise<Object>} - Cuerpo parseado
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    // Los fragmentos se unen como bytes: un carácter UTF-8 puede quedar partido entre dos
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'El cuerpo de la petición es demasiado grande'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const rawBody = Buffer.concat(chunks).toString('utf8');
+      if (!rawBody) {
+        resolve({});
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(rawBody));
+      } catch (error) {
+        reject(new HttpError(400, 'El cuerpo de la petición no es un JSON válido'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Envía una respuesta JSON
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} statusCode - Código de estado HTTP
+ * @param {Object} data - Datos a enviar
+ */
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = {
+  Router,
+  HttpError,
+  sendJson,
+  readJsonBody
+};
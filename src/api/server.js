@@ -0,0 +1,140 @@
+/**
+ * Servidor HTTP de la API de administración
+ *
+ * Permite a ventas consultar prospectos, su historial y controlar el bot
+ * sin acceder directamente a MongoDB. También sirve el panel web de ventas.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { Router, sendJson } = require('./router');
+const { registerProspectRoutes } = require('./prospectsRoutes');
+const { registerQuestionnaireRoutes } = require('./questionnairesRoutes');
+const { registerTemplateRoutes } = require('./templatesRoutes');
+const { registerBroadcastRoutes } = require('./broadcastsRoutes');
+const { registerAnalyticsRoutes } = require('./analyticsRoutes');
+const { registerDashboardRoutes, serveDashboard, isDashboardEnabled } = require('./dashboardRoutes');
+
+let server = null;
+
+/**
+ * Crea el enrutador con todas las rutas de la API
+ * @returns {Router} - Enrutador configurado
+ */
+function createRouter() {
+  const router = new Router();
+
+  router.get('/api/health', async () => ({ status: 'ok', uptime: process.uptime() }));
+  registerProspectRoutes(router);
+  registerQuestionnaireRoutes(router);
+  registerTemplateRoutes(router);
+  registerBroadcastRoutes(router);
+  registerAnalyticsRoutes(router);
+  registerDashboardRoutes(router);
+
+  return router;
+}
+
+/**
+ * Verifica la clave de la API enviada en la cabecera
+ * @param {http.IncomingMessage} req - Petición
+ * @param {string} apiKey - Clave esperada
+ * @returns {boolean} - True si la petición está autorizada
+ */
+function isAuthorized(req, apiKey) {
+  const header = req.headers['x-api-key'] || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!apiKey) {
+    return false;
+  }
+
+  // Comparación en tiempo constante para no revelar la clave por el tiempo de respuesta
+  const headerBuffer = Buffer.from(String(header));
+  const apiKeyBuffer = Buffer.from(apiKey);
+
+  return headerBuffer.length === apiKeyBuffer.length &&
+         crypto.timingSafeEqual(headerBuffer, apiKeyBuffer);
+}
+
+/**
+ * Crea el servidor HTTP de administración
+ * @param {Object} options - Opciones
+ * @param {string} options.apiKey - Clave requerida en la cabecera x-api-key
+ * @returns {http.Server} - Servidor HTTP (sin iniciar)
+ */
+function createAdminServer({ apiKey }) {
+  const router = createRouter();
+
+  return http.createServer(async (req, res) => {
+    try {
+      // El panel web no tiene datos: los pide a la API con la clave del vendedor
+      if (serveDashboard(req, res)) {
+        return;
+      }
+
+      if (!isAuthorized(req, apiKey)) {
+        sendJson(res, 401, { error: 'No autorizado' });
+        return;
+      }
+
+      const handled = await router.handle(req, res);
+      if (!handled) {
+        sendJson(res, 404, { error: 'Ruta no encontrada' });
+      }
+    } catch (error) {
+      logger.error('Error en la API de administración:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Error interno del servidor' });
+      }
+    }
+  });
+}
+
+/**
+ * Inicia la API de administración si está configurada
+ * @returns {Promise<http.Server|null>} - Servidor iniciado o null si está deshabilitada
+ */
+async function startAdminApi() {
+  const apiKey = process.env.ADMIN_API_KEY;
+  const port = parseInt(process.env.ADMIN_API_PORT || '3001', 10);
+
+  if (!apiKey) {
+    logger.warn('ADMIN_API_KEY no configurada, la API de administración está deshabilitada');
+    return null;
+  }
+
+  server = createAdminServer({ apiKey });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  logger.info(`API de administración escuchando en el puerto ${port}`);
+  console.log(`API de administración disponible en http://localhost:${port}/api`);
+  if (isDashboardEnabled()) {
+    console.log(`Panel de ventas disponible en http://localhost:${port}/dashboard`);
+  }
+
+  return server;
+}
+
+/**
+ * Detiene la API de administración
+ * @returns {Promise<void>}
+ */
+async function stopAdminApi() {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+}
+
+module.exports = {
+  createAdminServer,
+  startAdminApi,
+  stopAdminApi
+};
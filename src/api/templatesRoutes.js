@@ -0,0 +1,28 @@
+/**
+ * Rutas de la API de administración para las plantillas de respuesta y sus pruebas A/B
+ */
+
+const templateService = require('../services/templateService');
+const { countTemplateVariants } = require('../whatsappHandler');
+
+/**
+ * Registra las rutas de plantillas en el enrutador
+ * @param {Router} router - Enrutador de la API
+ */
+function registerTemplateRoutes(router) {
+  // Ver el catálogo de plantillas
+  router.get('/api/templates', async () => templateService.getTemplates());
+
+  // Recargar el catálogo tras editar el archivo
+  router.post('/api/templates/reload', async () => templateService.reloadTemplates());
+
+  // Resultados de cada variante: asignados, invitaciones y demos agendadas
+  router.get('/api/templates/stats', async () => {
+    const { prospects, variants } = await countTemplateVariants();
+    return { prospects, variants: templateService.formatTemplateStats(variants) };
+  });
+}
+
+module.exports = {
+  registerTemplateRoutes
+};
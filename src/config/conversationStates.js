@@ -0,0 +1,125 @@
+/**
+ * Definición declarativa de la máquina de estados de la conversación
+ *
+ * Es la única fuente de verdad de los estados del prospecto: el flujo de campaña
+ * despacha cada mensaje según este archivo, valida los cambios de estado que
+ * devuelven los flujos y el diagrama para el equipo comercial se genera desde aquí
+ * (npm run states:diagram).
+ *
+ * Cada estado define:
+ * - label / description: nombre y explicación para el equipo comercial
+ * - transitions: estados a los que puede pasar tras un mensaje (además de quedarse)
+ * - timeout: { hours, to } pasa a otro estado si el prospecto no escribe en ese tiempo
+ * - onEnter / onExit: hooks (por nombre) que se ejecutan al entrar o salir del estado
+ * - qualified: el prospecto ya calificó (se le asigna un vendedor)
+ * - external: lo controla otro servicio (no tiene flujo propio)
+ */
+
+const STATES = {
+  GREETING: 'greeting',
+  INITIAL_QUALIFICATION: 'initial_qualification',
+  QUALIFIED: 'qualified',
+  INVITATION: 'invitation',
+  CHECKOUT: 'checkout',
+  APPOINTMENT_SCHEDULING: 'appointment_scheduling',
+  APPOINTMENT_CONFIRMED: 'appointment_confirmed',
+  NURTURING: 'nurturing',
+  COMPLETED: 'completed',
+  CLOSED: 'closed',
+  HUMAN_HANDOFF: 'human_handoff'
+};
+
+const CONVERSATION_MACHINE = {
+  // Estado de los prospectos nuevos (sin conversationState)
+  initial: STATES.GREETING,
+
+  // Estados a los que se puede pasar desde cualquier otro
+  fromAnyState: [STATES.HUMAN_HANDOFF],
+
+  states: {
+    [STATES.GREETING]: {
+      label: 'Saludo',
+      description: 'El bot se presenta y pide nombre y empresa',
+      transitions: [STATES.INITIAL_QUALIFICATION]
+    },
+    [STATES.INITIAL_QUALIFICATION]: {
+      label: 'Calificación',
+      description: 'Cuestionario de calificación de la campaña (por defecto flota, solución actual, plazo y rol)',
+      transitions: [STATES.GREETING, STATES.QUALIFIED, STATES.APPOINTMENT_SCHEDULING, STATES.NURTURING],
+      timeout: { hours: 336, to: STATES.CLOSED }
+    },
+    [STATES.QUALIFIED]: {
+      label: 'Calificado',
+      description: 'Se decide entre invitación a demo (alto valor) o cierre (checkout)',
+      transitions: [
+        STATES.INVITATION,
+        STATES.CHECKOUT,
+        STATES.APPOINTMENT_SCHEDULING,
+        STATES.APPOINTMENT_CONFIRMED,
+        STATES.NURTURING,
+        STATES.CLOSED
+      ],
+      qualified: true,
+      onEnter: ['assignSeller']
+    },
+    [STATES.INVITATION]: {
+      label: 'Invitación a demo',
+      description: 'Se ofrece una demostración y se coordina horario y correo',
+      transitions: [STATES.APPOINTMENT_CONFIRMED, STATES.NURTURING],
+      timeout: { hours: 168, to: STATES.NURTURING },
+      qualified: true,
+      onEnter: ['assignSeller', 'trackInvitationConversion']
+    },
+    [STATES.CHECKOUT]: {
+      label: 'Checkout',
+      description: 'Prospecto de bajo valor: se ofrece información y se cierra con cortesía',
+      transitions: [STATES.CLOSED],
+      timeout: { hours: 168, to: STATES.CLOSED },
+      qualified: true,
+      onEnter: ['assignSeller']
+    },
+    [STATES.APPOINTMENT_SCHEDULING]: {
+      label: 'Coordinando cita',
+      description: 'El prospecto pidió una llamada y se espera fecha y hora',
+      transitions: [STATES.APPOINTMENT_CONFIRMED, STATES.NURTURING],
+      timeout: { hours: 72, to: STATES.NURTURING },
+      qualified: true,
+      onEnter: ['assignSeller']
+    },
+    [STATES.APPOINTMENT_CONFIRMED]: {
+      label: 'Demo agendada',
+      description: 'Cita creada en Google Calendar; se atienden recordatorios, cambios y cancelaciones',
+      transitions: [STATES.NURTURING],
+      qualified: true,
+      onEnter: ['assignSeller', 'trackDemoConversion'],
+      onExit: ['clearRescheduleProposal']
+    },
+    [STATES.NURTURING]: {
+      label: 'Nutrición',
+      description: 'Se envió información; se responde a dudas hasta que pida una llamada',
+      transitions: [STATES.APPOINTMENT_SCHEDULING],
+      timeout: { hours: 720, to: STATES.CLOSED }
+    },
+    [STATES.COMPLETED]: {
+      label: 'Completado',
+      description: 'Conversación terminada y enviada al CRM; un nuevo mensaje la reinicia',
+      transitions: [STATES.GREETING, STATES.INITIAL_QUALIFICATION]
+    },
+    [STATES.CLOSED]: {
+      label: 'Cerrado',
+      description: 'Conversación cerrada; un nuevo mensaje reinicia el saludo conservando los datos',
+      transitions: [STATES.GREETING, STATES.INITIAL_QUALIFICATION]
+    },
+    [STATES.HUMAN_HANDOFF]: {
+      label: 'Atención humana',
+      description: 'El vendedor atiende la conversación; al reanudar vuelve al estado anterior',
+      transitions: '*',
+      external: true
+    }
+  }
+};
+
+module.exports = {
+  STATES,
+  CONVERSATION_MACHINE
+};
@@ -25,19 +25,15 @@ async function handleIncomingMessage(sock, message) {
     let response;
     
     switch (prospectState.conversationState) {
-      case CONVERSATION_STATES.INITIAL:
-        response = await handleInitialGreeting(sock, remoteJid, prospectState);
-        break;
-        
       case CONVERSATION_STATES.GREETING:
         response = await handleQualificationStart(sock, remoteJid, prospectState, text);
         break;
         
-      case CONVERSATION_STATES.QUALIFICATION:
+      case CONVERSATION_STATES.INITIAL_QUALIFICATION:
         response = await handleQualificationProcess(sock, remoteJid, prospectState, text);
         break;
         
-      case CONVERSATION_STATES.INTEREST_VALIDATION:
+      case CONVERSATION_STATES.QUALIFIED:
         response = await handleInterestValidation(sock, remoteJid, prospectState, text);
         break;
         
@@ -45,16 +41,16 @@ async function handleIncomingMessage(sock, message) {
         response = await handleAppointmentScheduling(sock, remoteJid, prospectState, text);
         break;
         
-      case CONVERSATION_STATES.CLOSING:
+      case CONVERSATION_STATES.CLOSED:
         response = await handleClosing(sock, remoteJid, prospectState, text);
         break;
         
-      case CONVERSATION_STATES.GENERAL_INQUIRY:
+      case CONVERSATION_STATES.NURTURING:
         response = await handleGeneralInquiry(sock, remoteJid, prospectState, text);
         break;
         
       default:
-        // Si no hay un estado válido, iniciar desde el saludo
+        // Prospecto nuevo o sin un estado válido: iniciar desde el saludo
         response = await handleInitialGreeting(sock, remoteJid, prospectState);
     }
     
@@ -102,7 +98,7 @@ async function handleQualificationStart(sock, remoteJid, prospectState, text) {
   // Guardar el nombre del prospecto
   await updateProspectState(prospectState.phoneNumber, {
     name: text,
-    conversationState: CONVERSATION_STATES.QUALIFICATION,
+    conversationState: CONVERSATION_STATES.INITIAL_QUALIFICATION,
     qualificationStep: 0,
     qualificationAnswers: {},
     lastInteraction: new Date()
@@ -130,7 +126,7 @@ async function handleQualificationProcess(sock, remoteJid, prospectState, text)
     // Pasar al siguiente estado
     await updateProspectState(prospectState.phoneNumber, {
       qualificationAnswers: answers,
-      conversationState: CONVERSATION_STATES.INTEREST_VALIDATION,
+      conversationState: CONVERSATION_STATES.QUALIFIED,
       lastInteraction: new Date()
     });
     
@@ -206,7 +202,7 @@ Por favor, responde con el número de la opción que prefieras.`;
   } else {
     // Actualizar estado para consultas generales
     await updateProspectState(prospectState.phoneNumber, {
-      conversationState: CONVERSATION_STATES.GENERAL_INQUIRY,
+      conversationState: CONVERSATION_STATES.NURTURING,
       lastInteraction: new Date()
     });
     
@@ -227,7 +223,7 @@ async function handleAppointmentScheduling(sock, remoteJid, prospectState, text)
     
     // Actualizar estado a cierre
     await updateProspectState(prospectState.phoneNumber, {
-      conversationState: CONVERSATION_STATES.CLOSING,
+      conversationState: CONVERSATION_STATES.CLOSED,
       appointmentDetails,
       lastInteraction: new Date()
     });
@@ -262,7 +258,7 @@ async function handleClosing(sock, remoteJid, prospectState, text) {
   if (analysis.includes('CONSULTA')) {
     // Cambiar a modo de consulta general
     await updateProspectState(prospectState.phoneNumber, {
-      conversationState: CONVERSATION_STATES.GENERAL_INQUIRY,
+      conversationState: CONVERSATION_STATES.NURTURING,
       lastInteraction: new Date()
     });
     
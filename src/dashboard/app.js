@@ -0,0 +1,396 @@
+/**
+ * Panel de ventas: conversaciones en vivo, próximas demos y embudo
+ *
+ * Todos los datos se piden a la API de administración con la clave guardada en
+ * el navegador (localStorage), enviada en la cabecera x-api-key.
+ */
+
+(function () {
+  'use strict';
+
+  // Segundos entre cada actualización de la lista y de la conversación abierta
+  const REFRESH_SECONDS = 10;
+  const KEY_STORAGE = 'salesDashboardApiKey';
+
+  const state = {
+    apiKey: localStorage.getItem(KEY_STORAGE),
+    view: 'conversations',
+    stateLabels: {},
+    selectedPhone: null,
+    selectedProspect: null,
+    lastMessageCount: 0,
+    timer: null
+  };
+
+  const $ = id => document.getElementById(id);
+
+  class UnauthorizedError extends Error {}
+
+  /**
+   * Petición a la API de administración
+   * @param {string} path - Ruta con la query (/api/prospects?q=...)
+   * @param {Object} options - Opciones de fetch (method, body)
+   * @returns {Promise<Object|string>} - JSON, o texto si la respuesta no es JSON
+   */
+  async function api(path, options = {}) {
+    const response = await fetch(path, {
+      method: options.method || 'GET',
+      headers: { 'x-api-key': state.apiKey, 'Content-Type': 'application/json' },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (response.status === 401) {
+      throw new UnauthorizedError('No autorizado');
+    }
+
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    const data = isJson ? await response.json() : await response.text();
+    if (!response.ok) {
+      throw new Error(data.error || `Error ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Crea un elemento con clase y texto (el texto nunca se interpreta como HTML)
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = text;
+    return node;
+  }
+
+  function formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleString('es', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  function stateBadge(conversationState) {
+    return el('span', `badge state-${conversationState || 'new'}`, state.stateLabels[conversationState] || conversationState || 'Nuevo');
+  }
+
+  function scoreBadge(prospect) {
+    if (prospect.leadScore === undefined || prospect.leadScore === null) {
+      return el('span', 'score', '–');
+    }
+    const tier = String(prospect.leadTier || '').toLowerCase();
+    return el('span', `score tier-${tier}`, `${prospect.leadScore}${prospect.leadTier ? ` · ${prospect.leadTier}` : ''}`);
+  }
+
+  function handleError(error) {
+    if (error instanceof UnauthorizedError) {
+      showLogin(true);
+      return;
+    }
+    console.error(error);
+    $('updated-at').textContent = `Error: ${error.message}`;
+  }
+
+  // ---------- Conversaciones ----------
+
+  async function loadProspects() {
+    const params = new URLSearchParams({ limit: '100' });
+    if ($('search').value.trim()) params.set('q', $('search').value.trim());
+    if ($('state-filter').value) params.set('state', $('state-filter').value);
+
+    const { prospects, total } = await api(`/api/prospects?${params}`);
+    $('list-total').textContent = `${total} conversaciones${total > prospects.length ? ` (se muestran ${prospects.length})` : ''}`;
+
+    const list = $('prospect-list');
+    list.replaceChildren(...prospects.map(prospect => {
+      const item = el('li', prospect.phoneNumber === state.selectedPhone ? 'selected' : '');
+      const title = el('div', 'row');
+      title.append(el('strong', null, prospect.name || prospect.phoneNumber), scoreBadge(prospect));
+
+      const detail = el('div', 'row');
+      detail.append(stateBadge(prospect.conversationState), el('span', 'muted', formatDate(prospect.lastInteraction)));
+
+      item.append(title, el('div', 'muted', prospect.company || prospect.phoneNumber), detail);
+      item.addEventListener('click', () => selectProspect(prospect.phoneNumber));
+      return item;
+    }));
+  }
+
+  async function loadConversation() {
+    if (!state.selectedPhone) return;
+
+    const phone = encodeURIComponent(state.selectedPhone);
+    const [prospect, transcript] = await Promise.all([
+      api(`/api/prospects/${phone}`),
+      api(`/api/prospects/${phone}/transcript`)
+    ]);
+    state.selectedProspect = prospect;
+
+    $('chat-empty').hidden = true;
+    $('chat').hidden = false;
+    $('chat-name').replaceChildren(
+      document.createTextNode(`${prospect.name || prospect.phoneNumber} `),
+      stateBadge(prospect.conversationState),
+      scoreBadge(prospect)
+    );
+    $('chat-meta').textContent = [
+      prospect.company,
+      `+${prospect.phoneNumber}`,
+      prospect.campaign && `Campaña: ${prospect.campaign}`,
+      prospect.botPaused && prospect.botPausedReason && `Atención humana: ${prospect.botPausedReason}`
+    ].filter(Boolean).join(' · ');
+
+    const takeover = $('takeover');
+    takeover.textContent = prospect.botPaused ? 'Devolver al bot' : 'Tomar conversación';
+    takeover.className = prospect.botPaused ? 'secondary' : 'primary';
+
+    const messages = $('messages');
+    const atBottom = messages.scrollTop + messages.clientHeight >= messages.scrollHeight - 20;
+    messages.replaceChildren(...transcript.messages.map(message => {
+      const item = el('li', `message ${message.role}`);
+      const content = message.mediaUrl ? `[${message.type}] ${message.content || ''}` : message.content;
+      item.append(el('div', 'content', content), el('div', 'time', formatDate(message.timestamp)));
+      return item;
+    }));
+
+    // Bajar al último mensaje al abrir la conversación o si llegó uno nuevo
+    if (atBottom || transcript.messages.length !== state.lastMessageCount) {
+      messages.scrollTop = messages.scrollHeight;
+    }
+    state.lastMessageCount = transcript.messages.length;
+  }
+
+  function selectProspect(phoneNumber) {
+    state.selectedPhone = phoneNumber;
+    state.lastMessageCount = 0;
+    Promise.all([loadProspects(), loadConversation()]).catch(handleError);
+  }
+
+  async function toggleTakeover() {
+    const prospect = state.selectedProspect;
+    if (!prospect) return;
+
+    const action = prospect.botPaused ? 'resume' : 'pause';
+    $('takeover').disabled = true;
+    try {
+      await api(`/api/prospects/${encodeURIComponent(prospect.phoneNumber)}/${action}`, {
+        method: 'POST',
+        body: action === 'pause' ? { reason: 'Tomada desde el panel de ventas' } : {}
+      });
+      await Promise.all([loadProspects(), loadConversation()]);
+    } finally {
+      $('takeover').disabled = false;
+    }
+  }
+
+  // ---------- Próximas demos ----------
+
+  async function loadAppointments() {
+    const result = await api(`/api/dashboard/appointments?days=${$('appointment-days').value}`);
+
+    $('calendar-error').hidden = !result.calendarError;
+    $('calendar-error').textContent = result.calendarError ? `Google Calendar no disponible: ${result.calendarError}` : '';
+    $('appointments-empty').hidden = result.appointments.length > 0;
+
+    $('appointment-list').replaceChildren(...result.appointments.map(appointment => {
+      const row = el('tr');
+      const name = el('td');
+      const link = el('a', null, appointment.name || appointment.phoneNumber);
+      link.href = '#';
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        showView('conversations');
+        selectProspect(appointment.phoneNumber);
+      });
+      name.append(link);
+
+      const score = el('td');
+      score.append(scoreBadge(appointment));
+
+      const meeting = el('td');
+      if (appointment.meetLink) {
+        const meet = el('a', null, 'Abrir');
+        meet.href = appointment.meetLink;
+        meet.target = '_blank';
+        meet.rel = 'noopener';
+        meeting.append(meet);
+      }
+
+      row.append(
+        el('td', null, formatDate(appointment.startTime)),
+        name,
+        el('td', null, appointment.company || ''),
+        score,
+        el('td', null, appointment.attendanceConfirmed ? 'Confirmada' : 'Pendiente'),
+        meeting
+      );
+      return row;
+    }));
+  }
+
+  // ---------- Embudo ----------
+
+  function funnelQuery(format) {
+    const params = new URLSearchParams({ by: $('funnel-by').value });
+    if ($('funnel-from').value) params.set('from', $('funnel-from').value);
+    if ($('funnel-to').value) params.set('to', $('funnel-to').value);
+    if (format) params.set('format', format);
+    return `/api/analytics/funnel?${params}`;
+  }
+
+  /**
+   * Gráfico de barras horizontales (ancho relativo al valor máximo)
+   * @param {Array<Object>} rows - { label, value, note }
+   */
+  function renderBars(container, rows) {
+    const max = Math.max(1, ...rows.map(row => row.value));
+    container.replaceChildren(...rows.map(row => {
+      const item = el('div', 'bar-row');
+      const bar = el('div', 'bar');
+      bar.style.width = `${(row.value / max) * 100}%`;
+      const track = el('div', 'bar-track');
+      track.append(bar);
+      item.append(el('span', 'bar-label', row.label), track, el('span', 'bar-value', row.note ? `${row.value} (${row.note})` : String(row.value)));
+      return item;
+    }));
+
+    if (rows.length === 0) {
+      container.replaceChildren(el('p', 'muted', 'Sin datos'));
+    }
+  }
+
+  async function loadFunnel() {
+    const report = await api(funnelQuery());
+    const { totals } = report;
+
+    renderBars($('funnel-total'), [
+      { label: 'Prospectos', value: totals.leads },
+      ...report.stages.map(stage => ({ label: stage.label, value: totals[stage.id], note: `${totals[`${stage.id}Rate`]}%` }))
+    ]);
+    $('funnel-median').textContent = `Conversión total: ${totals.overallRate}%` +
+      (totals.medianHoursToBooking === null ? '' : ` · Mediana hasta agendar: ${totals.medianHoursToBooking} h`);
+
+    renderBars($('funnel-dropoff'), Object.entries(report.dropOff)
+      .sort((a, b) => b[1] - a[1])
+      .map(([conversationState, count]) => ({ label: state.stateLabels[conversationState] || conversationState, value: count })));
+
+    const dimension = $('funnel-by').value;
+    $('funnel-breakdown-title').textContent = `Por ${$('funnel-by').selectedOptions[0].textContent.toLowerCase()}`;
+
+    const head = el('tr');
+    head.append(el('th', null, ''), el('th', null, 'Prospectos'), ...report.stages.map(stage => el('th', null, stage.label)), el('th', null, 'Total'));
+    $('funnel-breakdown-head').replaceChildren(head);
+
+    $('funnel-breakdown').replaceChildren(...(report.breakdowns[dimension] || []).map(group => {
+      const row = el('tr');
+      row.append(
+        el('td', null, group.key),
+        el('td', null, String(group.leads)),
+        ...report.stages.map(stage => el('td', null, `${group[stage.id]} (${group[`${stage.id}Rate`]}%)`)),
+        el('td', null, `${group.overallRate}%`)
+      );
+      return row;
+    }));
+  }
+
+  async function downloadCsv(event) {
+    event.preventDefault();
+    const csv = await api(funnelQuery('csv'));
+    const link = el('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = 'embudo.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // ---------- Navegación y actualización ----------
+
+  const LOADERS = {
+    conversations: () => Promise.all([loadProspects(), loadConversation()]),
+    appointments: loadAppointments,
+    funnel: loadFunnel
+  };
+
+  async function refresh() {
+    try {
+      await LOADERS[state.view]();
+      $('updated-at').textContent = `Actualizado ${new Date().toLocaleTimeString('es')}`;
+    } catch (error) {
+      handleError(error);
+    }
+  }
+
+  function showView(view) {
+    state.view = view;
+    document.querySelectorAll('.tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+    document.querySelectorAll('.view').forEach(section => {
+      section.hidden = section.id !== `view-${view}`;
+    });
+    refresh();
+  }
+
+  async function start() {
+    const { states } = await api('/api/dashboard/states');
+    state.stateLabels = Object.fromEntries(states.map(item => [item.id, item.label]));
+    $('state-filter').replaceChildren(
+      el('option', null, 'Todos los estados'),
+      ...states.map(item => {
+        const option = el('option', null, item.label);
+        option.value = item.id;
+        return option;
+      })
+    );
+    $('state-filter').firstChild.value = '';
+
+    $('login').hidden = true;
+    $('app').hidden = false;
+    clearInterval(state.timer);
+    state.timer = setInterval(refresh, REFRESH_SECONDS * 1000);
+    showView(state.view);
+  }
+
+  function showLogin(failed) {
+    clearInterval(state.timer);
+    $('app').hidden = true;
+    $('login').hidden = false;
+    $('login-error').hidden = !failed;
+    $('api-key').focus();
+  }
+
+  $('login-form').addEventListener('submit', event => {
+    event.preventDefault();
+    state.apiKey = $('api-key').value;
+    localStorage.setItem(KEY_STORAGE, state.apiKey);
+    start().catch(handleError);
+  });
+
+  $('logout').addEventListener('click', () => {
+    localStorage.removeItem(KEY_STORAGE);
+    state.apiKey = null;
+    showLogin(false);
+  });
+
+  document.querySelectorAll('.tab').forEach(tab => tab.addEventListener('click', () => showView(tab.dataset.view)));
+
+  let searchTimer = null;
+  $('search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadProspects().catch(handleError), 300);
+  });
+  $('state-filter').addEventListener('change', () => loadProspects().catch(handleError));
+  $('takeover').addEventListener('click', () => toggleTakeover().catch(handleError));
+  $('appointment-days').addEventListener('change', () => loadAppointments().catch(handleError));
+  $('funnel-form').addEventListener('submit', event => {
+    event.preventDefault();
+    loadFunnel().catch(handleError);
+  });
+  $('funnel-csv').addEventListener('click', event => downloadCsv(event).catch(handleError));
+
+  if (state.apiKey) {
+    start().catch(handleError);
+  } else {
+    showLogin(false);
+  }
+})();
@@ -0,0 +1,600 @@
+/**
+ * Flujo posterior a la cita agendada
+ *
+ * Maneja los mensajes de un prospecto con una demostración agendada: respuestas
+ * a los recordatorios (confirmar, reprogramar, cancelar) y pedidos en texto libre
+ * como "¿podemos moverla al jueves?". Los cambios se reflejan en Google Calendar,
+ * Make.com, Google Sheets y el CRM.
+ */
+
+const moment = require('moment-timezone');
+const { findNextAvailableSlot, updateEventTime, cancelEvent, confirmAttendee } = require('../services/calendarService');
+const { sendAppointmentUpdateToMake } = require('../services/webhookService');
+const { updateProspectInSheets } = require('../services/sheetsService');
+const { updateProspectInCRM } = require('../services/crmService');
+const { getAssignedSeller, getSellerCalendarIds } = require('../services/sellerService');
+const { formatAppointmentDate, getAppointmentStart, getMeetingLink } = require('../utils/appointmentUtils');
+const { t, getProspectLanguage } = require('../services/languageService');
+const logger = require('../utils/logger');
+const { STATES } = require('../config/conversationStates');
+
+// Días de la semana por idioma (ISO: 1 = lunes)
+const WEEKDAYS = {
+  es: { lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7 },
+  pt: { segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6, domingo: 7 },
+  en: { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7 }
+};
+
+// Horas sugeridas por franja del día
+const PERIOD_HOURS = {
+  morning: ['09:00', '10:00', '11:00'],
+  afternoon: ['15:00', '16:00', '17:00']
+};
+
+const DEFAULT_HOURS = ['10:00', '11:00', '15:00', '16:00'];
+
+// Respuestas a una propuesta, sobre el texto sin tildes ("sí" -> "si")
+const AFFIRMATIVE_REPLY = /\b(si|ok|perfecto|de acuerdo|claro|me (sirve|funciona)|dale|sim|perfeito|pode ser|combinado|yes|sure|works|sounds good)\b/;
+const NEGATIVE_REPLY = /\b(no|otro|otra|nao|outro|outra|another)\b/;
+
+// Negaciones que invierten el pedido que les sigue ("no quiero cancelar")
+const NEGATION = /\b(no|nao|nunca|jamas|don'?t|do not|never|not)\b/;
+
+/**
+ * Pasa un mensaje a minúsculas y sin tildes
+ * (sin la bandera u, \b no considera "í" parte de una palabra)
+ * @param {string} message - Mensaje del usuario
+ * @returns {string}
+ */
+function normalizeReply(message) {
+  return (message || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+class AppointmentFlow {
+  constructor() {
+    this.vendedorNombre = process.env.VENDEDOR_NOMBRE || 'Roberto Calvo';
+
+    // Opciones numeradas del recordatorio (solo valen como respuesta a un recordatorio)
+    this.reminderOptions = { 1: 'confirm', 2: 'reschedule', 3: 'cancel' };
+
+    // Patrones para identificar la intención del prospecto
+    this.intentPatterns = {
+      confirm: [
+        /\bconfirm/i,
+        /\ball[ií] estar(e\b|é)/i,
+        /\bah[ií] estar(e\b|é)/i,
+        /\bs[ií],? (voy\b|asistir(e\b|é))/i,
+        /\bestarei (l[aá]|presente)\b/i,
+        /\bvou (sim|participar)\b/i,
+        /\bi('ll| will) (be there|attend|join)\b/i
+      ],
+      reschedule: [
+        /\breprogram/i,
+        /\breagend/i,
+        /\b(cambiar|mover|pasar|correr|postergar|adelantar)(la|lo)?\b.*\b(fecha|hora|horario|cita|reuni[oó]n|demo|demostraci[oó]n|para|al|a la)\b/i,
+        /\b(moverla|pasarla|cambiarla|correrla)\b/i,
+        /\botro (d[ií]a|horario|momento)\b/i,
+        /\botra (fecha|hora)\b/i,
+        /\bno (puedo|podr[eé]) (el|ese|a esa|ma[nñ]ana|hoy)\b/i,
+        /\b(mudar|trocar|passar|adiar|antecipar)\b.*\b(data|hora|hor[aá]rio|reuni[aã]o|demo|demonstra[cç][aã]o|para)\b/i,
+        /\boutr[oa] (dia|hor[aá]rio|data|hora|momento)\b/i,
+        /\bn[aã]o (posso|poderei) (nesse|neste|amanh[aã]|hoje)\b/i,
+        /\breschedul/i,
+        /\b(move|change|push|postpone)\b.*\b(date|time|meeting|demo|call|to)\b/i,
+        /\b(another|other|different) (day|time|date)\b/i,
+        /\bcan'?t make it (today|tomorrow|then|at that time)\b/i
+      ],
+      cancel: [
+        /\bcancel/i,
+        /\banul/i,
+        /\bno (podr[eé]|voy a poder) (asistir|ir|conectarme)\b/i,
+        /\bya no (me interesa|necesito)\b/i,
+        /\bn[aã]o (vou poder|poderei) (participar|ir|comparecer)\b/i,
+        /\bn[aã]o (tenho mais interesse|preciso mais)\b/i,
+        /\b(can'?t|cannot|won'?t be able to) (attend|join)\b/i,
+        /\bno longer (interested|needed)\b/i
+      ]
+    };
+  }
+
+  /**
+   * Procesa un mensaje de un prospecto con cita agendada
+   * @param {string} message - Mensaje del usuario
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async handleMessage(message, prospectState) {
+    try {
+      // Respuesta a una propuesta de nuevo horario
+      if (prospectState.rescheduleProposal) {
+        return await this.handleRescheduleResponse(message, prospectState);
+      }
+
+      // Respuesta a la pregunta de si cancela la cita
+      if (prospectState.cancelProposal) {
+        return await this.handleCancelResponse(message, prospectState);
+      }
+
+      const language = getProspectLanguage(prospectState);
+      const intent = this.detectIntent(message, language, prospectState);
+      logger.info(`Intención detectada sobre la cita de ${prospectState.phoneNumber}: ${intent || 'ninguna'}`);
+
+      switch (intent) {
+        case 'confirm':
+          return await this.confirmAppointment(prospectState);
+        case 'reschedule':
+          return await this.proposeNewSlot(prospectState, this.extractPreferences(message, prospectState.timezone, language));
+        case 'cancel':
+          return this.proposeCancellation(prospectState);
+        default:
+          return this.remindAppointment(prospectState);
+      }
+    } catch (error) {
+      logger.error('Error en handleMessage de AppointmentFlow:', error.message);
+
+      return {
+        response: t('appointment.error', prospectState, { seller: getAssignedSeller(prospectState).name }),
+        newState: {
+          ...prospectState,
+          lastError: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Identifica si el mensaje confirma, reprograma o cancela la cita
+   * @param {string} message - Mensaje del usuario
+   * @param {string} language - Idioma del prospecto (para los días de la semana)
+   * @param {Object} prospectState - Estado del prospecto (cita agendada y recordatorio pendiente)
+   * @returns {string|null} - confirm | reschedule | cancel | null
+   */
+  detectIntent(message, language = 'es', prospectState = {}) {
+    if (!message) return null;
+
+    // "1", "2" o "3" solo son una opción si responden a un recordatorio
+    const option = message.trim().match(/^[123]$/);
+    if (option) {
+      return prospectState.awaitingReminderReply ? this.reminderOptions[option[0]] : null;
+    }
+
+    // Cancelar y reprogramar tienen prioridad sobre confirmar ("confirmo que quiero cancelar"),
+    // salvo que estén negados ("no quiero cancelar, allí estaré")
+    for (const intent of ['cancel', 'reschedule', 'confirm']) {
+      const matches = this.intentPatterns[intent].some(pattern => {
+        const match = message.match(pattern);
+        return Boolean(match) && (intent === 'confirm' || !this.isNegated(message, match));
+      });
+      if (matches) {
+        return intent;
+      }
+    }
+
+    // Una fecha u hora distinta de la cita también es un pedido de reprogramación
+    // ("nos vemos mañana" con la cita mañana no lo es)
+    const preferences = this.extractPreferences(message, prospectState.timezone, language);
+    if ((preferences.date || preferences.hour) && this.differsFromAppointment(preferences, prospectState)) {
+      return 'reschedule';
+    }
+
+    return null;
+  }
+
+  /**
+   * Verifica si hay una negación antes de la frase encontrada, en la misma cláusula
+   * @param {string} message - Mensaje del usuario
+   * @param {Array} match - Resultado de String.match con la frase
+   * @returns {boolean}
+   */
+  isNegated(message, match) {
+    const clause = normalizeReply(message.slice(0, match.index)).split(/[.,;:!?¿]/).pop();
+    return NEGATION.test(clause);
+  }
+
+  /**
+   * Verifica si el día o la hora mencionados son distintos de los de la cita agendada
+   * @param {Object} preferences - Preferencias extraídas del mensaje
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {boolean} - true si no coinciden (o si no hay cita con qué comparar)
+   */
+  differsFromAppointment(preferences, prospectState) {
+    const start = getAppointmentStart(prospectState);
+    if (!start) {
+      return true;
+    }
+
+    const local = start.clone().tz(prospectState.timezone || 'America/Lima');
+    return Boolean((preferences.date && preferences.date !== local.format('YYYY-MM-DD')) ||
+      (preferences.hour && preferences.hour !== local.format('HH:mm')));
+  }
+
+  /**
+   * Extrae el día, la hora o la franja preferida de un mensaje
+   * @param {string} message - Mensaje del usuario
+   * @param {string} timezone - Zona horaria del prospecto
+   * @param {string} language - Idioma del prospecto (es, pt o en)
+   * @returns {Object} - { date: 'YYYY-MM-DD'|null, hour: 'HH:mm'|null, period: 'morning'|'afternoon'|null }
+   */
+  extractPreferences(message, timezone = 'America/Lima', language = 'es') {
+    const text = (message || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+    const today = moment().tz(timezone).startOf('day');
+    const preferences = { date: null, hour: null, period: null };
+
+    // Día
+    const weekdays = WEEKDAYS[language] || WEEKDAYS.es;
+    if (/\b(pasado manana|depois de amanha|day after tomorrow)\b/.test(text)) {
+      preferences.date = today.clone().add(2, 'days');
+    } else if (/\b(?<!la |por la |en la )manana\b|\bamanha\b|\btomorrow\b/.test(text)) {
+      preferences.date = today.clone().add(1, 'day');
+    } else if (/\b(hoy|hoje|today)\b/.test(text)) {
+      preferences.date = today.clone();
+    } else {
+      const weekday = Object.keys(weekdays).find(day => new RegExp(`\\b${day}\\b`).test(text));
+      const dateMatch = text.match(/\b(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?\b/);
+
+      if (weekday) {
+        // Próxima ocurrencia del día (la semana siguiente si es hoy o ya pasó)
+        const date = today.clone().isoWeekday(weekdays[weekday]);
+        preferences.date = date.isAfter(today) ? date : date.add(1, 'week');
+      } else if (dateMatch) {
+        const year = dateMatch[3] ? (dateMatch[3].length === 2 ? `20${dateMatch[3]}` : dateMatch[3]) : today.year();
+        const date = moment.tz(`${year}-${dateMatch[2]}-${dateMatch[1]}`, 'YYYY-M-D', timezone);
+        if (date.isValid()) {
+          preferences.date = date.isBefore(today) && !dateMatch[3] ? date.add(1, 'year') : date;
+        }
+      }
+    }
+
+    // Hora ("a las 3", "às 3", "at 3", "15:00", "4 pm")
+    const hourMatch = text.match(/\b(?:a las?\s+|as\s+|at\s+)(\d{1,2})(?::(\d{2}))?\s*(am|pm|de la manana|de la tarde|da manha|da tarde|in the morning|in the afternoon)?\b/) ||
+                      text.match(/\b(\d{1,2}):(\d{2})\s*(am|pm)?\b/) ||
+                      text.match(/\b(\d{1,2})\s*(?:()(am|pm))\b/);
+    if (hourMatch) {
+      let hour = parseInt(hourMatch[1], 10);
+      const minute = hourMatch[2] || '00';
+      const suffix = hourMatch[3];
+
+      if ((suffix === 'pm' || /tarde|afternoon/.test(suffix || '')) && hour < 12) {
+        hour += 12;
+      } else if (!suffix && hour >= 1 && hour <= 6) {
+        // "a las 3" en horario laboral se entiende como la tarde
+        hour += 12;
+      }
+
+      if (hour >= 0 && hour <= 23) {
+        preferences.hour = `${String(hour).padStart(2, '0')}:${minute}`;
+      }
+    }
+
+    // Franja del día
+    if (/\b(en|por) la tarde\b|\b(a|de|pela) tarde\b|\bin the afternoon\b/.test(text)) {
+      preferences.period = 'afternoon';
+    } else if (/\b(en|por) la manana\b|\b(de|pela) manha\b|\bin the morning\b/.test(text)) {
+      preferences.period = 'morning';
+    }
+
+    return {
+      ...preferences,
+      date: preferences.date ? preferences.date.format('YYYY-MM-DD') : null
+    };
+  }
+
+  /**
+   * Confirma la asistencia del prospecto
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async confirmAppointment(prospectState) {
+    const eventId = prospectState.appointmentDetails?.calendarEventId;
+    const calendarId = prospectState.appointmentDetails?.calendarId;
+    const email = (prospectState.emails || [])[prospectState.emails?.length - 1];
+    await confirmAttendee(eventId, email, calendarId);
+
+    const start = getAppointmentStart(prospectState);
+    const link = getMeetingLink(prospectState);
+    const language = getProspectLanguage(prospectState);
+
+    return {
+      response: t('appointment.confirmed', language, {
+        name: prospectState.name ? `, ${prospectState.name}` : '',
+        date: formatAppointmentDate(start, prospectState.timezone, language)
+      }) + (link ? t('appointment.joinLink', language, { link }) : ''),
+      newState: {
+        ...prospectState,
+        attendanceConfirmed: true,
+        attendanceConfirmedAt: new Date(),
+        awaitingReminderReply: false
+      }
+    };
+  }
+
+  /**
+   * Busca un nuevo horario según las preferencias del prospecto
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @param {Object} preferences - Preferencias de extractPreferences
+   * @param {string} after - Solo horarios posteriores a esta fecha (ISO)
+   * @returns {Promise<Object|null>} - Horario disponible
+   */
+  async findSlot(prospectState, preferences = {}, after = null) {
+    const timezone = prospectState.timezone || 'America/Lima';
+    const currentStart = getAppointmentStart(prospectState);
+    const preferredHours = preferences.hour
+      ? [preferences.hour, ...(PERIOD_HOURS[preferences.period] || DEFAULT_HOURS)]
+      : PERIOD_HOURS[preferences.period] || DEFAULT_HOURS;
+
+    const calendarIds = getSellerCalendarIds(prospectState);
+
+    const isCurrentSlot = slot => currentStart && moment(slot.dateTime).isSame(currentStart);
+
+    // Primero intentar el día solicitado
+    if (preferences.date) {
+      const slot = await findNextAvailableSlot({ timezone, date: preferences.date, preferredHours, after, calendarIds });
+      if (slot && !isCurrentSlot(slot)) {
+        return slot;
+      }
+    }
+
+    // Si no hay día o no hay espacio ese día, buscar el siguiente disponible
+    let slot = await findNextAvailableSlot({ timezone, daysToLookAhead: 14, preferredHours, after, calendarIds });
+    if (slot && isCurrentSlot(slot)) {
+      slot = await findNextAvailableSlot({ timezone, daysToLookAhead: 14, preferredHours, after: slot.dateTime, calendarIds });
+    }
+
+    return slot;
+  }
+
+  /**
+   * Propone un nuevo horario para la cita
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @param {Object} preferences - Preferencias del prospecto
+   * @param {string} after - Solo horarios posteriores a esta fecha (ISO)
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async proposeNewSlot(prospectState, preferences = {}, after = null) {
+    const slot = await this.findSlot(prospectState, preferences, after);
+    const language = getProspectLanguage(prospectState);
+
+    if (!slot) {
+      return {
+        response: t('appointment.noSlots', language, { seller: getAssignedSeller(prospectState).name }),
+        newState: {
+          ...prospectState,
+          rescheduleProposal: null,
+          awaitingReminderReply: false
+        }
+      };
+    }
+
+    const requestedDay = preferences.date && moment.tz(slot.dateTime, prospectState.timezone || 'America/Lima').format('YYYY-MM-DD') !== preferences.date
+      ? t('appointment.dayUnavailable', language) : '';
+
+    return {
+      response: t('appointment.proposeSlot', language, {
+        intro: requestedDay || t('appointment.letsReschedule', language),
+        date: formatAppointmentDate(slot.dateTime, prospectState.timezone, language)
+      }),
+      newState: {
+        ...prospectState,
+        rescheduleProposal: { ...slot, preferences },
+        awaitingReminderReply: false
+      }
+    };
+  }
+
+  /**
+   * Procesa la respuesta a la propuesta de nuevo horario
+   * @param {string} message - Mensaje del usuario
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async handleRescheduleResponse(message, prospectState) {
+    const proposal = prospectState.rescheduleProposal;
+    const language = getProspectLanguage(prospectState);
+
+    if (this.detectIntent(message, language, prospectState) === 'cancel') {
+      return this.proposeCancellation({ ...prospectState, rescheduleProposal: null });
+    }
+
+    // El prospecto propone otro día u hora
+    const preferences = this.extractPreferences(message, prospectState.timezone, language);
+    if (preferences.date || preferences.hour) {
+      return this.proposeNewSlot(prospectState, preferences);
+    }
+
+    const reply = normalizeReply(message);
+    if (NEGATIVE_REPLY.test(reply)) {
+      return this.proposeNewSlot(prospectState, proposal.preferences || {}, proposal.dateTime);
+    }
+
+    if (!AFFIRMATIVE_REPLY.test(reply)) {
+      return {
+        response: t('appointment.proposeSlot', language, {
+          intro: '',
+          date: formatAppointmentDate(proposal.dateTime, prospectState.timezone, language)
+        }),
+        newState: prospectState
+      };
+    }
+
+    return this.rescheduleAppointment(prospectState, proposal);
+  }
+
+  /**
+   * Mueve la cita al horario aceptado y sincroniza los sistemas externos
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @param {Object} slot - Horario aceptado
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async rescheduleAppointment(prospectState, slot) {
+    const eventId = prospectState.appointmentDetails?.calendarEventId;
+    const calendarId = prospectState.appointmentDetails?.calendarId;
+    const updatedDetails = await updateEventTime(eventId, slot.dateTime, undefined, calendarId);
+    const link = getMeetingLink(prospectState);
+    const language = getProspectLanguage(prospectState);
+
+    const newState = {
+      ...prospectState,
+      appointmentDetails: {
+        ...prospectState.appointmentDetails,
+        ...updatedDetails,
+        meetLink: updatedDetails.meetLink || prospectState.appointmentDetails?.meetLink,
+        status: 'reprogramada'
+      },
+      selectedSlot: slot,
+      rescheduleProposal: null,
+      appointmentBookedAt: new Date(),
+      remindersSent: [],
+      remindersSkipped: [],
+      reminderFailures: 0,
+      attendanceConfirmed: false,
+      rescheduledCount: (prospectState.rescheduledCount || 0) + 1
+    };
+
+    logger.info(`Cita de ${prospectState.phoneNumber} reprogramada para ${slot.dateTime}`);
+    await this.syncAppointmentChange(newState, 'reprogramar_cita');
+
+    return {
+      response: t('appointment.rescheduled', language, { date: formatAppointmentDate(slot.dateTime, prospectState.timezone, language) }) +
+        (link ? t('appointment.sameLink', language, { link }) : ''),
+      newState
+    };
+  }
+
+  /**
+   * Pregunta si el prospecto quiere cancelar la cita antes de borrar el evento
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Object} - Respuesta y nuevo estado
+   */
+  proposeCancellation(prospectState) {
+    const language = getProspectLanguage(prospectState);
+
+    return {
+      response: t('appointment.confirmCancel', language, {
+        date: formatAppointmentDate(getAppointmentStart(prospectState), prospectState.timezone, language)
+      }),
+      newState: {
+        ...prospectState,
+        cancelProposal: true,
+        awaitingReminderReply: false
+      }
+    };
+  }
+
+  /**
+   * Procesa la respuesta a la pregunta de si cancela la cita
+   * @param {string} message - Mensaje del usuario
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async handleCancelResponse(message, prospectState) {
+    const language = getProspectLanguage(prospectState);
+    const state = { ...prospectState, cancelProposal: null };
+    const intent = this.detectIntent(message, language, state);
+    const reply = normalizeReply(message);
+
+    if (intent === 'reschedule') {
+      return this.proposeNewSlot(state, this.extractPreferences(message, prospectState.timezone, language));
+    }
+
+    if (intent === 'cancel') {
+      return this.cancelAppointment(state);
+    }
+
+    // "No", "no la canceles" o "allí estaré": la cita se mantiene
+    if (intent === 'confirm' || NEGATIVE_REPLY.test(reply)) {
+      return {
+        response: t('appointment.keepAppointment', language, {
+          date: formatAppointmentDate(getAppointmentStart(prospectState), prospectState.timezone, language)
+        }),
+        newState: state
+      };
+    }
+
+    if (AFFIRMATIVE_REPLY.test(reply)) {
+      return this.cancelAppointment(state);
+    }
+
+    return this.proposeCancellation(prospectState);
+  }
+
+  /**
+   * Cancela la cita
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async cancelAppointment(prospectState) {
+    const eventId = prospectState.appointmentDetails?.calendarEventId;
+    await cancelEvent(eventId, prospectState.appointmentDetails?.calendarId);
+
+    const newState = {
+      ...prospectState,
+      conversationState: STATES.NURTURING,
+      appointmentCreated: false,
+      appointmentDetails: {
+        ...prospectState.appointmentDetails,
+        status: 'cancelada'
+      },
+      appointmentCancelledAt: new Date(),
+      rescheduleProposal: null,
+      cancelProposal: null,
+      awaitingReminderReply: false
+    };
+
+    logger.info(`Cita de ${prospectState.phoneNumber} cancelada por el prospecto`);
+    await this.syncAppointmentChange(newState, 'cancelar_cita');
+
+    return {
+      response: t('appointment.cancelled', prospectState),
+      newState
+    };
+  }
+
+  /**
+   * Propaga un cambio de la cita a Make.com, Google Sheets y el CRM
+   * Los errores se registran pero no interrumpen la conversación
+   * @param {Object} prospectState - Estado con la cita actualizada
+   * @param {string} action - reprogramar_cita | cancelar_cita
+   */
+  async syncAppointmentChange(prospectState, action) {
+    const results = await Promise.allSettled([
+      sendAppointmentUpdateToMake(prospectState, action),
+      updateProspectInSheets(prospectState.phoneNumber, prospectState),
+      prospectState.crmId
+        ? updateProspectInCRM(prospectState.crmId, {
+          appointmentDate: prospectState.appointmentDetails?.date || null,
+          appointmentTime: prospectState.appointmentDetails?.time || null,
+          appointmentStatus: prospectState.appointmentDetails?.status || null,
+          appointmentLink: getMeetingLink(prospectState)
+        })
+        : Promise.resolve(null)
+    ]);
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => logger.error(`Error al sincronizar ${action} de ${prospectState.phoneNumber}:`, result.reason));
+  }
+
+  /**
+   * Recuerda los datos de la cita cuando el mensaje no es una de las opciones
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Object} - Respuesta y nuevo estado
+   */
+  remindAppointment(prospectState) {
+    const start = getAppointmentStart(prospectState);
+    const language = getProspectLanguage(prospectState);
+    const when = start ? t('appointment.reminderWhen', language, { date: formatAppointmentDate(start, prospectState.timezone, language) }) : '';
+
+    return {
+      response: t('appointment.reminder', language, { seller: getAssignedSeller(prospectState).name, when }),
+      newState: prospectState
+    };
+  }
+}
+
+module.exports = new AppointmentFlow();
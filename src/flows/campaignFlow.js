@@ -9,8 +9,18 @@ const logger = require('../utils/logger');
 const qualificationFlow = require('./qualificationFlow');
 const invitationFlow = require('./invitationFlow');
 const checkoutFlow = require('./checkoutFlow');
+const appointmentFlow = require('./appointmentFlow');
 const { withHumanDelayAsync } = require('../utils/humanDelay');
 const { saveProspectToSheets } = require('../services/sheetsService');
+const { needsSellerAssignment, assignSeller, getAssignedSeller } = require('../services/sellerService');
+const { trackConversion } = require('../services/templateService');
+const { getAttachments } = require('../services/mediaService');
+const { STATES, CONVERSATION_MACHINE } = require('../config/conversationStates');
+const { StateMachine } = require('../utils/stateMachine');
+const { getQuestionsByProspectType } = require('../services/questionnaireService');
+const { applyLeadScore } = require('../services/leadScoringService');
+const { recordTransition } = require('../services/analyticsService');
+const { t, includesKeyword } = require('../services/languageService');
 
 /**
  * Clase principal que maneja el flujo de la campaña
@@ -19,40 +29,41 @@ const { saveProspectToSheets } = require('../services/sheetsService');
 class CampaignFlow {
   constructor() {
     this.vendedorNombre = process.env.VENDEDOR_NOMBRE || 'Roberto Calvo';
-    this.states = {
-      GREETING: 'greeting',
-      INITIAL_QUALIFICATION: 'initial_qualification',
-      DEEP_QUALIFICATION: 'deep_qualification',
-      INVITATION: 'invitation',
-      CHECKOUT: 'checkout',
-      MEETING_OFFER: 'meeting_offer',
-      MEETING_SCHEDULING: 'meeting_scheduling',
-      EMAIL_COLLECTION: 'email_collection',
-      FOLLOW_UP: 'follow_up',
-      COMPLETED: 'completed'
-    };
+    this.states = STATES;
+    
+    // Máquina de estados: cada estado de src/config/conversationStates.js con su flujo
+    this.stateMachine = new StateMachine(CONVERSATION_MACHINE, {
+      handlers: {
+        [STATES.GREETING]: (message, prospectState) => greetingFlow.handleInitialGreeting(message, prospectState),
+        [STATES.INITIAL_QUALIFICATION]: (message, prospectState) => qualificationFlow.startQualification(message, prospectState),
+        [STATES.QUALIFIED]: (message, prospectState) => this.routeQualifiedProspect(message, prospectState),
+        [STATES.INVITATION]: (message, prospectState) => invitationFlow.startInvitation(message, prospectState),
+        [STATES.CHECKOUT]: (message, prospectState) => checkoutFlow.startCheckout(message, prospectState),
+        [STATES.APPOINTMENT_SCHEDULING]: (message, prospectState) => this.handleAppointmentScheduling(message, prospectState),
+        [STATES.APPOINTMENT_CONFIRMED]: (message, prospectState) => appointmentFlow.handleMessage(message, prospectState),
+        [STATES.NURTURING]: (message, prospectState) => this.handleNurturing(message, prospectState),
+        [STATES.COMPLETED]: (message, prospectState) => this.handleClosedConversation(message, prospectState),
+        [STATES.CLOSED]: (message, prospectState) => this.handleClosedConversation(message, prospectState)
+      },
+      hooks: {
+        // Asignar un vendedor en cuanto el prospecto califica
+        assignSeller: prospectState => needsSellerAssignment(prospectState) ? assignSeller(prospectState) : prospectState,
+        // Una propuesta de reprogramación o cancelación pendiente no aplica fuera de la cita
+        clearRescheduleProposal: prospectState => ({ ...prospectState, rescheduleProposal: null, cancelProposal: null }),
+        // Conversiones de las variantes de plantillas (pruebas A/B)
+        trackInvitationConversion: prospectState => trackConversion(prospectState, 'invitation'),
+        trackDemoConversion: prospectState => trackConversion(prospectState, 'demo')
+      },
+      // Cada cambio de estado queda como evento del embudo (ver analyticsService) y mueve el
+      // negocio del CRM de etapa, sin esperar al CRM
+      onTransition: async (prospectState, transition) => {
+        // Se carga al usarse: el manejador de mensajes usa este flujo
+        const { queueCrmSync } = require('../whatsappHandler');
+        queueCrmSync(prospectState);
+        await recordTransition(prospectState, transition);
+      }
+    });
     
-    // Preguntas específicas por tipo de prospecto
-    this.qualificationQuestions = {
-      CURIOSO: [
-        '¿Actualmente conduces algún tipo de vehículo pesado?',
-        '¿En qué empresa trabajas actualmente?',
-        '¿Conoces al encargado de seguridad o flota en tu empresa?'
-      ],
-      INFLUENCER: [
-        '¿Qué rol desempeñas en la gestión de la flota o seguridad?',
-        '¿Cuántas unidades o conductores tienen en su flota actualmente?',
-        '¿Qué problemas específicos han identificado con la fatiga de conductores?',
-        '¿Quién sería el encargado de evaluar esta solución en tu empresa?'
-      ],
-      ENCARGADO: [
-        '¿Qué estrategias están utilizando actualmente para gestionar la fatiga?',
-        '¿Cuál es el tamaño de su flota y en qué sectores operan?',
-        '¿Han tenido incidentes relacionados con fatiga en los últimos meses?',
-        '¿Tienen un presupuesto asignado para soluciones de seguridad este año?'
-      ]
-    };
-
     // Historial de mensajes para mantener contexto
     this.messageHistory = new Map();
 
@@ -89,6 +100,14 @@ class CampaignFlow {
     };
   }
 
+  /**
+   * Preguntas específicas por tipo de prospecto (CURIOSO, INFLUENCER, ENCARGADO)
+   * Vienen del cuestionario predeterminado, así se pueden cambiar sin desplegar
+   */
+  get qualificationQuestions() {
+    return getQuestionsByProspectType();
+  }
+
   addToHistory = (phoneNumber, message) => {
     if (!this.messageHistory.has(phoneNumber)) {
       this.messageHistory.set(phoneNumber, []);
@@ -103,6 +122,26 @@ class CampaignFlow {
     return this.messageHistory.get(phoneNumber) || [];
   };
 
+  clearHistory = (phoneNumber) => {
+    this.messageHistory.delete(phoneNumber);
+  };
+
+  /**
+   * Cambia el estado de la conversación sin un mensaje del prospecto (API de administración, campañas)
+   * Pasa por la máquina de estados para ejecutar los hooks y notificar la transición
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @param {string} conversationState - Nuevo estado
+   * @param {string} reason - Motivo (admin, broadcast)
+   * @returns {Promise<Object>} - Nuevo estado del prospecto (sin guardar)
+   */
+  async transitionTo(prospectState, conversationState, reason) {
+    return this.stateMachine.enterState(
+      { ...prospectState, conversationState },
+      prospectState.conversationState || null,
+      reason
+    );
+  }
+
   /**
    * Procesa un mensaje entrante y determina qué flujo debe manejarlo
    * @param {string} message - Mensaje del usuario
@@ -113,65 +152,8 @@ class CampaignFlow {
     try {
       logger.info(`Procesando mensaje: "${message}" en estado: ${prospectState.conversationState || 'nuevo'}`);
       
-      let result;
-      
-      // Si no hay estado o es un nuevo prospecto, iniciar con el saludo
-      if (!prospectState.conversationState || prospectState.conversationState === 'new') {
-        logger.info('Iniciando flujo de saludo para nuevo prospecto');
-        result = await greetingFlow.handleInitialGreeting(message, prospectState);
-      } else {
-        // Dirigir el mensaje al flujo correspondiente según el estado de la conversación
-        switch (prospectState.conversationState) {
-          case 'greeting':
-            logger.info('Continuando flujo de saludo');
-            result = await greetingFlow.handleInitialGreeting(message, prospectState);
-            break;
-            
-          case 'initial_qualification':
-            logger.info('Continuando flujo de calificación inicial');
-            result = await qualificationFlow.startQualification(message, prospectState);
-            break;
-            
-          case 'qualified':
-            logger.info('Prospecto ya calificado, evaluando siguiente paso');
-            // Evaluar si el prospecto califica para invitación o checkout
-            result = await this.routeQualifiedProspect(message, prospectState);
-            break;
-            
-          case 'invitation':
-            logger.info('Procesando flujo de invitación');
-            result = await invitationFlow.startInvitation(message, prospectState);
-            break;
-            
-          case 'checkout':
-            logger.info('Procesando flujo de checkout');
-            result = await checkoutFlow.startCheckout(message, prospectState);
-            break;
-            
-          case 'appointment_scheduling':
-            logger.info('Procesando programación de cita');
-            result = await this.handleAppointmentScheduling(message, prospectState);
-            break;
-            
-          case 'nurturing':
-            logger.info('Procesando nutrición de prospecto');
-            result = await this.handleNurturing(message, prospectState);
-            break;
-            
-          case 'closed':
-            logger.info('Conversación cerrada, reiniciando');
-            result = await this.handleClosedConversation(message, prospectState);
-            break;
-            
-          default:
-            logger.warn(`Estado de conversación desconocido: ${prospectState.conversationState}`);
-            // Si el estado es desconocido, reiniciar con el saludo
-            result = await greetingFlow.handleInitialGreeting(message, {
-              ...prospectState,
-              conversationState: null
-            });
-        }
-      }
+      // Despachar al flujo del estado actual y validar el estado resultante
+      const result = await this.stateMachine.dispatch(message, prospectState);
       
       // Aplicar retraso humanizado antes de devolver la respuesta
       return withHumanDelayAsync(Promise.resolve(result), result.response);
@@ -180,7 +162,7 @@ class CampaignFlow {
       
       // En caso de error, proporcionar una respuesta genérica y mantener el estado
       const errorResponse = {
-        response: `Disculpa, tuve un problema procesando tu mensaje. ¿Podrías reformularlo o intentar de nuevo más tarde? Si necesitas asistencia inmediata, puedes contactar directamente a ${this.vendedorNombre}.`,
+        response: t('campaign.error', prospectState, { seller: getAssignedSeller(prospectState).name }),
         newState: {
           ...prospectState,
           lastInteraction: new Date(),
@@ -203,23 +185,24 @@ class CampaignFlow {
     try {
       logger.info(`Evaluando prospecto calificado: ${prospectState.name || 'Desconocido'} de ${prospectState.company || 'Empresa desconocida'}`);
       
-      // Verificar si el prospecto es de alto valor según los criterios
-      const isHighValueProspect = invitationFlow.evaluateProspectValue(prospectState);
-      logger.info(`¿Es prospecto de alto valor?: ${isHighValueProspect}`);
+      // Puntaje del prospecto: decide entre invitación y checkout
+      const scoredState = applyLeadScore(prospectState);
+      const { shouldInvite } = invitationFlow.evaluateProspectValue(scoredState);
+      logger.info(`Puntaje de ${prospectState.phoneNumber}: ${scoredState.leadScore} (${scoredState.leadTier}), ¿invitar?: ${shouldInvite}`);
       
-      if (isHighValueProspect) {
+      if (shouldInvite) {
         // Si es de alto valor, dirigir al flujo de invitación
         logger.info(`Dirigiendo a ${prospectState.name || 'Desconocido'} al flujo de invitación`);
         return await invitationFlow.startInvitation(message, {
-          ...prospectState,
-          conversationState: 'invitation'
+          ...scoredState,
+          conversationState: STATES.INVITATION
         });
       } else {
         // Si no es de alto valor, dirigir al flujo de checkout
         logger.info(`Dirigiendo a ${prospectState.name || 'Desconocido'} al flujo de checkout`);
         return await checkoutFlow.startCheckout(message, {
-          ...prospectState,
-          conversationState: 'checkout'
+          ...scoredState,
+          conversationState: STATES.CHECKOUT
         });
       }
     } catch (error) {
@@ -227,7 +210,7 @@ class CampaignFlow {
       
       // En caso de error, mantener en estado calificado y ofrecer opciones genéricas
       return {
-        response: `Gracias por compartir esa información. ¿Te gustaría conocer más sobre nuestra solución LogiFit o prefieres programar una llamada con nuestro especialista?`,
+        response: t('campaign.routeError', prospectState),
         newState: {
           ...prospectState,
           lastInteraction: new Date(),
@@ -270,7 +253,7 @@ class CampaignFlow {
           response: `¡Excelente! Me encantaría coordinar una llamada con nuestro especialista. ¿Qué día y horario te resultaría más conveniente para esta reunión? Tenemos disponibilidad de lunes a viernes de 9:00 a 18:00 hrs.`,
           newState: {
             ...prospectState,
-            conversationState: 'appointment_scheduling',
+            conversationState: STATES.APPOINTMENT_SCHEDULING,
             appointmentRequested: true,
             lastInteraction: new Date()
           }
@@ -291,7 +274,7 @@ class CampaignFlow {
           response,
           newState: {
             ...prospectState,
-            conversationState: 'nurturing',
+            conversationState: STATES.NURTURING,
             infoSent: true,
             lastInteraction: new Date()
           }
@@ -328,12 +311,12 @@ class CampaignFlow {
   async handleAppointmentScheduling(message, prospectState) {
     try {
       // Analizar si el mensaje contiene información de fecha/hora
-      const hasDateInfo = this.containsDateInfo(message);
+      const hasDateInfo = this.containsDateInfo(message, prospectState);
       
       if (hasDateInfo) {
         // Si proporciona fecha/hora, confirmar la cita
         return {
-          response: `Perfecto, he agendado tu cita para la fecha y horario que me indicas. Nuestro especialista ${this.vendedorNombre} se pondrá en contacto contigo en ese momento. Te enviaré un recordatorio un día antes. ¿Hay algo más en lo que pueda ayudarte mientras tanto?`,
+          response: t('campaign.appointmentNoted', prospectState, { seller: getAssignedSeller(prospectState).name }),
           newState: {
             ...prospectState,
             appointmentConfirmed: true,
@@ -344,7 +327,7 @@ class CampaignFlow {
       } else {
         // Si no proporciona fecha/hora, solicitar nuevamente
         return {
-          response: `Para agendar la cita, necesito que me indiques qué día y horario te resultaría más conveniente. Tenemos disponibilidad de lunes a viernes de 9:00 a 18:00 hrs.`,
+          response: t('campaign.askAppointmentTime', prospectState),
           newState: {
             ...prospectState,
             lastInteraction: new Date()
@@ -355,7 +338,7 @@ class CampaignFlow {
       logger.error('Error en handleAppointmentScheduling:', error.message);
       
       return {
-        response: `Disculpa, tuve un problema al procesar la información de la cita. ¿Podrías indicarme nuevamente qué día y horario te resultaría más conveniente para la llamada?`,
+        response: t('campaign.appointmentError', prospectState),
         newState: {
           ...prospectState,
           lastInteraction: new Date()
@@ -373,28 +356,18 @@ class CampaignFlow {
   async handleNurturing(message, prospectState) {
     try {
       // Analizar si el mensaje indica interés en una cita después de recibir información
-      const lowerMessage = message.toLowerCase();
-      const wantsAppointment = lowerMessage.includes('cita') || 
-                              lowerMessage.includes('reunión') || 
-                              lowerMessage.includes('reunir') ||
-                              lowerMessage.includes('llamada') ||
-                              lowerMessage.includes('hablar') ||
-                              lowerMessage.includes('especialista');
+      const wantsAppointment = includesKeyword(message, 'campaign.keywords.appointment', prospectState);
       
       // Analizar si tiene preguntas adicionales
-      const hasQuestions = lowerMessage.includes('pregunta') || 
-                          lowerMessage.includes('duda') || 
-                          lowerMessage.includes('cómo') ||
-                          lowerMessage.includes('cuánto') ||
-                          lowerMessage.includes('?');
+      const hasQuestions = includesKeyword(message, 'campaign.keywords.question', prospectState);
       
       if (wantsAppointment) {
         // Si quiere una cita después de recibir información, pasar a programación
         return {
-          response: `¡Excelente decisión! Me encantaría coordinar una llamada con nuestro especialista. ¿Qué día y horario te resultaría más conveniente? Tenemos disponibilidad de lunes a viernes de 9:00 a 18:00 hrs.`,
+          response: t('campaign.nurturingScheduleCall', prospectState),
           newState: {
             ...prospectState,
-            conversationState: 'appointment_scheduling',
+            conversationState: STATES.APPOINTMENT_SCHEDULING,
             appointmentRequested: true,
             lastInteraction: new Date()
           }
@@ -402,26 +375,38 @@ class CampaignFlow {
       } else if (hasQuestions) {
         // Si tiene preguntas adicionales, responder según el tipo de prospecto
         let response;
+        // Los casos de éxito del sector y el video de la demo ayudan a resolver dudas
+        const { attachments, sentMedia } = getAttachments(['case_study', 'demo_video'], prospectState);
         
         if (prospectState.prospectType === 'ENCARGADO') {
-          response = `Gracias por tu pregunta. Estaré encantado de resolverla, aunque para darte información más precisa y personalizada para ${prospectState.company || 'tu empresa'}, lo ideal sería coordinar una llamada con nuestro especialista. ¿Te gustaría que agendemos una breve reunión?`;
+          response = t('campaign.nurturingQuestionDecisionMaker', prospectState, {
+            company: prospectState.company || t('common.yourCompany', prospectState)
+          });
         } else {
-          response = `Gracias por tu pregunta. Intentaré responderla lo mejor posible. Si necesitas información más detallada o personalizada, podríamos coordinar una llamada con nuestro especialista. ¿Qué te parece?`;
+          response = t('campaign.nurturingQuestion', prospectState);
         }
         
         return {
           response,
+          attachments,
           newState: {
             ...prospectState,
+            sentMedia,
             lastInteraction: new Date()
           }
         };
       } else {
-        // Si no hay una intención clara, ofrecer ayuda adicional
+        // Si no hay una intención clara, ofrecer ayuda adicional (con el brochure si aún no lo tiene)
+        const { attachments, sentMedia } = getAttachments(['brochure'], prospectState);
+        
         return {
-          response: `Espero que la información que te compartí sea útil. Si tienes alguna pregunta específica o te gustaría programar una llamada con nuestro especialista para profundizar en cómo podemos ayudar a ${prospectState.company || 'tu empresa'}, no dudes en decírmelo.`,
+          response: t('campaign.nurturingOffer', prospectState, {
+            company: prospectState.company || t('common.yourCompany', prospectState)
+          }),
+          attachments,
           newState: {
             ...prospectState,
+            sentMedia,
             lastInteraction: new Date()
           }
         };
@@ -430,7 +415,7 @@ class CampaignFlow {
       logger.error('Error en handleNurturing:', error.message);
       
       return {
-        response: `Espero que la información que te compartí sea útil. ¿Hay algo más en lo que pueda ayudarte?`,
+        response: t('campaign.nurturingError', prospectState),
         newState: {
           ...prospectState,
           lastInteraction: new Date()
@@ -447,12 +432,25 @@ class CampaignFlow {
    */
   async handleClosedConversation(message, prospectState) {
     // Reiniciar la conversación pero mantener la información del prospecto
+    // (teléfono, campaña, CRM, vendedor, consentimiento, atribución); solo se
+    // reinician los campos propios de la conversación anterior
     return await greetingFlow.handleInitialGreeting(message, {
-      name: prospectState.name,
-      company: prospectState.company,
-      isIndependent: prospectState.isIndependent,
+      ...prospectState,
       messageHistory: prospectState.messageHistory || [],
       conversationState: null,
+      greetingAttempts: 0,
+      qualificationStep: null,
+      qualificationAnswers: {},
+      currentQuestion: null,
+      invitationStep: null,
+      checkoutStep: null,
+      nurturingStep: null,
+      suggestedSlot: null,
+      offeredSlots: null,
+      alternativeSlots: null,
+      rescheduleProposal: null,
+      cancelProposal: null,
+      awaitingReminderReply: false,
       lastInteraction: new Date()
     });
   }
@@ -460,25 +458,30 @@ class CampaignFlow {
   /**
    * Verifica si un mensaje contiene información de fecha/hora
    * @param {string} message - Mensaje a analizar
+   * @param {Object} prospectState - Estado del prospecto (para su idioma)
    * @returns {boolean} - True si contiene información de fecha/hora
    */
-  containsDateInfo(message) {
+  containsDateInfo(message, prospectState = {}) {
     const lowerMessage = message.toLowerCase();
     
     // Patrones comunes de fechas y horas
     const datePatterns = [
       /lunes|martes|miércoles|miercoles|jueves|viernes/,
+      /segunda|terça|terca|quarta|quinta|sexta/,
+      /monday|tuesday|wednesday|thursday|friday/,
       /\d{1,2}\s+de\s+\w+/,
       /\d{1,2}\/\d{1,2}/,
       /mañana|pasado\s+mañana|hoy/,
-      /próxima\s+semana|proxima\s+semana|esta\s+semana/
+      /amanhã|amanha|hoje|tomorrow|today/,
+      /próxima\s+semana|proxima\s+semana|esta\s+semana|next\s+week|this\s+week/
     ];
     
     const timePatterns = [
       /\d{1,2}:\d{2}/,
       /\d{1,2}\s*(?:am|pm|a\.m\.|p\.m\.)/i,
-      /\d{1,2}\s*(?:hrs|horas)/,
-      /medio\s*día|mediodia|tarde|mañana|maniana/
+      /\d{1,2}\s*(?:hrs|horas|h\b)/,
+      /medio\s*día|mediodia|tarde|mañana|maniana/,
+      /meio-dia|meio dia|manhã|manha|noon|morning|afternoon/
     ];
     
     // Verificar si contiene patrones de fecha
@@ -489,14 +492,26 @@ class CampaignFlow {
     
     // Considerar que tiene información de fecha/hora si contiene al menos uno de cada uno
     // o si menciona explícitamente disponibilidad
-    return (hasDate && hasTime) || 
-           lowerMessage.includes('disponible') || 
-           lowerMessage.includes('disponibilidad') ||
-           lowerMessage.includes('puedo');
+    return (hasDate && hasTime) || includesKeyword(message, 'campaign.keywords.availability', prospectState);
   }
 
   identifyCampaign = (prospectState, message) => {
     try {
+      // Si llegó desde un anuncio, sus datos valen más que el texto del mensaje
+      const ad = prospectState.adAttribution;
+      if (ad) {
+        return {
+          source: String(ad.platform || 'ads').toUpperCase(),
+          type: 'CAMPAIGN',
+          campaign: prospectState.campaign || ad.campaign || null,
+          adId: ad.adId,
+          keywords: this.extractCampaignKeywords([ad.headline, ad.body, message].filter(Boolean).join('\n')),
+          isForwarded: false,
+          hasImage: false,
+          isFacebookLink: false
+        };
+      }
+      
       // Verificar si el mensaje contiene una imagen o es un mensaje reenviado
       const isForwarded = /forwarded|reenviado/i.test(message);
       
@@ -677,7 +692,7 @@ class CampaignFlow {
           
           // Si es CURIOSO, terminar con mensaje educativo
           if (prospectState.prospectType === 'CURIOSO') {
-            prospectState.conversationState = this.states.COMPLETED;
+            prospectState.conversationState = STATES.COMPLETED;
             return {
               response: `Gracias por tu interés. Te comparto información sobre cómo nuestro sistema ayuda a prevenir accidentes por fatiga:\n\n` +
                        `• Monitoreo en tiempo real del estado del conductor\n` +
@@ -689,7 +704,7 @@ class CampaignFlow {
           }
           
           // Para otros tipos, pasar a calificación profunda
-          prospectState.conversationState = this.states.DEEP_QUALIFICATION;
+          prospectState.conversationState = STATES.INITIAL_QUALIFICATION;
           prospectState.currentQuestion = this.qualificationQuestions.ENCARGADO[0];
           
           return {
@@ -770,14 +785,14 @@ class CampaignFlow {
 
 ¿Tienes 20 minutos para explicarte cómo funciona nuestro sistema de control de fatiga y somnolencia? Podemos agendar una llamada rápida.`;
         
-        nextState = this.states.MEETING_OFFER;
+        nextState = STATES.APPOINTMENT_SCHEDULING;
       } else {
         // Si no hay suficiente interés, hacer una pregunta general
         response = `Gracias por tus respuestas, ${prospectState.name}.
 
 ¿Hay algo específico sobre nuestro sistema de control de fatiga y somnolencia que te gustaría conocer?`;
         
-        nextState = this.states.FOLLOW_UP;
+        nextState = STATES.NURTURING;
       }
       
       // Actualizar estado
@@ -853,7 +868,7 @@ class CampaignFlow {
           response,
           newState: {
             ...prospectState,
-            conversationState: 'qualification',
+            conversationState: STATES.NURTURING,
             qualificationStep: 'rejected_meeting',
             lastInteraction: new Date()
           }
@@ -868,7 +883,7 @@ class CampaignFlow {
           response,
           newState: {
             ...prospectState,
-            conversationState: 'qualification',
+            conversationState: STATES.NURTURING,
             qualificationStep: 'providing_info',
             lastInteraction: new Date()
           }
@@ -1008,7 +1023,7 @@ class CampaignFlow {
             response,
             newState: {
               ...prospectState,
-              conversationState: 'follow_up',
+              conversationState: STATES.APPOINTMENT_CONFIRMED,
               lastInteraction: new Date()
             }
           };
@@ -1182,7 +1197,7 @@ class CampaignFlow {
       // Crear estado inicial del prospecto
       const initialState = {
         phoneNumber,
-        conversationState: 'greeting',
+        conversationState: STATES.GREETING,
         firstInteraction: new Date(),
         lastInteraction: new Date(),
         source: 'WhatsApp Campaign'
@@ -1209,7 +1224,7 @@ class CampaignFlow {
         response,
         newState: {
           ...initialState,
-          conversationState: 'name_collection'
+          conversationState: STATES.GREETING
         }
       };
     } catch (error) {
@@ -1218,7 +1233,7 @@ class CampaignFlow {
         response: 'Hola, gracias por contactarnos. Soy el asistente virtual de Logifit. ¿Cuál es tu nombre?',
         newState: {
           phoneNumber,
-          conversationState: 'name_collection',
+          conversationState: STATES.GREETING,
           firstInteraction: new Date(),
           lastInteraction: new Date()
         }
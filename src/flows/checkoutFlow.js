@@ -7,8 +7,13 @@
  */
 
 const { generateOpenAIResponse } = require('../services/openaiService');
+const { getCheckoutReason } = require('../services/leadScoringService');
+const { t, includesKeyword } = require('../services/languageService');
+const { renderTemplate } = require('../services/templateService');
+const { getAttachments } = require('../services/mediaService');
 const logger = require('../utils/logger');
 const { withHumanDelayAsync } = require('../utils/humanDelay');
+const { STATES } = require('../config/conversationStates');
 
 class CheckoutFlow {
   constructor() {
@@ -60,7 +65,7 @@ class CheckoutFlow {
       
       // Respuesta por defecto en caso de error
       const errorResponse = {
-        response: `Disculpa, tuve un problema procesando tu solicitud. ¿Hay algo más en lo que pueda ayudarte?`,
+        response: t('checkout.error', prospectState),
         newState: {
           ...prospectState,
           lastInteraction: new Date(),
@@ -74,41 +79,12 @@ class CheckoutFlow {
   }
 
   /**
-   * Determina el motivo del checkout
+   * Determina el motivo del checkout a partir del puntaje del prospecto
    * @param {Object} prospectState - Estado del prospecto
    * @returns {string} - Motivo del checkout
    */
   determineCheckoutReason(prospectState) {
-    // Verificar si el prospecto ha expresado desinterés
-    if (prospectState.expressedDisinterest) {
-      return 'DISINTEREST';
-    }
-    
-    // Verificar si el prospecto no ha proporcionado información suficiente
-    if (!prospectState.name || prospectState.name === 'Desconocido' || 
-        !prospectState.company || prospectState.company === 'Desconocida') {
-      return 'INSUFFICIENT_INFO';
-    }
-    
-    // Verificar si el prospecto tiene una flota pequeña
-    if (prospectState.fleetSizeCategory === 'pequeña' || 
-        (prospectState.fleetSize && !isNaN(parseInt(prospectState.fleetSize)) && parseInt(prospectState.fleetSize) < 20)) {
-      return 'SMALL_FLEET';
-    }
-    
-    // Verificar si el prospecto no es tomador de decisiones
-    if (prospectState.role && !prospectState.isDecisionMaker) {
-      return 'NOT_DECISION_MAKER';
-    }
-    
-    // Verificar si el prospecto no tiene urgencia
-    if (prospectState.urgency === 'baja' || 
-        (prospectState.decisionTimeline && prospectState.decisionTimeline === 'largo plazo')) {
-      return 'LOW_URGENCY';
-    }
-    
-    // Si no hay un motivo claro, considerar como bajo potencial general
-    return 'LOW_POTENTIAL';
+    return getCheckoutReason(prospectState);
   }
 
   /**
@@ -120,40 +96,24 @@ class CheckoutFlow {
    */
   async handleInitialCheckout(message, prospectState, checkoutReason) {
     // Verificar si el mensaje contiene una expresión de desinterés clara
-    const clearDisinterest = message.toLowerCase().includes('no me interesa') || 
-                            message.toLowerCase().includes('no estoy interesado') || 
-                            message.toLowerCase().includes('no quiero') || 
-                            message.toLowerCase().includes('no necesito') ||
-                            message.toLowerCase().includes('no gracias');
+    const clearDisinterest = includesKeyword(message, 'checkout.keywords.disinterest', prospectState);
     
     if (clearDisinterest) {
       return this.handleFinalCheckout(message, prospectState, 'DISINTEREST');
     }
     
     // Intentar una segunda calificación para confirmar el motivo del checkout
-    let response;
-    switch (checkoutReason) {
-      case 'INSUFFICIENT_INFO':
-        response = `Para poder ofrecerte la mejor solución, me ayudaría conocer un poco más sobre tu empresa y tus necesidades. ¿Podrías compartirme más detalles sobre el tamaño de tu flota y tus principales desafíos en cuanto a la seguridad de los conductores?`;
-        break;
-      case 'SMALL_FLEET':
-        response = `Entiendo que actualmente manejas una flota más pequeña. ¿Tienes planes de crecimiento en el corto o mediano plazo? Nuestras soluciones pueden adaptarse a diferentes tamaños de flota y escalarse conforme crecen las necesidades.`;
-        break;
-      case 'NOT_DECISION_MAKER':
-        response = `Gracias por tu interés en nuestra solución. ¿Hay alguien más en tu organización que esté involucrado en la toma de decisiones sobre este tipo de tecnologías? Podría ser útil incluirlos en la conversación para que conozcan los beneficios de LogiFit.`;
-        break;
-      case 'LOW_URGENCY':
-        response = `Entiendo que por ahora no es una prioridad inmediata. ¿Te gustaría recibir información sobre nuestra solución para considerarla en el futuro cuando sea más oportuno para ustedes?`;
-        break;
-      default:
-        response = `Gracias por tu interés en LogiFit. Para entender mejor cómo podríamos ayudarte, ¿podrías contarme cuáles son los principales desafíos que enfrentas actualmente con la seguridad de tus conductores?`;
-    }
+    // Un texto por motivo (INSUFFICIENT_INFO, SMALL_FLEET, NOT_DECISION_MAKER, LOW_URGENCY)
+    const reasons = ['INSUFFICIENT_INFO', 'SMALL_FLEET', 'NOT_DECISION_MAKER', 'LOW_URGENCY'];
+    const key = `checkout.reasons.${reasons.includes(checkoutReason) ? checkoutReason : 'default'}`;
+    const { text: response, templateVariants } = renderTemplate(key, prospectState);
     
     return {
       response,
       newState: {
         ...prospectState,
-        conversationState: 'checkout',
+        templateVariants,
+        conversationState: STATES.CHECKOUT,
         checkoutStep: 'second_qualification',
         checkoutReason,
         lastInteraction: new Date()
@@ -170,22 +130,9 @@ class CheckoutFlow {
    */
   async handleSecondQualification(message, prospectState, checkoutReason) {
     // Analizar la respuesta para detectar posibles cambios en la calificación
-    const positiveSignals = message.toLowerCase().includes('crecimiento') || 
-                           message.toLowerCase().includes('expandir') || 
-                           message.toLowerCase().includes('aumentar') || 
-                           message.toLowerCase().includes('más vehículos') ||
-                           message.toLowerCase().includes('mas vehiculos') ||
-                           message.toLowerCase().includes('pronto') ||
-                           message.toLowerCase().includes('interesado') ||
-                           message.toLowerCase().includes('decisión') ||
-                           message.toLowerCase().includes('decision');
+    const positiveSignals = includesKeyword(message, 'checkout.keywords.growth', prospectState);
     
-    const negativeSignals = message.toLowerCase().includes('no') || 
-                           message.toLowerCase().includes('ahora no') || 
-                           message.toLowerCase().includes('después') || 
-                           message.toLowerCase().includes('despues') ||
-                           message.toLowerCase().includes('luego') ||
-                           message.toLowerCase().includes('otro momento');
+    const negativeSignals = includesKeyword(message, 'keywords.negative', prospectState);
     
     // Si hay señales positivas, ofrecer información
     if (positiveSignals && !negativeSignals) {
@@ -198,13 +145,14 @@ class CheckoutFlow {
     }
     
     // Si la respuesta no es clara, ofrecer información de todas formas
-    const response = `Entiendo. Tenemos material informativo sobre nuestra solución LogiFit que podría ser útil para ti. ¿Te gustaría recibir esta información por correo electrónico para revisarla cuando tengas tiempo?`;
+    const { text: response, templateVariants } = renderTemplate('checkout.offerInfo', prospectState);
     
     return {
       response,
       newState: {
         ...prospectState,
-        conversationState: 'checkout',
+        templateVariants,
+        conversationState: STATES.CHECKOUT,
         checkoutStep: 'info_offer',
         lastInteraction: new Date()
       }
@@ -219,22 +167,11 @@ class CheckoutFlow {
    * @returns {Promise<Object>} - Respuesta y nuevo estado
    */
   async handleInfoOffer(message, prospectState, checkoutReason) {
-    // Verificar si el mensaje contiene una respuesta positiva
-    const positiveResponse = message.toLowerCase().includes('sí') || 
-                            message.toLowerCase().includes('si') || 
-                            message.toLowerCase().includes('claro') || 
-                            message.toLowerCase().includes('ok') ||
-                            message.toLowerCase().includes('buena idea') ||
-                            message.toLowerCase().includes('me interesa') ||
-                            message.toLowerCase().includes('adelante');
-    
     // Verificar si el mensaje contiene una respuesta negativa
-    const negativeResponse = message.toLowerCase().includes('no') || 
-                            message.toLowerCase().includes('ahora no') || 
-                            message.toLowerCase().includes('después') || 
-                            message.toLowerCase().includes('despues') ||
-                            message.toLowerCase().includes('luego') ||
-                            message.toLowerCase().includes('otro momento');
+    const negativeResponse = includesKeyword(message, 'keywords.negative', prospectState);
+    
+    // Verificar si el mensaje contiene una respuesta positiva (la negativa manda)
+    const positiveResponse = !negativeResponse && includesKeyword(message, 'keywords.positive', prospectState);
     
     // Verificar si el mensaje contiene un correo electrónico
     const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
@@ -242,42 +179,44 @@ class CheckoutFlow {
     const email = emailMatch ? emailMatch[0] : null;
     
     let response;
+    let attachments = [];
     const newState = {
       ...prospectState,
-      conversationState: 'checkout',
+      conversationState: STATES.CHECKOUT,
       lastInteraction: new Date()
     };
     
     if (email) {
       // Si proporcionó un correo electrónico, confirmar y pasar a feedback
-      response = `¡Perfecto! Enviaré la información sobre LogiFit a ${email}. La recibirás en breve.
-
-¿Hay algo específico sobre nuestra solución que te gustaría conocer más a fondo?`;
+      response = t('checkout.infoWillBeSent', prospectState, { email });
       
+      // Además del correo, el material se comparte por WhatsApp
+      const media = getAttachments(['brochure', 'case_study'], prospectState);
+      attachments = media.attachments;
+      newState.sentMedia = media.sentMedia;
       newState.email = email;
       newState.infoRequested = true;
       newState.checkoutStep = 'feedback';
     } else if (positiveResponse) {
       // Si la respuesta es positiva pero no proporcionó correo, solicitarlo
-      response = `Excelente. ¿A qué correo electrónico te gustaría que enviara la información sobre LogiFit?`;
+      response = t('checkout.askEmail', prospectState);
       
       newState.checkoutStep = 'info_offer';
     } else if (negativeResponse) {
       // Si la respuesta es negativa, pasar a feedback
-      response = `Entiendo. Si en algún momento necesitas información sobre soluciones de monitoreo de fatiga, no dudes en contactarnos.
-
-¿Hay algún comentario o sugerencia que te gustaría compartir sobre nuestra conversación?`;
+      response = t('checkout.askFeedback', prospectState);
       
       newState.checkoutStep = 'feedback';
     } else {
       // Si la respuesta no es clara, insistir amablemente
-      response = `Para enviarte información detallada sobre LogiFit, necesitaría tu correo electrónico. ¿Te gustaría recibir esta información?`;
+      response = t('checkout.insistEmail', prospectState);
       
       newState.checkoutStep = 'info_offer';
     }
     
     return {
       response,
+      attachments,
       newState
     };
   }
@@ -296,15 +235,14 @@ class CheckoutFlow {
     }
     
     // Mensaje de despedida y agradecimiento
-    const response = `Gracias por tu tiempo y por compartir tus comentarios. Ha sido un placer atenderte.
-
-Si en el futuro necesitas información sobre soluciones de monitoreo de fatiga para conductores, no dudes en contactarnos nuevamente. ¡Que tengas un excelente día!`;
+    const { text: response, templateVariants } = renderTemplate('checkout.thanksForFeedback', prospectState);
     
     return {
       response,
       newState: {
         ...prospectState,
-        conversationState: 'checkout',
+        templateVariants,
+        conversationState: STATES.CHECKOUT,
         checkoutStep: 'final',
         checkoutComplete: true,
         lastInteraction: new Date()
@@ -321,15 +259,14 @@ Si en el futuro necesitas información sobre soluciones de monitoreo de fatiga p
    */
   async handleFinalCheckout(message, prospectState, checkoutReason) {
     // Mensaje de despedida final
-    const response = `Entiendo. Gracias por tu tiempo y consideración. 
-
-Si en algún momento tus necesidades cambian o tienes preguntas sobre soluciones de monitoreo de fatiga para conductores, estaremos aquí para ayudarte. ¡Que tengas un excelente día!`;
+    const { text: response, templateVariants } = renderTemplate('checkout.goodbye', prospectState);
     
     return {
       response,
       newState: {
         ...prospectState,
-        conversationState: 'closed',
+        templateVariants,
+        conversationState: STATES.CLOSED,
         checkoutStep: 'final',
         checkoutComplete: true,
         checkoutReason,
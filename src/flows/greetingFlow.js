@@ -1,20 +1,76 @@
 const { generateOpenAIResponse } = require('../services/openaiService');
+const { t, getProspectLanguage } = require('../services/languageService');
+const { renderTemplate } = require('../services/templateService');
+const { getAdWelcome } = require('../services/attributionService');
 const logger = require('../utils/logger');
 const qualificationFlow = require('./qualificationFlow');
 const { withHumanDelayAsync } = require('../utils/humanDelay');
+const { STATES } = require('../config/conversationStates');
 
 class GreetingFlow {
   constructor() {
     this.vendedorNombre = process.env.VENDEDOR_NOMBRE || 'Roberto Calvo';
-    this.welcomeMessage = `¡Hola! 👋😊 Soy ${this.vendedorNombre}, tu Asesor Comercial en LogiFit. ¡Será un placer acompañarte en este recorrido! ¿Me ayudas compartiendo tu nombre y el de tu empresa, por favor? 📦🚀`;
+    
+    // Patrones para presentarse en portugués e inglés (el español se analiza abajo)
+    this.introductionPatterns = {
+      pt: {
+        name: [
+          /(?:meu nome é|me chamo|eu sou|sou o|sou a|sou) ([A-Za-zÀ-ÿ\s]+?)(?:,| da| do| de| e | trabalho| na| no|\.|$)/i
+        ],
+        company: [
+          /(?:trabalho na|trabalho no|trabalho em|trabalho para|da empresa|empresa) ([A-Za-zÀ-ÿ0-9\s&.]+?)(?:\.|,|$)/i,
+          /\s(?:da|do|de) ([A-ZÀ-Ý][A-Za-zÀ-ÿ0-9\s&.]+?)(?:\.|,|$)/
+        ],
+        independent: ['autônomo', 'autonomo', 'independente', 'por conta própria', 'freelancer']
+      },
+      en: {
+        name: [
+          /(?:my name is|i'm|i am|this is) ([A-Za-z\s]+?)(?:,| from| at| with| and| of| i |\.|$)/i
+        ],
+        company: [
+          /(?:i work (?:at|for|with)|with the company|company) ([A-Za-z0-9\s&.]+?)(?:\.|,|$)/i,
+          /\s(?:from|at) ([A-Za-z0-9\s&.]+?)(?:\.|,|$)/i
+        ],
+        independent: ['independent', 'self-employed', 'self employed', 'owner-operator', 'owner operator', 'freelance', 'on my own']
+      }
+    };
+  }
+
+  /**
+   * Mensaje de bienvenida en el idioma del prospecto (con su variante de prueba A/B)
+   *
+   * Si llegó desde un anuncio se usa el saludo de su campaña o, si no tiene,
+   * uno que menciona el anuncio.
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object} - { text, variant, templateVariants }
+   */
+  getWelcomeMessage(prospectState = {}) {
+    const ad = prospectState.adAttribution;
+    if (ad) {
+      const values = { seller: this.vendedorNombre, headline: ad.headline };
+      const adWelcome = getAdWelcome(prospectState, values);
+      if (adWelcome) {
+        return { text: adWelcome, variant: null, templateVariants: { ...(prospectState.templateVariants || {}) } };
+      }
+      if (ad.headline) {
+        return renderTemplate('greeting.welcomeAd', prospectState, values);
+      }
+    }
+
+    return renderTemplate('greeting.welcome', prospectState, { seller: this.vendedorNombre });
   }
 
   /**
    * Analiza un mensaje para extraer nombre y empresa
    * @param {string} message - Mensaje a analizar
+   * @param {string} language - Idioma del prospecto (es, pt o en)
    * @returns {Object} - Resultado del análisis
    */
-  analyzeMessage(message) {
+  analyzeMessage(message, language = 'es') {
+    if (this.introductionPatterns[language]) {
+      return this.analyzeIntroduction(message, this.introductionPatterns[language]);
+    }
+    
     // Convertir a minúsculas para facilitar la búsqueda
     const lowerMessage = message.toLowerCase();
     
@@ -188,6 +244,38 @@ class GreetingFlow {
     };
   }
 
+  /**
+   * Extrae nombre y empresa con los patrones de presentación de un idioma
+   * @param {string} message - Mensaje a analizar
+   * @param {Object} patterns - Patrones { name, company, independent }
+   * @returns {Object} - Resultado del análisis
+   */
+  analyzeIntroduction(message, patterns) {
+    const lowerMessage = message.toLowerCase();
+    const findMatch = (list, maxWords) => {
+      for (const pattern of list) {
+        const match = message.match(pattern);
+        if (match && match[1] && match[1].trim()) {
+          return match[1].trim().split(/\s+/).slice(0, maxWords).join(' ');
+        }
+      }
+      return null;
+    };
+    
+    const name = findMatch(patterns.name, 2);
+    const isIndependent = patterns.independent.some(keyword => lowerMessage.includes(keyword));
+    const company = isIndependent ? 'Independiente' : findMatch(patterns.company, 3);
+    const containsNameOrCompany = name !== null || company !== null;
+    
+    return {
+      containsNameOrCompany,
+      name,
+      company,
+      isIndependent,
+      needsMoreInfo: !containsNameOrCompany
+    };
+  }
+
   /**
    * Maneja el saludo inicial y extrae nombre y empresa
    * @param {string} message - Mensaje del usuario
@@ -197,26 +285,40 @@ class GreetingFlow {
   handleInitialGreeting = async (message, prospectState) => {
     try {
       let result;
+      const language = getProspectLanguage(prospectState);
       
       // Si es el primer mensaje o no hay estado de conversación, enviar mensaje de bienvenida
       if (!prospectState.conversationState) {
+        const welcome = this.getWelcomeMessage(prospectState);
         result = {
-          response: this.welcomeMessage,
+          response: welcome.text,
           newState: {
             ...prospectState,
-            conversationState: 'greeting',
+            templateVariants: welcome.templateVariants,
+            conversationState: STATES.GREETING,
             greetingAttempts: 1,
             lastInteraction: new Date()
           }
         };
-      } else if (prospectState.conversationState === 'greeting') {
+      } else if (prospectState.conversationState === STATES.GREETING) {
         // Si ya estamos en estado de greeting, analizar la respuesta para extraer nombre y empresa
         let messageAnalysis;
+        const documentData = prospectState.documentData || {};
         
         try {
-          // En modo de prueba, usar análisis local
-          if (process.env.NODE_ENV === 'test' || !process.env.OPENAI_API_KEY) {
-            messageAnalysis = this.analyzeMessage(message);
+          // Si el nombre y la empresa llegaron en una imagen o un documento (tarjeta de presentación), usarlos tal cual
+          if (documentData.name && documentData.company) {
+            messageAnalysis = {
+              containsNameOrCompany: true,
+              name: documentData.name,
+              company: documentData.company,
+              isIndependent: false,
+              needsMoreInfo: false
+            };
+            logger.info('Nombre y empresa tomados del documento del prospecto');
+          } else if (process.env.NODE_ENV === 'test' || !process.env.OPENAI_API_KEY) {
+            // En modo de prueba, usar análisis local
+            messageAnalysis = this.analyzeMessage(message, language);
             logger.info('Análisis local de respuesta:', messageAnalysis);
           } else {
             // Usar OpenAI para analizar si el mensaje contiene nombre y empresa
@@ -224,6 +326,7 @@ class GreetingFlow {
             Si menciona que es independiente o autónomo, considera "Independiente" como su empresa.
             Si no menciona empresa pero da su nombre, extrae solo el nombre.
             Si no proporciona ni nombre ni empresa, indica que falta esta información.
+            El mensaje puede estar en español, portugués o inglés.
 
             Mensaje: "${message}"
 
@@ -254,13 +357,13 @@ class GreetingFlow {
               messageAnalysis = parsedAnalysis;
             } else {
               // Si la estructura no es la esperada, usar análisis local
-              messageAnalysis = this.analyzeMessage(message);
+              messageAnalysis = this.analyzeMessage(message, language);
               logger.info('Usando análisis local como fallback:', messageAnalysis);
             }
           }
         } catch (error) {
           logger.error('Error al analizar mensaje:', error.message);
-          messageAnalysis = this.analyzeMessage(message);
+          messageAnalysis = this.analyzeMessage(message, language);
           logger.info('Usando análisis local como fallback:', messageAnalysis);
         }
 
@@ -268,7 +371,7 @@ class GreetingFlow {
         if (messageAnalysis.containsNameOrCompany) {
           const newState = {
             ...prospectState,
-            conversationState: 'initial_qualification',
+            conversationState: STATES.INITIAL_QUALIFICATION,
             name: messageAnalysis.name || prospectState.name || 'Desconocido',
             company: messageAnalysis.company || prospectState.company || (messageAnalysis.isIndependent ? 'Independiente' : 'Desconocida'),
             isIndependent: messageAnalysis.isIndependent,
@@ -281,19 +384,19 @@ class GreetingFlow {
             // Pasar a QualificationFlow si tenemos nombre y empresa
             result = await qualificationFlow.startQualification(message, newState);
           } else if (newState.name !== 'Desconocido') {
-            response = `Gracias ${newState.name}. ¿Me podrías confirmar en qué empresa trabajas o si eres independiente?`;
+            response = t('greeting.askCompany', prospectState, { name: newState.name });
             result = {
               response,
               newState
             };
           } else if (newState.company !== 'Desconocida') {
-            response = `Gracias. Me gustaría entender mejor las necesidades de ${newState.company}. ¿Me podrías confirmar tu nombre?`;
+            response = t('greeting.askName', prospectState, { company: newState.company });
             result = {
               response,
               newState
             };
           } else {
-            response = `Gracias por tu mensaje. Para poder ayudarte mejor, ¿me podrías confirmar tu nombre y empresa?`;
+            response = t('greeting.askNameAndCompany', prospectState);
             result = {
               response,
               newState
@@ -305,7 +408,7 @@ class GreetingFlow {
           
           let response;
           if (greetingAttempts <= 2) {
-            response = `Disculpa, necesito tu nombre y empresa para poder ayudarte mejor. ¿Me los podrías proporcionar, por favor?`;
+            response = t('greeting.retry', prospectState);
             result = {
               response,
               newState: {
@@ -318,7 +421,7 @@ class GreetingFlow {
             // Después de 2 intentos, pasar a calificación con datos desconocidos
             const newState = {
               ...prospectState,
-              conversationState: 'initial_qualification',
+              conversationState: STATES.INITIAL_QUALIFICATION,
               name: prospectState.name || 'Desconocido',
               company: prospectState.company || 'Desconocida',
               lastInteraction: new Date()
@@ -328,7 +431,7 @@ class GreetingFlow {
             result = await qualificationFlow.startQualification(message, newState);
           }
         }
-      } else if (prospectState.conversationState === 'initial_qualification') {
+      } else if (prospectState.conversationState === STATES.INITIAL_QUALIFICATION) {
         // Si ya estamos en calificación inicial, pasar el control a QualificationFlow
         result = await qualificationFlow.startQualification(message, prospectState);
       }
@@ -340,10 +443,10 @@ class GreetingFlow {
       
       // En caso de error, proporcionar una respuesta genérica
       const errorResponse = {
-        response: `Disculpa, tuve un problema procesando tu mensaje. ¿Podrías intentar de nuevo? Estoy interesado en conocer tu nombre y empresa para poder ayudarte mejor.`,
+        response: t('greeting.error', prospectState),
         newState: {
           ...prospectState,
-          conversationState: 'greeting',
+          conversationState: STATES.GREETING,
           lastInteraction: new Date(),
           lastError: error.message
         }
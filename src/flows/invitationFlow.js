@@ -6,12 +6,39 @@
  */
 
 const { generateOpenAIResponse } = require('../services/openaiService');
-const { getNearestAvailableSlot, createCustomEvent } = require('../services/calendarService');
+const { getAvailableSlots, createCustomEvent, getSchedulingConfig } = require('../services/calendarService');
 const { formatAppointmentData, sendAppointmentToMake } = require('../services/webhookService');
+const { getAssignedSeller, getSellerCalendarIds } = require('../services/sellerService');
 const { updateProspectInSheets } = require('../services/sheetsService');
+const { scoreLead } = require('../services/leadScoringService');
+const { t, includesKeyword, getProspectLanguage } = require('../services/languageService');
+const { renderTemplate } = require('../services/templateService');
+const { getAttachments } = require('../services/mediaService');
+const { createButtons, createList } = require('../services/interactiveService');
 const logger = require('../utils/logger');
+const { formatShortDate } = require('../utils/appointmentUtils');
 const { withHumanDelayAsync } = require('../utils/humanDelay');
 const moment = require('moment-timezone');
+const { STATES } = require('../config/conversationStates');
+
+// Patrones para interpretar la respuesta a un horario propuesto cuando OpenAI no está disponible
+const SCHEDULE_RESPONSE_PATTERNS = {
+  es: {
+    positive: [/\bs[ií]\b/i, /\bclaro\b/i, /\bpor supuesto\b/i, /\bde acuerdo\b/i, /\bok\b/i, /\bbueno\b/i, /\bexcelente\b/i, /\bperfecto\b/i, /\bme parece bien\b/i],
+    negative: [/\bno\b/i, /\bno puedo\b/i, /\bimposible\b/i, /\botro\b/i, /\bdistinto\b/i, /\bdiferente\b/i],
+    alternative: [/\bprefiero\b/i, /\bmejor\b/i, /\bpuedo\b/i, /\bdisponible\b/i, /\ba las\b/i, /\bel\b/i]
+  },
+  pt: {
+    positive: [/\bsim\b/i, /\bclaro\b/i, /\bcom certeza\b/i, /\bde acordo\b/i, /\bok\b/i, /\bpode ser\b/i, /[óo]timo/i, /\bperfeito\b/i, /\bfechado\b/i],
+    negative: [/\bnão\b/i, /\bnao\b/i, /\bimposs[ií]vel/i, /\boutro\b/i, /\bdiferente\b/i],
+    alternative: [/\bprefiro\b/i, /\bmelhor\b/i, /\bposso\b/i, /\bdispon[ií]vel/i, /(?:^|\s)[àa]s \d/i, /\bno dia\b/i]
+  },
+  en: {
+    positive: [/\byes\b/i, /\bsure\b/i, /\bof course\b/i, /\bok(?:ay)?\b/i, /\bsounds good\b/i, /\bworks for me\b/i, /\bgreat\b/i, /\bperfect\b/i],
+    negative: [/\bno\b/i, /\bcan'?t\b/i, /\bcannot\b/i, /\bimpossible\b/i, /\banother\b/i, /\bother\b/i, /\bdifferent\b/i],
+    alternative: [/\bprefer\b/i, /\bbetter\b/i, /\bi can\b/i, /\bavailable\b/i, /\bat \d/i, /\bon\b/i]
+  }
+};
 
 class InvitationFlow {
   constructor() {
@@ -19,57 +46,20 @@ class InvitationFlow {
   }
 
   /**
-   * Determina si un prospecto califica como de alto valor
+   * Determina si un prospecto califica como de alto valor (ver leadScoringService)
    * @param {Object} prospectState - Estado del prospecto
    * @returns {Object} - Resultado de la evaluación
    */
   evaluateProspectValue(prospectState) {
-    // Verificar si tenemos nombre y empresa
-    const hasIdentity = prospectState.name && 
-                       prospectState.name !== 'Desconocido' && 
-                       prospectState.company && 
-                       prospectState.company !== 'Desconocida';
-    
-    // Verificar si tiene una flota grande (más de 20 conductores)
-    let hasLargeFleet = false;
-    if (prospectState.fleetSizeCategory === 'grande') {
-      hasLargeFleet = true;
-    } else if (prospectState.fleetSize && !isNaN(parseInt(prospectState.fleetSize))) {
-      hasLargeFleet = parseInt(prospectState.fleetSize) >= 20;
-    }
-    
-    // Verificar si es tomador de decisiones
-    const isDecisionMaker = prospectState.isDecisionMaker || false;
-    
-    // Verificar urgencia
-    const hasUrgency = prospectState.urgency === 'alta' || 
-                      (prospectState.decisionTimeline && 
-                       (prospectState.decisionTimeline === 'inmediato' || 
-                        prospectState.decisionTimeline === 'corto plazo'));
-    
-    // Calcular valor del prospecto
-    let prospectValue = 'BAJO';
-    let invitationPriority = 'BAJA';
-    
-    if (hasLargeFleet && hasIdentity) {
-      prospectValue = 'ALTO';
-      invitationPriority = 'ALTA';
-    } else if ((hasLargeFleet || isDecisionMaker) && hasIdentity) {
-      prospectValue = 'MEDIO';
-      invitationPriority = 'MEDIA';
-    } else if (hasUrgency && hasIdentity) {
-      prospectValue = 'MEDIO';
-      invitationPriority = 'MEDIA';
-    }
+    const result = scoreLead(prospectState);
     
     return {
-      hasIdentity,
-      hasLargeFleet,
-      isDecisionMaker,
-      hasUrgency,
-      prospectValue,
-      invitationPriority,
-      shouldInvite: prospectValue !== 'BAJO'
+      score: result.score,
+      breakdown: result.breakdown,
+      hasIdentity: result.hasIdentity,
+      prospectValue: result.tier,
+      invitationPriority: result.priority,
+      shouldInvite: result.shouldInvite
     };
   }
 
@@ -113,6 +103,12 @@ class InvitationFlow {
         case 'follow_up':
           result = await this.handleFollowUp(message, prospectState, evaluation);
           break;
+        case 'schedule_confirmation':
+          result = await this.handleScheduleConfirmation(message, prospectState);
+          break;
+        case 'email_collection':
+          result = await this.handleEmailCollection(message, prospectState);
+          break;
         default:
           result = await this.handleInitialInvitation(message, prospectState, evaluation);
       }
@@ -124,7 +120,7 @@ class InvitationFlow {
       
       // Respuesta por defecto en caso de error
       const errorResponse = {
-        response: `Disculpa, tuve un problema procesando tu solicitud. ¿Podrías intentar nuevamente o reformular tu pregunta?`,
+        response: t('invitation.error', prospectState),
         newState: {
           ...prospectState,
           lastInteraction: new Date(),
@@ -146,39 +142,23 @@ class InvitationFlow {
    */
   async handleInitialInvitation(message, prospectState, evaluation) {
     // Verificar si el mensaje contiene solicitud de precio o cotización
-    const askingForPrice = message.toLowerCase().includes('precio') || 
-                          message.toLowerCase().includes('costo') || 
-                          message.toLowerCase().includes('cotización') || 
-                          message.toLowerCase().includes('cotizacion') ||
-                          message.toLowerCase().includes('cuánto') ||
-                          message.toLowerCase().includes('cuanto') ||
-                          message.toLowerCase().includes('tarifa');
+    const askingForPrice = includesKeyword(message, 'invitation.keywords.price', prospectState);
     
     if (askingForPrice) {
       return this.handlePriceRequest(message, prospectState, evaluation);
     }
     
     // Preparar mensaje de invitación según el valor del prospecto
-    let response;
-    if (evaluation.prospectValue === 'ALTO') {
-      response = `${prospectState.name}, basado en la información que me has compartido sobre ${prospectState.company}, creo que nuestra solución LogiFit podría ser muy adecuada para sus necesidades. 
-
-Me gustaría invitarte a una demostración personalizada donde podrás ver cómo nuestro sistema puede ayudar a mejorar la seguridad de tus conductores y la eficiencia de tu flota.
-
-¿Te interesaría agendar esta demostración? Podemos adaptarnos a tu disponibilidad.`;
-    } else {
-      response = `${prospectState.name}, gracias por tu interés en nuestra solución LogiFit. 
-
-Basado en lo que me comentas, creo que podríamos ofrecerte una demostración de nuestro sistema para que puedas evaluar si se adapta a las necesidades de ${prospectState.company}.
-
-¿Te gustaría agendar una breve llamada para mostrarte cómo funciona nuestro sistema?`;
-    }
+    const key = evaluation.prospectValue === 'ALTO' ? 'invitation.inviteHighValue' : 'invitation.inviteMediumValue';
+    const { text: response, templateVariants } = renderTemplate(key, prospectState);
     
     return {
       response,
+      interactive: this.createDemoButtons(prospectState),
       newState: {
         ...prospectState,
-        conversationState: 'invitation',
+        templateVariants,
+        conversationState: STATES.INVITATION,
         invitationStep: 'demo_scheduling',
         invitationPriority: evaluation.invitationPriority,
         prospectValue: evaluation.prospectValue,
@@ -195,17 +175,19 @@ Basado en lo que me comentas, creo que podríamos ofrecerte una demostración de
    * @returns {Promise<Object>} - Respuesta y nuevo estado
    */
   async handlePriceRequest(message, prospectState, evaluation) {
-    const response = `Entiendo que estás interesado en conocer los precios de nuestra solución LogiFit. 
-
-Nuestros planes se adaptan al tamaño de la flota y las necesidades específicas de cada empresa. Para poder ofrecerte una cotización precisa, necesitaríamos conocer más detalles sobre tus requerimientos.
-
-Lo mejor sería agendar una breve llamada donde podamos discutir tus necesidades específicas y presentarte una propuesta personalizada. ¿Te parece bien si coordinamos una llamada?`;
+    const { text: response, templateVariants } = renderTemplate('invitation.priceRequest', prospectState);
+    // El brochure acompaña la explicación de precios
+    const { attachments, sentMedia } = getAttachments(['brochure'], prospectState);
     
     return {
       response,
+      attachments,
+      interactive: this.createDemoButtons(prospectState),
       newState: {
         ...prospectState,
-        conversationState: 'invitation',
+        templateVariants,
+        sentMedia,
+        conversationState: STATES.INVITATION,
         invitationStep: 'demo_scheduling',
         invitationPriority: evaluation.invitationPriority,
         prospectValue: evaluation.prospectValue,
@@ -223,42 +205,33 @@ Lo mejor sería agendar una breve llamada donde podamos discutir tus necesidades
    * @returns {Promise<Object>} - Respuesta y nuevo estado
    */
   async handleDemoScheduling(message, prospectState, evaluation) {
-    // Verificar si el mensaje contiene una respuesta positiva
-    const positiveResponse = message.toLowerCase().includes('sí') || 
-                            message.toLowerCase().includes('si') || 
-                            message.toLowerCase().includes('claro') || 
-                            message.toLowerCase().includes('ok') ||
-                            message.toLowerCase().includes('buena idea') ||
-                            message.toLowerCase().includes('me interesa') ||
-                            message.toLowerCase().includes('adelante');
+    // Un botón elegido tiene prioridad sobre las palabras clave
+    const selectedReply = prospectState.selectedReply;
+    
+    if (selectedReply === 'more_info') {
+      return this.handleInfoRequest(prospectState);
+    }
     
     // Verificar si el mensaje contiene una respuesta negativa
-    const negativeResponse = message.toLowerCase().includes('no') || 
-                            message.toLowerCase().includes('ahora no') || 
-                            message.toLowerCase().includes('después') || 
-                            message.toLowerCase().includes('despues') ||
-                            message.toLowerCase().includes('luego') ||
-                            message.toLowerCase().includes('otro momento');
+    const negativeResponse = selectedReply === 'demo_no' ||
+      (!selectedReply && includesKeyword(message, 'keywords.negative', prospectState));
+    
+    // Verificar si el mensaje contiene una respuesta positiva (la negativa manda)
+    const positiveResponse = selectedReply === 'demo_yes' ||
+      (!selectedReply && !negativeResponse && includesKeyword(message, 'keywords.positive', prospectState));
     
     // Verificar si el mensaje contiene información de contacto
-    const hasContactInfo = message.toLowerCase().includes('correo') || 
-                          message.toLowerCase().includes('email') || 
-                          message.toLowerCase().includes('teléfono') || 
-                          message.toLowerCase().includes('telefono') ||
-                          message.toLowerCase().includes('celular') ||
-                          message.toLowerCase().includes('@');
+    const hasContactInfo = includesKeyword(message, 'invitation.keywords.contact', prospectState);
     
     if (positiveResponse) {
       // Si la respuesta es positiva, solicitar información de contacto
-      const response = `¡Excelente! Para coordinar la demostración, ¿podrías proporcionarme tu correo electrónico y un número de teléfono donde podamos contactarte?
-
-Nuestro equipo se pondrá en contacto contigo para agendar la demostración en el horario que mejor te convenga.`;
+      const response = t('invitation.askContactInfo', prospectState);
       
       return {
         response,
         newState: {
           ...prospectState,
-          conversationState: 'invitation',
+          conversationState: STATES.INVITATION,
           invitationStep: 'contact_info',
           demoAccepted: true,
           lastInteraction: new Date()
@@ -266,15 +239,13 @@ Nuestro equipo se pondrá en contacto contigo para agendar la demostración en e
       };
     } else if (negativeResponse) {
       // Si la respuesta es negativa, ofrecer alternativas
-      const response = `Entiendo que quizás no sea el momento adecuado para una demostración. 
-
-¿Te gustaría que te enviara información detallada sobre nuestra solución y casos de éxito para que puedas revisarla cuando tengas tiempo? También podríamos programar la demostración para más adelante, cuando te sea más conveniente.`;
+      const response = t('invitation.demoDeclined', prospectState);
       
       return {
         response,
         newState: {
           ...prospectState,
-          conversationState: 'invitation',
+          conversationState: STATES.INVITATION,
           invitationStep: 'follow_up',
           demoRejected: true,
           lastInteraction: new Date()
@@ -285,15 +256,14 @@ Nuestro equipo se pondrá en contacto contigo para agendar la demostración en e
       return this.handleContactInfoCollection(message, prospectState, evaluation);
     } else {
       // Si la respuesta no es clara, insistir amablemente
-      const response = `Para poder mostrarte cómo nuestra solución LogiFit puede beneficiar a ${prospectState.company}, me gustaría coordinar una breve demostración personalizada. 
-
-¿Te interesaría agendar esta demostración en los próximos días? Solo tomaría unos 20-30 minutos de tu tiempo.`;
+      const response = t('invitation.insistDemo', prospectState, { company: prospectState.company });
       
       return {
         response,
+        interactive: this.createDemoButtons(prospectState),
         newState: {
           ...prospectState,
-          conversationState: 'invitation',
+          conversationState: STATES.INVITATION,
           invitationStep: 'demo_scheduling',
           lastInteraction: new Date()
         }
@@ -322,7 +292,7 @@ Nuestro equipo se pondrá en contacto contigo para agendar la demostración en e
     // Actualizar el estado con la información de contacto
     const newState = {
       ...prospectState,
-      conversationState: 'invitation',
+      conversationState: STATES.INVITATION,
       invitationStep: 'follow_up',
       contactInfoProvided: true,
       lastInteraction: new Date()
@@ -341,17 +311,15 @@ Nuestro equipo se pondrá en contacto contigo para agendar la demostración en e
     
     let response;
     if (hasAllInfo) {
-      response = `¡Perfecto! He registrado tu correo electrónico (${newState.email}) y tu número de teléfono (${newState.phone}).
-
-Nuestro equipo se pondrá en contacto contigo muy pronto para coordinar la demostración. Mientras tanto, ¿hay algún aspecto específico de nuestra solución que te gustaría que abordáramos durante la demostración?`;
+      response = t('invitation.contactInfoComplete', prospectState, { email: newState.email, phone: newState.phone });
     } else if (newState.email && !newState.phone) {
-      response = `Gracias por proporcionarme tu correo electrónico (${newState.email}). Para completar la coordinación, ¿podrías también compartirme un número de teléfono donde podamos contactarte?`;
+      response = t('invitation.askPhone', prospectState, { email: newState.email });
       newState.invitationStep = 'contact_info';
     } else if (!newState.email && newState.phone) {
-      response = `Gracias por proporcionarme tu número de teléfono (${newState.phone}). Para completar la coordinación, ¿podrías también compartirme tu correo electrónico?`;
+      response = t('invitation.askEmail', prospectState, { phone: newState.phone });
       newState.invitationStep = 'contact_info';
     } else {
-      response = `Para poder coordinar la demostración, necesitaría tu correo electrónico y un número de teléfono donde podamos contactarte. ¿Podrías proporcionarme esta información, por favor?`;
+      response = t('invitation.askEmailAndPhone', prospectState);
       newState.invitationStep = 'contact_info';
     }
     
@@ -370,46 +338,30 @@ Nuestro equipo se pondrá en contacto contigo muy pronto para coordinar la demos
    */
   async handleFollowUp(message, prospectState, evaluation) {
     // Verificar si el mensaje contiene una solicitud específica
-    const askingForInfo = message.toLowerCase().includes('información') || 
-                         message.toLowerCase().includes('informacion') || 
-                         message.toLowerCase().includes('detalles') || 
-                         message.toLowerCase().includes('más') ||
-                         message.toLowerCase().includes('mas');
+    const askingForInfo = includesKeyword(message, 'invitation.keywords.moreInfo', prospectState);
+    
+    const askingForDemo = includesKeyword(message, 'invitation.keywords.demo', prospectState);
     
-    const askingForDemo = message.toLowerCase().includes('demo') || 
-                         message.toLowerCase().includes('demostración') || 
-                         message.toLowerCase().includes('demostracion') || 
-                         message.toLowerCase().includes('llamada') ||
-                         message.toLowerCase().includes('reunión') ||
-                         message.toLowerCase().includes('reunion');
+    if (askingForInfo && !askingForDemo) {
+      return this.handleInfoRequest(prospectState);
+    }
     
     let response;
     const newState = {
       ...prospectState,
-      conversationState: 'invitation',
+      conversationState: STATES.INVITATION,
       invitationStep: 'follow_up',
       lastInteraction: new Date()
     };
     
     if (askingForDemo) {
-      response = `¡Claro! Estaré encantado de coordinar una demostración para ti. 
-
-Para agendar la demostración, necesitaría tu correo electrónico y un número de teléfono donde podamos contactarte. ¿Podrías proporcionarme esta información, por favor?`;
+      response = t('invitation.demoRequested', prospectState);
       
       newState.invitationStep = 'contact_info';
       newState.demoRequested = true;
-    } else if (askingForInfo) {
-      response = `Con gusto te enviaré más información sobre nuestra solución LogiFit. 
-
-Te enviaré un documento con detalles técnicos, beneficios y casos de éxito que podrás revisar cuando tengas tiempo. ¿A qué correo electrónico prefieres que te envíe esta información?`;
-      
-      newState.invitationStep = 'contact_info';
-      newState.infoRequested = true;
     } else {
       // Respuesta genérica de seguimiento
-      response = `Gracias por tu interés en LogiFit. Estamos aquí para ayudarte con cualquier duda o consulta que tengas sobre nuestra solución.
-
-¿Hay algo específico sobre lo que te gustaría saber más? Puedo proporcionarte información adicional o coordinar una demostración cuando lo consideres conveniente.`;
+      response = t('invitation.followUp', prospectState);
     }
     
     return {
@@ -418,6 +370,30 @@ Te enviaré un documento con detalles técnicos, beneficios y casos de éxito qu
     };
   }
 
+  /**
+   * Envía el brochure y un caso de éxito al prospecto que pide más información
+   * y le pide sus datos de contacto
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object} - Respuesta, adjuntos y nuevo estado
+   */
+  handleInfoRequest(prospectState) {
+    const response = t('invitation.infoRequested', prospectState);
+    const { attachments, sentMedia } = getAttachments(['brochure', 'case_study'], prospectState);
+    
+    return {
+      response,
+      attachments,
+      newState: {
+        ...prospectState,
+        sentMedia,
+        conversationState: STATES.INVITATION,
+        invitationStep: 'contact_info',
+        infoRequested: true,
+        lastInteraction: new Date()
+      }
+    };
+  }
+
   /**
    * Maneja prospectos de bajo valor
    * @param {string} message - Mensaje del usuario
@@ -427,17 +403,13 @@ Te enviaré un documento con detalles técnicos, beneficios y casos de éxito qu
    */
   async handleLowValueProspect(message, prospectState, evaluation) {
     // Para prospectos de bajo valor, ofrecer información pero no insistir en una demostración
-    const response = `Gracias por tu interés en nuestra solución LogiFit. 
-
-Tenemos material informativo que podría ser útil para entender cómo nuestro sistema puede ayudar a mejorar la seguridad de los conductores y la eficiencia de la flota.
-
-¿Te gustaría recibir esta información por correo electrónico?`;
+    const response = t('invitation.lowValueOffer', prospectState);
     
     return {
       response,
       newState: {
         ...prospectState,
-        conversationState: 'nurturing',
+        conversationState: STATES.NURTURING,
         nurturingStep: 'info_offer',
         prospectValue: evaluation.prospectValue,
         lastInteraction: new Date()
@@ -445,6 +417,76 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
     };
   }
 
+  /**
+   * Describe un horario en el idioma del prospecto ("hoy a las 10:00", "el 22/10/2024 a las 10:00")
+   * @param {Object} slot - Horario ({ isToday, isTomorrow, date, time })
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {string}
+   */
+  describeTime(slot, prospectState) {
+    if (slot.isToday) {
+      return t('invitation.time.today', prospectState, { time: slot.time });
+    }
+    if (slot.isTomorrow) {
+      return t('invitation.time.tomorrow', prospectState, { time: slot.time });
+    }
+    return t('invitation.time.date', prospectState, { date: slot.date, time: slot.time });
+  }
+
+  /**
+   * Botones para responder a la invitación a la demostración (Sí / Ahora no / Más información)
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object} - Mensaje interactivo
+   */
+  createDemoButtons(prospectState) {
+    return createButtons([
+      { id: 'demo_yes', title: t('interactive.demoYes', prospectState) },
+      { id: 'demo_no', title: t('interactive.demoNo', prospectState) },
+      { id: 'more_info', title: t('interactive.moreInfo', prospectState) }
+    ], prospectState);
+  }
+
+  /**
+   * Lista con los horarios ofrecidos y la opción de proponer otro
+   * @param {Array<Object>} slots - Horarios (ver calendarService.formatSlot)
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object} - Mensaje interactivo
+   */
+  createSlotList(slots, prospectState) {
+    const language = getProspectLanguage(prospectState);
+    const options = slots.map(slot => ({
+      id: `slot:${slot.dateTime}`,
+      title: formatShortDate(slot.dateTime, prospectState.timezone || 'America/Lima', language),
+      description: this.describeTime(slot, prospectState)
+    }));
+    
+    options.push({
+      id: 'slot:other',
+      title: t('interactive.otherSlot', prospectState),
+      description: t('interactive.otherSlotDescription', prospectState)
+    });
+    
+    return createList(options, prospectState, {
+      button: t('interactive.slotsButton', prospectState),
+      section: t('interactive.slotsSection', prospectState)
+    });
+  }
+
+  /**
+   * Horario ofrecido que el prospecto eligió de la lista
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object|null} - Horario o null
+   */
+  findSelectedSlot(prospectState) {
+    const selectedReply = prospectState.selectedReply;
+    if (!selectedReply || !selectedReply.startsWith('slot:')) {
+      return null;
+    }
+    
+    const slots = [...(prospectState.offeredSlots || []), ...(prospectState.alternativeSlots || [])];
+    return slots.find(slot => `slot:${slot.dateTime}` === selectedReply) || null;
+  }
+
   /**
    * Ofrece un horario disponible al cliente basado en la disponibilidad del calendario
    * @param {Object} prospectState - Estado del prospecto
@@ -452,68 +494,64 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
    */
   async offerAvailableTimeSlot(prospectState) {
     try {
-      // Obtener slot disponible más cercano
-      const availableSlot = await getNearestAvailableSlot(prospectState.timezone);
+      // Obtener los próximos horarios disponibles; el más cercano es el que se propone
+      const slots = await getAvailableSlots(prospectState.timezone, 3, {
+        calendarIds: getSellerCalendarIds(prospectState)
+      });
+      if (slots.length === 0) {
+        throw new Error('No hay horarios disponibles');
+      }
+      const availableSlot = slots[0];
       
       // Determinar si el slot es para hoy o mañana
-      let timeDescription;
-      if (availableSlot.isToday) {
-        timeDescription = `hoy a las ${availableSlot.time}`;
-      } else if (availableSlot.isTomorrow) {
-        timeDescription = `mañana a las ${availableSlot.time}`;
-      } else {
-        timeDescription = `el ${availableSlot.date} a las ${availableSlot.time}`;
-      }
+      const timeDescription = this.describeTime(availableSlot, prospectState);
       
-      const response = `¡Excelente! ¿Te parece bien ${timeDescription}? Te enviaré el link de Google Meet para conectarnos.`;
+      const { text: response, templateVariants } = renderTemplate('invitation.offerSlot', prospectState, { slot: timeDescription });
       
       // Actualizar estado
       const newState = {
         ...prospectState,
-        conversationState: 'invitation',
+        templateVariants,
+        conversationState: STATES.INVITATION,
         invitationStep: 'schedule_confirmation',
         suggestedSlot: availableSlot,
+        offeredSlots: slots,
+        alternativeSlots: null,
         lastInteraction: new Date()
       };
       
       return {
         response,
+        interactive: this.createSlotList(slots, prospectState),
         newState
       };
     } catch (error) {
       logger.error('Error al obtener slot disponible:', error);
       
-      // En caso de error, usar un horario genérico
-      const now = moment().tz(prospectState.timezone || 'America/Lima');
-      let suggestedTime = now.clone().add(2, 'hours').startOf('hour');
-      
-      // Ajustar para horario laboral
-      if (suggestedTime.hour() < 9) {
-        suggestedTime.hour(9).minute(0);
-      } else if (suggestedTime.hour() >= 18) {
-        suggestedTime.add(1, 'day').hour(9).minute(0);
-      }
-      
-      const timeDescription = suggestedTime.isSame(now, 'day') 
-        ? `hoy a las ${suggestedTime.format('HH:mm')}` 
-        : `mañana a las ${suggestedTime.format('HH:mm')}`;
-      
-      const response = `¡Excelente! ¿Te parece bien ${timeDescription}? Te enviaré el link de Google Meet.`;
-      
-      // Actualizar estado
-      const newState = {
+      // Sin el calendario del vendedor no se propone un horario que podría estar ocupado:
+      // se pide al prospecto el día y la hora que prefiere
+      return this.askForPreferredTime(prospectState);
+    }
+  }
+
+  /**
+   * Pide al prospecto el día y la hora que prefiere cuando no hay un horario libre que ofrecerle
+   * @param {Object} prospectState - Estado del prospecto
+   * @returns {Object} - Respuesta y nuevo estado
+   */
+  askForPreferredTime(prospectState) {
+    return {
+      response: t('invitation.slotsUnavailable', prospectState),
+      newState: {
         ...prospectState,
-        conversationState: 'invitation',
+        conversationState: STATES.INVITATION,
         invitationStep: 'schedule_confirmation',
-        suggestedTime: suggestedTime.format('YYYY-MM-DD HH:mm'),
+        suggestedSlot: null,
+        offeredSlots: null,
+        alternativeSlots: null,
         lastInteraction: new Date()
-      };
-      
-      return {
-        response,
-        newState
-      };
-    }
+      }
+    };
   }
 
   /**
@@ -524,6 +562,22 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
    */
   async handleScheduleConfirmation(message, prospectState) {
     try {
+      // Una opción elegida de la lista de horarios no necesita análisis
+      if (prospectState.selectedReply === 'slot:other') {
+        return {
+          response: t('invitation.askPreferredTime', prospectState),
+          newState: {
+            ...prospectState,
+            lastInteraction: new Date()
+          }
+        };
+      }
+      
+      const selectedSlot = this.findSelectedSlot(prospectState);
+      if (selectedSlot) {
+        return this.handleAcceptedSchedule({ ...prospectState, suggestedSlot: selectedSlot });
+      }
+      
       // Usar OpenAI para analizar si la respuesta es positiva o negativa
       const analysisPrompt = `Analiza este mensaje de un cliente respondiendo a una propuesta de horario para una reunión.
       
@@ -557,7 +611,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
         logger.error('Error al analizar respuesta con OpenAI:', error.message);
         
         // Fallback a análisis simple si OpenAI falla
-        analysis = this.analyzeScheduleResponse(message);
+        analysis = this.analyzeScheduleResponse(message, getProspectLanguage(prospectState));
         logger.info('Usando análisis simple como fallback para confirmación de horario:', analysis);
       }
       
@@ -573,7 +627,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
         return this.handleAlternativeSchedule(prospectState, analysis.proposedTime);
       } else {
         // Respuesta no clara, pedir clarificación
-        const response = `Disculpa, no estoy seguro si ese horario te funciona. ¿Podrías confirmarme si te parece bien el horario que te propuse o sugerirme otro que te resulte más conveniente?`;
+        const response = t('invitation.scheduleUnclear', prospectState);
         
         return {
           response,
@@ -587,7 +641,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
       logger.error('Error en handleScheduleConfirmation:', error.message);
       
       // Respuesta genérica en caso de error
-      const response = `Disculpa, tuve un problema procesando tu respuesta. ¿Podrías confirmarme si el horario propuesto te funciona o sugerirme otro que te resulte más conveniente?`;
+      const response = t('invitation.scheduleError', prospectState);
       
       return {
         response,
@@ -602,43 +656,18 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
   /**
    * Analiza la respuesta del cliente sobre el horario propuesto (método de fallback)
    * @param {string} message - Mensaje del cliente
+   * @param {string} language - Idioma del prospecto (es, pt o en)
    * @returns {Object} - Resultado del análisis
    */
-  analyzeScheduleResponse(message) {
+  analyzeScheduleResponse(message, language = 'es') {
     const lowerMessage = message.toLowerCase();
     
-    // Patrones para respuestas positivas
-    const positivePatterns = [
-      /\bs[ií]\b/i,
-      /\bclaro\b/i,
-      /\bpor supuesto\b/i,
-      /\bde acuerdo\b/i,
-      /\bok\b/i,
-      /\bbueno\b/i,
-      /\bexcelente\b/i,
-      /\bperfecto\b/i,
-      /\bme parece bien\b/i
-    ];
-    
-    // Patrones para respuestas negativas
-    const negativePatterns = [
-      /\bno\b/i,
-      /\bno puedo\b/i,
-      /\bimposible\b/i,
-      /\botro\b/i,
-      /\bdistinto\b/i,
-      /\bdiferente\b/i
-    ];
-    
-    // Patrones para propuestas alternativas
-    const alternativePatterns = [
-      /\bprefiero\b/i,
-      /\bmejor\b/i,
-      /\bpuedo\b/i,
-      /\bdisponible\b/i,
-      /\ba las\b/i,
-      /\bel\b/i
-    ];
+    // Patrones para respuestas positivas, negativas y propuestas alternativas
+    const {
+      positive: positivePatterns,
+      negative: negativePatterns,
+      alternative: alternativePatterns
+    } = SCHEDULE_RESPONSE_PATTERNS[language] || SCHEDULE_RESPONSE_PATTERNS.es;
     
     // Verificar si es una respuesta positiva
     if (positivePatterns.some(pattern => pattern.test(lowerMessage))) {
@@ -662,7 +691,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
     if (alternativePatterns.some(pattern => pattern.test(lowerMessage))) {
       // Intentar extraer fecha y hora
       // Esto es simplificado, idealmente se usaría OpenAI para esto
-      const dateTimeMatch = lowerMessage.match(/(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?\s+(?:a las\s+)?(\d{1,2})(?::(\d{2}))?/);
+      const dateTimeMatch = lowerMessage.match(/(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?\s+(?:(?:a las|às|as|at)\s+)?(\d{1,2})(?::(\d{2}))?/);
       
       if (dateTimeMatch) {
         const day = dateTimeMatch[1];
@@ -699,53 +728,24 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
    * @returns {Promise<Object>} - Respuesta y nuevo estado
    */
   async handleAcceptedSchedule(prospectState) {
-    // Verificar si tenemos un slot sugerido
     const suggestedSlot = prospectState.suggestedSlot;
-    const suggestedTime = prospectState.suggestedTime;
     
-    // Determinar la descripción del horario
-    let timeDescription;
-    if (suggestedSlot) {
-      if (suggestedSlot.isToday) {
-        timeDescription = `hoy a las ${suggestedSlot.time}`;
-      } else if (suggestedSlot.isTomorrow) {
-        timeDescription = `mañana a las ${suggestedSlot.time}`;
-      } else {
-        timeDescription = `el ${suggestedSlot.date} a las ${suggestedSlot.time}`;
-      }
-    } else if (suggestedTime) {
-      // Formato antiguo
-      const dateTime = moment(suggestedTime);
-      const now = moment();
-      
-      if (dateTime.isSame(now, 'day')) {
-        timeDescription = `hoy a las ${dateTime.format('HH:mm')}`;
-      } else if (dateTime.isSame(now.clone().add(1, 'day'), 'day')) {
-        timeDescription = `mañana a las ${dateTime.format('HH:mm')}`;
-      } else {
-        timeDescription = `el ${dateTime.format('DD/MM/YYYY')} a las ${dateTime.format('HH:mm')}`;
-      }
-    } else {
-      // Si no hay hora sugerida, usar hora actual + 2 horas
-      const defaultTime = moment().add(2, 'hours').format('HH:mm');
-      timeDescription = `hoy a las ${defaultTime}`;
+    // Sin un horario propuesto no hay nada que aceptar
+    if (!suggestedSlot) {
+      return this.askForPreferredTime(prospectState);
     }
     
+    const timeDescription = this.describeTime(suggestedSlot, prospectState);
+    
     // Solicitar correo electrónico
-    const response = `Perfecto, agendaré la reunión para ${timeDescription}. 
-
-¿Me podrías proporcionar tu correo electrónico corporativo para enviarte la invitación? También puedes indicarme si deseas incluir a alguien más en la reunión.`;
+    const response = t('invitation.confirmSlotAskEmail', prospectState, { time: timeDescription });
     
     // Actualizar estado
     const newState = {
       ...prospectState,
-      conversationState: 'invitation',
+      conversationState: STATES.INVITATION,
       invitationStep: 'email_collection',
-      selectedSlot: suggestedSlot || { 
-        date: moment(suggestedTime).format('DD/MM/YYYY'), 
-        time: moment(suggestedTime).format('HH:mm'),
-        dateTime: moment(suggestedTime).toISOString()
-      },
+      selectedSlot: suggestedSlot,
       lastInteraction: new Date()
     };
     
@@ -762,41 +762,19 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
    */
   async handleRejectedSchedule(prospectState) {
     try {
-      // Obtener slots alternativos
-      const { getNearestAvailableSlot } = require('../services/calendarService');
-      
-      // Buscar slots para los próximos 3 días
-      const availableSlot1 = await getNearestAvailableSlot(prospectState.timezone, 1);
-      const availableSlot2 = await getNearestAvailableSlot(prospectState.timezone, 3);
+      // Buscar hasta 3 horarios distintos de los que ya se ofrecieron
+      const calendarIds = getSellerCalendarIds(prospectState);
+      const offered = [...(prospectState.offeredSlots || []), prospectState.suggestedSlot]
+        .filter(Boolean)
+        .map(slot => slot.dateTime);
+      const slots = await getAvailableSlots(prospectState.timezone, offered.length + 3, { calendarIds });
+      const alternativeSlots = slots.filter(slot => !offered.includes(slot.dateTime)).slice(0, 3);
       
-      // Filtrar para evitar duplicados
-      let alternativeSlots = [availableSlot1];
-      if (availableSlot2.dateTime !== availableSlot1.dateTime) {
-        alternativeSlots.push(availableSlot2);
+      if (alternativeSlots.length === 0) {
+        throw new Error('No hay horarios alternativos disponibles');
       }
       
-      // Formatear las alternativas
-      const slotDescriptions = alternativeSlots.map(slot => {
-        if (slot.isToday) {
-          return `hoy a las ${slot.time}`;
-        } else if (slot.isTomorrow) {
-          return `mañana a las ${slot.time}`;
-        } else {
-          return `el ${slot.date} a las ${slot.time}`;
-        }
-      });
-      
-      let response;
-      if (slotDescriptions.length > 1) {
-        response = `Entiendo que ese horario no te funciona. Te propongo estas alternativas:
-
-1. ${slotDescriptions[0]}
-2. ${slotDescriptions[1]}
-
-¿Cuál de estas opciones te funciona mejor?`;
-      } else {
-        response = `Entiendo que ese horario no te funciona. ¿Te parece bien ${slotDescriptions[0]}?`;
-      }
+      const response = t('invitation.alternativeSlots', prospectState);
       
       // Actualizar estado
       const newState = {
@@ -807,13 +785,14 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
       
       return {
         response,
+        interactive: this.createSlotList(alternativeSlots, prospectState),
         newState
       };
     } catch (error) {
       logger.error('Error al obtener slots alternativos:', error);
       
       // En caso de error, ofrecer alternativas genéricas
-      const response = `Entiendo que ese horario no te funciona. ¿Podrías indicarme qué día y horario te resultaría más conveniente? Tenemos disponibilidad de lunes a viernes de 9:00 a 18:00 hrs.`;
+      const response = t('invitation.askPreferredTime', prospectState);
       
       return {
         response,
@@ -850,14 +829,12 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
         const formattedTime = proposedDate.format('HH:mm');
         
         // Solicitar correo electrónico
-        const response = `Perfecto, agendaré la reunión para el ${formattedDate} a las ${formattedTime}. 
-
-¿Me podrías proporcionar tu correo electrónico corporativo para enviarte la invitación?`;
+        const response = t('invitation.confirmProposedTime', prospectState, { date: formattedDate, time: formattedTime });
         
         // Actualizar estado
         const newState = {
           ...prospectState,
-          conversationState: 'invitation',
+          conversationState: STATES.INVITATION,
           invitationStep: 'email_collection',
           selectedSlot: {
             date: formattedDate,
@@ -873,9 +850,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
         };
       } else {
         // El horario propuesto no es válido
-        const response = `Lo siento, pero el horario que propones no está dentro de nuestro horario laboral o ya ha pasado. Nuestro horario de atención es de lunes a viernes de 9:00 a 18:00 hrs.
-
-¿Podrías proponerme otro horario que te funcione dentro de ese rango?`;
+        const response = t('invitation.invalidProposedTime', prospectState);
         
         return {
           response,
@@ -889,7 +864,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
       logger.error('Error al procesar horario alternativo:', error);
       
       // En caso de error, solicitar clarificación
-      const response = `No pude entender claramente el horario que prefieres. ¿Podrías indicarme qué día y hora te resultaría más conveniente? Por ejemplo: "mañana a las 10:00" o "el viernes a las 15:00".`;
+      const response = t('invitation.unclearProposedTime', prospectState);
       
       return {
         response,
@@ -947,7 +922,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
       if (!match) {
         // No se encontró un correo electrónico válido
         return {
-          response: "No he podido identificar un correo electrónico válido en tu mensaje. Por favor, comparte tu correo electrónico para enviarte la invitación (ejemplo: nombre@empresa.com).",
+          response: t('invitation.invalidEmail', state),
           newState: state
         };
       }
@@ -969,12 +944,15 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
           throw new Error('No se ha seleccionado un horario para la cita');
         }
         
-        // Crear evento personalizado
+        // Crear evento personalizado en el calendario del vendedor asignado
+        const seller = getAssignedSeller(newState);
         const eventDetails = {
           summary: `Demostración Logifit - ${newState.name || 'Prospecto'}`,
           description: `🚀 ¡Únete a nuestra sesión de Logifit! 🚀✨ Logifit es una moderna herramienta tecnológica inteligente adecuada para la gestión del descanso y salud de los colaboradores. Brindamos servicios de monitoreo preventivo como apoyo a la mejora de la salud y prevención de accidentes, con la finalidad de salvaguardar la vida de los trabajadores y ayudarles a alcanzar el máximo de su productividad en el proyecto. ✨👨‍💼👩‍💼 ¡Tu bienestar es nuestra prioridad! 🔧👍`,
           startTime: selectedSlot.dateTime,
-          duration: 30, // 30 minutos
+          duration: getSchedulingConfig().meetingMinutes,
+          calendarId: seller.calendarId || 'primary',
+          sellerEmail: seller.email,
           attendees: [
             { email }
           ]
@@ -988,7 +966,11 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
           ...newState,
           appointmentDetails,
           appointmentCreated: true,
-          conversationState: 'appointment_confirmed'
+          appointmentBookedAt: new Date(),
+          remindersSent: [],
+          remindersSkipped: [],
+          reminderFailures: 0,
+          conversationState: STATES.APPOINTMENT_CONFIRMED
         };
         
         // Enviar datos de la cita a Make.com para crear el evento en Google Calendar
@@ -1015,7 +997,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
           instruction: 'Genera un mensaje de confirmación para un prospecto que ha proporcionado su correo electrónico para recibir una invitación a una demostración de Logifit. Menciona que hemos programado la cita y que recibirá una invitación por correo electrónico con los detalles y el enlace para unirse a la reunión. Agradece su interés y menciona que estamos emocionados de mostrarle nuestra solución.',
           context: `El prospecto ha proporcionado su correo electrónico: ${email}. La cita está programada para el ${appointmentDetails.date} a las ${appointmentDetails.time}.`,
           outputFormat: 'text'
-        });
+        }, { language: getProspectLanguage(newState) });
         
         return {
           response,
@@ -1025,7 +1007,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
         logger.error('Error al crear la cita:', error);
         
         // Generar respuesta de error
-        const response = "Lo siento, ha ocurrido un error al programar la cita. Por favor, intenta nuevamente más tarde o contáctanos directamente al +51 1 6449188.";
+        const response = t('invitation.appointmentError', newState);
         
         return {
           response,
@@ -1036,7 +1018,7 @@ Tenemos material informativo que podría ser útil para entender cómo nuestro s
       logger.error('Error en handleEmailCollection:', error);
       
       return {
-        response: "Lo siento, ha ocurrido un error al procesar tu correo electrónico. Por favor, intenta nuevamente o contáctanos directamente al +51 1 6449188.",
+        response: t('invitation.emailError', state),
         newState: state
       };
     }
@@ -1,5 +1,9 @@
 require('dotenv').config();
-const { connectToWhatsApp } = require('./whatsapp/baileys-connection');
+const { connectToWhatsApp } = require('./whatsapp/connection');
+const { startAdminApi, stopAdminApi } = require('./api/server');
+const { startFollowUpScheduler, stopFollowUpScheduler } = require('./services/followUpService');
+const { startReminderScheduler, stopReminderScheduler } = require('./services/reminderService');
+const { startBroadcastScheduler, stopBroadcastScheduler } = require('./services/broadcastService');
 const db = require('./database');
 const logger = require('./utils/logger');
 
@@ -19,19 +23,43 @@ async function main() {
     
     // Conectar a WhatsApp
     console.log('Conectando a WhatsApp...');
-    console.log('Por favor, espera a que aparezca el código QR para escanear.\n');
+    if ((process.env.WHATSAPP_TRANSPORT || 'baileys') === 'baileys') {
+      console.log('Por favor, espera a que aparezca el código QR para escanear.\n');
+    }
+    
+    const transport = await connectToWhatsApp();
+    
+    // Iniciar API de administración
+    await startAdminApi();
+    
+    // Programar seguimiento de prospectos inactivos
+    startFollowUpScheduler();
+    
+    // Programar recordatorios de citas
+    startReminderScheduler();
     
-    await connectToWhatsApp();
+    // Programar el envío de campañas salientes
+    startBroadcastScheduler();
     
     // Manejar cierre de la aplicación
     process.on('SIGINT', async () => {
       logger.info('Cerrando aplicación...');
+      stopFollowUpScheduler();
+      stopReminderScheduler();
+      stopBroadcastScheduler();
+      await transport.stop();
+      await stopAdminApi();
       await db.close();
       process.exit(0);
     });
     
     process.on('SIGTERM', async () => {
       logger.info('Cerrando aplicación...');
+      stopFollowUpScheduler();
+      stopReminderScheduler();
+      stopBroadcastScheduler();
+      await transport.stop();
+      await stopAdminApi();
       await db.close();
       process.exit(0);
     });
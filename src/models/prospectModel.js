@@ -19,8 +19,9 @@ const prospectSchema = new mongoose.Schema({
   },
   conversationState: {
     type: String,
-    enum: Object.values(CONVERSATION_STATES),
-    default: CONVERSATION_STATES.INITIAL
+    // null: prospecto nuevo que aún no recibe el saludo
+    enum: [...Object.values(CONVERSATION_STATES), null],
+    default: null
   },
   qualificationStep: {
     type: Number,
@@ -85,7 +86,7 @@ async function getProspectState(phoneNumber) {
       if (!prospect) {
         prospect = {
           phoneNumber,
-          conversationState: CONVERSATION_STATES.INITIAL,
+          conversationState: null,
           qualificationStep: 0,
           qualificationAnswers: {},
           lastInteraction: new Date(),
@@ -105,7 +106,7 @@ async function getProspectState(phoneNumber) {
     if (!prospect) {
       prospect = await Prospect.create({
         phoneNumber,
-        conversationState: CONVERSATION_STATES.INITIAL,
+        conversationState: null,
         lastInteraction: new Date()
       });
       logger.info(`Nuevo prospecto creado: ${phoneNumber}`);
@@ -118,7 +119,7 @@ async function getProspectState(phoneNumber) {
     // Devolver un objeto básico en caso de error
     return {
       phoneNumber,
-      conversationState: CONVERSATION_STATES.INITIAL,
+      conversationState: null,
       qualificationStep: 0,
       qualificationAnswers: {},
       lastInteraction: new Date()
@@ -138,7 +139,7 @@ async function updateProspectState(phoneNumber, updates) {
       if (!prospect) {
         prospect = {
           phoneNumber,
-          conversationState: CONVERSATION_STATES.INITIAL,
+          conversationState: null,
           qualificationStep: 0,
           qualificationAnswers: {},
           lastInteraction: new Date(),
@@ -180,14 +181,14 @@ async function getInactiveProspects(hoursInactive) {
       return Array.from(inMemoryProspects.values())
         .filter(prospect => 
           prospect.lastInteraction < cutoffTime && 
-          prospect.conversationState !== CONVERSATION_STATES.CLOSING
+          prospect.conversationState !== CONVERSATION_STATES.CLOSED
         );
     }
     
     // Buscar en MongoDB
     return await Prospect.find({
       lastInteraction: { $lt: cutoffTime },
-      conversationState: { $ne: CONVERSATION_STATES.CLOSING }
+      conversationState: { $ne: CONVERSATION_STATES.CLOSED }
     });
   } catch (error) {
     logger.error('Error al obtener prospectos inactivos:', error);
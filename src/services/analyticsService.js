@@ -0,0 +1,483 @@
+const moment = require('moment-timezone');
+const db = require('../database');
+const logger = require('../utils/logger');
+const { STATES, CONVERSATION_MACHINE } = require('../config/conversationStates');
+
+/**
+ * Servicio de analítica del embudo de ventas
+ *
+ * Cada cambio de estado de la conversación (ver campaignFlow.processMessage) queda
+ * como evento en la colección `funnel_events`, con la campaña, el tipo y el país
+ * del prospecto en ese momento. El reporte cuenta cuántos prospectos llegan a cada
+ * etapa del embudo (calificación, calificado, invitación, demo agendada), en total
+ * y por campaña, tipo de prospecto (ENCARGADO, INFLUENCER, CURIOSO), país y semana
+ * de ingreso, dónde se quedan los que no agendan y la mediana de horas desde el
+ * primer mensaje hasta la demo. Sin MongoDB los eventos se guardan en memoria.
+ */
+
+const COLLECTION_NAME = 'funnel_events';
+
+// Prospectos que se leen por página al armar el reporte sin MongoDB
+const REPORT_PAGE_SIZE = 1000;
+
+// Campos del prospecto que usa el reporte (ver getReachedStage y getDimensionKey)
+const REPORT_FIELDS = [
+  'phoneNumber', 'createdAt', 'campaign', 'campaignType', 'prospectType', 'country',
+  'conversationState', 'previousConversationState', 'templateConversions.invitation',
+  'templateConversions.demo', 'appointmentDetails.date'
+];
+
+// Etapas del embudo en orden; llegar a una cuenta también para las anteriores
+const FUNNEL_STAGES = [
+  { id: 'qualification', label: 'Calificación', states: [STATES.INITIAL_QUALIFICATION] },
+  {
+    id: 'qualified',
+    label: 'Calificado',
+    states: Object.keys(CONVERSATION_MACHINE.states).filter(state => CONVERSATION_MACHINE.states[state].qualified)
+  },
+  { id: 'invitation', label: 'Invitación', states: [STATES.INVITATION] },
+  { id: 'demo', label: 'Demo agendada', states: [STATES.APPOINTMENT_CONFIRMED] }
+];
+
+// Agrupaciones disponibles del reporte
+const DIMENSIONS = ['campaign', 'prospectType', 'country', 'week'];
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  events: []
+};
+
+/**
+ * Guarda un cambio de estado del prospecto
+ * @param {Object} prospectState - Estado del prospecto tras el cambio
+ * @param {Object} transition - { from, to, reason }
+ * @returns {Promise<Object>} - Evento guardado
+ */
+async function recordTransition(prospectState, { from, to, reason = 'message' }) {
+  const event = {
+    phoneNumber: prospectState.phoneNumber,
+    from: from || null,
+    to,
+    reason,
+    campaign: getCampaignKey(prospectState),
+    prospectType: prospectState.prospectType || null,
+    country: prospectState.country || null,
+    timestamp: new Date()
+  };
+
+  try {
+    const collection = await db.collection(COLLECTION_NAME);
+    if (collection) {
+      await collection.insertOne({ ...event });
+      return event;
+    }
+  } catch (error) {
+    logger.error(`Error al guardar el evento ${event.from || 'nuevo'} -> ${to} de ${event.phoneNumber}:`, error);
+  }
+
+  memoryStorage.events.push(event);
+  return event;
+}
+
+/**
+ * Eventos de un período, opcionalmente de un prospecto
+ * @param {Object} filters - Filtros
+ * @param {Date} filters.since - Fecha desde la que se leen
+ * @param {Date} filters.until - Fecha hasta la que se leen (excluida)
+ * @param {string} filters.phoneNumber - Número del prospecto
+ * @returns {Promise<Array>} - Eventos en orden cronológico
+ */
+async function getTransitionEvents({ since = null, until = null, phoneNumber = null } = {}) {
+  const query = {};
+  if (since || until) {
+    query.timestamp = {
+      ...(since ? { $gte: since } : {}),
+      ...(until ? { $lt: until } : {})
+    };
+  }
+  if (phoneNumber) {
+    query.phoneNumber = phoneNumber;
+  }
+
+  try {
+    const collection = await db.collection(COLLECTION_NAME);
+    if (collection) {
+      return await collection.find(query, { projection: { _id: 0 } }).sort({ timestamp: 1 }).toArray();
+    }
+  } catch (error) {
+    logger.error('Error al leer los eventos del embudo:', error);
+  }
+
+  return memoryStorage.events
+    .filter(event => !since || event.timestamp >= since)
+    .filter(event => !until || event.timestamp < until)
+    .filter(event => !phoneNumber || event.phoneNumber === phoneNumber);
+}
+
+/**
+ * Elimina los eventos de un prospecto (eliminación de datos)
+ * @param {string} phoneNumber - Número del prospecto
+ * @returns {Promise<number>} - Eventos eliminados
+ */
+async function deleteTransitionEvents(phoneNumber) {
+  const collection = await db.collection(COLLECTION_NAME);
+  if (collection) {
+    const result = await collection.deleteMany({ phoneNumber });
+    return result.deletedCount || 0;
+  }
+
+  const before = memoryStorage.events.length;
+  memoryStorage.events = memoryStorage.events.filter(event => event.phoneNumber !== phoneNumber);
+  return before - memoryStorage.events.length;
+}
+
+/**
+ * Campaña con la que se agrupa un prospecto
+ * @param {Object} prospect - Prospecto
+ * @returns {string}
+ */
+function getCampaignKey(prospect) {
+  return String(prospect.campaign || prospect.campaignType || 'sin_campana').toLowerCase();
+}
+
+/**
+ * Valor de un prospecto para una agrupación del reporte
+ * @param {Object} prospect - Prospecto
+ * @param {string} dimension - campaign, prospectType, country o week
+ * @returns {string}
+ */
+function getDimensionKey(prospect, dimension) {
+  switch (dimension) {
+    case 'campaign':
+      return getCampaignKey(prospect);
+    case 'prospectType':
+      return prospect.prospectType || 'SIN_CLASIFICAR';
+    case 'country':
+      return prospect.country || 'desconocido';
+    case 'week':
+      // Semana ISO de ingreso en la zona horaria del negocio (2026-W42)
+      return moment(prospect.createdAt).tz(process.env.CALENDAR_TIMEZONE || 'America/Lima').format('GGGG-[W]WW');
+    default:
+      return 'todos';
+  }
+}
+
+/**
+ * Etapa más avanzada a la que llegó un prospecto
+ *
+ * Se consideran sus eventos y, para los prospectos anteriores a los eventos, su
+ * estado actual, el anterior, las conversiones de plantillas y su cita.
+ * @param {Object} prospect - Prospecto
+ * @param {Array} events - Eventos del prospecto
+ * @returns {number} - Índice en FUNNEL_STAGES (-1 si no pasó del saludo)
+ */
+function getReachedStage(prospect, events) {
+  const states = new Set(events.map(event => event.to));
+  [prospect.conversationState, prospect.previousConversationState].filter(Boolean).forEach(state => states.add(state));
+
+  const conversions = prospect.templateConversions || {};
+  if (conversions.invitation) {
+    states.add(STATES.INVITATION);
+  }
+  if (conversions.demo || (prospect.appointmentDetails && prospect.appointmentDetails.date)) {
+    states.add(STATES.APPOINTMENT_CONFIRMED);
+  }
+
+  let reached = -1;
+  FUNNEL_STAGES.forEach((stage, index) => {
+    if (stage.states.some(state => states.has(state))) {
+      reached = index;
+    }
+  });
+
+  return reached;
+}
+
+/**
+ * Horas desde el ingreso del prospecto hasta que agendó la demo
+ * @param {Object} prospect - Prospecto
+ * @param {Array} events - Eventos del prospecto
+ * @returns {number|null}
+ */
+function getHoursToBooking(prospect, events) {
+  const booking = events.find(event => event.to === STATES.APPOINTMENT_CONFIRMED);
+  if (!booking || !prospect.createdAt) {
+    return null;
+  }
+
+  return (new Date(booking.timestamp) - new Date(prospect.createdAt)) / (60 * 60 * 1000);
+}
+
+/**
+ * Mediana de una lista de números
+ * @param {Array<number>} values - Valores
+ * @returns {number|null} - Con un decimal, o null si la lista está vacía
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Porcentaje con un decimal
+ * @param {number} part - Parte
+ * @param {number} total - Total
+ * @returns {number}
+ */
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Embudo de un grupo de prospectos
+ * @param {Array<Object>} entries - { prospect, reached, hoursToBooking }
+ * @returns {Object} - { leads, <etapa>, <etapa>Rate (sobre la etapa anterior), overallRate, medianHoursToBooking }
+ */
+function summarize(entries) {
+  const row = { leads: entries.length };
+  let previous = entries.length;
+
+  FUNNEL_STAGES.forEach((stage, index) => {
+    const count = entries.filter(entry => entry.reached >= index).length;
+    row[stage.id] = count;
+    row[`${stage.id}Rate`] = percentage(count, previous);
+    previous = count;
+  });
+
+  row.overallRate = percentage(row[FUNNEL_STAGES[FUNNEL_STAGES.length - 1].id], entries.length);
+  row.medianHoursToBooking = median(entries.map(entry => entry.hoursToBooking).filter(hours => hours !== null));
+  return row;
+}
+
+/**
+ * Calcula el embudo de una lista de prospectos
+ * @param {Array<Object>} prospects - Prospectos
+ * @param {Array<Object>} events - Eventos de cambio de estado
+ * @param {Object} options - Opciones
+ * @param {Array<string>} options.dimensions - Agrupaciones (por defecto todas)
+ * @returns {Object} - { stages, totals, dropOff, breakdowns }
+ */
+function buildFunnel(prospects, events, { dimensions = DIMENSIONS } = {}) {
+  const eventsByPhone = new Map();
+  events.forEach(event => {
+    if (!eventsByPhone.has(event.phoneNumber)) {
+      eventsByPhone.set(event.phoneNumber, []);
+    }
+    eventsByPhone.get(event.phoneNumber).push(event);
+  });
+
+  const entries = prospects.map(prospect => {
+    const prospectEvents = (eventsByPhone.get(prospect.phoneNumber) || [])
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return {
+      prospect,
+      reached: getReachedStage(prospect, prospectEvents),
+      hoursToBooking: getHoursToBooking(prospect, prospectEvents)
+    };
+  });
+
+  // Dónde están hoy los que no agendaron la demo
+  const dropOff = {};
+  entries
+    .filter(entry => entry.reached < FUNNEL_STAGES.length - 1)
+    .forEach(entry => {
+      const state = entry.prospect.conversationState || 'nuevo';
+      dropOff[state] = (dropOff[state] || 0) + 1;
+    });
+
+  const breakdowns = {};
+  dimensions.filter(dimension => DIMENSIONS.includes(dimension)).forEach(dimension => {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = getDimensionKey(entry.prospect, dimension);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    });
+
+    breakdowns[dimension] = Array.from(groups.entries())
+      .map(([key, group]) => ({ key, ...summarize(group) }))
+      .sort((a, b) => b.leads - a.leads || a.key.localeCompare(b.key));
+  });
+
+  return {
+    stages: FUNNEL_STAGES.map(({ id, label }) => ({ id, label })),
+    totals: summarize(entries),
+    dropOff,
+    breakdowns
+  };
+}
+
+/**
+ * Convierte las opciones de texto de la API o de la línea de comandos
+ *
+ * Las fechas (AAAA-MM-DD o ISO) se interpretan en CALENDAR_TIMEZONE; "to" es el
+ * último día incluido.
+ * @param {Object} options - { from, to, campaign, by (agrupaciones separadas por coma) }
+ * @returns {Object} - Opciones para getFunnelReport
+ */
+function parseReportOptions({ from, to, campaign, by } = {}) {
+  const timezone = process.env.CALENDAR_TIMEZONE || 'America/Lima';
+  const parseDate = (value, name) => {
+    const date = moment.tz(value, moment.ISO_8601, timezone);
+    if (!date.isValid()) {
+      throw new Error(`Fecha inválida en ${name}: ${value}`);
+    }
+    return date;
+  };
+
+  const dimensions = by ? String(by).split(',').map(value => value.trim()).filter(Boolean) : DIMENSIONS;
+  const unknown = dimensions.filter(dimension => !DIMENSIONS.includes(dimension));
+  if (unknown.length > 0) {
+    throw new Error(`Agrupación desconocida: ${unknown.join(', ')} (disponibles: ${DIMENSIONS.join(', ')})`);
+  }
+
+  return {
+    from: from ? parseDate(from, 'from').startOf('day').toDate() : null,
+    to: to ? parseDate(to, 'to').endOf('day').add(1, 'ms').toDate() : null,
+    campaign: campaign || null,
+    dimensions
+  };
+}
+
+/**
+ * Prospectos que ingresaron en un período, con sus eventos, leídos de MongoDB
+ *
+ * Los filtros y el cruce con los eventos se resuelven en la base de datos, que
+ * devuelve solo los campos que usa el reporte.
+ * @param {Object} options - { from, to, campaign } (ver getFunnelReport)
+ * @returns {Promise<Object|null>} - { prospects, events }, o null sin MongoDB
+ */
+async function aggregateFunnelProspects({ from, to, campaign }) {
+  const collection = await db.collection('prospects');
+  if (!collection) {
+    return null;
+  }
+
+  const period = {
+    ...(from ? { $gte: from } : {}),
+    ...(to ? { $lt: to } : {})
+  };
+
+  const match = {};
+  if (from || to) {
+    match.createdAt = period;
+  }
+  if (campaign) {
+    // Igual que getCampaignKey
+    match.$expr = {
+      $eq: [
+        { $toLower: { $ifNull: ['$campaign', { $ifNull: ['$campaignType', 'sin_campana'] }] } },
+        String(campaign).toLowerCase()
+      ]
+    };
+  }
+
+  const rows = await collection.aggregate([
+    { $match: match },
+    { $project: { _id: 0, ...Object.fromEntries(REPORT_FIELDS.map(field => [field, 1])) } },
+    {
+      $lookup: {
+        from: COLLECTION_NAME,
+        let: { phoneNumber: '$phoneNumber' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$phoneNumber', '$$phoneNumber'] }, ...(from || to ? { timestamp: period } : {}) } },
+          { $project: { _id: 0, phoneNumber: 1, to: 1, timestamp: 1 } }
+        ],
+        as: 'events'
+      }
+    }
+  ]).toArray();
+
+  return {
+    prospects: rows.map(({ events, ...prospect }) => prospect),
+    events: rows.flatMap(row => row.events)
+  };
+}
+
+/**
+ * Reporte del embudo de los prospectos que ingresaron en un período
+ *
+ * Se cuentan los eventos hasta el final del período (to).
+ * @param {Object} options - Opciones
+ * @param {Date} options.from - Desde (fecha de ingreso, incluida)
+ * @param {Date} options.to - Hasta (fecha de ingreso, excluida)
+ * @param {string} options.campaign - Solo los prospectos de una campaña
+ * @param {Array<string>} options.dimensions - Agrupaciones (por defecto todas)
+ * @returns {Promise<Object>} - { generatedAt, period, stages, totals, dropOff, breakdowns }
+ */
+async function getFunnelReport({ from = null, to = null, campaign = null, dimensions = DIMENSIONS } = {}) {
+  let data = await aggregateFunnelProspects({ from, to, campaign });
+
+  if (!data) {
+    // Sin MongoDB los prospectos están en memoria
+    // Se carga al usarse: el manejador carga los flujos, que registran aquí sus eventos
+    const { listProspects } = require('../whatsappHandler');
+
+    const prospects = [];
+    let total = Infinity;
+    while (prospects.length < total) {
+      const page = await listProspects({ limit: REPORT_PAGE_SIZE, skip: prospects.length });
+      total = page.total;
+      if (page.prospects.length === 0) {
+        break;
+      }
+      prospects.push(...page.prospects);
+    }
+
+    data = {
+      prospects: prospects
+        .filter(prospect => !from || new Date(prospect.createdAt) >= from)
+        .filter(prospect => !to || new Date(prospect.createdAt) < to)
+        .filter(prospect => !campaign || getCampaignKey(prospect) === String(campaign).toLowerCase()),
+      events: await getTransitionEvents({ since: from, until: to })
+    };
+  }
+
+  return {
+    generatedAt: new Date(),
+    period: { from, to },
+    campaign: campaign || null,
+    ...buildFunnel(data.prospects, data.events, { dimensions })
+  };
+}
+
+/**
+ * Convierte un reporte en CSV: una fila por total y por grupo
+ * @param {Object} report - Reporte de getFunnelReport
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const stageColumns = report.stages.flatMap(stage => [stage.id, `${stage.id}Rate`]);
+  const columns = ['dimension', 'key', 'leads', ...stageColumns, 'overallRate', 'medianHoursToBooking'];
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [{ dimension: 'total', key: 'total', ...report.totals }];
+  Object.entries(report.breakdowns).forEach(([dimension, groups]) => {
+    groups.forEach(group => rows.push({ dimension, ...group }));
+  });
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  FUNNEL_STAGES,
+  DIMENSIONS,
+  recordTransition,
+  getTransitionEvents,
+  deleteTransitionEvents,
+  buildFunnel,
+  parseReportOptions,
+  getFunnelReport,
+  reportToCsv
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { formatText, localize, getProspectLanguage } = require('./languageService');
+
+/**
+ * Servicio de atribución de anuncios (Click-to-WhatsApp)
+ *
+ * Los mensajes que llegan desde un anuncio de Facebook o Instagram traen sus datos
+ * (referral): id del anuncio, título, URL de origen y parámetros utm_*. Con el
+ * primer mensaje se guardan en el prospecto (adAttribution) y definen su campaña,
+ * con la que se eligen el cuestionario, la voz y el saludo. Las campañas se
+ * asocian a anuncios o a utm_campaign en AD_CAMPAIGNS_FILE; sin regla, la campaña
+ * es el valor de utm_campaign.
+ */
+
+const DEFAULT_AD_CAMPAIGNS_FILE = path.join(__dirname, '../config/adCampaigns.json');
+
+// Reglas cargadas (se leen una sola vez)
+let adCampaigns = null;
+
+/**
+ * Carga las reglas de campaña por anuncio
+ * @returns {Array<Object>} - { campaign, adIds, utmCampaigns, welcome }
+ */
+function getAdCampaigns() {
+  if (adCampaigns) {
+    return adCampaigns;
+  }
+
+  const filePath = process.env.AD_CAMPAIGNS_FILE || DEFAULT_AD_CAMPAIGNS_FILE;
+  adCampaigns = [];
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      adCampaigns = (data.campaigns || [])
+        .filter(rule => rule.campaign)
+        .map(rule => ({
+          campaign: String(rule.campaign).toLowerCase(),
+          adIds: (rule.adIds || []).map(String),
+          utmCampaigns: (rule.utmCampaigns || []).map(value => String(value).toLowerCase()),
+          welcome: rule.welcome || null
+        }));
+
+      logger.info(`Campañas de anuncios cargadas desde ${filePath}: ${adCampaigns.length}`);
+    }
+  } catch (error) {
+    logger.error(`Error al cargar las campañas de anuncios ${filePath}:`, error);
+  }
+
+  return adCampaigns;
+}
+
+/**
+ * Vuelve a leer las reglas de campaña por anuncio
+ * @returns {Array<Object>}
+ */
+function reloadAdCampaigns() {
+  adCampaigns = null;
+  return getAdCampaigns();
+}
+
+/**
+ * Extrae los parámetros utm_* de una URL
+ * @param {string} url - URL de origen del anuncio
+ * @returns {Object} - { utm_source, utm_medium, utm_campaign, ... } (solo los presentes)
+ */
+function parseUtmParams(url) {
+  if (!url) {
+    return {};
+  }
+
+  try {
+    const params = new URL(url).searchParams;
+    return Object.fromEntries(
+      Array.from(params.entries())
+        .filter(([key, value]) => /^utm_/i.test(key) && value)
+        .map(([key, value]) => [key.toLowerCase(), value])
+    );
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Red social del anuncio: la que informa el transporte, o la del dominio de origen
+ * @param {Object} referral - Datos del anuncio
+ * @param {Object} utm - Parámetros utm_*
+ * @returns {string|null} - facebook, instagram u otro valor de utm_source
+ */
+function detectPlatform(referral, utm) {
+  const app = String(referral.app || '').toLowerCase();
+  if (app) {
+    return app;
+  }
+
+  const url = String(referral.sourceUrl || '');
+  if (/instagram\.com|instagr\.am/i.test(url)) {
+    return 'instagram';
+  }
+  if (/facebook\.com|fb\.me|fb\.com|fb\.watch/i.test(url)) {
+    return 'facebook';
+  }
+
+  return utm.utm_source ? String(utm.utm_source).toLowerCase() : null;
+}
+
+/**
+ * Convierte los datos de anuncio de un mensaje en la atribución del prospecto
+ * @param {Object} referral - Datos del anuncio (ver los transportes)
+ * @param {Date} date - Fecha del mensaje
+ * @returns {Object|null} - Atribución, o null si el mensaje no viene de un anuncio
+ */
+function buildAttribution(referral, date = new Date()) {
+  if (!referral || !(referral.sourceId || referral.sourceUrl || referral.headline)) {
+    return null;
+  }
+
+  const utm = parseUtmParams(referral.sourceUrl);
+  const attribution = {
+    adId: referral.sourceId ? String(referral.sourceId) : null,
+    sourceType: referral.sourceType || 'ad',
+    platform: detectPlatform(referral, utm),
+    headline: referral.headline || null,
+    body: referral.body || null,
+    sourceUrl: referral.sourceUrl || null,
+    mediaUrl: referral.mediaUrl || null,
+    ctwaClid: referral.ctwaClid || null,
+    utm,
+    capturedAt: date
+  };
+
+  return { ...attribution, campaign: resolveCampaign(attribution) };
+}
+
+/**
+ * Regla configurada para un anuncio (por id o por utm_campaign)
+ * @param {Object} attribution - Atribución del prospecto
+ * @returns {Object|null}
+ */
+function findRule(attribution) {
+  const rules = getAdCampaigns();
+  const utmCampaign = String((attribution.utm || {}).utm_campaign || '').toLowerCase();
+
+  return rules.find(rule => attribution.adId && rule.adIds.includes(attribution.adId)) ||
+    rules.find(rule => utmCampaign && rule.utmCampaigns.includes(utmCampaign)) ||
+    null;
+}
+
+/**
+ * Campaña de un anuncio: la de su regla o, si no tiene, su utm_campaign
+ * @param {Object} attribution - Atribución del prospecto
+ * @returns {string|null}
+ */
+function resolveCampaign(attribution) {
+  const rule = findRule(attribution);
+  if (rule) {
+    return rule.campaign;
+  }
+
+  const utmCampaign = (attribution.utm || {}).utm_campaign;
+  return utmCampaign ? String(utmCampaign).toLowerCase() : null;
+}
+
+/**
+ * Guarda en el prospecto el anuncio del que vino (solo el primero)
+ *
+ * La campaña del anuncio no reemplaza una ya asignada (por ejemplo, la de una
+ * campaña saliente), y campaignType queda con la red social del anuncio.
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} referral - Datos del anuncio del mensaje
+ * @param {Date} date - Fecha del mensaje
+ * @returns {Object} - Estado del prospecto (el mismo si no hay nada que guardar)
+ */
+function applyAttribution(prospectState, referral, date = new Date()) {
+  if (prospectState.adAttribution) {
+    return prospectState;
+  }
+
+  const attribution = buildAttribution(referral, date);
+  if (!attribution) {
+    return prospectState;
+  }
+
+  return {
+    ...prospectState,
+    adAttribution: attribution,
+    campaign: prospectState.campaign || attribution.campaign || null,
+    campaignType: prospectState.campaignType || attribution.platform || 'ads'
+  };
+}
+
+/**
+ * Saludo propio de la campaña del anuncio, si su regla lo define
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} values - Valores para {campo} (seller, headline)
+ * @returns {string|null}
+ */
+function getAdWelcome(prospectState = {}, values = {}) {
+  if (!prospectState.adAttribution) {
+    return null;
+  }
+
+  const rule = findRule(prospectState.adAttribution);
+  if (!rule || !rule.welcome) {
+    return null;
+  }
+
+  return formatText(localize(rule.welcome, getProspectLanguage(prospectState)), values);
+}
+
+module.exports = {
+  getAdCampaigns,
+  reloadAdCampaigns,
+  parseUtmParams,
+  buildAttribution,
+  resolveCampaign,
+  applyAttribution,
+  getAdWelcome
+};
@@ -8,9 +8,10 @@ const FormData = require('form-data');
 /**
  * Convierte un archivo de audio a texto usando OpenAI Whisper
  * @param {string} audioPath - Ruta del archivo de audio
+ * @param {string} language - Idioma esperado (es, pt o en); sin él Whisper lo detecta
  * @returns {Promise<string>} - Texto transcrito
  */
-async function transcribeAudio(audioPath) {
+async function transcribeAudio(audioPath, language = null) {
   try {
     // Verificar que el archivo existe
     if (!fs.existsSync(audioPath)) {
@@ -21,7 +22,9 @@ async function transcribeAudio(audioPath) {
     const formData = new FormData();
     formData.append('file', fs.createReadStream(audioPath));
     formData.append('model', 'whisper-1');
-    formData.append('language', 'es');
+    if (language) {
+      formData.append('language', language);
+    }
     
     // Enviar a OpenAI
     const response = await axios.post(
@@ -50,8 +53,10 @@ async function transcribeAudio(audioPath) {
  */
 async function processAudioMessage(audioPath, prospectState) {
   try {
-    // Transcribir audio
-    const transcription = await transcribeAudio(audioPath);
+    // Transcribir audio (solo se indica el idioma si el prospecto ya escribió en él
+    // o se fijó manualmente; el del país puede no ser el que habla)
+    const languageHint = ['message', 'manual'].includes(prospectState?.languageSource) ? prospectState.language : null;
+    const transcription = await transcribeAudio(audioPath, languageHint);
     
     logger.info(`Audio transcrito: "${transcription}"`);
     
@@ -0,0 +1,863 @@
+const cron = require('node-cron');
+const db = require('../database');
+const logger = require('../utils/logger');
+const {
+  normalizePhoneNumber,
+  detectCountryAndTimezone,
+  findProspect,
+  getProspectState,
+  updateProspectState,
+  recordMessage,
+  countBroadcastReplies
+} = require('../whatsappHandler');
+const { getActiveTransport } = require('../whatsapp/transports');
+const campaignFlow = require('../flows/campaignFlow');
+const { STATES } = require('../config/conversationStates');
+const { isDoNotContact } = require('./consentService');
+const { isWithinBusinessHours } = require('./followUpService');
+const { getTemplates, renderTemplate } = require('./templateService');
+const { t } = require('./languageService');
+const { normalizeApprovedTemplate, renderApprovedTemplate } = require('./whatsappTemplateService');
+
+/**
+ * Servicio de campañas salientes (envíos masivos)
+ *
+ * Una campaña tiene una lista de contactos (CSV con nombre, empresa, teléfono y
+ * segmento), una plantilla (clave de src/config/locales o de templates.json, con
+ * sus variantes A/B) y una fecha de envío. Una tarea programada envía los
+ * mensajes por el transporte activo, de a uno, con pausas al azar entre envíos
+ * y un máximo por hora y por día para cuidar el número, solo en el horario
+ * laboral de cada contacto.
+ *
+ * La WhatsApp Cloud API solo permite iniciar una conversación con una plantilla
+ * aprobada por Meta: en ese transporte la campaña se envía con la plantilla
+ * indicada en whatsappTemplate y, si no tiene una, no se envía.
+ *
+ * Cada contacto queda como prospecto con campaign = id de la campaña, así que
+ * su respuesta entra a campaignFlow (saludo, o calificación si ya se conocen su
+ * nombre y empresa) con la configuración de esa campaña.
+ */
+
+const BROADCASTS_COLLECTION = 'broadcasts';
+
+// Expresión cron con la frecuencia de revisión (por defecto, cada minuto)
+const BROADCAST_CRON = process.env.BROADCAST_CRON || '* * * * *';
+
+// Pausa al azar entre dos envíos, en segundos
+const BROADCAST_DELAY_SECONDS = {
+  min: parseFloat(process.env.BROADCAST_MIN_DELAY_SECONDS || '20'),
+  max: parseFloat(process.env.BROADCAST_MAX_DELAY_SECONDS || '60')
+};
+
+// Máximo de mensajes de campaña por hora y por día (entre todas las campañas)
+const BROADCAST_LIMITS = {
+  hourly: parseInt(process.env.BROADCAST_HOURLY_LIMIT || '60', 10),
+  daily: parseInt(process.env.BROADCAST_DAILY_LIMIT || '300', 10)
+};
+
+// Estados en que el prospecto ya conversa con el bot: no se le envía la campaña
+const ACTIVE_STATES = [
+  STATES.GREETING,
+  STATES.INITIAL_QUALIFICATION,
+  STATES.QUALIFIED,
+  STATES.INVITATION,
+  STATES.CHECKOUT,
+  STATES.APPOINTMENT_SCHEDULING,
+  STATES.APPOINTMENT_CONFIRMED
+];
+
+// Encabezados del CSV aceptados para cada campo
+const CSV_COLUMNS = {
+  name: ['name', 'nombre', 'contacto', 'nome'],
+  company: ['company', 'empresa', 'razon social', 'razón social'],
+  phone: ['phone', 'telefono', 'teléfono', 'celular', 'whatsapp', 'numero', 'número', 'telefone'],
+  segment: ['segment', 'segmento', 'sector', 'rubro']
+};
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  broadcasts: new Map()
+};
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Separa una línea de CSV en campos (admite comillas y comillas dobles escapadas)
+ * @param {string} line - Línea del archivo
+ * @param {string} delimiter - Separador (, o ;)
+ * @returns {Array<string>}
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Lee una lista de contactos en CSV
+ *
+ * La primera fila tiene los encabezados (name/nombre, company/empresa,
+ * phone/telefono, segment/segmento); las demás columnas quedan en values para
+ * personalizar el mensaje. El separador puede ser coma o punto y coma (Excel).
+ * @param {string} csv - Contenido del archivo
+ * @returns {Object} - { contacts: [{ name, company, phone, segment, values }], errors }
+ */
+function parseContactsCsv(csv) {
+  const lines = String(csv || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return { contacts: [], errors: ['El archivo está vacío'] };
+  }
+
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const headers = splitCsvLine(lines[0], delimiter).map(header => header.toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, aliases]) => [field, headers.findIndex(header => aliases.includes(header))])
+  );
+
+  if (columns.phone === -1) {
+    return { contacts: [], errors: [`Falta la columna del teléfono (${CSV_COLUMNS.phone.join(', ')})`] };
+  }
+
+  const knownColumns = Object.values(columns);
+  const contacts = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    const fields = splitCsvLine(line, delimiter);
+    const get = column => (column >= 0 && fields[column]) || null;
+
+    if (!get(columns.phone)) {
+      errors.push(`Fila ${index + 2}: sin teléfono`);
+      return;
+    }
+
+    contacts.push({
+      name: get(columns.name),
+      company: get(columns.company),
+      phone: get(columns.phone),
+      segment: get(columns.segment),
+      values: Object.fromEntries(
+        headers
+          .map((header, column) => [header, fields[column]])
+          .filter(([, value], column) => !knownColumns.includes(column) && value)
+      )
+    });
+  });
+
+  return { contacts, errors };
+}
+
+/**
+ * Identificador legible a partir del nombre de la campaña
+ * @param {string} name - Nombre de la campaña
+ * @returns {string}
+ */
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Verifica que la plantilla exista en el catálogo o en los textos de locales
+ * @param {string} key - Clave de la plantilla
+ * @returns {boolean}
+ */
+function templateExists(key) {
+  return Boolean(getTemplates()[key]) || t(key, 'es') !== key;
+}
+
+/**
+ * Guarda una campaña completa
+ * @param {Object} broadcast - Campaña
+ */
+async function saveBroadcast(broadcast) {
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  if (collection) {
+    await collection.replaceOne({ id: broadcast.id }, broadcast, { upsert: true });
+  } else {
+    memoryStorage.broadcasts.set(broadcast.id, broadcast);
+  }
+}
+
+/**
+ * Guarda el avance de los destinatarios sin tocar el estado de la campaña
+ * (para no deshacer una cancelación hecha durante el envío)
+ * @param {Object} broadcast - Campaña
+ */
+async function saveRecipients(broadcast) {
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  if (collection) {
+    await collection.updateOne({ id: broadcast.id }, { $set: { recipients: broadcast.recipients } });
+  }
+}
+
+/**
+ * Borra los datos personales de un destinatario (derecho de supresión)
+ * El destinatario se conserva anónimo para no alterar los totales de la campaña
+ * @param {Object} recipient - Destinatario
+ */
+function anonymizeRecipient(recipient) {
+  Object.assign(recipient, { phoneNumber: null, name: null, company: null, segment: null, values: {}, erased: true });
+  if (recipient.status === 'pending') {
+    recipient.status = 'skipped';
+    recipient.reason = 'erased';
+  }
+}
+
+/**
+ * Anonimiza a un contacto en todas las campañas en las que aparece
+ * @param {string} phoneNumber - Número del contacto
+ * @returns {Promise<number>} - Cantidad de campañas modificadas
+ */
+async function eraseRecipient(phoneNumber) {
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  const broadcasts = collection
+    ? await collection.find({ 'recipients.phoneNumber': phoneNumber }).toArray()
+    : Array.from(memoryStorage.broadcasts.values())
+      .filter(broadcast => broadcast.recipients.some(recipient => recipient.phoneNumber === phoneNumber));
+
+  for (const broadcast of broadcasts) {
+    broadcast.recipients
+      .filter(recipient => recipient.phoneNumber === phoneNumber)
+      .forEach(anonymizeRecipient);
+    await saveRecipients(broadcast);
+  }
+
+  return broadcasts.length;
+}
+
+/**
+ * Marca como completada una campaña en envío, sin pisar una cancelación hecha mientras tanto
+ * @param {Object} broadcast - Campaña
+ * @param {Date} completedAt - Fecha de término
+ * @returns {Promise<boolean>} - True si la campaña quedó completada
+ */
+async function markCompleted(broadcast, completedAt) {
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  let completed;
+
+  if (collection) {
+    const result = await collection.updateOne(
+      { id: broadcast.id, status: 'sending' },
+      { $set: { status: 'completed', completedAt } }
+    );
+    completed = result.modifiedCount > 0;
+  } else {
+    const stored = memoryStorage.broadcasts.get(broadcast.id);
+    completed = Boolean(stored) && stored.status === 'sending';
+    if (completed) {
+      Object.assign(stored, { status: 'completed', completedAt });
+    }
+  }
+
+  if (completed) {
+    Object.assign(broadcast, { status: 'completed', completedAt });
+  }
+  return completed;
+}
+
+/**
+ * Obtiene una campaña con sus destinatarios
+ * @param {string} id - Identificador de la campaña
+ * @returns {Promise<Object|null>}
+ */
+async function getBroadcast(id) {
+  try {
+    const collection = await db.collection(BROADCASTS_COLLECTION);
+    if (collection) {
+      return await collection.findOne({ id }, { projection: { _id: 0 } });
+    }
+  } catch (error) {
+    logger.error(`Error al obtener la campaña ${id}:`, error);
+  }
+
+  return memoryStorage.broadcasts.get(id) || null;
+}
+
+/**
+ * Cuenta los destinatarios de una campaña por estado de envío
+ * @param {Object} broadcast - Campaña
+ * @returns {Object} - { total, pending, sent, failed, skipped }
+ */
+function countRecipients(broadcast) {
+  const counts = { total: broadcast.recipients.length, pending: 0, sent: 0, failed: 0, skipped: 0 };
+  broadcast.recipients.forEach(recipient => {
+    counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Lista las campañas (sin destinatarios, con sus totales)
+ * @returns {Promise<Array>}
+ */
+async function listBroadcasts() {
+  let broadcasts = null;
+
+  try {
+    const collection = await db.collection(BROADCASTS_COLLECTION);
+    if (collection) {
+      broadcasts = await collection.find({}, { projection: { _id: 0 } }).sort({ createdAt: -1 }).toArray();
+    }
+  } catch (error) {
+    logger.error('Error al listar las campañas:', error);
+  }
+
+  broadcasts = broadcasts || Array.from(memoryStorage.broadcasts.values())
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return broadcasts.map(({ recipients, ...broadcast }) => ({
+    ...broadcast,
+    recipients: countRecipients({ recipients })
+  }));
+}
+
+/**
+ * Crea una campaña saliente
+ * @param {Object} data - Datos de la campaña
+ * @param {string} data.name - Nombre
+ * @param {string} data.id - Identificador (por defecto, a partir del nombre)
+ * @param {string} data.template - Clave de la plantilla del mensaje
+ * @param {string} data.csv - Contactos en CSV (o data.contacts ya leídos)
+ * @param {Array<Object>} data.contacts - Contactos { name, company, phone, segment, values }
+ * @param {Date|string} data.scheduledAt - Fecha de envío (por defecto, de inmediato)
+ * @param {Object} data.values - Valores para la plantilla comunes a todos los contactos
+ * @param {Object} data.whatsappTemplate - Plantilla aprobada para la Cloud API:
+ *   { name, language (código o { es, pt, en }), parameters (campos de las variables {{1}}, {{2}}...) }
+ * @returns {Promise<Object>} - { broadcast, rejected }
+ */
+async function createBroadcast({ name, id, template, csv, contacts, scheduledAt, values = {}, whatsappTemplate }) {
+  if (!name || !template) {
+    throw new Error('La campaña necesita un nombre y una plantilla');
+  }
+  if (!templateExists(template)) {
+    throw new Error(`No existe la plantilla ${template}`);
+  }
+  const approvedTemplate = normalizeApprovedTemplate(whatsappTemplate);
+
+  const broadcastId = id ? slugify(id) : slugify(name);
+  if (!broadcastId) {
+    throw new Error('El nombre de la campaña no es válido');
+  }
+  if (await getBroadcast(broadcastId)) {
+    throw new Error(`Ya existe la campaña ${broadcastId}`);
+  }
+
+  const sendAt = scheduledAt ? new Date(scheduledAt) : new Date();
+  if (isNaN(sendAt.getTime())) {
+    throw new Error(`Fecha de envío inválida: ${scheduledAt}`);
+  }
+
+  const parsed = csv !== undefined ? parseContactsCsv(csv) : { contacts: contacts || [], errors: [] };
+  const rejected = [...parsed.errors];
+  const recipients = [];
+  const seen = new Set();
+
+  for (const contact of parsed.contacts) {
+    const phoneNumber = normalizePhoneNumber(String(contact.phone || ''));
+
+    if (phoneNumber.length < 8 || phoneNumber.length > 15) {
+      rejected.push(`${contact.phone}: teléfono inválido (con código de país, ej. 51987654321)`);
+    } else if (seen.has(phoneNumber)) {
+      rejected.push(`${contact.phone}: repetido`);
+    } else {
+      seen.add(phoneNumber);
+      recipients.push({
+        phoneNumber,
+        name: contact.name || null,
+        company: contact.company || null,
+        segment: contact.segment || null,
+        values: contact.values || {},
+        status: 'pending'
+      });
+    }
+  }
+
+  if (recipients.length === 0) {
+    throw new Error(`La campaña no tiene contactos válidos${rejected.length ? `: ${rejected.slice(0, 5).join('; ')}` : ''}`);
+  }
+
+  const broadcast = {
+    id: broadcastId,
+    name,
+    template,
+    whatsappTemplate: approvedTemplate,
+    values,
+    scheduledAt: sendAt,
+    status: 'scheduled',
+    createdAt: new Date(),
+    startedAt: null,
+    completedAt: null,
+    cancelledAt: null,
+    recipients
+  };
+  await saveBroadcast(broadcast);
+
+  logger.info(`Campaña ${broadcastId} creada: ${recipients.length} contactos, envío ${sendAt.toISOString()}`);
+  return { broadcast, rejected };
+}
+
+/**
+ * Cancela una campaña (los mensajes ya enviados no se pueden retirar)
+ * @param {string} id - Identificador de la campaña
+ * @returns {Promise<Object|null>} - Campaña cancelada o null si no existe
+ */
+async function cancelBroadcast(id) {
+  const broadcast = await getBroadcast(id);
+  if (!broadcast) {
+    return null;
+  }
+
+  if (broadcast.status === 'completed' || broadcast.status === 'cancelled') {
+    return broadcast;
+  }
+
+  // Solo el estado: la campaña puede estar guardando el avance de sus destinatarios
+  const cancelledAt = new Date();
+  const fields = { status: 'cancelled', cancelledAt, completedAt: cancelledAt };
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  let cancelled;
+
+  if (collection) {
+    const result = await collection.updateOne({ id, status: { $ne: 'completed' } }, { $set: fields });
+    cancelled = result.modifiedCount > 0;
+  } else {
+    const stored = memoryStorage.broadcasts.get(id);
+    cancelled = Boolean(stored) && stored.status !== 'completed';
+    if (cancelled) {
+      Object.assign(stored, fields);
+    }
+  }
+
+  if (!cancelled) {
+    return getBroadcast(id);
+  }
+
+  Object.assign(broadcast, fields);
+  logger.info(`Campaña ${id} cancelada`);
+  return broadcast;
+}
+
+/**
+ * Mensaje personalizado para un destinatario
+ * @param {Object} broadcast - Campaña
+ * @param {Object} recipient - Destinatario
+ * @param {Object} prospectState - Estado del prospecto (idioma, vendedor, variantes)
+ * @returns {Object} - { text, variant, templateVariants }
+ */
+function renderBroadcastMessage(broadcast, recipient, prospectState = {}) {
+  const rendered = renderTemplate(broadcast.template, {
+    ...prospectState,
+    name: recipient.name || prospectState.name,
+    company: recipient.company || prospectState.company
+  }, {
+    ...broadcast.values,
+    ...recipient.values,
+    segment: recipient.segment
+  });
+
+  return {
+    ...rendered,
+    // Un campo vacío ("Hola {name},") no debe dejar espacios sueltos
+    text: rendered.text.replace(/ {2,}/g, ' ').replace(/ ([,.!?])/g, '$1')
+  };
+}
+
+/**
+ * Plantilla aprobada con los valores de un destinatario
+ * Cada parámetro es un campo (name, company, segment o una columna del CSV)
+ * @param {Object} broadcast - Campaña
+ * @param {Object} recipient - Destinatario
+ * @param {Object} prospectState - Estado del prospecto (idioma, nombre, empresa)
+ * @returns {Object} - { name, language, parameters }
+ */
+function buildWhatsappTemplate(broadcast, recipient, prospectState = {}) {
+  return renderApprovedTemplate(broadcast.whatsappTemplate, {
+    ...broadcast.values,
+    ...recipient.values,
+    segment: recipient.segment,
+    name: recipient.name || prospectState.name,
+    company: recipient.company || prospectState.company
+  }, prospectState);
+}
+
+/**
+ * Cuenta los mensajes de campaña enviados en la última hora y el último día
+ * (a partir de los destinatarios guardados, para que un reinicio no reinicie los límites)
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - { hourly, daily }
+ */
+async function countRecentSends(now = new Date()) {
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+  const collection = await db.collection(BROADCASTS_COLLECTION);
+  if (collection) {
+    const [counts] = await collection.aggregate([
+      { $match: { 'recipients.sentAt': { $gte: dayAgo } } },
+      { $unwind: '$recipients' },
+      { $match: { 'recipients.sentAt': { $gte: dayAgo } } },
+      {
+        $group: {
+          _id: null,
+          daily: { $sum: 1 },
+          hourly: { $sum: { $cond: [{ $gte: ['$recipients.sentAt', hourAgo] }, 1, 0] } }
+        }
+      }
+    ]).toArray();
+    return { hourly: counts ? counts.hourly : 0, daily: counts ? counts.daily : 0 };
+  }
+
+  const counts = { hourly: 0, daily: 0 };
+  memoryStorage.broadcasts.forEach(broadcast => {
+    broadcast.recipients.forEach(recipient => {
+      const sentAt = recipient.sentAt ? new Date(recipient.sentAt) : null;
+      if (sentAt && sentAt >= dayAgo) {
+        counts.daily++;
+        if (sentAt >= hourAgo) {
+          counts.hourly++;
+        }
+      }
+    });
+  });
+  return counts;
+}
+
+/**
+ * Indica si ya se alcanzó el máximo de envíos por hora o por día
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<boolean>}
+ */
+async function isRateLimited(now = new Date()) {
+  const { hourly, daily } = await countRecentSends(now);
+  return daily >= BROADCAST_LIMITS.daily || hourly >= BROADCAST_LIMITS.hourly;
+}
+
+/**
+ * Pausa al azar entre dos envíos
+ * @returns {number} - Milisegundos
+ */
+function getRandomDelay() {
+  const { min, max } = BROADCAST_DELAY_SECONDS;
+  return Math.round((min + Math.random() * Math.max(max - min, 0)) * 1000);
+}
+
+/**
+ * Envía el mensaje de la campaña a un destinatario y lo deja como prospecto
+ * @param {Object} broadcast - Campaña
+ * @param {Object} recipient - Destinatario (se actualiza su estado de envío)
+ * @param {BaseTransport} transport - Transporte de WhatsApp
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<string>} - sent, skipped, failed, waiting (fuera de horario) o limited (límite de envíos)
+ */
+async function sendToRecipient(broadcast, recipient, transport, now = new Date()) {
+  const { phoneNumber } = recipient;
+
+  if (await isDoNotContact(phoneNumber)) {
+    recipient.status = 'skipped';
+    recipient.reason = 'do_not_contact';
+    return recipient.status;
+  }
+
+  // Sin crear el prospecto: el envío puede quedar en espera por el horario o el límite de envíos
+  const existing = await findProspect(phoneNumber);
+  const stored = existing || { phoneNumber };
+  const { country, timezone } = stored.country && stored.timezone ? stored : detectCountryAndTimezone(phoneNumber);
+  let prospect = { ...stored, country, timezone };
+
+  if (prospect.optedOut) {
+    recipient.status = 'skipped';
+    recipient.reason = 'do_not_contact';
+    return recipient.status;
+  }
+
+  if (ACTIVE_STATES.includes(prospect.conversationState) || prospect.botPaused) {
+    recipient.status = 'skipped';
+    recipient.reason = 'active_conversation';
+    return recipient.status;
+  }
+
+  if (!isWithinBusinessHours(prospect, now)) {
+    return 'waiting';
+  }
+
+  if (await isRateLimited(now)) {
+    return 'limited';
+  }
+
+  if (!existing) {
+    prospect = { ...(await getProspectState(phoneNumber)), country, timezone };
+  }
+
+  const message = renderBroadcastMessage(broadcast, recipient, prospect);
+  const whatsappTemplate = transport.requiresApprovedTemplates
+    ? buildWhatsappTemplate(broadcast, recipient, prospect)
+    : null;
+
+  try {
+    if (whatsappTemplate) {
+      await transport.sendTemplate(phoneNumber, whatsappTemplate);
+    } else {
+      await transport.sendText(phoneNumber, message.text);
+    }
+    logger.logWhatsAppMessage('outgoing', phoneNumber, message.text);
+
+    // El texto de la campaña se guarda como referencia también cuando se envía la plantilla aprobada
+    await recordMessage(phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      content: message.text,
+      conversationState: prospect.conversationState,
+      metadata: { broadcast: broadcast.id, variant: message.variant, whatsappTemplate: whatsappTemplate ? whatsappTemplate.name : null }
+    });
+
+    // Con nombre y empresa la respuesta pasa directo a la calificación
+    const name = prospect.name || recipient.name;
+    const company = prospect.company || recipient.company;
+    const contacted = {
+      ...prospect,
+      name,
+      company,
+      segment: recipient.segment || prospect.segment || null,
+      campaign: broadcast.id,
+      campaignType: 'outbound',
+      broadcastId: broadcast.id,
+      broadcastSentAt: now,
+      broadcastRepliedAt: null
+    };
+    // La máquina de estados registra la transición en las analíticas y actualiza el CRM
+    const nextState = await campaignFlow.transitionTo(contacted, name && company ? STATES.INITIAL_QUALIFICATION : STATES.GREETING, 'broadcast');
+    await updateProspectState(phoneNumber, {
+      ...nextState,
+      qualificationStep: null,
+      greetingAttempts: 1,
+      templateVariants: message.templateVariants,
+      lastResponse: message.text
+    });
+
+    recipient.status = 'sent';
+    recipient.sentAt = now;
+    recipient.variant = message.variant;
+  } catch (error) {
+    logger.error(`Error al enviar la campaña ${broadcast.id} a ${phoneNumber}:`, error);
+    recipient.status = 'failed';
+    recipient.error = error.message;
+  }
+
+  return recipient.status;
+}
+
+/**
+ * Envía los mensajes pendientes de una campaña
+ *
+ * Se detiene al alcanzar el límite por hora o por día, o si la campaña se
+ * cancela; la siguiente revisión continúa con los pendientes. Los contactos
+ * fuera de su horario laboral esperan a la siguiente revisión. Si el transporte
+ * exige plantillas aprobadas y la campaña no tiene una, no se envía nada.
+ * @param {Object} broadcast - Campaña
+ * @param {BaseTransport} transport - Transporte de WhatsApp
+ * @param {Object} options - { sleep (función de espera), now (función que da la fecha) }
+ * @returns {Promise<Object>} - { sent, skipped, failed, waiting }
+ */
+async function sendBroadcast(broadcast, transport, {
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  now = () => new Date()
+} = {}) {
+  const summary = { sent: 0, skipped: 0, failed: 0, waiting: 0 };
+
+  // Fuera de la ventana de 24 horas la Cloud API rechazaría el texto libre
+  if (transport.requiresApprovedTemplates && !broadcast.whatsappTemplate) {
+    logger.warn(`La campaña ${broadcast.id} no tiene una plantilla aprobada (whatsappTemplate) y el transporte ${transport.name} no permite iniciar conversaciones con texto libre; no se envía`);
+    return summary;
+  }
+
+  if (broadcast.status === 'scheduled') {
+    broadcast.status = 'sending';
+    broadcast.startedAt = now();
+    await saveBroadcast(broadcast);
+    logger.info(`Iniciando el envío de la campaña ${broadcast.id}`);
+  }
+
+  for (const recipient of broadcast.recipients.filter(item => item.status === 'pending')) {
+    const current = await getBroadcast(broadcast.id);
+    if (!current || current.status === 'cancelled') {
+      logger.info(`Campaña ${broadcast.id} cancelada, se detiene el envío`);
+      return summary;
+    }
+
+    // Aplicar las supresiones hechas durante el envío para no volver a guardar los datos borrados
+    current.recipients.forEach((item, index) => {
+      if (item.erased && !broadcast.recipients[index].erased) {
+        anonymizeRecipient(broadcast.recipients[index]);
+      }
+    });
+    if (recipient.status !== 'pending') {
+      summary.skipped++;
+      continue;
+    }
+
+    const status = await sendToRecipient(broadcast, recipient, transport, now());
+    if (status === 'limited') {
+      logger.info(`Límite de envíos alcanzado, la campaña ${broadcast.id} continúa en la siguiente revisión`);
+      return summary;
+    }
+
+    summary[status]++;
+    await saveRecipients(broadcast);
+
+    // Pausa al azar después de cada mensaje enviado (no tras los omitidos)
+    if (status === 'sent' && broadcast.recipients.some(item => item.status === 'pending')) {
+      await sleep(getRandomDelay());
+    }
+  }
+
+  if (!broadcast.recipients.some(item => item.status === 'pending') && await markCompleted(broadcast, now())) {
+    logger.info(`Campaña ${broadcast.id} completada: ${JSON.stringify(countRecipients(broadcast))}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Revisa las campañas programadas y envía las que corresponden
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - Resumen de la ejecución
+ */
+async function runBroadcasts(now = new Date()) {
+  const summary = { broadcasts: 0, sent: 0 };
+
+  // Una campaña puede tardar más que el intervalo entre revisiones
+  if (isRunning) {
+    return summary;
+  }
+
+  const transport = getActiveTransport();
+  if (!transport || !transport.isReady) {
+    logger.warn('Transporte de WhatsApp no disponible, se posponen las campañas');
+    return summary;
+  }
+
+  isRunning = true;
+  try {
+    const due = (await listBroadcasts())
+      .filter(broadcast => ['scheduled', 'sending'].includes(broadcast.status) && new Date(broadcast.scheduledAt) <= now);
+
+    for (const { id } of due) {
+      const result = await sendBroadcast(await getBroadcast(id), transport);
+      summary.broadcasts++;
+      summary.sent += result.sent;
+    }
+  } catch (error) {
+    logger.error('Error al enviar las campañas:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Resultados de una campaña: envíos, respuestas y etapa de los prospectos
+ * @param {string} id - Identificador de la campaña
+ * @returns {Promise<Object|null>} - { id, name, status, recipients, replied, replyRate, states }
+ */
+async function getBroadcastReport(id) {
+  const broadcast = await getBroadcast(id);
+  if (!broadcast) {
+    return null;
+  }
+
+  const recipients = countRecipients(broadcast);
+  const { replied, states } = await countBroadcastReplies(id);
+
+  return {
+    id: broadcast.id,
+    name: broadcast.name,
+    template: broadcast.template,
+    status: broadcast.status,
+    scheduledAt: broadcast.scheduledAt,
+    startedAt: broadcast.startedAt,
+    completedAt: broadcast.completedAt,
+    recipients,
+    replied,
+    replyRate: recipients.sent ? Math.round((replied / recipients.sent) * 1000) / 10 : 0,
+    states
+  };
+}
+
+/**
+ * Programa la revisión periódica de campañas
+ * @returns {Object|null} - Tarea de node-cron
+ */
+function startBroadcastScheduler() {
+  if (process.env.BROADCAST_ENABLED === 'false') {
+    logger.info('Campañas salientes deshabilitadas (BROADCAST_ENABLED=false)');
+    return null;
+  }
+
+  if (!cron.validate(BROADCAST_CRON)) {
+    logger.error(`Expresión cron inválida para las campañas: ${BROADCAST_CRON}`);
+    return null;
+  }
+
+  scheduledTask = cron.schedule(BROADCAST_CRON, () => runBroadcasts());
+  logger.info(`Campañas salientes programadas (${BROADCAST_CRON}, máximo ${BROADCAST_LIMITS.hourly}/hora y ${BROADCAST_LIMITS.daily}/día)`);
+
+  return scheduledTask;
+}
+
+/**
+ * Detiene la revisión periódica de campañas
+ */
+function stopBroadcastScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  parseContactsCsv,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  eraseRecipient,
+  renderBroadcastMessage,
+  buildWhatsappTemplate,
+  sendBroadcast,
+  runBroadcasts,
+  getBroadcastReport,
+  startBroadcastScheduler,
+  stopBroadcastScheduler
+};
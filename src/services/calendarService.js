@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
+const { getAssignedSeller } = require('./sellerService');
 
 // Variables globales
 let calendar = null;
@@ -37,6 +38,160 @@ try {
   }
 }
 
+/**
+ * Obtiene la configuración de agenda del vendedor desde las variables de entorno
+ * Los horarios se expresan en la zona horaria del vendedor (CALENDAR_TIMEZONE)
+ * @returns {Object} - Configuración de agenda
+ */
+function getSchedulingConfig() {
+  const parseList = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  
+  return {
+    calendarIds: parseList(process.env.CALENDAR_IDS || 'primary'),
+    timezone: process.env.CALENDAR_TIMEZONE || 'America/Lima',
+    workStart: process.env.CALENDAR_WORK_START || '09:00',
+    workEnd: process.env.CALENDAR_WORK_END || '18:00',
+    workDays: parseList(process.env.CALENDAR_WORK_DAYS || '1,2,3,4,5').map(day => parseInt(day, 10)),
+    // Una cadena vacía desactiva el almuerzo
+    lunchStart: process.env.CALENDAR_LUNCH_START ?? '13:00',
+    lunchEnd: process.env.CALENDAR_LUNCH_END ?? '14:00',
+    bufferMinutes: parseInt(process.env.CALENDAR_BUFFER_MINUTES || '15', 10),
+    meetingMinutes: parseInt(process.env.CALENDAR_MEETING_MINUTES || '30', 10),
+    slotStepMinutes: parseInt(process.env.CALENDAR_SLOT_STEP_MINUTES || '30', 10),
+    minNoticeMinutes: parseInt(process.env.CALENDAR_MIN_NOTICE_MINUTES || '60', 10),
+    searchDays: parseInt(process.env.CALENDAR_SEARCH_DAYS || '14', 10),
+    // Feriados en formato YYYY-MM-DD (fecha única) o MM-DD (todos los años)
+    holidays: parseList(process.env.CALENDAR_HOLIDAYS)
+  };
+}
+
+/**
+ * Reemplaza el cliente de Google Calendar (por ejemplo, en pruebas)
+ * @param {Object|null} client - Cliente con la interfaz de google.calendar()
+ */
+function setCalendarClient(client) {
+  calendar = client;
+}
+
+/**
+ * Aplica una hora "HH:mm" al día de una fecha
+ * @param {moment.Moment} date - Fecha de referencia
+ * @param {string} time - Hora en formato HH:mm
+ * @returns {moment.Moment} - Nueva fecha con la hora indicada
+ */
+function atTime(date, time) {
+  const [hour, minute] = time.split(':').map(num => parseInt(num, 10));
+  return date.clone().hour(hour).minute(minute || 0).second(0).millisecond(0);
+}
+
+/**
+ * Verifica si un día es feriado
+ * @param {moment.Moment} date - Fecha en la zona horaria del vendedor
+ * @param {Object} config - Configuración de agenda
+ * @returns {boolean}
+ */
+function isHoliday(date, config) {
+  return config.holidays.includes(date.format('YYYY-MM-DD')) || config.holidays.includes(date.format('MM-DD'));
+}
+
+/**
+ * Verifica si una reunión que empieza en startTime cae dentro del horario laboral,
+ * fuera del almuerzo y en un día hábil
+ * @param {string|Date|moment.Moment} startTime - Inicio de la reunión
+ * @param {Object} config - Configuración de agenda
+ * @returns {boolean}
+ */
+function isWithinWorkingHours(startTime, config = getSchedulingConfig()) {
+  const start = moment(startTime).tz(config.timezone);
+  const end = start.clone().add(config.meetingMinutes, 'minutes');
+  
+  if (!config.workDays.includes(start.isoWeekday()) || isHoliday(start, config)) {
+    return false;
+  }
+  
+  if (start.isBefore(atTime(start, config.workStart)) || end.isAfter(atTime(start, config.workEnd))) {
+    return false;
+  }
+  
+  if (config.lunchStart && config.lunchEnd &&
+      start.isBefore(atTime(start, config.lunchEnd)) && end.isAfter(atTime(start, config.lunchStart))) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Verifica si un horario está libre: dentro del horario laboral y sin cruzarse
+ * con las reuniones del vendedor (respetando el margen entre reuniones)
+ * @param {string|Date|moment.Moment} startTime - Inicio de la reunión
+ * @param {Array} busySlots - Periodos ocupados ({ start, end })
+ * @param {Object} config - Configuración de agenda
+ * @returns {boolean}
+ */
+function isSlotAvailable(startTime, busySlots, config = getSchedulingConfig()) {
+  if (!isWithinWorkingHours(startTime, config)) {
+    return false;
+  }
+  
+  const start = moment(startTime);
+  const end = start.clone().add(config.meetingMinutes, 'minutes');
+  
+  return !busySlots.some(busy =>
+    start.isBefore(moment(busy.end).add(config.bufferMinutes, 'minutes')) &&
+    end.isAfter(moment(busy.start).subtract(config.bufferMinutes, 'minutes'))
+  );
+}
+
+/**
+ * Da formato a un horario disponible
+ * @param {string|moment.Moment} dateTime - Inicio del horario
+ * @param {string} timezone - Zona horaria del cliente
+ * @returns {Object} - Información del horario
+ */
+function formatSlot(dateTime, timezone) {
+  const now = moment().tz(timezone);
+  const date = moment(dateTime).tz(timezone);
+  const formattedTime = date.format('HH:mm');
+  
+  return {
+    date: date.format('DD/MM/YYYY'),
+    time: formattedTime,
+    dateTime: date.toISOString(),
+    formattedDateTime: `${date.date()} de ${date.clone().locale('es').format('MMMM')} a las ${formattedTime}`,
+    timezone: timezone,
+    isToday: date.isSame(now, 'day'),
+    isTomorrow: date.isSame(now.clone().add(1, 'day'), 'day'),
+    isSimulated: !calendar
+  };
+}
+
+/**
+ * Genera los posibles inicios de reunión dentro del horario laboral
+ * @param {moment.Moment} from - Desde (exclusivo)
+ * @param {moment.Moment} to - Hasta
+ * @param {Object} config - Configuración de agenda
+ * @returns {Array<moment.Moment>} - Inicios posibles, en orden
+ */
+function generateCandidateSlots(from, to, config) {
+  const candidates = [];
+  const day = moment(from).tz(config.timezone).startOf('day');
+  
+  while (day.isBefore(to)) {
+    const dayEnd = atTime(day, config.workEnd);
+    
+    for (let slot = atTime(day, config.workStart); !slot.isAfter(dayEnd); slot = slot.clone().add(config.slotStepMinutes, 'minutes')) {
+      if (slot.isAfter(from) && slot.isBefore(to) && isWithinWorkingHours(slot, config)) {
+        candidates.push(slot);
+      }
+    }
+    
+    day.add(1, 'day');
+  }
+  
+  return candidates;
+}
+
 /**
  * Genera slots disponibles simulados para pruebas
  * @returns {Array} - Array de slots disponibles simulados
@@ -81,74 +236,31 @@ function generateMockAvailableSlots() {
 
 /**
  * Verifica la disponibilidad en el calendario
- * @param {Date} startDate - Fecha de inicio
- * @param {Date} endDate - Fecha de fin
+ * @param {Date} startDate - Fecha de inicio (por defecto, ahora)
+ * @param {Date} endDate - Fecha de fin (por defecto, 7 días después del inicio)
+ * @param {Object} options - Opciones adicionales
+ * @param {Array<string>} options.calendarIds - Calendarios a consultar
  * @returns {Promise<Array>} - Slots disponibles
  */
-async function checkCalendarAvailability(startDate, endDate) {
+async function checkCalendarAvailability(startDate = new Date(), endDate = null, options = {}) {
   try {
-    // Convertir fechas a formato ISO
-    const timeMin = new Date(startDate).toISOString();
-    const timeMax = new Date(endDate).toISOString();
-    
-    // Obtener eventos del calendario
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin,
-      timeMax,
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
+    const config = getSchedulingConfig();
+    const now = moment();
+    const from = moment.max(moment(startDate), now.clone().add(config.minNoticeMinutes, 'minutes'));
+    const to = endDate ? moment(endDate) : moment(startDate).add(7, 'days');
     
-    const events = response.data.items;
-    
-    // Crear slots disponibles (horario laboral: 9:00 - 17:00)
-    const availableSlots = [];
-    const currentDate = new Date(startDate);
-    const endDateTime = new Date(endDate);
-    
-    while (currentDate < endDateTime) {
-      // Solo considerar días laborables (lunes a viernes)
-      const dayOfWeek = currentDate.getDay();
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-        // Horario laboral: 9:00 - 17:00
-        for (let hour = 9; hour < 17; hour++) {
-          const slotStart = new Date(currentDate);
-          slotStart.setHours(hour, 0, 0, 0);
-          
-          const slotEnd = new Date(slotStart);
-          slotEnd.setHours(slotStart.getHours() + 1);
-          
-          // Verificar si el slot ya pasó
-          if (slotStart > new Date()) {
-            // Verificar si el slot está disponible
-            const isAvailable = !events.some(event => {
-              const eventStart = new Date(event.start.dateTime || event.start.date);
-              const eventEnd = new Date(event.end.dateTime || event.end.date);
-              
-              return (
-                (slotStart >= eventStart && slotStart < eventEnd) ||
-                (slotEnd > eventStart && slotEnd <= eventEnd) ||
-                (slotStart <= eventStart && slotEnd >= eventEnd)
-              );
-            });
-            
-            if (isAvailable) {
-              availableSlots.push({
-                start: slotStart.toISOString(),
-                end: slotEnd.toISOString()
-              });
-            }
-          }
-        }
-      }
-      
-      // Avanzar al siguiente día
-      currentDate.setDate(currentDate.getDate() + 1);
-      currentDate.setHours(0, 0, 0, 0);
-    }
+    // Obtener los periodos ocupados de los calendarios del vendedor
+    const busySlots = await getBusySlots(from.toISOString(), to.toISOString(), options.calendarIds);
     
-    return availableSlots;
+    return generateCandidateSlots(from, to, config)
+      .filter(slot => isSlotAvailable(slot, busySlots, config))
+      .map(slot => ({
+        start: slot.toISOString(),
+        end: slot.clone().add(config.meetingMinutes, 'minutes').toISOString(),
+        date: slot.format('DD/MM/YYYY'),
+        time: slot.format('HH:mm'),
+        dateTime: slot.toISOString()
+      }));
   } catch (error) {
     logger.error('Error al verificar disponibilidad del calendario:', error);
     throw error;
@@ -156,11 +268,14 @@ async function checkCalendarAvailability(startDate, endDate) {
 }
 
 /**
- * Crea un evento en el calendario
+ * Crea un evento en el calendario del vendedor asignado al prospecto
  * @param {Object} eventDetails - Detalles del evento
+ * @param {string} eventDetails.calendarId - Calendario (por defecto, el del vendedor o 'primary')
+ * @param {string} eventDetails.timeZone - Zona horaria (por defecto, CALENDAR_TIMEZONE)
+ * @param {Object} prospectState - Estado del prospecto (para elegir el vendedor)
  * @returns {Promise<Object>} - Evento creado
  */
-async function createCalendarEvent(eventDetails) {
+async function createCalendarEvent(eventDetails, prospectState = {}) {
   try {
     // Extraer detalles del evento
     const {
@@ -169,7 +284,8 @@ async function createCalendarEvent(eventDetails) {
       startDateTime,
       duration,
       attendees,
-      timeZone = 'America/Lima'
+      calendarId = getAssignedSeller(prospectState).calendarId || 'primary',
+      timeZone = getSchedulingConfig().timezone
     } = eventDetails;
     
     // Crear fecha de inicio
@@ -208,7 +324,7 @@ async function createCalendarEvent(eventDetails) {
     
     // Insertar evento en el calendario
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       resource: event,
       sendUpdates: 'all', // Enviar notificaciones a los asistentes
       conferenceDataVersion: 1 // Crear enlace de Google Meet
@@ -227,6 +343,8 @@ async function createCalendarEvent(eventDetails) {
  * Crea un evento personalizado en el calendario
  * @param {Object} prospectState - Estado del prospecto
  * @param {Object} customEvent - Detalles del evento personalizado
+ * @param {string} customEvent.calendarId - Calendario del vendedor (por defecto, 'primary')
+ * @param {string} customEvent.sellerEmail - Correo del vendedor (por defecto, VENDEDOR_EMAIL)
  * @returns {Promise<Object>} - Detalles de la cita
  */
 async function createCustomEvent(prospectState, customEvent) {
@@ -240,14 +358,16 @@ async function createCustomEvent(prospectState, customEvent) {
       return {
         date: startDateTime.format('DD/MM/YYYY'),
         time: startDateTime.format('HH:mm'),
+        startTime: startDateTime.toISOString(),
         calendarEventId: `mock-event-${Date.now()}`,
+        calendarId: customEvent.calendarId || 'primary',
         meetLink: `https://meet.google.com/mock-link-${Math.random().toString(36).substring(2, 7)}`
       };
     }
     
     // Preparar evento para Google Calendar
     const startDateTime = moment(customEvent.startTime);
-    const endDateTime = moment(customEvent.startTime).add(customEvent.duration || 30, 'minutes');
+    const endDateTime = moment(customEvent.startTime).add(customEvent.duration || getSchedulingConfig().meetingMinutes, 'minutes');
     
     // Crear objeto de evento
     const event = {
@@ -255,14 +375,14 @@ async function createCustomEvent(prospectState, customEvent) {
       description: customEvent.description || `Llamada con prospecto de WhatsApp. Teléfono: ${prospectState.phoneNumber}`,
       start: {
         dateTime: startDateTime.toISOString(),
-        timeZone: 'America/Lima' // Ajustar según tu zona horaria
+        timeZone: getSchedulingConfig().timezone
       },
       end: {
         dateTime: endDateTime.toISOString(),
-        timeZone: 'America/Lima' // Ajustar según tu zona horaria
+        timeZone: getSchedulingConfig().timezone
       },
       attendees: [
-        { email: process.env.VENDEDOR_EMAIL },
+        { email: customEvent.sellerEmail || process.env.VENDEDOR_EMAIL },
         ...(customEvent.attendees || [])
       ],
       conferenceData: {
@@ -276,8 +396,9 @@ async function createCustomEvent(prospectState, customEvent) {
     };
     
     // Crear evento
+    const calendarId = customEvent.calendarId || 'primary';
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       resource: event,
       conferenceDataVersion: 1
     });
@@ -288,7 +409,9 @@ async function createCustomEvent(prospectState, customEvent) {
     return {
       date: startDateTime.format('DD/MM/YYYY'),
       time: startDateTime.format('HH:mm'),
+      startTime: startDateTime.toISOString(),
       calendarEventId: createdEvent.id,
+      calendarId,
       meetLink: createdEvent.hangoutLink || 'https://meet.google.com'
     };
   } catch (error) {
@@ -297,50 +420,183 @@ async function createCustomEvent(prospectState, customEvent) {
   }
 }
 
+/**
+ * Verifica si un evento debe simularse (sin credenciales o creado en modo simulado)
+ * @param {string} eventId - ID del evento
+ * @returns {boolean}
+ */
+function isMockEvent(eventId) {
+  return !calendar || !eventId || String(eventId).startsWith('mock-event-');
+}
+
+/**
+ * Cambia el horario de un evento existente
+ * @param {string} eventId - ID del evento en Google Calendar
+ * @param {string} startTime - Nueva fecha y hora de inicio (ISO)
+ * @param {number} duration - Duración en minutos
+ * @param {string} calendarId - Calendario donde está el evento
+ * @returns {Promise<Object>} - Detalles actualizados de la cita
+ */
+async function updateEventTime(eventId, startTime, duration = getSchedulingConfig().meetingMinutes, calendarId = 'primary') {
+  const startDateTime = moment(startTime);
+  const endDateTime = moment(startTime).add(duration, 'minutes');
+  
+  try {
+    if (isMockEvent(eventId)) {
+      logger.info(`Simulando cambio de horario del evento ${eventId}`);
+      return {
+        date: startDateTime.format('DD/MM/YYYY'),
+        time: startDateTime.format('HH:mm'),
+        startTime: startDateTime.toISOString(),
+        calendarEventId: eventId
+      };
+    }
+    
+    const response = await calendar.events.patch({
+      calendarId,
+      eventId,
+      sendUpdates: 'all', // Notificar el cambio a los asistentes
+      resource: {
+        start: { dateTime: startDateTime.toISOString(), timeZone: getSchedulingConfig().timezone },
+        end: { dateTime: endDateTime.toISOString(), timeZone: getSchedulingConfig().timezone }
+      }
+    });
+    
+    logger.info(`Evento ${eventId} reprogramado para ${startDateTime.toISOString()}`);
+    
+    return {
+      date: startDateTime.format('DD/MM/YYYY'),
+      time: startDateTime.format('HH:mm'),
+      startTime: startDateTime.toISOString(),
+      calendarEventId: response.data.id,
+      meetLink: response.data.hangoutLink
+    };
+  } catch (error) {
+    logger.error(`Error al reprogramar el evento ${eventId}:`, error);
+    throw new Error('No se pudo reprogramar el evento en el calendario');
+  }
+}
+
+/**
+ * Cancela un evento del calendario
+ * @param {string} eventId - ID del evento en Google Calendar
+ * @param {string} calendarId - Calendario donde está el evento
+ * @returns {Promise<boolean>} - True si se canceló
+ */
+async function cancelEvent(eventId, calendarId = 'primary') {
+  try {
+    if (isMockEvent(eventId)) {
+      logger.info(`Simulando cancelación del evento ${eventId}`);
+      return true;
+    }
+    
+    await calendar.events.delete({
+      calendarId,
+      eventId,
+      sendUpdates: 'all' // Notificar la cancelación a los asistentes
+    });
+    
+    logger.info(`Evento ${eventId} cancelado`);
+    return true;
+  } catch (error) {
+    logger.error(`Error al cancelar el evento ${eventId}:`, error);
+    throw new Error('No se pudo cancelar el evento en el calendario');
+  }
+}
+
+/**
+ * Marca la asistencia de un invitado como confirmada
+ * @param {string} eventId - ID del evento en Google Calendar
+ * @param {string} email - Correo del invitado
+ * @param {string} calendarId - Calendario donde está el evento
+ * @returns {Promise<boolean>} - True si se actualizó
+ */
+async function confirmAttendee(eventId, email, calendarId = 'primary') {
+  try {
+    if (isMockEvent(eventId) || !email) {
+      logger.info(`Simulando confirmación de asistencia en el evento ${eventId}`);
+      return true;
+    }
+    
+    const { data: event } = await calendar.events.get({ calendarId, eventId });
+    const attendees = (event.attendees || []).map(attendee =>
+      attendee.email === email ? { ...attendee, responseStatus: 'accepted' } : attendee
+    );
+    
+    await calendar.events.patch({
+      calendarId,
+      eventId,
+      resource: { attendees }
+    });
+    
+    logger.info(`Asistencia de ${email} confirmada en el evento ${eventId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error al confirmar asistencia en el evento ${eventId}:`, error);
+    return false;
+  }
+}
+
 /**
  * Obtiene el próximo horario disponible para una cita
  * @param {string} timezone - Zona horaria del cliente
- * @param {number} daysAhead - Días hacia adelante para buscar
- * @returns {Promise<Object>} - Objeto con la información del horario disponible
+ * @param {number} daysAhead - Días hacia adelante desde los que buscar (mínimo 1)
+ * @param {Object} options - Opciones adicionales
+ * @param {Array<string>} options.calendarIds - Calendarios a consultar
+ * @returns {Promise<Object|null>} - Objeto con la información del horario disponible
  */
-async function getNearestAvailableSlot(timezone = 'America/Lima', daysAhead = 0) {
+async function getNearestAvailableSlot(timezone = 'America/Lima', daysAhead = 0, options = {}) {
+  const [slot] = await getAvailableSlots(timezone, 1, { ...options, daysAhead });
+  return slot || null;
+}
+
+/**
+ * Obtiene varios horarios disponibles, uno por día, para ofrecerlos como opciones
+ * @param {string} timezone - Zona horaria del cliente
+ * @param {number} count - Cantidad máxima de horarios
+ * @param {Object} options - Opciones adicionales
+ * @param {number} options.daysAhead - Días hacia adelante desde los que buscar (mínimo 1)
+ * @param {Array<string>} options.calendarIds - Calendarios a consultar
+ * @returns {Promise<Array<Object>>} - Horarios disponibles en orden (ver formatSlot)
+ */
+async function getAvailableSlots(timezone = 'America/Lima', count = 3, options = {}) {
   try {
-    // Si no tenemos credenciales válidas, generar un slot simulado
+    const config = getSchedulingConfig();
+    
+    // Buscar desde el inicio del día solicitado (en la zona horaria del cliente)
+    const now = moment().tz(timezone);
+    const from = moment.max(
+      now.clone().add(options.daysAhead || 1, 'days').startOf('day'),
+      now.clone().add(config.minNoticeMinutes, 'minutes')
+    );
+    const to = from.clone().add(config.searchDays, 'days');
+    
     if (!calendar) {
       logger.info('Simulando búsqueda de horario disponible');
-      
-      // Obtener la fecha actual en la zona horaria del cliente
-      const now = moment().tz(timezone);
-      
-      // Calcular la fecha para el día solicitado
-      let date = now.clone().add(daysAhead || 1, 'days');
-      
-      // Verificar si es fin de semana (6=sábado, 0=domingo) y ajustar al próximo día laborable
-      const dayOfWeek = date.day();
-      if (dayOfWeek === 0) { // Domingo
-        date = date.add(1, 'day'); // Mover al lunes
-      } else if (dayOfWeek === 6) { // Sábado
-        date = date.add(2, 'days'); // Mover al lunes
+    }
+    
+    const busySlots = await getBusySlots(from.toISOString(), to.toISOString(), options.calendarIds);
+    const slots = [];
+    const days = new Set();
+    
+    for (const candidate of generateCandidateSlots(from, to, config)) {
+      const day = candidate.clone().tz(timezone).format('YYYY-MM-DD');
+      if (days.has(day) || !isSlotAvailable(candidate, busySlots, config)) {
+        continue;
       }
       
-      // Establecer la hora (9:00 AM)
-      date.hour(9).minute(0).second(0);
-      
-      // Formatear la fecha para mostrar
-      const formattedDate = date.format('DD/MM/YYYY');
-      const formattedTime = date.format('HH:mm');
-      
-      return {
-        date: formattedDate,
-        time: formattedTime,
-        dateTime: date.toISOString(),
-        formattedDateTime: `${date.date()} de ${date.locale('es').format('MMMM')} a las ${formattedTime}`,
-        timezone: timezone
-      };
+      days.add(day);
+      slots.push(formatSlot(candidate, timezone));
+      if (slots.length >= count) {
+        break;
+      }
+    }
+    
+    if (slots.length === 0) {
+      logger.warn(`No hay horarios disponibles en los próximos ${config.searchDays} días`);
     }
     
-    // Implementación real con Google Calendar
-    // ... resto del código existente ...
+    return slots;
   } catch (error) {
     logger.error('Error al obtener horario disponible:', error);
     throw error;
@@ -348,37 +604,100 @@ async function getNearestAvailableSlot(timezone = 'America/Lima', daysAhead = 0)
 }
 
 /**
- * Obtiene los slots ocupados para una fecha específica
- * @param {string} date - Fecha en formato YYYY-MM-DD
- * @returns {Promise<Array>} - Lista de slots ocupados
+ * Obtiene los periodos ocupados de los calendarios del vendedor (API freebusy)
+ * Sin credenciales de Google Calendar no hay periodos ocupados
+ * @param {string} timeMin - Inicio del rango (ISO)
+ * @param {string} timeMax - Fin del rango (ISO)
+ * @param {Array<string>} calendarIds - Calendarios a consultar (por defecto, CALENDAR_IDS)
+ * @returns {Promise<Array>} - Periodos ocupados ({ start, end, calendarId }) ordenados por inicio
  */
-async function getBusySlots(date) {
+async function getBusySlots(timeMin, timeMax, calendarIds = null) {
+  if (!calendar) {
+    return [];
+  }
+  
+  const config = getSchedulingConfig();
+  const ids = calendarIds && calendarIds.length > 0 ? calendarIds : config.calendarIds;
+  
   try {
-    // Aquí deberíamos integrar con la API de Google Calendar
-    // Por ahora, simularemos algunos eventos ocupados
-    
-    // Convertir la fecha a objeto Date
-    const targetDate = moment(date, 'YYYY-MM-DD').toDate();
-    const dateString = moment(targetDate).format('YYYY-MM-DD');
-    
-    // Simular eventos ocupados (en un entorno real, esto vendría de Google Calendar)
-    const simulatedBusySlots = [
-      // Simular una reunión de 10:00 a 11:00
-      {
-        start: `${dateString}T10:00:00`,
-        end: `${dateString}T11:00:00`
-      },
-      // Simular una reunión de 15:00 a 16:30
-      {
-        start: `${dateString}T15:00:00`,
-        end: `${dateString}T16:30:00`
+    const response = await calendar.freebusy.query({
+      resource: {
+        timeMin,
+        timeMax,
+        timeZone: config.timezone,
+        items: ids.map(id => ({ id }))
       }
-    ];
+    });
+    
+    const calendars = response.data.calendars || {};
+    const busySlots = [];
     
-    return simulatedBusySlots;
+    for (const id of ids) {
+      const info = calendars[id] || {};
+      
+      // Si no se puede leer un calendario no es seguro ofrecer horarios
+      if (info.errors && info.errors.length > 0) {
+        throw new Error(`No se pudo consultar el calendario ${id}: ${info.errors.map(e => e.reason).join(', ')}`);
+      }
+      
+      (info.busy || []).forEach(busy => busySlots.push({ ...busy, calendarId: id }));
+    }
+    
+    return busySlots.sort((a, b) => new Date(a.start) - new Date(b.start));
   } catch (error) {
     logger.error('Error al obtener slots ocupados:', error);
-    return []; // Devolver array vacío en caso de error
+    throw error;
+  }
+}
+
+/**
+ * Lista los eventos de los calendarios de ventas en un rango de fechas
+ * @param {string} timeMin - Inicio del rango (ISO)
+ * @param {string} timeMax - Fin del rango (ISO)
+ * @param {Array<string>} calendarIds - Calendarios a consultar (por defecto, CALENDAR_IDS)
+ * @returns {Promise<Array<Object>>} - Eventos { id, calendarId, summary, description, start, end, meetLink, attendees } ordenados por inicio
+ */
+async function listEvents(timeMin, timeMax, calendarIds = null) {
+  if (!calendar) {
+    return [];
+  }
+  
+  const config = getSchedulingConfig();
+  const ids = calendarIds && calendarIds.length > 0 ? calendarIds : config.calendarIds;
+  const events = [];
+  
+  try {
+    for (const calendarId of ids) {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin,
+        timeMax,
+        singleEvents: true, // Expandir los eventos recurrentes
+        orderBy: 'startTime',
+        maxResults: 250
+      });
+      
+      (response.data.items || [])
+        .filter(event => event.status !== 'cancelled' && event.start && event.start.dateTime)
+        .forEach(event => events.push({
+          id: event.id,
+          calendarId,
+          summary: event.summary || null,
+          description: event.description || null,
+          start: event.start.dateTime,
+          end: event.end ? event.end.dateTime : null,
+          meetLink: event.hangoutLink || null,
+          attendees: (event.attendees || []).map(attendee => ({
+            email: attendee.email,
+            responseStatus: attendee.responseStatus || null
+          }))
+        }));
+    }
+    
+    return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+  } catch (error) {
+    logger.error('Error al listar eventos del calendario:', error);
+    throw error;
   }
 }
 
@@ -387,62 +706,60 @@ async function getBusySlots(date) {
  * @param {Object} options - Opciones para buscar horarios
  * @param {string} options.timezone - Zona horaria del cliente (por defecto: 'America/Lima')
  * @param {number} options.daysToLookAhead - Días hacia adelante para buscar (por defecto: 3)
- * @param {Array<string>} options.preferredHours - Horas preferidas para la cita (por defecto: ['10:00', '11:00', '15:00', '16:00'])
- * @returns {Promise<Object>} - Objeto con la información del horario disponible
+ * @param {Array<string>} options.preferredHours - Horas preferidas para la cita en la zona horaria del cliente (por defecto: ['10:00', '11:00', '15:00', '16:00'])
+ * @param {string} options.date - Buscar solo en esta fecha (YYYY-MM-DD en la zona horaria del cliente)
+ * @param {string} options.after - Solo horarios posteriores a esta fecha y hora (ISO)
+ * @param {Array<string>} options.calendarIds - Calendarios a consultar
+ * @returns {Promise<Object|null>} - Objeto con la información del horario disponible
  */
 async function findNextAvailableSlot(options = {}) {
   try {
     // Configurar opciones por defecto
+    const config = getSchedulingConfig();
     const timezone = options.timezone || 'America/Lima';
     const daysToLookAhead = options.daysToLookAhead || 3;
     const preferredHours = options.preferredHours || ['10:00', '11:00', '15:00', '16:00'];
     
     // Obtener la fecha actual en la zona horaria del cliente
     const now = moment().tz(timezone);
+    const earliest = moment.max(
+      options.after ? moment(options.after) : now,
+      now.clone().add(config.minNoticeMinutes, 'minutes')
+    );
     
-    // Buscar en los próximos días
-    for (let dayOffset = 1; dayOffset <= daysToLookAhead; dayOffset++) {
-      // Calcular la fecha para este día
-      const date = now.clone().add(dayOffset, 'days');
-      
-      // Verificar si es fin de semana (6=sábado, 0=domingo) y saltar al siguiente día
-      const dayOfWeek = date.day();
-      if (dayOfWeek === 0 || dayOfWeek === 6) {
-        // Si es fin de semana, continuar con la siguiente iteración
-        continue;
+    // Días a revisar: la fecha solicitada o los próximos días
+    const dates = [];
+    if (options.date) {
+      dates.push(moment.tz(options.date, 'YYYY-MM-DD', timezone));
+    } else {
+      for (let dayOffset = 1; dayOffset <= daysToLookAhead; dayOffset++) {
+        dates.push(now.clone().add(dayOffset, 'days'));
       }
-      
-      // Formatear la fecha para mostrar
-      const formattedDate = date.format('DD/MM/YYYY');
-      
+    }
+    
+    if (dates.length === 0) {
+      return null;
+    }
+    
+    // Consultar una sola vez los periodos ocupados de todo el rango
+    const busySlots = await getBusySlots(
+      dates[0].clone().startOf('day').toISOString(),
+      dates[dates.length - 1].clone().endOf('day').toISOString(),
+      options.calendarIds
+    );
+    
+    // Buscar en los días seleccionados
+    for (const date of dates) {
       // Probar cada hora preferida
       for (const hourStr of preferredHours) {
-        // Extraer hora y minuto
-        const [hour, minute] = hourStr.split(':').map(num => parseInt(num, 10));
-        
-        // Establecer la hora en la fecha
-        const dateTime = date.clone().hour(hour).minute(minute).second(0);
+        const dateTime = atTime(date, hourStr);
         
-        // Si la fecha ya pasó, continuar con la siguiente
-        if (dateTime.isBefore(now)) {
+        // Descartar horarios pasados, ocupados o fuera del horario laboral del vendedor
+        if (!dateTime.isAfter(earliest) || !isSlotAvailable(dateTime, busySlots, config)) {
           continue;
         }
         
-        // Verificar disponibilidad en Google Calendar
-        // Por ahora, simplemente devolvemos este horario como disponible
-        // En una implementación real, aquí verificaríamos la disponibilidad en el calendario
-        
-        // Formatear la hora para mostrar
-        const formattedTime = dateTime.format('HH:mm');
-        
-        // Devolver el horario disponible
-        return {
-          date: formattedDate,
-          time: formattedTime,
-          dateTime: dateTime.toISOString(),
-          formattedDateTime: `${date.date()} de ${date.locale('es').format('MMMM')} a las ${formattedTime}`,
-          timezone: timezone
-        };
+        return formatSlot(dateTime, timezone);
       }
     }
     
@@ -459,6 +776,15 @@ module.exports = {
   createCalendarEvent,
   hasValidCredentials,
   getNearestAvailableSlot,
+  getAvailableSlots,
   createCustomEvent,
-  findNextAvailableSlot
+  findNextAvailableSlot,
+  getBusySlots,
+  listEvents,
+  getSchedulingConfig,
+  isSlotAvailable,
+  setCalendarClient,
+  updateEventTime,
+  cancelEvent,
+  confirmAttendee
 }; 
\ No newline at end of file
@@ -0,0 +1,356 @@
+const db = require('../database');
+const logger = require('../utils/logger');
+const { generateOpenAIResponse } = require('./openaiService');
+
+/**
+ * Servicio de consentimiento y registro de "no contactar"
+ *
+ * Detecta cuando el prospecto pide que no le escriban más ("STOP", "no me
+ * escriban más"), que le vuelvan a escribir ("ALTA") o que borren sus datos
+ * (confirmado con "BORRAR"), y mantiene el registro de números que no se deben
+ * contactar. Todo mensaje que sale del bot (respuestas, seguimientos,
+ * recordatorios, envíos masivos) consulta este registro antes de enviarse.
+ *
+ * Cada cambio de consentimiento queda en la colección `consent_records` con su
+ * fecha y su origen; la lista de no contactar está en `do_not_contact` y se
+ * conserva aunque se eliminen los datos del prospecto. Sin MongoDB ambas se
+ * guardan en memoria.
+ */
+
+const CONSENT_COLLECTION = 'consent_records';
+const DO_NOT_CONTACT_COLLECTION = 'do_not_contact';
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  records: [],
+  doNotContact: new Map()
+};
+
+// Mensajes que, escritos solos, piden dejar de recibir mensajes (sin tildes ni signos)
+const OPT_OUT_KEYWORDS = ['stop', 'baja', 'parar', 'darme de baja', 'unsubscribe', 'sair', 'descadastrar', 'pare'];
+
+// Mensajes que, escritos solos, piden volver a recibir mensajes
+const OPT_IN_KEYWORDS = ['alta', 'start', 'unstop', 'voltar', 'subscribe', 'suscribirme'];
+
+// Palabras que, escritas solas, confirman un pedido de eliminación de datos
+const ERASURE_CONFIRM_KEYWORDS = ['borrar', 'apagar', 'delete'];
+
+// Frases para dejar de recibir mensajes dentro de un mensaje más largo
+// ("no me escriban más tarde" pide otro momento, no una baja)
+const OPT_OUT_PATTERNS = [
+  /no (me )?(escriban|escribas|contacten|contactes|env[ií]en|mandes|manden|molesten|molestes)( m[aá]s| nunca)(?! (tarde|temprano|luego|seguido|de noche|por la (noche|tarde|ma[nñ]ana)))/i,
+  /(dejen|deja|dejar) de (escribirme|contactarme|enviarme|mandarme|molestarme)/i,
+  /no quiero (recibir|que me (escriban|contacten|env[ií]en))/i,
+  /(s[aá]quenme|s[aá]came|b[oó]rrenme|b[oó]rrame|elim[ií]nenme) de (la|su|tu|sus) (lista|base)/i,
+  // Portugués
+  /n[aã]o (me )?(mandem|mande|enviem|envie|escrevam|escreva|contatem|contate)( mais| nunca)(?! (tarde|cedo|depois|[aà] noite))/i,
+  /(parem|pare) de (me )?(enviar|mandar|escrever|contatar)/i,
+  /(me )?(tirem|tire|removam|remova) da (lista|base)/i,
+  // Inglés
+  /stop (texting|messaging|contacting|writing to) me/i,
+  /(don'?t|do not) (text|message|contact|write to) me(?! (later|until|before|after|today|tonight|now))/i,
+  /remove me from (your|the) (list|database)/i
+];
+
+// Frases para pedir que se eliminen los datos
+const ERASURE_PATTERNS = [
+  /(borr|elimin|suprim)(a|en|ar|e)n? (todos )?mis datos/i,
+  /derecho (al olvido|de supresi[oó]n|de cancelaci[oó]n)/i,
+  /(apag|exclu|delet)(a|e|em|ar|uam|am)? (todos )?(os )?meus dados/i,
+  /(delete|erase|remove) (all )?my (personal )?(data|information|info)/i
+];
+
+// Palabras que sugieren que el mensaje habla de recibir mensajes (para no consultar
+// a OpenAI por cada mensaje de la conversación)
+const CONTACT_CUES = /escrib|mensaj|contact|molest|spam|lista|llam|mensagem|escrev|message|text|call/i;
+
+// Negaciones que invierten la frase que les sigue ("no borren mis datos")
+const NEGATION = /\b(no|nao|nunca|jamas|don'?t|do not|never|not)\b/i;
+
+/**
+ * Verifica si una frase encontrada está negada o es parte de una pregunta
+ * ("por favor no borren mis datos", "¿van a borrar mis datos?")
+ * @param {string} message - Mensaje del prospecto
+ * @param {Array} match - Resultado de String.match con la frase
+ * @returns {boolean}
+ */
+function isNegatedOrQuestion(message, match) {
+  const before = message.slice(0, match.index);
+  const after = message.slice(match.index + match[0].length);
+
+  // La oración de la frase: desde el último signo de cierre hasta el siguiente
+  const sentenceStart = before.slice(Math.max(before.lastIndexOf('.'), before.lastIndexOf('!'), before.lastIndexOf('?')) + 1);
+  const sentenceEnd = after.match(/^[^.!?]*[.!?]?/)[0];
+  if (sentenceStart.includes('¿') || sentenceEnd.trim().endsWith('?')) {
+    return true;
+  }
+
+  // Una negación en la misma cláusula, justo antes de la frase
+  const clause = before.normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[.,;:!?¿]/).pop();
+  return NEGATION.test(clause);
+}
+
+/**
+ * Busca una frase afirmativa (ni negada ni en una pregunta) en el mensaje
+ * @param {Array<RegExp>} patterns - Frases a buscar
+ * @param {string} message - Mensaje del prospecto
+ * @returns {boolean}
+ */
+function matchesPhrase(patterns, message) {
+  return patterns.some(pattern => {
+    const match = message.match(pattern);
+    return Boolean(match) && !isNegatedOrQuestion(message, match);
+  });
+}
+
+/**
+ * Normaliza un mensaje para compararlo con las palabras clave
+ * @param {string} message - Mensaje del prospecto
+ * @returns {string} - En minúsculas, sin tildes ni signos de puntuación
+ */
+function normalizeMessage(message) {
+  return String(message || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pregunta a OpenAI si el mensaje pide no ser contactado (OPT_OUT_INTENT_DETECTION=true)
+ * @param {string} message - Mensaje del prospecto
+ * @returns {Promise<boolean>}
+ */
+async function detectOptOutIntent(message) {
+  if (process.env.OPT_OUT_INTENT_DETECTION !== 'true' || !process.env.OPENAI_API_KEY || !CONTACT_CUES.test(message)) {
+    return false;
+  }
+
+  try {
+    const response = await generateOpenAIResponse({
+      role: 'system',
+      content: `Un prospecto respondió este mensaje por WhatsApp a un bot de ventas. ¿Está pidiendo que no le vuelvan a escribir o que lo saquen de la lista de contactos? Decir que no le interesa el producto NO es pedir que no le escriban.
+
+Mensaje: "${message}"
+
+Responde ÚNICAMENTE con un objeto JSON: { "optOut": boolean }`
+    });
+
+    return JSON.parse(response).optOut === true;
+  } catch (error) {
+    logger.warn(`No se pudo analizar la intención de baja: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Detecta si el mensaje es una solicitud de consentimiento
+ *
+ * Un pedido de eliminación (erasure) se confirma después con BORRAR (erasure_confirm).
+ * @param {string} message - Mensaje del prospecto
+ * @returns {Promise<Object|null>} - { action: opt_out | opt_in | erasure | erasure_confirm, source: keyword | intent } o null
+ */
+async function detectConsentRequest(message) {
+  if (!message || !String(message).trim()) {
+    return null;
+  }
+
+  const normalized = normalizeMessage(message);
+
+  if (matchesPhrase(ERASURE_PATTERNS, message)) {
+    return { action: 'erasure', source: 'keyword' };
+  }
+
+  if (ERASURE_CONFIRM_KEYWORDS.includes(normalized)) {
+    return { action: 'erasure_confirm', source: 'keyword' };
+  }
+
+  if (OPT_IN_KEYWORDS.includes(normalized)) {
+    return { action: 'opt_in', source: 'keyword' };
+  }
+
+  if (OPT_OUT_KEYWORDS.includes(normalized) || matchesPhrase(OPT_OUT_PATTERNS, message)) {
+    return { action: 'opt_out', source: 'keyword' };
+  }
+
+  if (await detectOptOutIntent(message)) {
+    return { action: 'opt_out', source: 'intent' };
+  }
+
+  return null;
+}
+
+/**
+ * Guarda un cambio de consentimiento con su fecha
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} data - { action, source, message }
+ * @returns {Promise<Object>} - Registro guardado
+ */
+async function recordConsent(phoneNumber, { action, source, message = null }) {
+  const record = {
+    phoneNumber,
+    action,
+    source,
+    message,
+    timestamp: new Date()
+  };
+
+  try {
+    const collection = await db.collection(CONSENT_COLLECTION);
+    if (collection) {
+      await collection.insertOne({ ...record });
+      return record;
+    }
+  } catch (error) {
+    logger.error(`Error al guardar el consentimiento de ${phoneNumber}:`, error);
+  }
+
+  memoryStorage.records.push(record);
+  return record;
+}
+
+/**
+ * Historial de consentimiento de un prospecto
+ * @param {string} phoneNumber - Número del prospecto
+ * @returns {Promise<Array>} - Registros en orden cronológico
+ */
+async function getConsentRecords(phoneNumber) {
+  try {
+    const collection = await db.collection(CONSENT_COLLECTION);
+    if (collection) {
+      return await collection.find({ phoneNumber }, { projection: { _id: 0 } }).sort({ timestamp: 1 }).toArray();
+    }
+  } catch (error) {
+    logger.error(`Error al obtener el consentimiento de ${phoneNumber}:`, error);
+  }
+
+  return memoryStorage.records.filter(record => record.phoneNumber === phoneNumber);
+}
+
+/**
+ * Verifica si un número está en la lista de no contactar
+ * @param {string} phoneNumber - Número del prospecto
+ * @returns {Promise<boolean>}
+ */
+async function isDoNotContact(phoneNumber) {
+  try {
+    const collection = await db.collection(DO_NOT_CONTACT_COLLECTION);
+    if (collection) {
+      return Boolean(await collection.findOne({ phoneNumber }));
+    }
+  } catch (error) {
+    // Ante la duda, no contactar
+    logger.error(`Error al consultar la lista de no contactar para ${phoneNumber}:`, error);
+    return true;
+  }
+
+  return memoryStorage.doNotContact.has(phoneNumber);
+}
+
+/**
+ * Lista los números que no se deben contactar
+ * @returns {Promise<Array>} - { phoneNumber, reason, source, since }
+ */
+async function listDoNotContact() {
+  try {
+    const collection = await db.collection(DO_NOT_CONTACT_COLLECTION);
+    if (collection) {
+      return await collection.find({}, { projection: { _id: 0 } }).sort({ since: -1 }).toArray();
+    }
+  } catch (error) {
+    logger.error('Error al listar los números que no se deben contactar:', error);
+  }
+
+  return Array.from(memoryStorage.doNotContact.values());
+}
+
+/**
+ * Agrega un número a la lista de no contactar
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} entry - { reason, source }
+ */
+async function addToDoNotContact(phoneNumber, { reason, source }) {
+  const entry = { phoneNumber, reason, source, since: new Date() };
+
+  const collection = await db.collection(DO_NOT_CONTACT_COLLECTION);
+  if (collection) {
+    await collection.updateOne({ phoneNumber }, { $set: entry }, { upsert: true });
+  } else {
+    memoryStorage.doNotContact.set(phoneNumber, entry);
+  }
+}
+
+/**
+ * Quita un número de la lista de no contactar
+ * @param {string} phoneNumber - Número del prospecto
+ */
+async function removeFromDoNotContact(phoneNumber) {
+  const collection = await db.collection(DO_NOT_CONTACT_COLLECTION);
+  if (collection) {
+    await collection.deleteOne({ phoneNumber });
+  } else {
+    memoryStorage.doNotContact.delete(phoneNumber);
+  }
+}
+
+/**
+ * Registra que el prospecto no quiere recibir más mensajes
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - { source (keyword, intent, admin), message }
+ * @returns {Promise<Object>} - Registro de consentimiento
+ */
+async function optOut(phoneNumber, { source = 'admin', message = null } = {}) {
+  await addToDoNotContact(phoneNumber, { reason: 'opt_out', source });
+  logger.info(`${phoneNumber} agregado a la lista de no contactar (${source})`);
+  return recordConsent(phoneNumber, { action: 'opt_out', source, message });
+}
+
+/**
+ * Registra que el prospecto vuelve a aceptar mensajes
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - { source (keyword, admin), message }
+ * @returns {Promise<Object>} - Registro de consentimiento
+ */
+async function optIn(phoneNumber, { source = 'admin', message = null } = {}) {
+  await removeFromDoNotContact(phoneNumber);
+  logger.info(`${phoneNumber} quitado de la lista de no contactar (${source})`);
+  return recordConsent(phoneNumber, { action: 'opt_in', source, message });
+}
+
+/**
+ * Registra la eliminación de los datos de un prospecto
+ *
+ * El número queda en la lista de no contactar (sin él no se podría garantizar) y
+ * los registros de consentimiento se conservan como constancia, sin el texto de
+ * los mensajes.
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - { source (keyword, admin, cli) }
+ * @returns {Promise<Object>} - Registro de consentimiento
+ */
+async function registerErasure(phoneNumber, { source = 'admin' } = {}) {
+  await addToDoNotContact(phoneNumber, { reason: 'erasure', source });
+
+  const collection = await db.collection(CONSENT_COLLECTION);
+  if (collection) {
+    await collection.updateMany({ phoneNumber }, { $set: { message: null } });
+  } else {
+    memoryStorage.records
+      .filter(record => record.phoneNumber === phoneNumber)
+      .forEach(record => { record.message = null; });
+  }
+
+  return recordConsent(phoneNumber, { action: 'erasure', source });
+}
+
+module.exports = {
+  detectConsentRequest,
+  recordConsent,
+  getConsentRecords,
+  isDoNotContact,
+  listDoNotContact,
+  optOut,
+  optIn,
+  registerErasure
+};
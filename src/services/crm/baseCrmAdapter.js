@@ -0,0 +1,191 @@
+/**
+ * Clase base para los conectores de CRM
+ *
+ * Define la interfaz común de los adaptadores (HubSpot, Pipedrive, Zoho) para que
+ * crmService no dependa del proveedor. Cada adaptador arma los campos estándar de
+ * su API (nombre, teléfono, correo, empresa, etapa) y les suma los campos de la
+ * configuración (fields), que asocian un campo del CRM a un dato del prospecto.
+ *
+ * Los IDs que devuelven los métodos son siempre cadenas.
+ */
+
+const axios = require('axios');
+
+// Tiempo máximo de espera de cada petición al CRM
+const REQUEST_TIMEOUT_MS = 15000;
+
+class BaseCrmAdapter {
+  /**
+   * @param {string} name - Nombre del proveedor (hubspot, pipedrive, zoho)
+   * @param {Object} options - Opciones del proveedor
+   * @param {string} options.baseUrl - URL base de la API
+   * @param {Object} options.fields - { contact, company, deal }: campo del CRM -> dato del prospecto
+   * @param {Object} options.dealStages - Estado de la conversación -> etapa del negocio
+   * @param {string} [options.pipeline] - Embudo de ventas donde se crean los negocios
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      fields: {},
+      dealStages: {},
+      ...options
+    };
+    this.client = axios.create({
+      baseURL: this.options.baseUrl,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+  }
+
+  /**
+   * Etapa del negocio que corresponde a un estado de la conversación
+   * @param {string} conversationState - Estado de la conversación
+   * @returns {string|null}
+   */
+  getDealStage(conversationState) {
+    return this.options.dealStages[conversationState] ?? null;
+  }
+
+  /**
+   * Campos configurados para un tipo de registro, con los valores del prospecto
+   * @param {Object} record - Datos del prospecto (ver crmService.buildCrmRecord)
+   * @param {string} type - contact | company | deal
+   * @returns {Object} - Campo del CRM -> valor (se omiten los datos que no tiene)
+   */
+  mapFields(record, type) {
+    const mapping = this.options.fields[type] || {};
+    return Object.fromEntries(
+      Object.entries(mapping)
+        .map(([field, source]) => [field, getValue(record, source)])
+        .filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Campos estándar del proveedor más los configurados
+   * @param {Object} record - Datos del prospecto
+   * @param {string} type - contact | company | deal
+   * @param {Object} standard - Campos estándar de la API
+   * @returns {Object}
+   */
+  buildFields(record, type, standard = {}) {
+    return compact({ ...standard, ...this.mapFields(record, type) });
+  }
+
+  /**
+   * Crea o actualiza la persona (se busca por teléfono)
+   * @param {Object} record - Datos del prospecto
+   * @param {Object} links - { companyId }
+   * @returns {Promise<string>} - ID del contacto
+   */
+  async upsertContact(record, links = {}) {
+    throw new Error(`El CRM ${this.name} no implementa upsertContact()`);
+  }
+
+  /**
+   * Crea la empresa o reutiliza la que tiene el mismo nombre
+   * @param {Object} record - Datos del prospecto
+   * @returns {Promise<string|null>} - ID de la empresa, o null si el prospecto no tiene empresa
+   */
+  async upsertCompany(record) {
+    throw new Error(`El CRM ${this.name} no implementa upsertCompany()`);
+  }
+
+  /**
+   * Crea el negocio asociado al contacto y a la empresa
+   * @param {Object} record - Datos del prospecto
+   * @param {Object} links - { contactId, companyId, stage }
+   * @returns {Promise<string>} - ID del negocio
+   */
+  async createDeal(record, links = {}) {
+    throw new Error(`El CRM ${this.name} no implementa createDeal()`);
+  }
+
+  /**
+   * Cambia la etapa de un negocio
+   * @param {string} dealId - ID del negocio
+   * @param {string} stage - Nueva etapa
+   * @returns {Promise<void>}
+   */
+  async updateDealStage(dealId, stage) {
+    throw new Error(`El CRM ${this.name} no implementa updateDealStage()`);
+  }
+
+  /**
+   * Actualiza datos de un contacto existente
+   * @param {string} contactId - ID del contacto
+   * @param {Object} record - Datos a actualizar (solo los presentes)
+   * @returns {Promise<boolean>} - False si ningún dato tiene un campo en el CRM
+   */
+  async updateContact(contactId, record) {
+    throw new Error(`El CRM ${this.name} no implementa updateContact()`);
+  }
+
+  /**
+   * Agrega una nota al negocio (o al contacto, si no hay negocio)
+   * @param {Object} target - { contactId, dealId }
+   * @param {string} title - Título de la nota
+   * @param {string} text - Texto de la nota
+   * @returns {Promise<string>} - ID de la nota
+   */
+  async addNote(target, title, text) {
+    throw new Error(`El CRM ${this.name} no implementa addNote()`);
+  }
+
+  /**
+   * Elimina un contacto
+   * @param {string} contactId - ID del contacto
+   * @returns {Promise<void>}
+   */
+  async deleteContact(contactId) {
+    throw new Error(`El CRM ${this.name} no implementa deleteContact()`);
+  }
+
+  /**
+   * Elimina un negocio
+   * @param {string} dealId - ID del negocio
+   * @returns {Promise<void>}
+   */
+  async deleteDeal(dealId) {
+    throw new Error(`El CRM ${this.name} no implementa deleteDeal()`);
+  }
+}
+
+/**
+ * Lee un dato del prospecto con una ruta con puntos (utm.utm_campaign)
+ * @param {Object} record - Datos del prospecto
+ * @param {string} source - Ruta del dato
+ * @returns {*} - Valor (las fechas como ISO)
+ */
+function getValue(record, source) {
+  const value = String(source).split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Quita los campos sin valor (null o undefined)
+ * @param {Object} fields - Campos
+ * @returns {Object}
+ */
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Texto plano a HTML, para el cuerpo de las notas
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function toHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
+}
+
+module.exports = {
+  BaseCrmAdapter,
+  getValue,
+  compact,
+  toHtml
+};
@@ -0,0 +1,142 @@
+/**
+ * Conector de HubSpot (CRM API v3)
+ *
+ * Usa un token de app privada (CRM_API_KEY) con permisos sobre contactos,
+ * empresas, negocios y notas. Los contactos se buscan por teléfono y las empresas
+ * por nombre; el negocio se asocia a ambos y las notas al negocio y al contacto.
+ */
+
+const { BaseCrmAdapter, toHtml } = require('./baseCrmAdapter');
+
+// Tipos de asociación definidos por HubSpot
+const ASSOCIATIONS = {
+  dealToContact: 3,
+  dealToCompany: 5,
+  noteToContact: 202,
+  noteToDeal: 214
+};
+
+/**
+ * Asociación a otro objeto en el formato de la API v3
+ */
+function association(id, typeId) {
+  return { to: { id }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: typeId }] };
+}
+
+class HubSpotAdapter extends BaseCrmAdapter {
+  /**
+   * @param {Object} options - Ver BaseCrmAdapter; apiKey es el token de la app privada
+   */
+  constructor(options = {}) {
+    super('hubspot', { baseUrl: 'https://api.hubapi.com', pipeline: 'default', ...options });
+    this.client.defaults.headers.common.Authorization = `Bearer ${this.options.apiKey || ''}`;
+  }
+
+  /**
+   * Busca un objeto por el valor exacto de una propiedad
+   * @returns {Promise<string|null>} - ID del primer resultado
+   */
+  async findObject(type, propertyName, value) {
+    const { data } = await this.client.post(`/crm/v3/objects/${type}/search`, {
+      filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value }] }],
+      limit: 1
+    });
+    return data.results && data.results.length > 0 ? String(data.results[0].id) : null;
+  }
+
+  async upsertContact(record, { companyId } = {}) {
+    const properties = this.buildFields(record, 'contact', {
+      firstname: record.firstName,
+      lastname: record.lastName,
+      phone: record.phone,
+      email: record.email,
+      company: record.company
+    });
+
+    let contactId = await this.findObject('contacts', 'phone', record.phone);
+    if (contactId) {
+      await this.client.patch(`/crm/v3/objects/contacts/${contactId}`, { properties });
+    } else {
+      const { data } = await this.client.post('/crm/v3/objects/contacts', { properties });
+      contactId = String(data.id);
+    }
+
+    if (companyId) {
+      await this.client.put(`/crm/v4/objects/contact/${contactId}/associations/default/company/${companyId}`);
+    }
+
+    return contactId;
+  }
+
+  async upsertCompany(record) {
+    if (!record.company) {
+      return null;
+    }
+
+    const existingId = await this.findObject('companies', 'name', record.company);
+    if (existingId) {
+      return existingId;
+    }
+
+    const properties = this.buildFields(record, 'company', { name: record.company });
+    const { data } = await this.client.post('/crm/v3/objects/companies', { properties });
+    return String(data.id);
+  }
+
+  async createDeal(record, { contactId, companyId, stage } = {}) {
+    const properties = this.buildFields(record, 'deal', {
+      dealname: record.dealName,
+      pipeline: this.options.pipeline,
+      dealstage: stage
+    });
+    const associations = [
+      contactId && association(contactId, ASSOCIATIONS.dealToContact),
+      companyId && association(companyId, ASSOCIATIONS.dealToCompany)
+    ].filter(Boolean);
+
+    const { data } = await this.client.post('/crm/v3/objects/deals', { properties, associations });
+    return String(data.id);
+  }
+
+  async updateDealStage(dealId, stage) {
+    await this.client.patch(`/crm/v3/objects/deals/${dealId}`, { properties: { dealstage: stage } });
+  }
+
+  async updateContact(contactId, record) {
+    const properties = this.buildFields(record, 'contact', { email: record.email });
+    if (Object.keys(properties).length === 0) {
+      return false;
+    }
+
+    await this.client.patch(`/crm/v3/objects/contacts/${contactId}`, { properties });
+    return true;
+  }
+
+  async addNote({ contactId, dealId }, title, text) {
+    const associations = [
+      dealId && association(dealId, ASSOCIATIONS.noteToDeal),
+      contactId && association(contactId, ASSOCIATIONS.noteToContact)
+    ].filter(Boolean);
+
+    const { data } = await this.client.post('/crm/v3/objects/notes', {
+      properties: {
+        hs_timestamp: new Date().toISOString(),
+        hs_note_body: `<strong>${toHtml(title)}</strong><br><br>${toHtml(text)}`
+      },
+      associations
+    });
+    return String(data.id);
+  }
+
+  async deleteContact(contactId) {
+    await this.client.delete(`/crm/v3/objects/contacts/${contactId}`);
+  }
+
+  async deleteDeal(dealId) {
+    await this.client.delete(`/crm/v3/objects/deals/${dealId}`);
+  }
+}
+
+module.exports = {
+  HubSpotAdapter
+};
@@ -0,0 +1,174 @@
+/**
+ * Selección del conector de CRM
+ *
+ * El CRM se elige con la variable CRM_PROVIDER:
+ * - hubspot: HubSpot (token de app privada en CRM_API_KEY)
+ * - pipedrive: Pipedrive (token de API en CRM_API_KEY)
+ * - zoho: Zoho CRM (OAuth con ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET y ZOHO_REFRESH_TOKEN)
+ *
+ * Sin proveedor los prospectos no se envían a ningún CRM. El embudo, las etapas
+ * de los negocios y los campos adicionales se configuran en CRM_CONFIG_FILE (JSON),
+ * con una sección por proveedor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { CONVERSATION_MACHINE } = require('../../config/conversationStates');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../config/crm.json');
+
+const PROVIDERS = ['hubspot', 'pipedrive', 'zoho'];
+
+// Estados en los que el prospecto se crea en el CRM: al calificar, o al terminar la conversación
+const DEFAULT_CREATE_ON_STATES = [
+  ...Object.keys(CONVERSATION_MACHINE.states).filter(state => CONVERSATION_MACHINE.states[state].qualified),
+  'completed'
+];
+
+// Etapas por defecto de cada proveedor (se completan o reemplazan con dealStages)
+const DEFAULT_DEAL_STAGES = {
+  hubspot: {
+    qualified: 'qualifiedtobuy',
+    invitation: 'qualifiedtobuy',
+    checkout: 'qualifiedtobuy',
+    appointment_scheduling: 'presentationscheduled',
+    appointment_confirmed: 'presentationscheduled',
+    completed: 'closedlost',
+    closed: 'closedlost'
+  },
+  // Las etapas de Pipedrive son IDs propios de cada cuenta: solo se cierra el negocio
+  pipedrive: {
+    completed: 'lost',
+    closed: 'lost'
+  },
+  zoho: {
+    qualified: 'Qualification',
+    invitation: 'Qualification',
+    checkout: 'Qualification',
+    appointment_scheduling: 'Needs Analysis',
+    appointment_confirmed: 'Needs Analysis',
+    completed: 'Closed Lost',
+    closed: 'Closed Lost'
+  }
+};
+
+// Configuración cargada (se lee una sola vez) y conector creado con ella
+let crmConfig = null;
+let crmAdapter = null;
+
+/**
+ * Lee el archivo de configuración del CRM
+ * @returns {Object} - Contenido del archivo (vacío si no existe)
+ */
+function readConfigFile() {
+  const filePath = process.env.CRM_CONFIG_FILE || DEFAULT_CONFIG_FILE;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      logger.info(`Configuración del CRM cargada desde ${filePath}`);
+      return data;
+    }
+  } catch (error) {
+    logger.error(`Error al cargar la configuración del CRM ${filePath}:`, error);
+  }
+
+  return {};
+}
+
+/**
+ * Obtiene la configuración del CRM desde las variables de entorno y CRM_CONFIG_FILE
+ * @returns {Object} - { provider, createOnStates, options }
+ */
+function getCrmConfig() {
+  if (crmConfig) {
+    return crmConfig;
+  }
+
+  const provider = (process.env.CRM_PROVIDER || '').toLowerCase() || null;
+  const file = readConfigFile();
+  const section = (provider && file[provider]) || {};
+
+  if (provider && !PROVIDERS.includes(provider)) {
+    logger.warn(`CRM desconocido en CRM_PROVIDER: ${provider} (opciones: ${PROVIDERS.join(', ')})`);
+  }
+
+  crmConfig = {
+    provider,
+    createOnStates: Array.isArray(file.createOnStates) ? file.createOnStates : DEFAULT_CREATE_ON_STATES,
+    options: {
+      ...section,
+      apiKey: process.env.CRM_API_KEY || section.apiKey,
+      // Permite apuntar a otra URL (por ejemplo, el servidor simulado de las pruebas)
+      ...(process.env.CRM_API_URL ? { baseUrl: process.env.CRM_API_URL } : {}),
+      dealStages: { ...(DEFAULT_DEAL_STAGES[provider] || {}), ...(section.dealStages || {}) },
+      fields: section.fields || {},
+      ...(provider === 'zoho' ? {
+        clientId: process.env.ZOHO_CLIENT_ID,
+        clientSecret: process.env.ZOHO_CLIENT_SECRET,
+        refreshToken: process.env.ZOHO_REFRESH_TOKEN,
+        accountsUrl: process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com'
+      } : {})
+    }
+  };
+
+  return crmConfig;
+}
+
+/**
+ * Crea una instancia del conector configurado
+ * @param {Object} config - Configuración (por defecto, la de getCrmConfig)
+ * @returns {BaseCrmAdapter|null} - Conector, o null si no hay CRM configurado
+ */
+function createCrmAdapter(config = getCrmConfig()) {
+  switch (config.provider) {
+    case null:
+    case undefined:
+      return null;
+    case 'hubspot': {
+      // Se requiere de forma diferida para cargar solo el conector usado
+      const { HubSpotAdapter } = require('./hubspotAdapter');
+      return new HubSpotAdapter(config.options);
+    }
+    case 'pipedrive': {
+      const { PipedriveAdapter } = require('./pipedriveAdapter');
+      return new PipedriveAdapter(config.options);
+    }
+    case 'zoho': {
+      const { ZohoAdapter } = require('./zohoAdapter');
+      return new ZohoAdapter(config.options);
+    }
+    default:
+      throw new Error(`CRM desconocido: ${config.provider}`);
+  }
+}
+
+/**
+ * Obtiene el conector del CRM configurado
+ * @returns {BaseCrmAdapter|null} - Conector, o null si no hay CRM configurado
+ */
+function getCrmAdapter() {
+  if (crmAdapter === null) {
+    crmAdapter = createCrmAdapter() || false;
+  }
+  return crmAdapter || null;
+}
+
+/**
+ * Vuelve a leer la configuración del CRM (y crea otra vez el conector)
+ * @returns {Object} - Configuración
+ */
+function reloadCrmConfig() {
+  crmConfig = null;
+  crmAdapter = null;
+  return getCrmConfig();
+}
+
+module.exports = {
+  PROVIDERS,
+  getCrmConfig,
+  createCrmAdapter,
+  getCrmAdapter,
+  reloadCrmConfig
+};
@@ -0,0 +1,129 @@
+/**
+ * Conector de Pipedrive (API v1)
+ *
+ * Usa el token de API del usuario (CRM_API_KEY), que se envía como api_token.
+ * Las personas se buscan por teléfono y las organizaciones por nombre. Las etapas
+ * son IDs numéricos de la cuenta (dealStages); "won" y "lost" cierran el negocio
+ * como ganado o perdido.
+ */
+
+const { BaseCrmAdapter, toHtml } = require('./baseCrmAdapter');
+
+// Etapas que en Pipedrive son un estado del negocio y no una columna del embudo
+const DEAL_STATUSES = ['won', 'lost', 'open'];
+
+class PipedriveAdapter extends BaseCrmAdapter {
+  /**
+   * @param {Object} options - Ver BaseCrmAdapter; apiKey es el token de API
+   */
+  constructor(options = {}) {
+    super('pipedrive', { baseUrl: 'https://api.pipedrive.com/v1', ...options });
+    this.client.defaults.params = { api_token: this.options.apiKey || '' };
+  }
+
+  /**
+   * Campos de etapa del negocio (stage_id o status)
+   * @param {string|number} stage - Etapa configurada
+   * @returns {Object}
+   */
+  stageFields(stage) {
+    if (stage === null || stage === undefined) {
+      return {};
+    }
+    return DEAL_STATUSES.includes(stage) ? { status: stage } : { stage_id: Number(stage) };
+  }
+
+  /**
+   * Busca un registro por coincidencia exacta en un campo
+   * @returns {Promise<string|null>} - ID del primer resultado
+   */
+  async findItem(type, field, term) {
+    const { data } = await this.client.get(`/${type}/search`, {
+      params: { term, fields: field, exact_match: true, limit: 1 }
+    });
+    const items = (data.data && data.data.items) || [];
+    return items.length > 0 ? String(items[0].item.id) : null;
+  }
+
+  async upsertContact(record, { companyId } = {}) {
+    const fields = this.buildFields(record, 'contact', {
+      name: record.name,
+      phone: record.phone ? [{ value: record.phone, primary: true, label: 'mobile' }] : null,
+      email: record.email ? [{ value: record.email, primary: true, label: 'work' }] : null,
+      org_id: companyId ? Number(companyId) : null
+    });
+
+    const personId = await this.findItem('persons', 'phone', record.phone);
+    if (personId) {
+      await this.client.put(`/persons/${personId}`, fields);
+      return personId;
+    }
+
+    const { data } = await this.client.post('/persons', fields);
+    return String(data.data.id);
+  }
+
+  async upsertCompany(record) {
+    if (!record.company) {
+      return null;
+    }
+
+    const existingId = await this.findItem('organizations', 'name', record.company);
+    if (existingId) {
+      return existingId;
+    }
+
+    const { data } = await this.client.post('/organizations', this.buildFields(record, 'company', { name: record.company }));
+    return String(data.data.id);
+  }
+
+  async createDeal(record, { contactId, companyId, stage } = {}) {
+    const fields = this.buildFields(record, 'deal', {
+      title: record.dealName,
+      person_id: contactId ? Number(contactId) : null,
+      org_id: companyId ? Number(companyId) : null,
+      pipeline_id: this.options.pipeline ? Number(this.options.pipeline) : null,
+      ...this.stageFields(stage)
+    });
+
+    const { data } = await this.client.post('/deals', fields);
+    return String(data.data.id);
+  }
+
+  async updateDealStage(dealId, stage) {
+    await this.client.put(`/deals/${dealId}`, this.stageFields(stage));
+  }
+
+  async updateContact(contactId, record) {
+    const fields = this.buildFields(record, 'contact', {
+      email: record.email ? [{ value: record.email, primary: true, label: 'work' }] : null
+    });
+    if (Object.keys(fields).length === 0) {
+      return false;
+    }
+
+    await this.client.put(`/persons/${contactId}`, fields);
+    return true;
+  }
+
+  async addNote({ contactId, dealId }, title, text) {
+    const { data } = await this.client.post('/notes', {
+      content: `<b>${toHtml(title)}</b><br><br>${toHtml(text)}`,
+      deal_id: dealId ? Number(dealId) : undefined,
+      person_id: contactId ? Number(contactId) : undefined
+    });
+    return String(data.data.id);
+  }
+
+  async deleteContact(contactId) {
+    await this.client.delete(`/persons/${contactId}`);
+  }
+
+  async deleteDeal(dealId) {
+    await this.client.delete(`/deals/${dealId}`);
+  }
+}
+
+module.exports = {
+  PipedriveAdapter
+};
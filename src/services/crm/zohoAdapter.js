@@ -0,0 +1,187 @@
+/**
+ * Conector de Zoho CRM (API v6)
+ *
+ * Se autentica con OAuth: el token de acceso se obtiene con el token de
+ * actualización (ZOHO_REFRESH_TOKEN) y se renueva antes de vencer. Sin token de
+ * actualización se usa CRM_API_KEY como token de acceso fijo. Los contactos
+ * se buscan por teléfono y las cuentas por nombre. Las etapas de los negocios son
+ * los nombres de la lista Stage ("Qualification", "Closed Lost").
+ */
+
+const axios = require('axios');
+const { BaseCrmAdapter } = require('./baseCrmAdapter');
+
+// Renovar el token un minuto antes de que venza
+const TOKEN_MARGIN_MS = 60 * 1000;
+
+// Zoho exige una etapa para crear un negocio
+const DEFAULT_STAGE = 'Qualification';
+
+class ZohoAdapter extends BaseCrmAdapter {
+  /**
+   * @param {Object} options - Ver BaseCrmAdapter
+   * @param {string} options.clientId - ID del cliente OAuth
+   * @param {string} options.clientSecret - Secreto del cliente OAuth
+   * @param {string} options.refreshToken - Token de actualización
+   * @param {string} options.accountsUrl - Servidor de cuentas de la región (accounts.zoho.com, .eu, .in)
+   */
+  constructor(options = {}) {
+    super('zoho', {
+      baseUrl: 'https://www.zohoapis.com',
+      accountsUrl: 'https://accounts.zoho.com',
+      ...options
+    });
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Obtiene un token de acceso vigente
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (!this.options.refreshToken && this.options.apiKey) {
+      return this.options.apiKey;
+    }
+
+    if (this.accessToken && Date.now() < this.tokenExpiresAt - TOKEN_MARGIN_MS) {
+      return this.accessToken;
+    }
+
+    const { data } = await axios.post(`${this.options.accountsUrl}/oauth/v2/token`, null, {
+      params: {
+        refresh_token: this.options.refreshToken,
+        client_id: this.options.clientId,
+        client_secret: this.options.clientSecret,
+        grant_type: 'refresh_token'
+      },
+      timeout: 15000
+    });
+
+    if (!data.access_token) {
+      throw new Error(`Zoho no entregó un token de acceso: ${data.error || 'sin detalle'}`);
+    }
+
+    this.accessToken = data.access_token;
+    this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Petición autenticada a la API de Zoho CRM
+   * @returns {Promise<Object>} - Cuerpo de la respuesta (vacío si es 204)
+   */
+  async request(method, url, data, params) {
+    const token = await this.getAccessToken();
+    const response = await this.client.request({
+      method,
+      url: `/crm/v6${url}`,
+      data,
+      params,
+      headers: { Authorization: `Zoho-oauthtoken ${token}` }
+    });
+    return response.data || {};
+  }
+
+  /**
+   * Crea o actualiza un registro y devuelve su ID
+   * @returns {Promise<string>}
+   */
+  async saveRecord(module, fields, id = null) {
+    const data = await this.request(id ? 'put' : 'post', id ? `/${module}/${id}` : `/${module}`, { data: [fields] });
+    const [result] = data.data || [];
+
+    if (!result || result.code !== 'SUCCESS') {
+      throw new Error(`Zoho rechazó el registro de ${module}: ${result ? `${result.code} ${result.message}` : 'sin respuesta'}`);
+    }
+
+    return String(result.details.id);
+  }
+
+  /**
+   * Busca un registro (la búsqueda sin resultados responde 204)
+   * @returns {Promise<string|null>}
+   */
+  async findRecord(module, params) {
+    const data = await this.request('get', `/${module}/search`, undefined, params);
+    return data.data && data.data.length > 0 ? String(data.data[0].id) : null;
+  }
+
+  async upsertContact(record, { companyId } = {}) {
+    const fields = this.buildFields(record, 'contact', {
+      First_Name: record.firstName,
+      // Last_Name es obligatorio en Zoho
+      Last_Name: record.lastName || record.firstName || record.name,
+      Phone: record.phone,
+      Email: record.email,
+      Account_Name: companyId ? { id: companyId } : null,
+      Lead_Source: 'WhatsApp'
+    });
+
+    const contactId = await this.findRecord('Contacts', { phone: record.phone });
+    return this.saveRecord('Contacts', fields, contactId);
+  }
+
+  async upsertCompany(record) {
+    if (!record.company) {
+      return null;
+    }
+
+    // Los paréntesis y las comas tienen significado en criteria
+    const name = record.company.replace(/([(),\\])/g, '\\$1');
+    const existingId = await this.findRecord('Accounts', { criteria: `(Account_Name:equals:${name})` });
+    if (existingId) {
+      return existingId;
+    }
+
+    return this.saveRecord('Accounts', this.buildFields(record, 'company', { Account_Name: record.company }));
+  }
+
+  async createDeal(record, { contactId, companyId, stage } = {}) {
+    const fields = this.buildFields(record, 'deal', {
+      Deal_Name: record.dealName,
+      Stage: stage || DEFAULT_STAGE,
+      Pipeline: this.options.pipeline,
+      Contact_Name: contactId ? { id: contactId } : null,
+      Account_Name: companyId ? { id: companyId } : null,
+      Lead_Source: 'WhatsApp'
+    });
+
+    return this.saveRecord('Deals', fields);
+  }
+
+  async updateDealStage(dealId, stage) {
+    await this.saveRecord('Deals', { Stage: stage }, dealId);
+  }
+
+  async updateContact(contactId, record) {
+    const fields = this.buildFields(record, 'contact', { Email: record.email });
+    if (Object.keys(fields).length === 0) {
+      return false;
+    }
+
+    await this.saveRecord('Contacts', fields, contactId);
+    return true;
+  }
+
+  async addNote({ contactId, dealId }, title, text) {
+    const parent = dealId ? { module: { api_name: 'Deals' }, id: dealId } : { module: { api_name: 'Contacts' }, id: contactId };
+    return this.saveRecord('Notes', {
+      Note_Title: title,
+      Note_Content: text,
+      Parent_Id: parent
+    });
+  }
+
+  async deleteContact(contactId) {
+    await this.request('delete', `/Contacts/${contactId}`);
+  }
+
+  async deleteDeal(dealId) {
+    await this.request('delete', `/Deals/${dealId}`);
+  }
+}
+
+module.exports = {
+  ZohoAdapter
+};
@@ -1,10 +1,142 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { scoreLead } = require('./leadScoringService');
+const messageStore = require('./messageStore');
+const { getCrmAdapter, getCrmConfig } = require('./crm');
+const { CONVERSATION_MACHINE } = require('../config/conversationStates');
 
 /**
- * Envía un prospecto al CRM
+ * Servicio de integración con el CRM
+ *
+ * Envía los prospectos al CRM configurado con CRM_PROVIDER (ver services/crm):
+ * al calificar se crean el contacto, la empresa y el negocio, con una nota con la
+ * transcripción de la conversación. Cada cambio del estado de la conversación
+ * mueve el negocio a la etapa que le corresponde (dealStages) y agrega una nota
+ * con los mensajes desde la nota anterior.
+ *
+ * Los IDs del CRM se guardan en el prospecto: crmId (contacto), crmCompanyId,
+ * crmDealId y crmStage.
+ */
+
+/**
+ * Prepara los datos del prospecto para el CRM
  * @param {Object} prospectState - Estado del prospecto
- * @returns {Promise<Object>} - Respuesta del CRM
+ * @returns {Object} - Datos del prospecto (los conectores eligen qué campos enviar)
+ */
+function buildCrmRecord(prospectState) {
+  const leadScore = scoreLead(prospectState);
+  const name = prospectState.name || 'Prospecto WhatsApp';
+  const [firstName, ...lastNames] = name.trim().split(/\s+/);
+  const company = prospectState.companyInfo ? prospectState.companyInfo.razonSocial : (prospectState.company || null);
+
+  return {
+    // Datos básicos del prospecto
+    name,
+    firstName,
+    lastName: lastNames.join(' ') || null,
+    phone: `+${prospectState.phoneNumber}`,
+    phoneNumber: prospectState.phoneNumber,
+    email: prospectState.emails ? prospectState.emails[0] : null,
+    country: prospectState.country || null,
+    language: prospectState.language || null,
+
+    // Información de la empresa
+    company,
+    ruc: prospectState.companyInfo?.ruc || prospectState.ruc || null,
+    dealName: `${company || name} - WhatsApp`,
+
+    // Datos de calificación
+    conversationState: prospectState.conversationState || null,
+    prospectType: prospectState.prospectType || null,
+    qualificationAnswers: prospectState.qualificationAnswers || {},
+    interestScore: prospectState.interestAnalysis ? prospectState.interestAnalysis.interestScore : null,
+    leadScore: leadScore.score,
+    leadTier: leadScore.tier,
+    leadScoreBreakdown: leadScore.breakdown,
+
+    // Datos de la cita (si existe)
+    appointmentDate: prospectState.appointmentDetails ? prospectState.appointmentDetails.date : null,
+    appointmentTime: prospectState.appointmentDetails ? prospectState.appointmentDetails.time : null,
+    appointmentStart: prospectState.appointmentDetails ? prospectState.appointmentDetails.startTime || null : null,
+    appointmentStatus: prospectState.appointmentDetails ? prospectState.appointmentDetails.status || null : null,
+    appointmentLink: prospectState.appointmentDetails ? prospectState.appointmentDetails.meetLink : null,
+
+    // Vendedor a cargo
+    ownerName: prospectState.assignedSeller ? prospectState.assignedSeller.name : null,
+    ownerEmail: prospectState.assignedSeller ? prospectState.assignedSeller.email : null,
+
+    // Consentimiento
+    doNotContact: Boolean(prospectState.optedOut),
+
+    // Metadatos
+    source: 'whatsapp_bot',
+    campaignType: prospectState.campaignType || 'unknown',
+    campaign: prospectState.campaign || null,
+
+    // Anuncio del que vino el prospecto (Click-to-WhatsApp)
+    adId: prospectState.adAttribution ? prospectState.adAttribution.adId : null,
+    adHeadline: prospectState.adAttribution ? prospectState.adAttribution.headline : null,
+    adPlatform: prospectState.adAttribution ? prospectState.adAttribution.platform : null,
+    adSourceUrl: prospectState.adAttribution ? prospectState.adAttribution.sourceUrl : null,
+    ctwaClid: prospectState.adAttribution ? prospectState.adAttribution.ctwaClid : null,
+    utm: prospectState.adAttribution ? prospectState.adAttribution.utm : {},
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Nombre del estado de la conversación para los títulos de las notas
+ * @param {string} conversationState - Estado
+ * @returns {string}
+ */
+function getStateLabel(conversationState) {
+  const state = CONVERSATION_MACHINE.states[conversationState];
+  return state ? state.label : conversationState;
+}
+
+/**
+ * Transcripción de la conversación para una nota del CRM
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Date|string} since - Solo los mensajes posteriores a esta fecha (opcional)
+ * @returns {Promise<string>} - Texto de la transcripción (vacío si no hay mensajes nuevos)
+ */
+async function getTranscriptText(phoneNumber, since = null) {
+  const messages = (await messageStore.getTranscript(phoneNumber, { since }))
+    .filter(message => !since || new Date(message.timestamp) > new Date(since));
+  return messageStore.formatTranscript(messages);
+}
+
+/**
+ * Agrega una nota con la transcripción de la conversación
+ *
+ * Un error al crear la nota no anula lo ya creado en el CRM: se registra y los
+ * mensajes quedan para la próxima nota.
+ * @param {BaseCrmAdapter} adapter - Conector del CRM
+ * @param {Object} target - { contactId, dealId }
+ * @param {string} title - Título de la nota
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Date|string} since - Solo los mensajes posteriores a esta fecha (opcional)
+ * @returns {Promise<Date|null>} - Fecha hasta la que quedaron los mensajes en notas, o null si no se agregó
+ */
+async function addTranscriptNote(adapter, target, title, phoneNumber, since = null) {
+  try {
+    const syncedAt = new Date();
+    const transcript = await getTranscriptText(phoneNumber, since);
+    if (!transcript) {
+      return null;
+    }
+
+    await adapter.addNote(target, title, transcript);
+    return syncedAt;
+  } catch (error) {
+    logger.error(`Error al agregar la nota de la conversación de ${phoneNumber} en el CRM:`, error);
+    return null;
+  }
+}
+
+/**
+ * Envía un prospecto al CRM: empresa, contacto, negocio y nota con la transcripción
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Promise<Object>} - Resultado con los IDs creados en el CRM
  */
 async function sendProspectToCRM(prospectState) {
   try {
@@ -12,65 +144,47 @@ async function sendProspectToCRM(prospectState) {
     if (!prospectState.phoneNumber) {
       throw new Error('El prospecto no tiene número de teléfono');
     }
-    
-    // Preparar datos para el CRM
-    const crmData = {
-      // Datos básicos del prospecto
-      name: prospectState.name || 'Prospecto WhatsApp',
-      phone: prospectState.phoneNumber,
-      email: prospectState.emails ? prospectState.emails[0] : null,
-      
-      // Información de la empresa
-      company: prospectState.companyInfo ? prospectState.companyInfo.razonSocial : null,
-      ruc: prospectState.companyInfo ? prospectState.companyInfo.ruc : null,
-      
-      // Datos de calificación
-      qualificationAnswers: prospectState.qualificationAnswers || {},
-      interestScore: prospectState.interestAnalysis ? prospectState.interestAnalysis.interestScore : null,
-      
-      // Datos de la cita (si existe)
-      appointmentDate: prospectState.appointmentDetails ? prospectState.appointmentDetails.date : null,
-      appointmentTime: prospectState.appointmentDetails ? prospectState.appointmentDetails.time : null,
-      appointmentLink: prospectState.appointmentDetails ? prospectState.appointmentDetails.meetLink : null,
-      
-      // Metadatos
-      source: 'whatsapp_bot',
-      campaignType: prospectState.campaignType || 'unknown',
-      createdAt: new Date().toISOString()
-    };
-    
-    // Enviar datos al CRM
-    // Nota: Reemplazar con la URL real de tu CRM
-    const response = await axios.post(
-      process.env.CRM_API_URL || 'https://api.tucrm.com/leads',
-      crmData,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.CRM_API_KEY || ''}`
-        }
-      }
+
+    const adapter = getCrmAdapter();
+    if (!adapter) {
+      return {
+        success: false,
+        skipped: true,
+        message: 'No hay un CRM configurado (CRM_PROVIDER)'
+      };
+    }
+
+    const record = buildCrmRecord(prospectState);
+    const stage = adapter.getDealStage(prospectState.conversationState);
+
+    const companyId = await adapter.upsertCompany(record);
+    const contactId = await adapter.upsertContact(record, { companyId });
+    const dealId = await adapter.createDeal(record, { contactId, companyId, stage });
+
+    // Con el negocio creado, los IDs se devuelven aunque falle la nota para no duplicarlo
+    const notesSyncedAt = await addTranscriptNote(
+      adapter,
+      { contactId, dealId },
+      `Conversación de WhatsApp (${getStateLabel(prospectState.conversationState)})`,
+      prospectState.phoneNumber
     );
-    
-    logger.info(`Prospecto enviado al CRM: ${prospectState.phoneNumber}`);
-    
+
+    logger.info(`Prospecto enviado a ${adapter.name}: ${prospectState.phoneNumber} (contacto ${contactId}, negocio ${dealId})`);
+
     return {
       success: true,
-      crmId: response.data.id || null,
+      crmId: contactId,
+      crmCompanyId: companyId,
+      crmDealId: dealId,
+      crmStage: stage,
+      crmProvider: adapter.name,
+      crmSyncedAt: new Date(),
+      crmNotesSyncedAt: notesSyncedAt,
       message: 'Prospecto enviado al CRM correctamente'
     };
   } catch (error) {
     logger.error('Error al enviar prospecto al CRM:', error);
-    
-    // Si estamos en modo de desarrollo o prueba, simular respuesta exitosa
-    if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test') {
-      return {
-        success: true,
-        crmId: `mock-crm-id-${Date.now()}`,
-        message: 'Prospecto simulado en modo desarrollo'
-      };
-    }
-    
+
     return {
       success: false,
       error: error.message,
@@ -79,9 +193,72 @@ async function sendProspectToCRM(prospectState) {
   }
 }
 
+/**
+ * Sincroniza el prospecto con el CRM tras un cambio del estado de la conversación
+ *
+ * Crea el prospecto al llegar a uno de los estados de createOnStates y, si ya tiene
+ * negocio, lo mueve a la etapa del nuevo estado con una nota de los mensajes nuevos.
+ * Los errores se registran pero no interrumpen la conversación.
+ * @param {Object} prospectState - Estado del prospecto (con el nuevo estado de la conversación)
+ * @returns {Promise<Object|null>} - Campos del CRM a guardar en el prospecto, o null si no hubo cambios
+ */
+async function syncProspectWithCRM(prospectState) {
+  try {
+    const adapter = getCrmAdapter();
+    if (!adapter) {
+      return null;
+    }
+
+    const { conversationState } = prospectState;
+
+    if (!prospectState.crmId) {
+      if (!getCrmConfig().createOnStates.includes(conversationState)) {
+        return null;
+      }
+
+      const result = await sendProspectToCRM(prospectState);
+      if (!result.success) {
+        return null;
+      }
+
+      const { crmId, crmCompanyId, crmDealId, crmStage, crmProvider, crmSyncedAt, crmNotesSyncedAt } = result;
+      return { crmId, crmCompanyId, crmDealId, crmStage, crmProvider, crmSyncedAt, crmNotesSyncedAt };
+    }
+
+    const stage = adapter.getDealStage(conversationState);
+    if (!prospectState.crmDealId || stage === null || stage === prospectState.crmStage) {
+      return null;
+    }
+
+    await adapter.updateDealStage(prospectState.crmDealId, stage);
+
+    const notesSyncedAt = await addTranscriptNote(
+      adapter,
+      { contactId: prospectState.crmId, dealId: prospectState.crmDealId },
+      `WhatsApp: ${getStateLabel(conversationState)}`,
+      prospectState.phoneNumber,
+      prospectState.crmNotesSyncedAt
+    );
+
+    logger.info(`Negocio ${prospectState.crmDealId} de ${prospectState.phoneNumber} movido a la etapa ${stage} en ${adapter.name}`);
+
+    return {
+      crmStage: stage,
+      crmSyncedAt: new Date(),
+      crmNotesSyncedAt: notesSyncedAt || prospectState.crmNotesSyncedAt || null
+    };
+  } catch (error) {
+    logger.error(`Error al sincronizar el prospecto ${prospectState.phoneNumber} con el CRM:`, error);
+    return null;
+  }
+}
+
 /**
  * Actualiza un prospecto en el CRM
- * @param {string} crmId - ID del prospecto en el CRM
+ *
+ * Solo se envían los datos que tienen un campo del contacto en la configuración
+ * del CRM (fields.contact), además del correo.
+ * @param {string} crmId - ID del contacto en el CRM
  * @param {Object} updateData - Datos a actualizar
  * @returns {Promise<Object>} - Respuesta del CRM
  */
@@ -91,46 +268,86 @@ async function updateProspectInCRM(crmId, updateData) {
     if (!crmId) {
       throw new Error('No se proporcionó un ID de CRM');
     }
-    
-    // Enviar datos al CRM
-    // Nota: Reemplazar con la URL real de tu CRM
-    const response = await axios.put(
-      `${process.env.CRM_API_URL || 'https://api.tucrm.com/leads'}/${crmId}`,
-      updateData,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.CRM_API_KEY || ''}`
-        }
-      }
-    );
-    
-    logger.info(`Prospecto actualizado en el CRM: ${crmId}`);
-    
+
+    const adapter = getCrmAdapter();
+    if (!adapter) {
+      return {
+        success: false,
+        skipped: true,
+        message: 'No hay un CRM configurado (CRM_PROVIDER)'
+      };
+    }
+
+    const updated = await adapter.updateContact(crmId, updateData);
+    if (updated) {
+      logger.info(`Prospecto actualizado en el CRM: ${crmId}`);
+    }
+
     return {
       success: true,
-      message: 'Prospecto actualizado en el CRM correctamente'
+      updated,
+      message: updated
+        ? 'Prospecto actualizado en el CRM correctamente'
+        : 'Ningún dato tiene un campo configurado en el CRM'
     };
   } catch (error) {
     logger.error(`Error al actualizar prospecto en el CRM (${crmId}):`, error);
-    
-    // Si estamos en modo de desarrollo o prueba, simular respuesta exitosa
-    if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test') {
+
+    return {
+      success: false,
+      error: error.message,
+      message: 'No se pudo actualizar el prospecto en el CRM'
+    };
+  }
+}
+
+/**
+ * Elimina un prospecto del CRM (supresión de datos solicitada por el prospecto)
+ * @param {string} crmId - ID del contacto en el CRM
+ * @param {Object} options - { dealId }: negocio del prospecto, que también se elimina
+ * @returns {Promise<Object>} - Respuesta del CRM
+ */
+async function deleteProspectFromCRM(crmId, { dealId = null } = {}) {
+  try {
+    if (!crmId) {
+      throw new Error('No se proporcionó un ID de CRM');
+    }
+
+    const adapter = getCrmAdapter();
+    if (!adapter) {
       return {
-        success: true,
-        message: 'Prospecto simulado actualizado en modo desarrollo'
+        success: false,
+        skipped: true,
+        message: 'No hay un CRM configurado (CRM_PROVIDER)'
       };
     }
-    
+
+    if (dealId) {
+      await adapter.deleteDeal(dealId);
+    }
+    await adapter.deleteContact(crmId);
+
+    logger.info(`Prospecto eliminado del CRM: ${crmId}`);
+
+    return {
+      success: true,
+      message: 'Prospecto eliminado del CRM correctamente'
+    };
+  } catch (error) {
+    logger.error(`Error al eliminar prospecto del CRM (${crmId}):`, error);
+
     return {
       success: false,
       error: error.message,
-      message: 'No se pudo actualizar el prospecto en el CRM'
+      message: 'No se pudo eliminar el prospecto del CRM'
     };
   }
 }
 
 module.exports = {
+  buildCrmRecord,
   sendProspectToCRM,
-  updateProspectInCRM
-}; 
\ No newline at end of file
+  syncProspectWithCRM,
+  updateProspectInCRM,
+  deleteProspectFromCRM
+};
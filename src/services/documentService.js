@@ -0,0 +1,338 @@
+const fs = require('fs');
+const { analyzeImage, generateOpenAIResponse } = require('./openaiService');
+const { t } = require('./languageService');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de lectura de imágenes y documentos que envían los prospectos
+ *
+ * Extrae de una foto (tarjeta de presentación, firma de correo) o de un documento
+ * (PDF, lista de flota en texto o CSV) el nombre, la empresa, el cargo, el RUC, el
+ * correo, el teléfono y el tamaño de la flota. Las imágenes se leen con el modelo
+ * de visión de OpenAI y los documentos con pdf-parse; además se buscan los datos
+ * con expresiones regulares, así que sin OpenAI se reconocen al menos correo,
+ * teléfono, RUC, razón social y flota.
+ */
+
+// Datos que se extraen, en el orden en que se informan al prospecto
+const DOCUMENT_FIELDS = ['name', 'company', 'role', 'ruc', 'email', 'phone', 'fleetSize'];
+
+// Datos que se pasan al flujo como si el prospecto los hubiera escrito
+const MESSAGE_FIELDS = ['fleetSize', 'email', 'phone'];
+
+// Valores que usan los flujos cuando no conocen el nombre o la empresa
+const UNKNOWN_VALUES = ['Desconocido', 'Desconocida'];
+
+// Máximo de caracteres del documento que se envían a OpenAI
+const MAX_TEXT_LENGTH = 8000;
+
+// Mínimo de placas distintas para tomar un documento como lista de flota
+const MIN_FLEET_PLATES = 3;
+
+const PATTERNS = {
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/,
+  ruc: /\b(?:10|15|17|20)\d{9}\b/,
+  phone: /\+?\d[\d\s().-]{7,18}\d/g,
+  fleetSize: [
+    /\b(\d{1,5})\s*(?:unidades|camiones|veh[ií]culos|caminh[õo]es|trucks|vehicles|units)\b/i,
+    /\b(?:flota|frota|fleet)\b[^\d\n]{0,20}(\d{1,5})\b/i
+  ],
+  // Placas de Perú (ABC-123, A1B-234) y de Brasil (ABC-1234, ABC1D23)
+  plate: /\b(?:[A-Z]{3}-?\d{3,4}|[A-Z]\d[A-Z]-?\d{3}|[A-Z]{3}\d[A-Z]\d{2})\b/g,
+  // Razón social terminada en la forma societaria
+  company: /\b(?:S\.?\s?A\.?\s?C\.?|S\.?\s?R\.?\s?L\.?|E\.?\s?I\.?\s?R\.?\s?L\.?|S\.?\s?A\.?|LTDA\.?|LLC|INC\.?|CORP\.?)\s*$/i
+};
+
+const EXTRACTION_FIELDS = `{
+  "text": string, // Todo el texto legible, tal cual (solo en imágenes)
+  "name": string | null, // Nombre de la persona
+  "company": string | null, // Empresa o razón social
+  "role": string | null, // Cargo de la persona
+  "ruc": string | null, // RUC o número de identificación tributaria
+  "email": string | null,
+  "phone": string | null,
+  "fleetSize": number | null // Cantidad de vehículos de la flota (por ejemplo, las placas de una lista)
+}`;
+
+const IMAGE_PROMPT = `Esta imagen la envió un prospecto interesado en nuestro sistema de control de fatiga y somnolencia para flotas. Puede ser una tarjeta de presentación, una firma de correo, una lista de vehículos u otra cosa.
+
+Lee la imagen y responde ÚNICAMENTE con un objeto JSON con esta estructura exacta (null en los datos que no aparezcan, sin inventarlos):
+${EXTRACTION_FIELDS}`;
+
+/**
+ * Indica si un valor del prospecto falta o es un marcador de desconocido
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || UNKNOWN_VALUES.includes(value);
+}
+
+/**
+ * Valida y limpia los datos extraídos; descarta los que no tienen un formato válido
+ * @param {Object} data - Datos extraídos
+ * @returns {Object} - Solo los datos válidos
+ */
+function normalizeData(data = {}) {
+  const normalized = {};
+
+  for (const field of DOCUMENT_FIELDS) {
+    const value = data[field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      continue;
+    }
+
+    const text = String(value).trim();
+    if (field === 'email') {
+      if (PATTERNS.email.test(text)) normalized.email = text.match(PATTERNS.email)[0].toLowerCase();
+    } else if (field === 'ruc') {
+      const digits = text.replace(/\D/g, '');
+      if (digits.length === 11) normalized.ruc = digits;
+    } else if (field === 'phone') {
+      const digits = text.replace(/\D/g, '');
+      if (digits.length >= 9 && digits.length <= 15) normalized.phone = `${text.startsWith('+') ? '+' : ''}${digits}`;
+    } else if (field === 'fleetSize') {
+      const size = parseInt(text, 10);
+      if (size > 0) normalized.fleetSize = size;
+    } else {
+      normalized[field] = text;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Busca los datos del prospecto en un texto con expresiones regulares
+ * @param {string} text - Texto de la imagen o del documento
+ * @returns {Object} - Datos encontrados (ver DOCUMENT_FIELDS)
+ */
+function extractProspectData(text) {
+  const content = String(text || '');
+  const data = {};
+
+  const email = content.match(PATTERNS.email);
+  if (email) data.email = email[0];
+
+  const ruc = content.match(PATTERNS.ruc);
+  if (ruc) data.ruc = ruc[0];
+
+  // El primer número con largo de teléfono que no sea el RUC
+  const phone = (content.match(PATTERNS.phone) || []).find(candidate => {
+    const digits = candidate.replace(/\D/g, '');
+    return digits.length >= 9 && digits.length <= 15 && digits !== data.ruc;
+  });
+  if (phone) data.phone = phone.trim();
+
+  const company = content.split(/\r?\n/).map(line => line.trim()).find(line => line.length <= 80 && PATTERNS.company.test(line));
+  if (company) data.company = company;
+
+  // Una lista de placas indica el tamaño de la flota; si no, se busca "25 unidades"
+  const plates = new Set((content.match(PATTERNS.plate) || []).map(plate => plate.replace('-', '')));
+  const fleetMatch = PATTERNS.fleetSize.map(pattern => content.match(pattern)).find(Boolean);
+  if (plates.size >= MIN_FLEET_PLATES) {
+    data.fleetSize = plates.size;
+  } else if (fleetMatch) {
+    data.fleetSize = fleetMatch[1];
+  }
+
+  return normalizeData(data);
+}
+
+/**
+ * Carga pdf-parse de forma diferida (solo se necesita para documentos PDF)
+ * @returns {Function}
+ */
+function loadPdfParser() {
+  try {
+    // Se requiere el archivo interno para evitar el modo de prueba del index de pdf-parse
+    return require('pdf-parse/lib/pdf-parse.js');
+  } catch (error) {
+    throw new Error('Para leer documentos PDF instala pdf-parse (npm install pdf-parse)');
+  }
+}
+
+/**
+ * Obtiene el texto de un documento (PDF o texto plano, como una lista en CSV)
+ * @param {string} filePath - Ruta del documento
+ * @returns {Promise<string>} - Texto del documento
+ */
+async function readDocumentText(filePath) {
+  const buffer = fs.readFileSync(filePath);
+
+  if (buffer.subarray(0, 5).toString() === '%PDF-') {
+    const { text } = await loadPdfParser()(buffer);
+    return text || '';
+  }
+
+  // Sin bytes nulos se trata como texto (los transportes guardan todo documento como .pdf)
+  if (!buffer.subarray(0, 4096).includes(0)) {
+    return buffer.toString('utf8');
+  }
+
+  throw new Error('Formato de documento no soportado');
+}
+
+/**
+ * Extrae los datos del prospecto del texto de un documento con OpenAI
+ * @param {string} text - Texto del documento
+ * @returns {Promise<Object>} - Datos extraídos (vacío si OpenAI no responde)
+ */
+async function analyzeDocumentText(text) {
+  try {
+    const response = await generateOpenAIResponse({
+      role: 'system',
+      content: `Este documento lo envió un prospecto interesado en nuestro sistema de control de fatiga y somnolencia para flotas.
+
+Texto del documento:
+"""
+${text.substring(0, MAX_TEXT_LENGTH)}
+"""
+
+Responde ÚNICAMENTE con un objeto JSON con esta estructura exacta (null en los datos que no aparezcan, sin inventarlos):
+${EXTRACTION_FIELDS}`
+    });
+
+    return JSON.parse(response);
+  } catch (error) {
+    logger.warn(`No se pudo analizar el documento con OpenAI: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Lee una imagen o un documento recibido y extrae los datos del prospecto
+ *
+ * Nunca lanza errores: si el archivo no se puede leer devuelve datos vacíos.
+ * El archivo temporal se elimina después de leerlo.
+ * @param {string} filePath - Ruta del archivo descargado por el transporte
+ * @param {string} type - image | document
+ * @param {Object} options - Opciones
+ * @param {string} options.mimetype - Tipo MIME informado por WhatsApp (image/png, image/webp...)
+ * @returns {Promise<Object>} - { text, data }
+ */
+async function processDocumentMessage(filePath, type, { mimetype = null } = {}) {
+  if (!filePath) {
+    return { text: '', data: {} };
+  }
+
+  try {
+    let text;
+    let aiData;
+
+    if (type === 'image') {
+      const result = await analyzeImage(filePath, IMAGE_PROMPT, mimetype ? { mimetype } : {});
+      text = result.text || '';
+      aiData = result;
+    } else {
+      text = await readDocumentText(filePath);
+      aiData = text.trim() ? await analyzeDocumentText(text) : {};
+    }
+
+    // Lo que reconoce OpenAI tiene prioridad sobre las expresiones regulares
+    const data = { ...extractProspectData(text), ...normalizeData(aiData) };
+    logger.info(`Datos extraídos del archivo (${type}): ${JSON.stringify(data)}`);
+
+    return { text, data };
+  } catch (error) {
+    logger.error(`Error al leer el archivo ${filePath}:`, error.message);
+    return { text: '', data: {} };
+  } finally {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (error) {
+      logger.warn(`No se pudo eliminar el archivo temporal: ${filePath}`);
+    }
+  }
+}
+
+/**
+ * Incorpora al estado del prospecto los datos extraídos de un archivo
+ *
+ * Solo se completan los datos que faltan: lo que el prospecto ya escribió no se
+ * reemplaza. Todo lo extraído queda además en documentData.
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} data - Datos extraídos (ver processDocumentMessage)
+ * @returns {Object} - Nuevo estado del prospecto
+ */
+function mergeDocumentData(prospectState, data = {}) {
+  const updates = {};
+  for (const field of DOCUMENT_FIELDS) {
+    if (data[field] !== undefined && isMissing(prospectState[field])) {
+      updates[field] = data[field];
+    }
+  }
+
+  if (Object.keys(data).length === 0) {
+    return prospectState;
+  }
+
+  // El CRM, las hojas de cálculo y las invitaciones leen el correo de la lista emails
+  if (data.email && !(prospectState.emails && prospectState.emails.length > 0)) {
+    updates.emails = [data.email];
+  }
+
+  return {
+    ...prospectState,
+    ...updates,
+    documentData: { ...prospectState.documentData, ...data, receivedAt: new Date() }
+  };
+}
+
+/**
+ * Mensaje que confirma al prospecto los datos que se tomaron del archivo
+ * @param {Object} data - Datos extraídos
+ * @param {string} type - image | document
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string} - Confirmación o aviso de que no se encontraron datos
+ */
+function buildAcknowledgement(data, type, prospectState) {
+  const document = t(type === 'image' ? 'documents.image' : 'documents.document', prospectState);
+  const details = describeData(data, prospectState);
+
+  if (!details) {
+    return t('documents.nothingFound', prospectState, { document });
+  }
+
+  return t('documents.understood', prospectState, { document, details });
+}
+
+/**
+ * Describe los datos extraídos ("nombre Ana, empresa Transportes Sur S.A.C.")
+ * @param {Object} data - Datos extraídos
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string}
+ */
+function describeData(data, prospectState) {
+  return DOCUMENT_FIELDS
+    .filter(field => data[field] !== undefined)
+    .map(field => t(`documents.fields.${field}`, prospectState, { value: data[field] }))
+    .join(', ');
+}
+
+/**
+ * Texto que recibe el flujo con los datos del archivo, como si el prospecto los
+ * hubiera escrito ("Tenemos 25 unidades, mi correo es ..."), para que la pregunta
+ * pendiente los reconozca. Si solo hay nombre, empresa o cargo se pasan descritos.
+ * @param {Object} data - Datos extraídos
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string} - Texto vacío si no se extrajo nada
+ */
+function buildDocumentMessage(data, prospectState) {
+  const message = MESSAGE_FIELDS
+    .filter(field => data[field] !== undefined)
+    .map(field => t(`documents.asMessage.${field}`, prospectState, { value: data[field] }))
+    .join(', ');
+
+  return message || describeData(data, prospectState);
+}
+
+module.exports = {
+  DOCUMENT_FIELDS,
+  extractProspectData,
+  readDocumentText,
+  processDocumentMessage,
+  mergeDocumentData,
+  buildAcknowledgement,
+  buildDocumentMessage
+};
@@ -0,0 +1,266 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { forEachProspect, findProspect, setProspectFields, recordMessage } = require('../whatsappHandler');
+const { getActiveTransport } = require('../whatsapp/transports');
+const { isDoNotContact } = require('./consentService');
+const { STATES } = require('../config/conversationStates');
+const { t } = require('./languageService');
+const { getApprovedTemplate, renderApprovedTemplate, isWithinServiceWindow } = require('./whatsappTemplateService');
+
+/**
+ * Servicio de seguimiento automático de prospectos inactivos
+ *
+ * Revisa periódicamente los prospectos que dejaron de responder en los estados
+ * configurados y les envía una secuencia de mensajes de recordatorio, solo en
+ * horario laboral de su zona horaria. Por la Cloud API, fuera de la ventana de
+ * 24 horas se envía la plantilla aprobada followUp.<estado> (ver whatsappTemplateService).
+ */
+
+// Expresión cron con la frecuencia de revisión (por defecto, cada 15 minutos)
+const FOLLOW_UP_CRON = process.env.FOLLOW_UP_CRON || '*/15 * * * *';
+
+// Horas de inactividad antes de cada mensaje de la secuencia
+const FOLLOW_UP_DELAYS_HOURS = (process.env.FOLLOW_UP_DELAYS_HOURS || '4,24,72')
+  .split(',')
+  .map(value => parseFloat(value.trim()))
+  .filter(value => !isNaN(value) && value > 0);
+
+// Horario laboral en la zona horaria del prospecto
+const BUSINESS_HOURS = {
+  start: parseInt(process.env.FOLLOW_UP_START_HOUR || '9', 10),
+  end: parseInt(process.env.FOLLOW_UP_END_HOUR || '19', 10),
+  // Días ISO (1 = lunes ... 7 = domingo)
+  days: (process.env.FOLLOW_UP_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day, 10))
+};
+
+// Estados con secuencia de seguimiento; los mensajes de cada paso están en
+// src/config/locales/<idioma>.json (followUp.<estado>)
+const FOLLOW_UP_STATES = [STATES.INITIAL_QUALIFICATION, STATES.INVITATION, STATES.CHECKOUT];
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Verifica si la fecha está dentro del horario laboral del prospecto
+ * @param {Object} prospect - Estado del prospecto
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(prospect, now = new Date()) {
+  const localTime = moment(now).tz(prospect.timezone || 'America/Lima');
+  const hour = localTime.hour();
+
+  return BUSINESS_HOURS.days.includes(localTime.isoWeekday()) &&
+         hour >= BUSINESS_HOURS.start &&
+         hour < BUSINESS_HOURS.end;
+}
+
+/**
+ * Obtiene el mensaje de seguimiento que corresponde enviar, si alguno
+ * @param {Object} prospect - Estado del prospecto
+ * @param {Date} now - Fecha de referencia
+ * @returns {string|null} - Mensaje a enviar o null si no corresponde
+ */
+function getDueFollowUp(prospect, now = new Date()) {
+  if (!FOLLOW_UP_STATES.includes(prospect.conversationState) || prospect.botPaused || prospect.optedOut) {
+    return null;
+  }
+
+  // Quien no respondió a una campaña saliente no recibe seguimientos
+  if (prospect.broadcastId && !prospect.broadcastRepliedAt) {
+    return null;
+  }
+
+  const step = prospect.followUpCount || 0;
+  const messages = t(`followUp.${prospect.conversationState}`, prospect);
+  if (step >= FOLLOW_UP_DELAYS_HOURS.length || step >= messages.length) {
+    return null;
+  }
+
+  const lastMessageAt = prospect.lastProspectMessageAt || prospect.lastInteraction;
+  if (!lastMessageAt) {
+    return null;
+  }
+
+  const hoursSinceLastMessage = (now - new Date(lastMessageAt)) / (60 * 60 * 1000);
+  if (hoursSinceLastMessage < FOLLOW_UP_DELAYS_HOURS[step]) {
+    return null;
+  }
+
+  if (!isWithinBusinessHours(prospect, now)) {
+    return null;
+  }
+
+  return t(`followUp.${prospect.conversationState}.${step}`, prospect, {
+    greeting: prospect.name ? t('followUp.greetingWithName', prospect, { name: prospect.name }) : t('followUp.greeting', prospect),
+    nameLead: prospect.name ? t('followUp.nameLead', prospect, { name: prospect.name }) : ''
+  });
+}
+
+/**
+ * Envía el seguimiento a un prospecto y actualiza su estado
+ * @param {Object} prospect - Estado del prospecto
+ * @param {string} text - Mensaje a enviar
+ * @param {BaseTransport} transport - Transporte de WhatsApp
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<string>} - sent, skipped o failed
+ */
+async function sendFollowUp(prospect, text, transport, now = new Date()) {
+  const step = (prospect.followUpCount || 0) + 1;
+
+  // El registro de no contactar manda sobre el estado del prospecto
+  if (await isDoNotContact(prospect.phoneNumber)) {
+    logger.info(`Seguimiento omitido: ${prospect.phoneNumber} está en la lista de no contactar`);
+    return 'skipped';
+  }
+
+  // La Cloud API rechaza el texto libre fuera de la ventana de 24 horas
+  let whatsappTemplate = null;
+  if (transport.requiresApprovedTemplates && !isWithinServiceWindow(prospect, now)) {
+    const template = getApprovedTemplate(`followUp.${prospect.conversationState}`);
+    if (!template) {
+      // Se da el paso por hecho para no reintentarlo en cada revisión
+      logger.warn(`Seguimiento ${step} omitido para ${prospect.phoneNumber}: falta la plantilla aprobada followUp.${prospect.conversationState}`);
+      await setProspectFields(prospect.phoneNumber, {
+        followUpCount: step,
+        followUpSkippedReason: 'no_approved_template'
+      });
+      return 'skipped';
+    }
+
+    whatsappTemplate = renderApprovedTemplate(template, {
+      name: prospect.name,
+      company: prospect.company,
+      segment: prospect.segment
+    }, prospect);
+  }
+
+  try {
+    if (whatsappTemplate) {
+      await transport.sendTemplate(prospect.phoneNumber, whatsappTemplate);
+    } else {
+      await transport.sendText(prospect.phoneNumber, text);
+    }
+    logger.logWhatsAppMessage('outgoing', prospect.phoneNumber, text);
+
+    // El texto del seguimiento se guarda como referencia también cuando se envía la plantilla aprobada
+    await recordMessage(prospect.phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      content: text,
+      conversationState: prospect.conversationState,
+      metadata: { followUp: step, whatsappTemplate: whatsappTemplate ? whatsappTemplate.name : null }
+    });
+
+    // Solo los campos del seguimiento, para no pisar una respuesta que llegue mientras tanto
+    await setProspectFields(prospect.phoneNumber, {
+      // Fijar la referencia de inactividad si el prospecto todavía no tenía una
+      ...(prospect.lastProspectMessageAt ? {} : { lastProspectMessageAt: prospect.lastInteraction }),
+      followUpCount: step,
+      lastFollowUpAt: new Date(),
+      lastResponse: text
+    });
+
+    logger.info(`Seguimiento ${step} enviado a ${prospect.phoneNumber} (${prospect.conversationState})`);
+    return 'sent';
+  } catch (error) {
+    logger.error(`Error al enviar seguimiento a ${prospect.phoneNumber}:`, error);
+    return 'failed';
+  }
+}
+
+/**
+ * Revisa los prospectos inactivos y envía los seguimientos pendientes
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - Resumen de la ejecución
+ */
+async function runFollowUps(now = new Date()) {
+  const summary = { checked: 0, sent: 0, skipped: 0 };
+
+  // Evitar ejecuciones simultáneas si una revisión tarda más que el intervalo
+  if (isRunning) {
+    return summary;
+  }
+
+  const transport = getActiveTransport();
+  if (!transport || !transport.isReady) {
+    logger.warn('Transporte de WhatsApp no disponible, se omiten los seguimientos');
+    return summary;
+  }
+
+  isRunning = true;
+  try {
+    for (const state of FOLLOW_UP_STATES) {
+      await forEachProspect({ state }, async prospect => {
+        summary.checked++;
+        if (!getDueFollowUp(prospect, now)) {
+          return;
+        }
+
+        // Releer el prospecto: pudo responder mientras se recorría su lote
+        const current = await findProspect(prospect.phoneNumber);
+        const text = current && getDueFollowUp(current, now);
+        if (!text) {
+          return;
+        }
+
+        const status = await sendFollowUp(current, text, transport, now);
+        if (status === 'sent') {
+          summary.sent++;
+        } else if (status === 'skipped') {
+          summary.skipped++;
+        }
+      });
+    }
+
+    if (summary.sent > 0) {
+      logger.info(`Seguimientos enviados: ${summary.sent} de ${summary.checked} prospectos revisados`);
+    }
+  } catch (error) {
+    logger.error('Error al ejecutar los seguimientos:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Programa la revisión periódica de seguimientos
+ * @returns {Object|null} - Tarea de node-cron
+ */
+function startFollowUpScheduler() {
+  if (process.env.FOLLOW_UP_ENABLED === 'false') {
+    logger.info('Seguimiento automático deshabilitado (FOLLOW_UP_ENABLED=false)');
+    return null;
+  }
+
+  if (!cron.validate(FOLLOW_UP_CRON)) {
+    logger.error(`Expresión cron inválida para los seguimientos: ${FOLLOW_UP_CRON}`);
+    return null;
+  }
+
+  scheduledTask = cron.schedule(FOLLOW_UP_CRON, () => runFollowUps());
+  logger.info(`Seguimiento automático programado (${FOLLOW_UP_CRON}, secuencia: ${FOLLOW_UP_DELAYS_HOURS.join('h, ')}h)`);
+
+  return scheduledTask;
+}
+
+/**
+ * Detiene la revisión periódica de seguimientos
+ */
+function stopFollowUpScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  isWithinBusinessHours,
+  getDueFollowUp,
+  runFollowUps,
+  startFollowUpScheduler,
+  stopFollowUpScheduler
+};
@@ -0,0 +1,229 @@
+const logger = require('../utils/logger');
+const { getActiveTransport } = require('../whatsapp/transports');
+const { getAssignedSeller } = require('./sellerService');
+const { STATES } = require('../config/conversationStates');
+const { t } = require('./languageService');
+const campaignFlow = require('../flows/campaignFlow');
+
+/**
+ * Servicio para el modo de atención humana (handoff)
+ *
+ * Cuando el prospecto pide hablar con una persona o el vendedor responde
+ * manualmente desde el teléfono, el bot deja de responder en esa conversación
+ * hasta que se reanuda con un comando o tras un periodo de inactividad del vendedor.
+ */
+
+// Estado de conversación mientras un humano atiende
+const HANDOFF_STATE = STATES.HUMAN_HANDOFF;
+
+// Minutos sin actividad del vendedor para que el bot retome la conversación
+const HANDOFF_IDLE_MINUTES = parseInt(process.env.HANDOFF_IDLE_MINUTES || '30', 10);
+
+// Comandos que el vendedor puede escribir en el chat desde el teléfono
+const HANDOFF_RESUME_COMMAND = (process.env.HANDOFF_RESUME_COMMAND || '#bot').toLowerCase();
+const HANDOFF_PAUSE_COMMAND = (process.env.HANDOFF_PAUSE_COMMAND || '#humano').toLowerCase();
+
+// Patrones para detectar que el prospecto quiere hablar con una persona
+// ("persona" sola solo cuenta tras "hablar con" o como "persona real": "necesito
+// una persona que controle la fatiga" no es un pedido de atención humana)
+const HUMAN_REQUEST_PATTERNS = [
+  /hablar con (una |un )?(persona|humano|asesor|vendedor|agente|ejecutivo)/i,
+  /(comunica|pasa|contacta)(me|r)? con (una |un )?(persona|humano|asesor|vendedor|agente|ejecutivo)/i,
+  /\b(quiero|prefiero|necesito) (una |un )?((humano|asesor|agente)( real)?|persona real)\b/i,
+  /eres (un )?(bot|robot|m[aá]quina)/i,
+  /atenci[oó]n (humana|personalizada)/i,
+  // Portugués
+  /falar com (uma |um )?(pessoa|humano|atendente|consultor|vendedor|agente)/i,
+  /\b(quero|prefiro|preciso de) (uma |um )?((humano|atendente)( de verdade| real)?|pessoa (de verdade|real))\b/i,
+  /voc[eê] [eé] (um )?(bot|rob[oô])/i,
+  /atendimento humano/i,
+  // Inglés
+  /(talk|speak|chat) (to|with) (a |an )?(person|human|agent|representative|salesperson|real person)/i,
+  /\b(want|need|prefer) (a |an )?((real )?(human|agent)|real person)\b/i,
+  /are you (a )?(bot|robot|machine)/i
+];
+
+/**
+ * Verifica si el mensaje es una solicitud de atención humana
+ * @param {string} message - Mensaje del prospecto
+ * @returns {boolean} - True si pide hablar con una persona
+ */
+function isHumanRequest(message) {
+  if (!message) return false;
+  return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Verifica si el vendedor escribió el comando para reactivar el bot
+ * @param {string} message - Mensaje enviado desde el teléfono del vendedor
+ * @returns {boolean}
+ */
+function isResumeCommand(message) {
+  return Boolean(message) && message.trim().toLowerCase() === HANDOFF_RESUME_COMMAND;
+}
+
+/**
+ * Verifica si el vendedor escribió el comando para pausar el bot
+ * @param {string} message - Mensaje enviado desde el teléfono del vendedor
+ * @returns {boolean}
+ */
+function isPauseCommand(message) {
+  return Boolean(message) && message.trim().toLowerCase() === HANDOFF_PAUSE_COMMAND;
+}
+
+/**
+ * Pone la conversación en modo de atención humana
+ *
+ * El cambio de estado pasa por la máquina de estados, que lo registra en el
+ * embudo y sincroniza el CRM (ver campaignFlow.transitionTo).
+ * @param {Object} prospectState - Estado actual del prospecto
+ * @param {string} reason - Motivo (human_request, vendor_reply, manual)
+ * @returns {Promise<Object>} - Nuevo estado
+ */
+async function startHandoff(prospectState, reason) {
+  const now = new Date();
+  const alreadyInHandoff = prospectState.conversationState === HANDOFF_STATE;
+
+  const pausedState = {
+    ...prospectState,
+    // Conservar el estado previo para retomar el flujo al reanudar
+    stateBeforeHandoff: alreadyInHandoff
+      ? prospectState.stateBeforeHandoff
+      : prospectState.conversationState || null,
+    botPaused: true,
+    botPausedAt: alreadyInHandoff && prospectState.botPausedAt ? prospectState.botPausedAt : now,
+    botPausedReason: reason,
+    lastHumanActivityAt: now
+  };
+
+  return campaignFlow.transitionTo(pausedState, HANDOFF_STATE, 'handoff');
+}
+
+/**
+ * Finaliza el modo de atención humana y devuelve la conversación al bot
+ * @param {Object} prospectState - Estado actual del prospecto
+ * @returns {Promise<Object>} - Nuevo estado
+ */
+async function endHandoff(prospectState) {
+  const newState = {
+    ...prospectState,
+    botPaused: false,
+    botPausedAt: null,
+    botPausedReason: null,
+    lastHumanActivityAt: null,
+    handoffEndedAt: new Date(),
+    stateBeforeHandoff: null
+  };
+
+  if (prospectState.conversationState !== HANDOFF_STATE) {
+    return newState;
+  }
+
+  // Sin estado previo la conversación vuelve a empezar con el siguiente mensaje
+  if (!prospectState.stateBeforeHandoff) {
+    return { ...newState, conversationState: null };
+  }
+
+  return campaignFlow.transitionTo(newState, prospectState.stateBeforeHandoff, 'resume');
+}
+
+/**
+ * Registra actividad del vendedor para extender la pausa
+ * @param {Object} prospectState - Estado actual del prospecto
+ * @returns {Object} - Nuevo estado
+ */
+function registerHumanActivity(prospectState) {
+  return {
+    ...prospectState,
+    lastHumanActivityAt: new Date()
+  };
+}
+
+/**
+ * Determina si el bot debe retomar la conversación por inactividad del vendedor
+ * Las pausas manuales desde la API no se reanudan automáticamente
+ * @param {Object} prospectState - Estado actual del prospecto
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean}
+ */
+function shouldAutoResume(prospectState, now = new Date()) {
+  if (!prospectState.botPaused || prospectState.botPausedReason === 'manual') {
+    return false;
+  }
+
+  const lastActivity = prospectState.lastHumanActivityAt || prospectState.botPausedAt;
+  if (!lastActivity) {
+    return true;
+  }
+
+  return now - new Date(lastActivity) >= HANDOFF_IDLE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Mensaje para el prospecto cuando pide hablar con una persona
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string}
+ */
+function getHandoffMessage(prospectState) {
+  const vendedorNombre = getAssignedSeller(prospectState).name;
+  const saludo = prospectState.name
+    ? t('handoff.greetingWithName', prospectState, { name: prospectState.name })
+    : t('handoff.greeting', prospectState);
+
+  return t('handoff.message', prospectState, { greeting: saludo, seller: vendedorNombre });
+}
+
+/**
+ * Notifica al vendedor que una conversación pasó a atención humana
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {string} reason - Motivo del handoff
+ * @returns {Promise<boolean>} - True si se envió la notificación
+ */
+async function notifyVendor(prospectState, reason) {
+  // Avisar al vendedor asignado; si no tiene teléfono, al número general de ventas
+  const vendorPhone = getAssignedSeller(prospectState).phone || (process.env.VENDEDOR_TELEFONO || '').replace(/\D/g, '');
+  const transport = getActiveTransport();
+
+  if (!vendorPhone || !transport || !transport.isReady) {
+    logger.warn(`No se pudo notificar al vendedor del handoff de ${prospectState.phoneNumber} (sin teléfono o transporte)`);
+    return false;
+  }
+
+  // No notificar al vendedor sobre su propio chat
+  if (vendorPhone === prospectState.phoneNumber) {
+    return false;
+  }
+
+  const reasonText = {
+    human_request: 'pidió hablar con una persona',
+    vendor_reply: 'recibió una respuesta manual desde el teléfono',
+    manual: 'fue pausada manualmente'
+  }[reason] || reason;
+
+  const prospectName = [prospectState.name, prospectState.company].filter(Boolean).join(' - ') || 'Prospecto';
+  const text = `🔔 ${prospectName} (+${prospectState.phoneNumber}) ${reasonText}.\n` +
+    `El bot está en pausa en esa conversación. Escribe ${HANDOFF_RESUME_COMMAND} en el chat para reactivarlo ` +
+    `(se reactivará solo tras ${HANDOFF_IDLE_MINUTES} minutos sin respuesta tuya).`;
+
+  try {
+    await transport.sendText(vendorPhone, text);
+    logger.info(`Vendedor notificado del handoff de ${prospectState.phoneNumber} (${reason})`);
+    return true;
+  } catch (error) {
+    logger.error('Error al notificar al vendedor del handoff:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  HANDOFF_STATE,
+  isHumanRequest,
+  isResumeCommand,
+  isPauseCommand,
+  startHandoff,
+  endHandoff,
+  registerHumanActivity,
+  shouldAutoResume,
+  getHandoffMessage,
+  notifyVendor
+};
@@ -0,0 +1,143 @@
+const { t } = require('./languageService');
+
+/**
+ * Servicio de mensajes interactivos (botones de respuesta rápida y listas)
+ *
+ * Los flujos devuelven "interactive" junto a su respuesta; el transporte lo envía
+ * como botones o lista si el canal lo permite y, si no, como texto con las
+ * opciones numeradas. La opción elegida (por su id, su número o su título) llega
+ * a los flujos en prospectState.selectedReply.
+ */
+
+// Límites de WhatsApp para los mensajes interactivos
+const LIMITS = {
+  buttons: 3,
+  buttonTitle: 20,
+  listButton: 20,
+  rows: 10,
+  rowTitle: 24,
+  rowDescription: 72,
+  sectionTitle: 24,
+  body: 1024
+};
+
+/**
+ * Recorta un texto al largo máximo permitido
+ * @param {string} text - Texto
+ * @param {number} max - Largo máximo
+ * @returns {string}
+ */
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Crea botones de respuesta rápida (hasta 3)
+ * @param {Array<Object>} options - [{ id, title }]
+ * @param {Object} prospectState - Estado del prospecto (para el idioma del texto alternativo)
+ * @returns {Object} - Mensaje interactivo
+ */
+function createButtons(options, prospectState = {}) {
+  return {
+    type: 'buttons',
+    options: options.slice(0, LIMITS.buttons).map(option => ({
+      id: String(option.id),
+      title: truncate(option.title, LIMITS.buttonTitle)
+    })),
+    hint: t('interactive.replyWithNumber', prospectState)
+  };
+}
+
+/**
+ * Crea una lista de opciones (hasta 10)
+ * @param {Array<Object>} options - [{ id, title, description }]
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} labels - { button, section } textos del botón que abre la lista y de la sección
+ * @returns {Object} - Mensaje interactivo
+ */
+function createList(options, prospectState = {}, labels = {}) {
+  return {
+    type: 'list',
+    button: truncate(labels.button, LIMITS.listButton),
+    section: truncate(labels.section, LIMITS.sectionTitle),
+    options: options.slice(0, LIMITS.rows).map(option => ({
+      id: String(option.id),
+      title: truncate(option.title, LIMITS.rowTitle),
+      description: option.description ? truncate(option.description, LIMITS.rowDescription) : undefined
+    })),
+    hint: t('interactive.replyWithNumber', prospectState)
+  };
+}
+
+/**
+ * Texto alternativo de un mensaje interactivo: las opciones numeradas
+ * @param {string} text - Texto de la respuesta
+ * @param {Object} interactive - Mensaje interactivo
+ * @returns {string}
+ */
+function renderInteractiveText(text, interactive) {
+  if (!interactive || !interactive.options || interactive.options.length === 0) {
+    return text;
+  }
+
+  const lines = interactive.options.map((option, index) =>
+    `${index + 1}. ${option.title}${option.description ? ` (${option.description})` : ''}`);
+
+  return [text, lines.join('\n'), interactive.hint].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Opciones que se guardan en el prospecto para reconocer su respuesta
+ * @param {Object} interactive - Mensaje interactivo
+ * @returns {Object|null} - { options: [{ id, title }], sentAt }
+ */
+function toPendingReply(interactive) {
+  if (!interactive || !interactive.options || interactive.options.length === 0) {
+    return null;
+  }
+
+  return {
+    options: interactive.options.map(option => ({ id: option.id, title: option.title })),
+    sentAt: new Date()
+  };
+}
+
+/**
+ * Reconoce la opción elegida por el prospecto
+ *
+ * Vale el id del botón o de la fila (si el canal lo envía), el número de la
+ * opción en el texto alternativo ("2") o su título escrito tal cual.
+ * @param {string} message - Texto del mensaje
+ * @param {Object} pendingReply - Opciones ofrecidas (ver toPendingReply)
+ * @param {string} replyId - Id de la opción elegida que envió el canal
+ * @returns {string|null} - Id de la opción o null
+ */
+function resolveReply(message, pendingReply, replyId = null) {
+  const options = (pendingReply && pendingReply.options) || [];
+  if (options.length === 0) {
+    return null;
+  }
+
+  if (replyId && options.some(option => option.id === replyId)) {
+    return replyId;
+  }
+
+  const text = String(message || '').trim().toLowerCase().replace(/[.)\s]+$/, '');
+  const number = /^\d{1,2}$/.test(text) ? parseInt(text, 10) : null;
+  if (number && number <= options.length) {
+    return options[number - 1].id;
+  }
+
+  const match = options.find(option => option.title.toLowerCase() === text);
+  return match ? match.id : null;
+}
+
+module.exports = {
+  LIMITS,
+  createButtons,
+  createList,
+  renderInteractiveText,
+  toPendingReply,
+  resolveReply
+};
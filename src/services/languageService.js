@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de idioma de las conversaciones (español, portugués e inglés)
+ *
+ * Detecta el idioma de cada prospecto por el texto de sus mensajes y, mientras
+ * no haya escrito lo suficiente, por el país de su número. Los textos fijos del
+ * bot están en src/config/locales/<idioma>.json y se obtienen con t().
+ */
+
+const SUPPORTED_LANGUAGES = ['es', 'pt', 'en'];
+
+const LOCALES_DIR = path.join(__dirname, '../config/locales');
+
+// Nombre de cada idioma para las instrucciones a OpenAI
+const LANGUAGE_NAMES = {
+  es: 'español',
+  pt: 'portugués de Brasil',
+  en: 'inglés'
+};
+
+// Países que no hablan español (el resto usa el idioma por defecto)
+const COUNTRY_LANGUAGE_MAP = {
+  'BR': 'pt', // Brasil
+  'PT': 'pt', // Portugal
+  'AO': 'pt', // Angola
+  'MZ': 'pt', // Mozambique
+  'US': 'en', // Estados Unidos
+  'CA': 'en', // Canadá
+  'GB': 'en', // Reino Unido
+  'IE': 'en', // Irlanda
+  'AU': 'en', // Australia
+  'NZ': 'en', // Nueva Zelanda
+  'ZA': 'en', // Sudáfrica
+  'JM': 'en', // Jamaica
+  'TT': 'en'  // Trinidad y Tobago
+};
+
+// Palabras frecuentes que solo aparecen en uno de los idiomas
+const LANGUAGE_WORDS = {
+  es: [
+    'hola', 'buenas', 'buenos', 'días', 'tardes', 'noches', 'soy', 'llamo', 'nombre', 'trabajo', 'tenemos',
+    'somos', 'gracias', 'sí', 'si', 'pero', 'quiero', 'quisiera', 'necesito', 'usted', 'ustedes', 'estoy',
+    'nuestra', 'nuestro', 'camiones', 'unidades', 'flota', 'el', 'los', 'las', 'del', 'y', 'con', 'una',
+    'también', 'cuántos', 'hay', 'mañana', 'bueno', 'vale', 'ahora', 'año', 'jefe', 'todavía', 'aún', 'qué',
+    'la', 'un', 'muy', 'primera', 'sería', 'así'
+  ],
+  pt: [
+    'olá', 'oi', 'bom', 'boa', 'noite', 'sou', 'chamo', 'meu', 'minha', 'nome', 'trabalho', 'temos',
+    'obrigado', 'obrigada', 'sim', 'não', 'quero', 'gostaria', 'preciso', 'você', 'vocês', 'estou', 'nossa',
+    'nosso', 'caminhões', 'caminhão', 'veículos', 'frota', 'os', 'e', 'com', 'uma', 'um', 'também',
+    'quantos', 'tem', 'amanhã', 'agora', 'tudo', 'bem', 'então', 'isso', 'é', 'na', 'ainda', 'muito',
+    'primeira', 'seria', 'assim'
+  ],
+  en: [
+    'hello', 'hi', 'hey', 'good', 'morning', 'afternoon', 'evening', "i'm", 'im', 'am', 'my', 'name', 'work',
+    'we', 'have', 'are', 'thanks', 'thank', 'you', 'yes', 'but', 'want', 'would', 'like', 'need', 'our',
+    'trucks', 'vehicles', 'fleet', 'the', 'and', 'with', 'an', 'also', 'how', 'many', 'there', 'tomorrow',
+    'sure', 'now', 'year', 'manager', 'company', 'from', 'at', 'is', 'of', 'for', 'it', 'this', 'that', 'not',
+    'first', 'time', 'use', 'system'
+  ]
+};
+
+// Letras y signos propios de cada idioma
+const LANGUAGE_CHARACTERS = {
+  es: /[ñ¿¡]/,
+  pt: /[ãõç]/
+};
+
+// Puntos mínimos para cambiar el idioma de un prospecto que ya tiene uno
+const SWITCH_MIN_SCORE = 2;
+
+// Palabras anteriores a una palabra clave en las que se busca una negación
+const NEGATION_WINDOW = 3;
+
+// Textos cargados por idioma
+const locales = {};
+
+// Expresiones de las palabras clave ya usadas
+const keywordPatterns = new Map();
+
+/**
+ * Idioma por defecto (DEFAULT_LANGUAGE o español)
+ * @returns {string}
+ */
+function getDefaultLanguage() {
+  const language = (process.env.DEFAULT_LANGUAGE || 'es').toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(language) ? language : 'es';
+}
+
+/**
+ * Normaliza un código de idioma ("pt-BR" -> "pt"); null si no está soportado
+ * @param {string} language - Código de idioma
+ * @returns {string|null}
+ */
+function normalizeLanguage(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Idioma que corresponde a un país
+ * @param {string} country - Código ISO del país
+ * @returns {string}
+ */
+function getLanguageForCountry(country) {
+  return COUNTRY_LANGUAGE_MAP[String(country || '').toUpperCase()] || getDefaultLanguage();
+}
+
+/**
+ * Detecta el idioma de un texto contando palabras y letras propias de cada idioma
+ * @param {string} text - Texto del prospecto
+ * @returns {Object} - { language (null si no es concluyente), score }
+ */
+function detectLanguage(text) {
+  const lowerText = String(text || '').toLowerCase();
+  const words = lowerText.match(/[a-záéíóúâêôãõàçñü']+/g) || [];
+  const scores = { es: 0, pt: 0, en: 0 };
+
+  for (const word of words) {
+    const matches = SUPPORTED_LANGUAGES.filter(language => LANGUAGE_WORDS[language].includes(word));
+    // Las palabras compartidas ("empresa" en es/pt) no ayudan a distinguir
+    if (matches.length === 1) {
+      scores[matches[0]] += 1;
+    }
+  }
+
+  for (const [language, pattern] of Object.entries(LANGUAGE_CHARACTERS)) {
+    if (pattern.test(lowerText)) {
+      scores[language] += 1;
+    }
+  }
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (best[1] === 0 || best[1] === second[1]) {
+    return { language: null, score: 0 };
+  }
+
+  return { language: best[0], score: best[1] - second[1] };
+}
+
+/**
+ * Determina el idioma del prospecto con su último mensaje
+ *
+ * Un idioma elegido manualmente (languageSource 'manual') no cambia. Si el prospecto
+ * aún no tiene idioma se usa el del mensaje o, si no es concluyente, el de su país;
+ * después solo cambia cuando el mensaje está claramente en otro idioma.
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {string} message - Mensaje del prospecto
+ * @returns {Object} - { language, languageSource }
+ */
+function resolveLanguage(prospectState, message) {
+  const current = normalizeLanguage(prospectState.language);
+  if (current && prospectState.languageSource === 'manual') {
+    return { language: current, languageSource: 'manual' };
+  }
+
+  const detected = detectLanguage(message);
+
+  if (!current) {
+    return detected.language
+      ? { language: detected.language, languageSource: 'message' }
+      : { language: getLanguageForCountry(prospectState.country), languageSource: 'country' };
+  }
+
+  if (detected.language && detected.language !== current && detected.score >= SWITCH_MIN_SCORE) {
+    return { language: detected.language, languageSource: 'message' };
+  }
+
+  // Un mensaje en el idioma que ya se suponía por el país lo confirma
+  if (detected.language === current && prospectState.languageSource === 'country') {
+    return { language: current, languageSource: 'message' };
+  }
+
+  return { language: current, languageSource: prospectState.languageSource || 'message' };
+}
+
+/**
+ * Idioma de un prospecto (o el de su país si todavía no escribió)
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string}
+ */
+function getProspectLanguage(prospectState = {}) {
+  return normalizeLanguage(prospectState.language) || getLanguageForCountry(prospectState.country);
+}
+
+/**
+ * Carga los textos de un idioma
+ * @param {string} language - Código de idioma
+ * @returns {Object}
+ */
+function getLocale(language) {
+  if (!locales[language]) {
+    try {
+      locales[language] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${language}.json`), 'utf8'));
+    } catch (error) {
+      logger.error(`No se pudieron cargar los textos en ${language}:`, error.message);
+      locales[language] = {};
+    }
+  }
+  return locales[language];
+}
+
+/**
+ * Busca una clave con puntos ("greeting.welcome") en los textos de un idioma
+ * @param {string} language - Código de idioma
+ * @param {string} key - Clave del texto
+ * @returns {*}
+ */
+function lookup(language, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), getLocale(language));
+}
+
+/**
+ * Texto del bot en el idioma indicado, con los valores reemplazados
+ *
+ * Si falta en ese idioma se usa el texto en español.
+ * @param {string} key - Clave del texto ("greeting.welcome")
+ * @param {Object|string} prospectOrLanguage - Estado del prospecto o código de idioma
+ * @param {Object} values - Valores para {campo}
+ * @returns {string|Array} - Texto (o lista de textos, como las palabras clave)
+ */
+function t(key, prospectOrLanguage, values = {}) {
+  const language = typeof prospectOrLanguage === 'string'
+    ? normalizeLanguage(prospectOrLanguage) || getDefaultLanguage()
+    : getProspectLanguage(prospectOrLanguage);
+
+  let text = lookup(language, key);
+  if (text === undefined) {
+    text = lookup('es', key);
+  }
+  if (text === undefined) {
+    logger.warn(`Texto sin traducir: ${key}`);
+    return key;
+  }
+
+  return typeof text === 'string' ? formatText(text, values) : text;
+}
+
+/**
+ * Reemplaza los valores {campo} de un texto (los que faltan quedan vacíos)
+ * @param {string} text - Texto con valores
+ * @param {Object} values - Valores para {campo}
+ * @returns {string}
+ */
+function formatText(text, values = {}) {
+  return String(text).replace(/\{(\w+)\}/g, (match, field) => (values[field] !== undefined && values[field] !== null ? String(values[field]) : ''));
+}
+
+/**
+ * Elige la versión de un valor traducible ({ es, pt, en }) en el idioma indicado
+ * @param {*} value - Texto fijo o valor por idioma
+ * @param {string} language - Código de idioma
+ * @returns {*}
+ */
+function localize(value, language) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) ||
+      !Object.keys(value).some(key => SUPPORTED_LANGUAGES.includes(key))) {
+    return value;
+  }
+
+  const code = normalizeLanguage(language) || getDefaultLanguage();
+  return value[code] !== undefined ? value[code] : value[getDefaultLanguage()] !== undefined ? value[getDefaultLanguage()] : value.es;
+}
+
+/**
+ * Verifica si un mensaje contiene alguna de las palabras clave de una lista,
+ * en el idioma del prospecto
+ * @param {string} message - Mensaje del prospecto
+ * @param {string} key - Clave de la lista de palabras ("keywords.yes")
+ * @param {Object|string} prospectOrLanguage - Estado del prospecto o código de idioma
+ * @returns {boolean}
+ */
+function includesKeyword(message, key, prospectOrLanguage) {
+  const lowerMessage = String(message || '').toLowerCase().replace(/[\u2018\u2019]/g, "'");
+  const negations = [].concat(t('keywords.negation', prospectOrLanguage));
+
+  return [].concat(t(key, prospectOrLanguage)).some(keyword =>
+    Array.from(lowerMessage.matchAll(getKeywordPattern(keyword)))
+      .some(match => !isNegated(lowerMessage.slice(0, match.index), negations))
+  );
+}
+
+/**
+ * Expresión que encuentra una palabra clave como palabra completa
+ * ("ok" no aparece en "book" ni "no" en "now"); los signos como "?" o "@" se buscan tal cual
+ * @param {string} keyword - Palabra clave en minúsculas
+ * @returns {RegExp}
+ */
+function getKeywordPattern(keyword) {
+  if (!keywordPatterns.has(keyword)) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = /^[\p{L}\p{N}]/u.test(keyword) ? '(?<![\\p{L}\\p{N}])' : '';
+    const end = /[\p{L}\p{N}]$/u.test(keyword) ? '(?![\\p{L}\\p{N}])' : '';
+    keywordPatterns.set(keyword, new RegExp(`${start}${escaped}${end}`, 'gu'));
+  }
+  return keywordPatterns.get(keyword);
+}
+
+/**
+ * Verifica si una palabra clave está negada: una negación del idioma entre las
+ * palabras que la preceden en la misma frase ("no me interesa", "I am not interested")
+ * @param {string} before - Mensaje (en minúsculas) hasta la palabra clave
+ * @param {Array<string>} negations - Negaciones del idioma (keywords.negation)
+ * @returns {boolean}
+ */
+function isNegated(before, negations) {
+  const clause = before.split(/[.,;:!?¡¿\n]/).pop();
+  const words = clause.split(/[^\p{L}\p{N}']+/u).filter(Boolean).slice(-NEGATION_WINDOW);
+  return words.some(word => negations.includes(word));
+}
+
+/**
+ * Instrucción para que OpenAI responda en el idioma del prospecto
+ * @param {string} language - Código de idioma
+ * @returns {string}
+ */
+function getLanguageInstruction(language) {
+  const code = normalizeLanguage(language) || getDefaultLanguage();
+  return `Responde siempre en ${LANGUAGE_NAMES[code]}, que es el idioma del prospecto.`;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  getDefaultLanguage,
+  normalizeLanguage,
+  getLanguageForCountry,
+  detectLanguage,
+  resolveLanguage,
+  getProspectLanguage,
+  t,
+  formatText,
+  localize,
+  includesKeyword,
+  getLanguageInstruction
+};
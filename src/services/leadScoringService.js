@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { analyzeCompanySector } = require('./companyService');
+
+/**
+ * Servicio de puntaje de prospectos (lead scoring)
+ *
+ * Calcula un puntaje de 0 a 100 con el detalle de cada factor (tamaño de flota,
+ * poder de decisión, urgencia, solución actual, sector e interacción). Los pesos
+ * y umbrales están en src/config/leadScoring.json (o en LEAD_SCORING_FILE).
+ *
+ * Es la única regla para decidir el valor de un prospecto: con ella se elige
+ * entre invitación y checkout, se explica el motivo del checkout y se exporta
+ * el puntaje a Google Sheets y al CRM.
+ */
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/leadScoring.json');
+
+const TIERS = {
+  HIGH: { tier: 'ALTO', priority: 'ALTA' },
+  MEDIUM: { tier: 'MEDIO', priority: 'MEDIA' },
+  LOW: { tier: 'BAJO', priority: 'BAJA' }
+};
+
+// Configuración cargada (se lee una sola vez)
+let config = null;
+
+/**
+ * Carga los pesos y umbrales
+ * @returns {Object} - Configuración del puntaje
+ */
+function getScoringConfig() {
+  if (config) {
+    return config;
+  }
+
+  const filePath = process.env.LEAD_SCORING_FILE || DEFAULT_CONFIG_FILE;
+
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`No se pudo leer la configuración de puntaje ${filePath}, se usa la predeterminada:`, error.message);
+    config = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_FILE, 'utf8'));
+  }
+
+  return config;
+}
+
+/**
+ * Vuelve a leer la configuración (tras cambiar LEAD_SCORING_FILE o el archivo)
+ * @returns {Object} - Configuración del puntaje
+ */
+function reloadScoringConfig() {
+  config = null;
+  return getScoringConfig();
+}
+
+/**
+ * Verifica si el prospecto dio su nombre y su empresa
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {boolean}
+ */
+function hasIdentity(prospectState) {
+  return Boolean(prospectState.name && prospectState.name !== 'Desconocido' &&
+    prospectState.company && prospectState.company !== 'Desconocida');
+}
+
+/**
+ * Categoría de la flota (grande, mediana, pequeña) según lo declarado
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} factor - Configuración del factor fleetSize
+ * @returns {string|null}
+ */
+function getFleetCategory(prospectState, factor) {
+  if (factor.categories[prospectState.fleetSizeCategory] !== undefined) {
+    return prospectState.fleetSizeCategory;
+  }
+
+  const fleetSize = parseInt(prospectState.fleetSize, 10);
+  if (isNaN(fleetSize)) {
+    return null;
+  }
+
+  const range = factor.ranges.find(item => fleetSize >= item.gte);
+  return range ? range.category : null;
+}
+
+// Cada factor devuelve { value, ratio }: el valor detectado y la fracción del peso que obtiene
+const FACTORS = {
+  fleetSize: (prospectState, factor) => {
+    const category = getFleetCategory(prospectState, factor);
+    return { value: category, ratio: category ? factor.categories[category] : 0 };
+  },
+
+  decisionPower: (prospectState, factor) => {
+    if (prospectState.isDecisionMaker) {
+      return { value: 'decisor', ratio: factor.values.decisor };
+    }
+    // Conoce su rol pero no decide: puede influir en la compra
+    if (prospectState.role && prospectState.role !== 'No especificado') {
+      return { value: 'influenciador', ratio: factor.values.influenciador };
+    }
+    return { value: null, ratio: 0 };
+  },
+
+  urgency: (prospectState, factor) => {
+    if (factor.timelines[prospectState.decisionTimeline] !== undefined) {
+      return { value: prospectState.decisionTimeline, ratio: factor.timelines[prospectState.decisionTimeline] };
+    }
+    if (factor.values[prospectState.urgency] !== undefined) {
+      return { value: prospectState.urgency, ratio: factor.values[prospectState.urgency] };
+    }
+    return { value: null, ratio: 0 };
+  },
+
+  competitor: (prospectState, factor) => {
+    if (prospectState.hasSolution === undefined || prospectState.hasSolution === null) {
+      return { value: null, ratio: 0 };
+    }
+    let value = 'sin solución';
+    if (prospectState.hasSolution) {
+      value = prospectState.competitorSolution ? 'competidor' : 'solución propia';
+    }
+    return { value: prospectState.competitorSolution || value, ratio: factor.values[value] || 0 };
+  },
+
+  sector: (prospectState, factor) => {
+    const sector = String(prospectState.sector ||
+      analyzeCompanySector({ razonSocial: prospectState.companyInfo ? prospectState.companyInfo.razonSocial : prospectState.company })).toLowerCase();
+
+    if (sector === 'desconocido') {
+      return { value: null, ratio: 0 };
+    }
+    return { value: sector, ratio: factor.values[sector] !== undefined ? factor.values[sector] : (factor.values.otros || 0) };
+  },
+
+  engagement: (prospectState, factor) => {
+    const answers = Object.keys(prospectState.questionnaireAnswers || {}).length;
+    const emails = prospectState.emails || (prospectState.email ? [prospectState.email] : []);
+    const signals = [];
+    let ratio = Math.min(answers, factor.maxAnswers) * factor.perAnswer;
+
+    if (answers > 0) {
+      signals.push(`${answers} respuestas`);
+    }
+    if (prospectState.wantsAppointment) {
+      ratio += factor.appointmentRequest;
+      signals.push('pidió una llamada');
+    }
+    if (emails.length > 0) {
+      ratio += factor.email;
+      signals.push('dejó su correo');
+    }
+
+    return { value: signals.length > 0 ? signals.join(', ') : null, ratio: Math.min(ratio, 1) };
+  }
+};
+
+/**
+ * Calcula el puntaje de un prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - { score, tier, priority, shouldInvite, hasIdentity, breakdown }
+ */
+function scoreLead(prospectState = {}) {
+  const { factors, thresholds, requireIdentity } = getScoringConfig();
+
+  const breakdown = Object.entries(factors)
+    .filter(([name]) => FACTORS[name])
+    .map(([name, factor]) => {
+      const { value, ratio } = FACTORS[name](prospectState, factor);
+      return {
+        factor: name,
+        label: factor.label || name,
+        value,
+        points: Math.round(factor.weight * ratio),
+        max: factor.weight
+      };
+    });
+
+  const score = breakdown.reduce((total, item) => total + item.points, 0);
+  const identity = hasIdentity(prospectState);
+
+  let level = TIERS.LOW;
+  if (!requireIdentity || identity) {
+    if (score >= thresholds.high) {
+      level = TIERS.HIGH;
+    } else if (score >= thresholds.medium) {
+      level = TIERS.MEDIUM;
+    }
+  }
+
+  return {
+    score,
+    ...level,
+    shouldInvite: level !== TIERS.LOW,
+    hasIdentity: identity,
+    breakdown
+  };
+}
+
+/**
+ * Agrega el puntaje al estado del prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - Estado con leadScore, leadTier, leadScoreBreakdown y prospectPotential
+ */
+function applyLeadScore(prospectState) {
+  const result = scoreLead(prospectState);
+
+  return {
+    ...prospectState,
+    leadScore: result.score,
+    leadTier: result.tier,
+    leadScoreBreakdown: result.breakdown,
+    leadScoredAt: new Date(),
+    prospectPotential: result.tier
+  };
+}
+
+/**
+ * Explica el puntaje en una línea por factor ("Tamaño de flota: 30/30 (grande)")
+ * @param {Object} result - Resultado de scoreLead
+ * @returns {string}
+ */
+function explainLeadScore(result) {
+  return result.breakdown
+    .map(item => `${item.label}: ${item.points}/${item.max}${item.value ? ` (${item.value})` : ''}`)
+    .join('; ');
+}
+
+/**
+ * Motivo por el que un prospecto pasa a checkout, según su puntaje
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string} - DISINTEREST, INSUFFICIENT_INFO, SMALL_FLEET, NOT_DECISION_MAKER, LOW_URGENCY o LOW_POTENTIAL
+ */
+function getCheckoutReason(prospectState) {
+  if (prospectState.expressedDisinterest) {
+    return 'DISINTEREST';
+  }
+
+  const result = scoreLead(prospectState);
+  if (!result.hasIdentity) {
+    return 'INSUFFICIENT_INFO';
+  }
+
+  const factor = name => result.breakdown.find(item => item.factor === name) || { points: 0, max: 0 };
+  const fleet = factor('fleetSize');
+  const decision = factor('decisionPower');
+  const urgency = factor('urgency');
+
+  if (fleet.value && fleet.points < fleet.max) {
+    return 'SMALL_FLEET';
+  }
+  if (decision.value && decision.points < decision.max) {
+    return 'NOT_DECISION_MAKER';
+  }
+  if (urgency.value && urgency.points === 0) {
+    return 'LOW_URGENCY';
+  }
+
+  return 'LOW_POTENTIAL';
+}
+
+module.exports = {
+  scoreLead,
+  applyLeadScore,
+  explainLeadScore,
+  getCheckoutReason,
+  getScoringConfig,
+  reloadScoringConfig
+};
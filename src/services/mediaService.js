@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { formatText, localize, getProspectLanguage } = require('./languageService');
+const { analyzeCompanySector, getRelevantSuccessCases } = require('./companyService');
+
+/**
+ * Servicio de la biblioteca de material (brochures, videos de demo y casos de éxito)
+ *
+ * Carga el material desde MEDIA_LIBRARY_FILE (JSON). Cada archivo tiene etiquetas
+ * (brochure, case_study, demo_video...) y puede limitarse a sectores o idiomas;
+ * los flujos piden material por etiqueta y lo devuelven en "attachments" junto a
+ * su respuesta para que el transporte lo envíe con su texto (caption).
+ *
+ * Sin archivo de material los flujos responden solo con texto.
+ */
+
+const DEFAULT_LIBRARY_FILE = path.join(__dirname, '../config/media.json');
+
+// Directorio por defecto de los archivos locales ("file" en la biblioteca)
+const DEFAULT_MEDIA_DIR = path.join(__dirname, '../../media');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Tipos MIME por extensión para los archivos que no lo indican
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.mp4': 'video/mp4',
+  '.ogg': 'audio/ogg; codecs=opus',
+  '.mp3': 'audio/mpeg'
+};
+
+// Biblioteca cargada (se lee una sola vez)
+let library = null;
+
+/**
+ * Completa los campos opcionales de un archivo de la biblioteca
+ * @param {Object} item - Archivo tal como viene del JSON
+ * @param {string} mediaDir - Directorio de los archivos locales
+ * @returns {Object} - Archivo normalizado
+ */
+function normalizeMedia(item, mediaDir) {
+  const filePath = item.file ? path.resolve(mediaDir, item.file) : null;
+  const source = filePath || item.url || '';
+
+  return {
+    id: String(item.id),
+    type: item.type,
+    url: item.url || null,
+    path: filePath,
+    fileName: item.fileName || (item.type === 'document' ? path.basename(source) : null),
+    mimetype: item.mimetype || MIME_TYPES[path.extname(source).toLowerCase()] || null,
+    caption: item.caption || null,
+    tags: (item.tags || []).map(tag => String(tag).toLowerCase()),
+    sectors: (item.sectors || []).map(sector => String(sector).toLowerCase()),
+    languages: (item.languages || []).map(language => String(language).toLowerCase()),
+    active: item.active !== false
+  };
+}
+
+/**
+ * Carga la biblioteca de material
+ * @returns {Array<Object>} - Archivos activos
+ */
+function getMediaLibrary() {
+  if (library) {
+    return library;
+  }
+
+  const filePath = process.env.MEDIA_LIBRARY_FILE || DEFAULT_LIBRARY_FILE;
+  const mediaDir = process.env.MEDIA_DIR || DEFAULT_MEDIA_DIR;
+  library = [];
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      library = (Array.isArray(data) ? data : data.media || [])
+        .filter(item => item && item.id && MEDIA_TYPES.includes(item.type) && (item.file || item.url))
+        .map(item => normalizeMedia(item, mediaDir))
+        .filter(item => item.active);
+
+      logger.info(`Biblioteca de material cargada desde ${filePath}: ${library.map(item => item.id).join(', ') || 'vacía'}`);
+    }
+  } catch (error) {
+    logger.error(`Error al cargar la biblioteca de material ${filePath}:`, error);
+  }
+
+  return library;
+}
+
+/**
+ * Vuelve a leer la biblioteca de material
+ * @returns {Array<Object>} - Archivos activos
+ */
+function reloadMediaLibrary() {
+  library = null;
+  return getMediaLibrary();
+}
+
+/**
+ * Sector del prospecto, como lo usan los casos de éxito
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string}
+ */
+function getProspectSector(prospectState = {}) {
+  const companyName = prospectState.companyInfo ? prospectState.companyInfo.razonSocial : prospectState.company;
+  return String(prospectState.sector || analyzeCompanySector({ razonSocial: companyName })).toLowerCase();
+}
+
+/**
+ * Busca el archivo más adecuado de una etiqueta para un prospecto
+ *
+ * Se descartan los limitados a otros sectores o idiomas y los archivos locales
+ * que no existen; entre los demás se prefiere el del sector y el del idioma del prospecto.
+ * @param {string} tag - Etiqueta (brochure, case_study, demo_video...)
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object|null}
+ */
+function findMedia(tag, prospectState = {}) {
+  const sector = getProspectSector(prospectState);
+  const language = getProspectLanguage(prospectState);
+
+  const candidates = getMediaLibrary()
+    .filter(item => item.tags.includes(String(tag).toLowerCase()))
+    .filter(item => item.sectors.length === 0 || item.sectors.includes(sector))
+    .filter(item => item.languages.length === 0 || item.languages.includes(language))
+    .filter(item => {
+      if (item.path && !fs.existsSync(item.path)) {
+        logger.warn(`No existe el archivo ${item.path} del material ${item.id}`);
+        return false;
+      }
+      return true;
+    });
+
+  const rank = item => (item.sectors.length > 0 ? 2 : 0) + (item.languages.length > 0 ? 1 : 0);
+  return candidates.sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+/**
+ * Casos de éxito del sector del prospecto, uno por línea
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {string}
+ */
+function describeSuccessCases(prospectState) {
+  return getRelevantSuccessCases(getProspectSector(prospectState))
+    .map(successCase => `• ${successCase.company}: ${successCase.description}`)
+    .join('\n');
+}
+
+/**
+ * Convierte un archivo de la biblioteca en un adjunto para el transporte
+ *
+ * El texto acepta {name}, {company} y {cases} (casos de éxito del sector).
+ * @param {Object} item - Archivo de la biblioteca
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - Adjunto (ver BaseTransport.sendMedia) con su id
+ */
+function buildAttachment(item, prospectState = {}) {
+  const caption = localize(item.caption, getProspectLanguage(prospectState));
+
+  return {
+    id: item.id,
+    type: item.type,
+    url: item.url,
+    path: item.path,
+    fileName: item.fileName,
+    mimetype: item.mimetype,
+    caption: caption ? formatText(caption, {
+      name: prospectState.name,
+      company: prospectState.company,
+      cases: describeSuccessCases(prospectState)
+    }) : undefined
+  };
+}
+
+/**
+ * Material de las etiquetas indicadas que el prospecto todavía no recibió
+ * @param {Array<string>} tags - Etiquetas en el orden de envío
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - { attachments, sentMedia (para guardar en el estado) }
+ */
+function getAttachments(tags, prospectState = {}) {
+  const sentMedia = [...(prospectState.sentMedia || [])];
+  const attachments = [];
+
+  for (const tag of tags) {
+    const item = findMedia(tag, prospectState);
+    if (item && !sentMedia.includes(item.id)) {
+      attachments.push(buildAttachment(item, prospectState));
+      sentMedia.push(item.id);
+    }
+  }
+
+  return { attachments, sentMedia };
+}
+
+module.exports = {
+  getMediaLibrary,
+  reloadMediaLibrary,
+  getProspectSector,
+  findMedia,
+  buildAttachment,
+  getAttachments
+};
@@ -0,0 +1,204 @@
+const db = require('../database');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para almacenar el historial de conversaciones
+ *
+ * Guarda cada mensaje entrante y saliente en la colección `messages` de MongoDB,
+ * con almacenamiento en memoria como respaldo cuando la base de datos no está disponible.
+ */
+
+const COLLECTION_NAME = 'messages';
+
+// Máximo de mensajes por prospecto en el almacenamiento en memoria
+const MAX_MEMORY_MESSAGES = 500;
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  messages: new Map()
+};
+
+// Evitar crear los índices más de una vez
+let indexesCreated = false;
+
+/**
+ * Obtiene la colección de mensajes y asegura sus índices
+ * @returns {Promise<Object|null>} - Colección de MongoDB o null si no hay conexión
+ */
+async function getCollection() {
+  const collection = await db.collection(COLLECTION_NAME);
+
+  if (collection && !indexesCreated) {
+    indexesCreated = true;
+    try {
+      await collection.createIndex({ phoneNumber: 1, timestamp: 1 });
+    } catch (error) {
+      logger.warn(`No se pudo crear el índice de la colección ${COLLECTION_NAME}: ${error.message}`);
+    }
+  }
+
+  return collection;
+}
+
+/**
+ * Guarda un mensaje de la conversación
+ * @param {Object} message - Mensaje a guardar
+ * @param {string} message.phoneNumber - Número del prospecto
+ * @param {string} message.direction - incoming | outgoing
+ * @param {string} message.role - user (prospecto) | assistant (bot) | vendor (vendedor)
+ * @param {string} message.type - Tipo de mensaje (text, audio, ptt, image, document...)
+ * @param {string} message.content - Texto del mensaje (o transcripción del audio)
+ * @param {string} [message.transcription] - Transcripción si el mensaje era de voz
+ * @param {string} [message.mediaUrl] - Referencia al archivo multimedia
+ * @param {string} [message.conversationState] - Estado de la conversación en ese momento
+ * @param {string} [message.messageId] - ID del mensaje en WhatsApp
+ * @returns {Promise<Object>} - Mensaje guardado
+ */
+async function saveMessage(message) {
+  const record = {
+    phoneNumber: message.phoneNumber,
+    direction: message.direction,
+    role: message.role,
+    type: message.type || 'text',
+    content: message.content || '',
+    transcription: message.transcription || null,
+    mediaUrl: message.mediaUrl || null,
+    conversationState: message.conversationState || null,
+    messageId: message.messageId || null,
+    metadata: message.metadata || null,
+    timestamp: message.timestamp || new Date()
+  };
+
+  try {
+    const collection = await getCollection();
+
+    if (collection) {
+      await collection.insertOne(record);
+      return record;
+    }
+  } catch (error) {
+    logger.error(`Error al guardar mensaje de ${record.phoneNumber} en la base de datos:`, error);
+  }
+
+  // Guardar en memoria si no hay conexión a MongoDB
+  if (!memoryStorage.messages.has(record.phoneNumber)) {
+    memoryStorage.messages.set(record.phoneNumber, []);
+  }
+  const messages = memoryStorage.messages.get(record.phoneNumber);
+  messages.push(record);
+  if (messages.length > MAX_MEMORY_MESSAGES) {
+    messages.shift();
+  }
+
+  return record;
+}
+
+/**
+ * Obtiene la transcripción de la conversación con un prospecto
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Máximo de mensajes (los más recientes)
+ * @param {Date} [options.since] - Solo mensajes posteriores a esta fecha
+ * @returns {Promise<Array>} - Mensajes en orden cronológico
+ */
+async function getTranscript(phoneNumber, { limit, since } = {}) {
+  try {
+    const collection = await getCollection();
+
+    if (collection) {
+      const query = { phoneNumber };
+      if (since) {
+        query.timestamp = { $gte: new Date(since) };
+      }
+
+      let cursor = collection.find(query, { projection: { _id: 0 } }).sort({ timestamp: -1 });
+      if (limit) {
+        cursor = cursor.limit(limit);
+      }
+
+      const messages = await cursor.toArray();
+      return messages.reverse();
+    }
+  } catch (error) {
+    logger.error(`Error al obtener la transcripción de ${phoneNumber}:`, error);
+  }
+
+  let messages = memoryStorage.messages.get(phoneNumber) || [];
+  if (since) {
+    messages = messages.filter(message => new Date(message.timestamp) >= new Date(since));
+  }
+
+  return limit ? messages.slice(-limit) : [...messages];
+}
+
+/**
+ * Elimina todo el historial de un prospecto (derecho de supresión de datos)
+ * @param {string} phoneNumber - Número del prospecto
+ * @returns {Promise<number>} - Mensajes eliminados
+ */
+async function deleteMessages(phoneNumber) {
+  let deleted = (memoryStorage.messages.get(phoneNumber) || []).length;
+  memoryStorage.messages.delete(phoneNumber);
+
+  try {
+    const collection = await getCollection();
+
+    if (collection) {
+      const result = await collection.deleteMany({ phoneNumber });
+      deleted = result.deletedCount;
+    }
+  } catch (error) {
+    logger.error(`Error al eliminar los mensajes de ${phoneNumber}:`, error);
+    throw error;
+  }
+
+  return deleted;
+}
+
+/**
+ * Obtiene los últimos mensajes en el formato de chat de OpenAI
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {number} limit - Máximo de mensajes
+ * @returns {Promise<Array>} - Mensajes { role, content }
+ */
+async function getConversationContext(phoneNumber, limit = 20) {
+  const messages = await getTranscript(phoneNumber, { limit });
+
+  return messages
+    .filter(message => message.content)
+    .map(message => ({
+      // Los mensajes del vendedor también son respuestas de la empresa
+      role: message.role === 'user' ? 'user' : 'assistant',
+      content: message.content
+    }));
+}
+
+/**
+ * Convierte una transcripción en texto plano (exportación al CRM)
+ * @param {Array} messages - Mensajes de getTranscript
+ * @returns {string} - Transcripción legible
+ */
+function formatTranscript(messages) {
+  // Los archivos recibidos se borran después de leerlos: el tipo basta para marcarlos
+  const mediaTypes = ['image', 'video', 'audio', 'ptt', 'voice', 'document'];
+
+  const labels = {
+    user: 'Prospecto',
+    assistant: 'Bot',
+    vendor: 'Vendedor'
+  };
+
+  return messages.map(message => {
+    const date = new Date(message.timestamp).toISOString().replace('T', ' ').substring(0, 19);
+    const media = message.mediaUrl || mediaTypes.includes(message.type) ? ` [${message.type}]` : '';
+    return `[${date}] ${labels[message.role] || message.role}${media}: ${message.content}`;
+  }).join('\n');
+}
+
+module.exports = {
+  saveMessage,
+  getTranscript,
+  deleteMessages,
+  getConversationContext,
+  formatTranscript
+};
@@ -1,5 +1,7 @@
+const fs = require('fs');
 const OpenAI = require('openai');
 const logger = require('../utils/logger');
+const { getLanguageInstruction } = require('./languageService');
 
 // Inicializar cliente de OpenAI si hay una API key válida
 let openai;
@@ -173,9 +175,11 @@ function cleanJsonResponse(response) {
 /**
  * Genera una respuesta usando OpenAI
  * @param {Object} message - Mensaje a enviar a OpenAI
+ * @param {Object} options - Opciones
+ * @param {string} options.language - Idioma en que debe responder (es, pt o en)
  * @returns {Promise<string>} - Respuesta generada
  */
-async function generateOpenAIResponse(message) {
+async function generateOpenAIResponse(message, { language } = {}) {
   try {
     // Verificar si estamos en modo de prueba
     if (!openai) {
@@ -186,7 +190,8 @@ async function generateOpenAIResponse(message) {
     const messages = [
       {
         role: 'system',
-        content: `${KNOWLEDGE_BASE}\n\nEres un asistente virtual de ventas amable y profesional. Tu objetivo es ayudar a los clientes potenciales, responder sus preguntas y, cuando sea apropiado, programar citas con asesores humanos.`
+        content: `${KNOWLEDGE_BASE}\n\nEres un asistente virtual de ventas amable y profesional. Tu objetivo es ayudar a los clientes potenciales, responder sus preguntas y, cuando sea apropiado, programar citas con asesores humanos.` +
+          (language ? `\n\n${getLanguageInstruction(language)}` : '')
       }
     ];
     
@@ -357,6 +362,40 @@ async function analyzeProspect(prospectData) {
   }
 }
 
+/**
+ * Analiza una imagen con el modelo de visión de OpenAI y devuelve su respuesta en JSON
+ * @param {string} imagePath - Ruta local de la imagen
+ * @param {string} prompt - Instrucciones (deben pedir la respuesta en formato JSON)
+ * @param {Object} options - Opciones
+ * @param {string} options.mimetype - Tipo MIME de la imagen
+ * @returns {Promise<Object>} - Respuesta del modelo
+ */
+async function analyzeImage(imagePath, prompt, { mimetype = 'image/jpeg' } = {}) {
+  if (!openai) {
+    throw new Error('OpenAI no está configurado, no se pueden analizar imágenes');
+  }
+
+  const image = fs.readFileSync(imagePath).toString('base64');
+
+  const completion = await openai.chat.completions.create({
+    model: process.env.OPENAI_VISION_MODEL || 'gpt-4o',
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mimetype};base64,${image}` } }
+        ]
+      }
+    ],
+    temperature: 0.1,
+    max_tokens: 1000,
+    response_format: { type: "json_object" }
+  });
+
+  return JSON.parse(cleanJsonResponse(completion.choices[0].message.content));
+}
+
 function generateMockProspectAnalysis() {
   return {
     prospectType: ['CURIOSO', 'INFLUENCER', 'ENCARGADO'][Math.floor(Math.random() * 3)],
@@ -369,5 +408,6 @@ function generateMockProspectAnalysis() {
 module.exports = {
   generateOpenAIResponse,
   analyzeResponseRelevance,
-  analyzeProspect
+  analyzeProspect,
+  analyzeImage
 }; 
\ No newline at end of file
@@ -0,0 +1,740 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database');
+const logger = require('../utils/logger');
+const { generateOpenAIResponse } = require('./openaiService');
+const { t, localize, getProspectLanguage } = require('./languageService');
+
+/**
+ * Servicio de cuestionarios de calificación
+ *
+ * Los cuestionarios se definen como datos (ver src/config/questionnaires/default.json):
+ * texto de cada pregunta, cómo interpretar la respuesta (number, enum, free_text,
+ * ai_extract), validación, saltos condicionales, puntaje y el resultado final.
+ *
+ * Se cargan desde los archivos JSON de QUESTIONNAIRES_DIR y desde la colección
+ * `questionnaires` de MongoDB (que tiene prioridad si el id se repite). Ambos se
+ * recargan cada QUESTIONNAIRE_RELOAD_SECONDS sin reiniciar el bot; un cuestionario
+ * inválido se descarta y se mantiene la versión anterior.
+ *
+ * Cada prospecto usa el cuestionario de su campaña (campo `campaigns`), o el
+ * DEFAULT_QUESTIONNAIRE si su campaña no tiene uno propio.
+ *
+ * Los textos y las palabras clave pueden traducirse con un objeto por idioma
+ * ({ "es": ..., "pt": ..., "en": ... }); se usa el idioma del prospecto.
+ */
+
+const COLLECTION_NAME = 'questionnaires';
+
+const DEFAULT_QUESTIONNAIRES_DIR = path.join(__dirname, '../config/questionnaires');
+
+const PARSER_TYPES = ['number', 'enum', 'free_text', 'ai_extract'];
+
+// Paso especial que indica que terminó el cuestionario
+const COMPLETE_STEP = 'complete';
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  questionnaires: new Map()
+};
+
+// Cuestionarios cargados, por id
+const cache = {
+  files: new Map(),
+  fileTimes: new Map(),
+  database: new Map(),
+  loadedAt: 0
+};
+
+// Intérpretes locales que usa ai_extract sin OpenAI (ver registerExtractor)
+const extractors = {};
+
+// Expresiones de los patrones de las opciones, compiladas al validar el cuestionario
+// (solo las de los cuestionarios cargados, ver pruneOptionPatterns)
+const optionPatterns = new Map();
+
+/**
+ * Segundos entre recargas de los cuestionarios
+ * @returns {number}
+ */
+function getReloadInterval() {
+  return parseInt(process.env.QUESTIONNAIRE_RELOAD_SECONDS || '30', 10) * 1000;
+}
+
+/**
+ * Compila el patrón de una opción (una sola vez por patrón)
+ * @param {string} pattern - Expresión regular (sin distinguir mayúsculas)
+ * @returns {RegExp}
+ * @throws {Error} - Si el patrón no es una expresión regular válida
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string') {
+    throw new Error('debe ser un texto');
+  }
+  if (!optionPatterns.has(pattern)) {
+    optionPatterns.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return optionPatterns.get(pattern);
+}
+
+/**
+ * Descarta los patrones compilados que ya no usa ningún cuestionario cargado
+ * (de versiones anteriores, cuestionarios borrados o rechazados al validar)
+ */
+function pruneOptionPatterns() {
+  const used = new Set();
+  [...cache.files.values(), ...cache.database.values()].forEach(questionnaire => {
+    questionnaire.questions.forEach(question => {
+      [].concat(question.parser || []).forEach(parser => {
+        (parser.options || []).forEach(option => used.add(option.pattern));
+      });
+    });
+  });
+
+  Array.from(optionPatterns.keys())
+    .filter(pattern => !used.has(pattern))
+    .forEach(pattern => optionPatterns.delete(pattern));
+}
+
+/**
+ * Verifica que un cuestionario esté bien definido
+ * @param {Object} questionnaire - Cuestionario
+ * @returns {Array<string>} - Errores encontrados (vacío si es válido)
+ */
+function validateQuestionnaire(questionnaire) {
+  const errors = [];
+
+  if (!questionnaire || !questionnaire.id) {
+    return ['falta el id'];
+  }
+
+  if (!Array.isArray(questionnaire.questions) || questionnaire.questions.length === 0) {
+    return ['no tiene preguntas'];
+  }
+
+  const ids = questionnaire.questions.map(question => question.id);
+  const targets = [...ids, COMPLETE_STEP];
+
+  ids.filter((id, index) => !id || ids.indexOf(id) !== index)
+    .forEach(id => errors.push(`id de pregunta vacío o repetido "${id}"`));
+
+  if (questionnaire.start && !ids.includes(questionnaire.start)) {
+    errors.push(`la pregunta inicial "${questionnaire.start}" no existe`);
+  }
+
+  questionnaire.questions.forEach(question => {
+    if (!question.text) {
+      errors.push(`${question.id}: no tiene texto`);
+    }
+
+    [].concat(question.parser || []).forEach(parser => {
+      if (!PARSER_TYPES.includes(parser.type)) {
+        errors.push(`${question.id}: tipo de respuesta desconocido "${parser.type}"`);
+      }
+      if (parser.type !== 'ai_extract' && !parser.field) {
+        errors.push(`${question.id}: el intérprete ${parser.type} no indica el campo (field)`);
+      }
+      if (parser.type === 'ai_extract' && !parser.fields) {
+        errors.push(`${question.id}: ai_extract no indica los campos a extraer (fields)`);
+      }
+
+      // Un patrón inválido fallaría recién con la respuesta del prospecto
+      (parser.options || [])
+        .filter(option => option.pattern !== undefined)
+        .forEach(option => {
+          try {
+            compilePattern(option.pattern);
+          } catch (error) {
+            errors.push(`${question.id}: patrón inválido ${JSON.stringify(option.pattern)} (${error.message})`);
+          }
+        });
+    });
+
+    (question.next || [])
+      .filter(branch => !targets.includes(branch.goto))
+      .forEach(branch => errors.push(`${question.id}: salto a una pregunta inexistente "${branch.goto}"`));
+  });
+
+  return errors;
+}
+
+/**
+ * Valida y normaliza un cuestionario
+ * @param {Object} questionnaire - Cuestionario tal como viene del archivo o la base de datos
+ * @param {string} source - Origen (para los mensajes de error)
+ * @returns {Object|null} - Cuestionario o null si es inválido
+ */
+function prepareQuestionnaire(questionnaire, source) {
+  const errors = validateQuestionnaire(questionnaire);
+
+  if (errors.length > 0) {
+    logger.error(`Cuestionario inválido en ${source}: ${errors.join('; ')}`);
+    return null;
+  }
+
+  const { _id, ...definition } = questionnaire;
+  return {
+    ...definition,
+    start: definition.start || definition.questions[0].id,
+    campaigns: (definition.campaigns || []).map(campaign => String(campaign).toLowerCase()),
+    source
+  };
+}
+
+/**
+ * Relee los archivos JSON que cambiaron desde la última carga
+ */
+function refreshFromFiles() {
+  const dir = process.env.QUESTIONNAIRES_DIR || DEFAULT_QUESTIONNAIRES_DIR;
+  let files = [];
+
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => path.join(dir, file));
+  } catch (error) {
+    logger.warn(`No se pudo leer el directorio de cuestionarios ${dir}: ${error.message}`);
+  }
+
+  // Quitar los cuestionarios cuyos archivos se borraron
+  Array.from(cache.fileTimes.keys())
+    .filter(file => !files.includes(file))
+    .forEach(file => {
+      cache.fileTimes.delete(file);
+      Array.from(cache.files.entries())
+        .filter(([, questionnaire]) => questionnaire.source === file)
+        .forEach(([id]) => cache.files.delete(id));
+    });
+
+  files.forEach(file => {
+    try {
+      const modifiedAt = fs.statSync(file).mtimeMs;
+      if (cache.fileTimes.get(file) === modifiedAt) {
+        return;
+      }
+      cache.fileTimes.set(file, modifiedAt);
+
+      const questionnaire = prepareQuestionnaire(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+      if (questionnaire) {
+        cache.files.set(questionnaire.id, questionnaire);
+        logger.info(`Cuestionario ${questionnaire.id} cargado desde ${path.basename(file)}`);
+      }
+    } catch (error) {
+      logger.error(`Error al leer el cuestionario ${file}:`, error);
+    }
+  });
+}
+
+/**
+ * Relee los cuestionarios activos de MongoDB (o de memoria si no hay conexión)
+ * @returns {Promise<void>}
+ */
+async function refreshFromDatabase() {
+  let documents = Array.from(memoryStorage.questionnaires.values());
+
+  try {
+    const collection = await db.collection(COLLECTION_NAME);
+    if (collection) {
+      documents = await collection.find({ active: { $ne: false } }).toArray();
+    }
+  } catch (error) {
+    logger.error('Error al leer los cuestionarios de la base de datos:', error);
+    return;
+  }
+
+  const loaded = new Map();
+  documents.forEach(document => {
+    const questionnaire = prepareQuestionnaire(document, `${COLLECTION_NAME}/${document.id}`);
+    if (questionnaire) {
+      loaded.set(questionnaire.id, questionnaire);
+    } else if (cache.database.has(document.id)) {
+      // Mantener la versión anterior si la nueva es inválida
+      loaded.set(document.id, cache.database.get(document.id));
+    }
+  });
+
+  cache.database = loaded;
+}
+
+/**
+ * Recarga los cuestionarios si pasó el intervalo de recarga
+ * @param {Object} options - Opciones
+ * @param {boolean} options.force - Recargar aunque no haya pasado el intervalo
+ * @returns {Promise<Array<Object>>} - Cuestionarios disponibles
+ */
+async function loadQuestionnaires({ force = false } = {}) {
+  if (force || Date.now() - cache.loadedAt >= getReloadInterval()) {
+    cache.loadedAt = Date.now();
+    refreshFromFiles();
+    await refreshFromDatabase();
+    pruneOptionPatterns();
+  }
+
+  return listQuestionnaires();
+}
+
+/**
+ * Fuerza la recarga de los archivos y la base de datos
+ * @returns {Promise<Array<Object>>} - Cuestionarios disponibles
+ */
+function reloadQuestionnaires() {
+  return loadQuestionnaires({ force: true });
+}
+
+/**
+ * Cuestionarios disponibles (los de la base de datos reemplazan a los archivos con el mismo id)
+ * @returns {Array<Object>}
+ */
+function listQuestionnaires() {
+  if (cache.loadedAt === 0) {
+    refreshFromFiles();
+  }
+
+  return Array.from(new Map([...cache.files, ...cache.database]).values());
+}
+
+/**
+ * Obtiene un cuestionario por id
+ * @param {string} id - Id del cuestionario
+ * @returns {Promise<Object|null>}
+ */
+async function getQuestionnaire(id) {
+  const questionnaires = await loadQuestionnaires();
+  return questionnaires.find(questionnaire => questionnaire.id === id) || null;
+}
+
+/**
+ * Elige el cuestionario de un prospecto
+ *
+ * Se mantiene el que ya estaba respondiendo; si no, el de su campaña
+ * (campaign o campaignType) y, si la campaña no tiene uno, el predeterminado.
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Promise<Object>} - Cuestionario
+ */
+async function selectQuestionnaire(prospectState = {}) {
+  const questionnaires = await loadQuestionnaires();
+  const byId = id => questionnaires.find(questionnaire => questionnaire.id === id);
+
+  if (prospectState.questionnaireId && byId(prospectState.questionnaireId)) {
+    return byId(prospectState.questionnaireId);
+  }
+
+  const campaign = String(prospectState.campaign || prospectState.campaignType || '').toLowerCase();
+  const forCampaign = campaign && questionnaires.find(questionnaire => questionnaire.campaigns.includes(campaign));
+  const selected = forCampaign || byId(process.env.DEFAULT_QUESTIONNAIRE || 'default') || questionnaires[0];
+
+  if (!selected) {
+    throw new Error('No hay cuestionarios de calificación configurados');
+  }
+
+  return selected;
+}
+
+/**
+ * Guarda un cuestionario en MongoDB (o en memoria) y lo deja disponible de inmediato
+ * @param {Object} questionnaire - Cuestionario
+ * @returns {Promise<Object>} - Cuestionario guardado
+ */
+async function saveQuestionnaire(questionnaire) {
+  const errors = validateQuestionnaire(questionnaire);
+  if (errors.length > 0) {
+    const error = new Error(`Cuestionario inválido: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const { _id, source, ...definition } = questionnaire;
+  const record = { ...definition, active: definition.active !== false, updatedAt: new Date() };
+  const collection = await db.collection(COLLECTION_NAME);
+
+  if (collection) {
+    await collection.updateOne({ id: record.id }, { $set: record }, { upsert: true });
+  } else {
+    memoryStorage.questionnaires.set(record.id, record);
+  }
+
+  logger.info(`Cuestionario ${record.id} guardado`);
+  await reloadQuestionnaires();
+  return record;
+}
+
+/**
+ * Preguntas de seguimiento por tipo de prospecto (CURIOSO, INFLUENCER, ENCARGADO)
+ * @param {string} id - Id del cuestionario (por defecto DEFAULT_QUESTIONNAIRE)
+ * @returns {Object} - Listas de preguntas por tipo
+ */
+function getQuestionsByProspectType(id = process.env.DEFAULT_QUESTIONNAIRE || 'default') {
+  const questionnaire = listQuestionnaires().find(item => item.id === id);
+  return (questionnaire && questionnaire.questionsByProspectType) || {};
+}
+
+/**
+ * Registra un intérprete local para ai_extract (se usa sin OpenAI o si falla)
+ * @param {string} name - Nombre usado en el campo fallback del cuestionario
+ * @param {Function} extractor - (message, prospectState) => campos extraídos
+ */
+function registerExtractor(name, extractor) {
+  extractors[name] = extractor;
+}
+
+/**
+ * Obtiene un campo anidado ("companySizeInfo.size")
+ * @param {Object} object - Objeto
+ * @param {string} fieldPath - Ruta con puntos
+ * @returns {*}
+ */
+function getField(object, fieldPath) {
+  return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Evalúa una condición del cuestionario contra el estado del prospecto
+ *
+ * Formatos: { field, equals | notEquals | in | gte | lt | exists }, { all: [...] },
+ * { any: [...] }, { not: {...} }. Sin condición se cumple siempre.
+ * @param {Object} condition - Condición
+ * @param {Object} state - Estado del prospecto
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, state) {
+  if (!condition) {
+    return true;
+  }
+
+  if (condition.all) {
+    return condition.all.every(item => evaluateCondition(item, state));
+  }
+  if (condition.any) {
+    return condition.any.some(item => evaluateCondition(item, state));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, state);
+  }
+
+  const value = getField(state, condition.field);
+
+  if ('exists' in condition) {
+    return (value !== undefined && value !== null && value !== '') === condition.exists;
+  }
+  if ('equals' in condition) {
+    return value === condition.equals;
+  }
+  if ('notEquals' in condition) {
+    return value !== condition.notEquals;
+  }
+  if ('in' in condition) {
+    return condition.in.includes(value);
+  }
+  if ('gte' in condition) {
+    return Number(value) >= condition.gte;
+  }
+  if ('lt' in condition) {
+    return Number(value) < condition.lt;
+  }
+
+  return false;
+}
+
+/**
+ * Reemplaza {campo} o {campo|valor por defecto} con datos del prospecto
+ * @param {string|Object} template - Texto o texto por idioma
+ * @param {Object} state - Estado del prospecto
+ * @returns {string}
+ */
+function renderText(template, state) {
+  return String(localize(template, getProspectLanguage(state)) || '').replace(/\{([\w.]+)(?:\|([^}]*))?\}/g, (match, field, fallback) => {
+    const value = getField(state, field);
+    return value === undefined || value === null || value === '' ? (fallback || '') : String(value);
+  });
+}
+
+/**
+ * Elige el texto que aplica (un texto fijo o una lista de { if, text })
+ * @param {string|Array<Object>} variants - Texto o variantes
+ * @param {Object} state - Estado del prospecto
+ * @returns {string|null} - Texto con los datos del prospecto
+ */
+function pickText(variants, state) {
+  if (!variants) {
+    return null;
+  }
+
+  if (!Array.isArray(variants)) {
+    return renderText(variants, state);
+  }
+
+  const variant = variants.find(item => evaluateCondition(item.if, state));
+  return variant ? renderText(variant.text, state) : null;
+}
+
+/**
+ * Busca la primera opción cuyas palabras clave o patrón aparecen en el mensaje
+ * @param {Array<Object>} options - Opciones ({ keywords, pattern, value, set })
+ * @param {string} message - Mensaje del prospecto
+ * @param {string} language - Idioma del prospecto (para las palabras clave traducidas)
+ * @returns {Object|undefined}
+ */
+function findOption(options = [], message, language) {
+  const lowerMessage = message.toLowerCase();
+  return options.find(option =>
+    (localize(option.keywords, language) || []).some(keyword => lowerMessage.includes(keyword.toLowerCase())) ||
+    (option.pattern && compilePattern(option.pattern).test(message))
+  );
+}
+
+/**
+ * Interpreta la respuesta con un intérprete number, enum o free_text
+ * @param {Object} parser - Definición del intérprete
+ * @param {string} message - Mensaje del prospecto
+ * @param {string} language - Idioma del prospecto
+ * @returns {Object} - { matched, updates }
+ */
+function parseLocal(parser, message, language) {
+  if (parser.type === 'number') {
+    const numbers = message.match(/\d+/g);
+    const value = numbers ? parseInt(numbers[0], 10) : null;
+    const inRange = value !== null &&
+      (parser.min === undefined || value >= parser.min) &&
+      (parser.max === undefined || value <= parser.max);
+
+    if (inRange) {
+      const range = (parser.ranges || []).find(item =>
+        (item.gte === undefined || value >= item.gte) && (item.lt === undefined || value < item.lt)
+      );
+      return { matched: true, updates: { [parser.field]: value, ...(range && range.set) } };
+    }
+
+    // Sin número: buscar palabras clave ("flota pequeña", "muchas")
+    const option = findOption(parser.options, message, language);
+    if (option) {
+      return { matched: true, updates: { ...('value' in option ? { [parser.field]: option.value } : {}), ...option.set } };
+    }
+    return { matched: false, updates: {} };
+  }
+
+  if (parser.type === 'enum') {
+    const option = findOption(parser.options, message, language);
+    return option
+      ? { matched: true, updates: { [parser.field]: option.value, ...option.set } }
+      : { matched: false, updates: {} };
+  }
+
+  // free_text
+  const text = message.trim();
+  const matched = text.length >= (parser.minLength || 1);
+  return { matched, updates: matched ? { [parser.field]: text } : {} };
+}
+
+/**
+ * Extrae datos de la respuesta con OpenAI y, si no está disponible o falla, con
+ * el intérprete local indicado en fallback
+ * @param {Object} parser - Definición del intérprete ai_extract
+ * @param {string} message - Mensaje del prospecto
+ * @param {Object} state - Estado del prospecto
+ * @returns {Promise<Object>} - { matched, updates }
+ */
+async function parseWithAI(parser, message, state) {
+  const fields = Object.keys(parser.fields);
+  const required = parser.required || fields;
+  const hasRequired = data => data && typeof data === 'object' && required.every(field => field in data);
+  const pick = data => Object.fromEntries(fields.filter(field => field in data).map(field => [field, data[field]]));
+
+  if (process.env.NODE_ENV !== 'test' && process.env.OPENAI_API_KEY) {
+    const structure = JSON.stringify(parser.fields, null, 2);
+    const prompt = `${renderText(parser.prompt, state)}
+
+    Mensaje (puede estar en español, portugués o inglés): "${message}"
+
+    Responde ÚNICAMENTE con un objeto JSON con esta estructura exacta:
+    ${structure}`;
+
+    try {
+      const analysis = JSON.parse(await generateOpenAIResponse({ role: 'system', content: prompt }));
+      if (hasRequired(analysis)) {
+        return { matched: true, updates: pick(analysis) };
+      }
+      logger.warn('La respuesta de OpenAI no tiene los campos esperados, se usa el análisis local');
+    } catch (error) {
+      logger.error('Error al extraer datos con OpenAI:', error.message);
+    }
+  }
+
+  const extractor = parser.fallback && extractors[parser.fallback];
+  if (extractor) {
+    const data = await extractor(message, state);
+    if (hasRequired(data)) {
+      return { matched: true, updates: pick(data) };
+    }
+  }
+
+  return { matched: false, updates: {} };
+}
+
+/**
+ * Interpreta la respuesta a una pregunta con todos sus intérpretes
+ * @param {Object} question - Pregunta
+ * @param {string} message - Mensaje del prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Promise<Object>} - { matched (el primer intérprete reconoció la respuesta), updates }
+ */
+async function parseAnswer(question, message, prospectState) {
+  const parsers = [].concat(question.parser || { type: 'free_text', field: question.id });
+  let updates = {};
+  let matched = true;
+
+  for (const [index, parser] of parsers.entries()) {
+    const state = { ...prospectState, ...updates };
+    let result = { matched: false, updates: {} };
+
+    if (evaluateCondition(parser.if, state)) {
+      result = parser.type === 'ai_extract'
+        ? await parseWithAI(parser, message, state)
+        : parseLocal(parser, message, getProspectLanguage(state));
+    }
+
+    if (!result.matched) {
+      result.updates = {
+        ...(parser.field && 'default' in parser ? { [parser.field]: parser.default } : {}),
+        ...parser.defaultSet
+      };
+      if (index === 0) {
+        matched = false;
+      }
+    }
+
+    updates = { ...updates, ...result.updates };
+  }
+
+  return { matched, updates };
+}
+
+/**
+ * Puntos que suma una respuesta según los pesos de la pregunta
+ * @param {Object} question - Pregunta ({ score: { field, points } })
+ * @param {Object} state - Estado del prospecto con la respuesta ya interpretada
+ * @returns {number}
+ */
+function scoreAnswer(question, state) {
+  if (!question.score) {
+    return 0;
+  }
+
+  const value = getField(state, question.score.field);
+  return Number(question.score.points[String(value)] || 0);
+}
+
+/**
+ * Busca una pregunta por id
+ * @param {Object} questionnaire - Cuestionario
+ * @param {string} questionId - Id de la pregunta
+ * @returns {Object|undefined}
+ */
+function getQuestion(questionnaire, questionId) {
+  return questionnaire.questions.find(question => question.id === questionId);
+}
+
+/**
+ * Texto de una pregunta para el prospecto
+ * @param {Object} questionnaire - Cuestionario
+ * @param {string} questionId - Id de la pregunta
+ * @param {Object} state - Estado del prospecto
+ * @returns {string}
+ */
+function getQuestionText(questionnaire, questionId, state) {
+  return pickText(getQuestion(questionnaire, questionId).text, state);
+}
+
+/**
+ * Resultado del cuestionario: primer outcome cuya condición se cumple
+ * @param {Object} questionnaire - Cuestionario
+ * @param {Object} state - Estado del prospecto con todas las respuestas
+ * @returns {Object} - { set, text }
+ */
+function getOutcome(questionnaire, state) {
+  const outcome = (questionnaire.outcomes || []).find(item => evaluateCondition(item.if, state));
+
+  if (!outcome) {
+    return { set: {}, text: t('qualification.defaultOutcome', state) };
+  }
+
+  const set = outcome.set || {};
+  return { set, text: renderText(outcome.text, { ...state, ...set }) };
+}
+
+/**
+ * Procesa la respuesta del prospecto a la pregunta actual
+ * @param {Object} questionnaire - Cuestionario
+ * @param {string} questionId - Pregunta que se está respondiendo
+ * @param {string} message - Mensaje del prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Promise<Object>} - { updates, next, response, complete }
+ */
+async function answerQuestion(questionnaire, questionId, message, prospectState) {
+  const question = getQuestion(questionnaire, questionId);
+  const { matched, updates: parsed } = await parseAnswer(question, message, prospectState);
+  const retries = prospectState.questionnaireRetries || 0;
+
+  // Respuesta obligatoria no reconocida: repetir la pregunta
+  if (!matched && question.required && retries < (question.maxRetries || 1)) {
+    return {
+      updates: { questionnaireRetries: retries + 1 },
+      next: questionId,
+      response: pickText(question.retryText || question.text, prospectState),
+      complete: false
+    };
+  }
+
+  const points = scoreAnswer(question, { ...prospectState, ...parsed });
+  let updates = {
+    ...parsed,
+    questionnaireAnswers: { ...prospectState.questionnaireAnswers, [questionId]: message },
+    questionnaireRetries: 0,
+    qualificationScore: (prospectState.qualificationScore || 0) + points,
+    qualificationScoreDetail: { ...prospectState.qualificationScoreDetail, [questionId]: points }
+  };
+
+  let state = { ...prospectState, ...updates };
+  const index = questionnaire.questions.indexOf(question);
+  const defaultNext = (questionnaire.questions[index + 1] || { id: COMPLETE_STEP }).id;
+  const branch = (question.next || []).find(item => evaluateCondition(item.if, state)) || { goto: defaultNext };
+
+  updates = { ...updates, ...branch.set };
+  state = { ...state, ...branch.set };
+
+  if (branch.goto === COMPLETE_STEP) {
+    const outcome = getOutcome(questionnaire, state);
+    return {
+      updates: { ...updates, ...outcome.set },
+      next: COMPLETE_STEP,
+      response: outcome.text,
+      complete: true
+    };
+  }
+
+  const acknowledgement = pickText(question.acknowledgements, state);
+  return {
+    updates,
+    next: branch.goto,
+    response: [acknowledgement, getQuestionText(questionnaire, branch.goto, state)].filter(Boolean).join(' '),
+    complete: false
+  };
+}
+
+module.exports = {
+  COMPLETE_STEP,
+  loadQuestionnaires,
+  reloadQuestionnaires,
+  listQuestionnaires,
+  getQuestionnaire,
+  selectQuestionnaire,
+  saveQuestionnaire,
+  validateQuestionnaire,
+  getQuestionsByProspectType,
+  registerExtractor,
+  evaluateCondition,
+  renderText,
+  pickText,
+  parseAnswer,
+  getQuestion,
+  getQuestionText,
+  getOutcome,
+  answerQuestion
+};
@@ -0,0 +1,283 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { forEachProspect, findProspect, setProspectFields, recordMessage } = require('../whatsappHandler');
+const { getActiveTransport } = require('../whatsapp/transports');
+const { isDoNotContact } = require('./consentService');
+const { STATES } = require('../config/conversationStates');
+const { formatAppointmentDate, getAppointmentStart, getMeetingLink } = require('../utils/appointmentUtils');
+const { t, getProspectLanguage } = require('./languageService');
+const { getApprovedTemplate, renderApprovedTemplate, isWithinServiceWindow } = require('./whatsappTemplateService');
+
+/**
+ * Servicio de recordatorios de citas por WhatsApp
+ *
+ * Envía recordatorios antes de cada demostración agendada (por defecto 24 horas
+ * y 1 hora antes) con el enlace de la reunión y las opciones para confirmar,
+ * reprogramar o cancelar. Por la Cloud API, fuera de la ventana de 24 horas se
+ * envía la plantilla aprobada reminder (ver whatsappTemplateService).
+ */
+
+// Expresión cron con la frecuencia de revisión (por defecto, cada 5 minutos)
+const REMINDER_CRON = process.env.REMINDER_CRON || '*/5 * * * *';
+
+// Horas de anticipación de cada recordatorio, de mayor a menor
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '24,1')
+  .split(',')
+  .map(value => parseFloat(value.trim()))
+  .filter(value => !isNaN(value) && value > 0)
+  .sort((a, b) => b - a);
+
+// Intentos fallidos de un recordatorio antes de darlo por omitido
+const REMINDER_MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS || '3', 10);
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Obtiene el recordatorio que corresponde enviar, si alguno
+ * @param {Object} prospect - Estado del prospecto
+ * @param {Date} now - Fecha de referencia
+ * @returns {number|null} - Horas de anticipación del recordatorio o null
+ */
+function getDueReminder(prospect, now = new Date()) {
+  const start = getAppointmentStart(prospect);
+  if (!start || prospect.botPaused || prospect.optedOut || start.isSameOrBefore(now)) {
+    return null;
+  }
+
+  const sent = [...(prospect.remindersSent || []), ...(prospect.remindersSkipped || [])];
+  const bookedAt = prospect.appointmentBookedAt ? moment(prospect.appointmentBookedAt) : null;
+
+  // Enviar solo el recordatorio más cercano que ya esté dentro de su ventana
+  const dueOffsets = REMINDER_OFFSETS_HOURS.filter(offset =>
+    !sent.includes(offset) &&
+    start.clone().subtract(offset, 'hours').isSameOrBefore(now) &&
+    // Omitir recordatorios cuya ventana ya había empezado al agendar la cita
+    (!bookedAt || bookedAt.isBefore(start.clone().subtract(offset, 'hours')))
+  );
+
+  return dueOffsets.length > 0 ? dueOffsets[dueOffsets.length - 1] : null;
+}
+
+/**
+ * Genera el texto del recordatorio en el idioma del prospecto
+ * @param {Object} prospect - Estado del prospecto
+ * @param {number} offset - Horas de anticipación
+ * @returns {string}
+ */
+function buildReminderMessage(prospect, offset) {
+  const start = getAppointmentStart(prospect);
+  const timezone = prospect.timezone || 'America/Lima';
+  const link = getMeetingLink(prospect);
+  const language = getProspectLanguage(prospect);
+  const greeting = prospect.name ? t('reminder.greetingWithName', language, { name: prospect.name }) : t('reminder.greeting', language);
+  const when = offset >= 24
+    ? t('reminder.whenDate', language, { date: formatAppointmentDate(start, timezone, language) })
+    : t('reminder.whenHours', language, {
+      duration: offset === 1 ? t('reminder.oneHour', language) : t('reminder.hours', language, { hours: offset }),
+      time: start.clone().tz(timezone).format('HH:mm')
+    });
+
+  return t('reminder.message', language, { greeting, when }) +
+    (link ? t('reminder.link', language, { link }) : '') +
+    t('reminder.replyOptions', language);
+}
+
+/**
+ * Completa la plantilla aprobada del recordatorio
+ * @param {Object} template - Plantilla aprobada
+ * @param {Object} prospect - Estado del prospecto
+ * @returns {Object} - { name, language, parameters }
+ */
+function buildReminderTemplate(template, prospect) {
+  const start = getAppointmentStart(prospect);
+  const timezone = prospect.timezone || 'America/Lima';
+
+  return renderApprovedTemplate(template, {
+    name: prospect.name,
+    company: prospect.company,
+    date: formatAppointmentDate(start, timezone, getProspectLanguage(prospect)),
+    time: start.clone().tz(timezone).format('HH:mm'),
+    link: getMeetingLink(prospect)
+  }, prospect);
+}
+
+/**
+ * Da por omitido un recordatorio (y los anteriores) para no reintentarlo en cada revisión
+ * @param {Object} prospect - Estado del prospecto
+ * @param {number} offset - Horas de anticipación
+ * @param {string} reason - Motivo (no_approved_template o send_failed)
+ * @returns {Promise<void>}
+ */
+async function skipReminder(prospect, offset, reason) {
+  const remindersSkipped = [
+    ...(prospect.remindersSkipped || []),
+    ...REMINDER_OFFSETS_HOURS.filter(value => value >= offset)
+  ];
+
+  await setProspectFields(prospect.phoneNumber, {
+    remindersSkipped: [...new Set(remindersSkipped)],
+    reminderSkippedReason: reason,
+    reminderFailures: 0
+  });
+
+  logger.warn(`Recordatorio de ${offset}h omitido para ${prospect.phoneNumber} (${reason})`);
+}
+
+/**
+ * Envía un recordatorio y lo registra en el estado del prospecto
+ * @param {Object} prospect - Estado del prospecto
+ * @param {number} offset - Horas de anticipación
+ * @param {BaseTransport} transport - Transporte de WhatsApp
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<string>} - sent, skipped o failed
+ */
+async function sendReminder(prospect, offset, transport, now = new Date()) {
+  const text = buildReminderMessage(prospect, offset);
+
+  // El registro de no contactar manda sobre el estado del prospecto
+  if (await isDoNotContact(prospect.phoneNumber)) {
+    logger.info(`Recordatorio omitido: ${prospect.phoneNumber} está en la lista de no contactar`);
+    return 'skipped';
+  }
+
+  // La Cloud API rechaza el texto libre fuera de la ventana de 24 horas
+  let whatsappTemplate = null;
+  if (transport.requiresApprovedTemplates && !isWithinServiceWindow(prospect, now)) {
+    const template = getApprovedTemplate('reminder');
+    if (!template) {
+      await skipReminder(prospect, offset, 'no_approved_template');
+      return 'skipped';
+    }
+    whatsappTemplate = buildReminderTemplate(template, prospect);
+  }
+
+  try {
+    if (whatsappTemplate) {
+      await transport.sendTemplate(prospect.phoneNumber, whatsappTemplate);
+    } else {
+      await transport.sendText(prospect.phoneNumber, text);
+    }
+    logger.logWhatsAppMessage('outgoing', prospect.phoneNumber, text);
+
+    // El texto del recordatorio se guarda como referencia también cuando se envía la plantilla aprobada
+    await recordMessage(prospect.phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      content: text,
+      conversationState: prospect.conversationState,
+      metadata: { reminder: offset, whatsappTemplate: whatsappTemplate ? whatsappTemplate.name : null }
+    });
+
+    // Marcar también los recordatorios anteriores para no enviarlos tarde
+    const remindersSent = [
+      ...(prospect.remindersSent || []),
+      ...REMINDER_OFFSETS_HOURS.filter(value => value >= offset)
+    ];
+
+    // Solo los campos del recordatorio, para no pisar una respuesta que llegue mientras tanto
+    await setProspectFields(prospect.phoneNumber, {
+      remindersSent: [...new Set(remindersSent)],
+      lastReminderAt: new Date(),
+      awaitingReminderReply: true,
+      reminderFailures: 0,
+      lastResponse: text
+    });
+
+    logger.info(`Recordatorio de ${offset}h enviado a ${prospect.phoneNumber}`);
+    return 'sent';
+  } catch (error) {
+    logger.error(`Error al enviar recordatorio a ${prospect.phoneNumber}:`, error);
+
+    // Reintentar en las siguientes revisiones hasta REMINDER_MAX_ATTEMPTS
+    const reminderFailures = (prospect.reminderFailures || 0) + 1;
+    if (reminderFailures >= REMINDER_MAX_ATTEMPTS) {
+      await skipReminder(prospect, offset, 'send_failed');
+    } else {
+      await setProspectFields(prospect.phoneNumber, { reminderFailures });
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Revisa las citas agendadas y envía los recordatorios pendientes
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - Resumen de la ejecución
+ */
+async function runReminders(now = new Date()) {
+  const summary = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+
+  if (isRunning) {
+    return summary;
+  }
+
+  const transport = getActiveTransport();
+  if (!transport || !transport.isReady) {
+    logger.warn('Transporte de WhatsApp no disponible, se omiten los recordatorios');
+    return summary;
+  }
+
+  isRunning = true;
+  try {
+    await forEachProspect({ state: STATES.APPOINTMENT_CONFIRMED }, async prospect => {
+      summary.checked++;
+      if (!getDueReminder(prospect, now)) {
+        return;
+      }
+
+      // Releer el prospecto: pudo reprogramar o cancelar mientras se recorría su lote
+      const current = await findProspect(prospect.phoneNumber);
+      const offset = current && current.conversationState === STATES.APPOINTMENT_CONFIRMED && getDueReminder(current, now);
+      if (offset) {
+        summary[await sendReminder(current, offset, transport, now)]++;
+      }
+    });
+  } catch (error) {
+    logger.error('Error al ejecutar los recordatorios:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Programa la revisión periódica de recordatorios
+ * @returns {Object|null} - Tarea de node-cron
+ */
+function startReminderScheduler() {
+  if (process.env.REMINDERS_ENABLED === 'false') {
+    logger.info('Recordatorios de citas deshabilitados (REMINDERS_ENABLED=false)');
+    return null;
+  }
+
+  if (!cron.validate(REMINDER_CRON)) {
+    logger.error(`Expresión cron inválida para los recordatorios: ${REMINDER_CRON}`);
+    return null;
+  }
+
+  scheduledTask = cron.schedule(REMINDER_CRON, () => runReminders());
+  logger.info(`Recordatorios de citas programados (${REMINDER_CRON}, anticipación: ${REMINDER_OFFSETS_HOURS.join('h, ')}h)`);
+
+  return scheduledTask;
+}
+
+/**
+ * Detiene la revisión periódica de recordatorios
+ */
+function stopReminderScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  getDueReminder,
+  buildReminderMessage,
+  runReminders,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database');
+const logger = require('../utils/logger');
+const { analyzeCompanySector } = require('./companyService');
+const { CONVERSATION_MACHINE } = require('../config/conversationStates');
+
+/**
+ * Servicio de vendedores y asignación de prospectos
+ *
+ * Carga el equipo comercial desde SELLERS_FILE (JSON) y asigna un vendedor a cada
+ * prospecto cuando califica, según la estrategia SELLER_ASSIGNMENT_STRATEGY:
+ * - round_robin: el vendedor al que hace más tiempo no se le asigna un prospecto
+ * - least_loaded: el vendedor con menos prospectos asignados en la ventana de carga
+ * - territory: los vendedores del país y sector del prospecto (el menos cargado entre ellos)
+ *
+ * Sin archivo de vendedores se usa un único vendedor con VENDEDOR_NOMBRE / VENDEDOR_EMAIL.
+ */
+
+const COLLECTION_NAME = 'seller_assignments';
+
+const DEFAULT_SELLERS_FILE = path.join(__dirname, '../config/sellers.json');
+
+// Estados a partir de los cuales el prospecto se considera calificado
+const QUALIFIED_STATES = Object.keys(CONVERSATION_MACHINE.states)
+  .filter(state => CONVERSATION_MACHINE.states[state].qualified);
+
+// Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
+const memoryStorage = {
+  assignments: []
+};
+
+// Equipo comercial cargado (se lee una sola vez)
+let roster = null;
+
+/**
+ * Vendedor único definido con las variables de entorno
+ * @returns {Object} - Vendedor
+ */
+function getEnvSeller() {
+  return normalizeSeller({
+    id: 'default',
+    name: process.env.VENDEDOR_NOMBRE || 'Roberto Calvo',
+    email: process.env.VENDEDOR_EMAIL || 'ventas@logifit.pe',
+    phone: process.env.VENDEDOR_TELEFONO || '',
+    calendarId: null
+  });
+}
+
+/**
+ * Completa los campos opcionales de un vendedor
+ * @param {Object} seller - Vendedor tal como viene del archivo
+ * @returns {Object} - Vendedor normalizado
+ */
+function normalizeSeller(seller) {
+  return {
+    id: String(seller.id || seller.email),
+    name: seller.name,
+    email: seller.email,
+    phone: String(seller.phone || '').replace(/\D/g, ''),
+    calendarId: seller.calendarId || null,
+    countries: (seller.countries || []).map(country => String(country).toUpperCase()),
+    sectors: (seller.sectors || []).map(sector => String(sector).toLowerCase()),
+    capacity: seller.capacity ? parseInt(seller.capacity, 10) : null,
+    active: seller.active !== false
+  };
+}
+
+/**
+ * Carga el equipo comercial
+ * @returns {Array<Object>} - Vendedores activos
+ */
+function getSellers() {
+  if (roster) {
+    return roster;
+  }
+
+  const filePath = process.env.SELLERS_FILE || DEFAULT_SELLERS_FILE;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const sellers = (Array.isArray(data) ? data : data.sellers || [])
+        .filter(seller => seller && seller.name && seller.email)
+        .map(normalizeSeller)
+        .filter(seller => seller.active);
+
+      if (sellers.length > 0) {
+        logger.info(`Equipo comercial cargado desde ${filePath}: ${sellers.map(seller => seller.name).join(', ')}`);
+        roster = sellers;
+        return roster;
+      }
+
+      logger.warn(`El archivo de vendedores ${filePath} no tiene vendedores activos`);
+    }
+  } catch (error) {
+    logger.error(`Error al cargar el archivo de vendedores ${filePath}:`, error);
+  }
+
+  roster = [getEnvSeller()];
+  return roster;
+}
+
+/**
+ * Vuelve a leer el archivo de vendedores
+ * @returns {Array<Object>} - Vendedores activos
+ */
+function reloadSellers() {
+  roster = null;
+  return getSellers();
+}
+
+/**
+ * Busca un vendedor por su ID
+ * @param {string} sellerId - ID del vendedor
+ * @returns {Object|null}
+ */
+function getSellerById(sellerId) {
+  return getSellers().find(seller => seller.id === sellerId) || null;
+}
+
+/**
+ * Obtiene el vendedor a cargo de un prospecto (o el primero del equipo si aún no tiene)
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - Vendedor
+ */
+function getAssignedSeller(prospectState = {}) {
+  const assigned = prospectState.assignedSeller;
+
+  if (assigned && assigned.id) {
+    // Preferir los datos actuales del equipo por si cambió el correo o el calendario
+    return getSellerById(assigned.id) || normalizeSeller(assigned);
+  }
+
+  return getSellers()[0];
+}
+
+/**
+ * Calendarios a consultar para la disponibilidad del vendedor de un prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Array<string>|null} - IDs de calendario, o null para usar CALENDAR_IDS
+ */
+function getSellerCalendarIds(prospectState) {
+  const seller = getAssignedSeller(prospectState);
+  return seller.calendarId ? [seller.calendarId] : null;
+}
+
+/**
+ * Verifica si un prospecto ya califica para tener un vendedor asignado
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {boolean}
+ */
+function needsSellerAssignment(prospectState) {
+  return QUALIFIED_STATES.includes(prospectState.conversationState) && !prospectState.assignedSeller;
+}
+
+/**
+ * Obtiene las asignaciones registradas desde una fecha
+ * @param {Date} since - Fecha desde la que contar
+ * @returns {Promise<Array<Object>>} - Asignaciones ({ phoneNumber, sellerId, assignedAt })
+ */
+async function getAssignmentsSince(since) {
+  try {
+    const collection = await db.collection(COLLECTION_NAME);
+
+    if (collection) {
+      return await collection.find({ assignedAt: { $gte: since } }).toArray();
+    }
+  } catch (error) {
+    logger.error('Error al obtener las asignaciones de vendedores:', error);
+  }
+
+  return memoryStorage.assignments.filter(assignment => assignment.assignedAt >= since);
+}
+
+/**
+ * Registra la asignación de un prospecto a un vendedor
+ * @param {Object} assignment - Asignación
+ */
+async function saveAssignment(assignment) {
+  try {
+    const collection = await db.collection(COLLECTION_NAME);
+
+    if (collection) {
+      await collection.insertOne(assignment);
+      return;
+    }
+  } catch (error) {
+    logger.error('Error al guardar la asignación de vendedor:', error);
+  }
+
+  memoryStorage.assignments.push(assignment);
+}
+
+/**
+ * Quita el número de un prospecto de sus asignaciones (derecho de supresión)
+ * Las asignaciones se conservan sin el número para no alterar la carga de cada vendedor
+ * @param {string} phoneNumber - Número del prospecto
+ * @returns {Promise<number>} - Cantidad de asignaciones anonimizadas
+ */
+async function anonymizeAssignments(phoneNumber) {
+  const collection = await db.collection(COLLECTION_NAME);
+  if (collection) {
+    const result = await collection.updateMany({ phoneNumber }, { $set: { phoneNumber: null } });
+    return result.modifiedCount || 0;
+  }
+
+  const assignments = memoryStorage.assignments.filter(assignment => assignment.phoneNumber === phoneNumber);
+  assignments.forEach(assignment => {
+    assignment.phoneNumber = null;
+  });
+  return assignments.length;
+}
+
+/**
+ * Calcula la carga de cada vendedor en la ventana SELLER_LOAD_WINDOW_DAYS
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} - Por ID de vendedor: { count, lastAssignedAt }
+ */
+async function getSellerLoads(now = new Date()) {
+  const windowDays = parseInt(process.env.SELLER_LOAD_WINDOW_DAYS || '30', 10);
+  const since = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+  const assignments = await getAssignmentsSince(since);
+  const loads = {};
+
+  getSellers().forEach(seller => {
+    loads[seller.id] = { count: 0, lastAssignedAt: null };
+  });
+
+  assignments.forEach(assignment => {
+    const load = loads[assignment.sellerId];
+    if (!load) return;
+
+    load.count++;
+    if (!load.lastAssignedAt || assignment.assignedAt > load.lastAssignedAt) {
+      load.lastAssignedAt = assignment.assignedAt;
+    }
+  });
+
+  return loads;
+}
+
+/**
+ * Ordena por menor carga y, a igual carga, por la asignación más antigua
+ */
+function byLoad(loads) {
+  return (a, b) => (loads[a.id].count - loads[b.id].count) || byLastAssigned(loads)(a, b);
+}
+
+/**
+ * Ordena por la asignación más antigua (los que nunca recibieron un prospecto primero)
+ */
+function byLastAssigned(loads) {
+  return (a, b) => {
+    const lastA = loads[a.id].lastAssignedAt ? new Date(loads[a.id].lastAssignedAt).getTime() : 0;
+    const lastB = loads[b.id].lastAssignedAt ? new Date(loads[b.id].lastAssignedAt).getTime() : 0;
+    return lastA - lastB;
+  };
+}
+
+/**
+ * Estrategias de asignación: reciben los candidatos, la carga y el prospecto
+ * y devuelven los candidatos en orden de preferencia
+ */
+const ASSIGNMENT_STRATEGIES = {
+  round_robin: (sellers, loads) => [...sellers].sort(byLastAssigned(loads)),
+
+  least_loaded: (sellers, loads) => [...sellers].sort(byLoad(loads)),
+
+  territory: (sellers, loads, prospectState) => {
+    const country = String(prospectState.country || '').toUpperCase();
+    const sector = String(prospectState.sector || analyzeCompanySector({ razonSocial: prospectState.company })).toLowerCase();
+
+    // Un vendedor sin países o sectores configurados atiende cualquiera
+    const covers = (values, value) => values.length === 0 || values.includes(value);
+    const score = seller =>
+      (seller.countries.includes(country) ? 2 : 0) + (seller.sectors.includes(sector) ? 1 : 0);
+
+    const matching = sellers.filter(seller => covers(seller.countries, country) && covers(seller.sectors, sector));
+    const candidates = matching.length > 0 ? matching : sellers;
+
+    // Primero los especialistas del territorio, luego por carga
+    return [...candidates].sort((a, b) => (score(b) - score(a)) || byLoad(loads)(a, b));
+  }
+};
+
+/**
+ * Elige un vendedor para un prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} options - Opciones
+ * @param {string} options.strategy - Estrategia (por defecto, SELLER_ASSIGNMENT_STRATEGY)
+ * @param {Date} options.now - Fecha de referencia
+ * @returns {Promise<Object>} - Vendedor elegido
+ */
+async function pickSeller(prospectState, options = {}) {
+  const sellers = getSellers();
+  const strategyName = options.strategy || process.env.SELLER_ASSIGNMENT_STRATEGY || 'round_robin';
+  const strategy = ASSIGNMENT_STRATEGIES[strategyName];
+
+  if (!strategy) {
+    logger.warn(`Estrategia de asignación desconocida: ${strategyName}, se usará round_robin`);
+  }
+
+  if (sellers.length === 1) {
+    return sellers[0];
+  }
+
+  const loads = await getSellerLoads(options.now);
+  const ranked = (strategy || ASSIGNMENT_STRATEGIES.round_robin)(sellers, loads, prospectState);
+
+  // Respetar la capacidad de cada vendedor; si todos están llenos, el de menor carga
+  const available = ranked.find(seller => !seller.capacity || loads[seller.id].count < seller.capacity);
+  if (!available) {
+    logger.warn(`Todos los vendedores alcanzaron su capacidad, se asigna al de menor carga`);
+    return [...ranked].sort(byLoad(loads))[0];
+  }
+
+  return available;
+}
+
+/**
+ * Asigna un vendedor a un prospecto y registra la asignación
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} options - Opciones de pickSeller
+ * @returns {Promise<Object>} - Nuevo estado con assignedSeller
+ */
+async function assignSeller(prospectState, options = {}) {
+  try {
+    const seller = await pickSeller(prospectState, options);
+    const assignedAt = options.now || new Date();
+
+    await saveAssignment({
+      phoneNumber: prospectState.phoneNumber,
+      sellerId: seller.id,
+      strategy: options.strategy || process.env.SELLER_ASSIGNMENT_STRATEGY || 'round_robin',
+      assignedAt
+    });
+
+    logger.info(`Prospecto ${prospectState.phoneNumber} asignado a ${seller.name}`);
+    console.log(`Vendedor asignado a ${prospectState.phoneNumber}: ${seller.name}`);
+
+    return {
+      ...prospectState,
+      assignedSeller: {
+        id: seller.id,
+        name: seller.name,
+        email: seller.email,
+        phone: seller.phone,
+        calendarId: seller.calendarId
+      },
+      assignedSellerAt: assignedAt
+    };
+  } catch (error) {
+    logger.error(`Error al asignar vendedor a ${prospectState.phoneNumber}:`, error);
+    return prospectState;
+  }
+}
+
+module.exports = {
+  QUALIFIED_STATES,
+  ASSIGNMENT_STRATEGIES,
+  getSellers,
+  reloadSellers,
+  getSellerById,
+  getAssignedSeller,
+  getSellerCalendarIds,
+  getSellerLoads,
+  needsSellerAssignment,
+  pickSeller,
+  assignSeller,
+  anonymizeAssignments
+};
@@ -6,6 +6,7 @@
 
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { scoreLead, explainLeadScore } = require('./leadScoringService');
 
 // URL del webhook de Make.com para la integración con Google Sheets
 const SHEETS_WEBHOOK_URL = process.env.MAKE_SHEETS_WEBHOOK_URL;
@@ -80,15 +81,22 @@ function formatProspectData(prospectData) {
     qualificationAnswers = {},
     interestAnalysis = {},
     appointmentDetails = {},
+    assignedSeller = {},
     conversationState,
     lastInteraction,
     firstInteraction,
+    optedOut,
+    campaign,
+    adAttribution,
     source = 'WhatsApp'
   } = prospectData;
+  const ad = adAttribution || {};
+  const utm = ad.utm || {};
   
   // Formatear la fecha actual
   const now = new Date();
   const formattedDate = now.toISOString();
+  const leadScore = scoreLead(prospectData);
   
   // Crear objeto con los datos formateados
   return {
@@ -109,10 +117,35 @@ function formatProspectData(prospectData) {
     Puntuacion_Interes: interestAnalysis.interestScore || 0,
     Razonamiento: interestAnalysis.reasoning || 'No disponible',
     
+    // Puntaje del prospecto y su detalle por factor
+    Puntaje_Lead: leadScore.score,
+    Nivel_Lead: leadScore.tier,
+    Detalle_Puntaje: explainLeadScore(leadScore),
+    
     // Datos de la cita (si existe)
-    Cita_Programada: appointmentDetails.date ? 'Sí' : 'No',
+    Cita_Programada: appointmentDetails.date && appointmentDetails.status !== 'cancelada' ? 'Sí' : 'No',
     Fecha_Cita: appointmentDetails.date || 'No programada',
     Hora_Cita: appointmentDetails.time || 'No programada',
+    Estado_Cita: appointmentDetails.status || (appointmentDetails.date ? 'programada' : 'sin cita'),
+    
+    // Vendedor a cargo
+    Vendedor: assignedSeller.name || 'Sin asignar',
+    Email_Vendedor: assignedSeller.email || 'Sin asignar',
+    
+    // El prospecto pidió no recibir más mensajes
+    No_Contactar: optedOut ? 'Sí' : 'No',
+    
+    // Anuncio del que vino el prospecto (Click-to-WhatsApp), para medir el retorno
+    Campana: campaign || 'Sin campaña',
+    Anuncio_Id: ad.adId || '',
+    Anuncio_Titulo: ad.headline || '',
+    Anuncio_Red: ad.platform || '',
+    Anuncio_URL: ad.sourceUrl || '',
+    UTM_Source: utm.utm_source || '',
+    UTM_Medium: utm.utm_medium || '',
+    UTM_Campaign: utm.utm_campaign || '',
+    UTM_Content: utm.utm_content || '',
+    UTM_Term: utm.utm_term || '',
     
     // Metadatos
     Estado_Conversacion: conversationState || 'Nuevo',
@@ -189,7 +222,52 @@ async function updateProspectInSheets(phoneNumber, updatedData) {
   }
 }
 
+/**
+ * Solicita eliminar la fila de un prospecto en Google Sheets (supresión de datos)
+ * Solo se envía el teléfono: el escenario de Make.com busca la fila y la borra
+ * @param {string} phoneNumber - Número de teléfono del prospecto
+ * @returns {Promise<Object>} - Resultado de la operación
+ */
+async function deleteProspectFromSheets(phoneNumber) {
+  try {
+    if (!SHEETS_WEBHOOK_URL) {
+      logger.warn('No se ha configurado la URL del webhook para Google Sheets');
+      return {
+        success: false,
+        error: 'URL_NOT_CONFIGURED',
+        message: 'No se ha configurado la URL del webhook para Google Sheets'
+      };
+    }
+    
+    const response = await axios.post(SHEETS_WEBHOOK_URL, {
+      Telefono: phoneNumber,
+      Accion: 'eliminacion_prospecto',
+      Fecha_Registro: new Date().toISOString()
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000 // 10 segundos de timeout
+    });
+    
+    logger.info(`Eliminación del prospecto ${phoneNumber} enviada a Google Sheets (${response.status})`);
+    return {
+      success: true,
+      data: response.data
+    };
+  } catch (error) {
+    logger.error(`Error al eliminar el prospecto ${phoneNumber} de Google Sheets:`, error);
+    return {
+      success: false,
+      error: 'EXCEPTION',
+      message: error.message
+    };
+  }
+}
+
 module.exports = {
   saveProspectToSheets,
-  updateProspectInSheets
+  updateProspectInSheets,
+  deleteProspectFromSheets,
+  formatProspectData
 }; 
\ No newline at end of file
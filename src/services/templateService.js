@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { t, formatText, localize, getProspectLanguage } = require('./languageService');
+const { getAssignedSeller } = require('./sellerService');
+
+/**
+ * Servicio de plantillas de respuesta con pruebas A/B
+ *
+ * Cada clave de texto (las mismas de src/config/locales, como "greeting.welcome")
+ * puede tener en src/config/templates.json (o en TEMPLATES_FILE) varias variantes.
+ * A cada prospecto se le asigna una variante por clave, al azar o según su peso,
+ * y la conserva en templateVariants; una variante sin texto usa el de locales
+ * (grupo de control). Al llegar a la invitación y al agendar la demo se registra
+ * la conversión en templateConversions para comparar variantes.
+ */
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '../config/templates.json');
+
+// Conversiones que se miden por variante
+const CONVERSIONS = ['invitation', 'demo'];
+
+// Catálogo cargado (se lee una sola vez)
+let catalog = null;
+
+/**
+ * Carga el catálogo de plantillas
+ * @returns {Object} - Plantillas por clave de texto
+ */
+function getTemplates() {
+  if (catalog) {
+    return catalog;
+  }
+
+  const filePath = process.env.TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE;
+
+  try {
+    catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`No se pudo leer el catálogo de plantillas ${filePath}, se usan los textos de locales:`, error.message);
+    catalog = {};
+  }
+
+  return catalog;
+}
+
+/**
+ * Vuelve a leer el catálogo (tras cambiar TEMPLATES_FILE o el archivo)
+ * @returns {Object} - Plantillas por clave de texto
+ */
+function reloadTemplates() {
+  catalog = null;
+  return getTemplates();
+}
+
+/**
+ * Plantilla activa de una clave, o null si no hay prueba en curso
+ * @param {string} key - Clave del texto
+ * @returns {Object|null}
+ */
+function getActiveTemplate(key) {
+  const template = getTemplates()[key];
+  if (!template || template.active === false || !Array.isArray(template.variants) || template.variants.length === 0) {
+    return null;
+  }
+  return template;
+}
+
+/**
+ * Elige una variante al azar (assignment "random") o según su peso ("weighted")
+ * @param {Object} template - Plantilla con sus variantes
+ * @returns {Object} - Variante elegida
+ */
+function pickVariant(template) {
+  const { variants } = template;
+
+  if (template.assignment === 'random') {
+    return variants[Math.floor(Math.random() * variants.length)];
+  }
+
+  const weights = variants.map(variant => Math.max(Number(variant.weight) || 0, 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return variants[Math.floor(Math.random() * variants.length)];
+  }
+
+  let point = Math.random() * total;
+  for (let i = 0; i < variants.length; i++) {
+    point -= weights[i];
+    if (point < 0) {
+      return variants[i];
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Variante asignada a un prospecto (la conserva si ya tenía una válida)
+ * @param {string} key - Clave del texto
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object|null} - Variante, o null si la clave no tiene prueba activa
+ */
+function getVariant(key, prospectState = {}) {
+  const template = getActiveTemplate(key);
+  if (!template) {
+    return null;
+  }
+
+  const assignedId = (prospectState.templateVariants || {})[key];
+  return template.variants.find(variant => variant.id === assignedId) || pickVariant(template);
+}
+
+/**
+ * Texto de una clave para un prospecto, con la variante que le corresponde
+ *
+ * Los valores name, company y seller se completan con los datos del prospecto
+ * y de su vendedor; los que se pasan tienen prioridad (por ejemplo slot).
+ * @param {string} key - Clave del texto ("invitation.priceRequest")
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} values - Valores para {campo}
+ * @returns {Object} - { text, variant (id o null), templateVariants (para guardar en el estado) }
+ */
+function renderTemplate(key, prospectState = {}, values = {}) {
+  const seller = getAssignedSeller(prospectState);
+  const allValues = {
+    name: prospectState.name,
+    company: prospectState.company || t('common.yourCompany', prospectState),
+    seller: seller ? seller.name : undefined,
+    ...values
+  };
+
+  const variant = getVariant(key, prospectState);
+  const templateVariants = { ...(prospectState.templateVariants || {}) };
+
+  if (!variant) {
+    return { text: t(key, prospectState, allValues), variant: null, templateVariants };
+  }
+
+  templateVariants[key] = variant.id;
+  const text = variant.text
+    ? formatText(localize(variant.text, getProspectLanguage(prospectState)), allValues)
+    : t(key, prospectState, allValues);
+
+  return { text, variant: variant.id, templateVariants };
+}
+
+/**
+ * Registra la conversión de las variantes que vio el prospecto (solo la primera vez)
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {string} conversion - 'invitation' (llegó a la invitación) o 'demo' (agendó la demo)
+ * @param {Date} date - Fecha de la conversión
+ * @returns {Object} - Estado del prospecto actualizado
+ */
+function trackConversion(prospectState, conversion, date = new Date()) {
+  const conversions = prospectState.templateConversions || {};
+  if (!CONVERSIONS.includes(conversion) || Object.keys(prospectState.templateVariants || {}).length === 0 ||
+      conversions[conversion]) {
+    return prospectState;
+  }
+
+  return {
+    ...prospectState,
+    templateConversions: { ...conversions, [conversion]: date }
+  };
+}
+
+/**
+ * Resultados de cada variante sobre una lista de prospectos
+ * @param {Array<Object>} prospects - Prospectos con templateVariants
+ * @returns {Array<Object>} - { key, variant, assigned, reachedInvitation, bookedDemo, invitationRate, demoRate }
+ */
+function getTemplateStats(prospects) {
+  const stats = new Map();
+
+  for (const prospect of prospects) {
+    const conversions = prospect.templateConversions || {};
+
+    for (const [key, variant] of Object.entries(prospect.templateVariants || {})) {
+      const id = `${key}:${variant}`;
+      if (!stats.has(id)) {
+        stats.set(id, { key, variant, assigned: 0, reachedInvitation: 0, bookedDemo: 0 });
+      }
+
+      const entry = stats.get(id);
+      entry.assigned += 1;
+      entry.reachedInvitation += conversions.invitation ? 1 : 0;
+      entry.bookedDemo += conversions.demo ? 1 : 0;
+    }
+  }
+
+  return formatTemplateStats(Array.from(stats.values()));
+}
+
+/**
+ * Agrega las tasas de conversión a los conteos por variante
+ * @param {Array<Object>} entries - { key, variant, assigned, reachedInvitation, bookedDemo }
+ * @returns {Array<Object>} - Conteos con invitationRate y demoRate, por clave y variante
+ */
+function formatTemplateStats(entries) {
+  return entries
+    .map(entry => ({
+      ...entry,
+      invitationRate: Math.round((entry.reachedInvitation / entry.assigned) * 1000) / 10,
+      demoRate: Math.round((entry.bookedDemo / entry.assigned) * 1000) / 10
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key) || String(a.variant).localeCompare(String(b.variant)));
+}
+
+module.exports = {
+  getTemplates,
+  reloadTemplates,
+  getVariant,
+  renderTemplate,
+  trackConversion,
+  getTemplateStats,
+  formatTemplateStats
+};
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { localize, getProspectLanguage } = require('./languageService');
+
+/**
+ * Servicio de respuestas por nota de voz (texto a voz)
+ *
+ * Si VOICE_REPLIES=true y el prospecto escribe con audios, la respuesta del bot
+ * se sintetiza y se envía como nota de voz (OGG/Opus, PTT). La voz, el modelo y
+ * la velocidad se configuran en VOICE_SETTINGS_FILE, con valores por campaña.
+ *
+ * Proveedores:
+ * - openai: API de voz de OpenAI (tts-1), que devuelve OGG/Opus.
+ * - local: genera una nota de voz en silencio con la duración del texto; sirve
+ *   para pruebas y para el simulador, sin red ni credenciales.
+ */
+
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, '../config/voices.json');
+
+// Los audios generados se guardan junto a los que descargan los transportes
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+const VOICE_MIMETYPE = 'audio/ogg; codecs=opus';
+
+// Tiempo máximo de espera de la síntesis: pasado este tiempo la respuesta se envía como texto
+const TTS_TIMEOUT_MS = parseInt(process.env.TTS_TIMEOUT_MS || '10000', 10);
+
+// Tipos de mensaje que cuentan como "el prospecto habló por audio"
+const VOICE_MESSAGE_TYPES = ['audio', 'voice', 'ptt'];
+
+const DEFAULT_VOICE = {
+  enabled: true,
+  provider: 'openai',
+  model: 'tts-1',
+  voice: 'nova',
+  speed: 1,
+  // Las respuestas más largas se envían como texto (una nota de voz larga cansa)
+  maxCharacters: 600
+};
+
+// Configuración cargada (se lee una sola vez)
+let voiceSettings = null;
+
+/**
+ * Carga la configuración de voces
+ * @returns {Object} - { default, campaigns }
+ */
+function getVoiceSettings() {
+  if (voiceSettings) {
+    return voiceSettings;
+  }
+
+  const filePath = process.env.VOICE_SETTINGS_FILE || DEFAULT_SETTINGS_FILE;
+  voiceSettings = { default: { ...DEFAULT_VOICE }, campaigns: {} };
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      voiceSettings = {
+        default: { ...DEFAULT_VOICE, ...(data.default || {}) },
+        campaigns: Object.fromEntries(
+          Object.entries(data.campaigns || {}).map(([campaign, settings]) => [campaign.toLowerCase(), settings])
+        )
+      };
+
+      logger.info(`Configuración de voces cargada desde ${filePath}`);
+    }
+  } catch (error) {
+    logger.error(`Error al cargar la configuración de voces ${filePath}:`, error);
+  }
+
+  return voiceSettings;
+}
+
+/**
+ * Vuelve a leer la configuración de voces
+ * @returns {Object}
+ */
+function reloadVoiceSettings() {
+  voiceSettings = null;
+  return getVoiceSettings();
+}
+
+/**
+ * Voz que corresponde al prospecto: la de su campaña sobre la predeterminada
+ * TTS_PROVIDER, si está definido, reemplaza el proveedor de la configuración.
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Object} - { enabled, provider, model, voice, speed, maxCharacters }
+ */
+function getProspectVoice(prospectState = {}) {
+  const settings = getVoiceSettings();
+  const campaign = String(prospectState.campaign || prospectState.campaignType || '').toLowerCase();
+  const voice = { ...settings.default, ...(settings.campaigns[campaign] || {}) };
+
+  return {
+    ...voice,
+    provider: process.env.TTS_PROVIDER || voice.provider,
+    // La voz puede definirse por idioma: { "es": "nova", "en": "alloy" }
+    voice: localize(voice.voice, getProspectLanguage(prospectState))
+  };
+}
+
+/**
+ * Limpia el texto para leerlo en voz alta (sin emojis, formato ni enlaces)
+ * @param {string} text - Texto de la respuesta
+ * @returns {string}
+ */
+function prepareSpeechText(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[*_~`]/g, '')
+    .replace(/[\p{Extended_Pictographic}️‍]/gu, '')
+    .replace(/\s*\n+\s*/g, '. ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/([.!?:])\./g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Indica si la respuesta debe enviarse como nota de voz
+ *
+ * Solo cuando el modo está activo, el prospecto habló por audio, su campaña no
+ * lo desactiva y la respuesta no ofrece botones (que necesitan texto) ni supera
+ * el largo máximo.
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {string} incomingType - Tipo del mensaje recibido
+ * @param {Object} reply - { text, interactive }
+ * @returns {boolean}
+ */
+function shouldReplyWithVoice(prospectState, incomingType, reply = {}) {
+  if (process.env.VOICE_REPLIES !== 'true' || !VOICE_MESSAGE_TYPES.includes(incomingType)) {
+    return false;
+  }
+
+  const voice = getProspectVoice(prospectState);
+  const text = prepareSpeechText(reply.text);
+
+  return voice.enabled !== false &&
+    prospectState.voiceReplies !== false &&
+    !reply.interactive &&
+    text.length > 0 &&
+    text.length <= voice.maxCharacters;
+}
+
+/**
+ * Sintetiza el texto con la API de voz de OpenAI
+ * @param {string} text - Texto a leer
+ * @param {Object} voice - Configuración de la voz
+ * @returns {Promise<Buffer>} - Audio OGG/Opus
+ */
+async function synthesizeWithOpenAI(text, voice) {
+  const response = await axios.post(
+    'https://api.openai.com/v1/audio/speech',
+    {
+      model: voice.model,
+      voice: voice.voice,
+      input: text,
+      speed: voice.speed,
+      response_format: 'opus'
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      },
+      responseType: 'arraybuffer',
+      timeout: TTS_TIMEOUT_MS
+    }
+  );
+
+  return Buffer.from(response.data);
+}
+
+// Tabla del CRC de las páginas Ogg (polinomio 0x04c11db7, sin reflejar)
+const OGG_CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+// Trama Opus de 20 ms en silencio y muestras por trama a 48 kHz
+const OPUS_SILENCE_FRAME = Buffer.from([0xf8, 0xff, 0xfe]);
+const OPUS_FRAME_SAMPLES = 960;
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * Arma una página Ogg con sus paquetes
+ * @param {Array<Buffer>} packets - Paquetes completos
+ * @param {Object} options - { headerType, granule, serial, sequence }
+ * @returns {Buffer}
+ */
+function buildOggPage(packets, { headerType = 0, granule = 0, serial, sequence }) {
+  const segments = [];
+  for (const packet of packets) {
+    let length = packet.length;
+    while (length >= 255) {
+      segments.push(255);
+      length -= 255;
+    }
+    segments.push(length);
+  }
+
+  const header = Buffer.alloc(27 + segments.length);
+  header.write('OggS', 0);
+  header[5] = headerType;
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  Buffer.from(segments).copy(header, 27);
+
+  const page = Buffer.concat([header, ...packets]);
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  page.writeUInt32LE(crc, 22);
+
+  return page;
+}
+
+/**
+ * Sustituto local del texto a voz: una nota de voz OGG/Opus en silencio que dura
+ * lo que tardaría en leerse el texto (unas 150 palabras por minuto). El texto
+ * queda en los comentarios del archivo para poder revisarlo en las pruebas.
+ * @param {string} text - Texto a leer
+ * @param {Object} voice - Configuración de la voz
+ * @returns {Promise<Buffer>} - Audio OGG/Opus
+ */
+async function synthesizeLocally(text, voice) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const durationMs = Math.max(1000, (words * 400) / (voice.speed || 1));
+  const frames = Math.ceil(durationMs / 20);
+  const serial = Math.floor(Math.random() * 0xffffffff);
+
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0);
+  head[8] = 1; // versión
+  head[9] = 1; // canales
+  head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  head.writeUInt32LE(48000, 12);
+
+  const vendor = Buffer.from('logifit-local-tts');
+  const comments = [`VOICE=${voice.voice}`, `TEXT=${text}`].map(comment => Buffer.from(comment));
+  const uint32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+  };
+  const tags = Buffer.concat([
+    Buffer.from('OpusTags'),
+    uint32(vendor.length), vendor,
+    uint32(comments.length),
+    ...comments.flatMap(comment => [uint32(comment.length), comment])
+  ]);
+
+  const pages = [
+    buildOggPage([head], { headerType: 0x02, serial, sequence: 0 }),
+    buildOggPage([tags], { serial, sequence: 1 })
+  ];
+
+  // Hasta 250 tramas (5 segundos) por página
+  for (let written = 0; written < frames; written += 250) {
+    const count = Math.min(250, frames - written);
+    pages.push(buildOggPage(Array(count).fill(OPUS_SILENCE_FRAME), {
+      headerType: written + count >= frames ? 0x04 : 0,
+      granule: OPUS_PRE_SKIP + (written + count) * OPUS_FRAME_SAMPLES,
+      serial,
+      sequence: pages.length
+    }));
+  }
+
+  return Buffer.concat(pages);
+}
+
+const PROVIDERS = {
+  openai: synthesizeWithOpenAI,
+  local: synthesizeLocally
+};
+
+/**
+ * Genera la nota de voz de una respuesta
+ *
+ * Nunca lanza errores: si no se puede sintetizar, la respuesta se envía como texto.
+ * @param {string} text - Texto de la respuesta
+ * @param {Object} prospectState - Estado del prospecto
+ * @returns {Promise<Object|null>} - Adjunto de audio PTT (ver BaseTransport.sendMedia) o null
+ */
+async function createVoiceReply(text, prospectState = {}) {
+  const voice = getProspectVoice(prospectState);
+  const synthesize = PROVIDERS[voice.provider];
+
+  if (!synthesize) {
+    logger.error(`Proveedor de voz desconocido: ${voice.provider}`);
+    return null;
+  }
+
+  try {
+    const audio = await synthesize(prepareSpeechText(text), voice);
+
+    if (!fs.existsSync(TEMP_DIR)) {
+      fs.mkdirSync(TEMP_DIR, { recursive: true });
+    }
+    const filePath = path.join(TEMP_DIR, `voice-${prospectState.phoneNumber || 'reply'}-${Date.now()}.ogg`);
+    fs.writeFileSync(filePath, audio);
+
+    logger.info(`Nota de voz generada (${voice.provider}, ${voice.voice}): ${filePath}`);
+    return {
+      id: 'voice-reply',
+      type: 'audio',
+      path: filePath,
+      mimetype: VOICE_MIMETYPE,
+      ptt: true,
+      voice: voice.voice,
+      provider: voice.provider
+    };
+  } catch (error) {
+    logger.error(`No se pudo generar la nota de voz (${voice.provider}):`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getVoiceSettings,
+  reloadVoiceSettings,
+  getProspectVoice,
+  prepareSpeechText,
+  shouldReplyWithVoice,
+  createVoiceReply
+};
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const moment = require('moment-timezone');
+const { getSchedulingConfig } = require('./calendarService');
+const { getAssignedSeller } = require('./sellerService');
 
 /**
  * Servicio para manejar la integración con make.com mediante webhooks
@@ -9,6 +11,9 @@ const moment = require('moment-timezone');
 // URL del webhook de Make.com (se debe configurar en .env)
 const MAKE_WEBHOOK_URL = process.env.MAKE_WEBHOOK_URL || '';
 
+// URL del webhook de Make.com para reprogramar o cancelar citas
+const MAKE_UPDATE_WEBHOOK_URL = process.env.MAKE_UPDATE_WEBHOOK_URL || '';
+
 /**
  * Envía los datos de la cita a Make.com para crear un evento en Google Calendar
  * @param {Object} appointmentData - Datos de la cita
@@ -36,8 +41,9 @@ async function sendAppointmentToMake(appointmentData) {
       };
     }
     
-    // Verificar que el correo del cliente esté presente
-    const clienteEmail = appointmentData.Participantes.find(p => p.email !== process.env.VENDEDOR_EMAIL)?.email;
+    // Verificar que el correo del cliente esté presente (el primer participante es el vendedor)
+    const vendedorEmail = appointmentData.Participantes[0].email;
+    const clienteEmail = appointmentData.Participantes.find(p => p.email !== vendedorEmail)?.email;
     if (!clienteEmail) {
       logger.warn('No se encontró el correo del cliente en los participantes');
       return {
@@ -115,13 +121,15 @@ async function sendAppointmentToMake(appointmentData) {
  * @returns {Object} - Datos formateados para el webhook
  */
 function formatAppointmentData(prospectState, appointmentDetails) {
-  // Obtener el nombre del vendedor desde las variables de entorno
-  const vendedorNombre = process.env.VENDEDOR_NOMBRE || 'Asesor Logifit';
-  const vendedorEmail = process.env.VENDEDOR_EMAIL || 'ventas@logifit.pe';
+  // Vendedor asignado al prospecto
+  const seller = getAssignedSeller(prospectState);
+  const vendedorNombre = seller.name || 'Asesor Logifit';
+  const vendedorEmail = seller.email || 'ventas@logifit.pe';
   
-  // Calcular la fecha de fin (30 minutos después de la fecha de inicio)
+  // Calcular la fecha de fin según la duración configurada de la reunión
+  const { meetingMinutes } = getSchedulingConfig();
   const startDateTime = moment(appointmentDetails.dateTime);
-  const endDateTime = startDateTime.clone().add(30, 'minutes');
+  const endDateTime = startDateTime.clone().add(meetingMinutes, 'minutes');
   
   // Formatear fechas exactamente como en el ejemplo exitoso
   const fechaInicioFormateada = `${startDateTime.date()} de ${startDateTime.locale('es').format('MMMM')} de ${startDateTime.year()} ${startDateTime.hour()}:${startDateTime.format('mm')}`;
@@ -177,8 +185,8 @@ function formatAppointmentData(prospectState, appointmentDetails) {
     "Create an Event": "detail",
     "Color": 1,
     "Event Name": tituloEvento,
-    "Calendar ID": vendedorEmail,
-    "Duration": "00:30:00",
+    "Calendar ID": seller.calendarId || vendedorEmail,
+    "Duration": moment.utc(0).add(meetingMinutes, 'minutes').format('HH:mm:ss'),
     "Use the default reminder settings for events on this calendar": true,
     "Visibility": "default",
     "All Day Event": false,
@@ -193,7 +201,67 @@ function formatAppointmentData(prospectState, appointmentDetails) {
   return formattedData;
 }
 
+/**
+ * Notifica a Make.com que una cita fue reprogramada o cancelada
+ * @param {Object} prospectState - Estado del prospecto con la cita actualizada
+ * @param {string} action - reprogramar_cita | cancelar_cita
+ * @returns {Promise<Object>} - Respuesta del webhook
+ */
+async function sendAppointmentUpdateToMake(prospectState, action) {
+  try {
+    if (!MAKE_UPDATE_WEBHOOK_URL) {
+      logger.warn('No se ha configurado la URL del webhook de actualización de citas de Make.com');
+      return {
+        success: false,
+        error: 'No se ha configurado la URL del webhook'
+      };
+    }
+    
+    const appointmentDetails = prospectState.appointmentDetails || {};
+    const seller = getAssignedSeller(prospectState);
+    const startDateTime = moment(appointmentDetails.startTime || prospectState.selectedSlot?.dateTime);
+    const endDateTime = startDateTime.clone().add(getSchedulingConfig().meetingMinutes, 'minutes');
+    
+    const data = {
+      Accion: action,
+      Titulo: `Demostración Logifit - ${prospectState.name || 'Cliente'}`,
+      Telefono: prospectState.phoneNumber,
+      Email: prospectState.emails && prospectState.emails.length > 0 ? prospectState.emails[0] : null,
+      Evento_ID: appointmentDetails.calendarEventId || null,
+      Calendar_ID: seller.calendarId || seller.email,
+      Vendedor: seller.email,
+      Hangout_Link: prospectState.webhookResult?.hangoutLink || appointmentDetails.meetLink || null,
+      "Fecha de Inicio": action === 'cancelar_cita' ? null : startDateTime.utc().format('YYYY-MM-DDTHH:mm:ss.000000Z'),
+      "Fecha Fin": action === 'cancelar_cita' ? null : endDateTime.utc().format('YYYY-MM-DDTHH:mm:ss.000000Z'),
+      Timestamp: new Date().toISOString()
+    };
+    
+    logger.info(`Enviando actualización de cita a Make.com (${action}):`, data);
+    
+    const response = await axios.post(MAKE_UPDATE_WEBHOOK_URL, data, {
+      timeout: 15000,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    return {
+      success: response.status >= 200 && response.status < 300,
+      data: response.data,
+      statusCode: response.status
+    };
+  } catch (error) {
+    logger.error('Error al enviar actualización de cita a Make.com:', error.message);
+    
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 module.exports = {
   sendAppointmentToMake,
-  formatAppointmentData
+  formatAppointmentData,
+  sendAppointmentUpdateToMake
 }; 
\ No newline at end of file
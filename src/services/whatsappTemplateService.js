@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { localize, getProspectLanguage } = require('./languageService');
+
+/**
+ * Servicio de plantillas aprobadas por Meta (WhatsApp Cloud API)
+ *
+ * La Cloud API solo acepta texto libre dentro de las 24 horas siguientes al
+ * último mensaje del prospecto (ventana de atención). Fuera de ella, los
+ * seguimientos y recordatorios se envían con la plantilla aprobada configurada
+ * en WHATSAPP_TEMPLATES_FILE para cada tipo de mensaje:
+ *
+ *   { "followUp.invitation": { "name": "seguimiento_demo", "language": { "es": "es", "pt": "pt_BR" }, "parameters": ["name"] } }
+ *
+ * Cada parámetro es el campo que completa la variable {{1}}, {{2}}... del cuerpo.
+ */
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '../config/whatsappTemplates.json');
+
+// Horas después del último mensaje del prospecto en que se puede enviar texto libre
+const SERVICE_WINDOW_HOURS = 24;
+
+// Plantillas cargadas (se leen una sola vez)
+let approvedTemplates = null;
+
+/**
+ * Valida una plantilla aprobada
+ * @param {Object} template - { name, language, parameters }
+ * @returns {Object|null} - Plantilla normalizada o null si no hay una
+ * @throws {Error} - Si le falta el nombre o los parámetros no son una lista
+ */
+function normalizeApprovedTemplate(template) {
+  if (!template) {
+    return null;
+  }
+  if (!template.name) {
+    throw new Error('La plantilla de WhatsApp necesita el nombre con que fue aprobada');
+  }
+
+  const parameters = template.parameters || [];
+  if (!Array.isArray(parameters)) {
+    throw new Error('Los parámetros de la plantilla de WhatsApp deben ser una lista de campos (ej. ["name", "company"])');
+  }
+
+  return {
+    name: template.name,
+    language: template.language || 'es',
+    parameters
+  };
+}
+
+/**
+ * Carga las plantillas aprobadas de los mensajes automáticos
+ * @returns {Object} - Plantillas por tipo de mensaje
+ */
+function getApprovedTemplates() {
+  if (approvedTemplates) {
+    return approvedTemplates;
+  }
+
+  const filePath = process.env.WHATSAPP_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE;
+  approvedTemplates = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(data).forEach(([key, template]) => {
+        try {
+          approvedTemplates[key] = normalizeApprovedTemplate(template);
+        } catch (error) {
+          logger.error(`Plantilla aprobada inválida (${key}) en ${filePath}: ${error.message}`);
+        }
+      });
+
+      logger.info(`Plantillas aprobadas de WhatsApp cargadas desde ${filePath}`);
+    }
+  } catch (error) {
+    logger.error(`Error al cargar las plantillas aprobadas ${filePath}:`, error);
+  }
+
+  return approvedTemplates;
+}
+
+/**
+ * Vuelve a leer las plantillas aprobadas
+ * @returns {Object}
+ */
+function reloadApprovedTemplates() {
+  approvedTemplates = null;
+  return getApprovedTemplates();
+}
+
+/**
+ * Plantilla aprobada de un tipo de mensaje
+ * @param {string} key - Tipo de mensaje (followUp.<estado>, reminder)
+ * @returns {Object|null}
+ */
+function getApprovedTemplate(key) {
+  return getApprovedTemplates()[key] || null;
+}
+
+/**
+ * Completa una plantilla aprobada con los valores de un prospecto
+ * @param {Object} template - { name, language, parameters }
+ * @param {Object} values - Valores de los campos
+ * @param {Object} prospectState - Estado del prospecto (para el idioma)
+ * @returns {Object} - { name, language, parameters } (ver BaseTransport.sendTemplate)
+ */
+function renderApprovedTemplate(template, values, prospectState = {}) {
+  return {
+    name: template.name,
+    language: localize(template.language, getProspectLanguage(prospectState)),
+    // La Graph API rechaza parámetros vacíos
+    parameters: template.parameters.map(field => (values[field] !== undefined && values[field] !== null && values[field] !== '' ? String(values[field]) : '-'))
+  };
+}
+
+/**
+ * Indica si todavía se le puede escribir texto libre al prospecto
+ * @param {Object} prospect - Estado del prospecto
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean}
+ */
+function isWithinServiceWindow(prospect, now = new Date()) {
+  const lastMessageAt = prospect.lastProspectMessageAt;
+  return Boolean(lastMessageAt) && now - new Date(lastMessageAt) < SERVICE_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+module.exports = {
+  normalizeApprovedTemplate,
+  getApprovedTemplates,
+  reloadApprovedTemplates,
+  getApprovedTemplate,
+  renderApprovedTemplate,
+  isWithinServiceWindow
+};
@@ -0,0 +1,66 @@
+/**
+ * Utilidades para mostrar los datos de una cita agendada
+ */
+
+const moment = require('moment-timezone');
+// Cargar nombres de días y meses en español y portugués sin cambiar el idioma global
+require('moment/locale/es');
+require('moment/locale/pt-br');
+moment.locale('en');
+
+// Locale de moment y formato de la fecha por idioma del prospecto
+const DATE_FORMATS = {
+  es: { locale: 'es', format: 'dddd D [de] MMMM [a las] HH:mm', short: 'ddd D [de] MMM, HH:mm' },
+  pt: { locale: 'pt-br', format: 'dddd, D [de] MMMM [às] HH:mm', short: 'ddd, D [de] MMM, HH:mm' },
+  en: { locale: 'en', format: 'dddd, MMMM D [at] HH:mm', short: 'ddd, MMM D, HH:mm' }
+};
+
+/**
+ * Obtiene la fecha de inicio de la cita de un prospecto
+ * @param {Object} prospect - Estado del prospecto
+ * @returns {moment.Moment|null} - Fecha de inicio o null si no hay cita
+ */
+function getAppointmentStart(prospect) {
+  const startTime = prospect.appointmentDetails?.startTime || prospect.selectedSlot?.dateTime;
+  return startTime ? moment(startTime) : null;
+}
+
+/**
+ * Obtiene el enlace de la reunión (Make.com o Google Calendar)
+ * @param {Object} prospect - Estado del prospecto
+ * @returns {string|null}
+ */
+function getMeetingLink(prospect) {
+  return prospect.webhookResult?.hangoutLink || prospect.appointmentDetails?.meetLink || null;
+}
+
+/**
+ * Formatea la fecha de la cita en la zona horaria del prospecto
+ * @param {string|Date|moment.Moment} startTime - Inicio de la cita
+ * @param {string} timezone - Zona horaria del prospecto
+ * @param {string} language - Idioma del prospecto (es, pt o en)
+ * @returns {string} - Ej. "jueves 22 de octubre a las 10:00"
+ */
+function formatAppointmentDate(startTime, timezone = 'America/Lima', language = 'es') {
+  const { locale, format } = DATE_FORMATS[language] || DATE_FORMATS.es;
+  return moment(startTime).tz(timezone).locale(locale).format(format);
+}
+
+/**
+ * Formato corto de una fecha, para las opciones de una lista de horarios
+ * @param {string|Date|moment.Moment} startTime - Inicio del horario
+ * @param {string} timezone - Zona horaria del prospecto
+ * @param {string} language - Idioma del prospecto (es, pt o en)
+ * @returns {string} - Ej. "jue. 22 de oct., 10:00"
+ */
+function formatShortDate(startTime, timezone = 'America/Lima', language = 'es') {
+  const { locale, short } = DATE_FORMATS[language] || DATE_FORMATS.es;
+  return moment(startTime).tz(timezone).locale(locale).format(short);
+}
+
+module.exports = {
+  getAppointmentStart,
+  getMeetingLink,
+  formatAppointmentDate,
+  formatShortDate
+};
@@ -1,15 +1,9 @@
+const { STATES } = require('../config/conversationStates');
+
 /**
- * Estados de la conversación
+ * Estados de la conversación (definidos en src/config/conversationStates.js)
  */
-const CONVERSATION_STATES = {
-  INITIAL: 'initial',
-  GREETING: 'greeting',
-  QUALIFICATION: 'qualification',
-  INTEREST_VALIDATION: 'interest_validation',
-  APPOINTMENT_SCHEDULING: 'appointment_scheduling',
-  CLOSING: 'closing',
-  GENERAL_INQUIRY: 'general_inquiry'
-};
+const CONVERSATION_STATES = STATES;
 
 /**
  * Preguntas de calificación
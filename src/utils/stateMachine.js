@@ -0,0 +1,300 @@
+const logger = require('./logger');
+
+/**
+ * Máquina de estados de la conversación
+ *
+ * Recibe una definición declarativa (ver src/config/conversationStates.js), los
+ * manejadores de cada estado y las implementaciones de los hooks. Despacha cada
+ * mensaje al manejador del estado actual, aplica los tiempos de espera y valida
+ * que el estado devuelto sea una transición permitida.
+ */
+class StateMachine {
+  /**
+   * @param {Object} definition - Definición ({ initial, fromAnyState, states })
+   * @param {Object} options - Opciones
+   * @param {Object} options.handlers - Por estado: async (message, prospectState) => { response, newState }
+   * @param {Object} options.hooks - Por nombre: async (prospectState, { from, to, reason }) => prospectState
+   * @param {Function} options.onTransition - async (prospectState, { from, to, reason }) tras cada cambio de estado
+   */
+  constructor(definition, { handlers = {}, hooks = {}, onTransition = null } = {}) {
+    this.definition = definition;
+    this.handlers = handlers;
+    this.hooks = hooks;
+    this.onTransition = onTransition;
+
+    this.validateDefinition();
+  }
+
+  /**
+   * Verifica que la definición sea coherente con los manejadores y hooks
+   */
+  validateDefinition() {
+    const { initial, fromAnyState = [], states } = this.definition;
+    const errors = [];
+
+    if (!states[initial]) {
+      errors.push(`el estado inicial "${initial}" no existe`);
+    }
+
+    fromAnyState.filter(name => !states[name]).forEach(name => errors.push(`el estado "${name}" no existe`));
+
+    Object.entries(states).forEach(([name, state]) => {
+      if (Array.isArray(state.transitions)) {
+        state.transitions
+          .filter(target => !states[target])
+          .forEach(target => errors.push(`${name}: transición a un estado inexistente "${target}"`));
+      }
+
+      if (state.timeout && !states[state.timeout.to]) {
+        errors.push(`${name}: el tiempo de espera lleva a un estado inexistente "${state.timeout.to}"`);
+      }
+
+      if (!state.external && !this.handlers[name]) {
+        errors.push(`${name}: no tiene manejador`);
+      }
+
+      [...(state.onEnter || []), ...(state.onExit || [])]
+        .filter(hook => !this.hooks[hook])
+        .forEach(hook => errors.push(`${name}: hook desconocido "${hook}"`));
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Definición de estados inválida: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Nombres de todos los estados
+   * @returns {Array<string>}
+   */
+  getStateNames() {
+    return Object.keys(this.definition.states);
+  }
+
+  /**
+   * Verifica si un estado existe
+   * @param {string} name - Nombre del estado
+   * @returns {boolean}
+   */
+  isValidState(name) {
+    return Boolean(name && this.definition.states[name]);
+  }
+
+  /**
+   * Verifica si se permite pasar de un estado a otro
+   * @param {string|null} from - Estado actual (null para prospectos nuevos)
+   * @param {string} to - Estado destino
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    if (!this.isValidState(to)) {
+      return false;
+    }
+
+    if (from === to || (this.definition.fromAnyState || []).includes(to)) {
+      return true;
+    }
+
+    // Un prospecto nuevo entra al estado inicial o a los que este permite
+    if (!from) {
+      return to === this.definition.initial || this.canTransition(this.definition.initial, to);
+    }
+
+    const source = this.definition.states[from];
+    return Boolean(source) && (source.transitions === '*' || (source.transitions || []).includes(to));
+  }
+
+  /**
+   * Ejecuta los hooks de un estado
+   * @param {Array<string>} names - Nombres de los hooks
+   * @param {Object} prospectState - Estado del prospecto
+   * @param {Object} context - { from, to, reason }
+   * @returns {Promise<Object>} - Estado del prospecto tras los hooks
+   */
+  async runHooks(names = [], prospectState, context) {
+    let state = prospectState;
+
+    for (const name of names) {
+      try {
+        state = (await this.hooks[name](state, context)) || state;
+      } catch (error) {
+        logger.error(`Error en el hook ${name} (${context.from || 'nuevo'} -> ${context.to}):`, error);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Aplica un cambio de estado ejecutando los hooks de salida y entrada
+   * @param {Object} prospectState - Estado del prospecto con conversationState ya actualizado
+   * @param {string|null} from - Estado anterior
+   * @param {string} reason - Motivo (message, timeout)
+   * @returns {Promise<Object>} - Nuevo estado del prospecto
+   */
+  async enterState(prospectState, from, reason = 'message') {
+    const to = prospectState.conversationState;
+
+    if (from === to) {
+      return prospectState;
+    }
+
+    const context = { from, to, reason };
+    const fromDefinition = this.definition.states[from] || {};
+    const toDefinition = this.definition.states[to] || {};
+
+    let state = await this.runHooks(fromDefinition.onExit, prospectState, context);
+    state = {
+      ...state,
+      conversationState: to,
+      previousConversationState: from || null,
+      stateEnteredAt: new Date()
+    };
+    state = await this.runHooks(toDefinition.onEnter, state, context);
+
+    logger.info(`Transición ${from || 'nuevo'} -> ${to} (${reason}) para ${prospectState.phoneNumber || 'prospecto'}`);
+
+    if (this.onTransition) {
+      try {
+        await this.onTransition(state, context);
+      } catch (error) {
+        logger.error(`Error al notificar la transición ${from || 'nuevo'} -> ${to}:`, error);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Aplica el tiempo de espera del estado actual si el prospecto estuvo inactivo
+   * @param {Object} prospectState - Estado del prospecto
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} - Estado del prospecto (cambiado si venció el tiempo)
+   */
+  async applyTimeout(prospectState, now = new Date()) {
+    const current = prospectState.conversationState;
+    const timeout = this.isValidState(current) && this.definition.states[current].timeout;
+    const lastMessageAt = prospectState.previousProspectMessageAt || prospectState.stateEnteredAt;
+
+    if (!timeout || !lastMessageAt) {
+      return prospectState;
+    }
+
+    const idleHours = (now - new Date(lastMessageAt)) / (60 * 60 * 1000);
+    if (idleHours < timeout.hours) {
+      return prospectState;
+    }
+
+    logger.info(`Tiempo de espera de ${current} vencido (${Math.round(idleHours)}h sin respuesta)`);
+    return this.enterState({ ...prospectState, conversationState: timeout.to }, current, 'timeout');
+  }
+
+  /**
+   * Despacha un mensaje al manejador del estado actual y valida el estado resultante
+   * @param {string} message - Mensaje del usuario
+   * @param {Object} prospectState - Estado actual del prospecto
+   * @returns {Promise<Object>} - Respuesta y nuevo estado
+   */
+  async dispatch(message, prospectState) {
+    let state = prospectState;
+    let current = state.conversationState || null;
+
+    if (current && !this.isValidState(current)) {
+      // Estados antiguos o desconocidos: reiniciar con el saludo
+      logger.warn(`Estado de conversación desconocido: ${current}`);
+      state = { ...state, conversationState: null };
+      current = null;
+    }
+
+    state = await this.applyTimeout(state);
+    current = state.conversationState || null;
+
+    const handler = this.handlers[current || this.definition.initial];
+    if (!handler) {
+      throw new Error(`El estado ${current} no tiene manejador`);
+    }
+
+    const result = await handler(message, state);
+    if (!result || !result.newState) {
+      return result;
+    }
+
+    const next = result.newState.conversationState || null;
+
+    if (next === current) {
+      return result;
+    }
+
+    if (!this.canTransition(current, next)) {
+      logger.error(`Transición no permitida ${current || 'nuevo'} -> ${next}, se mantiene el estado ${current || 'nuevo'}`);
+      return {
+        ...result,
+        newState: {
+          ...result.newState,
+          conversationState: current,
+          lastError: `Transición no permitida: ${current || 'nuevo'} -> ${next}`
+        }
+      };
+    }
+
+    return {
+      ...result,
+      newState: await this.enterState(result.newState, current)
+    };
+  }
+
+  /**
+   * Genera el diagrama de estados en formato Mermaid
+   * @returns {string}
+   */
+  toMermaid() {
+    return renderMermaid(this.definition);
+  }
+}
+
+/**
+ * Expresa una cantidad de horas en días cuando es posible
+ * @param {number} hours - Horas
+ * @returns {string}
+ */
+function formatHours(hours) {
+  if (hours >= 24 && hours % 24 === 0) {
+    return hours === 24 ? '1 día' : `${hours / 24} días`;
+  }
+  return `${hours} h`;
+}
+
+/**
+ * Genera el diagrama de una definición de estados en formato Mermaid (stateDiagram-v2)
+ * @param {Object} definition - Definición ({ initial, fromAnyState, states })
+ * @returns {string}
+ */
+function renderMermaid(definition) {
+  const { initial, fromAnyState = [], states } = definition;
+  const lines = ['stateDiagram-v2', `  [*] --> ${initial}`];
+
+  Object.entries(states).forEach(([name, state]) => {
+    lines.push(`  state "${state.label || name}" as ${name}`);
+  });
+
+  Object.entries(states).forEach(([name, state]) => {
+    if (Array.isArray(state.transitions)) {
+      state.transitions.forEach(target => lines.push(`  ${name} --> ${target}`));
+    }
+    if (state.timeout) {
+      lines.push(`  ${name} --> ${state.timeout.to}: ${formatHours(state.timeout.hours)} sin respuesta`);
+    }
+  });
+
+  fromAnyState.forEach(name => {
+    lines.push(`  note right of ${name}: Desde cualquier estado; al terminar vuelve al anterior`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  StateMachine,
+  renderMermaid,
+  formatHours
+};
@@ -0,0 +1,25 @@
+const logger = require('../utils/logger');
+const { createTransport, getTransportConfig, setActiveTransport } = require('./transports');
+const { attachMessageProcessor } = require('./messageProcessor');
+
+/**
+ * Conecta el bot a WhatsApp usando el transporte configurado (Baileys o Cloud API)
+ * @param {Object} config - Configuración del transporte (por defecto, variables de entorno)
+ * @returns {Promise<BaseTransport>} - Transporte conectado
+ */
+async function connectToWhatsApp(config = getTransportConfig()) {
+  const transport = createTransport(config);
+  logger.info(`Iniciando transporte de WhatsApp: ${transport.name}`);
+
+  // Dirigir los mensajes entrantes a los flujos
+  attachMessageProcessor(transport);
+
+  await transport.start();
+  setActiveTransport(transport);
+
+  return transport;
+}
+
+module.exports = {
+  connectToWhatsApp
+};
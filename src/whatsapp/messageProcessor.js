@@ -0,0 +1,207 @@
+/**
+ * Procesamiento de mensajes entrantes independiente del transporte
+ *
+ * Recibe los mensajes normalizados que emite cualquier transporte,
+ * los envía a handleWhatsAppMessage() y entrega la respuesta por el mismo canal.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { handleWhatsAppMessage, handleOwnerMessage } = require('../whatsappHandler');
+
+// Almacenar los mensajes procesados para evitar duplicados
+const processedMessages = new Set();
+// Tiempo máximo para considerar un mensaje como reciente (15 minutos en milisegundos)
+const MESSAGE_FRESHNESS_THRESHOLD = 15 * 60 * 1000;
+
+/**
+ * Simula un delay humano basado en la longitud del mensaje
+ * @param {string} text - Texto del mensaje
+ * @returns {Promise<void>} - Promesa que se resuelve después del delay
+ */
+async function simulateHumanDelay(text) {
+  if (!text) return;
+
+  // Calcular tiempo base: aproximadamente 100ms por palabra
+  const wordCount = text.split(/\s+/).length;
+
+  // Tiempo base: 1 segundo + 100ms por palabra
+  const baseTime = 1000 + (wordCount * 100);
+
+  // Añadir componente aleatorio (±30%)
+  const randomFactor = 0.7 + (Math.random() * 0.6); // Entre 0.7 y 1.3
+
+  // Calcular tiempo final (entre 1.5 y 8 segundos)
+  const delayTime = Math.min(Math.max(baseTime * randomFactor, 1500), 8000);
+
+  // Mostrar que el bot está "escribiendo"
+  console.log(`Simulando escritura (${delayTime.toFixed(0)}ms)...`);
+
+  // Esperar el tiempo calculado
+  return new Promise(resolve => setTimeout(resolve, delayTime));
+}
+
+/**
+ * Verifica si un mensaje ya fue procesado y lo registra
+ * @param {string} messageId - ID del mensaje
+ * @returns {boolean} - True si el mensaje es duplicado
+ */
+function isDuplicate(messageId) {
+  if (processedMessages.has(messageId)) {
+    return true;
+  }
+
+  processedMessages.add(messageId);
+  // Limitar el tamaño del conjunto para evitar consumo excesivo de memoria
+  if (processedMessages.size > 1000) {
+    const iterator = processedMessages.values();
+    processedMessages.delete(iterator.next().value);
+  }
+
+  return false;
+}
+
+/**
+ * Envía la respuesta generada por los flujos a través del transporte
+ * @param {BaseTransport} transport - Transporte de mensajería
+ * @param {Object} incoming - Mensaje entrante normalizado
+ * @param {Object} response - Respuesta de handleWhatsAppMessage
+ */
+async function deliverResponse(transport, incoming, response) {
+  if (!response || !response.text) {
+    return;
+  }
+
+  // Nota de voz si el prospecto habló por audio; si no se puede enviar, se envía el texto
+  const sentVoice = response.voice ? await deliverVoice(transport, incoming, response) : false;
+
+  if (!sentVoice) {
+    // Simular que el bot está escribiendo
+    await transport.sendPresence(incoming.chatId, 'composing', { messageId: incoming.id });
+    await simulateHumanDelay(response.text);
+
+    // Enviar mensaje después del delay (con botones o lista si la respuesta los incluye)
+    if (response.interactive) {
+      await transport.sendInteractive(incoming.chatId, response.text, response.interactive);
+    } else {
+      await transport.sendText(incoming.chatId, response.text);
+    }
+    await transport.sendPresence(incoming.chatId, 'paused');
+  }
+
+  logger.logWhatsAppMessage('outgoing', incoming.from, `${sentVoice ? '[voz] ' : ''}${response.text}`);
+  console.log(`Respuesta enviada a ${incoming.from}: ${response.text.substring(0, 100)}${response.text.length > 100 ? '...' : ''}`);
+
+  await deliverAttachments(transport, incoming, response.attachments);
+}
+
+/**
+ * Envía la respuesta como nota de voz y elimina el audio temporal
+ * @param {BaseTransport} transport - Transporte de mensajería
+ * @param {Object} incoming - Mensaje entrante normalizado
+ * @param {Object} response - Respuesta de handleWhatsAppMessage (con voice)
+ * @returns {Promise<boolean>} - True si la nota de voz se envió
+ */
+async function deliverVoice(transport, incoming, response) {
+  try {
+    // Simular que el bot está grabando
+    await transport.sendPresence(incoming.chatId, 'recording', { messageId: incoming.id });
+    await simulateHumanDelay(response.text);
+
+    await transport.sendMedia(incoming.chatId, response.voice);
+    await transport.sendPresence(incoming.chatId, 'paused');
+    return true;
+  } catch (error) {
+    logger.error(`Error al enviar la nota de voz a ${incoming.from}, se envía como texto:`, error);
+    return false;
+  } finally {
+    fs.unlink(response.voice.path, () => {});
+  }
+}
+
+/**
+ * Envía el material que acompaña la respuesta (brochures, videos, casos de éxito)
+ * Un archivo que no se puede enviar no impide enviar los demás
+ * @param {BaseTransport} transport - Transporte de mensajería
+ * @param {Object} incoming - Mensaje entrante normalizado
+ * @param {Array<Object>} attachments - Adjuntos (ver BaseTransport.sendMedia)
+ */
+async function deliverAttachments(transport, incoming, attachments = []) {
+  for (const attachment of attachments) {
+    try {
+      await transport.sendMedia(incoming.chatId, attachment);
+      logger.logWhatsAppMessage('outgoing', incoming.from, `[${attachment.type}] ${attachment.fileName || attachment.id}`);
+    } catch (error) {
+      logger.error(`Error al enviar el material ${attachment.id} a ${incoming.from}:`, error);
+    }
+  }
+}
+
+/**
+ * Procesa un mensaje entrante normalizado
+ * @param {BaseTransport} transport - Transporte que recibió el mensaje
+ * @param {Object} incoming - Mensaje entrante normalizado
+ * @returns {Promise<void>}
+ */
+async function processIncomingMessage(transport, incoming) {
+  // Ignorar los mensajes enviados por el propio bot
+  if (incoming.sentByBot) return;
+
+  // Verificar si el mensaje ya fue procesado (evitar duplicados)
+  if (isDuplicate(incoming.id)) {
+    console.log(`Mensaje ${incoming.id} ya procesado, ignorando.`);
+    return;
+  }
+
+  // Verificar si el mensaje es reciente
+  const messageAge = Date.now() - incoming.timestamp;
+  if (messageAge > MESSAGE_FRESHNESS_THRESHOLD) {
+    console.log(`Ignorando mensaje antiguo (${Math.round(messageAge/1000/60)} minutos de antigüedad)`);
+    return;
+  }
+
+  // Mensaje enviado a mano desde el teléfono: el vendedor toma la conversación
+  if (incoming.fromMe) {
+    const { action } = await handleOwnerMessage(incoming);
+    console.log(`Mensaje manual del vendedor a ${incoming.from} (${action})`);
+    return;
+  }
+
+  try {
+    logger.logWhatsAppMessage('incoming', incoming.from, incoming.body || '[MEDIA]');
+    console.log(`\nMensaje recibido de ${incoming.from} (${transport.name}): ${incoming.body || '[MEDIA]'}`);
+
+    // Manejar mensaje y obtener respuesta
+    const response = await handleWhatsAppMessage({
+      id: incoming.id,
+      from: incoming.from,
+      body: incoming.body,
+      type: incoming.type,
+      mediaUrl: incoming.mediaUrl,
+      mimetype: incoming.mimetype,
+      replyId: incoming.replyId,
+      referral: incoming.referral
+    });
+
+    await deliverResponse(transport, incoming, response);
+  } catch (error) {
+    logger.error('Error al procesar mensaje:', error);
+    console.error('Error al procesar mensaje:', error);
+  }
+}
+
+/**
+ * Conecta un transporte con el procesador de mensajes
+ * @param {BaseTransport} transport - Transporte de mensajería
+ */
+function attachMessageProcessor(transport) {
+  transport.on('message', incoming => processIncomingMessage(transport, incoming));
+}
+
+module.exports = {
+  attachMessageProcessor,
+  processIncomingMessage,
+  deliverResponse,
+  deliverVoice,
+  simulateHumanDelay
+};
@@ -0,0 +1,473 @@
+/**
+ * Transporte de WhatsApp basado en Baileys (sesión personal escaneando un código QR)
+ */
+
+const {
+  default: makeWASocket,
+  useMultiFileAuthState,
+  DisconnectReason,
+  downloadMediaMessage,
+  generateMessageID
+} = require('@whiskeysockets/baileys');
+// Importar crypto explícitamente
+global.crypto = require('crypto');
+const pino = require('pino');
+const path = require('path');
+const fs = require('fs');
+const qrcode = require('qrcode-terminal');
+const logger = require('../../utils/logger');
+const { BaseTransport, saveTempMedia } = require('./baseTransport');
+
+// Directorio para almacenar la información de autenticación
+const AUTH_FOLDER = path.join(__dirname, '../../../auth_info_baileys');
+
+// Número máximo de intentos de reconexión
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+class BaileysTransport extends BaseTransport {
+  constructor(options = {}) {
+    super('baileys', options);
+    this.sock = null;
+    this.reconnectAttempts = 0;
+    this.authFolder = options.authFolder || AUTH_FOLDER;
+    // Enviar botones y listas nativos en lugar de opciones numeradas
+    this.interactiveMessages = Boolean(options.interactiveMessages);
+  }
+
+  /**
+   * Crea el socket de WhatsApp y registra los eventos
+   * @returns {Promise<Object>} - Socket de Baileys
+   */
+  async start() {
+    try {
+      // Si hemos excedido los intentos de reconexión, detener
+      if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+        console.error(`\nSe han excedido los intentos de reconexión (${MAX_RECONNECT_ATTEMPTS}). Por favor, verifica tu conexión a internet y reinicia la aplicación.`);
+        console.error('Si el problema persiste, elimina la carpeta auth_info_baileys y vuelve a intentarlo.\n');
+        process.exit(1);
+      }
+
+      // Asegurarse de que el directorio existe
+      if (!fs.existsSync(this.authFolder)) {
+        fs.mkdirSync(this.authFolder, { recursive: true });
+      }
+
+      // Cargar estado de autenticación
+      const { state, saveCreds } = await useMultiFileAuthState(this.authFolder);
+
+      // Crear socket con opciones
+      const sock = makeWASocket({
+        printQRInTerminal: true,
+        auth: state,
+        logger: pino({ level: 'silent' }),
+        browser: ['Logifit Bot', 'Chrome', '10.0.0'],
+        connectTimeoutMs: 60000, // 60 segundos
+        keepAliveIntervalMs: 25000, // 25 segundos
+        retryRequestDelayMs: 2000 // 2 segundos
+      });
+      this.sock = sock;
+
+      // Guardar credenciales cuando se actualicen
+      sock.ev.on('creds.update', saveCreds);
+
+      // Manejar conexión
+      sock.ev.on('connection.update', (update) => this.handleConnectionUpdate(update));
+
+      // Manejar mensajes entrantes
+      sock.ev.on('messages.upsert', async ({ messages, type }) => {
+        // Solo procesar mensajes nuevos, no historial. Los mensajes enviados desde
+        // el teléfono pueden llegar como 'append' y se necesitan para el handoff
+        if (type !== 'notify' && type !== 'append') {
+          console.log(`Ignorando mensajes de tipo: ${type} (no son nuevos mensajes)`);
+          return;
+        }
+
+        for (const message of messages) {
+          // Ignorar mensajes de estado
+          if (message.key.remoteJid === 'status@broadcast') continue;
+          if (type === 'append' && !message.key.fromMe) continue;
+
+          try {
+            await this.handleIncomingMessage(message);
+          } catch (error) {
+            logger.error('Error al normalizar mensaje de Baileys:', error);
+          }
+        }
+      });
+
+      return sock;
+    } catch (error) {
+      logger.error('Error al conectar con WhatsApp:', error);
+      console.error('Error al conectar con WhatsApp:', error);
+
+      this.reconnectAttempts++;
+      if (this.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+        logger.info(`Reintentando conexión... Intento ${this.reconnectAttempts} de ${MAX_RECONNECT_ATTEMPTS}`);
+        console.log(`\nReintentando conexión... Intento ${this.reconnectAttempts} de ${MAX_RECONNECT_ATTEMPTS}\n`);
+        setTimeout(() => this.start(), 5000); // Esperar 5 segundos antes de reconectar
+      } else {
+        console.error(`\nSe han excedido los intentos de reconexión (${MAX_RECONNECT_ATTEMPTS}). Por favor, verifica tu conexión a internet y reinicia la aplicación.`);
+        process.exit(1);
+      }
+    }
+  }
+
+  /**
+   * Maneja los cambios de estado de la conexión
+   * @param {Object} update - Actualización de conexión de Baileys
+   */
+  handleConnectionUpdate(update) {
+    const { connection, lastDisconnect, qr } = update;
+
+    // Mostrar código QR si está disponible
+    if (qr) {
+      console.log('\n===== ESCANEA ESTE CÓDIGO QR CON TU WHATSAPP =====\n');
+      qrcode.generate(qr, { small: true });
+    }
+
+    if (connection === 'close') {
+      const statusCode = lastDisconnect?.error?.output?.statusCode;
+      const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+
+      logger.info(`Conexión cerrada. Código de estado: ${statusCode}. Razón: ${lastDisconnect?.error?.message || 'Desconocida'}`);
+      this.markClosed({ statusCode, shouldReconnect });
+
+      if (shouldReconnect) {
+        this.reconnectAttempts++;
+        logger.info(`Reconectando... Intento ${this.reconnectAttempts} de ${MAX_RECONNECT_ATTEMPTS}`);
+        setTimeout(() => this.start(), 5000); // Esperar 5 segundos antes de reconectar
+      } else {
+        logger.info('Desconectado permanentemente, elimina la carpeta auth_info_baileys para volver a escanear el código QR');
+        console.log('\n===== DESCONECTADO DE WHATSAPP =====\n');
+        console.log('Para volver a conectar, elimina la carpeta auth_info_baileys y reinicia la aplicación.\n');
+      }
+    } else if (connection === 'open') {
+      // Resetear contador de intentos de reconexión
+      this.reconnectAttempts = 0;
+
+      logger.info('Conexión establecida con WhatsApp');
+      console.log('\n===== BOT DE WHATSAPP CONECTADO Y LISTO =====\n');
+      console.log('El bot está listo para recibir mensajes.\n');
+      this.markReady();
+    }
+  }
+
+  /**
+   * Convierte un mensaje de Baileys al formato normalizado y lo emite
+   * @param {Object} message - Mensaje de Baileys
+   */
+  async handleIncomingMessage(message) {
+    const remoteJid = message.key.remoteJid;
+    const type = getMessageType(message);
+    const body = getMessageContent(message, type);
+
+    // Los mensajes propios no se descargan, solo se notifican
+    const mediaUrl = message.key.fromMe ? null : await this.getMediaUrl(message, type);
+    const mediaMessage = (message.message || {})[`${type === 'ptt' ? 'audio' : type}Message`];
+
+    this.emitMessage({
+      id: message.key.id,
+      from: remoteJid.split('@')[0],
+      chatId: remoteJid,
+      body,
+      type,
+      mediaUrl,
+      mimetype: mediaUrl && mediaMessage ? mediaMessage.mimetype : null,
+      replyId: getReplyId(message),
+      referral: getReferral(message),
+      timestamp: Number(message.messageTimestamp) * 1000, // Convertir a milisegundos
+      fromMe: message.key.fromMe,
+      pushName: message.pushName,
+      raw: message
+    });
+  }
+
+  /**
+   * Descarga el archivo multimedia de un mensaje y lo guarda en temp/
+   * @param {Object} message - Mensaje de Baileys
+   * @param {string} type - Tipo de mensaje
+   * @returns {Promise<string|null>} - Ruta del archivo descargado
+   */
+  async getMediaUrl(message, type) {
+    if (type !== 'image' && type !== 'video' && type !== 'audio' && type !== 'ptt' && type !== 'document') {
+      return null;
+    }
+
+    try {
+      const messageContent = message.message || {};
+      const mediaType = type === 'ptt' ? 'audio' : type;
+      const mediaMessage = messageContent[`${mediaType}Message`];
+
+      if (!mediaMessage) return null;
+
+      // Descargar medios
+      const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+        logger: pino({ level: 'silent' }),
+        reuploadRequest: this.sock.updateMediaMessage
+      });
+
+      return saveTempMedia(buffer, type);
+    } catch (error) {
+      logger.error('Error al obtener URL de medios:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Envía un mensaje de texto
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} text - Texto a enviar
+   * @returns {Promise<Object>} - Mensaje enviado
+   */
+  async sendText(to, text) {
+    this.ensureSocket();
+    return this.sendTracked(to, { text });
+  }
+
+  /**
+   * Envía botones o una lista de opciones
+   * Solo se usan los mensajes nativos si están habilitados (BAILEYS_INTERACTIVE_MESSAGES);
+   * si no, o si el envío falla, las opciones se envían numeradas en un texto
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} text - Texto del mensaje
+   * @param {Object} interactive - Botones o lista (ver interactiveService)
+   * @returns {Promise<Object>} - Mensaje enviado
+   */
+  async sendInteractive(to, text, interactive) {
+    this.ensureSocket();
+
+    if (!this.interactiveMessages) {
+      return super.sendInteractive(to, text, interactive);
+    }
+
+    try {
+      return await this.sendTracked(to, buildInteractiveContent(text, interactive));
+    } catch (error) {
+      logger.warn(`No se pudo enviar el mensaje interactivo, se envía como texto: ${error.message}`);
+      return super.sendInteractive(to, text, interactive);
+    }
+  }
+
+  /**
+   * Envía un archivo multimedia
+   * @param {string} to - Número o JID del destinatario
+   * @param {Object} media - Datos del archivo (ver BaseTransport.sendMedia)
+   * @returns {Promise<Object>} - Mensaje enviado
+   */
+  async sendMedia(to, media) {
+    this.ensureSocket();
+
+    const source = media.path ? fs.readFileSync(media.path) : { url: media.url };
+    let content;
+
+    switch (media.type) {
+      case 'image':
+        content = { image: source, caption: media.caption };
+        break;
+      case 'video':
+        content = { video: source, caption: media.caption };
+        break;
+      case 'audio':
+        content = { audio: source, mimetype: media.mimetype || 'audio/ogg; codecs=opus', ptt: Boolean(media.ptt) };
+        break;
+      case 'document':
+        content = {
+          document: source,
+          mimetype: media.mimetype || 'application/pdf',
+          fileName: media.fileName || path.basename(media.path || media.url || 'documento.pdf'),
+          caption: media.caption
+        };
+        break;
+      default:
+        throw new Error(`Tipo de archivo no soportado: ${media.type}`);
+    }
+
+    return this.sendTracked(to, content);
+  }
+
+  /**
+   * Envía un mensaje registrando su ID como enviado por el bot
+   * El ID se genera antes del envío porque Baileys emite el mensaje propio
+   * en messages.upsert antes de resolver sendMessage
+   * @param {string} to - Número o JID del destinatario
+   * @param {Object} content - Contenido del mensaje de Baileys
+   * @returns {Promise<Object>} - Mensaje enviado
+   */
+  async sendTracked(to, content) {
+    const messageId = generateMessageID();
+    this.rememberSentMessage(messageId);
+    return this.sock.sendMessage(toJid(to), content, { messageId });
+  }
+
+  /**
+   * Actualiza el indicador de "escribiendo..."
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} presence - composing | recording | paused
+   */
+  async sendPresence(to, presence) {
+    if (!this.sock) return;
+
+    try {
+      await this.sock.sendPresenceUpdate(presence, toJid(to));
+    } catch (error) {
+      logger.warn(`No se pudo actualizar la presencia (${presence}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Cierra el socket de WhatsApp
+   */
+  async stop() {
+    if (this.sock) {
+      this.sock.end(undefined);
+      this.sock = null;
+    }
+    await super.stop();
+  }
+
+  /**
+   * Verifica que exista un socket activo
+   */
+  ensureSocket() {
+    if (!this.sock) {
+      throw new Error('El socket de WhatsApp no está conectado');
+    }
+  }
+}
+
+/**
+ * Convierte un número de teléfono en JID de WhatsApp
+ * @param {string} to - Número o JID
+ * @returns {string} - JID
+ */
+function toJid(to) {
+  return String(to).includes('@') ? to : `${String(to).replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Respuestas a botones y listas
+const REPLY_MESSAGE_TYPES = ['buttonsResponseMessage', 'listResponseMessage', 'templateButtonReplyMessage'];
+
+// Obtener tipo de mensaje
+function getMessageType(message) {
+  const messageTypes = [
+    'conversation', 'imageMessage', 'videoMessage',
+    'extendedTextMessage', 'documentMessage', 'audioMessage',
+    'stickerMessage', 'contactMessage', 'locationMessage',
+    'buttonsResponseMessage', 'listResponseMessage', 'templateButtonReplyMessage'
+  ];
+
+  const messageContent = message.message || {};
+
+  for (const type of messageTypes) {
+    if (type in messageContent) {
+      if (type === 'extendedTextMessage') return 'text';
+      if (type === 'conversation') return 'text';
+      // Las respuestas a botones y listas se tratan como texto con el título elegido
+      if (REPLY_MESSAGE_TYPES.includes(type)) return 'text';
+      if (type === 'audioMessage') {
+        return messageContent[type].ptt ? 'ptt' : 'audio';
+      }
+      return type.replace('Message', '');
+    }
+  }
+
+  return 'unknown';
+}
+
+// Obtener contenido del mensaje
+function getMessageContent(message, type) {
+  const messageContent = message.message || {};
+
+  if (type === 'text') {
+    return messageContent.extendedTextMessage?.text ||
+      messageContent.conversation ||
+      messageContent.buttonsResponseMessage?.selectedDisplayText ||
+      messageContent.listResponseMessage?.title ||
+      messageContent.templateButtonReplyMessage?.selectedDisplayText ||
+      '';
+  }
+
+  if (type === 'image' || type === 'video' || type === 'audio' || type === 'ptt' || type === 'document') {
+    const mediaType = type === 'ptt' ? 'audio' : type;
+    return messageContent[`${mediaType}Message`]?.caption || '';
+  }
+
+  return '';
+}
+
+// Obtener el id del botón o de la fila elegida
+function getReplyId(message) {
+  const messageContent = message.message || {};
+
+  return messageContent.buttonsResponseMessage?.selectedButtonId ||
+    messageContent.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    messageContent.templateButtonReplyMessage?.selectedId ||
+    null;
+}
+
+// Obtener los datos del anuncio (Click-to-WhatsApp) del que viene el mensaje
+function getReferral(message) {
+  const messageContent = message.message || {};
+  const contextInfo = Object.values(messageContent)
+    .map(content => content && content.contextInfo)
+    .find(info => info && info.externalAdReply);
+
+  if (!contextInfo) {
+    return null;
+  }
+
+  const ad = contextInfo.externalAdReply;
+  return {
+    sourceId: ad.sourceId || null,
+    sourceType: ad.sourceType || null,
+    sourceUrl: ad.sourceUrl || null,
+    headline: ad.title || null,
+    body: ad.body || null,
+    mediaUrl: ad.mediaUrl || ad.thumbnailUrl || null,
+    ctwaClid: ad.ctwaClid || null,
+    // facebook o instagram, según la app en la que se hizo clic
+    app: contextInfo.entryPointConversionApp || null
+  };
+}
+
+/**
+ * Construye el contenido de Baileys para botones o una lista
+ * @param {string} text - Texto del mensaje
+ * @param {Object} interactive - Botones o lista (ver interactiveService)
+ * @returns {Object} - Contenido del mensaje
+ */
+function buildInteractiveContent(text, interactive) {
+  if (interactive.type === 'buttons') {
+    return {
+      text,
+      buttons: interactive.options.map(option => ({
+        buttonId: option.id,
+        buttonText: { displayText: option.title },
+        type: 1
+      })),
+      headerType: 1
+    };
+  }
+
+  return {
+    text,
+    buttonText: interactive.button,
+    sections: [{
+      title: interactive.section || interactive.button,
+      rows: interactive.options.map(option => ({
+        rowId: option.id,
+        title: option.title,
+        description: option.description || ''
+      }))
+    }]
+  };
+}
+
+module.exports = {
+  BaileysTransport,
+  getMessageType,
+  getMessageContent,
+  getReplyId,
+  getReferral,
+  buildInteractiveContent
+};
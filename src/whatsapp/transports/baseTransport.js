@@ -0,0 +1,233 @@
+/**
+ * Clase base para los transportes de mensajería
+ *
+ * Define la interfaz común que deben implementar los adaptadores de WhatsApp
+ * (Baileys, WhatsApp Cloud API) para que los flujos no dependan del canal.
+ *
+ * Eventos emitidos:
+ * - 'message': mensaje entrante normalizado
+ * - 'ready': el transporte está conectado y listo para enviar
+ * - 'close': el transporte se desconectó
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { renderInteractiveText } = require('../../services/interactiveService');
+
+// Directorio para archivos multimedia temporales
+const TEMP_DIR = path.join(__dirname, '../../../temp');
+
+class BaseTransport extends EventEmitter {
+  /**
+   * @param {string} name - Nombre del transporte (baileys, cloud_api)
+   * @param {Object} options - Opciones específicas del transporte
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = options;
+    this.isReady = false;
+    // Los mensajes que inician una conversación solo pueden ser plantillas aprobadas por Meta
+    this.requiresApprovedTemplates = false;
+    // IDs de los mensajes enviados por el bot, para distinguirlos de los enviados a mano
+    this.sentMessageIds = new Set();
+  }
+
+  /**
+   * Inicia el transporte (conexión, servidor de webhooks, etc.)
+   * @returns {Promise<void>}
+   */
+  async start() {
+    throw new Error(`El transporte ${this.name} no implementa start()`);
+  }
+
+  /**
+   * Detiene el transporte
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isReady = false;
+  }
+
+  /**
+   * Envía un mensaje de texto
+   * @param {string} to - Número de teléfono o JID del destinatario
+   * @param {string} text - Texto a enviar
+   * @returns {Promise<Object>} - Resultado del envío
+   */
+  async sendText(to, text) {
+    throw new Error(`El transporte ${this.name} no implementa sendText()`);
+  }
+
+  /**
+   * Envía un archivo multimedia
+   * @param {string} to - Número de teléfono o JID del destinatario
+   * @param {Object} media - Datos del archivo
+   * @param {string} media.type - image | video | audio | document
+   * @param {string} [media.url] - URL pública del archivo
+   * @param {string} [media.path] - Ruta local del archivo
+   * @param {string} [media.caption] - Texto que acompaña al archivo
+   * @param {string} [media.fileName] - Nombre del archivo (documentos)
+   * @param {string} [media.mimetype] - Tipo MIME del archivo
+   * @param {boolean} [media.ptt] - Enviar el audio como nota de voz
+   * @returns {Promise<Object>} - Resultado del envío
+   */
+  async sendMedia(to, media) {
+    throw new Error(`El transporte ${this.name} no implementa sendMedia()`);
+  }
+
+  /**
+   * Envía una plantilla de mensaje aprobada por Meta
+   * Solo la implementan los transportes que las necesitan para escribir fuera
+   * de la ventana de 24 horas (ver requiresApprovedTemplates)
+   * @param {string} to - Número de teléfono o JID del destinatario
+   * @param {Object} template - Plantilla a enviar
+   * @param {string} template.name - Nombre de la plantilla en WhatsApp Manager
+   * @param {string} template.language - Código de idioma de la plantilla (es, pt_BR, en_US)
+   * @param {Array<string>} [template.parameters] - Valores de las variables del cuerpo ({{1}}, {{2}}...)
+   * @returns {Promise<Object>} - Resultado del envío
+   */
+  async sendTemplate(to, template) {
+    throw new Error(`El transporte ${this.name} no implementa sendTemplate()`);
+  }
+
+  /**
+   * Envía un mensaje con botones de respuesta rápida o una lista de opciones
+   * Por defecto las opciones se envían numeradas en un mensaje de texto; los
+   * transportes que soportan mensajes interactivos sobrescriben este método
+   * @param {string} to - Número de teléfono o JID del destinatario
+   * @param {string} text - Texto del mensaje
+   * @param {Object} interactive - Botones o lista (ver interactiveService)
+   * @returns {Promise<Object>} - Resultado del envío
+   */
+  async sendInteractive(to, text, interactive) {
+    return this.sendText(to, renderInteractiveText(text, interactive));
+  }
+
+  /**
+   * Actualiza el indicador de presencia (escribiendo, en pausa)
+   * Los transportes que no lo soportan simplemente lo ignoran
+   * @param {string} to - Número de teléfono o JID del destinatario
+   * @param {string} presence - composing | recording | paused
+   * @param {Object} context - Contexto adicional (ej. id del mensaje al que se responde)
+   * @returns {Promise<void>}
+   */
+  async sendPresence(to, presence, context = {}) {
+    return;
+  }
+
+  /**
+   * Normaliza y emite un mensaje entrante
+   * @param {Object} incoming - Mensaje entrante
+   */
+  emitMessage(incoming) {
+    this.emit('message', {
+      id: incoming.id,
+      from: incoming.from,
+      chatId: incoming.chatId || incoming.from,
+      body: incoming.body || '',
+      type: incoming.type || 'unknown',
+      mediaUrl: incoming.mediaUrl || null,
+      // Tipo MIME informado por WhatsApp (el archivo temporal siempre lleva la extensión del tipo)
+      mimetype: incoming.mimetype || null,
+      replyId: incoming.replyId || null,
+      // Datos del anuncio (Click-to-WhatsApp) del que viene el mensaje
+      referral: incoming.referral || null,
+      timestamp: incoming.timestamp || Date.now(),
+      fromMe: Boolean(incoming.fromMe),
+      sentByBot: Boolean(incoming.fromMe) && this.isSentByBot(incoming.id),
+      pushName: incoming.pushName || null,
+      transport: this.name,
+      raw: incoming.raw || null
+    });
+  }
+
+  /**
+   * Registra el ID de un mensaje enviado por el bot
+   * @param {string} messageId - ID del mensaje
+   */
+  rememberSentMessage(messageId) {
+    if (!messageId) return;
+
+    this.sentMessageIds.add(messageId);
+    // Limitar el tamaño del conjunto para evitar consumo excesivo de memoria
+    if (this.sentMessageIds.size > 1000) {
+      const iterator = this.sentMessageIds.values();
+      this.sentMessageIds.delete(iterator.next().value);
+    }
+  }
+
+  /**
+   * Verifica si un mensaje fue enviado por el bot
+   * @param {string} messageId - ID del mensaje
+   * @returns {boolean}
+   */
+  isSentByBot(messageId) {
+    return this.sentMessageIds.has(messageId);
+  }
+
+  /**
+   * Marca el transporte como listo
+   */
+  markReady() {
+    this.isReady = true;
+    this.emit('ready');
+  }
+
+  /**
+   * Marca el transporte como cerrado
+   * @param {Object} info - Información del cierre
+   */
+  markClosed(info = {}) {
+    this.isReady = false;
+    this.emit('close', info);
+  }
+}
+
+/**
+ * Obtiene el número de teléfono (solo dígitos) a partir de un JID o número
+ * @param {string} to - JID (51999999999@s.whatsapp.net) o número
+ * @returns {string} - Número sin caracteres no numéricos
+ */
+function toPhoneNumber(to) {
+  return String(to).split('@')[0].replace(/\D/g, '');
+}
+
+/**
+ * Guarda un archivo multimedia en el directorio temporal
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} type - Tipo de mensaje
+ * @returns {string} - Ruta del archivo guardado
+ */
+function saveTempMedia(buffer, type) {
+  if (!fs.existsSync(TEMP_DIR)) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+  }
+
+  const fileName = `${type}_${Date.now()}.${getExtensionForType(type)}`;
+  const filePath = path.join(TEMP_DIR, fileName);
+
+  fs.writeFileSync(filePath, buffer);
+
+  return filePath;
+}
+
+// Obtener extensión para tipo de archivo
+function getExtensionForType(type) {
+  switch (type) {
+    case 'image': return 'jpg';
+    case 'video': return 'mp4';
+    case 'audio':
+    case 'ptt': return 'ogg';
+    case 'document': return 'pdf';
+    default: return 'bin';
+  }
+}
+
+module.exports = {
+  BaseTransport,
+  toPhoneNumber,
+  saveTempMedia,
+  getExtensionForType
+};
@@ -0,0 +1,572 @@
+/**
+ * Transporte de WhatsApp basado en la API oficial de Meta (WhatsApp Cloud API)
+ *
+ * Recibe los mensajes mediante un webhook HTTP y envía las respuestas
+ * a través de la Graph API.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const logger = require('../../utils/logger');
+const { BaseTransport, toPhoneNumber, saveTempMedia } = require('./baseTransport');
+const { LIMITS } = require('../../services/interactiveService');
+
+const GRAPH_API_URL = 'https://graph.facebook.com';
+
+// Tamaño máximo del cuerpo de un webhook (1 MB)
+const MAX_WEBHOOK_BODY_SIZE = 1024 * 1024;
+
+class CloudApiTransport extends BaseTransport {
+  /**
+   * @param {Object} options - Configuración del transporte
+   * @param {string} options.accessToken - Token de acceso de la app de Meta
+   * @param {string} options.phoneNumberId - ID del número de WhatsApp Business
+   * @param {string} options.verifyToken - Token para validar la suscripción del webhook
+   * @param {string} options.appSecret - Secreto de la app para validar las firmas de los webhooks
+   * @param {boolean} [options.skipSignatureValidation] - Aceptar webhooks sin firma (solo en desarrollo)
+   * @param {string} [options.graphVersion] - Versión de la Graph API
+   * @param {number} [options.port] - Puerto del servidor de webhooks
+   * @param {string} [options.webhookPath] - Ruta del webhook
+   */
+  constructor(options = {}) {
+    super('cloud_api', options);
+    this.accessToken = options.accessToken;
+    this.phoneNumberId = options.phoneNumberId;
+    this.verifyToken = options.verifyToken;
+    this.appSecret = options.appSecret || null;
+    this.skipSignatureValidation = Boolean(options.skipSignatureValidation);
+    this.graphVersion = options.graphVersion || 'v19.0';
+    this.port = options.port || 3000;
+    this.webhookPath = options.webhookPath || '/webhook/whatsapp';
+    this.server = null;
+    // Fuera de la ventana de 24 horas la Graph API rechaza el texto libre
+    this.requiresApprovedTemplates = true;
+  }
+
+  /**
+   * Inicia el servidor HTTP que recibe los webhooks de Meta
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.accessToken || !this.phoneNumberId) {
+      throw new Error('Faltan WHATSAPP_CLOUD_TOKEN o WHATSAPP_PHONE_NUMBER_ID para usar la WhatsApp Cloud API');
+    }
+
+    // Sin el secreto cualquiera podría enviar mensajes falsos al webhook
+    if (!this.appSecret) {
+      if (!this.skipSignatureValidation || process.env.NODE_ENV === 'production') {
+        throw new Error('Falta WHATSAPP_APP_SECRET para validar la firma de los webhooks de la WhatsApp Cloud API (en desarrollo se puede omitir con WHATSAPP_SKIP_SIGNATURE_VALIDATION=true)');
+      }
+      logger.warn('WHATSAPP_SKIP_SIGNATURE_VALIDATION=true: los webhooks se aceptan sin validar la firma; no usar en producción');
+    }
+
+    this.server = http.createServer((req, res) => {
+      if (!this.handleHttpRequest(req, res)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Ruta no encontrada' }));
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    logger.info(`Webhook de WhatsApp Cloud API escuchando en el puerto ${this.port} (${this.webhookPath})`);
+    console.log('\n===== BOT DE WHATSAPP (CLOUD API) LISTO =====\n');
+    this.markReady();
+  }
+
+  /**
+   * Detiene el servidor de webhooks
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await super.stop();
+  }
+
+  /**
+   * Atiende una petición HTTP si corresponde a la ruta del webhook
+   * @param {http.IncomingMessage} req - Petición
+   * @param {http.ServerResponse} res - Respuesta
+   * @returns {boolean} - True si la petición fue atendida
+   */
+  handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== this.webhookPath) {
+      return false;
+    }
+
+    if (req.method === 'GET') {
+      this.handleVerification(url.searchParams, res);
+      return true;
+    }
+
+    if (req.method === 'POST') {
+      // Los fragmentos se unen como bytes: un carácter UTF-8 puede quedar partido entre dos
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        if (res.headersSent) {
+          return;
+        }
+        size += chunk.length;
+        if (size > MAX_WEBHOOK_BODY_SIZE) {
+          logger.warn('Webhook de WhatsApp Cloud API rechazado: el cuerpo es demasiado grande');
+          res.writeHead(413, { Connection: 'close' });
+          res.end();
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const rawBody = Buffer.concat(chunks);
+
+        if (!this.isValidSignature(rawBody, req.headers['x-hub-signature-256'])) {
+          logger.warn('Firma inválida en webhook de WhatsApp Cloud API');
+          res.writeHead(401);
+          res.end();
+          return;
+        }
+
+        // Responder de inmediato para que Meta no reintente el envío
+        res.writeHead(200);
+        res.end();
+
+        try {
+          this.handleWebhookPayload(JSON.parse(rawBody.toString('utf8')));
+        } catch (error) {
+          logger.error('Error al procesar webhook de WhatsApp Cloud API:', error);
+        }
+      });
+      return true;
+    }
+
+    res.writeHead(405);
+    res.end();
+    return true;
+  }
+
+  /**
+   * Responde al desafío de verificación del webhook
+   * @param {URLSearchParams} params - Parámetros de la URL
+   * @param {http.ServerResponse} res - Respuesta
+   */
+  handleVerification(params, res) {
+    const mode = params.get('hub.mode');
+    const token = params.get('hub.verify_token');
+    const challenge = params.get('hub.challenge');
+
+    if (mode === 'subscribe' && token && token === this.verifyToken) {
+      logger.info('Webhook de WhatsApp Cloud API verificado correctamente');
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(challenge);
+    } else {
+      logger.warn('Intento de verificación de webhook con token inválido');
+      res.writeHead(403);
+      res.end();
+    }
+  }
+
+  /**
+   * Valida la firma X-Hub-Signature-256 enviada por Meta
+   * @param {Buffer} rawBody - Bytes originales del cuerpo de la petición
+   * @param {string} signature - Cabecera de firma
+   * @returns {boolean} - True si la firma es válida (o si se omite la validación en desarrollo)
+   */
+  isValidSignature(rawBody, signature) {
+    if (!this.appSecret) {
+      return this.skipSignatureValidation && process.env.NODE_ENV !== 'production';
+    }
+
+    if (!signature) {
+      return false;
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex')}`;
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    return expectedBuffer.length === signatureBuffer.length &&
+           crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  /**
+   * Procesa el contenido de un webhook y emite los mensajes entrantes
+   * @param {Object} payload - Cuerpo del webhook
+   */
+  handleWebhookPayload(payload) {
+    if (!payload || payload.object !== 'whatsapp_business_account') {
+      return;
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const contacts = value.contacts || [];
+
+        for (const message of value.messages || []) {
+          const contact = contacts.find(c => c.wa_id === message.from);
+          this.handleIncomingMessage(message, contact).catch(error => {
+            logger.error('Error al normalizar mensaje de WhatsApp Cloud API:', error);
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Convierte un mensaje de la Cloud API al formato normalizado y lo emite
+   * @param {Object} message - Mensaje de la Cloud API
+   * @param {Object} contact - Contacto asociado
+   */
+  async handleIncomingMessage(message, contact) {
+    const { type, body, replyId } = parseCloudMessage(message);
+    const mediaUrl = await this.getMediaUrl(message, type);
+
+    this.emitMessage({
+      id: message.id,
+      from: message.from,
+      chatId: message.from,
+      body,
+      type,
+      mediaUrl,
+      mimetype: mediaUrl ? message[message.type].mime_type : null,
+      replyId,
+      referral: parseCloudReferral(message),
+      timestamp: Number(message.timestamp) * 1000, // Convertir a milisegundos
+      fromMe: false,
+      pushName: contact?.profile?.name || null,
+      raw: message
+    });
+  }
+
+  /**
+   * Descarga el archivo multimedia de un mensaje y lo guarda en temp/
+   * @param {Object} message - Mensaje de la Cloud API
+   * @param {string} type - Tipo normalizado del mensaje
+   * @returns {Promise<string|null>} - Ruta del archivo descargado
+   */
+  async getMediaUrl(message, type) {
+    const mediaObject = message[message.type];
+    if (!mediaObject || !mediaObject.id || !['image', 'video', 'audio', 'document'].includes(message.type)) {
+      return null;
+    }
+
+    try {
+      // Obtener la URL temporal del archivo
+      const { data: mediaInfo } = await axios.get(
+        `${GRAPH_API_URL}/${this.graphVersion}/${mediaObject.id}`,
+        { headers: this.getAuthHeaders(), timeout: 15000 }
+      );
+
+      // Descargar el archivo
+      const { data } = await axios.get(mediaInfo.url, {
+        headers: this.getAuthHeaders(),
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+
+      return saveTempMedia(Buffer.from(data), type);
+    } catch (error) {
+      logger.error('Error al descargar archivo de WhatsApp Cloud API:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Envía un mensaje de texto
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} text - Texto a enviar
+   * @returns {Promise<Object>} - Respuesta de la Graph API
+   */
+  async sendText(to, text) {
+    return this.postMessage({
+      to: toPhoneNumber(to),
+      type: 'text',
+      text: { body: text, preview_url: true }
+    });
+  }
+
+  /**
+   * Envía una plantilla aprobada (única forma de iniciar una conversación)
+   * @param {string} to - Número o JID del destinatario
+   * @param {Object} template - Nombre, idioma y parámetros del cuerpo
+   * @returns {Promise<Object>} - Respuesta de la Graph API
+   */
+  async sendTemplate(to, template) {
+    const parameters = (template.parameters || []).map(value => ({ type: 'text', text: String(value) }));
+
+    return this.postMessage({
+      to: toPhoneNumber(to),
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language },
+        ...(parameters.length > 0 ? { components: [{ type: 'body', parameters }] } : {})
+      }
+    });
+  }
+
+  /**
+   * Envía botones de respuesta rápida o una lista de opciones
+   * Si el mensaje no cumple los límites de WhatsApp o la Graph API lo rechaza,
+   * se envía como texto con las opciones numeradas
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} text - Texto del mensaje
+   * @param {Object} interactive - Botones o lista (ver interactiveService)
+   * @returns {Promise<Object>} - Respuesta de la Graph API
+   */
+  async sendInteractive(to, text, interactive) {
+    const payload = buildInteractivePayload(text, interactive);
+    if (!payload) {
+      return super.sendInteractive(to, text, interactive);
+    }
+
+    try {
+      return await this.postMessage({
+        to: toPhoneNumber(to),
+        type: 'interactive',
+        interactive: payload
+      });
+    } catch (error) {
+      logger.warn(`Mensaje interactivo rechazado, se envía como texto: ${error.message}`);
+      return super.sendInteractive(to, text, interactive);
+    }
+  }
+
+  /**
+   * Envía un archivo multimedia
+   * @param {string} to - Número o JID del destinatario
+   * @param {Object} media - Datos del archivo (ver BaseTransport.sendMedia)
+   * @returns {Promise<Object>} - Respuesta de la Graph API
+   */
+  async sendMedia(to, media) {
+    if (!['image', 'video', 'audio', 'document'].includes(media.type)) {
+      throw new Error(`Tipo de archivo no soportado: ${media.type}`);
+    }
+
+    const mediaObject = media.path
+      ? { id: await this.uploadMedia(media.path, media.mimetype) }
+      : { link: media.url };
+
+    // La Cloud API no admite caption en audios
+    if (media.caption && media.type !== 'audio') {
+      mediaObject.caption = media.caption;
+    }
+
+    // Audio OGG/Opus marcado como nota de voz
+    if (media.type === 'audio' && media.ptt) {
+      mediaObject.voice = true;
+    }
+
+    if (media.type === 'document') {
+      mediaObject.filename = media.fileName || path.basename(media.path || media.url || 'documento.pdf');
+    }
+
+    return this.postMessage({
+      to: toPhoneNumber(to),
+      type: media.type,
+      [media.type]: mediaObject
+    });
+  }
+
+  /**
+   * Muestra el indicador de "escribiendo..." respondiendo a un mensaje
+   * La Cloud API solo lo permite asociado al último mensaje recibido
+   * @param {string} to - Número o JID del destinatario
+   * @param {string} presence - composing | paused
+   * @param {Object} context - Contexto con el id del mensaje recibido
+   */
+  async sendPresence(to, presence, context = {}) {
+    if (presence !== 'composing' || !context.messageId) {
+      return;
+    }
+
+    try {
+      await axios.post(
+        this.getMessagesUrl(),
+        {
+          messaging_product: 'whatsapp',
+          status: 'read',
+          message_id: context.messageId,
+          typing_indicator: { type: 'text' }
+        },
+        { headers: this.getAuthHeaders(), timeout: 10000 }
+      );
+    } catch (error) {
+      logger.warn(`No se pudo enviar el indicador de escritura: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sube un archivo local a la Cloud API
+   * @param {string} filePath - Ruta del archivo
+   * @param {string} mimetype - Tipo MIME
+   * @returns {Promise<string>} - ID del archivo subido
+   */
+  async uploadMedia(filePath, mimetype) {
+    const formData = new FormData();
+    formData.append('messaging_product', 'whatsapp');
+    formData.append('file', fs.createReadStream(filePath), mimetype ? { contentType: mimetype } : undefined);
+
+    const { data } = await axios.post(
+      `${GRAPH_API_URL}/${this.graphVersion}/${this.phoneNumberId}/media`,
+      formData,
+      {
+        headers: { ...formData.getHeaders(), ...this.getAuthHeaders() },
+        timeout: 60000
+      }
+    );
+
+    return data.id;
+  }
+
+  /**
+   * Envía un mensaje a la Graph API
+   * @param {Object} message - Contenido del mensaje (sin messaging_product)
+   * @returns {Promise<Object>} - Respuesta de la Graph API
+   */
+  async postMessage(message) {
+    try {
+      const { data } = await axios.post(
+        this.getMessagesUrl(),
+        { messaging_product: 'whatsapp', recipient_type: 'individual', ...message },
+        { headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() }, timeout: 15000 }
+      );
+
+      this.rememberSentMessage(data.messages?.[0]?.id);
+      return data;
+    } catch (error) {
+      logger.error('Error al enviar mensaje por WhatsApp Cloud API:', error.response ? error.response.data : error.message);
+      throw error;
+    }
+  }
+
+  getMessagesUrl() {
+    return `${GRAPH_API_URL}/${this.graphVersion}/${this.phoneNumberId}/messages`;
+  }
+
+  getAuthHeaders() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+}
+
+/**
+ * Obtiene el tipo normalizado y el texto de un mensaje de la Cloud API
+ * @param {Object} message - Mensaje de la Cloud API
+ * @returns {Object} - Tipo y contenido del mensaje
+ */
+function parseCloudMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return { type: 'text', body: message.text?.body || '' };
+    case 'interactive': {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply || {};
+      return { type: 'text', body: reply.title || '', replyId: reply.id || null };
+    }
+    case 'button':
+      return { type: 'text', body: message.button?.text || '', replyId: message.button?.payload || null };
+    case 'audio':
+      return { type: message.audio?.voice ? 'ptt' : 'audio', body: '' };
+    case 'image':
+    case 'video':
+    case 'document':
+      return { type: message.type, body: message[message.type]?.caption || '' };
+    case 'contacts':
+      return { type: 'contact', body: '' };
+    case 'sticker':
+    case 'location':
+      return { type: message.type, body: '' };
+    default:
+      return { type: 'unknown', body: '' };
+  }
+}
+
+/**
+ * Obtiene los datos del anuncio (Click-to-WhatsApp) del que viene un mensaje
+ * @param {Object} message - Mensaje de la Cloud API
+ * @returns {Object|null} - Datos del anuncio o null si el mensaje no viene de uno
+ */
+function parseCloudReferral(message) {
+  const referral = message.referral;
+  if (!referral) {
+    return null;
+  }
+
+  return {
+    sourceId: referral.source_id || null,
+    sourceType: referral.source_type || null,
+    sourceUrl: referral.source_url || null,
+    headline: referral.headline || null,
+    body: referral.body || null,
+    mediaUrl: referral.image_url || referral.video_url || referral.thumbnail_url || null,
+    ctwaClid: referral.ctwa_clid || null,
+    app: null
+  };
+}
+
+/**
+ * Construye el contenido "interactive" de la Graph API para botones o una lista
+ * @param {string} text - Texto del mensaje
+ * @param {Object} interactive - Botones o lista (ver interactiveService)
+ * @returns {Object|null} - Contenido del mensaje o null si no cumple los límites
+ */
+function buildInteractivePayload(text, interactive) {
+  const options = (interactive && interactive.options) || [];
+  if (!text || text.length > LIMITS.body || options.length === 0) {
+    return null;
+  }
+
+  if (interactive.type === 'buttons' && options.length <= LIMITS.buttons) {
+    return {
+      type: 'button',
+      body: { text },
+      action: {
+        buttons: options.map(option => ({
+          type: 'reply',
+          reply: { id: option.id, title: option.title }
+        }))
+      }
+    };
+  }
+
+  if (interactive.type === 'list' && options.length <= LIMITS.rows && interactive.button) {
+    return {
+      type: 'list',
+      body: { text },
+      action: {
+        button: interactive.button,
+        sections: [{
+          title: interactive.section || interactive.button,
+          rows: options.map(option => ({
+            id: option.id,
+            title: option.title,
+            ...(option.description ? { description: option.description } : {})
+          }))
+        }]
+      }
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  CloudApiTransport,
+  parseCloudMessage,
+  parseCloudReferral,
+  buildInteractivePayload
+};
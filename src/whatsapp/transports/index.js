@@ -0,0 +1,83 @@
+/**
+ * Selección del transporte de mensajería de WhatsApp
+ *
+ * El transporte se elige con la variable WHATSAPP_TRANSPORT:
+ * - baileys (por defecto): sesión personal escaneando un código QR
+ * - cloud_api: API oficial de Meta (webhook + Graph API)
+ */
+
+const logger = require('../../utils/logger');
+
+// Transporte activo, usado por los servicios que envían mensajes fuera de una respuesta
+let activeTransport = null;
+
+/**
+ * Obtiene la configuración del transporte desde las variables de entorno
+ * @returns {Object} - Configuración del transporte
+ */
+function getTransportConfig() {
+  return {
+    type: (process.env.WHATSAPP_TRANSPORT || 'baileys').toLowerCase(),
+    cloudApi: {
+      accessToken: process.env.WHATSAPP_CLOUD_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+      appSecret: process.env.WHATSAPP_APP_SECRET,
+      // Solo para probar el webhook en desarrollo sin el secreto de la app
+      skipSignatureValidation: process.env.WHATSAPP_SKIP_SIGNATURE_VALIDATION === 'true',
+      graphVersion: process.env.WHATSAPP_GRAPH_VERSION || 'v19.0',
+      port: parseInt(process.env.WHATSAPP_WEBHOOK_PORT || '3000', 10),
+      webhookPath: process.env.WHATSAPP_WEBHOOK_PATH || '/webhook/whatsapp'
+    },
+    baileys: {
+      // WhatsApp no muestra los botones enviados desde cuentas personales en todos los dispositivos
+      interactiveMessages: process.env.BAILEYS_INTERACTIVE_MESSAGES === 'true'
+    }
+  };
+}
+
+/**
+ * Crea una instancia del transporte configurado
+ * @param {Object} config - Configuración (por defecto, la de las variables de entorno)
+ * @returns {BaseTransport} - Transporte creado
+ */
+function createTransport(config = getTransportConfig()) {
+  switch (config.type) {
+    case 'cloud_api':
+    case 'cloud': {
+      // Se requiere de forma diferida para no cargar dependencias innecesarias
+      const { CloudApiTransport } = require('./cloudApiTransport');
+      return new CloudApiTransport(config.cloudApi);
+    }
+    case 'baileys': {
+      const { BaileysTransport } = require('./baileysTransport');
+      return new BaileysTransport(config.baileys);
+    }
+    default:
+      throw new Error(`Transporte de WhatsApp desconocido: ${config.type}`);
+  }
+}
+
+/**
+ * Registra el transporte activo
+ * @param {BaseTransport} transport - Transporte
+ */
+function setActiveTransport(transport) {
+  activeTransport = transport;
+  logger.info(`Transporte de WhatsApp activo: ${transport ? transport.name : 'ninguno'}`);
+}
+
+/**
+ * Obtiene el transporte activo
+ * @returns {BaseTransport|null} - Transporte activo
+ */
+function getActiveTransport() {
+  return activeTransport;
+}
+
+module.exports = {
+  getTransportConfig,
+  createTransport,
+  setActiveTransport,
+  getActiveTransport
+};
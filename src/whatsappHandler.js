@@ -1,6 +1,17 @@
 const campaignFlow = require('./flows/campaignFlow');
 const { processAudioMessage } = require('./services/audioService');
-const { sendProspectToCRM, updateProspectInCRM } = require('./services/crmService');
+const documentService = require('./services/documentService');
+const ttsService = require('./services/ttsService');
+const { syncProspectWithCRM, updateProspectInCRM, deleteProspectFromCRM } = require('./services/crmService');
+const { updateProspectInSheets, deleteProspectFromSheets } = require('./services/sheetsService');
+const consentService = require('./services/consentService');
+const { applyAttribution } = require('./services/attributionService');
+const { deleteTransitionEvents } = require('./services/analyticsService');
+const { anonymizeAssignments } = require('./services/sellerService');
+const handoffService = require('./services/handoffService');
+const messageStore = require('./services/messageStore');
+const { resolveReply, toPendingReply, renderInteractiveText } = require('./services/interactiveService');
+const { t, resolveLanguage, getProspectLanguage, getDefaultLanguage } = require('./services/languageService');
 const logger = require('./utils/logger');
 const db = require('./database');
 const { parsePhoneNumber } = require('libphonenumber-js');
@@ -33,20 +44,35 @@ const COUNTRY_TIMEZONE_MAP = {
   'DEFAULT': 'America/Lima'     // Zona horaria por defecto
 };
 
+// Horas que tiene el prospecto para confirmar con BORRAR la eliminación de sus datos
+const ERASURE_CONFIRMATION_HOURS = 24;
+
+// Campos que guarda la sincronización con el CRM en el prospecto
+const CRM_FIELDS = ['crmId', 'crmCompanyId', 'crmDealId', 'crmStage', 'crmProvider', 'crmSyncedAt', 'crmNotesSyncedAt'];
+
 // Almacenamiento en memoria como respaldo cuando MongoDB no está disponible
 const memoryStorage = {
   prospects: new Map()
 };
 
+// Sincronización con el CRM en curso por número (ver queueCrmSync)
+const crmSyncs = new Map();
+
+// Números cuyos datos se están eliminando: no se sincronizan con el CRM (ver eraseProspect)
+const erasures = new Set();
+
 /**
  * Maneja un mensaje entrante de WhatsApp
  * @param {Object} message - Mensaje de WhatsApp
  * @returns {Promise<Object>} - Respuesta a enviar
  */
 async function handleWhatsAppMessage(message) {
+  // Idioma de la respuesta de error (se actualiza con el del prospecto)
+  let language = getDefaultLanguage();
+  
   try {
     // Extraer información del mensaje
-    const { from, body, type, mediaUrl } = message;
+    const { from, body, type, mediaUrl, mimetype, id: messageId, replyId, referral } = message;
     
     console.log(`\n===== PROCESANDO MENSAJE DE ${from} =====`);
     console.log(`Tipo: ${type}, Contenido: ${body}`);
@@ -58,78 +84,307 @@ async function handleWhatsAppMessage(message) {
     const { country, timezone } = detectCountryAndTimezone(phoneNumber);
     console.log(`País detectado: ${country}, Zona horaria: ${timezone}`);
     
+    // La lista de no contactar se consulta antes de escribir nada: a un número dado de baja o
+    // con sus datos eliminados no se le crea ni actualiza el prospecto
+    const doNotContact = await consentService.isDoNotContact(phoneNumber);
+    
     // Buscar o crear estado del prospecto
-    let prospectState = await getProspectState(phoneNumber);
+    let prospectState = doNotContact ? await findProspect(phoneNumber) : await getProspectState(phoneNumber);
     
-    // Añadir información de país y zona horaria si no existe
-    if (!prospectState.country || !prospectState.timezone) {
+    if (!doNotContact) {
+      // Añadir información de país y zona horaria si no existe
+      if (!prospectState.country || !prospectState.timezone) {
+        prospectState = {
+          ...prospectState,
+          country,
+          timezone
+        };
+        // Actualizar en base de datos o memoria
+        await updateProspectState(phoneNumber, prospectState);
+      }
+      
+      // Anuncio del que viene el prospecto (Click-to-WhatsApp): se guarda el primero
+      if (referral && !prospectState.adAttribution) {
+        prospectState = applyAttribution(prospectState, referral);
+        if (prospectState.adAttribution) {
+          logger.info(`${phoneNumber} llegó por el anuncio ${prospectState.adAttribution.adId || prospectState.adAttribution.sourceUrl} (campaña ${prospectState.campaign || 'sin campaña'})`);
+        }
+      }
+      
+      // El prospecto respondió: reiniciar la secuencia de seguimiento
+      // (el mensaje anterior se conserva para los tiempos de espera de cada estado)
       prospectState = {
         ...prospectState,
-        country,
-        timezone
+        previousProspectMessageAt: prospectState.lastProspectMessageAt || null,
+        lastProspectMessageAt: new Date(),
+        followUpCount: 0,
+        lastFollowUpAt: null,
+        followUpSkippedReason: null
       };
-      // Actualizar en base de datos o memoria
       await updateProspectState(phoneNumber, prospectState);
     }
+    language = getProspectLanguage(prospectState || undefined);
     
-    console.log(`Estado actual: ${prospectState.conversationState || 'nuevo'}`);
+    console.log(`Estado actual: ${(prospectState && prospectState.conversationState) || 'nuevo'}`);
     
     // Procesar mensaje según su tipo
     let messageText = body;
     let messageContext = null;
+    // Los audios, imágenes y documentos se borran de temp/ al leerlos: desde entonces no se guarda su ruta
+    let storedMediaUrl = mediaUrl;
     
-    // Si es un mensaje de audio, procesarlo
+    // Si es un mensaje de audio, transcribirlo antes de buscar una baja o un pedido de eliminación
     if (type === 'audio' || type === 'voice' || type === 'ptt') {
       try {
         console.log('Procesando mensaje de audio...');
         const audioResult = await processAudioMessage(mediaUrl, prospectState);
         messageText = audioResult.transcription;
         messageContext = audioResult.context;
+        storedMediaUrl = null;
         
         logger.info(`Audio de ${phoneNumber} transcrito: "${messageText}"`);
         console.log(`Audio transcrito: "${messageText}"`);
       } catch (error) {
         logger.error(`Error al procesar audio de ${phoneNumber}:`, error);
         console.error('Error al procesar audio:', error);
+        
+        // A un número en la lista de no contactar no se le responde ni se le guarda nada
+        if (doNotContact) {
+          return {
+            text: null,
+            optedOut: true
+          };
+        }
+        
+        const audioErrorResponse = t('common.audioError', language);
+        await recordMessage(phoneNumber, {
+          direction: 'incoming',
+          role: 'user',
+          type,
+          content: '',
+          mediaUrl,
+          messageId,
+          conversationState: prospectState.conversationState
+        });
+        await recordMessage(phoneNumber, {
+          direction: 'outgoing',
+          role: 'assistant',
+          content: audioErrorResponse,
+          conversationState: prospectState.conversationState
+        });
         return {
-          text: 'Lo siento, no pude procesar tu mensaje de voz. ¿Podrías escribir tu mensaje?'
+          text: audioErrorResponse
         };
       }
     }
     
+    // Baja, alta y eliminación de datos: se atienden antes que el resto de la conversación
+    // (con la transcripción si el mensaje fue de voz)
+    const consentRequest = await consentService.detectConsentRequest(messageText);
+    
+    // Un número con los datos eliminados solo vuelve a tener prospecto si pide el alta
+    if (!prospectState && consentRequest && consentRequest.action === 'opt_in') {
+      prospectState = await getProspectState(phoneNumber);
+    }
+    
+    const consentResponse = consentRequest && prospectState
+      ? await handleConsentRequest(phoneNumber, prospectState, consentRequest, { ...message, body: messageText })
+      : null;
+    if (consentResponse) {
+      return consentResponse;
+    }
+    
+    // Si el prospecto pidió no ser contactado, no responder ni guardar el mensaje
+    if (doNotContact) {
+      console.log(`${phoneNumber} está en la lista de no contactar, mensaje ignorado`);
+      return {
+        text: null,
+        optedOut: true
+      };
+    }
+    
+    // Retomar la conversación si el vendedor lleva tiempo sin responder
+    if (handoffService.shouldAutoResume(prospectState)) {
+      logger.info(`Reanudando bot para ${phoneNumber} por inactividad del vendedor`);
+      prospectState = await handoffService.endHandoff(prospectState);
+      await updateProspectState(phoneNumber, prospectState);
+    }
+    
+    // Primera respuesta a una campaña saliente (ver broadcastService)
+    if (prospectState.broadcastId && !prospectState.broadcastRepliedAt) {
+      prospectState = {
+        ...prospectState,
+        broadcastRepliedAt: new Date()
+      };
+      await updateProspectState(phoneNumber, prospectState);
+      logger.info(`${phoneNumber} respondió a la campaña ${prospectState.broadcastId}`);
+    }
+    
+    // Si el bot está pausado para este número, solo registrar el mensaje
+    if (prospectState.botPaused) {
+      await recordMessage(phoneNumber, {
+        direction: 'incoming',
+        role: 'user',
+        type,
+        content: messageText,
+        transcription: messageText !== body ? messageText : null,
+        mediaUrl: storedMediaUrl,
+        messageId,
+        conversationState: prospectState.conversationState
+      });
+      console.log(`Bot pausado para ${phoneNumber}, mensaje registrado sin respuesta`);
+      return {
+        text: null,
+        paused: true
+      };
+    }
+    
+    // Si es una imagen o un documento, leer los datos del prospecto que contiene
+    let documentAcknowledgement = null;
+    let documentData = null;
+    if (type === 'image' || type === 'document') {
+      console.log(`Leyendo ${type === 'image' ? 'imagen' : 'documento'}...`);
+      const documentResult = await documentService.processDocumentMessage(mediaUrl, type, { mimetype });
+      storedMediaUrl = null;
+      documentData = documentResult.data;
+      prospectState = documentService.mergeDocumentData(prospectState, documentData);
+      
+      const documentMessage = documentService.buildDocumentMessage(documentData, prospectState);
+      messageText = [body, documentMessage].filter(Boolean).join('. ');
+      
+      // Sin datos ni texto no hay nada que pasar al flujo: pedir los datos por escrito
+      if (!messageText) {
+        documentAcknowledgement = documentService.buildAcknowledgement(documentData, type, prospectState);
+        await recordMessage(phoneNumber, {
+          direction: 'incoming',
+          role: 'user',
+          type,
+          content: '',
+          mediaUrl: storedMediaUrl,
+          messageId,
+          conversationState: prospectState.conversationState
+        });
+        await recordMessage(phoneNumber, {
+          direction: 'outgoing',
+          role: 'assistant',
+          content: documentAcknowledgement,
+          conversationState: prospectState.conversationState
+        });
+        return {
+          text: documentAcknowledgement
+        };
+      }
+      
+      // Si solo se recibió el texto del mensaje, el flujo responde sin confirmación
+      if (Object.keys(documentData).length > 0) {
+        documentAcknowledgement = documentService.buildAcknowledgement(documentData, type, prospectState);
+      }
+    }
+    
+    // Detectar el idioma del prospecto con el texto (o la transcripción) del mensaje
+    prospectState = {
+      ...prospectState,
+      ...resolveLanguage(prospectState, messageText)
+    };
+    language = prospectState.language;
+    console.log(`Idioma: ${prospectState.language} (${prospectState.languageSource})`);
+    
+    await recordMessage(phoneNumber, {
+      direction: 'incoming',
+      role: 'user',
+      type,
+      content: messageText,
+      transcription: messageText !== body ? messageText : null,
+      mediaUrl: storedMediaUrl,
+      messageId,
+      metadata: documentData ? { extractedData: documentData } : undefined,
+      conversationState: prospectState.conversationState
+    });
+    
+    // Si el prospecto pide hablar con una persona, pasar a atención humana
+    if (handoffService.isHumanRequest(messageText)) {
+      const handoffState = await handoffService.startHandoff(prospectState, 'human_request');
+      const handoffMessage = handoffService.getHandoffMessage(handoffState);
+      handoffState.lastResponse = handoffMessage;
+      await updateProspectState(phoneNumber, handoffState);
+      await handoffService.notifyVendor(handoffState, 'human_request');
+      
+      await recordMessage(phoneNumber, {
+        direction: 'outgoing',
+        role: 'assistant',
+        content: handoffMessage,
+        conversationState: handoffState.conversationState
+      });
+      logger.info(`Prospecto ${phoneNumber} solicitó atención humana`);
+      return {
+        text: handoffMessage
+      };
+    }
+    
+    // Reconocer la opción elegida si la respuesta anterior ofrecía botones o una lista
+    prospectState = {
+      ...prospectState,
+      selectedReply: resolveReply(messageText, prospectState.pendingReply, replyId)
+    };
+    if (prospectState.selectedReply) {
+      console.log(`Opción elegida: ${prospectState.selectedReply}`);
+    }
+    
     // Procesar mensaje con el flujo de campaña
     console.log('Enviando mensaje al flujo de campaña...');
-    const { response, newState } = await campaignFlow.processMessage(prospectState, messageText);
+    const { response: flowResponse, newState, attachments = [], interactive = null } = await campaignFlow.processMessage(messageText, prospectState);
     console.log(`Nuevo estado: ${newState.conversationState}`);
     
-    // Actualizar estado del prospecto
-    await updateProspectState(phoneNumber, newState);
+    // Confirmar los datos tomados de la imagen o el documento antes de la respuesta del flujo
+    const response = documentAcknowledgement ? `${documentAcknowledgement}\n\n${flowResponse}` : flowResponse;
     
-    // Si el estado cambió a COMPLETED, enviar al CRM
-    if (newState.conversationState === 'completed' && 
-        (!prospectState.conversationState || prospectState.conversationState !== 'completed')) {
-      try {
-        console.log('Enviando prospecto al CRM...');
-        const crmResult = await sendProspectToCRM(newState);
-        
-        // Guardar ID del CRM en el estado
-        if (crmResult.success && crmResult.crmId) {
-          await updateProspectState(phoneNumber, {
-            ...newState,
-            crmId: crmResult.crmId
-          });
-          console.log(`Prospecto enviado al CRM con ID: ${crmResult.crmId}`);
-        }
-      } catch (error) {
-        logger.error(`Error al enviar prospecto ${phoneNumber} al CRM:`, error);
-        console.error('Error al enviar prospecto al CRM:', error);
-      }
+    // Las opciones se guardan para reconocer la respuesta del prospecto en el siguiente mensaje
+    newState.pendingReply = toPendingReply(interactive);
+    newState.selectedReply = null;
+    
+    // El historial guarda el texto con las opciones numeradas, tal como lo ve un canal sin botones
+    const outgoingText = renderInteractiveText(response, interactive);
+    
+    // Si el prospecto habló por audio, responder con una nota de voz (si el modo está activo)
+    const voice = ttsService.shouldReplyWithVoice(newState, type, { text: response, interactive })
+      ? await ttsService.createVoiceReply(response, newState)
+      : null;
+    
+    // La nota de voz se borra después de enviarla (ver deliverVoice): solo se guarda el texto
+    await recordMessage(phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      type: voice ? 'audio' : 'text',
+      content: outgoingText,
+      metadata: voice ? { voice: voice.voice, provider: voice.provider } : undefined,
+      conversationState: newState.conversationState
+    });
+    
+    // Registrar el material que acompaña la respuesta (brochures, videos, casos de éxito)
+    for (const attachment of attachments) {
+      await recordMessage(phoneNumber, {
+        direction: 'outgoing',
+        role: 'assistant',
+        type: attachment.type,
+        content: attachment.caption || attachment.fileName || attachment.id,
+        mediaUrl: attachment.url || attachment.path,
+        conversationState: newState.conversationState
+      });
     }
     
+    // Guardar la última respuesta para poder reenviarla desde la API de administración
+    newState.lastResponse = outgoingText;
+    
+    // Actualizar estado del prospecto (el CRM se sincroniza aparte en cada transición, ver queueCrmSync)
+    await updateProspectState(phoneNumber, newState);
+    
     // Devolver respuesta
     console.log(`Respuesta generada: ${response.substring(0, 100)}${response.length > 100 ? '...' : ''}`);
     return {
-      text: response
+      text: response,
+      attachments,
+      interactive,
+      voice
     };
   } catch (error) {
     logger.error('Error al manejar mensaje de WhatsApp:', error);
@@ -137,9 +392,337 @@ async function handleWhatsAppMessage(message) {
     
     // Respuesta de error genérica
     return {
-      text: 'Lo siento, tuve un problema al procesar tu mensaje. Por favor, intenta nuevamente en unos momentos.'
+      text: t('common.processingError', language)
+    };
+  }
+}
+
+/**
+ * Atiende una solicitud de baja, alta o eliminación de datos del prospecto
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} prospectState - Estado del prospecto
+ * @param {Object} request - Solicitud (ver consentService.detectConsentRequest)
+ * @param {Object} message - Mensaje recibido
+ * @returns {Promise<Object|null>} - Respuesta, o null si el mensaje sigue a los flujos
+ */
+async function handleConsentRequest(phoneNumber, prospectState, request, message) {
+  const { action, source } = request;
+  
+  if (action === 'erasure_confirm') {
+    // "BORRAR" sin un pedido de eliminación reciente es un mensaje más de la conversación
+    const requestedAt = prospectState.erasureRequestedAt ? new Date(prospectState.erasureRequestedAt).getTime() : 0;
+    if (Date.now() - requestedAt > ERASURE_CONFIRMATION_HOURS * 60 * 60 * 1000) {
+      return null;
+    }
+    
+    // Después de eliminar los datos no queda nada que registrar del mensaje
+    const response = t('consent.erasure', prospectState);
+    await eraseProspect(phoneNumber, { source });
+    return {
+      text: response
+    };
+  }
+  
+  if (action === 'erasure') {
+    // La eliminación no se puede deshacer: se pide confirmación antes de borrar
+    const response = t('consent.erasureConfirm', prospectState);
+    await recordMessage(phoneNumber, {
+      direction: 'incoming',
+      role: 'user',
+      type: message.type,
+      content: message.body,
+      messageId: message.id,
+      metadata: { consent: action },
+      conversationState: prospectState.conversationState
+    });
+    await recordMessage(phoneNumber, {
+      direction: 'outgoing',
+      role: 'assistant',
+      content: response,
+      conversationState: prospectState.conversationState
+    });
+    await updateProspectState(phoneNumber, {
+      ...prospectState,
+      erasureRequestedAt: new Date(),
+      lastResponse: response
+    });
+    return {
+      text: response
     };
   }
+  
+  // Un "ALTA" de quien no se dio de baja es un mensaje más de la conversación
+  if (action === 'opt_in' && !(await consentService.isDoNotContact(phoneNumber))) {
+    return null;
+  }
+  
+  if (action === 'opt_in') {
+    await consentService.optIn(phoneNumber, { source, message: message.body });
+  } else {
+    await consentService.optOut(phoneNumber, { source, message: message.body });
+  }
+  
+  const response = t(action === 'opt_in' ? 'consent.optIn' : 'consent.optOut', prospectState);
+  const newState = {
+    ...prospectState,
+    optedOut: action === 'opt_out',
+    optedOutAt: action === 'opt_out' ? new Date() : null,
+    lastResponse: response
+  };
+  
+  await recordMessage(phoneNumber, {
+    direction: 'incoming',
+    role: 'user',
+    type: message.type,
+    content: message.body,
+    messageId: message.id,
+    metadata: { consent: action },
+    conversationState: prospectState.conversationState
+  });
+  await recordMessage(phoneNumber, {
+    direction: 'outgoing',
+    role: 'assistant',
+    content: response,
+    conversationState: prospectState.conversationState
+  });
+  await updateProspectState(phoneNumber, newState);
+  
+  // Avisar a Google Sheets y al CRM para que el equipo comercial tampoco lo contacte
+  await updateProspectInSheets(phoneNumber, newState);
+  if (newState.crmId) {
+    await updateProspectInCRM(newState.crmId, { doNotContact: newState.optedOut, optedOutAt: newState.optedOutAt });
+  }
+  
+  logger.info(`Prospecto ${phoneNumber}: ${action === 'opt_in' ? 'alta' : 'baja'} de mensajes (${source})`);
+  return {
+    text: response
+  };
+}
+
+/**
+ * Elimina todos los datos de un prospecto (derecho de supresión)
+ *
+ * Borra el prospecto, su historial y sus eventos del embudo, quita sus datos de las asignaciones de
+ * vendedores y de los destinatarios de las campañas, pide a Google Sheets y al CRM que eliminen su
+ * registro y deja el número en la lista de no contactar.
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - { source (keyword, admin, cli) }
+ * @returns {Promise<Object>} - Resumen de lo eliminado en cada sistema
+ */
+async function eraseProspect(phoneNumber, { source = 'admin' } = {}) {
+  erasures.add(phoneNumber);
+  try {
+    // Esperar la sincronización en curso: puede estar creando el registro del CRM que hay que eliminar
+    while (crmSyncs.has(phoneNumber)) {
+      await crmSyncs.get(phoneNumber);
+    }
+    
+    return await eraseProspectData(phoneNumber, { source });
+  } finally {
+    erasures.delete(phoneNumber);
+  }
+}
+
+/**
+ * Elimina los datos de un prospecto en cada sistema (ver eraseProspect)
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} options - { source }
+ * @returns {Promise<Object>} - Resumen de lo eliminado en cada sistema
+ */
+async function eraseProspectData(phoneNumber, { source }) {
+  const prospect = await findProspect(phoneNumber);
+  const summary = {
+    phoneNumber, prospect: false, messages: 0, events: 0, assignments: 0, broadcasts: 0, sheets: false, crm: null, errors: []
+  };
+  
+  // El número se bloquea primero: si algo falla, igual no se lo vuelve a contactar
+  await consentService.registerErasure(phoneNumber, { source });
+  
+  try {
+    summary.prospect = await deleteProspect(phoneNumber);
+  } catch (error) {
+    summary.errors.push(`prospecto: ${error.message}`);
+  }
+  
+  try {
+    summary.messages = await messageStore.deleteMessages(phoneNumber);
+  } catch (error) {
+    summary.errors.push(`mensajes: ${error.message}`);
+  }
+  
+  try {
+    summary.events = await deleteTransitionEvents(phoneNumber);
+  } catch (error) {
+    summary.errors.push(`eventos: ${error.message}`);
+  }
+  
+  try {
+    summary.assignments = await anonymizeAssignments(phoneNumber);
+  } catch (error) {
+    summary.errors.push(`asignaciones: ${error.message}`);
+  }
+  
+  try {
+    // Se carga al usarse: el servicio de campañas usa este manejador
+    const { eraseRecipient } = require('./services/broadcastService');
+    summary.broadcasts = await eraseRecipient(phoneNumber);
+  } catch (error) {
+    summary.errors.push(`campañas: ${error.message}`);
+  }
+  
+  summary.sheets = (await deleteProspectFromSheets(phoneNumber)).success;
+  if (prospect && prospect.crmId) {
+    summary.crm = (await deleteProspectFromCRM(prospect.crmId, { dealId: prospect.crmDealId })).success;
+  }
+  
+  logger.info(`Datos de ${phoneNumber} eliminados (${source}): ${JSON.stringify(summary)}`);
+  return summary;
+}
+
+/**
+ * Maneja un mensaje enviado manualmente desde el teléfono del bot (fromMe)
+ * El vendedor toma la conversación, o la devuelve al bot con un comando
+ * @param {Object} message - Mensaje enviado por el vendedor
+ * @returns {Promise<Object>} - Acción realizada
+ */
+async function handleOwnerMessage(message) {
+  try {
+    const { from, body, type } = message;
+    const phoneNumber = normalizePhoneNumber(from);
+    const prospectState = await findProspect(phoneNumber);
+    
+    // Solo interesan las conversaciones con prospectos del bot
+    if (!prospectState) {
+      return { action: 'ignored' };
+    }
+    
+    if (handoffService.isResumeCommand(body)) {
+      await updateProspectState(phoneNumber, await handoffService.endHandoff(prospectState));
+      logger.info(`Bot reactivado por el vendedor para ${phoneNumber}`);
+      return { action: 'resumed' };
+    }
+    
+    if (handoffService.isPauseCommand(body)) {
+      await updateProspectState(phoneNumber, await handoffService.startHandoff(prospectState, 'manual'));
+      logger.info(`Bot pausado por el vendedor para ${phoneNumber}`);
+      return { action: 'paused' };
+    }
+    
+    await recordMessage(phoneNumber, {
+      direction: 'outgoing',
+      role: 'vendor',
+      type,
+      content: body,
+      mediaUrl: message.mediaUrl,
+      messageId: message.id,
+      conversationState: prospectState.conversationState
+    });
+    
+    // Respuesta manual del vendedor: pausar el bot o extender la pausa
+    if (prospectState.botPaused) {
+      await updateProspectState(phoneNumber, handoffService.registerHumanActivity(prospectState));
+      return { action: 'activity' };
+    }
+    
+    const handoffState = await handoffService.startHandoff(prospectState, 'vendor_reply');
+    await updateProspectState(phoneNumber, handoffState);
+    await handoffService.notifyVendor(handoffState, 'vendor_reply');
+    logger.info(`Vendedor respondió manualmente a ${phoneNumber}, bot pausado`);
+    
+    return { action: 'paused' };
+  } catch (error) {
+    logger.error('Error al manejar mensaje del vendedor:', error);
+    return { action: 'error' };
+  }
+}
+
+/**
+ * Sincroniza el prospecto con el CRM sin demorar la respuesta
+ *
+ * Se llama en cada cambio del estado de la conversación (ver el onTransition de campaignFlow).
+ * Las sincronizaciones de un mismo número se hacen de a una para que cada una use los IDs que
+ * guardó la anterior y no cree otro negocio. Mientras se eliminan los datos del número no se
+ * sincroniza. Los errores solo se registran.
+ * @param {Object} prospectState - Estado del prospecto con el nuevo estado de la conversación
+ * @returns {Promise<void>} - Se resuelve al terminar (no hace falta esperarla)
+ */
+function queueCrmSync(prospectState) {
+  const { phoneNumber } = prospectState;
+  if (erasures.has(phoneNumber)) {
+    return Promise.resolve();
+  }
+  
+  const previous = crmSyncs.get(phoneNumber) || Promise.resolve();
+  
+  const sync = previous
+    .then(async () => {
+      // Un prospecto eliminado mientras tanto no se vuelve a enviar
+      const stored = await findProspect(phoneNumber);
+      if (!stored) {
+        return;
+      }
+      
+      // Los IDs del CRM son los guardados: los del estado pueden ser de antes de la sincronización anterior
+      const storedCrmFields = Object.fromEntries(CRM_FIELDS.map(field => [field, stored[field] || null]));
+      const crmFields = await syncProspectWithCRM({ ...prospectState, ...storedCrmFields });
+      
+      if (crmFields) {
+        await setProspectFields(phoneNumber, crmFields);
+      }
+    })
+    .catch(error => {
+      logger.error(`Error al sincronizar el prospecto ${phoneNumber} con el CRM:`, error);
+    })
+    .finally(() => {
+      if (crmSyncs.get(phoneNumber) === sync) {
+        crmSyncs.delete(phoneNumber);
+      }
+    });
+  
+  crmSyncs.set(phoneNumber, sync);
+  return sync;
+}
+
+/**
+ * Guarda solo los campos indicados del prospecto, sin tocar el resto de sus datos
+ * Lo usan los procesos en segundo plano (CRM, seguimientos, recordatorios) para no pisar
+ * una respuesta o un cambio de estado que llegó después de que leyeron el prospecto
+ * @param {string} phoneNumber - Número de teléfono
+ * @param {Object} fields - Campos a guardar
+ */
+async function setProspectFields(phoneNumber, fields) {
+  const collection = await db.collection('prospects');
+  
+  if (collection) {
+    await collection.updateOne({ phoneNumber }, { $set: fields });
+  } else if (memoryStorage.prospects.has(phoneNumber)) {
+    memoryStorage.prospects.set(phoneNumber, { ...memoryStorage.prospects.get(phoneNumber), ...fields });
+  }
+}
+
+/**
+ * Espera a que terminen las sincronizaciones con el CRM en curso
+ * @returns {Promise<void>}
+ */
+async function waitForCrmSyncs() {
+  await Promise.all(Array.from(crmSyncs.values()));
+}
+
+/**
+ * Registra un mensaje en el historial persistente y en el historial en memoria del flujo
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} data - Datos del mensaje (ver messageStore.saveMessage)
+ * @returns {Promise<Object>} - Mensaje guardado
+ */
+async function recordMessage(phoneNumber, data) {
+  campaignFlow.addToHistory(phoneNumber, { role: data.role, type: data.type || 'text', content: data.content });
+  
+  try {
+    return await messageStore.saveMessage({ phoneNumber, ...data });
+  } catch (error) {
+    logger.error(`Error al registrar mensaje de ${phoneNumber}:`, error);
+    return null;
+  }
 }
 
 /**
@@ -255,8 +838,235 @@ async function getProspectState(phoneNumber) {
   }
 }
 
+/**
+ * Busca un prospecto sin crearlo si no existe
+ * @param {string} phoneNumber - Número de teléfono
+ * @returns {Promise<Object|null>} - Prospecto o null si no existe
+ */
+async function findProspect(phoneNumber) {
+  try {
+    const collection = await db.collection('prospects');
+    
+    if (collection) {
+      return await collection.findOne({ phoneNumber });
+    }
+  } catch (error) {
+    logger.error(`Error al buscar prospecto ${phoneNumber}:`, error);
+  }
+  
+  return memoryStorage.prospects.get(phoneNumber) || null;
+}
+
+/**
+ * Elimina un prospecto y su historial en memoria (derecho de supresión de datos)
+ * @param {string} phoneNumber - Número de teléfono
+ * @returns {Promise<boolean>} - True si el prospecto existía
+ */
+async function deleteProspect(phoneNumber) {
+  let deleted = memoryStorage.prospects.delete(phoneNumber);
+  campaignFlow.clearHistory(phoneNumber);
+  
+  const collection = await db.collection('prospects');
+  if (collection) {
+    const result = await collection.deleteOne({ phoneNumber });
+    deleted = result.deletedCount > 0;
+  }
+  
+  return deleted;
+}
+
+/**
+ * Lista prospectos con filtros opcionales
+ * @param {Object} filters - Filtros de búsqueda
+ * @param {string} filters.search - Texto a buscar en teléfono, nombre, empresa o email
+ * @param {string} filters.state - Estado de conversación
+ * @param {string} filters.campaign - Campaña del prospecto (ej. id de una campaña saliente)
+ * @param {number} filters.limit - Máximo de resultados
+ * @param {number} filters.skip - Resultados a omitir
+ * @returns {Promise<Object>} - Prospectos encontrados y total
+ */
+async function listProspects({ search, state, campaign, limit = 50, skip = 0 } = {}) {
+  const searchFields = ['phoneNumber', 'name', 'company', 'email'];
+  
+  try {
+    const collection = await db.collection('prospects');
+    
+    if (collection) {
+      const query = {};
+      if (state) {
+        query.conversationState = state;
+      }
+      if (campaign) {
+        query.campaign = campaign;
+      }
+      if (search) {
+        const regex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = searchFields.map(field => ({ [field]: regex }));
+      }
+      
+      const [prospects, total] = await Promise.all([
+        collection.find(query).sort({ lastInteraction: -1 }).skip(skip).limit(limit).toArray(),
+        collection.countDocuments(query)
+      ]);
+      
+      return { prospects, total };
+    }
+  } catch (error) {
+    logger.error('Error al listar prospectos:', error);
+  }
+  
+  // Filtrar en memoria si no hay conexión a MongoDB
+  const term = search ? search.toLowerCase() : null;
+  const filtered = Array.from(memoryStorage.prospects.values())
+    .filter(prospect => !state || prospect.conversationState === state)
+    .filter(prospect => !campaign || prospect.campaign === campaign)
+    .filter(prospect => !term || searchFields.some(field =>
+      prospect[field] && String(prospect[field]).toLowerCase().includes(term)
+    ))
+    .sort((a, b) => new Date(b.lastInteraction) - new Date(a.lastInteraction));
+  
+  return {
+    prospects: filtered.slice(skip, skip + limit),
+    total: filtered.length
+  };
+}
+
+/**
+ * Recorre todos los prospectos de un estado, de a lotes y por número de teléfono
+ * (un orden que no cambia mientras se recorren, a diferencia de lastInteraction)
+ * @param {Object} filters - Filtros
+ * @param {string} filters.state - Estado de conversación
+ * @param {Function} handler - Función async que recibe cada prospecto
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<number>} - Cantidad de prospectos recorridos
+ */
+async function forEachProspect({ state }, handler, { batchSize = 200 } = {}) {
+  const collection = await db.collection('prospects');
+  let count = 0;
+  
+  if (collection) {
+    let lastPhoneNumber = null;
+    for (;;) {
+      const query = { conversationState: state, ...(lastPhoneNumber ? { phoneNumber: { $gt: lastPhoneNumber } } : {}) };
+      const batch = await collection.find(query).sort({ phoneNumber: 1 }).limit(batchSize).toArray();
+      for (const prospect of batch) {
+        await handler(prospect);
+      }
+      count += batch.length;
+      if (batch.length < batchSize) {
+        return count;
+      }
+      lastPhoneNumber = batch[batch.length - 1].phoneNumber;
+    }
+  }
+  
+  const prospects = Array.from(memoryStorage.prospects.values())
+    .filter(prospect => prospect.conversationState === state)
+    .sort((a, b) => String(a.phoneNumber).localeCompare(String(b.phoneNumber)));
+  for (const prospect of prospects) {
+    await handler(prospect);
+  }
+  return prospects.length;
+}
+
+/**
+ * Cuenta, por estado de la conversación, los prospectos que respondieron a una campaña saliente
+ * Con MongoDB el conteo se hace en la base de datos, sin leer los prospectos
+ * @param {string} broadcastId - Identificador de la campaña
+ * @returns {Promise<Object>} - { replied, states: { estado: cantidad } }
+ */
+async function countBroadcastReplies(broadcastId) {
+  const query = { broadcastId, broadcastRepliedAt: { $ne: null } };
+  let groups = null;
+
+  try {
+    const collection = await db.collection('prospects');
+    if (collection) {
+      groups = await collection.aggregate([
+        { $match: query },
+        { $group: { _id: '$conversationState', count: { $sum: 1 } } }
+      ]).toArray();
+    }
+  } catch (error) {
+    logger.error(`Error al contar las respuestas de la campaña ${broadcastId}:`, error);
+  }
+
+  if (!groups) {
+    const counts = new Map();
+    memoryStorage.prospects.forEach(prospect => {
+      if (prospect.broadcastId === broadcastId && prospect.broadcastRepliedAt) {
+        counts.set(prospect.conversationState, (counts.get(prospect.conversationState) || 0) + 1);
+      }
+    });
+    groups = Array.from(counts, ([state, count]) => ({ _id: state, count }));
+  }
+
+  return {
+    replied: groups.reduce((total, group) => total + group.count, 0),
+    states: Object.fromEntries(groups.map(group => [group._id, group.count]))
+  };
+}
+
+/**
+ * Cuenta, por clave y variante de plantilla, los prospectos asignados y sus conversiones
+ * Con MongoDB el conteo se hace en la base de datos, sin leer los prospectos
+ * @returns {Promise<Object>} - { prospects (total), variants: [{ key, variant, assigned, reachedInvitation, bookedDemo }] }
+ */
+async function countTemplateVariants() {
+  try {
+    const collection = await db.collection('prospects');
+    if (collection) {
+      const converted = field => ({ $cond: [{ $ifNull: [`$templateConversions.${field}`, false] }, 1, 0] });
+      const [groups, prospects] = await Promise.all([
+        collection.aggregate([
+          { $match: { templateVariants: { $type: 'object' } } },
+          { $project: { variants: { $objectToArray: '$templateVariants' }, invitation: converted('invitation'), demo: converted('demo') } },
+          { $unwind: '$variants' },
+          {
+            $group: {
+              _id: { key: '$variants.k', variant: '$variants.v' },
+              assigned: { $sum: 1 },
+              reachedInvitation: { $sum: '$invitation' },
+              bookedDemo: { $sum: '$demo' }
+            }
+          }
+        ]).toArray(),
+        collection.countDocuments({})
+      ]);
+
+      return {
+        prospects,
+        variants: groups.map(({ _id, ...counts }) => ({ key: _id.key, variant: _id.variant, ...counts }))
+      };
+    }
+  } catch (error) {
+    logger.error('Error al contar los resultados de las plantillas:', error);
+  }
+
+  const counts = new Map();
+  memoryStorage.prospects.forEach(prospect => {
+    const conversions = prospect.templateConversions || {};
+    Object.entries(prospect.templateVariants || {}).forEach(([key, variant]) => {
+      const id = `${key}:${variant}`;
+      if (!counts.has(id)) {
+        counts.set(id, { key, variant, assigned: 0, reachedInvitation: 0, bookedDemo: 0 });
+      }
+
+      const entry = counts.get(id);
+      entry.assigned += 1;
+      entry.reachedInvitation += conversions.invitation ? 1 : 0;
+      entry.bookedDemo += conversions.demo ? 1 : 0;
+    });
+  });
+
+  return { prospects: memoryStorage.prospects.size, variants: Array.from(counts.values()) };
+}
+
 /**
  * Actualiza el estado de un prospecto
+ *
+ * Los IDs del CRM (CRM_FIELDS) no se escriben aquí: los guarda solo la sincronización con el
+ * CRM (ver setProspectFields), que termina después de que el flujo leyó el prospecto.
  * @param {string} phoneNumber - Número de teléfono
  * @param {Object} newState - Nuevo estado
  * @returns {Promise<boolean>} - True si se actualizó correctamente
@@ -266,6 +1076,8 @@ async function updateProspectState(phoneNumber, newState) {
     // Actualizar fecha de última interacción
     newState.lastInteraction = new Date();
     
+    const fields = Object.fromEntries(Object.entries(newState).filter(([field]) => !CRM_FIELDS.includes(field)));
+    
     // Intentar actualizar en la base de datos
     const collection = await db.collection('prospects');
     
@@ -273,12 +1085,12 @@ async function updateProspectState(phoneNumber, newState) {
       // Si hay conexión a MongoDB, actualizar en la base de datos
       await collection.updateOne(
         { phoneNumber },
-        { $set: newState }
+        { $set: fields }
       );
       console.log('Prospecto actualizado en la base de datos');
     } else {
-      // Si no hay conexión a MongoDB, actualizar en memoria
-      memoryStorage.prospects.set(phoneNumber, newState);
+      // Si no hay conexión a MongoDB, actualizar en memoria (como $set, sin perder los demás campos)
+      memoryStorage.prospects.set(phoneNumber, { ...memoryStorage.prospects.get(phoneNumber), ...fields });
       console.log('Prospecto actualizado en memoria');
     }
     
@@ -296,5 +1108,21 @@ async function updateProspectState(phoneNumber, newState) {
 }
 
 module.exports = {
-  handleWhatsAppMessage
+  handleWhatsAppMessage,
+  handleOwnerMessage,
+  recordMessage,
+  queueCrmSync,
+  waitForCrmSyncs,
+  normalizePhoneNumber,
+  detectCountryAndTimezone,
+  getProspectState,
+  updateProspectState,
+  findProspect,
+  deleteProspect,
+  eraseProspect,
+  listProspects,
+  forEachProspect,
+  setProspectFields,
+  countBroadcastReplies,
+  countTemplateVariants
 }; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Ejecuta los escenarios de conversación sin red
+ *
+ * Uso:
+ *   node test/run-scenarios.js                       (todos los de test/scenarios)
+ *   node test/run-scenarios.js test/scenarios/x.json (solo los indicados)
+ *   node test/run-scenarios.js --verbose             (muestra los logs del bot)
+ *
+ * Cada escenario envía los mensajes de un prospecto a handleWhatsAppMessage() con
+ * OpenAI, Calendar, Sheets, Make y el CRM simulados, y compara estados y respuestas.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Sin credenciales reales durante la simulación
+process.env.OPENAI_API_KEY = '';
+process.env.MONGODB_URI = '';
+process.env.MAKE_WEBHOOK_URL = '';
+process.env.MAKE_UPDATE_WEBHOOK_URL = '';
+process.env.SELLERS_FILE = process.env.SIMULATOR_SELLERS_FILE || path.join(__dirname, 'simulator/sellers.json');
+process.env.MEDIA_LIBRARY_FILE = process.env.SIMULATOR_MEDIA_FILE || path.join(__dirname, 'simulator/media.json');
+
+const { installStubs } = require('./simulator/stubs');
+const { loadScenario, runScenario } = require('./simulator/scenarioRunner');
+const logger = require('../src/utils/logger');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+
+/**
+ * Archivos de escenario a ejecutar
+ * @returns {Array<string>}
+ */
+function getScenarioFiles() {
+  const files = args.filter(arg => !arg.startsWith('--'));
+  if (files.length > 0) {
+    return files.map(file => path.resolve(file));
+  }
+
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => /\.(json|ya?ml)$/i.test(file))
+    .sort()
+    .map(file => path.join(SCENARIOS_DIR, file));
+}
+
+/**
+ * Silencia los logs del bot para que solo se vea el resultado de los escenarios
+ * @returns {Function} - Función para escribir en la consola
+ */
+function silenceLogs() {
+  const write = console.log.bind(console);
+
+  if (!verbose) {
+    logger.transports.forEach(transport => {
+      transport.silent = true;
+    });
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  return write;
+}
+
+// Función principal
+async function runScenarios() {
+  const print = silenceLogs();
+  installStubs();
+
+  let failed = 0;
+
+  try {
+    const files = getScenarioFiles();
+
+    for (const file of files) {
+      let result;
+      try {
+        result = await runScenario(loadScenario(file));
+      } catch (error) {
+        result = { name: path.basename(file), passed: false, steps: [{ index: 0, errors: [error.message] }] };
+      }
+
+      print(`${result.passed ? '✔' : '✘'} ${result.name}`);
+
+      if (!result.passed) {
+        failed++;
+        const step = result.steps[result.steps.length - 1];
+        print(`    paso ${step.index}${step.input !== undefined ? `: ${step.input}` : ''}`);
+        step.errors.forEach(error => print(`      - ${error}`));
+      }
+    }
+
+    print(`\n${files.length - failed}/${files.length} escenarios correctos`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    print(`Error al ejecutar los escenarios: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar los escenarios
+if (require.main === module) {
+  runScenarios();
+}
+
+module.exports = { runScenarios };
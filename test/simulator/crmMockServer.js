@@ -0,0 +1,288 @@
+/**
+ * Servidor simulado de las API de HubSpot, Pipedrive y Zoho CRM
+ *
+ * Implementa en memoria los endpoints que usan los conectores de services/crm
+ * (búsqueda, alta, modificación y baja de contactos, empresas, negocios y notas)
+ * y valida las credenciales de cada proveedor, para probar la integración sin
+ * cuentas reales. Registra cada petición recibida.
+ *
+ * Uso independiente (para probar el bot contra el CRM simulado):
+ *   npm run crm:mock
+ *   CRM_PROVIDER=hubspot CRM_API_URL=http://localhost:4010 CRM_API_KEY=mock-token npm start
+ *
+ * Con Pipedrive, CRM_API_URL lleva la versión (http://localhost:4010/v1). Con Zoho,
+ * ZOHO_ACCOUNTS_URL también apunta al servidor simulado y las credenciales OAuth
+ * son mock-client-id, mock-client-secret y mock-refresh-token.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 4010;
+
+const DEFAULT_CREDENTIALS = {
+  hubspotToken: 'mock-token',
+  pipedriveToken: 'mock-token',
+  zohoClientId: 'mock-client-id',
+  zohoClientSecret: 'mock-client-secret',
+  zohoRefreshToken: 'mock-refresh-token'
+};
+
+/**
+ * Error con el código HTTP que debe responder el servidor
+ */
+class MockError extends Error {
+  constructor(status, body) {
+    super(`HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Crea el servidor simulado
+ * @param {Object} credentials - Credenciales aceptadas (ver DEFAULT_CREDENTIALS)
+ * @returns {Object} - { server, store, requests, listen(port), close(), reset(), fail(fragment, status) }
+ */
+function createCrmMockServer(credentials = {}) {
+  const auth = { ...DEFAULT_CREDENTIALS, ...credentials };
+  const requests = [];
+  const store = {};
+  const zohoTokens = new Set();
+  // Rutas que fallan a propósito: fragmento de la ruta -> código HTTP
+  const failures = new Map();
+  let nextId = 1000;
+
+  function reset() {
+    requests.length = 0;
+    failures.clear();
+    store.hubspot = { contacts: [], companies: [], deals: [], notes: [], associations: [] };
+    store.pipedrive = { persons: [], organizations: [], deals: [], notes: [] };
+    store.zoho = { Contacts: [], Accounts: [], Deals: [], Notes: [] };
+    zohoTokens.clear();
+  }
+
+  function getCollection(provider, type) {
+    const collection = store[provider][type];
+    if (!collection) {
+      throw new MockError(404, { message: `Tipo desconocido: ${type}` });
+    }
+    return collection;
+  }
+
+  function findById(collection, id) {
+    const item = collection.find(candidate => String(candidate.id) === String(id));
+    if (!item) {
+      throw new MockError(404, { message: `No existe el registro ${id}` });
+    }
+    return item;
+  }
+
+  function remove(collection, id) {
+    findById(collection, id);
+    collection.splice(collection.findIndex(candidate => String(candidate.id) === String(id)), 1);
+  }
+
+  // HubSpot: /crm/v3/objects/{type}[/{id}|/search] y /crm/v4 para asociaciones
+  function handleHubSpot(method, parts, body, headers) {
+    if (headers.authorization !== `Bearer ${auth.hubspotToken}`) {
+      throw new MockError(401, { status: 'error', category: 'INVALID_AUTHENTICATION' });
+    }
+
+    if (parts[1] === 'v4') {
+      // /crm/v4/objects/contact/{id}/associations/default/company/{companyId}
+      const [, , , fromType, fromId, , , toType, toId] = parts;
+      store.hubspot.associations.push({ fromType, fromId, toType, toId });
+      return { status: 200, body: { fromObjectId: fromId, toObjectId: toId } };
+    }
+
+    const [, , , type, id] = parts;
+    const collection = getCollection('hubspot', type);
+
+    if (method === 'POST' && id === 'search') {
+      const [filter] = body.filterGroups[0].filters;
+      const results = collection.filter(item => String(item.properties[filter.propertyName]) === String(filter.value));
+      return { status: 200, body: { total: results.length, results: results.slice(0, body.limit || 10) } };
+    }
+    if (method === 'POST' && !id) {
+      const item = { id: String(nextId++), properties: body.properties, associations: body.associations || [] };
+      collection.push(item);
+      return { status: 201, body: item };
+    }
+    if (method === 'PATCH') {
+      const item = findById(collection, id);
+      Object.assign(item.properties, body.properties);
+      return { status: 200, body: item };
+    }
+    if (method === 'DELETE') {
+      remove(collection, id);
+      return { status: 204 };
+    }
+    throw new MockError(404, { message: 'Ruta no soportada' });
+  }
+
+  // Pipedrive: /v1/{type}[/{id}|/search]?api_token=
+  function handlePipedrive(method, parts, body, query) {
+    if (query.get('api_token') !== auth.pipedriveToken) {
+      throw new MockError(401, { success: false, error: 'unauthorized access', errorCode: 401 });
+    }
+
+    const [, type, id] = parts;
+    const collection = getCollection('pipedrive', type);
+
+    if (method === 'GET' && id === 'search') {
+      const field = query.get('fields');
+      const term = query.get('term');
+      const items = collection
+        .filter(item => [].concat(item[field] || []).some(value => (value && value.value !== undefined ? value.value : value) === term))
+        .map(item => ({ result_score: 1, item }));
+      return { status: 200, body: { success: true, data: { items: items.slice(0, Number(query.get('limit')) || 10) } } };
+    }
+    if (method === 'POST' && !id) {
+      const item = { id: nextId++, ...body };
+      collection.push(item);
+      return { status: 201, body: { success: true, data: item } };
+    }
+    if (method === 'PUT') {
+      const item = findById(collection, id);
+      Object.assign(item, body);
+      return { status: 200, body: { success: true, data: item } };
+    }
+    if (method === 'DELETE') {
+      remove(collection, id);
+      return { status: 200, body: { success: true, data: { id: Number(id) } } };
+    }
+    throw new MockError(404, { success: false, error: 'Ruta no soportada' });
+  }
+
+  // Zoho: /oauth/v2/token y /crm/v6/{Module}[/{id}|/search]
+  function handleZoho(method, parts, body, query, headers) {
+    if (parts[0] === 'oauth') {
+      const valid = query.get('client_id') === auth.zohoClientId
+        && query.get('client_secret') === auth.zohoClientSecret
+        && query.get('refresh_token') === auth.zohoRefreshToken
+        && query.get('grant_type') === 'refresh_token';
+      if (!valid) {
+        // Zoho responde 200 con el error en el cuerpo
+        return { status: 200, body: { error: 'invalid_client' } };
+      }
+      const token = `zoho-token-${nextId++}`;
+      zohoTokens.add(token);
+      return { status: 200, body: { access_token: token, expires_in: 3600, token_type: 'Bearer' } };
+    }
+
+    const token = String(headers.authorization || '').replace(/^Zoho-oauthtoken /, '');
+    if (!zohoTokens.has(token)) {
+      throw new MockError(401, { code: 'INVALID_TOKEN', message: 'invalid oauth token', status: 'error' });
+    }
+
+    const [, , module, id] = parts;
+    const collection = getCollection('zoho', module);
+    const success = (item, message) => ({ data: [{ code: 'SUCCESS', details: { id: item.id }, message, status: 'success' }] });
+
+    if (method === 'GET' && id === 'search') {
+      let field = 'Phone';
+      let value = query.get('phone');
+      const criteria = /^\((\w+):equals:(.*)\)$/.exec(query.get('criteria') || '');
+      if (criteria) {
+        field = criteria[1];
+        value = criteria[2].replace(/\\(.)/g, '$1');
+      }
+      const results = collection.filter(item => item[field] === value);
+      // Zoho responde 204 sin cuerpo cuando no hay resultados
+      return results.length > 0 ? { status: 200, body: { data: results } } : { status: 204 };
+    }
+    if (method === 'POST' && !id) {
+      const item = { id: String(nextId++), ...body.data[0] };
+      collection.push(item);
+      return { status: 201, body: success(item, 'record added') };
+    }
+    if (method === 'PUT') {
+      const item = findById(collection, id);
+      Object.assign(item, body.data[0]);
+      return { status: 200, body: success(item, 'record updated') };
+    }
+    if (method === 'DELETE') {
+      const item = findById(collection, id);
+      remove(collection, id);
+      return { status: 200, body: success(item, 'record deleted') };
+    }
+    throw new MockError(404, { code: 'INVALID_URL_PATTERN', status: 'error' });
+  }
+
+  function route(method, url, body, headers) {
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (parts[0] === 'crm' && (parts[1] === 'v3' || parts[1] === 'v4')) {
+      return handleHubSpot(method, parts, body, headers);
+    }
+    if (parts[0] === 'v1') {
+      return handlePipedrive(method, parts, body, url.searchParams);
+    }
+    if (parts[0] === 'oauth' || (parts[0] === 'crm' && parts[1] === 'v6')) {
+      return handleZoho(method, parts, body, url.searchParams, headers);
+    }
+    throw new MockError(404, { message: `Ruta desconocida: ${url.pathname}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      let result;
+
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+        const failure = [...failures].find(([fragment]) => url.pathname.includes(fragment));
+        if (failure) {
+          throw new MockError(failure[1], { message: 'Error simulado' });
+        }
+        result = route(req.method, url, body, req.headers);
+      } catch (error) {
+        result = error instanceof MockError
+          ? { status: error.status, body: error.body }
+          : { status: 400, body: { message: error.message } };
+      }
+
+      if (result.body === undefined) {
+        res.writeHead(result.status);
+        res.end();
+        return;
+      }
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+    });
+  });
+
+  reset();
+
+  return {
+    server,
+    store,
+    requests,
+    reset,
+    // Hace fallar las peticiones cuya ruta contiene el fragmento (hasta el próximo reset)
+    fail: (fragment, status = 500) => failures.set(fragment, status),
+    listen: (port = 0) => new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Ejecución independiente
+if (require.main === module) {
+  const mock = createCrmMockServer();
+  const port = parseInt(process.env.CRM_MOCK_PORT || String(DEFAULT_PORT), 10);
+  mock.listen(port).then(url => {
+    console.log(`CRM simulado escuchando en ${url} (HubSpot: /crm/v3, Pipedrive: /v1, Zoho: /crm/v6 y /oauth/v2/token)`);
+  });
+}
+
+module.exports = {
+  createCrmMockServer,
+  DEFAULT_CREDENTIALS
+};
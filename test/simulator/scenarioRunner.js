@@ -0,0 +1,366 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { installStubs } = require('./stubs');
+
+/**
+ * Ejecutor de escenarios de conversación
+ *
+ * Un escenario (JSON o YAML) describe los mensajes de un prospecto y lo que se
+ * espera después de cada uno. Los mensajes pasan por handleWhatsAppMessage() con
+ * los servicios externos simulados (ver stubs.js), así que no se usa la red.
+ *
+ * Formato:
+ *   name: Nombre del escenario
+ *   phone: 51999000001            (opcional, por defecto uno único por escenario)
+ *   env: { VARIABLE: valor }      (opcional, solo durante el escenario)
+ *   stubs: { openai, relevance, prospectAnalysis, companies, calendarBusy }
+ *   initialState: { ... }         (opcional, estado previo del prospecto)
+ *   steps:
+ *     - say: "Hola"               (mensaje de texto del prospecto)
+ *       referral: { sourceId, headline, sourceUrl, ... }  (opcional, anuncio Click-to-WhatsApp del que viene)
+ *     - audio: "Hola"             (mensaje de voz con esa transcripción)
+ *     - tap: "demo_yes"           (toca el botón o la fila con ese id; con un número, la opción N)
+ *     - image: { text, name, company, email, ... }  (foto; lo que lee el modelo de visión)
+ *     - document: "Placa,Marca\nABC-123,Volvo"   (documento con ese texto)
+ *       caption: "Mi flota"       (opcional, texto que acompaña la imagen o el documento)
+ *     - owner: "#bot"             (mensaje manual del vendedor desde el teléfono)
+ *     - reminders: { hoursBeforeAppointment: 24 }  (ejecuta los recordatorios)
+ *       expect:
+ *         state: appointment_confirmed
+ *         response: ["regex", ...] (null = el bot no responde)
+ *         notResponse: ["regex", ...]
+ *         fields: { "appointmentDetails.status": "cancelada", "crmId": "*" }
+ *         calls: ["sheets.updateProspectInSheets", "!crm.syncProspectWithCRM"]
+ *         sent: ["regex", ...]    (mensajes enviados por el transporte: recordatorios, avisos al vendedor)
+ *         attachments: ["brochure", ...] (IDs del material que acompaña la respuesta, en orden)
+ *         options: ["demo_yes", "^slot:", ...] (regex del id de cada botón u opción de la lista, en orden)
+ *         voice: true             (la respuesta se genera como nota de voz)
+ *
+ * En initialState, "{{now+2d@10:00}}" se reemplaza por la fecha ISO de dentro de
+ * dos días a las 10:00, y "{{now+2d@10:00|DD/MM/YYYY}}" por la fecha con ese formato.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Lima';
+const TEMPLATE_PATTERN = /\{\{now([+-]\d+[dhm])?(?:@(\d{1,2}:\d{2}))?(?:\|([^}]+))?\}\}/g;
+
+let phoneCounter = 0;
+
+/**
+ * Carga un escenario desde un archivo .json, .yaml o .yml
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Object} - Escenario
+ */
+function loadScenario(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let scenario;
+
+  if (/\.ya?ml$/i.test(filePath)) {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (error) {
+      throw new Error(`Para leer ${path.basename(filePath)} instala js-yaml (npm install --save-dev js-yaml)`);
+    }
+    scenario = yaml.load(content);
+  } else {
+    scenario = JSON.parse(content);
+  }
+
+  if (!scenario || !Array.isArray(scenario.steps)) {
+    throw new Error(`El escenario ${path.basename(filePath)} no tiene pasos (steps)`);
+  }
+
+  return {
+    name: path.basename(filePath).replace(/\.(json|ya?ml)$/i, ''),
+    ...scenario,
+    file: filePath
+  };
+}
+
+/**
+ * Reemplaza las fechas relativas ({{now+2d@10:00}}) en un valor del escenario
+ * @param {*} value - Valor (objeto, lista o texto)
+ * @param {string} timezone - Zona horaria de referencia
+ * @returns {*} - Valor con las fechas resueltas
+ */
+function resolveTemplates(value, timezone) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplates(item, timezone));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, timezone)]));
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return value.replace(TEMPLATE_PATTERN, (match, offset, time, format) => {
+    const date = moment().tz(timezone);
+
+    if (offset) {
+      const units = { d: 'days', h: 'hours', m: 'minutes' };
+      date.add(parseInt(offset.slice(0, -1), 10), units[offset.slice(-1)]);
+    }
+    if (time) {
+      const [hour, minute] = time.split(':').map(Number);
+      date.hour(hour).minute(minute).second(0).millisecond(0);
+    }
+
+    return format ? date.format(format) : date.toISOString();
+  });
+}
+
+/**
+ * Obtiene un campo anidado ("appointmentDetails.status")
+ * @param {Object} object - Objeto
+ * @param {string} fieldPath - Ruta con puntos
+ * @returns {*}
+ */
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Normaliza un patrón o lista de patrones a expresiones regulares
+ * @param {string|Array<string>} patterns - Patrones
+ * @returns {Array<RegExp>}
+ */
+function toRegExps(patterns) {
+  return [].concat(patterns).map(pattern => new RegExp(pattern, 'i'));
+}
+
+/**
+ * Compara el resultado de un paso con lo esperado
+ * @param {Object} expect - Expectativas del paso
+ * @param {Object} outcome - { response, attachments, interactive, voice, state, calls, sent }
+ * @returns {Array<string>} - Errores encontrados
+ */
+function checkExpectations(expect = {}, outcome) {
+  const errors = [];
+  const { response, state, calls, sent } = outcome;
+
+  if (expect.state && state.conversationState !== expect.state) {
+    errors.push(`estado esperado "${expect.state}", obtenido "${state.conversationState}"`);
+  }
+
+  if (expect.response === null && response) {
+    errors.push(`no se esperaba respuesta, se obtuvo "${response}"`);
+  } else if (expect.response) {
+    toRegExps(expect.response)
+      .filter(regex => !regex.test(response || ''))
+      .forEach(regex => errors.push(`la respuesta no coincide con ${regex}: "${response}"`));
+  }
+
+  if (expect.notResponse) {
+    toRegExps(expect.notResponse)
+      .filter(regex => regex.test(response || ''))
+      .forEach(regex => errors.push(`la respuesta no debía coincidir con ${regex}: "${response}"`));
+  }
+
+  Object.entries(expect.fields || {}).forEach(([field, expected]) => {
+    const actual = getField(state, field);
+    const matches = expected === '*'
+      ? actual !== undefined && actual !== null
+      : JSON.stringify(actual) === JSON.stringify(expected);
+
+    if (!matches) {
+      errors.push(`campo ${field}: esperado ${JSON.stringify(expected)}, obtenido ${JSON.stringify(actual)}`);
+    }
+  });
+
+  [].concat(expect.calls || []).forEach(call => {
+    const negated = call.startsWith('!');
+    const name = call.replace(/^!/, '');
+    const [service, method] = name.split('.');
+    const called = calls.some(item => item.service === service && (!method || item.method === method));
+
+    if (called === negated) {
+      errors.push(negated ? `no se esperaba la llamada ${name}` : `se esperaba la llamada ${name}`);
+    }
+  });
+
+  if (expect.attachments) {
+    const ids = (outcome.attachments || []).map(attachment => attachment.id);
+    if (JSON.stringify(ids) !== JSON.stringify(expect.attachments)) {
+      errors.push(`material esperado ${JSON.stringify(expect.attachments)}, obtenido ${JSON.stringify(ids)}`);
+    }
+  }
+
+  if (expect.voice !== undefined && Boolean(outcome.voice) !== expect.voice) {
+    errors.push(expect.voice ? 'se esperaba una nota de voz' : 'no se esperaba una nota de voz');
+  }
+
+  if (expect.options) {
+    const ids = ((outcome.interactive && outcome.interactive.options) || []).map(option => option.id);
+    const patterns = toRegExps(expect.options);
+    if (ids.length !== patterns.length || patterns.some((regex, index) => !regex.test(ids[index]))) {
+      errors.push(`opciones esperadas ${JSON.stringify(expect.options)}, obtenidas ${JSON.stringify(ids)}`);
+    }
+  }
+
+  if (expect.sent) {
+    const texts = sent.map(message => message.text || '');
+    toRegExps(expect.sent)
+      .filter(regex => !texts.some(text => regex.test(text)))
+      .forEach(regex => errors.push(`ningún mensaje enviado coincide con ${regex}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Ejecuta un paso del escenario
+ * @param {Object} step - Paso
+ * @param {string} phoneNumber - Número del prospecto
+ * @param {Object} context - Contexto de simulación
+ * @returns {Promise<Object>} - { input, response, attachments, interactive }
+ */
+async function runStep(step, phoneNumber, context) {
+  const { handleWhatsAppMessage, handleOwnerMessage } = require('../../src/whatsappHandler');
+  const id = `sim-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  if (step.say !== undefined) {
+    const result = await handleWhatsAppMessage({ id, from: phoneNumber, body: String(step.say), type: 'text', referral: step.referral });
+    return { input: step.say, response: result.text, attachments: result.attachments, interactive: result.interactive };
+  }
+
+  if (step.tap !== undefined) {
+    // Tocar un botón o una fila: el canal envía su título y su id
+    const { getProspectState } = require('../../src/whatsappHandler');
+    const { pendingReply } = await getProspectState(phoneNumber);
+    const options = (pendingReply && pendingReply.options) || [];
+    const option = typeof step.tap === 'number' ? options[step.tap - 1] : options.find(item => item.id === step.tap);
+    if (!option) {
+      throw new Error(`la respuesta anterior no ofrecía la opción ${step.tap}`);
+    }
+
+    const result = await handleWhatsAppMessage({ id, from: phoneNumber, body: option.title, type: 'text', replyId: option.id });
+    return { input: `[opción] ${option.title}`, response: result.text, attachments: result.attachments, interactive: result.interactive };
+  }
+
+  if (step.audio !== undefined) {
+    context.setTranscription(String(step.audio));
+    const result = await handleWhatsAppMessage({ id, from: phoneNumber, body: '', type: 'audio', mediaUrl: `sim-audio-${id}` });
+    // La nota de voz de la respuesta no se envía: solo se verifica que se generó
+    if (result.voice) {
+      fs.unlink(result.voice.path, () => {});
+    }
+    return { input: `[audio] ${step.audio}`, response: result.text, attachments: result.attachments, interactive: result.interactive, voice: result.voice };
+  }
+
+  if (step.image !== undefined) {
+    // La imagen no existe: el modelo de visión simulado devuelve lo indicado en el paso
+    context.setImage(step.image);
+    const result = await handleWhatsAppMessage({ id, from: phoneNumber, body: step.caption || '', type: 'image', mediaUrl: `sim-image-${id}` });
+    return { input: `[imagen] ${JSON.stringify(step.image)}`, response: result.text, attachments: result.attachments, interactive: result.interactive };
+  }
+
+  if (step.document !== undefined) {
+    // El documento se escribe como archivo temporal, igual que lo descarga un transporte
+    const filePath = path.join(os.tmpdir(), `sim-document-${id}.pdf`);
+    fs.writeFileSync(filePath, String(step.document));
+    const result = await handleWhatsAppMessage({ id, from: phoneNumber, body: step.caption || '', type: 'document', mediaUrl: filePath });
+    return { input: `[documento] ${String(step.document).split('\n')[0]}`, response: result.text, attachments: result.attachments, interactive: result.interactive };
+  }
+
+  if (step.owner !== undefined) {
+    const result = await handleOwnerMessage({ id, from: phoneNumber, body: String(step.owner), type: 'text', fromMe: true });
+    return { input: `[vendedor] ${step.owner}`, response: null, action: result.action };
+  }
+
+  if (step.reminders !== undefined) {
+    // Ejecutar los recordatorios como si faltaran N horas para la cita
+    const { runReminders } = require('../../src/services/reminderService');
+    const { getProspectState } = require('../../src/whatsappHandler');
+    const state = await getProspectState(phoneNumber);
+    const hours = (step.reminders && step.reminders.hoursBeforeAppointment) || 24;
+    const startTime = state.appointmentDetails && state.appointmentDetails.startTime;
+    const now = startTime ? moment(startTime).subtract(hours, 'hours').toDate() : new Date();
+    const summary = await runReminders(now);
+    return { input: `[recordatorios ${hours}h]`, response: null, summary };
+  }
+
+  throw new Error(`Paso no reconocido: ${JSON.stringify(step)}`);
+}
+
+/**
+ * Ejecuta un escenario completo
+ * @param {Object} scenario - Escenario (ver loadScenario)
+ * @returns {Promise<Object>} - { name, passed, steps: [{ input, response, state, errors }] }
+ */
+async function runScenario(scenario) {
+  const context = installStubs();
+  const { updateProspectState, getProspectState, waitForCrmSyncs } = require('../../src/whatsappHandler');
+  const phoneNumber = String(scenario.phone || `5199900${String(++phoneCounter).padStart(4, '0')}`);
+  const timezone = (scenario.initialState && scenario.initialState.timezone) || DEFAULT_TIMEZONE;
+  const previousEnv = {};
+  const result = { name: scenario.name, file: scenario.file, passed: true, steps: [] };
+
+  context.reset(resolveTemplates(scenario.stubs || {}, timezone));
+  Object.entries(scenario.env || {}).forEach(([key, value]) => {
+    previousEnv[key] = process.env[key];
+    process.env[key] = String(value);
+  });
+
+  try {
+    if (scenario.initialState) {
+      await updateProspectState(phoneNumber, {
+        phoneNumber,
+        createdAt: new Date(),
+        ...resolveTemplates(scenario.initialState, timezone)
+      });
+    }
+
+    for (const [index, step] of scenario.steps.entries()) {
+      const callsBefore = context.calls.length;
+      const sentBefore = context.sentMessages.length;
+      const stepResult = { index: index + 1, errors: [] };
+
+      try {
+        Object.assign(stepResult, await runStep(step, phoneNumber, context));
+        // El CRM se sincroniza sin demorar la respuesta: esperar a que termine antes de revisar el estado
+        await waitForCrmSyncs();
+        stepResult.state = await getProspectState(phoneNumber);
+        stepResult.errors = checkExpectations(step.expect, {
+          response: stepResult.response,
+          attachments: stepResult.attachments,
+          interactive: stepResult.interactive,
+          voice: stepResult.voice,
+          state: stepResult.state,
+          calls: context.calls.slice(callsBefore),
+          sent: context.sentMessages.slice(sentBefore)
+        });
+      } catch (error) {
+        stepResult.errors.push(`error al ejecutar el paso: ${error.message}`);
+      }
+
+      result.steps.push(stepResult);
+      if (stepResult.errors.length > 0) {
+        result.passed = false;
+        // Los pasos siguientes dependen de este; no tiene sentido continuar
+        break;
+      }
+    }
+  } finally {
+    Object.entries(previousEnv).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  loadScenario,
+  runScenario,
+  resolveTemplates,
+  checkExpectations
+};
@@ -0,0 +1,330 @@
+/**
+ * Servicios simulados para ejecutar conversaciones sin red
+ *
+ * Reemplaza las funciones exportadas de OpenAI, Google Calendar, Google Sheets,
+ * Make.com, CRM, transcripción de audio y MongoDB por versiones en memoria que
+ * registran cada llamada. Debe instalarse ANTES de cargar los flujos, porque los
+ * flujos desestructuran las funciones de los servicios al hacer require().
+ */
+
+const moment = require('moment-timezone');
+
+// Llamadas registradas por los servicios simulados ({ service, method, args })
+const calls = [];
+// Mensajes enviados por el transporte simulado (recordatorios, seguimientos, avisos)
+const sentMessages = [];
+
+// Configuración del escenario actual
+let scenarioStubs = {};
+// Transcripción que devolverá el próximo mensaje de voz
+let pendingTranscription = '';
+let pendingImage = {};
+let installed = false;
+
+/**
+ * Registra una llamada a un servicio simulado
+ * @param {string} service - Nombre corto del servicio (openai, calendar, sheets, make, crm, audio)
+ * @param {string} method - Función llamada
+ * @param {Array} args - Argumentos
+ */
+function record(service, method, args) {
+  calls.push({ service, method, args, at: new Date() });
+}
+
+/**
+ * Cliente de Google Calendar en memoria (freebusy + eventos)
+ * @returns {Object} - Cliente con la interfaz de google.calendar()
+ */
+function createFakeCalendar() {
+  const store = new Map();
+  let nextId = 1;
+
+  const busyFor = calendarId => [
+    ...(scenarioStubs.calendarBusy || [])
+      .filter(busy => !busy.calendarId || busy.calendarId === calendarId)
+      .map(resolveBusySlot),
+    ...[...store.values()]
+      .filter(event => event.calendarId === calendarId)
+      .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }))
+  ];
+
+  return {
+    store,
+    freebusy: {
+      query: async ({ resource }) => {
+        record('calendar', 'freebusy', [resource]);
+        const calendars = {};
+        resource.items.forEach(({ id }) => {
+          calendars[id] = { busy: busyFor(id) };
+        });
+        return { data: { calendars } };
+      }
+    },
+    events: {
+      insert: async ({ calendarId, resource }) => {
+        record('calendar', 'insert', [calendarId, resource]);
+        const id = `sim-event-${nextId++}`;
+        const event = { ...resource, id, calendarId, hangoutLink: `https://meet.google.com/sim-${id}` };
+        store.set(id, event);
+        return { data: event };
+      },
+      patch: async ({ calendarId, eventId, resource }) => {
+        record('calendar', 'patch', [calendarId, eventId, resource]);
+        const event = { ...(store.get(eventId) || { id: eventId, calendarId }), ...resource };
+        store.set(eventId, event);
+        return { data: event };
+      },
+      get: async ({ eventId }) => ({ data: store.get(eventId) || { id: eventId, attendees: [] } }),
+      delete: async ({ calendarId, eventId }) => {
+        record('calendar', 'delete', [calendarId, eventId]);
+        store.delete(eventId);
+        return { data: {} };
+      },
+      list: async () => ({ data: { items: [...store.values()] } })
+    }
+  };
+}
+
+/**
+ * Convierte un periodo ocupado relativo ({ daysFromNow, from, to }) en fechas ISO
+ * @param {Object} busy - Periodo ocupado del escenario
+ * @returns {Object} - { start, end }
+ */
+function resolveBusySlot(busy) {
+  if (busy.start && busy.end) {
+    return { start: busy.start, end: busy.end };
+  }
+
+  const timezone = process.env.CALENDAR_TIMEZONE || 'America/Lima';
+  const day = moment().tz(timezone).add(busy.daysFromNow || 0, 'days').format('YYYY-MM-DD');
+  return {
+    start: moment.tz(`${day} ${busy.from}`, 'YYYY-MM-DD HH:mm', timezone).toISOString(),
+    end: moment.tz(`${day} ${busy.to}`, 'YYYY-MM-DD HH:mm', timezone).toISOString()
+  };
+}
+
+/**
+ * Respuesta simulada de OpenAI según las reglas del escenario
+ * Sin regla, las peticiones JSON fallan para que los flujos usen su análisis local
+ * (determinista) y las de texto devuelven un texto fijo.
+ * @param {Object} message - Mensaje enviado a OpenAI
+ * @returns {string} - Respuesta
+ */
+function fakeOpenAIResponse(message = {}) {
+  const prompt = [message.content, message.instruction, message.context].filter(Boolean).join('\n');
+  const rule = (scenarioStubs.openai || []).find(item => new RegExp(item.match, 'i').test(prompt));
+
+  if (rule) {
+    return typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response);
+  }
+
+  if (/json/i.test(prompt)) {
+    throw new Error('Sin respuesta simulada de OpenAI para esta petición');
+  }
+
+  return `Respuesta simulada: ${(message.instruction || message.content || '').substring(0, 80)}`;
+}
+
+/**
+ * Reemplaza las funciones de un módulo manteniendo el mismo objeto exportado
+ * @param {string} modulePath - Ruta del módulo (relativa a src)
+ * @param {Object} replacements - Funciones a reemplazar
+ * @returns {Object} - Módulo modificado
+ */
+function stubModule(modulePath, replacements) {
+  const mod = require(`../../src/${modulePath}`);
+  Object.assign(mod, replacements);
+  return mod;
+}
+
+/**
+ * Instala los servicios simulados (una sola vez por proceso)
+ * @returns {Object} - Contexto de simulación
+ */
+function installStubs() {
+  if (installed) {
+    return getContext();
+  }
+  installed = true;
+
+  // Sin base de datos: todo en memoria
+  stubModule('database', {
+    connect: async () => null,
+    collection: async () => null
+  });
+
+  // Sin retrasos de escritura
+  stubModule('utils/humanDelay', {
+    withHumanDelay: fn => Promise.resolve(fn()),
+    withHumanDelayAsync: promise => promise
+  });
+
+  // Ninguna petición HTTP sale del proceso
+  const axios = require('axios');
+  const blockRequest = method => async (url) => {
+    record('http', method, [url]);
+    throw new Error(`Red deshabilitada en el simulador: ${method.toUpperCase()} ${url}`);
+  };
+  ['get', 'post', 'put', 'patch', 'delete', 'request'].forEach(method => {
+    axios[method] = blockRequest(method);
+  });
+
+  // OpenAI (antes que companyService, que lo desestructura)
+  stubModule('services/openaiService', {
+    generateOpenAIResponse: async message => {
+      record('openai', 'generateOpenAIResponse', [message]);
+      return fakeOpenAIResponse(message);
+    },
+    analyzeResponseRelevance: async (question, answer) => {
+      record('openai', 'analyzeResponseRelevance', [question, answer]);
+      return scenarioStubs.relevance || {
+        isRelevant: true,
+        shouldContinue: true,
+        suggestedResponse: 'Gracias por tu respuesta. Continuemos.',
+        reasoning: 'Respuesta simulada'
+      };
+    },
+    analyzeImage: async imagePath => {
+      record('openai', 'analyzeImage', [imagePath]);
+      return pendingImage;
+    },
+    analyzeProspect: async prospectData => {
+      record('openai', 'analyzeProspect', [prospectData]);
+      if (!scenarioStubs.prospectAnalysis) {
+        throw new Error('Sin análisis simulado del prospecto');
+      }
+      return scenarioStubs.prospectAnalysis;
+    }
+  });
+
+  stubModule('services/companyService', {
+    searchCompanyInfo: async ruc => {
+      record('company', 'searchCompanyInfo', [ruc]);
+      return (scenarioStubs.companies || {})[ruc] || null;
+    },
+    searchCompanyByName: async name => {
+      record('company', 'searchCompanyByName', [name]);
+      return (scenarioStubs.companies || {})[String(name).toLowerCase()] || null;
+    }
+  });
+
+  // Google Calendar: la lógica real de horarios sobre un calendario en memoria
+  const calendarService = require('../../src/services/calendarService');
+  const fakeCalendar = createFakeCalendar();
+  calendarService.setCalendarClient(fakeCalendar);
+
+  stubModule('services/sheetsService', {
+    saveProspectToSheets: async data => {
+      record('sheets', 'saveProspectToSheets', [data]);
+      return { success: true };
+    },
+    updateProspectInSheets: async (phoneNumber, data) => {
+      record('sheets', 'updateProspectInSheets', [phoneNumber, data]);
+      return { success: true };
+    },
+    deleteProspectFromSheets: async phoneNumber => {
+      record('sheets', 'deleteProspectFromSheets', [phoneNumber]);
+      return { success: true };
+    }
+  });
+
+  stubModule('services/webhookService', {
+    sendAppointmentToMake: async (...args) => {
+      record('make', 'sendAppointmentToMake', args);
+      return { success: true, hangoutLink: 'https://meet.google.com/sim-make-link' };
+    },
+    sendAppointmentUpdateToMake: async (prospectState, action) => {
+      record('make', 'sendAppointmentUpdateToMake', [prospectState, action]);
+      return { success: true };
+    }
+  });
+
+  stubModule('services/crmService', {
+    sendProspectToCRM: async prospectState => {
+      record('crm', 'sendProspectToCRM', [prospectState]);
+      return { success: true, crmId: `sim-crm-${prospectState.phoneNumber}` };
+    },
+    syncProspectWithCRM: async prospectState => {
+      record('crm', 'syncProspectWithCRM', [prospectState]);
+      return {
+        crmId: prospectState.crmId || `sim-crm-${prospectState.phoneNumber}`,
+        crmDealId: prospectState.crmDealId || `sim-deal-${prospectState.phoneNumber}`,
+        crmStage: prospectState.conversationState
+      };
+    },
+    updateProspectInCRM: async (crmId, data) => {
+      record('crm', 'updateProspectInCRM', [crmId, data]);
+      return { success: true };
+    },
+    deleteProspectFromCRM: async (crmId, options) => {
+      record('crm', 'deleteProspectFromCRM', [crmId, options]);
+      return { success: true };
+    }
+  });
+
+  stubModule('services/audioService', {
+    processAudioMessage: async mediaUrl => {
+      record('audio', 'processAudioMessage', [mediaUrl]);
+      return { transcription: pendingTranscription, context: null };
+    }
+  });
+
+  // Transporte que guarda los mensajes enviados fuera de una respuesta
+  const { setActiveTransport } = require('../../src/whatsapp/transports');
+  setActiveTransport({
+    name: 'simulator',
+    isReady: true,
+    sendText: async (to, text) => {
+      sentMessages.push({ to: String(to), text, at: new Date() });
+      return { success: true };
+    },
+    sendMedia: async (to, media) => {
+      sentMessages.push({ to: String(to), media, at: new Date() });
+      return { success: true };
+    }
+  });
+
+  return getContext();
+}
+
+/**
+ * Contexto de simulación compartido con el ejecutor de escenarios
+ * @returns {Object}
+ */
+function getContext() {
+  return {
+    calls,
+    sentMessages,
+    /**
+     * Configura los servicios simulados para un escenario y limpia los registros
+     * @param {Object} stubs - Configuración "stubs" del escenario
+     */
+    reset(stubs = {}) {
+      scenarioStubs = stubs;
+      pendingTranscription = '';
+      pendingImage = {};
+      calls.length = 0;
+      sentMessages.length = 0;
+    },
+    /**
+     * Define la transcripción del próximo mensaje de voz
+     * @param {string} text - Texto transcrito
+     */
+    setTranscription(text) {
+      pendingTranscription = text;
+    },
+    /**
+     * Define lo que el modelo de visión lee en la próxima imagen
+     * @param {Object} result - Datos leídos ({ text, name, company, email, ... })
+     */
+    setImage(result) {
+      pendingImage = result;
+    }
+  };
+}
+
+module.exports = {
+  installStubs,
+  createFakeCalendar,
+  fakeOpenAIResponse
+};
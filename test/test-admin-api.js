@@ -0,0 +1,151 @@
+/**
+ * Test para validar la API de administración
+ *
+ * Este script prueba:
+ * 1. Autenticación con ADMIN_API_KEY
+ * 2. Listado, búsqueda, detalle e historial de prospectos
+ * 3. Forzar estado, pausar y reanudar el bot
+ * 4. Reporte del embudo
+ * 5. Cuerpos JSON con caracteres UTF-8 partidos entre fragmentos
+ */
+
+require('dotenv').config();
+const http = require('http');
+const { PassThrough } = require('stream');
+const { createAdminServer } = require('../src/api/server');
+const { readJsonBody } = require('../src/api/router');
+const { getProspectState, updateProspectState, recordMessage } = require('../src/whatsappHandler');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PORT = 3998;
+const TEST_API_KEY = 'clave-de-prueba';
+const TEST_PHONE = '51999999999';
+
+/**
+ * Realiza una petición a la API local
+ */
+function request(method, path, body, apiKey = TEST_API_KEY) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request({
+      host: '127.0.0.1',
+      port: TEST_PORT,
+      method,
+      path,
+      headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey }
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testAdminApi() {
+  const server = createAdminServer({ apiKey: TEST_API_KEY });
+
+  try {
+    logger.info('Iniciando prueba de la API de administración');
+    await new Promise(resolve => server.listen(TEST_PORT, resolve));
+
+    // Crear prospecto de prueba
+    const prospect = await getProspectState(TEST_PHONE);
+    await updateProspectState(TEST_PHONE, {
+      ...prospect,
+      name: 'Roberto Calvo',
+      company: 'Logifit Test',
+      conversationState: 'initial_qualification'
+    });
+
+    // 1. Autenticación
+    let result = await request('GET', '/api/prospects', null, 'clave-incorrecta');
+    assert(result.status === 401, 'La API rechaza una clave inválida');
+
+    result = await request('GET', '/api/prospects', null, 'clave-de-prueba'.replace('a', 'e'));
+    assert(result.status === 401, 'La API rechaza una clave del mismo largo pero distinta');
+
+    // 2. Listado y detalle
+    result = await request('GET', '/api/prospects?q=logifit');
+    assert(result.status === 200 && result.body.prospects.some(p => p.phoneNumber === TEST_PHONE), 'La búsqueda encuentra el prospecto por empresa');
+
+    result = await request('GET', `/api/prospects/${TEST_PHONE}`);
+    assert(result.status === 200 && result.body.name === 'Roberto Calvo', 'El detalle devuelve el estado del prospecto');
+
+    result = await request('GET', '/api/prospects/%E0');
+    assert(result.status === 400, 'Un parámetro mal codificado en la ruta responde 400');
+
+    result = await request('GET', '/api/prospects/51000000000');
+    assert(result.status === 404, 'Un prospecto inexistente devuelve 404');
+
+    for (const content of ['Hola', '¿Cuánto cuesta?', 'Tenemos 40 camiones']) {
+      await recordMessage(TEST_PHONE, { direction: 'incoming', role: 'user', content });
+    }
+    result = await request('GET', `/api/prospects/${TEST_PHONE}/messages?limit=2`);
+    assert(result.status === 200 && result.body.messages.map(m => m.content).join('|') === '¿Cuánto cuesta?|Tenemos 40 camiones', 'El historial respeta el límite');
+
+    result = await request('GET', `/api/prospects/${TEST_PHONE}/messages?limit=-1`);
+    assert(result.status === 200 && result.body.total === 3, 'Un límite negativo se ignora');
+
+    result = await request('GET', `/api/prospects/${TEST_PHONE}/transcript?format=llm&limit=abc`);
+    assert(result.status === 200 && result.body.messages.length === 3, 'Un límite inválido usa el valor por defecto');
+
+    // 3. Control del bot
+    result = await request('POST', `/api/prospects/${TEST_PHONE}/state`, { conversationState: 'nurturing' });
+    assert(result.status === 200 && result.body.conversationState === 'nurturing', 'Se puede forzar el estado de la conversación');
+
+    result = await request('POST', `/api/prospects/${TEST_PHONE}/state`, { conversationState: 'inventado' });
+    assert(result.status === 400, 'Un estado inválido devuelve 400');
+
+    result = await request('POST', `/api/prospects/${TEST_PHONE}/pause`, { reason: 'prueba' });
+    assert(result.status === 200 && result.body.botPaused === true, 'Se puede pausar el bot');
+
+    result = await request('POST', `/api/prospects/${TEST_PHONE}/resume`);
+    assert(result.status === 200 && result.body.botPaused === false, 'Se puede reanudar el bot');
+
+    result = await request('POST', `/api/prospects/${TEST_PHONE}/resend`, { text: 'Hola de nuevo' });
+    assert(result.status === 503, 'El reenvío sin transporte conectado devuelve 503');
+
+    // 4. Analítica
+    result = await request('GET', '/api/analytics/funnel?by=campaign');
+    assert(result.status === 200 && result.body.totals.leads >= 1 && Array.isArray(result.body.breakdowns.campaign), 'El reporte del embudo se agrupa por campaña');
+
+    result = await request('GET', '/api/analytics/funnel?from=ayer');
+    assert(result.status === 400, 'Una fecha inválida en el reporte devuelve 400');
+
+    // 5. Un carácter de varios bytes partido entre dos fragmentos
+    const payload = Buffer.from(JSON.stringify({ text: 'Señor García, ¿cómo está?' }));
+    const splitAt = payload.indexOf(Buffer.from('ñ')) + 1;
+    const stream = new PassThrough();
+    const parsed = readJsonBody(stream);
+    stream.write(payload.subarray(0, splitAt));
+    stream.end(payload.subarray(splitAt));
+    assert((await parsed).text === 'Señor García, ¿cómo está?', 'Los caracteres partidos entre fragmentos del cuerpo se leen completos');
+
+    logger.info('Prueba de la API de administración completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de la API de administración:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testAdminApi();
+}
+
+module.exports = { testAdminApi };
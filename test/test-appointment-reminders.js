@@ -0,0 +1,221 @@
+/**
+ * Test para validar los recordatorios de citas por WhatsApp
+ *
+ * Este script prueba:
+ * 1. Recordatorios 24 horas y 1 hora antes de la demostración
+ * 2. Confirmación de asistencia como respuesta al recordatorio
+ * 3. Reprogramación y cancelación de la cita
+ * 4. Cambios hechos durante el envío del recordatorio
+ * 5. Plantilla aprobada por la Cloud API y límite de reintentos
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { getProspectState, updateProspectState, findProspect, handleWhatsAppMessage } = require('../src/whatsappHandler');
+const { setActiveTransport } = require('../src/whatsapp/transports');
+const { runReminders } = require('../src/services/reminderService');
+const { reloadApprovedTemplates } = require('../src/services/whatsappTemplateService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51955555555';
+const TIMEZONE = 'America/Lima';
+
+// Transporte simulado que guarda los mensajes enviados
+const sentMessages = [];
+const fakeTransport = {
+  name: 'test',
+  isReady: true,
+  sendText: async (to, text) => {
+    sentMessages.push({ to, text });
+    return { success: true };
+  }
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testAppointmentReminders() {
+  try {
+    logger.info('Iniciando prueba de recordatorios de citas');
+    setActiveTransport(fakeTransport);
+
+    const start = moment().add(3, 'days').startOf('hour');
+    const prospect = await getProspectState(TEST_PHONE);
+    await updateProspectState(TEST_PHONE, {
+      ...prospect,
+      name: 'Roberto',
+      timezone: TIMEZONE,
+      emails: ['roberto@logifit.test'],
+      conversationState: 'appointment_confirmed',
+      appointmentBookedAt: moment().toDate(),
+      appointmentDetails: {
+        startTime: start.toISOString(),
+        calendarEventId: 'mock-event-test',
+        meetLink: 'https://meet.google.com/test-link'
+      },
+      webhookResult: { hangoutLink: 'https://meet.google.com/abc-defg-hij' },
+      remindersSent: []
+    });
+
+    // 1. Recordatorios
+    let summary = await runReminders(start.clone().subtract(30, 'hours').toDate());
+    assert(summary.sent === 0, 'No se envía recordatorio antes de la ventana de 24 horas');
+
+    summary = await runReminders(start.clone().subtract(23, 'hours').toDate());
+    assert(summary.sent === 1, 'Se envía el recordatorio de 24 horas');
+    logger.info(`Recordatorio: "${sentMessages[0].text}"`);
+    assert(sentMessages[0].text.includes('https://meet.google.com/abc-defg-hij'), 'El recordatorio incluye el enlace de la reunión');
+
+    summary = await runReminders(start.clone().subtract(22, 'hours').toDate());
+    assert(summary.sent === 0, 'El recordatorio de 24 horas no se repite');
+
+    summary = await runReminders(start.clone().subtract(50, 'minutes').toDate());
+    assert(summary.sent === 1 && sentMessages[1].text.includes('1 hora'), 'Se envía el recordatorio de 1 hora');
+
+    // 2. Confirmación
+    let result = await handleWhatsAppMessage({ from: TEST_PHONE, body: '1', type: 'text' });
+    let updated = await findProspect(TEST_PHONE);
+    logger.info(`Respuesta del bot: "${result.text}"`);
+    assert(updated.attendanceConfirmed === true, 'El prospecto confirma su asistencia');
+
+    // 3. Reprogramación
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Necesito reprogramar la reunión', type: 'text' });
+    updated = await findProspect(TEST_PHONE);
+    logger.info(`Respuesta del bot: "${result.text}"`);
+    assert(updated.rescheduleProposal && updated.conversationState === 'appointment_confirmed', 'Se propone un nuevo horario');
+
+    const proposedTime = updated.rescheduleProposal.dateTime;
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Sí, me funciona', type: 'text' });
+    updated = await findProspect(TEST_PHONE);
+    logger.info(`Respuesta del bot: "${result.text}"`);
+    assert(updated.appointmentDetails.startTime === moment(proposedTime).toISOString(), 'La cita se reprograma al nuevo horario');
+    assert(updated.remindersSent.length === 0, 'Los recordatorios se reinician tras reprogramar');
+
+    // Cancelación
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Mejor cancela la demo, por favor', type: 'text' });
+    updated = await findProspect(TEST_PHONE);
+    assert(updated.cancelProposal && updated.conversationState === 'appointment_confirmed', 'Se pide confirmar la cancelación');
+
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Sí, cancélala', type: 'text' });
+    updated = await findProspect(TEST_PHONE);
+    logger.info(`Respuesta del bot: "${result.text}"`);
+    assert(updated.conversationState === 'nurturing' && updated.appointmentCancelledAt, 'La cita se cancela');
+
+    // 4. Una baja que llega mientras se envía el recordatorio no se pierde
+    const RACE_PHONE = '51955555556';
+    await updateProspectState(RACE_PHONE, {
+      ...(await getProspectState(RACE_PHONE)),
+      timezone: TIMEZONE,
+      conversationState: 'appointment_confirmed',
+      optedOut: false,
+      appointmentDetails: { startTime: start.toISOString() },
+      remindersSent: []
+    });
+    setActiveTransport({
+      ...fakeTransport,
+      sendText: async (to, text) => {
+        await updateProspectState(to, { optedOut: true });
+        return fakeTransport.sendText(to, text);
+      }
+    });
+    summary = await runReminders(start.clone().subtract(23, 'hours').toDate());
+    setActiveTransport(fakeTransport);
+    updated = await findProspect(RACE_PHONE);
+    assert(summary.sent === 1 && updated.remindersSent.includes(24) && updated.optedOut === true, 'El recordatorio solo guarda sus campos y no pisa lo que cambió durante el envío');
+
+    // 5. Cloud API: fuera de la ventana de 24 horas se envía la plantilla aprobada
+    const CLOUD_PHONE = '51955555557';
+    const confirmedAppointment = async phone => updateProspectState(phone, {
+      ...(await getProspectState(phone)),
+      name: 'Lucía',
+      timezone: TIMEZONE,
+      conversationState: 'appointment_confirmed',
+      lastProspectMessageAt: start.clone().subtract(3, 'days').toDate(),
+      appointmentDetails: { startTime: start.toISOString(), meetLink: 'https://meet.google.com/cloud-link' },
+      remindersSent: []
+    });
+    await confirmedAppointment(CLOUD_PHONE);
+
+    const templatesFile = path.join(os.tmpdir(), `test-reminder-templates-${process.pid}.json`);
+    fs.writeFileSync(templatesFile, JSON.stringify({
+      reminder: { name: 'recordatorio_demo', language: 'es', parameters: ['name', 'time', 'link'] }
+    }));
+    process.env.WHATSAPP_TEMPLATES_FILE = templatesFile;
+    reloadApprovedTemplates();
+
+    const templateMessages = [];
+    const cloudTransport = {
+      ...fakeTransport,
+      requiresApprovedTemplates: true,
+      sendTemplate: async (to, template) => {
+        templateMessages.push({ to, template });
+        return { success: true };
+      }
+    };
+    setActiveTransport(cloudTransport);
+    await runReminders(start.clone().subtract(23, 'hours').toDate());
+    const cloudMessage = templateMessages.find(item => item.to === CLOUD_PHONE);
+    assert(cloudMessage && cloudMessage.template.name === 'recordatorio_demo' &&
+           cloudMessage.template.parameters.join('|') === `Lucía|${start.clone().tz(TIMEZONE).format('HH:mm')}|https://meet.google.com/cloud-link`,
+    'El recordatorio se envía con la plantilla aprobada y los datos de la cita');
+
+    // Sin plantilla aprobada el recordatorio se omite y no se reintenta
+    const NO_TEMPLATE_PHONE = '51955555558';
+    await confirmedAppointment(NO_TEMPLATE_PHONE);
+    delete process.env.WHATSAPP_TEMPLATES_FILE;
+    fs.rmSync(templatesFile, { force: true });
+    reloadApprovedTemplates();
+
+    await runReminders(start.clone().subtract(23, 'hours').toDate());
+    updated = await findProspect(NO_TEMPLATE_PHONE);
+    assert(updated.remindersSkipped.includes(24) && updated.reminderSkippedReason === 'no_approved_template', 'Sin plantilla aprobada el recordatorio queda omitido con el motivo');
+    const skippedCount = templateMessages.length + sentMessages.length;
+    await runReminders(start.clone().subtract(22, 'hours').toDate());
+    assert(templateMessages.length + sentMessages.length === skippedCount, 'El recordatorio omitido no se vuelve a intentar');
+
+    // Un envío que falla se reintenta hasta el límite y luego se omite
+    const FAILING_PHONE = '51955555559';
+    await confirmedAppointment(FAILING_PHONE);
+    let attempts = 0;
+    setActiveTransport({
+      ...fakeTransport,
+      sendText: async (to, text) => {
+        if (to === FAILING_PHONE) {
+          attempts++;
+          throw new Error('Servicio no disponible');
+        }
+        return fakeTransport.sendText(to, text);
+      }
+    });
+    for (let minutes = 0; minutes < 25; minutes += 5) {
+      await runReminders(start.clone().subtract(23, 'hours').add(minutes, 'minutes').toDate());
+    }
+    setActiveTransport(fakeTransport);
+    updated = await findProspect(FAILING_PHONE);
+    assert(attempts === 3 && updated.remindersSkipped.includes(24) && updated.reminderSkippedReason === 'send_failed',
+      'Tras 3 envíos fallidos el recordatorio se deja de intentar');
+
+    logger.info('Prueba de recordatorios de citas completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de recordatorios de citas:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testAppointmentReminders();
+}
+
+module.exports = { testAppointmentReminders };
@@ -0,0 +1,140 @@
+/**
+ * Test para validar la atribución de anuncios Click-to-WhatsApp
+ *
+ * Este script prueba:
+ * 1. Datos del anuncio en los mensajes de la Cloud API y en el mensaje normalizado
+ * 2. Parámetros utm_*, red social y campaña por regla o por utm_campaign
+ * 3. Atribución guardada con el primer mensaje y saludo de la campaña
+ * 4. Cuestionario de la campaña del anuncio y el predeterminado para las demás
+ * 5. Columnas para Google Sheets e identificación de la campaña
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { handleWhatsAppMessage, findProspect } = require('../src/whatsappHandler');
+const attributionService = require('../src/services/attributionService');
+const { parseCloudReferral } = require('../src/whatsapp/transports/cloudApiTransport');
+const { BaseTransport } = require('../src/whatsapp/transports/baseTransport');
+const { saveQuestionnaire, getQuestionnaire, selectQuestionnaire } = require('../src/services/questionnaireService');
+const { formatProspectData } = require('../src/services/sheetsService');
+const campaignFlow = require('../src/flows/campaignFlow');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const AD_PHONE = '51966666601';
+const UTM_PHONE = '51966666602';
+const ORGANIC_PHONE = '51966666603';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testAttribution() {
+  const campaignsFile = path.join(os.tmpdir(), `test-ad-campaigns-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de atribución de anuncios');
+
+    fs.writeFileSync(campaignsFile, JSON.stringify({
+      campaigns: [{
+        campaign: 'Mineria',
+        adIds: ['120210000000000001'],
+        utmCampaigns: ['fatiga_mineria'],
+        welcome: { es: 'Hola, soy {seller}. Gracias por tu interés en «{headline}».', en: 'Hi, I am {seller}.' }
+      }]
+    }));
+    process.env.AD_CAMPAIGNS_FILE = campaignsFile;
+    attributionService.reloadAdCampaigns();
+
+    // 1. Mensajes que vienen de un anuncio
+    const referral = parseCloudReferral({
+      type: 'text',
+      text: { body: 'Hola' },
+      referral: {
+        source_url: 'https://fb.me/abc?utm_source=facebook&utm_medium=cpc&utm_campaign=Fatiga_Mineria&fbclid=x',
+        source_id: '120210000000000001',
+        source_type: 'ad',
+        headline: 'Cero accidentes por fatiga',
+        body: 'Smart bands para conductores',
+        media_type: 'image',
+        image_url: 'https://example.com/ad.jpg',
+        ctwa_clid: 'ARAkLk'
+      }
+    });
+    assert(referral.sourceId === '120210000000000001' && referral.headline === 'Cero accidentes por fatiga' && referral.ctwaClid === 'ARAkLk', 'Se leen los datos del anuncio de la Cloud API');
+    assert(parseCloudReferral({ type: 'text', text: { body: 'Hola' } }) === null, 'Un mensaje orgánico no trae anuncio');
+
+    const transport = new BaseTransport('prueba');
+    const emitted = [];
+    transport.on('message', message => emitted.push(message));
+    transport.emitMessage({ id: '1', from: AD_PHONE, body: 'Hola', type: 'text', referral });
+    transport.emitMessage({ id: '2', from: AD_PHONE, body: 'Hola', type: 'text' });
+    assert(emitted[0].referral === referral && emitted[1].referral === null, 'El mensaje normalizado conserva el anuncio');
+
+    // 2. utm_*, red social y campaña
+    assert(JSON.stringify(attributionService.parseUtmParams(referral.sourceUrl)) === JSON.stringify({ utm_source: 'facebook', utm_medium: 'cpc', utm_campaign: 'Fatiga_Mineria' }), 'Se extraen solo los parámetros utm_*');
+    assert(Object.keys(attributionService.parseUtmParams('no es una url')).length === 0, 'Una URL inválida no tiene parámetros');
+
+    let attribution = attributionService.buildAttribution(referral);
+    assert(attribution.platform === 'facebook' && attribution.campaign === 'mineria', 'El id del anuncio elige la campaña de la regla');
+    attribution = attributionService.buildAttribution({ sourceUrl: 'https://www.instagram.com/p/x?utm_campaign=FATIGA_MINERIA' });
+    assert(attribution.platform === 'instagram' && attribution.campaign === 'mineria', 'También se reconoce la campaña por utm_campaign');
+    attribution = attributionService.buildAttribution({ sourceId: '999', sourceUrl: 'https://fb.me/x?utm_campaign=Promo_Octubre', app: 'instagram' });
+    assert(attribution.platform === 'instagram' && attribution.campaign === 'promo_octubre', 'Sin regla la campaña es utm_campaign');
+    assert(attributionService.buildAttribution({ sourceType: 'ad' }) === null, 'Sin id, URL ni título no hay atribución');
+
+    // 3. Primer mensaje desde el anuncio (la campaña tiene su propio cuestionario)
+    const base = await getQuestionnaire('default');
+    await saveQuestionnaire({ ...base, id: 'mineria', name: 'Minería', campaigns: ['mineria'] });
+
+    let result = await handleWhatsAppMessage({ from: AD_PHONE, body: 'Hola, quiero información', type: 'text', id: 'test-ad-1', referral });
+    let prospect = await findProspect(AD_PHONE);
+    assert(prospect.adAttribution.adId === '120210000000000001' && prospect.adAttribution.utm.utm_medium === 'cpc', 'El anuncio queda guardado en el prospecto');
+    assert(prospect.campaign === 'mineria' && prospect.campaignType === 'facebook', 'El prospecto queda con la campaña y la red del anuncio');
+    assert(/Gracias por tu interés en «Cero accidentes por fatiga»/.test(result.text), 'El saludo es el de la campaña del anuncio');
+
+    await handleWhatsAppMessage({ from: AD_PHONE, body: 'Soy Rosa Vega de Minera Andina', type: 'text', id: 'test-ad-2', referral: { sourceId: '555', headline: 'Otro' } });
+    prospect = await findProspect(AD_PHONE);
+    assert(prospect.adAttribution.adId === '120210000000000001', 'Se conserva el primer anuncio');
+    assert(prospect.questionnaireId === 'mineria', 'La campaña del anuncio elige su cuestionario');
+
+    result = await handleWhatsAppMessage({ from: UTM_PHONE, body: 'Hola', type: 'text', id: 'test-ad-3', referral: { sourceId: '777', headline: 'Flotas seguras', sourceUrl: 'https://fb.me/y?utm_campaign=Promo' } });
+    assert(/anuncio «Flotas seguras»/.test(result.text), 'Sin saludo propio se menciona el anuncio');
+
+    result = await handleWhatsAppMessage({ from: ORGANIC_PHONE, body: 'Hola', type: 'text', id: 'test-ad-4' });
+    prospect = await findProspect(ORGANIC_PHONE);
+    assert(!prospect.adAttribution && !prospect.campaign && !/anuncio/.test(result.text), 'Un prospecto orgánico recibe el saludo de siempre');
+
+    // 4. Cuestionario predeterminado para las demás campañas
+    assert((await selectQuestionnaire({ campaign: 'promo' })).id === 'default', 'Una campaña sin cuestionario usa el predeterminado');
+
+    // 5. Reportes
+    const sheetsData = formatProspectData(await findProspect(AD_PHONE));
+    assert(sheetsData.Anuncio_Id === '120210000000000001' && sheetsData.UTM_Campaign === 'Fatiga_Mineria' && sheetsData.Campana === 'mineria', 'Google Sheets recibe el anuncio y sus utm');
+    assert(formatProspectData(await findProspect(ORGANIC_PHONE)).Anuncio_Id === '', 'Sin anuncio las columnas quedan vacías');
+
+    const identified = campaignFlow.identifyCampaign(await findProspect(AD_PHONE), 'el precio');
+    assert(identified.source === 'FACEBOOK' && identified.adId === '120210000000000001' && identified.campaign === 'mineria', 'La campaña se identifica por el anuncio y no por el texto');
+
+    logger.info('Prueba de atribución de anuncios completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de atribución de anuncios:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(campaignsFile, { force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testAttribution();
+}
+
+module.exports = { testAttribution };
@@ -0,0 +1,266 @@
+/**
+ * Test para validar las campañas salientes
+ *
+ * Este script prueba:
+ * 1. Lectura del CSV de contactos (separador, comillas, columnas extra)
+ * 2. Creación de la campaña: teléfonos inválidos, repetidos y plantilla inexistente
+ * 3. Mensaje personalizado por contacto, en su idioma
+ * 4. Envío con pausas, omisiones (no contactar, conversación activa) y horario laboral
+ * 5. Límite de envíos por hora (con los envíos guardados) y cancelación, también durante el último envío
+ * 6. Respuesta del contacto etiquetada con la campaña
+ * 7. Envío por la Cloud API: solo con la plantilla aprobada por Meta
+ */
+
+require('dotenv').config();
+
+// Límite bajo para probar la pausa por hora (se lee al cargar el servicio)
+process.env.BROADCAST_HOURLY_LIMIT = '3';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const {
+  getProspectState,
+  updateProspectState,
+  findProspect,
+  handleWhatsAppMessage
+} = require('../src/whatsappHandler');
+const broadcastService = require('../src/services/broadcastService');
+const consentService = require('../src/services/consentService');
+const { getDueFollowUp } = require('../src/services/followUpService');
+const { getTransitionEvents } = require('../src/services/analyticsService');
+const { reloadTemplates } = require('../src/services/templateService');
+const logger = require('../src/utils/logger');
+
+// Transporte simulado que guarda los mensajes enviados
+const sentMessages = [];
+const fakeTransport = {
+  name: 'test',
+  isReady: true,
+  sendText: async (to, text) => {
+    sentMessages.push({ to, text });
+    return { success: true };
+  }
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testBroadcasts() {
+  const templatesFile = path.join(os.tmpdir(), `test-broadcast-templates-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de campañas salientes');
+
+    fs.writeFileSync(templatesFile, JSON.stringify({
+      'broadcast.city': {
+        variants: [{ id: 'A', text: { es: 'Hola {name}, ¿{company} sigue operando en {ciudad}?', pt: 'Olá {name}, a {company} continua em {ciudad}?' } }]
+      }
+    }));
+    process.env.TEMPLATES_FILE = templatesFile;
+    reloadTemplates();
+
+    // 1. CSV de contactos
+    const csv = [
+      'Nombre;Empresa;Teléfono;Segmento;Ciudad',
+      'Ana Torres;"Transportes Sur; S.A.C.";+51 987 000 801;mineria;Arequipa',
+      'João Lima;Frota Rápida;55 11 98700-0802;carga;Campinas',
+      ';;51987000803;;',
+      'Luis Paz;Rutas del Norte;51987000804;carga;Trujillo',
+      'Marta Ríos;Andes Cargo;51987000805;carga;Cusco',
+      'Repetido;Otra;51 987 000 801;;',
+      'Sin número;Empresa;;;',
+      'Corto;Empresa;12345;;'
+    ].join('\r\n');
+
+    const parsed = broadcastService.parseContactsCsv(csv);
+    assert(parsed.contacts.length === 7 && parsed.errors.length === 1, 'Se leen los contactos y se informa la fila sin teléfono');
+    assert(parsed.contacts[0].company === 'Transportes Sur; S.A.C.' && parsed.contacts[0].segment === 'mineria', 'Se respetan las comillas con el separador de Excel');
+    assert(parsed.contacts[0].values.ciudad === 'Arequipa', 'Las columnas extra quedan para personalizar el mensaje');
+    assert(broadcastService.parseContactsCsv('nombre,empresa\nAna,Sur').errors.length === 1, 'Sin columna de teléfono la lista se rechaza');
+
+    // 2. Creación de la campaña
+    let failed = false;
+    try {
+      await broadcastService.createBroadcast({ name: 'Prueba', template: 'broadcast.noExiste', csv });
+    } catch (error) {
+      failed = true;
+    }
+    assert(failed, 'Una plantilla inexistente se rechaza');
+
+    const { broadcast, rejected } = await broadcastService.createBroadcast({
+      name: 'Flota Segura Octubre',
+      template: 'broadcast.city',
+      csv,
+      scheduledAt: '2026-10-19T15:00:00Z'
+    });
+    assert(broadcast.id === 'flota-segura-octubre' && broadcast.status === 'scheduled', 'La campaña se programa con un id legible');
+    assert(broadcast.recipients.length === 5 && rejected.length === 3, 'Se descartan los teléfonos repetidos, vacíos e inválidos');
+    assert(broadcast.recipients[0].phoneNumber === '51987000801', 'Los teléfonos se normalizan');
+
+    // 3. Mensaje personalizado
+    const [ana, joao] = broadcast.recipients;
+    assert(broadcastService.renderBroadcastMessage(broadcast, ana).text === 'Hola Ana Torres, ¿Transportes Sur; S.A.C. sigue operando en Arequipa?', 'El mensaje usa el nombre, la empresa y las columnas extra');
+    assert(/^Olá João Lima/.test(broadcastService.renderBroadcastMessage(broadcast, joao, { country: 'BR' }).text), 'El mensaje sale en el idioma del país del contacto');
+    const intro = broadcastService.renderBroadcastMessage({ template: 'broadcast.intro', values: {} }, { values: {} });
+    assert(/^Hola 👋, soy/.test(intro.text) && /responde BAJA/.test(intro.text), 'Sin nombre no quedan espacios sueltos y se indica cómo darse de baja');
+
+    // 4. Envío (lunes a las 10:00 en Lima)
+    const monday = moment.tz('2026-10-19 10:00', 'America/Lima');
+    let clock = monday.clone();
+    const sleeps = [];
+    const options = {
+      sleep: async ms => {
+        sleeps.push(ms);
+        clock = clock.clone().add(ms, 'ms');
+      },
+      now: () => clock.toDate()
+    };
+
+    await consentService.optOut('51987000805', { source: 'admin' });
+    const luis = await getProspectState('51987000804');
+    await updateProspectState('51987000804', { ...luis, conversationState: 'invitation' });
+
+    let summary = await broadcastService.sendBroadcast(broadcast, fakeTransport, options);
+    assert(summary.sent === 3 && summary.skipped === 2, 'Se envían tres mensajes y se omiten dos contactos');
+    assert(broadcast.recipients.find(item => item.phoneNumber === '51987000805').reason === 'do_not_contact', 'No se escribe a quien está en la lista de no contactar');
+    assert(broadcast.recipients.find(item => item.phoneNumber === '51987000804').reason === 'active_conversation', 'No se escribe a quien ya conversa con el bot');
+    assert(sleeps.length === 3 && sleeps.every(ms => ms >= 20000 && ms <= 60000), 'Entre envíos hay una pausa al azar de 20 a 60 segundos');
+    assert(broadcast.status === 'completed', 'La campaña queda completada');
+
+    let prospect = await findProspect('51987000801');
+    assert(prospect.campaign === 'flota-segura-octubre' && prospect.broadcastId === 'flota-segura-octubre', 'El contacto queda como prospecto de la campaña');
+    assert(prospect.conversationState === 'initial_qualification' && prospect.name === 'Ana Torres', 'Con nombre y empresa su respuesta pasa a la calificación');
+    assert((await findProspect('51987000803')).conversationState === 'greeting', 'Sin nombre su respuesta pasa por el saludo');
+    const [sentEvent] = await getTransitionEvents({ phoneNumber: '51987000801' });
+    assert(sentEvent && sentEvent.reason === 'broadcast' && sentEvent.to === 'initial_qualification' && sentEvent.campaign === 'flota-segura-octubre',
+      'El envío pasa por la máquina de estados y queda en el embudo de la campaña');
+    assert(getDueFollowUp(prospect, monday.clone().add(5, 'hours').toDate()) === null, 'Quien no respondió la campaña no recibe seguimientos');
+
+    // 5. Límite por hora, horario laboral y cancelación
+    const { broadcast: second } = await broadcastService.createBroadcast({
+      name: 'Segunda Ola',
+      template: 'broadcast.intro',
+      contacts: [{ phone: '51987000811', name: 'Raúl' }, { phone: '51987000812' }, { phone: '51987000813' }]
+    });
+    summary = await broadcastService.sendBroadcast(second, fakeTransport, options);
+    assert(summary.sent === 0 && second.status === 'sending', 'Con el límite por hora alcanzado la campaña espera');
+
+    clock = monday.clone().hour(20);
+    summary = await broadcastService.sendBroadcast(second, fakeTransport, options);
+    assert(summary.sent === 0 && summary.waiting === 3, 'Fuera del horario laboral del contacto no se envía');
+    assert(!(await findProspect('51987000812')), 'Un contacto en espera todavía no se guarda como prospecto');
+
+    clock = monday.clone().add(1, 'day');
+    summary = await broadcastService.sendBroadcast(second, fakeTransport, { ...options, sleep: async () => broadcastService.cancelBroadcast(second.id) });
+    assert(summary.sent === 1 && second.status === 'cancelled', 'Una campaña cancelada deja de enviar');
+    const cancelled = await broadcastService.getBroadcast(second.id);
+    assert(cancelled.status === 'cancelled' && cancelled.cancelledAt instanceof Date && cancelled.recipients.filter(recipient => recipient.status === 'sent').length === 1,
+      'La cancelación guarda solo el estado y conserva el avance de los destinatarios');
+
+    // Los envíos guardados cuentan para el límite aunque el servicio se haya reiniciado
+    clock = monday.clone().add(3, 'days');
+    const { broadcast: history } = await broadcastService.createBroadcast({
+      name: 'Historial',
+      template: 'broadcast.intro',
+      contacts: [{ phone: '51987000821' }, { phone: '51987000822' }, { phone: '51987000823' }]
+    });
+    (await broadcastService.getBroadcast(history.id)).recipients.forEach(recipient => {
+      Object.assign(recipient, { status: 'sent', sentAt: clock.clone().subtract(10, 'minutes').toDate() });
+    });
+    const { broadcast: third } = await broadcastService.createBroadcast({
+      name: 'Tercera Ola',
+      template: 'broadcast.intro',
+      contacts: [{ phone: '51987000824' }]
+    });
+    summary = await broadcastService.sendBroadcast(third, fakeTransport, options);
+    assert(summary.sent === 0 && third.recipients[0].status === 'pending', 'El límite por hora se calcula con los envíos guardados');
+
+    // Una cancelación durante el último envío no se pisa al completar la campaña
+    clock = clock.clone().add(2, 'hours');
+    const cancellingTransport = {
+      ...fakeTransport,
+      sendText: async (to, text) => {
+        await broadcastService.cancelBroadcast(third.id);
+        return fakeTransport.sendText(to, text);
+      }
+    };
+    summary = await broadcastService.sendBroadcast(third, cancellingTransport, options);
+    assert(summary.sent === 1 && (await broadcastService.getBroadcast(third.id)).status === 'cancelled', 'La cancelación hecha durante el último envío se conserva');
+
+    // 6. Respuesta del contacto
+    const result = await handleWhatsAppMessage({ from: '51987000801', body: 'Sí, cuéntame', type: 'chat', id: 'test-broadcast-reply' });
+    prospect = await findProspect('51987000801');
+    assert(result.text && prospect.broadcastRepliedAt && prospect.campaign === 'flota-segura-octubre', 'La respuesta queda registrada con la campaña');
+
+    const report = await broadcastService.getBroadcastReport('flota-segura-octubre');
+    assert(report.recipients.sent === 3 && report.replied === 1 && report.replyRate === 33.3, 'El reporte muestra envíos y respuestas');
+    assert(report.states[prospect.conversationState] === 1 && Object.keys(report.states).length === 1, 'El reporte cuenta las respuestas por etapa de la conversación');
+
+    // 7. Cloud API: la conversación solo se puede iniciar con una plantilla aprobada
+    const sentTemplates = [];
+    const cloudTransport = {
+      ...fakeTransport,
+      name: 'cloud_api',
+      requiresApprovedTemplates: true,
+      sendTemplate: async (to, template) => {
+        sentTemplates.push({ to, template });
+        return { success: true };
+      }
+    };
+    clock = monday.clone().add(7, 'days');
+    const textsBefore = sentMessages.length;
+
+    const { broadcast: freeText } = await broadcastService.createBroadcast({
+      name: 'Sin Plantilla Aprobada',
+      template: 'broadcast.intro',
+      contacts: [{ phone: '51987000831', name: 'Rosa', company: 'Cargas Lima' }]
+    });
+    summary = await broadcastService.sendBroadcast(freeText, cloudTransport, options);
+    assert(summary.sent === 0 && freeText.recipients[0].status === 'pending' && freeText.status === 'scheduled', 'Sin plantilla aprobada la campaña no se envía por la Cloud API');
+
+    failed = false;
+    try {
+      await broadcastService.createBroadcast({ name: 'Plantilla Inválida', template: 'broadcast.intro', contacts: [{ phone: '51987000832' }], whatsappTemplate: { language: 'es' } });
+    } catch (error) {
+      failed = true;
+    }
+    assert(failed, 'Una plantilla aprobada sin nombre se rechaza');
+
+    const { broadcast: approved } = await broadcastService.createBroadcast({
+      name: 'Con Plantilla Aprobada',
+      template: 'broadcast.city',
+      contacts: [
+        { phone: '51987000833', name: 'Rosa', company: 'Cargas Lima', values: { ciudad: 'Lima' } },
+        { phone: '5511987000834', name: 'Paulo' }
+      ],
+      whatsappTemplate: { name: 'flota_intro', language: { es: 'es', pt: 'pt_BR' }, parameters: ['name', 'company', 'ciudad'] }
+    });
+    summary = await broadcastService.sendBroadcast(approved, cloudTransport, options);
+    assert(summary.sent === 2 && sentMessages.length === textsBefore, 'Con plantilla aprobada se envía la plantilla y no texto libre');
+    assert(sentTemplates[0].template.name === 'flota_intro' && sentTemplates[0].template.language === 'es' &&
+      sentTemplates[0].template.parameters.join('|') === 'Rosa|Cargas Lima|Lima', 'La plantilla lleva los campos del contacto en orden');
+    assert(sentTemplates[1].template.language === 'pt_BR' && sentTemplates[1].template.parameters.join('|') === 'Paulo|-|-', 'El idioma de la plantilla sigue al del contacto y los campos vacíos no quedan en blanco');
+
+    logger.info('Prueba de campañas salientes completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de campañas salientes:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(templatesFile, { force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testBroadcasts();
+}
+
+module.exports = { testBroadcasts };
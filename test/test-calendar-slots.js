@@ -0,0 +1,194 @@
+/**
+ * Test para validar la búsqueda de horarios con la API freebusy de Google Calendar
+ *
+ * Este script prueba:
+ * 1. Consulta de disponibilidad en varios calendarios del vendedor
+ * 2. Margen entre reuniones, almuerzo y horario laboral
+ * 3. Feriados y diferencias de zona horaria con el cliente
+ * 4. Error al no poder leer un calendario
+ * 5. Invitación sin horarios inventados cuando freebusy falla
+ * 6. Eventos creados en el calendario del vendedor asignado y con la zona horaria configurada
+ */
+
+require('dotenv').config();
+
+// Configuración de agenda para la prueba
+process.env.CALENDAR_IDS = 'primary,ventas@logifit.test';
+process.env.CALENDAR_TIMEZONE = 'America/Lima';
+process.env.CALENDAR_WORK_START = '09:00';
+process.env.CALENDAR_WORK_END = '18:00';
+process.env.CALENDAR_WORK_DAYS = '1,2,3,4,5';
+process.env.CALENDAR_LUNCH_START = '13:00';
+process.env.CALENDAR_LUNCH_END = '14:00';
+process.env.CALENDAR_BUFFER_MINUTES = '15';
+process.env.CALENDAR_MEETING_MINUTES = '30';
+process.env.CALENDAR_SLOT_STEP_MINUTES = '30';
+process.env.CALENDAR_HOLIDAYS = '';
+
+const moment = require('moment-timezone');
+const {
+  setCalendarClient,
+  getNearestAvailableSlot,
+  findNextAvailableSlot,
+  checkCalendarAvailability,
+  createCalendarEvent,
+  isSlotAvailable,
+  getSchedulingConfig
+} = require('../src/services/calendarService');
+const invitationFlow = require('../src/flows/invitationFlow');
+const { t } = require('../src/services/languageService');
+const logger = require('../src/utils/logger');
+
+const TIMEZONE = 'America/Lima';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Próximo día hábil (lunes a viernes) a partir de mañana
+function nextWorkday(from) {
+  const day = from.clone().add(1, 'day').startOf('day');
+  while (day.isoWeekday() > 5) {
+    day.add(1, 'day');
+  }
+  return day;
+}
+
+// Cliente de Google Calendar simulado con respuestas freebusy
+function createFakeCalendar(busyByCalendar, errorsByCalendar = {}) {
+  const requests = [];
+
+  return {
+    requests,
+    freebusy: {
+      query: async ({ resource }) => {
+        requests.push(resource);
+        const calendars = {};
+        resource.items.forEach(({ id }) => {
+          calendars[id] = errorsByCalendar[id]
+            ? { errors: [{ reason: errorsByCalendar[id] }] }
+            : { busy: busyByCalendar[id] || [] };
+        });
+        return { data: { calendars } };
+      }
+    }
+  };
+}
+
+// Función principal de prueba
+async function testCalendarSlots() {
+  try {
+    logger.info('Iniciando prueba de disponibilidad del calendario');
+
+    const day = nextWorkday(moment().tz(TIMEZONE));
+    const at = time => moment.tz(`${day.format('YYYY-MM-DD')} ${time}`, 'YYYY-MM-DD HH:mm', TIMEZONE);
+    const config = getSchedulingConfig();
+
+    // 1. Reglas de horario sin reuniones
+    assert(isSlotAvailable(at('09:00'), [], config), 'Las 09:00 de un día hábil están disponibles');
+    assert(!isSlotAvailable(at('08:30'), [], config), 'No se ofrecen horarios antes del inicio de la jornada');
+    assert(!isSlotAvailable(at('17:45'), [], config), 'La reunión debe terminar antes del fin de la jornada');
+    assert(!isSlotAvailable(at('12:45'), [], config) && !isSlotAvailable(at('13:30'), [], config), 'No se ofrecen horarios que crucen el almuerzo');
+
+    // 2. Reuniones en dos calendarios del vendedor
+    const fakeCalendar = createFakeCalendar({
+      primary: [{ start: at('09:00').toISOString(), end: at('10:30').toISOString() }],
+      'ventas@logifit.test': [{ start: at('11:00').toISOString(), end: at('12:00').toISOString() }]
+    });
+    setCalendarClient(fakeCalendar);
+
+    const slot = await findNextAvailableSlot({
+      timezone: TIMEZONE,
+      date: day.format('YYYY-MM-DD'),
+      preferredHours: ['10:00', '10:30', '11:30', '12:30']
+    });
+    const request = fakeCalendar.requests[0];
+    assert(request.items.map(item => item.id).join(',') === 'primary,ventas@logifit.test', 'Se consultan todos los calendarios del vendedor');
+    assert(slot && slot.time === '12:30', 'Se descartan las horas ocupadas y las que no respetan el margen entre reuniones');
+    assert(slot.isSimulated === false, 'El horario proviene del calendario real');
+
+    const nearest = await getNearestAvailableSlot(TIMEZONE, day.diff(moment().tz(TIMEZONE).startOf('day'), 'days'));
+    assert(nearest.date === day.format('DD/MM/YYYY') && nearest.time === '12:30', 'El horario más cercano es el primero libre del día');
+
+    const available = await checkCalendarAvailability(at('00:00').toDate(), at('23:59').toDate());
+    const times = available.map(item => item.time);
+    assert(!times.includes('10:30') && !times.includes('11:30') && !times.includes('13:00'), 'La lista de disponibilidad excluye reuniones, margen y almuerzo');
+    assert(times[0] === '12:30' && times.includes('14:00') && times[times.length - 1] === '17:30', 'La lista de disponibilidad respeta la jornada');
+
+    // 3. Zona horaria del cliente y feriados
+    const mexicoSlot = await findNextAvailableSlot({
+      timezone: 'America/Mexico_City',
+      date: day.format('YYYY-MM-DD'),
+      preferredHours: ['17:30', '16:00']
+    });
+    assert(mexicoSlot && mexicoSlot.time === '16:00', 'Las horas del cliente se validan contra la jornada del vendedor');
+
+    process.env.CALENDAR_HOLIDAYS = day.format('YYYY-MM-DD');
+    const afterHoliday = await getNearestAvailableSlot(TIMEZONE, day.diff(moment().tz(TIMEZONE).startOf('day'), 'days'));
+    assert(moment.tz(afterHoliday.dateTime, TIMEZONE).isAfter(day.clone().endOf('day')), 'Los feriados se saltan');
+    process.env.CALENDAR_HOLIDAYS = '';
+
+    // 4. Calendario ilegible
+    setCalendarClient(createFakeCalendar({}, { 'ventas@logifit.test': 'notFound' }));
+    let failed = false;
+    try {
+      await findNextAvailableSlot({ timezone: TIMEZONE, date: day.format('YYYY-MM-DD') });
+    } catch (error) {
+      failed = true;
+    }
+    assert(failed, 'Si un calendario no se puede leer no se ofrecen horarios');
+
+    // 5. La invitación no inventa un horario si freebusy falla
+    setCalendarClient({
+      freebusy: {
+        query: async () => {
+          throw new Error('Request had insufficient authentication scopes');
+        }
+      }
+    });
+    const prospect = { phoneNumber: '51966666601', name: 'Ana', timezone: TIMEZONE, conversationState: 'invitation' };
+    const offer = await invitationFlow.offerAvailableTimeSlot(prospect);
+    assert(offer.response === t('invitation.slotsUnavailable', prospect) && !offer.interactive, 'Sin calendario se pide al prospecto su día y hora preferidos');
+    assert(!offer.newState.suggestedSlot && !offer.newState.suggestedTime && !offer.newState.offeredSlots, 'Sin calendario no se guarda ningún horario propuesto');
+
+    const accepted = await invitationFlow.handleAcceptedSchedule(offer.newState);
+    assert(accepted.newState.invitationStep === 'schedule_confirmation' && !accepted.newState.selectedSlot, 'Un "sí" sin horario propuesto no agenda una hora inventada');
+
+    // 6. Evento en el calendario del vendedor asignado
+    const inserted = [];
+    setCalendarClient({
+      events: {
+        insert: async params => {
+          inserted.push(params);
+          return { data: { id: 'evento-1', htmlLink: 'https://calendar.google.com/evento-1' } };
+        }
+      }
+    });
+    process.env.CALENDAR_TIMEZONE = 'America/Bogota';
+    await createCalendarEvent(
+      { summary: 'Demo LogiFit', startDateTime: '2026-10-20T10:00:00-05:00', duration: 30 },
+      { ...prospect, assignedSeller: { id: 'ana', name: 'Ana Torres', email: 'ana@logifit.test', calendarId: 'ana@logifit.test' } }
+    );
+    process.env.CALENDAR_TIMEZONE = TIMEZONE;
+    assert(inserted[0].calendarId === 'ana@logifit.test', 'El evento se crea en el calendario del vendedor asignado');
+    assert(inserted[0].resource.start.timeZone === 'America/Bogota' && inserted[0].resource.end.timeZone === 'America/Bogota', 'El evento usa la zona horaria de CALENDAR_TIMEZONE');
+    setCalendarClient(null);
+
+    logger.info('Prueba de disponibilidad del calendario completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de disponibilidad del calendario:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testCalendarSlots();
+}
+
+module.exports = { testCalendarSlots };
@@ -0,0 +1,170 @@
+/**
+ * Test para validar las bajas, el consentimiento y la eliminación de datos
+ *
+ * Este script prueba:
+ * 1. Detección de bajas, altas y pedidos de eliminación en español, portugués e inglés,
+ *    sin confundir frases negadas, preguntas ni pedidos de otro horario
+ * 2. Baja por WhatsApp: confirmación, registro y silencio ante nuevos mensajes (sin guardarlos)
+ * 3. Alta con "ALTA" y seguimientos omitidos para números en la lista
+ * 4. Eliminación de datos confirmada con BORRAR: prospecto e historial borrados, constancia sin mensajes,
+ *    asignación de vendedor y destinatarios de campañas sin datos personales, y sin prospecto nuevo
+ *    ante un mensaje posterior
+ */
+
+require('dotenv').config();
+const moment = require('moment-timezone');
+const {
+  getProspectState,
+  updateProspectState,
+  findProspect,
+  handleWhatsAppMessage,
+  eraseProspect
+} = require('../src/whatsappHandler');
+const consentService = require('../src/services/consentService');
+const messageStore = require('../src/services/messageStore');
+const sellerService = require('../src/services/sellerService');
+const broadcastService = require('../src/services/broadcastService');
+const { setActiveTransport } = require('../src/whatsapp/transports');
+const { runFollowUps } = require('../src/services/followUpService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51955555501';
+const FOLLOW_UP_PHONE = '51955555502';
+const TIMEZONE = 'America/Lima';
+
+// Transporte simulado que guarda los mensajes enviados
+const sentMessages = [];
+const fakeTransport = {
+  name: 'test',
+  isReady: true,
+  sendText: async (to, text) => {
+    sentMessages.push({ to, text });
+    return { success: true };
+  }
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+function sendMessage(body) {
+  return handleWhatsAppMessage({ from: TEST_PHONE, body, type: 'chat', id: `test-${Date.now()}` });
+}
+
+// Función principal de prueba
+async function testConsent() {
+  try {
+    logger.info('Iniciando prueba de consentimiento y bajas');
+    setActiveTransport(fakeTransport);
+
+    // 1. Detección
+    const detect = async message => (await consentService.detectConsentRequest(message) || {}).action;
+    assert(await detect('STOP') === 'opt_out' && await detect('Baja.') === 'opt_out', 'Las palabras clave solas son una baja');
+    assert(await detect('Por favor no me escriban más') === 'opt_out', 'Se reconoce la baja dentro de una frase');
+    assert(await detect('Parem de me enviar mensagens') === 'opt_out' && await detect("Please don't text me") === 'opt_out', 'Se reconoce la baja en portugués e inglés');
+    assert(await detect('ALTA') === 'opt_in' && await detect('voltar') === 'opt_in', 'Las palabras clave de alta');
+    assert(await detect('Quiero que borren mis datos') === 'erasure' && await detect('delete my data') === 'erasure', 'Se reconoce el pedido de eliminar los datos');
+    assert(await detect('No me interesa por ahora') === undefined, 'Decir que no le interesa no es una baja');
+    assert(await detect('Necesito parar el camión en la ruta') === undefined, 'Una palabra clave dentro de otra frase no es una baja');
+    assert(await detect('Por favor no borren mis datos, sigo interesado') === undefined, 'Pedir que no borren los datos no es un pedido de eliminación');
+    assert(await detect('¿Van a borrar mis datos si no compro?') === undefined, 'Preguntar por la eliminación no es un pedido de eliminación');
+    assert(await detect('No me escriban más tarde, mejor mañana') === undefined, 'Pedir que escriban en otro momento no es una baja');
+    assert(await detect('¿Por qué no me escriben más?') === undefined && await detect("Don't text me later, call me") === undefined, 'Una pregunta o un cambio de horario no es una baja');
+    assert(await detect('No, no me escriban más') === 'opt_out' && await detect('No me escriban más, gracias') === 'opt_out', 'Una baja precedida de otra negación sigue siendo una baja');
+    assert(await detect('BORRAR') === 'erasure_confirm' && await detect('borrar mis cosas') === undefined, 'BORRAR solo confirma si es el mensaje completo');
+
+    // 2. Baja por WhatsApp
+    const prospect = await getProspectState(TEST_PHONE);
+    await updateProspectState(TEST_PHONE, { ...prospect, name: 'Lucía', conversationState: 'greeting' });
+
+    let result = await sendMessage('Por favor no me escriban más');
+    assert(/no volveremos a escribirte/.test(result.text), 'Se confirma la baja');
+    assert(await consentService.isDoNotContact(TEST_PHONE), 'El número queda en la lista de no contactar');
+    assert((await findProspect(TEST_PHONE)).optedOut === true, 'El estado del prospecto queda marcado');
+
+    let records = await consentService.getConsentRecords(TEST_PHONE);
+    assert(records.length === 1 && records[0].action === 'opt_out' && records[0].source === 'keyword' && records[0].timestamp, 'La baja queda registrada con su origen y fecha');
+
+    result = await sendMessage('Hola, ¿siguen ahí?');
+    assert(result.text === null && result.optedOut, 'A un número dado de baja no se le responde');
+    const transcript = await messageStore.getTranscript(TEST_PHONE);
+    assert(!transcript.some(message => message.content === 'Hola, ¿siguen ahí?'), 'El mensaje de un número dado de baja no se guarda');
+
+    // 3. Alta y seguimientos
+    result = await sendMessage('ALTA');
+    assert(/Volveremos a escribirte/.test(result.text), 'Se confirma el alta');
+    assert(!await consentService.isDoNotContact(TEST_PHONE) && (await findProspect(TEST_PHONE)).optedOut === false, 'El número sale de la lista');
+
+    // Lunes a las 10:00 en Lima, prospecto inactivo pero dado de baja desde la API
+    const monday = moment.tz('2026-10-19 10:00', TIMEZONE).toDate();
+    await updateProspectState(FOLLOW_UP_PHONE, {
+      ...(await getProspectState(FOLLOW_UP_PHONE)),
+      name: 'Mario',
+      timezone: TIMEZONE,
+      conversationState: 'invitation',
+      lastProspectMessageAt: moment(monday).subtract(5, 'hours').toDate()
+    });
+    await consentService.optOut(FOLLOW_UP_PHONE, { source: 'admin' });
+    await runFollowUps(monday);
+    assert(!sentMessages.some(message => message.to === FOLLOW_UP_PHONE), 'No se envían seguimientos a números en la lista');
+
+    // 4. Eliminación de datos
+    result = await sendMessage('BORRAR');
+    assert(await findProspect(TEST_PHONE) !== null, 'BORRAR sin un pedido previo no elimina nada');
+
+    result = await sendMessage('Quiero que borren mis datos');
+    assert(/BORRAR para confirmar/.test(result.text), 'Se pide confirmación antes de eliminar los datos');
+    assert(await findProspect(TEST_PHONE) !== null && (await messageStore.getTranscript(TEST_PHONE)).length > 0, 'Sin confirmación no se elimina nada');
+
+    await sellerService.assignSeller(await getProspectState(TEST_PHONE));
+    await broadcastService.createBroadcast({
+      name: 'Prueba Supresion',
+      template: 'broadcast.intro',
+      scheduledAt: '2099-01-01T15:00:00Z',
+      contacts: [
+        { phone: TEST_PHONE, name: 'Lucía', company: 'Transportes Andinos', segment: 'mineria', values: { city: 'Arequipa' } },
+        { phone: FOLLOW_UP_PHONE, name: 'Mario' }
+      ]
+    });
+
+    const summary = await eraseProspect(TEST_PHONE, { source: 'admin' });
+    assert(summary.prospect && summary.messages > 0 && summary.errors.length === 0, 'Se eliminan el prospecto y su historial');
+
+    const loads = await sellerService.getSellerLoads();
+    assert(summary.assignments === 1 && Object.values(loads).some(load => load.count > 0), 'La asignación de vendedor se conserva sin el número');
+
+    const broadcast = await broadcastService.getBroadcast('prueba-supresion');
+    const [erased, other] = broadcast.recipients;
+    assert(summary.broadcasts === 1 && !JSON.stringify(broadcast).includes(TEST_PHONE), 'El número no queda en las campañas');
+    assert(erased.name === null && erased.company === null && Object.keys(erased.values).length === 0, 'El destinatario queda sin nombre, empresa ni valores');
+    assert(erased.status === 'skipped' && other.phoneNumber === FOLLOW_UP_PHONE && other.name === 'Mario', 'Solo se anonimiza al prospecto eliminado y no se le envía la campaña');
+    assert(await findProspect(TEST_PHONE) === null && (await messageStore.getTranscript(TEST_PHONE)).length === 0, 'No quedan datos del prospecto');
+    assert(await consentService.isDoNotContact(TEST_PHONE), 'El número vuelve a la lista de no contactar');
+
+    result = await sendMessage('Hola de nuevo');
+    assert(result.text === null && result.optedOut, 'A un número con los datos eliminados no se le responde');
+    assert(await findProspect(TEST_PHONE) === null && (await messageStore.getTranscript(TEST_PHONE)).length === 0, 'Un mensaje posterior no vuelve a crear el prospecto ni guarda su texto');
+
+    records = await consentService.getConsentRecords(TEST_PHONE);
+    assert(records[records.length - 1].action === 'erasure', 'La eliminación queda registrada');
+    assert(records.every(record => record.message === null), 'La constancia no conserva el texto de los mensajes');
+
+    logger.info('Prueba de consentimiento y bajas completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de consentimiento y bajas:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testConsent();
+}
+
+module.exports = { testConsent };
@@ -0,0 +1,301 @@
+/**
+ * Test para validar los conectores de CRM (HubSpot, Pipedrive y Zoho)
+ *
+ * Este script prueba, contra el servidor simulado de test/simulator/crmMockServer.js:
+ * 1. Datos del prospecto para el CRM y campos configurados
+ * 2. Alta al calificar: empresa, contacto, negocio y nota con la transcripción
+ * 3. Cambio de etapa del negocio con una nota de los mensajes nuevos
+ * 4. Actualización y eliminación del prospecto en el CRM
+ * 5. Error al crear la nota, sin CRM configurado y con credenciales inválidas
+ * 6. Sincronización en segundo plano en cada transición, sin duplicar el negocio
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCrmMockServer } = require('./simulator/crmMockServer');
+const { reloadCrmConfig } = require('../src/services/crm');
+const {
+  buildCrmRecord,
+  sendProspectToCRM,
+  syncProspectWithCRM,
+  updateProspectInCRM,
+  deleteProspectFromCRM
+} = require('../src/services/crmService');
+const messageStore = require('../src/services/messageStore');
+const campaignFlow = require('../src/flows/campaignFlow');
+const { updateProspectState, findProspect, waitForCrmSyncs, queueCrmSync, eraseProspect } = require('../src/whatsappHandler');
+const logger = require('../src/utils/logger');
+
+const CONFIG_FILE = path.join(os.tmpdir(), `crm-test-${process.pid}.json`);
+
+// Campos adicionales de cada proveedor (campo del CRM -> dato del prospecto)
+const CRM_CONFIG = {
+  hubspot: {
+    fields: {
+      contact: { lead_score: 'leadScore', do_not_contact: 'doNotContact' },
+      company: { ruc: 'ruc' },
+      deal: { utm_campaign: 'utm.utm_campaign' }
+    }
+  },
+  pipedrive: {
+    pipeline: 2,
+    dealStages: { qualified: 7, appointment_confirmed: 9 },
+    fields: {
+      contact: { '5f1c9a_lead_score': 'leadScore', '5f1c9a_no_contactar': 'doNotContact' },
+      company: { '8b2d7e_ruc': 'ruc' },
+      deal: { '3a9f0c_utm_campaign': 'utm.utm_campaign' }
+    }
+  },
+  zoho: {
+    fields: {
+      contact: { Lead_Score: 'leadScore', Email_Opt_Out: 'doNotContact' },
+      company: { RUC: 'ruc' },
+      deal: { Campaign_Source: 'utm.utm_campaign' }
+    }
+  }
+};
+
+// Cómo leer el almacén del servidor simulado en cada proveedor
+const PROVIDERS = {
+  hubspot: {
+    contacts: store => store.hubspot.contacts,
+    companies: store => store.hubspot.companies,
+    deals: store => store.hubspot.deals,
+    notes: store => store.hubspot.notes,
+    field: (item, name) => item.properties[name],
+    stage: deal => deal.properties.dealstage,
+    noteText: note => note.properties.hs_note_body,
+    qualifiedStage: 'qualifiedtobuy',
+    confirmedStage: 'presentationscheduled'
+  },
+  pipedrive: {
+    contacts: store => store.pipedrive.persons,
+    companies: store => store.pipedrive.organizations,
+    deals: store => store.pipedrive.deals,
+    notes: store => store.pipedrive.notes,
+    field: (item, name) => item[name],
+    stage: deal => deal.stage_id,
+    noteText: note => note.content,
+    qualifiedStage: 7,
+    confirmedStage: 9
+  },
+  zoho: {
+    contacts: store => store.zoho.Contacts,
+    companies: store => store.zoho.Accounts,
+    deals: store => store.zoho.Deals,
+    notes: store => store.zoho.Notes,
+    field: (item, name) => item[name],
+    stage: deal => deal.Stage,
+    noteText: note => note.Note_Content,
+    qualifiedStage: 'Qualification',
+    confirmedStage: 'Needs Analysis'
+  }
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+/**
+ * Configura las variables de entorno del proveedor contra el servidor simulado
+ */
+function useProvider(provider, mockUrl, { apiKey = 'mock-token', refreshToken = 'mock-refresh-token' } = {}) {
+  process.env.CRM_PROVIDER = provider || '';
+  // La URL base de Pipedrive incluye la versión de la API
+  process.env.CRM_API_URL = provider === 'pipedrive' ? `${mockUrl}/v1` : mockUrl;
+  process.env.CRM_API_KEY = provider === 'zoho' ? '' : apiKey;
+  process.env.ZOHO_CLIENT_ID = 'mock-client-id';
+  process.env.ZOHO_CLIENT_SECRET = 'mock-client-secret';
+  process.env.ZOHO_REFRESH_TOKEN = refreshToken;
+  process.env.ZOHO_ACCOUNTS_URL = mockUrl;
+  reloadCrmConfig();
+}
+
+/**
+ * Prospecto de prueba con un par de mensajes ya conversados
+ */
+async function createProspect(phoneNumber) {
+  const past = Date.now() - 60 * 1000;
+  await messageStore.saveMessage({ phoneNumber, direction: 'incoming', role: 'user', content: 'Hola, tenemos 40 camiones', timestamp: new Date(past) });
+  await messageStore.saveMessage({ phoneNumber, direction: 'outgoing', role: 'assistant', content: '¿Cuál es tu cargo en la empresa?', timestamp: new Date(past + 1000) });
+
+  return {
+    phoneNumber,
+    name: 'Ana María Ríos',
+    emails: ['ana@andinos.pe'],
+    companyInfo: { razonSocial: 'Transportes Andinos S.A.C.', ruc: '20123456789' },
+    conversationState: 'greeting',
+    qualificationAnswers: { fleetSize: 40 },
+    adAttribution: { utm: { utm_campaign: 'flotas-mineras' } }
+  };
+}
+
+/**
+ * Recorre el ciclo completo de un prospecto en un proveedor
+ */
+async function testProvider(provider, mock, mockUrl, phoneNumber) {
+  const view = PROVIDERS[provider];
+  useProvider(provider, mockUrl);
+  mock.reset();
+
+  let prospect = await createProspect(phoneNumber);
+
+  // Antes de calificar no se crea nada
+  assert(await syncProspectWithCRM(prospect) === null && mock.requests.length === 0, `${provider}: el saludo no crea el prospecto en el CRM`);
+
+  // Alta al calificar
+  prospect = { ...prospect, conversationState: 'qualified' };
+  let crmFields = await syncProspectWithCRM(prospect);
+  assert(crmFields && crmFields.crmId && crmFields.crmDealId && crmFields.crmProvider === provider, `${provider}: al calificar se guardan los IDs del CRM`);
+  prospect = { ...prospect, ...crmFields };
+
+  const [contact] = view.contacts(mock.store);
+  const [company] = view.companies(mock.store);
+  const [deal] = view.deals(mock.store);
+  assert(view.contacts(mock.store).length === 1 && String(contact.id) === crmFields.crmId, `${provider}: se crea el contacto`);
+  assert(view.companies(mock.store).length === 1 && String(company.id) === crmFields.crmCompanyId, `${provider}: se crea la empresa`);
+  const [scoreField, noContactField] = Object.keys(CRM_CONFIG[provider].fields.contact);
+  assert(view.field(company, Object.keys(CRM_CONFIG[provider].fields.company)[0]) === '20123456789', `${provider}: la empresa lleva los campos configurados`);
+  assert(view.field(contact, scoreField) === buildCrmRecord(prospect).leadScore, `${provider}: el contacto lleva el puntaje del prospecto`);
+  assert(JSON.stringify(contact).includes(`"+${phoneNumber}"`), `${provider}: el contacto se guarda con el teléfono internacional`);
+  assert(view.stage(deal) === view.qualifiedStage && crmFields.crmStage === view.qualifiedStage, `${provider}: el negocio se crea en la etapa de calificado`);
+  assert(view.field(deal, Object.keys(CRM_CONFIG[provider].fields.deal)[0]) === 'flotas-mineras', `${provider}: el negocio lleva la campaña del anuncio`);
+
+  const [firstNote] = view.notes(mock.store);
+  assert(view.notes(mock.store).length === 1 && /40 camiones/.test(view.noteText(firstNote)), `${provider}: se agrega una nota con la transcripción`);
+
+  // El mismo estado no vuelve a sincronizarse
+  assert(await syncProspectWithCRM(prospect) === null, `${provider}: sin cambio de etapa no se envía nada`);
+
+  // Cambio de etapa con los mensajes nuevos
+  await messageStore.saveMessage({ phoneNumber, direction: 'incoming', role: 'user', content: 'El jueves a las 10 me sirve', timestamp: new Date(Date.now() + 1000) });
+  prospect = { ...prospect, conversationState: 'appointment_confirmed' };
+  crmFields = await syncProspectWithCRM(prospect);
+  assert(crmFields && crmFields.crmStage === view.confirmedStage, `${provider}: la demo agendada mueve el negocio de etapa`);
+  prospect = { ...prospect, ...crmFields };
+
+  const secondNote = view.noteText(view.notes(mock.store)[1]);
+  assert(view.stage(view.deals(mock.store)[0]) === view.confirmedStage, `${provider}: el CRM tiene la nueva etapa`);
+  assert(/jueves a las 10/.test(secondNote) && !/40 camiones/.test(secondNote), `${provider}: la nueva nota solo tiene los mensajes desde la anterior`);
+
+  // Un reenvío no duplica el contacto ni la empresa
+  const resent = await sendProspectToCRM(prospect);
+  assert(resent.success && resent.crmId === prospect.crmId && view.contacts(mock.store).length === 1 && view.companies(mock.store).length === 1, `${provider}: el contacto y la empresa se buscan antes de crearlos`);
+
+  // Actualización de un campo configurado
+  const updated = await updateProspectInCRM(prospect.crmId, { doNotContact: true, optedOutAt: new Date() });
+  assert(updated.success && updated.updated && view.field(view.contacts(mock.store)[0], noContactField) === true, `${provider}: la baja se refleja en el campo configurado del contacto`);
+  const ignored = await updateProspectInCRM(prospect.crmId, { appointmentStatus: 'cancelada' });
+  assert(ignored.success && !ignored.updated, `${provider}: los datos sin campo configurado no se envían`);
+
+  // Eliminación
+  const deleted = await deleteProspectFromCRM(prospect.crmId, { dealId: prospect.crmDealId });
+  assert(deleted.success && view.contacts(mock.store).length === 0 && !view.deals(mock.store).some(item => String(item.id) === prospect.crmDealId), `${provider}: la supresión elimina el contacto y su negocio`);
+}
+
+// Función principal de prueba
+async function testCrmAdapters() {
+  const mock = createCrmMockServer();
+  const previousConfigFile = process.env.CRM_CONFIG_FILE;
+
+  try {
+    logger.info('Iniciando prueba de los conectores de CRM');
+    const mockUrl = await mock.listen();
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(CRM_CONFIG));
+    process.env.CRM_CONFIG_FILE = CONFIG_FILE;
+
+    // 1. Datos del prospecto
+    const record = buildCrmRecord(await createProspect('51900000001'));
+    assert(record.firstName === 'Ana' && record.lastName === 'María Ríos' && record.phone === '+51900000001', 'El nombre se separa en nombre y apellidos');
+    assert(record.company === 'Transportes Andinos S.A.C.' && record.dealName === 'Transportes Andinos S.A.C. - WhatsApp', 'El negocio lleva el nombre de la empresa');
+
+    // 2-4. Ciclo completo en cada proveedor
+    await testProvider('hubspot', mock, mockUrl, '51900000011');
+    await testProvider('pipedrive', mock, mockUrl, '51900000012');
+    await testProvider('zoho', mock, mockUrl, '51900000013');
+
+    const tokenRequests = mock.requests.filter(item => item.path === '/oauth/v2/token');
+    assert(tokenRequests.length === 1, 'Zoho reutiliza el token de acceso hasta que vence');
+
+    // Una nota rechazada no deja el negocio sin guardar (ni lo duplica en el siguiente cambio)
+    useProvider('hubspot', mockUrl);
+    mock.reset();
+    mock.fail('/objects/notes', 500);
+    let prospect = { ...(await createProspect('51900000017')), conversationState: 'qualified' };
+    let crmFields = await syncProspectWithCRM(prospect);
+    assert(crmFields && crmFields.crmDealId && crmFields.crmNotesSyncedAt === null, 'Si falla la nota se guardan igual los IDs del negocio');
+    prospect = { ...prospect, ...crmFields };
+    crmFields = await syncProspectWithCRM({ ...prospect, conversationState: 'appointment_confirmed' });
+    assert(crmFields && crmFields.crmStage === 'presentationscheduled' && mock.store.hubspot.deals.length === 1, 'El siguiente cambio de estado mueve el mismo negocio');
+    const noteRequests = mock.requests.filter(item => item.path === '/crm/v3/objects/notes');
+    assert(noteRequests.length === 2 && /40 camiones/.test(noteRequests[1].body.properties.hs_note_body), 'La nota siguiente vuelve a incluir los mensajes que no se pudieron enviar');
+
+    // 5. Sin CRM configurado
+    useProvider(null, mockUrl);
+    mock.reset();
+    const skipped = await sendProspectToCRM({ phoneNumber: '51900000014', conversationState: 'qualified' });
+    assert(skipped.skipped && !skipped.success && mock.requests.length === 0, 'Sin CRM_PROVIDER no se envía nada');
+    assert(await syncProspectWithCRM({ phoneNumber: '51900000014', conversationState: 'qualified' }) === null, 'Sin CRM_PROVIDER no se guardan IDs');
+
+    // Credenciales inválidas
+    useProvider('hubspot', mockUrl, { apiKey: 'token-vencido' });
+    const rejected = await sendProspectToCRM({ phoneNumber: '51900000015', conversationState: 'qualified' });
+    assert(!rejected.success && /401/.test(rejected.error), 'Con un token inválido se informa el error sin IDs falsos');
+    assert(await syncProspectWithCRM({ phoneNumber: '51900000015', conversationState: 'qualified' }) === null, 'Un error del CRM no interrumpe la conversación');
+
+    useProvider('zoho', mockUrl, { refreshToken: 'revocado' });
+    const zohoRejected = await sendProspectToCRM({ phoneNumber: '51900000016', conversationState: 'qualified' });
+    assert(!zohoRejected.success && /invalid_client/.test(zohoRejected.error), 'Zoho informa un token de actualización inválido');
+
+    // 6. Cada transición sincroniza el CRM en segundo plano; dos seguidas no duplican el negocio
+    useProvider('hubspot', mockUrl);
+    mock.reset();
+    prospect = await createProspect('51900000018');
+    await updateProspectState(prospect.phoneNumber, prospect);
+    prospect = await campaignFlow.transitionTo(prospect, 'qualified', 'admin');
+    prospect = await campaignFlow.transitionTo(prospect, 'invitation', 'admin');
+    await updateProspectState(prospect.phoneNumber, prospect);
+    await waitForCrmSyncs();
+    const synced = await findProspect(prospect.phoneNumber);
+    assert(synced.crmDealId && synced.crmStage === 'qualifiedtobuy' && synced.conversationState === 'invitation', 'Las transiciones fuera de un mensaje guardan los IDs del CRM en el prospecto');
+    assert(mock.store.hubspot.deals.length === 1 && mock.store.hubspot.contacts.length === 1, 'Dos transiciones seguidas crean un solo negocio');
+
+    // La supresión espera la sincronización en curso y elimina lo que esta creó
+    mock.reset();
+    prospect = await createProspect('51900000019');
+    await updateProspectState(prospect.phoneNumber, prospect);
+    await campaignFlow.transitionTo(prospect, 'qualified', 'admin');
+    const erasing = eraseProspect(prospect.phoneNumber);
+    queueCrmSync({ ...prospect, conversationState: 'invitation' });
+    const erasure = await erasing;
+    await waitForCrmSyncs();
+    assert(erasure.crm === true && mock.store.hubspot.contacts.length === 0 && mock.store.hubspot.deals.length === 0,
+      'La supresión durante una sincronización en curso elimina el registro del CRM y no se crea otro');
+
+    logger.info('Prueba de los conectores de CRM completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de los conectores de CRM:', error);
+    process.exitCode = 1;
+  } finally {
+    if (previousConfigFile === undefined) {
+      delete process.env.CRM_CONFIG_FILE;
+    } else {
+      process.env.CRM_CONFIG_FILE = previousConfigFile;
+    }
+    fs.rmSync(CONFIG_FILE, { force: true });
+    await mock.close();
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testCrmAdapters();
+}
+
+module.exports = { testCrmAdapters };
@@ -0,0 +1,171 @@
+/**
+ * Test para validar el panel web de ventas
+ *
+ * Este script prueba:
+ * 1. Archivos del panel servidos sin clave y la API protegida
+ * 2. Estados de la conversación con su nombre
+ * 3. Próximas demos desde los prospectos (almacenamiento en memoria)
+ * 4. Próximas demos desde Google Calendar, unidas a sus prospectos
+ * 5. Panel deshabilitado con DASHBOARD_ENABLED=false
+ */
+
+require('dotenv').config();
+const http = require('http');
+const moment = require('moment-timezone');
+const { createAdminServer } = require('../src/api/server');
+const { getProspectState, updateProspectState } = require('../src/whatsappHandler');
+const { setCalendarClient } = require('../src/services/calendarService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PORT = 3997;
+const TEST_API_KEY = 'clave-de-prueba';
+const SOON_PHONE = '51955555501';
+const LATER_PHONE = '51955555502';
+const MAKE_PHONE = '51955555503';
+
+/**
+ * Realiza una petición al servidor local y devuelve el cuerpo sin parsear
+ */
+function request(method, path, apiKey = TEST_API_KEY) {
+  return new Promise((resolve, reject) => {
+    const headers = apiKey ? { 'x-api-key': apiKey } : {};
+    const req = http.request({ host: '127.0.0.1', port: TEST_PORT, method, path, headers, agent: false }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: data }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function requestJson(path) {
+  const result = await request('GET', path);
+  return { status: result.status, body: JSON.parse(result.text) };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+/**
+ * Guarda un prospecto con una demo agendada
+ */
+async function bookDemo(phoneNumber, name, startTime, appointmentDetails = {}) {
+  const prospect = await getProspectState(phoneNumber);
+  await updateProspectState(phoneNumber, {
+    ...prospect,
+    name,
+    company: `${name} S.A.`,
+    conversationState: 'appointment_confirmed',
+    leadScore: 80,
+    leadTier: 'ALTO',
+    appointmentDetails: { startTime: startTime.toISOString(), meetLink: 'https://meet.google.com/abc', ...appointmentDetails }
+  });
+}
+
+/**
+ * Cliente falso de Google Calendar con una lista fija de eventos
+ */
+function createFakeCalendar(events) {
+  const fake = {
+    requests: [],
+    events: {
+      list: async params => {
+        fake.requests.push(params);
+        if (events instanceof Error) {
+          throw events;
+        }
+        return { data: { items: events } };
+      }
+    }
+  };
+  return fake;
+}
+
+// Función principal de prueba
+async function testDashboard() {
+  const server = createAdminServer({ apiKey: TEST_API_KEY });
+
+  try {
+    logger.info('Iniciando prueba del panel de ventas');
+    await new Promise(resolve => server.listen(TEST_PORT, resolve));
+
+    // 1. Archivos del panel y API protegida
+    let result = await request('GET', '/dashboard/', null);
+    assert(result.status === 200 && /text\/html/.test(result.headers['content-type']) && /Panel de ventas/.test(result.text), 'El panel se sirve sin clave');
+    result = await request('GET', '/dashboard/app.js', null);
+    assert(result.status === 200 && /javascript/.test(result.headers['content-type']), 'El código del panel se sirve como JavaScript');
+    result = await request('GET', '/', null);
+    assert(result.status === 302 && result.headers.location === '/dashboard/', 'La raíz redirige al panel');
+    result = await request('GET', '/dashboard/..%2Fapi%2Fserver.js', null);
+    assert(result.status === 401, 'Solo se sirven los archivos del panel');
+    result = await request('GET', '/api/dashboard/appointments', null);
+    assert(result.status === 401, 'Los datos del panel requieren la clave');
+
+    // 2. Estados
+    const { body: { states } } = await requestJson('/api/dashboard/states');
+    assert(states.find(state => state.id === 'human_handoff').label === 'Atención humana', 'Los estados tienen su nombre para las etiquetas');
+
+    // 3. Próximas demos desde los prospectos
+    const now = moment();
+    await bookDemo(SOON_PHONE, 'Ana Ríos', now.clone().add(2, 'days'), { calendarEventId: 'evento-ana', calendarId: 'primary' });
+    await bookDemo(LATER_PHONE, 'Luis Paz', now.clone().add(20, 'days'), { calendarEventId: 'mock-event-1' });
+    await bookDemo(MAKE_PHONE, 'Eva Soto', now.clone().add(3, 'days'));
+
+    let response = await requestJson('/api/dashboard/appointments');
+    const phones = response.body.appointments.map(appointment => appointment.phoneNumber);
+    assert(response.status === 200 && phones.join() === `${SOON_PHONE},${MAKE_PHONE}`, 'Sin Google Calendar se muestran las demos de la semana guardadas en los prospectos');
+    assert(response.body.appointments[0].leadTier === 'ALTO' && response.body.appointments[0].source === 'prospect', 'Cada demo trae el puntaje del prospecto');
+
+    response = await requestJson('/api/dashboard/appointments?days=30');
+    assert(response.body.total === 3, 'Se puede ampliar el período');
+    response = await requestJson('/api/dashboard/appointments?days=0');
+    assert(response.status === 400, 'Se rechaza un período inválido');
+
+    // 4. Próximas demos desde Google Calendar
+    const moved = now.clone().add(1, 'day');
+    const fakeCalendar = createFakeCalendar([
+      { id: 'evento-ana', status: 'confirmed', summary: 'Llamada con Ana Ríos', start: { dateTime: moved.toISOString() }, end: { dateTime: moved.clone().add(30, 'minutes').toISOString() }, hangoutLink: 'https://meet.google.com/xyz' },
+      { id: 'evento-make', status: 'confirmed', summary: 'Demo Logifit', description: `Teléfono: ${MAKE_PHONE}`, start: { dateTime: now.clone().add(3, 'days').toISOString() } },
+      { id: 'evento-interno', status: 'confirmed', summary: 'Reunión de equipo', start: { dateTime: now.clone().add(4, 'days').toISOString() } },
+      { id: 'evento-cancelado', status: 'cancelled', description: `Teléfono: ${LATER_PHONE}`, start: { dateTime: now.clone().add(5, 'days').toISOString() } }
+    ]);
+    setCalendarClient(fakeCalendar);
+
+    response = await requestJson('/api/dashboard/appointments');
+    const [ana, eva] = response.body.appointments;
+    assert(fakeCalendar.requests[0].singleEvents === true && fakeCalendar.requests[0].calendarId === 'primary', 'Se consultan los eventos del calendario de ventas');
+    assert(response.body.total === 2 && ana.source === 'calendar' && moment(ana.startTime).isSame(moved) && ana.meetLink === 'https://meet.google.com/xyz', 'La demo usa el horario y el enlace del calendario');
+    assert(eva.phoneNumber === MAKE_PHONE && eva.eventId === 'evento-make', 'Un evento se une al prospecto por el teléfono de su descripción');
+
+    setCalendarClient(createFakeCalendar(new Error('invalid_grant')));
+    response = await requestJson('/api/dashboard/appointments');
+    assert(response.body.calendarError === 'invalid_grant' && response.body.total === 2, 'Si falla el calendario se muestran las demos de los prospectos');
+    setCalendarClient(null);
+
+    // 5. Panel deshabilitado
+    process.env.DASHBOARD_ENABLED = 'false';
+    result = await request('GET', '/dashboard/', null);
+    assert(result.status === 401, 'Con DASHBOARD_ENABLED=false el panel no se sirve');
+
+    logger.info('Prueba del panel de ventas completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba del panel de ventas:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testDashboard();
+}
+
+module.exports = { testDashboard };
@@ -0,0 +1,145 @@
+/**
+ * Test para validar la lectura de imágenes y documentos que envían los prospectos
+ *
+ * Este script prueba:
+ * 1. Extracción de correo, teléfono, RUC, razón social y flota de un texto
+ * 2. Lectura de un documento de texto (lista de placas) sin OpenAI
+ * 3. Incorporación de los datos al estado sin reemplazar lo que ya se conocía
+ * 4. Confirmación al prospecto y texto que recibe el flujo
+ * 5. Imagen con su tipo MIME (también desde el procesador de mensajes) y archivos borrados que no quedan como referencia en la conversación
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modelo de visión simulado: se reemplaza antes de cargar documentService
+const openaiService = require('../src/services/openaiService');
+const imageCalls = [];
+openaiService.analyzeImage = async (imagePath, prompt, options = {}) => {
+  imageCalls.push({ imagePath, mimetype: options.mimetype });
+  return { text: 'Transportes Andinos S.A.C.\nFlota: 18 unidades', company: 'Transportes Andinos S.A.C.', fleetSize: 18 };
+};
+
+const {
+  extractProspectData,
+  readDocumentText,
+  processDocumentMessage,
+  mergeDocumentData,
+  buildAcknowledgement,
+  buildDocumentMessage
+} = require('../src/services/documentService');
+const { handleWhatsAppMessage } = require('../src/whatsappHandler');
+const messageStore = require('../src/services/messageStore');
+const { BaseTransport } = require('../src/whatsapp/transports/baseTransport');
+const { processIncomingMessage } = require('../src/whatsapp/messageProcessor');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testDocuments() {
+  try {
+    logger.info('Iniciando prueba de imágenes y documentos');
+
+    // 1. Datos de una firma de correo
+    let data = extractProspectData([
+      'Carlos Medina',
+      'Jefe de Flota',
+      'Transportes Rápidos del Norte S.R.L.',
+      'RUC 20512345678',
+      'Cel: +51 (987) 654-321',
+      'carlos.medina@rapidosnorte.pe',
+      'Operamos 35 camiones en la ruta norte'
+    ].join('\n'));
+    assert(data.email === 'carlos.medina@rapidosnorte.pe', 'Se extrae el correo');
+    assert(data.ruc === '20512345678', 'Se extrae el RUC');
+    assert(data.phone === '+51987654321', 'Se extrae el teléfono sin tomar el RUC');
+    assert(data.company === 'Transportes Rápidos del Norte S.R.L.', 'Se extrae la razón social por su forma societaria');
+    assert(data.fleetSize === 35, 'Se extrae la flota escrita como "35 camiones"');
+
+    data = extractProspectData('Frota: 120\nContato: joao@logistica.com.br');
+    assert(data.fleetSize === 120 && data.email === 'joao@logistica.com.br', 'Se reconoce la flota con etiqueta en portugués');
+    assert(Object.keys(extractProspectData('Gracias por la información')).length === 0, 'Un texto sin datos no devuelve nada');
+
+    // 2. Documento de texto con una lista de placas (OpenAI no está configurado)
+    const filePath = path.join(os.tmpdir(), `test-documents-${Date.now()}.pdf`);
+    fs.writeFileSync(filePath, 'Placa;Marca\nABC-123;Volvo\nABC123;Volvo\nB2C-456;Scania\nABC1D23;Mercedes\nXYZ-9876;Volvo\n');
+    assert(/ABC-123/.test(await readDocumentText(filePath)), 'Un documento sin bytes nulos se lee como texto');
+
+    const result = await processDocumentMessage(filePath, 'document');
+    assert(result.data.fleetSize === 4, 'Las placas repetidas se cuentan una sola vez');
+    assert(!fs.existsSync(filePath), 'El archivo temporal se elimina después de leerlo');
+
+    const missing = await processDocumentMessage(path.join(os.tmpdir(), 'no-existe.pdf'), 'document');
+    assert(Object.keys(missing.data).length === 0, 'Un archivo que no se puede leer no interrumpe la conversación');
+
+    // 3. Incorporación al estado del prospecto
+    const prospect = { phoneNumber: '51900000601', name: 'Carlos', company: 'Desconocida', language: 'es' };
+    const merged = mergeDocumentData(prospect, { name: 'Carlos Medina', company: 'Rápidos del Norte S.R.L.', email: 'carlos@rapidos.pe', fleetSize: 35 });
+    assert(merged.name === 'Carlos' && merged.company === 'Rápidos del Norte S.R.L.', 'Solo se completan los datos que faltan');
+    assert(merged.fleetSize === 35 && merged.emails[0] === 'carlos@rapidos.pe', 'La flota y el correo quedan en el estado');
+    assert(merged.documentData.name === 'Carlos Medina', 'Todo lo extraído queda en documentData');
+    assert(mergeDocumentData(prospect, {}) === prospect, 'Sin datos el estado no cambia');
+
+    // 4. Confirmación y texto para el flujo
+    const acknowledgement = buildAcknowledgement({ company: 'Rápidos del Norte S.R.L.', fleetSize: 35 }, 'image', prospect);
+    assert(acknowledgement === 'Gracias, revisé tu imagen y tomé estos datos: empresa Rápidos del Norte S.R.L., flota de 35 unidades.', 'Se confirman los datos tomados de la imagen');
+    assert(/^I got your document/.test(buildAcknowledgement({}, 'document', { language: 'en' })), 'Sin datos se piden por escrito en el idioma del prospecto');
+
+    assert(buildDocumentMessage({ fleetSize: 35, email: 'carlos@rapidos.pe' }, prospect) === 'Tenemos 35 unidades, mi correo es carlos@rapidos.pe', 'La flota y el correo llegan al flujo como una respuesta escrita');
+    assert(buildDocumentMessage({ name: 'Carlos Medina' }, prospect) === 'nombre Carlos Medina', 'Sin flota ni contacto se describen los demás datos');
+
+    // 5. Tipo MIME de la imagen y referencia al archivo en la conversación
+    const imagePath = path.join(os.tmpdir(), `test-documents-${Date.now()}.jpg`);
+    fs.writeFileSync(imagePath, 'png');
+    const image = await processDocumentMessage(imagePath, 'image', { mimetype: 'image/png' });
+    assert(image.data.fleetSize === 18 && imageCalls[0].mimetype === 'image/png', 'La imagen se analiza con el tipo MIME informado por WhatsApp');
+
+    const documentPath = path.join(os.tmpdir(), `test-documents-${Date.now()}.pdf`);
+    fs.writeFileSync(documentPath, 'Placa\nABC-123\nB2C-456\n');
+    await handleWhatsAppMessage({ id: 'test-documents-file', from: '51900000602', body: '', type: 'document', mediaUrl: documentPath, mimetype: 'application/pdf' });
+    const [received] = await messageStore.getTranscript('51900000602');
+    assert(!fs.existsSync(documentPath) && received.type === 'document' && received.mediaUrl === null, 'No se guarda la ruta del archivo temporal ya eliminado');
+    assert(/Prospecto \[document\]:/.test(messageStore.formatTranscript([received])), 'La transcripción sigue marcando el documento recibido');
+
+    // El tipo MIME que informa el transporte llega hasta el análisis de la imagen
+    const transport = new BaseTransport('prueba');
+    const replies = [];
+    transport.sendText = async (to, text) => replies.push(text);
+    const webpPath = path.join(os.tmpdir(), `test-documents-${Date.now()}.jpg`);
+    fs.writeFileSync(webpPath, 'webp');
+    await processIncomingMessage(transport, {
+      id: 'test-documents-webp',
+      from: '51900000603',
+      chatId: '51900000603',
+      body: '',
+      type: 'image',
+      mediaUrl: webpPath,
+      mimetype: 'image/webp',
+      timestamp: Date.now()
+    });
+    assert(imageCalls[imageCalls.length - 1].mimetype === 'image/webp' && replies.length > 0, 'El procesador de mensajes pasa el tipo MIME del transporte');
+
+    logger.info('Prueba de imágenes y documentos completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de imágenes y documentos:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testDocuments();
+}
+
+module.exports = { testDocuments };
@@ -0,0 +1,186 @@
+/**
+ * Test para validar el seguimiento automático de prospectos inactivos
+ *
+ * Este script prueba:
+ * 1. Envío del primer seguimiento tras el tiempo de inactividad
+ * 2. Respeto del horario laboral del prospecto
+ * 3. Avance de la secuencia y reinicio cuando el prospecto responde
+ * 4. Recorrido de todos los prospectos del estado y cambios hechos durante el envío
+ * 5. Plantillas aprobadas por la Cloud API fuera de la ventana de 24 horas
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { getProspectState, updateProspectState, findProspect, handleWhatsAppMessage, forEachProspect } = require('../src/whatsappHandler');
+const { setActiveTransport } = require('../src/whatsapp/transports');
+const { runFollowUps } = require('../src/services/followUpService');
+const { reloadApprovedTemplates } = require('../src/services/whatsappTemplateService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51966666666';
+const TIMEZONE = 'America/Lima';
+
+// Transporte simulado que guarda los mensajes enviados
+const sentMessages = [];
+const fakeTransport = {
+  name: 'test',
+  isReady: true,
+  sendText: async (to, text) => {
+    sentMessages.push({ to, text });
+    return { success: true };
+  }
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testFollowUp() {
+  try {
+    logger.info('Iniciando prueba del seguimiento automático');
+    setActiveTransport(fakeTransport);
+
+    // Lunes a las 10:00 en Lima
+    const monday = moment.tz('2026-10-19 10:00', TIMEZONE).toDate();
+    const prospect = await getProspectState(TEST_PHONE);
+    await updateProspectState(TEST_PHONE, {
+      ...prospect,
+      name: 'Roberto',
+      timezone: TIMEZONE,
+      conversationState: 'invitation',
+      lastProspectMessageAt: moment(monday).subtract(5, 'hours').toDate()
+    });
+
+    // 1. Primer seguimiento
+    let summary = await runFollowUps(monday);
+    assert(summary.sent === 1 && sentMessages[0].to === TEST_PHONE, 'Se envía el primer seguimiento tras 4 horas de inactividad');
+    assert(sentMessages[0].text.startsWith('Hola Roberto, ¿pudiste ver el horario'), 'El seguimiento usa el texto del estado y el nombre del prospecto');
+    logger.info(`Mensaje enviado: "${sentMessages[0].text}"`);
+
+    summary = await runFollowUps(moment(monday).add(1, 'hour').toDate());
+    assert(summary.sent === 0, 'No se repite el seguimiento antes del siguiente intervalo');
+
+    // 2. Horario laboral: sábado por la noche no se envía
+    const saturdayNight = moment.tz('2026-10-24 22:00', TIMEZONE).toDate();
+    summary = await runFollowUps(saturdayNight);
+    assert(summary.sent === 0, 'No se envían seguimientos fuera del horario laboral');
+
+    // 3. Segundo seguimiento y reinicio
+    summary = await runFollowUps(moment(monday).add(1, 'day').toDate());
+    let updated = await findProspect(TEST_PHONE);
+    assert(summary.sent === 1 && updated.followUpCount === 2, 'Se envía el segundo seguimiento de la secuencia');
+
+    await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Perdón, estuve ocupado', type: 'text' });
+    updated = await findProspect(TEST_PHONE);
+    assert(updated.followUpCount === 0, 'La secuencia se reinicia cuando el prospecto responde');
+
+    // 4. Todos los prospectos del estado, aunque sean más que un lote
+    const phones = ['51966666601', '51966666602', '51966666603'];
+    for (const phone of phones) {
+      await updateProspectState(phone, { ...(await getProspectState(phone)), timezone: TIMEZONE, conversationState: 'checkout' });
+    }
+    const visited = [];
+    await forEachProspect({ state: 'checkout' }, async item => visited.push(item.phoneNumber), { batchSize: 2 });
+    assert(phones.every(phone => visited.includes(phone)) && visited.length === new Set(visited).size, 'Se recorren todos los prospectos del estado, de a lotes y sin repetir');
+
+    // Un cambio que llega mientras se envía el seguimiento no se pierde
+    const RACE_PHONE = '51966666604';
+    await updateProspectState(RACE_PHONE, {
+      ...(await getProspectState(RACE_PHONE)),
+      timezone: TIMEZONE,
+      conversationState: 'invitation',
+      optedOut: false,
+      lastProspectMessageAt: moment(monday).subtract(5, 'hours').toDate()
+    });
+    setActiveTransport({
+      ...fakeTransport,
+      sendText: async (to, text) => {
+        await updateProspectState(to, { optedOut: true });
+        return fakeTransport.sendText(to, text);
+      }
+    });
+    await runFollowUps(monday);
+    setActiveTransport(fakeTransport);
+    updated = await findProspect(RACE_PHONE);
+    assert(updated.followUpCount === 1 && updated.optedOut === true, 'El seguimiento solo guarda sus campos y no pisa lo que cambió durante el envío');
+
+    // 5. Cloud API: plantilla aprobada fuera de la ventana de 24 horas
+    const templatesFile = path.join(os.tmpdir(), `test-whatsapp-templates-${process.pid}.json`);
+    fs.writeFileSync(templatesFile, JSON.stringify({
+      'followUp.invitation': { name: 'seguimiento_invitacion', language: { es: 'es', en: 'en_US' }, parameters: ['name'] }
+    }));
+    process.env.WHATSAPP_TEMPLATES_FILE = templatesFile;
+    reloadApprovedTemplates();
+
+    const templateMessages = [];
+    setActiveTransport({
+      ...fakeTransport,
+      requiresApprovedTemplates: true,
+      sendTemplate: async (to, template) => {
+        templateMessages.push({ to, template });
+        return { success: true };
+      }
+    });
+
+    const tuesday = moment.tz('2026-10-20 11:00', TIMEZONE);
+    const OUTSIDE_PHONE = '51966666605';
+    const INSIDE_PHONE = '51966666606';
+    const NO_TEMPLATE_PHONE = '51966666607';
+    const cloudProspects = [
+      [OUTSIDE_PHONE, 'invitation', 30],
+      [INSIDE_PHONE, 'invitation', 5],
+      [NO_TEMPLATE_PHONE, 'checkout', 30]
+    ];
+    for (const [phone, conversationState, hoursAgo] of cloudProspects) {
+      await updateProspectState(phone, {
+        ...(await getProspectState(phone)),
+        name: 'Ana',
+        timezone: TIMEZONE,
+        conversationState,
+        lastProspectMessageAt: tuesday.clone().subtract(hoursAgo, 'hours').toDate()
+      });
+    }
+
+    const sentBefore = sentMessages.length;
+    await runFollowUps(tuesday.toDate());
+    setActiveTransport(fakeTransport);
+    delete process.env.WHATSAPP_TEMPLATES_FILE;
+    fs.rmSync(templatesFile, { force: true });
+    reloadApprovedTemplates();
+
+    const outsideMessage = templateMessages.find(item => item.to === OUTSIDE_PHONE);
+    assert(outsideMessage && outsideMessage.template.name === 'seguimiento_invitacion' &&
+           outsideMessage.template.language === 'es' && outsideMessage.template.parameters[0] === 'Ana',
+    'Fuera de la ventana de 24 horas se envía la plantilla aprobada con el nombre del prospecto');
+    assert(!sentMessages.slice(sentBefore).some(item => item.to === OUTSIDE_PHONE), 'Fuera de la ventana no se envía texto libre');
+    assert(sentMessages.slice(sentBefore).some(item => item.to === INSIDE_PHONE) && !templateMessages.some(item => item.to === INSIDE_PHONE),
+      'Dentro de la ventana se sigue enviando el texto libre');
+
+    updated = await findProspect(NO_TEMPLATE_PHONE);
+    assert(!templateMessages.some(item => item.to === NO_TEMPLATE_PHONE) && !sentMessages.slice(sentBefore).some(item => item.to === NO_TEMPLATE_PHONE),
+      'Sin plantilla aprobada no se envía nada');
+    assert(updated.followUpCount === 1 && updated.followUpSkippedReason === 'no_approved_template', 'El paso sin plantilla queda omitido con el motivo');
+
+    logger.info('Prueba del seguimiento automático completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba del seguimiento automático:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testFollowUp();
+}
+
+module.exports = { testFollowUp };
@@ -0,0 +1,150 @@
+/**
+ * Test para validar la analítica del embudo de ventas
+ *
+ * Este script prueba:
+ * 1. Registro de los cambios de estado de una conversación, también al reiniciar una conversación cerrada
+ * 2. Embudo por etapa, tasas de conversión, abandono y mediana hasta la demo
+ * 3. Agrupación por campaña, tipo de prospecto, país y semana
+ * 4. Reporte por período, opciones inválidas y exportación a CSV
+ * 5. Eliminación de los eventos junto con los datos del prospecto
+ */
+
+require('dotenv').config();
+const moment = require('moment-timezone');
+const { handleWhatsAppMessage, eraseProspect } = require('../src/whatsappHandler');
+const analyticsService = require('../src/services/analyticsService');
+const campaignFlow = require('../src/flows/campaignFlow');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51977777701';
+const CLOSED_PHONE = '51977777702';
+const TIMEZONE = 'America/Lima';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+/**
+ * Evento de cambio de estado con fecha fija
+ */
+function event(phoneNumber, from, to, date) {
+  return { phoneNumber, from, to, reason: 'message', timestamp: date.toDate() };
+}
+
+// Función principal de prueba
+async function testFunnelAnalytics() {
+  try {
+    logger.info('Iniciando prueba de analítica del embudo');
+
+    // 1. Eventos de una conversación real
+    await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Hola', type: 'text', id: 'test-funnel-1' });
+    await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Soy Daniel Soto de Transportes Sol', type: 'text', id: 'test-funnel-2' });
+
+    const recorded = await analyticsService.getTransitionEvents({ phoneNumber: TEST_PHONE });
+    assert(recorded.length === 2 && recorded[0].from === null && recorded[0].to === 'greeting', 'El primer mensaje registra el ingreso al saludo');
+    assert(recorded[1].from === 'greeting' && recorded[1].to === 'initial_qualification' && recorded[1].country === 'PE', 'Cada cambio de estado queda con el país del prospecto');
+
+    // Una conversación cerrada vuelve al saludo sin perder los datos del prospecto
+    const { newState: restarted } = await campaignFlow.processMessage('Hola de nuevo', {
+      phoneNumber: CLOSED_PHONE,
+      name: 'Rosa Díaz',
+      company: 'Transportes Andes',
+      country: 'PE',
+      campaign: 'mineria',
+      crmId: 'crm-77',
+      timezone: TIMEZONE,
+      assignedSeller: { id: 'seller-1', name: 'Ana' },
+      qualificationStep: 3,
+      invitationStep: 2,
+      conversationState: 'completed'
+    });
+    assert(restarted.conversationState === 'greeting' && restarted.phoneNumber === CLOSED_PHONE && restarted.campaign === 'mineria' && restarted.crmId === 'crm-77' && restarted.assignedSeller.id === 'seller-1' && restarted.timezone === TIMEZONE, 'Al reiniciar una conversación cerrada se conservan teléfono, campaña, CRM, vendedor y zona horaria');
+    assert(!restarted.qualificationStep && !restarted.invitationStep, 'Al reiniciar se descartan los pasos de la conversación anterior');
+    const [restartEvent] = await analyticsService.getTransitionEvents({ phoneNumber: CLOSED_PHONE });
+    assert(restartEvent && restartEvent.from === 'completed' && restartEvent.to === 'greeting' && restartEvent.campaign === 'mineria', 'El reinicio queda registrado bajo la campaña del prospecto');
+    await analyticsService.deleteTransitionEvents(CLOSED_PHONE);
+
+    // 2. Embudo sobre prospectos conocidos (lunes 12 y 19 de octubre de 2026 en Lima)
+    const week1 = moment.tz('2026-10-12 09:00', TIMEZONE);
+    const week2 = moment.tz('2026-10-19 09:00', TIMEZONE);
+    const prospects = [
+      { phoneNumber: 'A', createdAt: week1.toDate(), campaign: 'mineria', prospectType: 'ENCARGADO', country: 'PE', conversationState: 'appointment_confirmed' },
+      { phoneNumber: 'B', createdAt: week1.toDate(), campaign: 'mineria', prospectType: 'INFLUENCER', country: 'PE', conversationState: 'invitation' },
+      { phoneNumber: 'C', createdAt: week2.toDate(), campaignType: 'outbound', prospectType: 'CURIOSO', country: 'BR', conversationState: 'initial_qualification' },
+      { phoneNumber: 'D', createdAt: week2.toDate(), country: 'PE', conversationState: 'greeting' },
+      // Prospecto anterior a los eventos: su cita cuenta como demo
+      { phoneNumber: 'E', createdAt: week2.toDate(), campaign: 'mineria', prospectType: 'ENCARGADO', country: 'CL', conversationState: 'nurturing', appointmentDetails: { date: '2026-10-21' } }
+    ];
+    const events = [
+      event('A', null, 'greeting', week1),
+      event('A', 'greeting', 'initial_qualification', week1.clone().add(10, 'minutes')),
+      event('A', 'initial_qualification', 'invitation', week1.clone().add(1, 'hour')),
+      event('A', 'invitation', 'appointment_confirmed', week1.clone().add(48, 'hours')),
+      event('B', 'initial_qualification', 'invitation', week1.clone().add(2, 'hours')),
+      event('C', 'greeting', 'initial_qualification', week2.clone().add(5, 'minutes'))
+    ];
+
+    const funnel = analyticsService.buildFunnel(prospects, events);
+    const { totals } = funnel;
+    assert(totals.leads === 5 && totals.qualification === 4 && totals.qualified === 3 && totals.invitation === 3 && totals.demo === 2, 'Se cuenta cuántos prospectos llegan a cada etapa');
+    assert(totals.qualificationRate === 80 && totals.qualifiedRate === 75 && totals.demoRate === 66.7 && totals.overallRate === 40, 'Cada tasa es sobre la etapa anterior y la total sobre los prospectos');
+    assert(totals.medianHoursToBooking === 48, 'Se calcula la mediana de horas hasta agendar la demo');
+    assert(funnel.dropOff.invitation === 1 && funnel.dropOff.initial_qualification === 1 && funnel.dropOff.greeting === 1 && !funnel.dropOff.appointment_confirmed, 'Se muestra dónde están los que no agendaron');
+
+    // 3. Agrupaciones
+    const byCampaign = funnel.breakdowns.campaign;
+    assert(byCampaign[0].key === 'mineria' && byCampaign[0].leads === 3 && byCampaign[0].demo === 2, 'Embudo por campaña');
+    assert(byCampaign.some(group => group.key === 'outbound') && byCampaign.some(group => group.key === 'sin_campana'), 'Sin campaña se usa el tipo de campaña o "sin_campana"');
+    assert(funnel.breakdowns.prospectType.find(group => group.key === 'ENCARGADO').demo === 2, 'Embudo por tipo de prospecto');
+    assert(funnel.breakdowns.country.find(group => group.key === 'PE').leads === 3, 'Embudo por país');
+    assert(funnel.breakdowns.week.map(group => group.key).sort().join(',') === '2026-W42,2026-W43', 'Embudo por semana de ingreso');
+    assert(Object.keys(analyticsService.buildFunnel(prospects, events, { dimensions: ['week'] }).breakdowns).join() === 'week', 'Se puede pedir una sola agrupación');
+
+    // 4. Reporte por período y CSV
+    const today = moment().tz(TIMEZONE).format('YYYY-MM-DD');
+    let report = await analyticsService.getFunnelReport(analyticsService.parseReportOptions({ from: today, to: today, by: 'campaign' }));
+    assert(report.totals.leads >= 1 && report.totals.qualification >= 1 && Object.keys(report.breakdowns).join() === 'campaign', 'El reporte incluye a los prospectos que ingresaron en el período');
+    report = await analyticsService.getFunnelReport(analyticsService.parseReportOptions({ to: '2020-01-01' }));
+    assert(report.totals.leads === 0 && report.totals.overallRate === 0, 'Un período sin prospectos da un embudo vacío');
+    const beforeFirst = await analyticsService.getTransitionEvents({ phoneNumber: TEST_PHONE, until: recorded[0].timestamp });
+    const untilNow = await analyticsService.getTransitionEvents({ phoneNumber: TEST_PHONE, until: new Date(Date.now() + 1000) });
+    assert(beforeFirst.length === 0 && untilNow.length === 2, 'Los eventos se leen solo hasta el final del período');
+
+    let rejected = 0;
+    for (const options of [{ from: 'ayer' }, { by: 'ciudad' }]) {
+      try {
+        analyticsService.parseReportOptions(options);
+      } catch (error) {
+        rejected += 1;
+      }
+    }
+    assert(rejected === 2, 'Se rechazan fechas y agrupaciones inválidas');
+
+    const csv = analyticsService.reportToCsv(funnel).trim().split('\n');
+    assert(csv[0] === 'dimension,key,leads,qualification,qualificationRate,qualified,qualifiedRate,invitation,invitationRate,demo,demoRate,overallRate,medianHoursToBooking', 'El CSV tiene una columna por etapa y su tasa');
+    assert(csv[1] === 'total,total,5,4,80,3,75,3,100,2,66.7,40,48', 'La primera fila es el total');
+    assert(csv.length === 1 + 1 + 3 + 4 + 3 + 2, 'Hay una fila por cada grupo');
+
+    // 5. Eliminación de datos
+    const summary = await eraseProspect(TEST_PHONE, { source: 'admin' });
+    assert(summary.events === 2 && (await analyticsService.getTransitionEvents({ phoneNumber: TEST_PHONE })).length === 0, 'La eliminación de datos borra los eventos del prospecto');
+
+    logger.info('Prueba de analítica del embudo completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de analítica del embudo:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testFunnelAnalytics();
+}
+
+module.exports = { testFunnelAnalytics };
@@ -0,0 +1,103 @@
+/**
+ * Test para validar el modo de atención humana (handoff)
+ *
+ * Este script prueba:
+ * 0. Qué mensajes cuentan como pedido de atención humana y cuáles no
+ * 1. El prospecto pide hablar con una persona y el bot se pausa
+ * 2. El vendedor responde a mano y el bot sigue en pausa
+ * 3. El vendedor reactiva el bot con el comando, con los cambios de estado registrados en el embudo
+ * 4. Reanudación automática tras el periodo de inactividad
+ */
+
+require('dotenv').config();
+const { handleWhatsAppMessage, handleOwnerMessage, findProspect, updateProspectState } = require('../src/whatsappHandler');
+const handoffService = require('../src/services/handoffService');
+const { getTransitionEvents } = require('../src/services/analyticsService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51988888888';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testHandoff() {
+  try {
+    logger.info('Iniciando prueba del modo de atención humana');
+
+    // 0. Detección de pedidos de atención humana
+    const requests = ['Quiero un asesor', 'Necesito un humano', 'Prefiero un agente real', 'Necesito hablar con una persona', 'Quero um atendente', 'I need a human'];
+    assert(requests.every(message => handoffService.isHumanRequest(message)), 'Se detectan los pedidos de un asesor, un humano o una persona real');
+    const notRequests = [
+      'Necesito una persona que controle la fatiga de mis choferes',
+      'Quiero una personalización del reporte',
+      'Necesito un asesoramiento sobre la instalación',
+      'Preciso de uma pessoa para monitorar a frota',
+      'I need a person to monitor driver fatigue'
+    ];
+    assert(!notRequests.some(message => handoffService.isHumanRequest(message)), 'No se pasa a atención humana por mencionar una persona o palabras parecidas');
+
+    // Iniciar la conversación
+    await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Hola, soy Roberto de Logifit Test', type: 'text' });
+    let prospect = await findProspect(TEST_PHONE);
+    const stateBefore = prospect.conversationState;
+    logger.info(`Estado antes del handoff: ${stateBefore}`);
+
+    // 1. Solicitud de atención humana
+    let result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Prefiero hablar con una persona, por favor', type: 'text' });
+    prospect = await findProspect(TEST_PHONE);
+    logger.info(`Respuesta del bot: "${result.text}"`);
+    assert(prospect.botPaused && prospect.conversationState === handoffService.HANDOFF_STATE, 'El bot se pausa cuando el prospecto pide una persona');
+
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: '¿Sigues ahí?', type: 'text' });
+    assert(result.text === null && result.paused, 'El bot no responde durante el handoff');
+
+    // 2. Respuesta manual del vendedor
+    result = await handleOwnerMessage({ from: TEST_PHONE, body: 'Hola Roberto, te escribo yo', type: 'text' });
+    assert(result.action === 'activity', 'La respuesta manual del vendedor extiende la pausa');
+
+    // 3. Comando para reactivar el bot
+    result = await handleOwnerMessage({ from: TEST_PHONE, body: '#bot', type: 'text' });
+    prospect = await findProspect(TEST_PHONE);
+    assert(result.action === 'resumed' && !prospect.botPaused, 'El comando del vendedor reactiva el bot');
+    assert(prospect.conversationState === stateBefore, 'Se retoma el estado previo al handoff');
+
+    const handoffEvents = (await getTransitionEvents({ phoneNumber: TEST_PHONE })).filter(event => ['handoff', 'resume'].includes(event.reason));
+    assert(handoffEvents.length === 2 &&
+           handoffEvents[0].from === stateBefore && handoffEvents[0].to === handoffService.HANDOFF_STATE &&
+           handoffEvents[1].from === handoffService.HANDOFF_STATE && handoffEvents[1].to === stateBefore,
+    'La pausa y la reanudación pasan por la máquina de estados y quedan en el embudo');
+
+    // 4. Pausa por respuesta manual y reanudación por inactividad
+    result = await handleOwnerMessage({ from: TEST_PHONE, body: 'Te llamo en un rato', type: 'text' });
+    assert(result.action === 'paused', 'Una respuesta manual del vendedor pausa el bot');
+
+    prospect = await findProspect(TEST_PHONE);
+    await updateProspectState(TEST_PHONE, {
+      ...prospect,
+      lastHumanActivityAt: new Date(Date.now() - 24 * 60 * 60 * 1000)
+    });
+    result = await handleWhatsAppMessage({ from: TEST_PHONE, body: 'Hola de nuevo', type: 'text' });
+    prospect = await findProspect(TEST_PHONE);
+    assert(!prospect.botPaused && result.text, 'El bot retoma la conversación tras la inactividad del vendedor');
+
+    logger.info('Prueba del modo de atención humana completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba del modo de atención humana:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testHandoff();
+}
+
+module.exports = { testHandoff };
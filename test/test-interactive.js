@@ -0,0 +1,132 @@
+/**
+ * Test para validar los botones de respuesta rápida y las listas de opciones
+ *
+ * Este script prueba:
+ * 1. Límites de WhatsApp, texto alternativo y reconocimiento de la opción elegida
+ * 2. Botones de la invitación a la demo y lista de horarios en el flujo de invitación
+ * 3. Opción elegida que llega al flujo sin pasar por el análisis del mensaje
+ * 4. Envío por la Cloud API (nativo o como texto) y lectura de las respuestas
+ */
+
+require('dotenv').config();
+
+const {
+  LIMITS,
+  createButtons,
+  createList,
+  renderInteractiveText,
+  toPendingReply,
+  resolveReply
+} = require('../src/services/interactiveService');
+const invitationFlow = require('../src/flows/invitationFlow');
+const { parseCloudMessage, buildInteractivePayload } = require('../src/whatsapp/transports/cloudApiTransport');
+const { BaseTransport } = require('../src/whatsapp/transports/baseTransport');
+const { deliverResponse } = require('../src/whatsapp/messageProcessor');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testInteractive() {
+  try {
+    logger.info('Iniciando prueba de botones y listas');
+
+    // 1. Límites, texto alternativo y opción elegida
+    const buttons = createButtons([
+      { id: 'a', title: 'Primera opción' },
+      { id: 'b', title: 'Una opción con un título demasiado largo' },
+      { id: 'c', title: 'Tercera' },
+      { id: 'd', title: 'Cuarta' }
+    ], { language: 'es' });
+    assert(buttons.options.length === LIMITS.buttons, 'No se envían más de 3 botones');
+    assert(buttons.options[1].title.length === LIMITS.buttonTitle && buttons.options[1].title.endsWith('…'), 'Los títulos largos se recortan');
+
+    const list = createList([{ id: 'x', title: 'Lunes 10:00', description: 'el lunes a las 10:00' }], { language: 'en' }, { button: 'See times', section: 'Available times' });
+    assert(list.type === 'list' && list.button === 'See times' && list.options[0].description === 'el lunes a las 10:00', 'La lista guarda el botón, la sección y las descripciones');
+
+    const text = renderInteractiveText('¿Agendamos?', buttons);
+    assert(/¿Agendamos\?\n\n1\. Primera opción\n2\. /.test(text) && /Responde con el número/.test(text), 'Sin botones las opciones se envían numeradas');
+    assert(renderInteractiveText('Hola', null) === 'Hola', 'Un mensaje sin opciones no cambia');
+
+    const pendingReply = toPendingReply(buttons);
+    assert(resolveReply('Tercera', pendingReply, 'c') === 'c', 'Se reconoce el id enviado por el canal');
+    assert(resolveReply('2', pendingReply) === 'b' && resolveReply(' 1. ', pendingReply) === 'a', 'Se reconoce el número de la opción');
+    assert(resolveReply('tercera', pendingReply) === 'c', 'Se reconoce el título escrito tal cual');
+    assert(resolveReply('5', pendingReply) === null && resolveReply('Sí, la primera', pendingReply) === null, 'Otro texto no se toma como una opción');
+    assert(resolveReply('1', null) === null && resolveReply('1', pendingReply, 'zz') === 'a', 'Sin opciones pendientes no hay opción elegida y un id desconocido se ignora');
+
+    // 2. Botones y lista de horarios en el flujo de invitación
+    const evaluation = { prospectValue: 'ALTO', invitationPriority: 'ALTA' };
+    const prospect = { phoneNumber: '51900000501', name: 'Marta', company: 'Cargas del Pacífico', language: 'es', timezone: 'America/Lima' };
+
+    let result = await invitationFlow.handleInitialInvitation('Hola', prospect, evaluation);
+    assert(result.interactive.options.map(option => option.id).join(',') === 'demo_yes,demo_no,more_info', 'La invitación a la demo ofrece Sí / No / Más información');
+
+    result = await invitationFlow.offerAvailableTimeSlot(prospect);
+    const offeredSlots = result.newState.offeredSlots;
+    const slotIds = result.interactive.options.map(option => option.id);
+    assert(result.interactive.type === 'list' && offeredSlots.length === 3, 'Se ofrecen tres horarios en una lista');
+    assert(slotIds[0] === `slot:${offeredSlots[0].dateTime}` && slotIds[3] === 'slot:other', 'Cada fila es un horario y la última permite proponer otro');
+    assert(result.interactive.options.every(option => option.title.length <= LIMITS.rowTitle), 'Los títulos de los horarios entran en una fila de la lista');
+    assert(new Set(offeredSlots.map(slot => slot.date)).size === 3, 'Los horarios son de días distintos');
+
+    // 3. Opción elegida sin análisis del mensaje
+    let state = { ...result.newState, selectedReply: slotIds[1] };
+    result = await invitationFlow.handleScheduleConfirmation('Mié 10:00', state);
+    assert(result.newState.invitationStep === 'email_collection' && result.newState.selectedSlot.dateTime === offeredSlots[1].dateTime, 'El horario elegido de la lista se agenda');
+
+    result = await invitationFlow.handleScheduleConfirmation('Otro horario', { ...state, selectedReply: 'slot:other' });
+    assert(/qué día y horario/.test(result.response) && result.newState.invitationStep === 'schedule_confirmation', 'Elegir "Otro horario" pide el horario preferido');
+
+    result = await invitationFlow.handleRejectedSchedule(state);
+    const alternativeDates = result.newState.alternativeSlots.map(slot => slot.dateTime);
+    assert(result.interactive.options.length === alternativeDates.length + 1 && !alternativeDates.some(dateTime => offeredSlots.some(slot => slot.dateTime === dateTime)), 'Al rechazar se ofrecen horarios que no se habían propuesto');
+
+    state = { ...prospect, invitationStep: 'demo_scheduling', selectedReply: 'more_info' };
+    result = await invitationFlow.handleDemoScheduling('Más información', state, evaluation);
+    assert(result.newState.infoRequested && result.newState.invitationStep === 'contact_info', 'El botón "Más información" envía la información');
+
+    result = await invitationFlow.handleDemoScheduling('Ahora no', { ...state, selectedReply: 'demo_no' }, evaluation);
+    assert(result.newState.demoRejected, 'El botón "Ahora no" rechaza la demo');
+
+    result = await invitationFlow.handleDemoScheduling('Déjame ver', { ...state, selectedReply: null }, evaluation);
+    assert(result.interactive && result.newState.invitationStep === 'demo_scheduling', 'Si la respuesta no es clara se vuelven a ofrecer los botones');
+
+    // 4. Cloud API y texto alternativo
+    let payload = buildInteractivePayload('¿Agendamos?', buttons);
+    assert(payload.type === 'button' && payload.action.buttons[2].reply.id === 'c', 'Los botones se envían como mensaje interactivo de la Cloud API');
+    payload = buildInteractivePayload('Elige un horario', list);
+    assert(payload.type === 'list' && payload.action.sections[0].rows[0].id === 'x', 'La lista se envía como mensaje interactivo de la Cloud API');
+    assert(buildInteractivePayload('x'.repeat(LIMITS.body + 1), buttons) === null, 'Un texto demasiado largo se envía como texto');
+
+    let parsed = parseCloudMessage({ type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: 'slot:other', title: 'Otro horario' } } });
+    assert(parsed.body === 'Otro horario' && parsed.replyId === 'slot:other', 'Se lee el id de la fila elegida');
+    parsed = parseCloudMessage({ type: 'button', button: { text: 'Sí', payload: 'demo_yes' } });
+    assert(parsed.replyId === 'demo_yes', 'Se lee el id del botón de una plantilla');
+
+    const sent = [];
+    const transport = new BaseTransport('prueba');
+    transport.sendText = async (to, message) => sent.push(message);
+    await deliverResponse(transport, { id: 'm1', from: '51900000501', chatId: '51900000501' }, { text: '¿Agendamos?', interactive: buttons });
+    assert(sent.length === 1 && /1\. Primera opción/.test(sent[0]), 'Un transporte sin mensajes interactivos envía las opciones numeradas');
+
+    logger.info('Prueba de botones y listas completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de botones y listas:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testInteractive();
+}
+
+module.exports = { testInteractive };
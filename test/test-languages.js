@@ -0,0 +1,148 @@
+/**
+ * Test para validar las conversaciones en español, portugués e inglés
+ *
+ * Este script prueba:
+ * 1. Detección del idioma por mensaje y por país, y cambio de idioma
+ * 2. Textos por idioma con respaldo en español y palabras clave (palabras completas, sin frases negadas)
+ * 3. Saludo, cuestionario y fechas de citas en el idioma del prospecto
+ * 4. Seguimientos, recordatorios y atención humana localizados
+ */
+
+require('dotenv').config();
+
+const {
+  detectLanguage,
+  resolveLanguage,
+  getProspectLanguage,
+  t,
+  localize,
+  includesKeyword,
+  getLanguageInstruction
+} = require('../src/services/languageService');
+const greetingFlow = require('../src/flows/greetingFlow');
+const invitationFlow = require('../src/flows/invitationFlow');
+const appointmentFlow = require('../src/flows/appointmentFlow');
+const { getQuestionnaire, answerQuestion, renderText } = require('../src/services/questionnaireService');
+const { getDueFollowUp } = require('../src/services/followUpService');
+const { buildReminderMessage } = require('../src/services/reminderService');
+const { isHumanRequest, getHandoffMessage } = require('../src/services/handoffService');
+const { formatAppointmentDate } = require('../src/utils/appointmentUtils');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testLanguages() {
+  try {
+    logger.info('Iniciando prueba de conversaciones en varios idiomas');
+
+    // 1. Detección de idioma
+    assert(detectLanguage('Olá, meu nome é Carlos e trabalho na Transportes Rápidos').language === 'pt', 'Detecta un mensaje en portugués');
+    assert(detectLanguage('Hi, my name is John and I work at Acme Logistics').language === 'en', 'Detecta un mensaje en inglés');
+    assert(detectLanguage('Hola, soy Juan de Transportes del Sur').language === 'es', 'Detecta un mensaje en español');
+    assert(detectLanguage('30').language === null, 'Un mensaje sin palabras propias no es concluyente');
+
+    let resolved = resolveLanguage({ country: 'BR' }, '25');
+    assert(resolved.language === 'pt' && resolved.languageSource === 'country', 'Sin texto concluyente se usa el idioma del país');
+    resolved = resolveLanguage({ country: 'PE' }, 'Hello, I would like more information');
+    assert(resolved.language === 'en' && resolved.languageSource === 'message', 'El idioma del mensaje tiene prioridad sobre el del país');
+    resolved = resolveLanguage({ language: 'es', languageSource: 'message' }, 'ok');
+    assert(resolved.language === 'es', 'Un mensaje corto no cambia el idioma del prospecto');
+    resolved = resolveLanguage({ language: 'es', languageSource: 'message' }, 'Sorry, can you write to me in English? Thanks');
+    assert(resolved.language === 'en', 'Un mensaje claramente en otro idioma cambia el idioma');
+    resolved = resolveLanguage({ language: 'pt', languageSource: 'manual' }, 'Hola, quisiera hablar en español');
+    assert(resolved.language === 'pt' && resolved.languageSource === 'manual', 'Un idioma fijado manualmente no cambia');
+    assert(getProspectLanguage({ country: 'US' }) === 'en' && getProspectLanguage({}) === 'es', 'Sin idioma detectado se usa el del país o el predeterminado');
+
+    // 2. Textos y palabras clave
+    assert(t('greeting.askCompany', 'pt', { name: 'Ana' }).startsWith('Obrigado, Ana.'), 'Los textos se traducen y reemplazan sus valores');
+    assert(t('checkout.reasons.LOW_URGENCY', { language: 'en' }).startsWith('I understand'), 'Los textos aceptan el estado del prospecto');
+    assert(t('clave.inexistente', 'en') === 'clave.inexistente', 'Una clave sin texto se devuelve tal cual');
+    assert(localize({ es: 'hola', en: 'hello' }, 'pt') === 'hola' && localize('fijo', 'en') === 'fijo', 'Un valor sin traducción usa el español');
+    assert(includesKeyword('Yes, sounds good', 'keywords.positive', 'en') && !includesKeyword('Yes, sounds good', 'keywords.positive', 'pt'), 'Las palabras clave son las del idioma del prospecto');
+    assert(!includesKeyword('Can I book a call now?', 'keywords.positive', 'en') && !includesKeyword('I know, can we talk now?', 'keywords.negative', 'en'), 'Las palabras clave se buscan como palabras completas ("ok" en "book", "no" en "know" y "now")');
+    assert(!includesKeyword('I am not interested', 'keywords.positive', 'en') && includesKeyword('I am not interested', 'keywords.negative', 'en'), 'Una respuesta negada en inglés no es positiva');
+    assert(!includesKeyword('Não tenho interesse', 'keywords.positive', 'pt') && includesKeyword('Não tenho interesse', 'keywords.negative', 'pt'), 'Una respuesta negada en portugués no es positiva');
+    assert(!includesKeyword('La verdad no me interesa', 'keywords.positive', 'es') && includesKeyword('La verdad no me interesa', 'keywords.negative', 'es'), 'Una respuesta negada en español no es positiva');
+    assert(includesKeyword('No problem, I am interested', 'keywords.positive', 'en') && includesKeyword('Sí, me interesa', 'keywords.positive', 'es'), 'Una negación de otra frase no anula la respuesta positiva');
+    let invitation = await invitationFlow.handleDemoScheduling('I am not interested, ok?', { language: 'en', conversationState: 'invitation' }, {});
+    assert(invitation.newState.demoRejected && !invitation.newState.demoAccepted, 'Una respuesta negada no acepta la demo');
+    invitation = await invitationFlow.handleDemoScheduling('Não tenho interesse', { language: 'pt', conversationState: 'invitation' }, {});
+    assert(invitation.newState.demoRejected && !invitation.newState.demoAccepted, 'Una respuesta negada en portugués no acepta la demo');
+    assert(/portugués/.test(getLanguageInstruction('pt')), 'OpenAI recibe la instrucción de responder en el idioma del prospecto');
+
+    // 3. Saludo, cuestionario y fechas
+    let analysis = greetingFlow.analyzeMessage('Meu nome é Ana Souza e trabalho na LogBras', 'pt');
+    assert(analysis.name === 'Ana Souza' && analysis.company === 'LogBras', 'El saludo extrae nombre y empresa en portugués');
+    analysis = greetingFlow.analyzeMessage("I'm an owner-operator, my name is Mike", 'en');
+    assert(analysis.isIndependent && analysis.company === 'Independiente', 'El saludo reconoce a un independiente en inglés');
+    assert(greetingFlow.getWelcomeMessage({ language: 'en' }).text.startsWith('Hi!'), 'La bienvenida usa el idioma del prospecto');
+
+    const questionnaire = await getQuestionnaire('default');
+    const fleetQuestion = questionnaire.questions.find(question => question.id === 'fleet_size');
+    assert(renderText(fleetQuestion.text, { language: 'pt', name: 'Ana' }).startsWith('Olá Ana'), 'Las preguntas del cuestionario se muestran traducidas');
+
+    let result = await answerQuestion(questionnaire, 'fleet_size', 'We have a small fleet', { language: 'en', company: 'Swift Freight' });
+    assert(result.updates.fleetSizeCategory === 'pequeña' && /fatigue monitoring/.test(result.response), 'Las palabras clave del cuestionario se reconocen en inglés');
+    result = await answerQuestion(questionnaire, 'fleet_size', 'Temos uma frota grande', { language: 'pt' });
+    assert(result.updates.fleetSizeCategory === 'grande' && /monitoramento de fadiga/.test(result.response), 'Las palabras clave del cuestionario se reconocen en portugués');
+
+    const start = '2026-10-22T15:00:00Z';
+    assert(formatAppointmentDate(start, 'America/Lima') === 'jueves 22 de octubre a las 10:00', 'La fecha de la cita en español no cambia');
+    assert(formatAppointmentDate(start, 'America/Sao_Paulo', 'pt') === 'quinta-feira, 22 de outubro às 12:00', 'La fecha de la cita se formatea en portugués');
+    assert(formatAppointmentDate(start, 'America/New_York', 'en') === 'Thursday, October 22 at 11:00', 'La fecha de la cita se formatea en inglés');
+
+    assert(appointmentFlow.detectIntent("Sorry, I can't attend", 'en') === 'cancel', 'Se detecta una cancelación en inglés');
+    assert(appointmentFlow.detectIntent('Podemos passar para sexta?', 'pt') === 'reschedule', 'Se detecta una reprogramación en portugués');
+    assert(appointmentFlow.extractPreferences('Can we do Friday at 3 pm?', 'America/New_York', 'en').hour === '15:00', 'Se extrae la hora preferida en inglés');
+
+    // 4. Seguimientos, recordatorios y atención humana
+    const now = new Date('2026-10-20T16:00:00Z');
+    const followUp = getDueFollowUp({
+      conversationState: 'invitation',
+      language: 'pt',
+      name: 'Ana',
+      timezone: 'America/Sao_Paulo',
+      lastProspectMessageAt: new Date(now.getTime() - 5 * 60 * 60 * 1000)
+    }, now);
+    assert(/^Olá Ana, conseguiu ver o horário/.test(followUp), 'El seguimiento se envía en el idioma del prospecto');
+    const followUpWithoutName = getDueFollowUp({
+      conversationState: 'initial_qualification',
+      language: 'en',
+      followUpCount: 1,
+      timezone: 'America/New_York',
+      lastProspectMessageAt: new Date(now.getTime() - 48 * 60 * 60 * 1000)
+    }, now);
+    assert(/^I'm still here to help/.test(followUpWithoutName), 'Sin nombre, el seguimiento empieza directo con el texto');
+
+    const reminder = buildReminderMessage({
+      language: 'en',
+      name: 'Mary',
+      timezone: 'America/New_York',
+      appointmentDetails: { startTime: start, meetLink: 'https://meet.google.com/abc-defg-hij' }
+    }, 24);
+    assert(/^⏰ Hi Mary, this is a reminder that your LogiFit demo is on Thursday, October 22 at 11:00\./.test(reminder) && /Reply:/.test(reminder), 'El recordatorio se envía en el idioma del prospecto');
+
+    assert(isHumanRequest('Posso falar com um atendente?') && isHumanRequest('I want to talk to a real person'), 'Se reconoce el pedido de atención humana en portugués e inglés');
+    assert(/^Sure, Mary\. I'll let/.test(getHandoffMessage({ language: 'en', name: 'Mary' })), 'El aviso de atención humana usa el idioma del prospecto');
+
+    logger.info('Prueba de conversaciones en varios idiomas completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de conversaciones en varios idiomas:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testLanguages();
+}
+
+module.exports = { testLanguages };
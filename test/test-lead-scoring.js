@@ -0,0 +1,129 @@
+/**
+ * Test para validar el puntaje de prospectos (lead scoring)
+ *
+ * Este script prueba:
+ * 1. Puntaje y detalle por factor con los pesos predeterminados
+ * 2. Niveles, requisito de identidad y motivo de checkout
+ * 3. Pesos y umbrales configurables (LEAD_SCORING_FILE)
+ * 4. Uso del mismo puntaje en la invitación, el checkout y Google Sheets
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  scoreLead,
+  applyLeadScore,
+  explainLeadScore,
+  getCheckoutReason,
+  getScoringConfig,
+  reloadScoringConfig
+} = require('../src/services/leadScoringService');
+const invitationFlow = require('../src/flows/invitationFlow');
+const checkoutFlow = require('../src/flows/checkoutFlow');
+const { formatProspectData } = require('../src/services/sheetsService');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Crear un prospecto de prueba
+function createProspect(data = {}) {
+  return {
+    phoneNumber: '51900000101',
+    name: 'Ana Torres',
+    company: 'Transportes Andinos SAC',
+    ...data
+  };
+}
+
+// Función principal de prueba
+async function testLeadScoring() {
+  const configFile = path.join(os.tmpdir(), `lead-scoring-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de puntaje de prospectos');
+
+    // 1. Puntaje y detalle
+    const weights = Object.values(getScoringConfig().factors).reduce((total, factor) => total + factor.weight, 0);
+    assert(weights === 100, 'Los pesos predeterminados suman 100');
+
+    const highValue = createProspect({
+      fleetSize: 45,
+      fleetSizeCategory: 'grande',
+      isDecisionMaker: true,
+      role: 'Gerente de flota',
+      decisionTimeline: 'inmediato',
+      hasSolution: false,
+      questionnaireAnswers: { fleet_size: '45', current_solution: 'no', decision_timeline: 'ya', role_confirmation: 'gerente' },
+      emails: ['ana@andinos.pe']
+    });
+    let result = scoreLead(highValue);
+    assert(result.score === 98 && result.tier === 'ALTO' && result.priority === 'ALTA', 'Un decisor con flota grande y urgencia obtiene puntaje alto');
+    assert(result.breakdown.map(item => item.factor).join(',') === 'fleetSize,decisionPower,urgency,competitor,sector,engagement', 'El detalle incluye todos los factores');
+    assert(explainLeadScore(result).startsWith('Tamaño de flota: 30/30 (grande); Poder de decisión: 25/25 (decisor)'), 'El puntaje se explica factor por factor');
+
+    result = scoreLead(createProspect({ fleetSize: '12' }));
+    assert(result.breakdown[0].value === 'mediana' && result.breakdown[0].points === 18, 'Sin categoría se usa el número de unidades');
+
+    // 2. Niveles, identidad y checkout
+    result = scoreLead({ ...highValue, name: 'Desconocido' });
+    assert(result.score === 98 && result.tier === 'BAJO' && !result.shouldInvite, 'Sin nombre ni empresa el prospecto no se invita');
+    assert(getCheckoutReason({ ...highValue, name: 'Desconocido' }) === 'INSUFFICIENT_INFO', 'Sin identidad el motivo es falta de información');
+
+    const smallFleet = createProspect({ fleetSizeCategory: 'pequeña', role: 'Asistente', isDecisionMaker: false, urgency: 'baja' });
+    result = scoreLead(smallFleet);
+    assert(result.tier === 'BAJO' && getCheckoutReason(smallFleet) === 'SMALL_FLEET', 'Una flota pequeña sin decisor va a checkout por tamaño');
+
+    const influencer = createProspect({ fleetSizeCategory: 'grande', role: 'Supervisor', isDecisionMaker: false, decisionTimeline: 'largo plazo' });
+    assert(getCheckoutReason(influencer) === 'NOT_DECISION_MAKER', 'Una flota grande sin decisor explica el checkout por el rol');
+    assert(getCheckoutReason({ ...influencer, expressedDisinterest: true }) === 'DISINTEREST', 'El desinterés expreso tiene prioridad');
+
+    const scored = applyLeadScore(highValue);
+    assert(scored.leadScore === 98 && scored.leadTier === 'ALTO' && scored.prospectPotential === 'ALTO' && scored.leadScoreBreakdown.length === 6, 'El puntaje se guarda en el estado del prospecto');
+
+    // 3. Configuración
+    const custom = JSON.parse(JSON.stringify(getScoringConfig()));
+    custom.thresholds = { high: 99, medium: 90 };
+    custom.factors.sector.weight = 0;
+    fs.writeFileSync(configFile, JSON.stringify(custom));
+    process.env.LEAD_SCORING_FILE = configFile;
+    reloadScoringConfig();
+
+    result = scoreLead(highValue);
+    assert(result.score === 88 && result.tier === 'BAJO', 'Los pesos y umbrales se leen de LEAD_SCORING_FILE');
+
+    delete process.env.LEAD_SCORING_FILE;
+    reloadScoringConfig();
+
+    // 4. Uso en los flujos y exportación
+    const evaluation = invitationFlow.evaluateProspectValue(highValue);
+    assert(evaluation.shouldInvite && evaluation.prospectValue === 'ALTO' && evaluation.score === 98, 'La invitación usa el puntaje');
+    assert(!invitationFlow.evaluateProspectValue(smallFleet).shouldInvite, 'Un prospecto de bajo puntaje no se invita');
+    assert(checkoutFlow.determineCheckoutReason(smallFleet) === getCheckoutReason(smallFleet), 'El checkout usa el mismo motivo que el puntaje');
+
+    const sheetsData = formatProspectData(highValue);
+    assert(sheetsData.Puntaje_Lead === 98 && sheetsData.Nivel_Lead === 'ALTO' && /Urgencia: 20\/20/.test(sheetsData.Detalle_Puntaje), 'Google Sheets recibe el puntaje y su detalle');
+
+    logger.info('Prueba de puntaje de prospectos completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de puntaje de prospectos:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(configFile, { force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testLeadScoring();
+}
+
+module.exports = { testLeadScoring };
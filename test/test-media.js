@@ -0,0 +1,130 @@
+/**
+ * Test para validar el envío de material (brochures, videos y casos de éxito)
+ *
+ * Este script prueba:
+ * 1. Carga de la biblioteca y elección por etiqueta, sector e idioma
+ * 2. Texto del material con los casos de éxito del sector
+ * 3. Material en las respuestas de invitación, checkout y nutrición (sin repetirlo)
+ * 4. Envío del texto y el material por el transporte
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getMediaLibrary,
+  reloadMediaLibrary,
+  findMedia,
+  buildAttachment,
+  getAttachments
+} = require('../src/services/mediaService');
+const invitationFlow = require('../src/flows/invitationFlow');
+const checkoutFlow = require('../src/flows/checkoutFlow');
+const campaignFlow = require('../src/flows/campaignFlow');
+const { deliverResponse } = require('../src/whatsapp/messageProcessor');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testMedia() {
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+  const libraryFile = path.join(mediaDir, 'media.json');
+
+  try {
+    logger.info('Iniciando prueba de envío de material');
+
+    fs.writeFileSync(path.join(mediaDir, 'brochure.pdf'), '%PDF-1.4');
+    fs.writeFileSync(path.join(mediaDir, 'brochure-en.pdf'), '%PDF-1.4');
+    fs.writeFileSync(libraryFile, JSON.stringify({
+      media: [
+        { id: 'brochure', type: 'document', file: 'brochure.pdf', tags: ['brochure'], caption: '📄 {name}, el brochure de LogiFit.' },
+        { id: 'brochure-en', type: 'document', file: 'brochure-en.pdf', tags: ['brochure'], languages: ['en'], caption: { es: 'Brochure', en: '📄 {name}, the LogiFit brochure.' } },
+        { id: 'caso-mineria', type: 'document', file: 'no-existe.pdf', tags: ['case_study'], sectors: ['minería'] },
+        { id: 'caso-transporte', type: 'document', url: 'https://cdn.logifit.test/transporte.pdf', tags: ['case_study'], sectors: ['transporte'], caption: 'Casos en transporte:\n{cases}' },
+        { id: 'casos-generales', type: 'document', url: 'https://cdn.logifit.test/general.pdf', tags: ['case_study'] },
+        { id: 'video-demo', type: 'video', url: 'https://cdn.logifit.test/demo.mp4', tags: ['demo_video'] },
+        { id: 'inactivo', type: 'image', url: 'https://cdn.logifit.test/x.jpg', tags: ['brochure'], active: false },
+        { id: 'sin-archivo', type: 'document', tags: ['brochure'] }
+      ]
+    }));
+    process.env.MEDIA_LIBRARY_FILE = libraryFile;
+    process.env.MEDIA_DIR = mediaDir;
+
+    // 1. Biblioteca y elección del material
+    const library = reloadMediaLibrary();
+    assert(library.length === 6 && !library.some(item => item.id === 'inactivo' || item.id === 'sin-archivo'), 'Se cargan solo los archivos activos y completos');
+    assert(getMediaLibrary()[0].mimetype === 'application/pdf' && getMediaLibrary()[0].fileName === 'brochure.pdf', 'Se completan el tipo MIME y el nombre del archivo');
+
+    assert(findMedia('brochure', { language: 'en' }).id === 'brochure-en', 'Se prefiere el material en el idioma del prospecto');
+    assert(findMedia('brochure', { language: 'pt' }).id === 'brochure', 'Sin material en su idioma se usa el general');
+    assert(findMedia('case_study', { company: 'Transportes Andinos' }).id === 'caso-transporte', 'Se prefiere el caso de éxito del sector');
+    assert(findMedia('case_study', { company: 'Minera del Centro' }).id === 'casos-generales', 'Un archivo local que no existe se descarta');
+    assert(findMedia('catalogo', {}) === null, 'Una etiqueta sin material no devuelve nada');
+
+    // 2. Texto del material
+    let attachment = buildAttachment(findMedia('case_study', { company: 'Transportes Andinos' }), { company: 'Transportes Andinos' });
+    assert(attachment.url === 'https://cdn.logifit.test/transporte.pdf' && /Transportes Norte: Redujo en 45%/.test(attachment.caption), 'El texto incluye los casos de éxito del sector');
+    attachment = buildAttachment(findMedia('brochure', { language: 'en' }), { language: 'en', name: 'Mary' });
+    assert(attachment.caption === '📄 Mary, the LogiFit brochure.' && attachment.path === path.join(mediaDir, 'brochure-en.pdf'), 'El texto usa el idioma del prospecto y el archivo local');
+    assert(buildAttachment(findMedia('demo_video', {}), {}).caption === undefined, 'El material sin texto se envía sin caption');
+
+    let media = getAttachments(['brochure', 'case_study'], { company: 'Transportes Andinos', sentMedia: ['brochure'] });
+    assert(media.attachments.map(item => item.id).join(',') === 'caso-transporte' && media.sentMedia.join(',') === 'brochure,caso-transporte', 'No se repite el material ya enviado');
+
+    // 3. Material en los flujos
+    const prospect = { phoneNumber: '51900000401', name: 'Ana', company: 'Transportes Andinos', language: 'es' };
+    let result = await invitationFlow.handlePriceRequest('¿Cuánto cuesta?', prospect, { invitationPriority: 'ALTA', prospectValue: 'ALTO' });
+    assert(result.attachments.map(item => item.id).join(',') === 'brochure' && result.newState.sentMedia.includes('brochure'), 'El pedido de precios se responde con el brochure');
+
+    result = await checkoutFlow.handleInfoOffer('Sí, envíalo a ana@andinos.pe', prospect, 'SMALL_FLEET');
+    assert(result.attachments.map(item => item.id).join(',') === 'brochure,caso-transporte', 'El checkout envía el brochure y los casos de éxito');
+
+    result = await checkoutFlow.handleInfoOffer('No, gracias', prospect, 'SMALL_FLEET');
+    assert(result.attachments.length === 0, 'Sin aceptar la información no se envía material');
+
+    result = await campaignFlow.handleNurturing('Tengo una duda', { ...prospect, sentMedia: ['brochure', 'caso-transporte'] });
+    assert(result.attachments.map(item => item.id).join(',') === 'video-demo', 'En nutrición las dudas se acompañan del material pendiente');
+
+    // 4. Envío por el transporte
+    const sent = [];
+    const transport = {
+      name: 'prueba',
+      sendPresence: async () => {},
+      sendText: async (to, text) => sent.push({ to, text }),
+      sendMedia: async (to, item) => {
+        if (item.id === 'falla') {
+          throw new Error('Archivo demasiado grande');
+        }
+        sent.push({ to, media: item });
+      }
+    };
+    await deliverResponse(transport, { id: 'm1', from: '51900000401', chatId: '51900000401@s.whatsapp.net' }, {
+      text: 'Aquí tienes la información',
+      attachments: [{ id: 'falla', type: 'video' }, media.attachments[0]]
+    });
+    assert(sent.length === 2 && sent[0].text && sent[1].media.id === 'caso-transporte', 'El material se envía después del texto y un error no detiene el resto');
+
+    logger.info('Prueba de envío de material completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de envío de material:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testMedia();
+}
+
+module.exports = { testMedia };
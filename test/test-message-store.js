@@ -0,0 +1,68 @@
+/**
+ * Test para validar el historial persistente de conversaciones
+ *
+ * Este script prueba:
+ * 1. Registro de mensajes entrantes y salientes desde handleWhatsAppMessage
+ * 2. Transcripción en orden cronológico con el estado de la conversación
+ * 3. Formatos de exportación (texto plano y contexto para LLM)
+ */
+
+require('dotenv').config();
+const { handleWhatsAppMessage } = require('../src/whatsappHandler');
+const messageStore = require('../src/services/messageStore');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PHONE = '51977777777';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testMessageStore() {
+  try {
+    logger.info('Iniciando prueba del historial de conversaciones');
+
+    await handleWhatsAppMessage({ id: 'MSG-1', from: TEST_PHONE, body: 'Hola, soy Roberto de Logifit Test', type: 'text' });
+    await handleWhatsAppMessage({ id: 'MSG-2', from: TEST_PHONE, body: 'Tenemos 30 camiones', type: 'text' });
+
+    // 1. Mensajes registrados
+    const transcript = await messageStore.getTranscript(TEST_PHONE);
+    logger.info(`Mensajes registrados: ${transcript.length}`);
+    assert(transcript.length === 4, 'Se registran los mensajes entrantes y las respuestas del bot');
+    assert(transcript[0].direction === 'incoming' && transcript[0].messageId === 'MSG-1', 'El primer mensaje es el del prospecto con su ID');
+    assert(transcript[1].direction === 'outgoing' && transcript[1].role === 'assistant', 'La respuesta del bot se registra como saliente');
+    assert(transcript.every(message => message.timestamp), 'Todos los mensajes tienen fecha');
+    assert(transcript[1].conversationState, 'Las respuestas guardan el estado de la conversación');
+
+    // 2. Límite de mensajes recientes
+    const recent = await messageStore.getTranscript(TEST_PHONE, { limit: 2 });
+    assert(recent.length === 2 && recent[0].messageId === 'MSG-2', 'El límite devuelve los mensajes más recientes en orden');
+
+    // 3. Formatos de exportación
+    const text = messageStore.formatTranscript(transcript);
+    logger.info(`Transcripción:\n${text}`);
+    assert(text.includes('Prospecto: Hola, soy Roberto'), 'La transcripción en texto identifica al prospecto');
+
+    const context = await messageStore.getConversationContext(TEST_PHONE);
+    assert(context[0].role === 'user' && context[1].role === 'assistant', 'El contexto para LLM usa los roles de chat');
+
+    logger.info('Prueba del historial de conversaciones completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba del historial de conversaciones:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testMessageStore();
+}
+
+module.exports = { testMessageStore };
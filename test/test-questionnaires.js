@@ -0,0 +1,199 @@
+/**
+ * Test para validar los cuestionarios de calificación configurables
+ *
+ * Este script prueba:
+ * 1. Validación del cuestionario predeterminado y de definiciones inválidas
+ * 2. Intérpretes de respuesta (number, enum, free_text, ai_extract) y validación
+ * 3. Saltos condicionales, puntaje y resultado final
+ * 4. Cuestionarios por campaña y recarga en caliente de archivos y base de datos
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const questionnaireDir = fs.mkdtempSync(path.join(os.tmpdir(), 'questionnaires-'));
+const defaultFile = path.join(__dirname, '../src/config/questionnaires/default.json');
+fs.copyFileSync(defaultFile, path.join(questionnaireDir, 'default.json'));
+process.env.QUESTIONNAIRES_DIR = questionnaireDir;
+
+const {
+  reloadQuestionnaires,
+  getQuestionnaire,
+  selectQuestionnaire,
+  saveQuestionnaire,
+  validateQuestionnaire,
+  registerExtractor,
+  answerQuestion,
+  parseAnswer,
+  renderText
+} = require('../src/services/questionnaireService');
+const campaignFlow = require('../src/flows/campaignFlow');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Cuestionario corto de una campaña
+function createCampaignQuestionnaire(text) {
+  return {
+    id: 'feria-transporte',
+    name: 'Feria de transporte',
+    campaigns: ['FERIA_2024'],
+    questions: [
+      {
+        id: 'drivers',
+        text,
+        required: true,
+        retryText: 'Solo necesito un número aproximado de conductores.',
+        parser: { type: 'number', field: 'driverCount', min: 1 },
+        score: { field: 'driverCount', points: { 50: 40 } }
+      },
+      {
+        id: 'pain',
+        text: '¿Qué problema quieren resolver?',
+        parser: { type: 'free_text', field: 'mainPain', minLength: 3 }
+      }
+    ],
+    outcomes: [{ text: 'Gracias {name|}, te contactaremos.' }]
+  };
+}
+
+// Escribe un archivo con una fecha de modificación distinta a la anterior
+function writeFile(fileName, content, secondsAgo = 0) {
+  const filePath = path.join(questionnaireDir, fileName);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  const time = new Date(Date.now() - secondsAgo * 1000);
+  fs.utimesSync(filePath, time, time);
+}
+
+// Función principal de prueba
+async function testQuestionnaires() {
+  try {
+    logger.info('Iniciando prueba de cuestionarios de calificación');
+
+    // 1. Validación
+    await reloadQuestionnaires();
+    const questionnaire = await getQuestionnaire('default');
+    assert(questionnaire && questionnaire.start === 'fleet_size', 'El cuestionario predeterminado se carga desde JSON');
+    assert(validateQuestionnaire(questionnaire).length === 0, 'El cuestionario predeterminado es válido');
+
+    const errors = validateQuestionnaire({
+      id: 'roto',
+      questions: [{ id: 'a', text: 'A', parser: { type: 'fecha', field: 'x' }, next: [{ goto: 'b' }] }]
+    });
+    assert(errors.length === 2, 'Se detectan intérpretes desconocidos y saltos a preguntas inexistentes');
+
+    const patternErrors = validateQuestionnaire({
+      id: 'patron',
+      questions: [{ id: 'a', text: 'A', parser: { type: 'enum', field: 'x', options: [{ pattern: '(sí|si', value: true }, { pattern: '^no$', value: false }] } }]
+    });
+    assert(patternErrors.length === 1 && /a: patrón inválido "\(sí\|si"/.test(patternErrors[0]), 'Un patrón de opción inválido se rechaza al cargar el cuestionario');
+    const typeErrors = validateQuestionnaire({
+      id: 'patron_numero',
+      questions: [{ id: 'a', text: 'A', parser: { type: 'enum', field: 'x', options: [{ pattern: 5, value: true }, { pattern: ['^no$'], value: false }] } }]
+    });
+    assert(typeErrors.length === 2 && typeErrors.every(error => /debe ser un texto/.test(error)), 'Un patrón que no es texto se rechaza');
+
+    // 2. Intérpretes
+    const fleetQuestion = questionnaire.questions.find(question => question.id === 'fleet_size');
+    let parsed = await parseAnswer(fleetQuestion, 'Manejamos una flota pequeña', {});
+    assert(parsed.matched && parsed.updates.fleetSizeCategory === 'pequeña' && parsed.updates.fleetSize === '1-5', 'number usa las palabras clave cuando no hay número');
+
+    parsed = await parseAnswer(fleetQuestion, 'No sé', {});
+    assert(!parsed.matched && parsed.updates.fleetSize === 'desconocido', 'Una respuesta no reconocida usa los valores por defecto');
+
+    const solutionQuestion = questionnaire.questions.find(question => question.id === 'current_solution');
+    parsed = await parseAnswer(solutionQuestion, 'Sí, usamos Guardvant', {});
+    assert(parsed.updates.hasSolution === true && parsed.updates.competitorSolution === 'guardvant', 'enum encadena intérpretes condicionados');
+
+    registerExtractor('role', message => ({ role: message, isDecisionMaker: /gerente/i.test(message), interestAreas: ['flota'] }));
+    const roleQuestion = questionnaire.questions.find(question => question.id === 'role_confirmation');
+    parsed = await parseAnswer(roleQuestion, 'Gerente de operaciones', {});
+    assert(parsed.updates.isDecisionMaker === true && parsed.updates.interestAreas[0] === 'flota', 'ai_extract usa el intérprete local sin OpenAI');
+
+    assert(renderText('Hola {name|allí} de {company}', { name: 'Ana' }) === 'Hola Ana de ', 'Los textos usan datos del prospecto y valores por defecto');
+
+    // 3. Saltos, puntaje y resultado
+    let prospect = { name: 'Desconocido', company: 'Minera Sur', fleetSizeCategory: 'grande', hasSolution: false, qualificationScore: 40 };
+    let result = await answerQuestion(questionnaire, 'decision_timeline', 'Lo vemos el próximo año', prospect);
+    assert(result.complete && result.next === 'complete', 'Sin nombre se salta la pregunta del rol');
+    assert(result.updates.prospectType === 'CURIOSO' && result.updates.role === 'No especificado', 'El salto y el resultado asignan los campos definidos');
+    assert(result.updates.qualificationScore === 40 && result.updates.qualificationScoreDetail.decision_timeline === 0, 'El puntaje suma los pesos de cada respuesta');
+    assert(/material informativo sobre nuestra solución LogiFit que podría ser de interés para Minera Sur/.test(result.response), 'El resultado responde con su texto');
+
+    prospect = { name: 'Ana', company: 'Minera Sur' };
+    result = await answerQuestion(questionnaire, 'fleet_size', 'Tenemos 12 unidades', prospect);
+    assert(result.next === 'current_solution' && result.updates.fleetSizeCategory === 'mediana', 'number categoriza con los rangos');
+    assert(/^Gracias por compartir que tienen una flota mediana de aproximadamente 12 unidades\. ¿Actualmente/.test(result.response), 'La respuesta une el acuse y la siguiente pregunta');
+
+    // 4. Cuestionarios por campaña y recarga en caliente
+    writeFile('feria.json', createCampaignQuestionnaire('¿Cuántos conductores tienen?'), 60);
+    await reloadQuestionnaires();
+
+    let selected = await selectQuestionnaire({ campaign: 'feria_2024' });
+    assert(selected.id === 'feria-transporte', 'La campaña del prospecto elige su cuestionario');
+    assert((await selectQuestionnaire({ campaign: 'otra' })).id === 'default', 'Una campaña sin cuestionario usa el predeterminado');
+
+    result = await answerQuestion(selected, 'drivers', 'Muchos', {});
+    assert(result.next === 'drivers' && result.updates.questionnaireRetries === 1 && /número aproximado/.test(result.response), 'Una respuesta obligatoria no válida repite la pregunta');
+    result = await answerQuestion(selected, 'drivers', 'Todavía no sé', { questionnaireRetries: 1 });
+    assert(result.next === 'pain', 'Tras los reintentos se continúa con la siguiente pregunta');
+    result = await answerQuestion(selected, 'drivers', 'Unos 50', {});
+    assert(result.updates.driverCount === 50 && result.updates.qualificationScore === 40, 'Los pesos se aplican a las respuestas de la campaña');
+
+    writeFile('feria.json', createCampaignQuestionnaire('¿Con cuántos choferes trabajan?'));
+    await reloadQuestionnaires();
+    selected = await selectQuestionnaire({ campaign: 'FERIA_2024' });
+    assert(selected.questions[0].text === '¿Con cuántos choferes trabajan?', 'Un archivo modificado se recarga sin reiniciar');
+
+    writeFile('feria.json', '{ "id": "feria-transporte", "questions": [', 120);
+    await reloadQuestionnaires();
+    selected = await selectQuestionnaire({ campaign: 'FERIA_2024' });
+    assert(selected.questions[0].text === '¿Con cuántos choferes trabajan?', 'Un archivo inválido mantiene la versión anterior');
+
+    await saveQuestionnaire({ ...createCampaignQuestionnaire('¿Cuántas unidades vienen a la feria?'), campaigns: ['FERIA_2024', 'EXPO'] });
+    selected = await selectQuestionnaire({ campaignType: 'expo' });
+    assert(selected.questions[0].text === '¿Cuántas unidades vienen a la feria?', 'Un cuestionario guardado en la base de datos reemplaza al archivo');
+
+    let rejected = false;
+    try {
+      await saveQuestionnaire({ id: 'vacio', questions: [] });
+    } catch (error) {
+      rejected = Boolean(error.validationErrors);
+    }
+    assert(rejected, 'No se guarda un cuestionario inválido');
+
+    writeFile('patron.json', {
+      id: 'patron-invalido',
+      questions: [{ id: 'a', text: 'A', parser: { type: 'enum', field: 'x', options: [{ pattern: '[a-', value: true }] } }]
+    }, 60);
+    await reloadQuestionnaires();
+    assert(await getQuestionnaire('patron-invalido') === null, 'Un archivo con un patrón inválido no se carga');
+
+    selected = await selectQuestionnaire({ campaign: 'expo', questionnaireId: 'default' });
+    assert(selected.id === 'default', 'Un prospecto conserva el cuestionario que está respondiendo');
+
+    assert(campaignFlow.qualificationQuestions.ENCARGADO.length === 4, 'Las preguntas por tipo de prospecto vienen del cuestionario');
+
+    logger.info('Prueba de cuestionarios completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de cuestionarios:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(questionnaireDir, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testQuestionnaires();
+}
+
+module.exports = { testQuestionnaires };
@@ -0,0 +1,147 @@
+/**
+ * Test para validar la reprogramación y cancelación de demostraciones agendadas
+ *
+ * Este script prueba:
+ * 1. Detección de pedidos en texto libre ("¿podemos moverla al jueves?"), sin confundir
+ *    "nos vemos mañana" ni las opciones numeradas fuera de un recordatorio
+ * 2. Interpretación de días y horas preferidas
+ * 3. Propuesta de un nuevo horario el día solicitado y su aceptación
+ * 4. Cancelación confirmada (y no ante un "no quiero cancelar") y estado de la cita para Google Sheets
+ */
+
+require('dotenv').config();
+const moment = require('moment-timezone');
+const appointmentFlow = require('../src/flows/appointmentFlow');
+const { formatProspectData } = require('../src/services/sheetsService');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TIMEZONE = 'America/Lima';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Crear un prospecto con una cita agendada
+function createBookedProspect(daysAhead = 2) {
+  const start = moment().tz(TIMEZONE).add(daysAhead, 'days').hour(10).minute(0).second(0).millisecond(0);
+
+  return {
+    phoneNumber: '51944444444',
+    name: 'Lucía',
+    timezone: TIMEZONE,
+    emails: ['lucia@logifit.test'],
+    conversationState: 'appointment_confirmed',
+    appointmentCreated: true,
+    appointmentDetails: {
+      date: start.format('DD/MM/YYYY'),
+      time: start.format('HH:mm'),
+      startTime: start.toISOString(),
+      calendarEventId: 'mock-event-reschedule',
+      meetLink: 'https://meet.google.com/test-link'
+    },
+    remindersSent: ['24h']
+  };
+}
+
+// Función principal de prueba
+async function testRescheduleFlow() {
+  try {
+    logger.info('Iniciando prueba de reprogramación y cancelación de citas');
+
+    // 1. Detección de intenciones
+    let result;
+    assert(appointmentFlow.detectIntent('¿Podemos moverla al jueves?') === 'reschedule', 'Detecta "¿podemos moverla al jueves?" como reprogramación');
+    assert(appointmentFlow.detectIntent('No puedo el martes, ¿la pasamos para otro día?') === 'reschedule', 'Detecta "no puedo el martes" como reprogramación');
+    assert(appointmentFlow.detectIntent('Al final no podré asistir, cancélala') === 'cancel', 'Detecta la cancelación');
+    assert(appointmentFlow.detectIntent('Gracias') === null, 'Un mensaje sin intención no se clasifica');
+
+    const tomorrowProspect = createBookedProspect(1);
+    assert(appointmentFlow.detectIntent('Nos vemos mañana', 'es', tomorrowProspect) === null, '"Nos vemos mañana" con la cita mañana no es una reprogramación');
+    assert(appointmentFlow.detectIntent('Ahí estaré mañana a las 10', 'es', tomorrowProspect) === 'confirm', '"Ahí estaré mañana a las 10" confirma la cita');
+    assert(appointmentFlow.detectIntent('See you tomorrow', 'en', tomorrowProspect) === null, '"See you tomorrow" con la cita mañana no es una reprogramación');
+    assert(appointmentFlow.detectIntent('Mejor el viernes a las 4', 'es', tomorrowProspect) === 'reschedule', 'Otro día u hora sin verbo de reprogramación sí es una reprogramación');
+
+    const awaitingReply = { ...tomorrowProspect, awaitingReminderReply: true };
+    assert(['1', '2', '3'].every(option => appointmentFlow.detectIntent(option, 'es', tomorrowProspect) === null), 'Un número suelto sin recordatorio pendiente no se clasifica');
+    assert(appointmentFlow.detectIntent('1', 'es', awaitingReply) === 'confirm' &&
+      appointmentFlow.detectIntent(' 2 ', 'es', awaitingReply) === 'reschedule' &&
+      appointmentFlow.detectIntent('3', 'es', awaitingReply) === 'cancel', 'Las opciones numeradas responden al recordatorio');
+
+    result = await appointmentFlow.handleMessage('Nos vemos mañana', tomorrowProspect);
+    assert(!result.newState.rescheduleProposal && result.newState.appointmentDetails.startTime === tomorrowProspect.appointmentDetails.startTime, '"Nos vemos mañana" no propone otro horario');
+
+    // 2. Preferencias de día y hora
+    const today = moment().tz(TIMEZONE).startOf('day');
+    let preferences = appointmentFlow.extractPreferences('¿Podemos moverla al jueves?', TIMEZONE);
+    const thursday = moment.tz(preferences.date, 'YYYY-MM-DD', TIMEZONE);
+    assert(thursday.isoWeekday() === 4 && thursday.isAfter(today), 'Interpreta "jueves" como el próximo jueves');
+
+    preferences = appointmentFlow.extractPreferences('Mejor mañana a las 4 de la tarde', TIMEZONE);
+    assert(preferences.date === today.clone().add(1, 'day').format('YYYY-MM-DD') && preferences.hour === '16:00', 'Interpreta "mañana a las 4 de la tarde"');
+
+    preferences = appointmentFlow.extractPreferences('¿Puede ser por la mañana?', TIMEZONE);
+    assert(!preferences.date && preferences.period === 'morning', '"Por la mañana" es una franja y no el día siguiente');
+
+    // 3. Reprogramación en texto libre
+    let prospect = createBookedProspect();
+    result = await appointmentFlow.handleMessage('¿Podemos moverla al jueves?', prospect);
+    logger.info(`Respuesta del bot: "${result.response}"`);
+    prospect = result.newState;
+    const proposal = prospect.rescheduleProposal;
+    assert(proposal && moment.tz(proposal.dateTime, TIMEZONE).isoWeekday() === 4, 'Propone un horario el jueves');
+
+    result = await appointmentFlow.handleMessage('No, otro horario', prospect);
+    prospect = result.newState;
+    assert(moment(prospect.rescheduleProposal.dateTime).isAfter(proposal.dateTime), 'Si lo rechaza, propone un horario posterior');
+
+    const acceptedTime = prospect.rescheduleProposal.dateTime;
+    result = await appointmentFlow.handleMessage('Sí', prospect);
+    logger.info(`Respuesta del bot: "${result.response}"`);
+    prospect = result.newState;
+    assert(prospect.appointmentDetails.startTime === moment(acceptedTime).toISOString(), 'La cita se mueve al horario aceptado');
+    assert(prospect.appointmentDetails.status === 'reprogramada' && prospect.rescheduledCount === 1, 'La cita queda marcada como reprogramada');
+    assert(prospect.remindersSent.length === 0 && !prospect.rescheduleProposal, 'Se reinician los recordatorios');
+    assert(formatProspectData(prospect).Estado_Cita === 'reprogramada', 'Google Sheets recibe el estado reprogramada');
+
+    // 4. Cancelación
+    assert(appointmentFlow.detectIntent('No quiero cancelar, allí estaré', 'es', prospect) === 'confirm', '"No quiero cancelar, allí estaré" confirma la cita');
+    assert(appointmentFlow.detectIntent('No quiero reprogramar', 'es', prospect) === null, 'Una reprogramación negada no se clasifica');
+
+    result = await appointmentFlow.handleMessage('No quiero cancelar, allí estaré', prospect);
+    assert(!result.newState.cancelProposal && result.newState.appointmentDetails.status === 'reprogramada', 'Una cancelación negada no toca la cita');
+
+    result = await appointmentFlow.handleMessage('Mejor cancela la demo, por favor', prospect);
+    logger.info(`Respuesta del bot: "${result.response}"`);
+    prospect = result.newState;
+    assert(prospect.cancelProposal && prospect.conversationState === 'appointment_confirmed' && prospect.appointmentDetails.status === 'reprogramada', 'Antes de cancelar se pide confirmación');
+
+    result = await appointmentFlow.handleMessage('No, mejor la mantengo', prospect);
+    assert(!result.newState.cancelProposal && result.newState.appointmentDetails.status === 'reprogramada', 'Si responde que no, la cita se mantiene');
+
+    result = await appointmentFlow.handleMessage('Sí', prospect);
+    logger.info(`Respuesta del bot: "${result.response}"`);
+    prospect = result.newState;
+    assert(prospect.conversationState === 'nurturing' && prospect.appointmentDetails.status === 'cancelada' && !prospect.cancelProposal, 'Con un "sí" la cita se cancela');
+
+    const sheetsData = formatProspectData(prospect);
+    assert(sheetsData.Cita_Programada === 'No' && sheetsData.Estado_Cita === 'cancelada', 'Google Sheets recibe la cita como cancelada');
+
+    logger.info('Prueba de reprogramación y cancelación completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de reprogramación:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testRescheduleFlow();
+}
+
+module.exports = { testRescheduleFlow };
@@ -0,0 +1,127 @@
+/**
+ * Test para validar la asignación de prospectos al equipo comercial
+ *
+ * Este script prueba:
+ * 1. Carga del equipo desde el archivo de vendedores
+ * 2. Estrategias round_robin, least_loaded y territory
+ * 3. Capacidad máxima de cada vendedor
+ * 4. Uso del vendedor asignado en el calendario, los webhooks y el handoff
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SELLERS_FILE = path.join(__dirname, '../src/config/sellers.example.json');
+
+const {
+  getSellers,
+  reloadSellers,
+  assignSeller,
+  getAssignedSeller,
+  getSellerCalendarIds,
+  needsSellerAssignment
+} = require('../src/services/sellerService');
+const { formatAppointmentData } = require('../src/services/webhookService');
+const { getHandoffMessage } = require('../src/services/handoffService');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Crear un prospecto de prueba
+function createProspect(phoneNumber, data = {}) {
+  return {
+    phoneNumber,
+    name: 'Prospecto',
+    country: 'PE',
+    conversationState: 'qualified',
+    ...data
+  };
+}
+
+// Asigna varios prospectos y devuelve los IDs de vendedor elegidos
+async function assignMany(count, strategy, data = {}, start = 0) {
+  const sellerIds = [];
+  for (let i = 0; i < count; i++) {
+    // Separar las asignaciones en el tiempo para que el orden sea determinista
+    const now = new Date(Date.now() + (start + i) * 1000);
+    const state = await assignSeller(createProspect(`5190000${start + i}`, data), { strategy, now });
+    sellerIds.push(state.assignedSeller.id);
+  }
+  return sellerIds;
+}
+
+// Función principal de prueba
+async function testSellerAssignment() {
+  const tempFile = path.join(os.tmpdir(), `sellers-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de asignación de vendedores');
+
+    // 1. Equipo comercial
+    const sellers = getSellers();
+    assert(sellers.length === 3 && sellers[0].countries.includes('PE'), 'Se carga el equipo desde el archivo de vendedores');
+    assert(needsSellerAssignment(createProspect('51900000999')), 'Un prospecto calificado necesita vendedor');
+    assert(!needsSellerAssignment(createProspect('51900000999', { conversationState: 'greeting' })), 'Un prospecto en saludo aún no necesita vendedor');
+
+    // 2. Estrategias
+    const roundRobin = await assignMany(4, 'round_robin');
+    assert(new Set(roundRobin.slice(0, 3)).size === 3 && roundRobin[3] === roundRobin[0], 'round_robin reparte por turnos');
+
+    const leastLoaded = await assignMany(1, 'least_loaded', {}, 10);
+    assert(leastLoaded[0] !== roundRobin[0], 'least_loaded elige a un vendedor con menos prospectos');
+
+    let [sellerId] = await assignMany(1, 'territory', { country: 'CL' }, 20);
+    assert(sellerId === 'mateo', 'territory asigna por país');
+
+    [sellerId] = await assignMany(1, 'territory', { company: 'Transportes del Sur SAC' }, 21);
+    assert(sellerId === 'andrea', 'territory asigna por sector dentro del país');
+
+    [sellerId] = await assignMany(1, 'territory', { company: 'Minera Los Andes' }, 22);
+    assert(sellerId === 'roberto', 'territory prefiere al especialista del sector');
+
+    // 3. Capacidad
+    fs.writeFileSync(tempFile, JSON.stringify([
+      { id: 'lleno', name: 'Vendedor Lleno', email: 'lleno@logifit.test', capacity: 1 },
+      { id: 'libre', name: 'Vendedor Libre', email: 'libre@logifit.test' }
+    ]));
+    process.env.SELLERS_FILE = tempFile;
+    reloadSellers();
+    const capacity = await assignMany(3, 'round_robin', {}, 30);
+    assert(capacity.filter(id => id === 'lleno').length === 1, 'No se supera la capacidad de un vendedor');
+
+    // 4. Uso del vendedor asignado
+    process.env.SELLERS_FILE = path.join(__dirname, '../src/config/sellers.example.json');
+    reloadSellers();
+    const prospect = await assignSeller(createProspect('51900000040', { country: 'CL', emails: ['cliente@empresa.test'] }), { strategy: 'territory' });
+    assert(getAssignedSeller(prospect).name === 'Mateo Rojas', 'El vendedor queda guardado en el estado del prospecto');
+    assert(getSellerCalendarIds(prospect)[0] === 'mateo.rojas@logifit.pe', 'La disponibilidad se consulta en el calendario del vendedor');
+
+    const webhookData = formatAppointmentData(prospect, { dateTime: new Date().toISOString() });
+    assert(webhookData.Participantes[0].email === 'mateo.rojas@logifit.pe' && webhookData['Calendar ID'] === 'mateo.rojas@logifit.pe', 'El webhook de Make usa el correo y calendario del vendedor');
+    assert(getHandoffMessage(prospect).includes('Mateo Rojas'), 'El handoff menciona al vendedor asignado');
+
+    logger.info('Prueba de asignación de vendedores completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de asignación de vendedores:', error);
+    process.exitCode = 1;
+  } finally {
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testSellerAssignment();
+}
+
+module.exports = { testSellerAssignment };
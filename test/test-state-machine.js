@@ -0,0 +1,123 @@
+/**
+ * Test para validar la máquina de estados de la conversación
+ *
+ * Este script prueba:
+ * 1. Coherencia de la definición con los flujos del bot
+ * 2. Transiciones permitidas y rechazadas
+ * 3. Hooks de entrada y salida, y tiempos de espera
+ * 4. Generación del diagrama para el equipo comercial
+ */
+
+require('dotenv').config();
+const { STATES, CONVERSATION_MACHINE } = require('../src/config/conversationStates');
+const { StateMachine, renderMermaid } = require('../src/utils/stateMachine');
+const { CONVERSATION_STATES: ADMIN_STATES } = require('../src/api/prospectsRoutes');
+const { QUALIFIED_STATES } = require('../src/services/sellerService');
+const campaignFlow = require('../src/flows/campaignFlow');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Definición mínima para probar el motor sin los flujos reales
+function createTestMachine(events) {
+  const definition = {
+    initial: 'a',
+    fromAnyState: ['pausa'],
+    states: {
+      a: { label: 'A', transitions: ['b'], onExit: ['log'] },
+      b: { label: 'B', transitions: ['a'], onEnter: ['log', 'mark'], timeout: { hours: 24, to: 'a' } },
+      pausa: { label: 'Pausa', transitions: '*', external: true }
+    }
+  };
+
+  return new StateMachine(definition, {
+    handlers: {
+      // El mensaje indica a qué estado pasar
+      a: async (message, state) => ({ response: `a:${message}`, newState: { ...state, conversationState: message } }),
+      b: async (message, state) => ({ response: `b:${message}`, newState: { ...state, conversationState: message } })
+    },
+    hooks: {
+      log: (state, { from, to }) => {
+        events.push(`${from || 'nuevo'}->${to}`);
+        return state;
+      },
+      mark: state => ({ ...state, marked: true })
+    }
+  });
+}
+
+// Función principal de prueba
+async function testStateMachine() {
+  try {
+    logger.info('Iniciando prueba de la máquina de estados');
+
+    // 1. Definición
+    const machine = campaignFlow.stateMachine;
+    assert(Object.values(STATES).every(state => machine.isValidState(state)), 'Todos los estados tienen definición');
+    assert(ADMIN_STATES.includes(STATES.APPOINTMENT_CONFIRMED) && !ADMIN_STATES.includes(STATES.HUMAN_HANDOFF), 'La API de administración usa los estados de la definición');
+    assert(QUALIFIED_STATES.includes(STATES.INVITATION) && !QUALIFIED_STATES.includes(STATES.NURTURING), 'Los estados calificados salen de la definición');
+
+    let failed = false;
+    try {
+      new StateMachine({ initial: 'a', states: { a: { transitions: ['x'] } } }, { handlers: { a: () => null } });
+    } catch (error) {
+      failed = true;
+    }
+    assert(failed, 'Una definición con transiciones a estados inexistentes se rechaza');
+
+    // 2. Transiciones
+    assert(machine.canTransition(null, STATES.GREETING), 'Un prospecto nuevo entra al saludo');
+    assert(machine.canTransition(STATES.INITIAL_QUALIFICATION, STATES.QUALIFIED), 'La calificación pasa a calificado');
+    assert(!machine.canTransition(STATES.GREETING, STATES.APPOINTMENT_CONFIRMED), 'El saludo no puede saltar a una cita agendada');
+    assert(machine.canTransition(STATES.CHECKOUT, STATES.HUMAN_HANDOFF), 'Cualquier estado puede pasar a atención humana');
+
+    const events = [];
+    const testMachine = createTestMachine(events);
+
+    let result = await testMachine.dispatch('b', { phoneNumber: '51900000001', conversationState: 'a' });
+    assert(result.newState.conversationState === 'b' && result.newState.marked, 'Una transición válida ejecuta los hooks de entrada');
+    assert(events.join(',') === 'a->b,a->b', 'Los hooks de salida se ejecutan antes que los de entrada');
+    assert(result.newState.previousConversationState === 'a' && result.newState.stateEnteredAt, 'Se registra el estado anterior y la fecha de entrada');
+
+    result = await testMachine.dispatch('inventado', { conversationState: 'b' });
+    assert(result.newState.conversationState === 'b' && /no permitida/.test(result.newState.lastError), 'Un estado inválido se rechaza y se mantiene el actual');
+
+    result = await testMachine.dispatch('a', { conversationState: 'estado_antiguo' });
+    assert(result.response === 'a:a' && result.newState.conversationState === 'a', 'Un estado desconocido reinicia desde el estado inicial');
+
+    // 3. Tiempos de espera
+    const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000);
+    result = await testMachine.dispatch('b', { conversationState: 'b', previousProspectMessageAt: twoDaysAgo });
+    assert(result.response === 'a:b', 'Tras el tiempo de espera el mensaje lo atiende el estado de destino');
+
+    result = await testMachine.dispatch('b', { conversationState: 'b', previousProspectMessageAt: new Date() });
+    assert(result.response === 'b:b', 'Sin vencer el tiempo de espera se mantiene el estado');
+
+    // 4. Flujo real y diagrama
+    result = await campaignFlow.processMessage('Hola', { phoneNumber: '51900000002' });
+    assert(result.newState.conversationState === STATES.GREETING && result.newState.stateEnteredAt, 'El flujo de campaña despacha a través de la máquina de estados');
+
+    const diagram = renderMermaid(CONVERSATION_MACHINE);
+    assert(diagram.startsWith('stateDiagram-v2') && diagram.includes('greeting --> initial_qualification'), 'Se genera el diagrama Mermaid');
+    assert(diagram.includes('invitation --> nurturing: 7 días sin respuesta'), 'El diagrama muestra los tiempos de espera');
+
+    logger.info('Prueba de la máquina de estados completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de la máquina de estados:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testStateMachine();
+}
+
+module.exports = { testStateMachine };
@@ -0,0 +1,165 @@
+/**
+ * Test para validar las plantillas de respuesta con pruebas A/B
+ *
+ * Este script prueba:
+ * 1. Textos de locales cuando no hay prueba activa
+ * 2. Asignación por peso o al azar, conservada por prospecto
+ * 3. Variantes en la bienvenida, la invitación y el checkout
+ * 4. Conversiones por variante (invitación y demo agendada) y resultados
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getTemplates,
+  reloadTemplates,
+  getVariant,
+  renderTemplate,
+  trackConversion,
+  getTemplateStats,
+  formatTemplateStats
+} = require('../src/services/templateService');
+const { getProspectState, updateProspectState, countTemplateVariants } = require('../src/whatsappHandler');
+const { t } = require('../src/services/languageService');
+const campaignFlow = require('../src/flows/campaignFlow');
+const invitationFlow = require('../src/flows/invitationFlow');
+const checkoutFlow = require('../src/flows/checkoutFlow');
+const { STATES } = require('../src/config/conversationStates');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Catálogo de prueba: la variante B de la bienvenida siempre gana por peso
+const TEST_TEMPLATES = {
+  'greeting.welcome': {
+    assignment: 'weighted',
+    variants: [
+      { id: 'A', weight: 0 },
+      { id: 'B', weight: 100, text: { es: 'Hola, soy {seller}. ¿Tu nombre y empresa?', en: "Hi, I'm {seller}. Your name and company?" } }
+    ]
+  },
+  'invitation.inviteHighValue': {
+    assignment: 'random',
+    variants: [
+      { id: 'corta', text: { es: '{name}, ¿agendamos una demo para {company} con {seller}?' } }
+    ]
+  },
+  'invitation.offerSlot': {
+    variants: [
+      { id: 'control', weight: 1 }
+    ]
+  },
+  'checkout.goodbye': {
+    active: false,
+    variants: [
+      { id: 'X', text: { es: 'No debería usarse' } }
+    ]
+  }
+};
+
+// Función principal de prueba
+async function testTemplates() {
+  const templatesFile = path.join(os.tmpdir(), `templates-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de plantillas con pruebas A/B');
+
+    // 1. Sin prueba activa se usan los textos de locales
+    assert(getTemplates()['greeting.welcome'].active === false, 'El catálogo incluido no tiene pruebas activas');
+    let rendered = renderTemplate('invitation.priceRequest', { language: 'es' });
+    assert(rendered.text === t('invitation.priceRequest', 'es') && rendered.variant === null, 'Una clave sin prueba usa el texto de locales');
+
+    fs.writeFileSync(templatesFile, JSON.stringify(TEST_TEMPLATES));
+    process.env.TEMPLATES_FILE = templatesFile;
+    reloadTemplates();
+
+    rendered = renderTemplate('checkout.goodbye', { language: 'es' });
+    assert(rendered.variant === null && rendered.text === t('checkout.goodbye', 'es'), 'Una prueba inactiva no asigna variantes');
+
+    // 2. Asignación por peso y al azar
+    rendered = renderTemplate('greeting.welcome', { language: 'en' }, { seller: 'Roberto' });
+    assert(rendered.variant === 'B' && rendered.text === "Hi, I'm Roberto. Your name and company?", 'La asignación por peso respeta los pesos y el idioma');
+    assert(rendered.templateVariants['greeting.welcome'] === 'B', 'La variante asignada se devuelve para guardarla');
+    assert(getVariant('greeting.welcome', { templateVariants: { 'greeting.welcome': 'A' } }).id === 'A', 'Un prospecto conserva la variante que ya tenía');
+    assert(getVariant('greeting.welcome', { templateVariants: { 'greeting.welcome': 'Z' } }).id === 'B', 'Una variante que ya no existe se vuelve a asignar');
+
+    rendered = renderTemplate('invitation.offerSlot', { language: 'pt', templateVariants: { 'greeting.welcome': 'B' } }, { slot: 'amanhã às 10:00' });
+    assert(rendered.variant === 'control' && rendered.text === t('invitation.offerSlot', 'pt', { slot: 'amanhã às 10:00' }), 'Una variante sin texto usa el de locales (control)');
+    assert(rendered.templateVariants['greeting.welcome'] === 'B', 'Se conservan las variantes de otras claves');
+
+    // 3. Variantes en los flujos
+    let result = await campaignFlow.processMessage('Hola', { phoneNumber: '51900000301' });
+    assert(result.response.startsWith('Hola, soy') && result.newState.templateVariants['greeting.welcome'] === 'B', 'La bienvenida usa la variante asignada');
+
+    const prospect = {
+      phoneNumber: '51900000302',
+      name: 'Ana',
+      company: 'Transportes Andinos',
+      conversationState: STATES.QUALIFIED,
+      templateVariants: { 'greeting.welcome': 'B' },
+      assignedSeller: { id: 'seller-test', name: 'Lucía Rojas' }
+    };
+    result = await invitationFlow.handleInitialInvitation('Me interesa', prospect, { prospectValue: 'ALTO', invitationPriority: 'ALTA' });
+    assert(result.response === 'Ana, ¿agendamos una demo para Transportes Andinos con Lucía Rojas?', 'La invitación reemplaza nombre, empresa y vendedor');
+    assert(result.newState.templateVariants['invitation.inviteHighValue'] === 'corta', 'La invitación guarda su variante');
+
+    result = await checkoutFlow.handleFinalCheckout('No gracias', { language: 'es' }, 'DISINTEREST');
+    assert(result.response === t('checkout.goodbye', 'es'), 'El checkout usa su texto si no hay prueba activa');
+
+    // 4. Conversiones y resultados
+    let state = await campaignFlow.stateMachine.enterState({ ...prospect, conversationState: STATES.INVITATION }, STATES.QUALIFIED);
+    assert(state.templateConversions && state.templateConversions.invitation instanceof Date, 'Se registra la llegada a la invitación');
+    const invitedAt = state.templateConversions.invitation;
+
+    state = await campaignFlow.stateMachine.enterState({ ...state, conversationState: STATES.APPOINTMENT_CONFIRMED }, STATES.INVITATION);
+    assert(state.templateConversions.demo instanceof Date && state.templateConversions.invitation === invitedAt, 'Se registra la demo agendada sin cambiar la invitación');
+
+    assert(trackConversion({ name: 'Sin variantes' }, 'invitation').templateConversions === undefined, 'Sin variantes asignadas no se registran conversiones');
+
+    const stats = getTemplateStats([
+      { templateVariants: { 'greeting.welcome': 'A' }, templateConversions: { invitation: new Date(), demo: new Date() } },
+      { templateVariants: { 'greeting.welcome': 'A' } },
+      { templateVariants: { 'greeting.welcome': 'B' }, templateConversions: { invitation: new Date() } },
+      { name: 'Sin prueba' }
+    ]);
+    assert(stats.length === 2 && stats[0].variant === 'A' && stats[0].assigned === 2 && stats[0].bookedDemo === 1, 'Los resultados se agrupan por clave y variante');
+    assert(stats[0].invitationRate === 50 && stats[1].invitationRate === 100 && stats[1].demoRate === 0, 'Los resultados incluyen las tasas de conversión');
+
+    // Resultados de los prospectos guardados (GET /api/templates/stats)
+    const storedProspects = [
+      ['51944444401', { 'stats.test': 'A' }, { invitation: new Date(), demo: new Date() }],
+      ['51944444402', { 'stats.test': 'A' }, undefined],
+      ['51944444403', { 'stats.test': 'B' }, { invitation: new Date() }]
+    ];
+    for (const [phone, templateVariants, templateConversions] of storedProspects) {
+      await updateProspectState(phone, { ...(await getProspectState(phone)), templateVariants, templateConversions });
+    }
+    const counted = await countTemplateVariants();
+    const stored = formatTemplateStats(counted.variants).filter(entry => entry.key === 'stats.test');
+    assert(counted.prospects >= 3 && stored.length === 2 && stored[0].assigned === 2 && stored[0].bookedDemo === 1 && stored[1].invitationRate === 100,
+      'Los resultados de los prospectos guardados se cuentan por clave y variante');
+
+    logger.info('Prueba de plantillas con pruebas A/B completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de plantillas con pruebas A/B:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(templatesFile, { force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testTemplates();
+}
+
+module.exports = { testTemplates };
@@ -0,0 +1,197 @@
+/**
+ * Test para validar el transporte de WhatsApp Cloud API
+ *
+ * Este script prueba (sin conectarse a Meta):
+ * 1. Verificación del webhook (hub.challenge)
+ * 2. Validación de la firma X-Hub-Signature-256 (con caracteres partidos entre fragmentos);
+ *    sin WHATSAPP_APP_SECRET el transporte no arranca salvo la excepción de desarrollo
+ * 3. Normalización de los mensajes entrantes
+ * 4. Envío de plantillas aprobadas (campañas)
+ */
+
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const { CloudApiTransport, parseCloudMessage } = require('../src/whatsapp/transports/cloudApiTransport');
+const logger = require('../src/utils/logger');
+
+// Configuración de prueba
+const TEST_PORT = 3999;
+const TEST_VERIFY_TOKEN = 'token-de-prueba';
+const TEST_APP_SECRET = 'secreto-de-prueba';
+
+/**
+ * Realiza una petición HTTP local
+ */
+function request(method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: TEST_PORT, method, path, headers, agent: false }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+
+    // Un arreglo de Buffers se envía en fragmentos separados por una pausa
+    const chunks = Array.isArray(body) ? body : [body].filter(Boolean);
+    chunks.reduce((previous, chunk) => previous.then(() => {
+      req.write(chunk);
+      return new Promise(done => setTimeout(done, 50));
+    }), Promise.resolve()).then(() => req.end());
+  });
+}
+
+/**
+ * Firma un cuerpo como lo hace Meta
+ */
+function sign(body) {
+  return `sha256=${crypto.createHmac('sha256', TEST_APP_SECRET).update(body).digest('hex')}`;
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testTransportLayer() {
+  const transport = new CloudApiTransport({
+    accessToken: 'token-falso',
+    phoneNumberId: '123456789',
+    verifyToken: TEST_VERIFY_TOKEN,
+    appSecret: TEST_APP_SECRET,
+    port: TEST_PORT
+  });
+
+  try {
+    logger.info('Iniciando prueba del transporte de WhatsApp Cloud API');
+    await transport.start();
+
+    // 1. Verificación del webhook
+    let result = await request('GET', `/webhook/whatsapp?hub.mode=subscribe&hub.verify_token=${TEST_VERIFY_TOKEN}&hub.challenge=12345`);
+    assert(result.status === 200 && result.body === '12345', 'El webhook responde al desafío de verificación');
+
+    result = await request('GET', '/webhook/whatsapp?hub.mode=subscribe&hub.verify_token=otro&hub.challenge=12345');
+    assert(result.status === 403, 'El webhook rechaza un token de verificación inválido');
+
+    // 2. Recepción de un mensaje firmado
+    const payload = JSON.stringify({
+      object: 'whatsapp_business_account',
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: '51999999999', profile: { name: 'Roberto Calvo' } }],
+            messages: [{
+              id: 'wamid.TEST',
+              from: '51999999999',
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              type: 'text',
+              text: { body: 'Hola, quiero información' }
+            }]
+          }
+        }]
+      }]
+    });
+    const signature = sign(payload);
+
+    const received = new Promise(resolve => transport.once('message', resolve));
+    result = await request('POST', '/webhook/whatsapp', payload, {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': signature
+    });
+    assert(result.status === 200, 'El webhook acepta un mensaje con firma válida');
+
+    const message = await received;
+    logger.info('Mensaje normalizado:', message);
+    assert(message.from === '51999999999', 'El mensaje conserva el número del remitente');
+    assert(message.body === 'Hola, quiero información', 'El mensaje conserva el texto');
+    assert(message.pushName === 'Roberto Calvo', 'El mensaje incluye el nombre del contacto');
+    assert(message.transport === 'cloud_api', 'El mensaje indica el transporte de origen');
+
+    result = await request('POST', '/webhook/whatsapp', payload, {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': 'sha256=invalida'
+    });
+    assert(result.status === 401, 'El webhook rechaza una firma inválida');
+
+    result = await request('POST', '/webhook/whatsapp', payload, { 'Content-Type': 'application/json' });
+    assert(result.status === 401, 'El webhook rechaza un mensaje sin firma');
+
+    // Sin el secreto de la app no se aceptan webhooks
+    let failed = false;
+    try {
+      await new CloudApiTransport({ accessToken: 'token-falso', phoneNumberId: '123456789', verifyToken: TEST_VERIFY_TOKEN, port: TEST_PORT + 1 }).start();
+    } catch (error) {
+      failed = /WHATSAPP_APP_SECRET/.test(error.message);
+    }
+    assert(failed, 'Sin WHATSAPP_APP_SECRET el transporte no arranca');
+
+    const unsigned = new CloudApiTransport({ accessToken: 'token-falso', phoneNumberId: '123456789', skipSignatureValidation: true });
+    assert(!new CloudApiTransport({ accessToken: 'token-falso' }).isValidSignature(Buffer.from(payload), undefined), 'Sin secreto ni excepción de desarrollo la firma nunca es válida');
+    assert(unsigned.isValidSignature(Buffer.from(payload), undefined), 'Con la excepción de desarrollo se aceptan webhooks sin firma');
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    assert(!unsigned.isValidSignature(Buffer.from(payload), undefined), 'La excepción de desarrollo se ignora en producción');
+    if (nodeEnv === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = nodeEnv;
+    }
+
+    // Un carácter de varios bytes partido entre dos fragmentos no invalida la firma
+    const accented = Buffer.from(payload.replace('Hola, quiero información', 'Señor, ¿dónde está la demo? 🚚'));
+    const splitAt = accented.indexOf(Buffer.from('ñ')) + 1;
+    const receivedAccented = new Promise(resolve => transport.once('message', resolve));
+    result = await request('POST', '/webhook/whatsapp', [accented.subarray(0, splitAt), accented.subarray(splitAt)], {
+      'Content-Type': 'application/json',
+      'Content-Length': accented.length,
+      'X-Hub-Signature-256': sign(accented)
+    });
+    assert(result.status === 200, 'La firma se valida sobre los bytes aunque un carácter llegue partido');
+    assert((await receivedAccented).body === 'Señor, ¿dónde está la demo? 🚚', 'El texto con acentos y emojis llega intacto');
+
+    // Cuerpo demasiado grande
+    const oversized = Buffer.alloc(1024 * 1024 + 1, 'a');
+    result = await request('POST', '/webhook/whatsapp', oversized, {
+      'Content-Type': 'application/json',
+      'Content-Length': oversized.length,
+      'X-Hub-Signature-256': sign(oversized)
+    }).catch(error => ({ status: null, error }));
+    assert(result.status === 413 || (result.error && ['ECONNRESET', 'EPIPE'].includes(result.error.code)), 'El webhook rechaza un cuerpo de más de 1 MB');
+
+    // 3. Normalización de respuestas interactivas y notas de voz
+    const buttonReply = parseCloudMessage({ type: 'interactive', interactive: { button_reply: { id: 'si', title: 'Sí, me interesa' } } });
+    assert(buttonReply.type === 'text' && buttonReply.body === 'Sí, me interesa', 'Las respuestas de botones se convierten en texto');
+
+    const voiceNote = parseCloudMessage({ type: 'audio', audio: { id: '1', voice: true } });
+    assert(voiceNote.type === 'ptt', 'Las notas de voz se identifican como ptt');
+
+    // 4. Plantillas aprobadas
+    assert(transport.requiresApprovedTemplates, 'La Cloud API exige plantillas aprobadas para iniciar conversaciones');
+    const posted = [];
+    const postMessage = transport.postMessage;
+    transport.postMessage = async body => posted.push(body);
+    await transport.sendTemplate('51999999999@s.whatsapp.net', { name: 'flota_intro', language: 'es', parameters: ['Ana', 'Transportes Sur'] });
+    await transport.sendTemplate('51999999999', { name: 'flota_recordatorio', language: 'pt_BR', parameters: [] });
+    transport.postMessage = postMessage;
+    assert(posted[0].type === 'template' && posted[0].to === '51999999999' && posted[0].template.language.code === 'es', 'La plantilla se envía con su nombre e idioma');
+    assert(posted[0].template.components[0].parameters.map(item => item.text).join('|') === 'Ana|Transportes Sur', 'Los parámetros completan las variables del cuerpo');
+    assert(!posted[1].template.components, 'Una plantilla sin variables no lleva componentes');
+
+    logger.info('Prueba del transporte completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba del transporte:', error);
+    process.exitCode = 1;
+  } finally {
+    await transport.stop();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testTransportLayer();
+}
+
+module.exports = { testTransportLayer };
@@ -0,0 +1,137 @@
+/**
+ * Test para validar las respuestas por nota de voz
+ *
+ * Este script prueba:
+ * 1. Cuándo se responde con voz (modo activo, audio recibido, sin botones ni texto largo)
+ * 2. Voz por campaña y por idioma desde el archivo de configuración
+ * 3. Nota de voz OGG/Opus del proveedor local y límite de espera de OpenAI
+ * 4. Envío como nota de voz (PTT) y texto si el envío falla
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+  reloadVoiceSettings,
+  getProspectVoice,
+  prepareSpeechText,
+  shouldReplyWithVoice,
+  createVoiceReply
+} = require('../src/services/ttsService');
+const { BaseTransport } = require('../src/whatsapp/transports/baseTransport');
+const { deliverResponse } = require('../src/whatsapp/messageProcessor');
+const logger = require('../src/utils/logger');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Falló: ${message}`);
+  }
+  logger.info(`OK: ${message}`);
+}
+
+// Función principal de prueba
+async function testVoiceReplies() {
+  const settingsFile = path.join(os.tmpdir(), `test-voices-${Date.now()}.json`);
+
+  try {
+    logger.info('Iniciando prueba de respuestas por nota de voz');
+
+    fs.writeFileSync(settingsFile, JSON.stringify({
+      default: { provider: 'openai', voice: { es: 'nova', en: 'alloy' }, maxCharacters: 120 },
+      campaigns: {
+        Facebook: { voice: 'shimmer', speed: 1.2 },
+        google_ads: { enabled: false }
+      }
+    }));
+    process.env.VOICE_SETTINGS_FILE = settingsFile;
+    process.env.TTS_PROVIDER = 'local';
+    reloadVoiceSettings();
+
+    const prospect = { phoneNumber: '51900000701', name: 'Pedro', language: 'es' };
+    const reply = { text: '¡Gracias, Pedro! 😊 ¿Cuántas unidades tiene tu flota?' };
+
+    // 1. Cuándo se responde con voz
+    process.env.VOICE_REPLIES = 'false';
+    assert(!shouldReplyWithVoice(prospect, 'ptt', reply), 'Con el modo desactivado se responde con texto');
+
+    process.env.VOICE_REPLIES = 'true';
+    assert(shouldReplyWithVoice(prospect, 'ptt', reply) && shouldReplyWithVoice(prospect, 'audio', reply), 'A un audio se responde con voz');
+    assert(!shouldReplyWithVoice(prospect, 'text', reply), 'A un texto se responde con texto');
+    assert(!shouldReplyWithVoice(prospect, 'ptt', { ...reply, interactive: { type: 'buttons', options: [] } }), 'Una respuesta con botones se envía como texto');
+    assert(!shouldReplyWithVoice(prospect, 'ptt', { text: 'palabra '.repeat(30) }), 'Una respuesta más larga que maxCharacters se envía como texto');
+    assert(!shouldReplyWithVoice({ ...prospect, voiceReplies: false }, 'ptt', reply), 'El prospecto puede tener las notas de voz desactivadas');
+    assert(prepareSpeechText('Hola 👋 *Pedro*\nMira https://logifit.pe aquí') === 'Hola Pedro. Mira aquí', 'El texto se lee sin emojis, formato ni enlaces');
+
+    // 2. Voz por campaña y por idioma
+    assert(getProspectVoice(prospect).voice === 'nova' && getProspectVoice({ language: 'en' }).voice === 'alloy', 'La voz predeterminada depende del idioma');
+    const facebookVoice = getProspectVoice({ ...prospect, campaignType: 'facebook' });
+    assert(facebookVoice.voice === 'shimmer' && facebookVoice.speed === 1.2 && facebookVoice.maxCharacters === 120, 'La campaña cambia la voz y hereda el resto');
+    assert(facebookVoice.provider === 'local', 'TTS_PROVIDER reemplaza el proveedor de la configuración');
+    assert(!shouldReplyWithVoice({ ...prospect, campaign: 'google_ads' }, 'ptt', reply), 'Una campaña puede desactivar las notas de voz');
+
+    // 3. Nota de voz del proveedor local
+    const voice = await createVoiceReply(reply.text, prospect);
+    assert(voice && voice.type === 'audio' && voice.ptt && voice.mimetype === 'audio/ogg; codecs=opus', 'Se genera un audio OGG/Opus marcado como nota de voz');
+
+    const audio = fs.readFileSync(voice.path);
+    const lastPage = audio.lastIndexOf('OggS');
+    assert(audio.subarray(0, 4).toString() === 'OggS' && audio.includes('OpusHead') && audio.includes('OpusTags'), 'El archivo tiene las cabeceras Ogg y Opus');
+    assert(audio.includes(`TEXT=${prepareSpeechText(reply.text)}`), 'El texto leído queda en los comentarios del audio');
+    assert(audio[lastPage + 5] === 0x04 && Number(audio.readBigUInt64LE(lastPage + 6)) > 48000, 'La última página cierra el audio después del primer segundo');
+
+    process.env.TTS_PROVIDER = 'desconocido';
+    assert(await createVoiceReply(reply.text, prospect) === null, 'Con un proveedor desconocido no hay nota de voz');
+
+    // OpenAI que no responde a tiempo: la respuesta sale como texto
+    const post = axios.post;
+    let requestTimeout = null;
+    axios.post = async (url, body, config) => {
+      requestTimeout = config.timeout;
+      throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+    };
+    process.env.TTS_PROVIDER = 'openai';
+    const timedOut = await createVoiceReply(reply.text, prospect);
+    axios.post = post;
+    assert(requestTimeout > 0 && timedOut === null, 'La síntesis de OpenAI tiene un límite de espera y, si se agota, no hay nota de voz');
+    process.env.TTS_PROVIDER = 'local';
+
+    // 4. Envío por el transporte
+    const incoming = { id: 'm1', from: '51900000701', chatId: '51900000701' };
+    const sent = [];
+    const transport = new BaseTransport('prueba');
+    transport.sendText = async (to, text) => sent.push({ text });
+    transport.sendMedia = async (to, media) => sent.push({ media });
+    transport.sendPresence = async (to, presence) => sent.push({ presence });
+
+    await deliverResponse(transport, incoming, { text: reply.text, voice });
+    assert(sent[0].presence === 'recording' && sent.some(item => item.media && item.media.ptt), 'Se muestra "grabando" y se envía la nota de voz');
+    assert(!sent.some(item => item.text), 'Con nota de voz no se envía el texto');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert(!fs.existsSync(voice.path), 'El audio temporal se elimina después de enviarlo');
+
+    sent.length = 0;
+    transport.sendMedia = async () => {
+      throw new Error('audio rechazado');
+    };
+    await deliverResponse(transport, incoming, { text: reply.text, voice: await createVoiceReply(reply.text, prospect) });
+    assert(sent.some(item => item.text === reply.text), 'Si la nota de voz no se puede enviar se envía el texto');
+
+    logger.info('Prueba de respuestas por nota de voz completada con éxito');
+  } catch (error) {
+    logger.error('Error en la prueba de respuestas por nota de voz:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(settingsFile, { force: true });
+    process.exit();
+  }
+}
+
+// Ejecutar la prueba
+if (require.main === module) {
+  testVoiceReplies();
+}
+
+module.exports = { testVoiceReplies };